@@ -13,6 +13,7 @@ import * as SecureStore from "expo-secure-store";
 import AppNavigator from "./src/navigation/AppNavigator";
 import { PostHogProvider } from "posthog-react-native";
 import { TeamProvider } from "./src/contexts/TeamContext";
+import { GuardianProvider } from "./src/contexts/GuardianContext";
 import { ThemeProvider } from "./src/contexts/ThemeContext";
 
 // Token cache for Clerk
@@ -63,8 +64,10 @@ export default function App() {
     <ClerkProvider publishableKey={publishableKey} tokenCache={tokenCache}>
       <ThemeProvider>
         <TeamProvider>
-          <AppNavigator />
-          <StatusBar style="auto" />
+          <GuardianProvider>
+            <AppNavigator />
+            <StatusBar style="auto" />
+          </GuardianProvider>
         </TeamProvider>
       </ThemeProvider>
     </ClerkProvider>
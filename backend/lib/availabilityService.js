@@ -0,0 +1,476 @@
+import crypto from "crypto";
+import { getPrisma } from "./prisma.js";
+import { withDatabaseUserContext } from "./db-utils.js";
+import EncryptionService from "./encryption.js";
+import PlayerService from "./playerService.js";
+import TeamMembershipService from "./teamMembershipService.js";
+import VenueService from "./venueService.js";
+import { sendAvailabilityRequestNotifications } from "./notificationService.js";
+import { sendAvailabilityRequestEmail } from "./emailService.js";
+
+export const AVAILABILITY_STATUSES = ["yes", "no", "maybe"];
+
+const availabilitySelect = {
+  id: true,
+  playerId: true,
+  status: true,
+  requestedAt: true,
+  respondedAt: true,
+};
+
+/**
+ * Service class for player availability requests
+ *
+ * Coaches ask whether players can make an upcoming match. Each player gets
+ * one answer per match, given by their guardians in the app or from the
+ * link in the request (no sign-in), or recorded by a coach.
+ */
+class AvailabilityService {
+  /**
+   * Generate an unguessable answer token (192 bits, URL-safe)
+   */
+  static generateToken() {
+    return crypto.randomBytes(24).toString("base64url");
+  }
+
+  /**
+   * Build the public URL for answering by link
+   * @param {Object} req - Incoming request, used when PUBLIC_APP_URL is not set
+   * @param {string} token
+   */
+  static getAnswerUrl(req, token) {
+    const baseUrl =
+      process.env.PUBLIC_APP_URL ||
+      `${req.headers["x-forwarded-proto"] || "https"}://${req.headers.host}`;
+
+    return `${baseUrl.replace(/\/$/, "")}/availability/${token}`;
+  }
+
+  /**
+   * Validate an availability answer
+   * @returns {Object} - { valid, message }
+   */
+  static validateStatus(status) {
+    if (!AVAILABILITY_STATUSES.includes(status)) {
+      return {
+        valid: false,
+        message: `status must be one of: ${AVAILABILITY_STATUSES.join(", ")}`,
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate a new availability request from a request body
+   * @param {Object} data - { playerIds?, push?, email? }
+   * @returns {Object} - { valid, message }
+   */
+  static validateRequest(data = {}) {
+    if (
+      data.playerIds !== undefined &&
+      (!Array.isArray(data.playerIds) ||
+        data.playerIds.some((playerId) => typeof playerId !== "string"))
+    ) {
+      return { valid: false, message: "playerIds must be an array of IDs" };
+    }
+
+    if (!data.push && !data.email) {
+      return {
+        valid: false,
+        message: "Choose push, email or both to send the request",
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Get every player's availability for a match
+   * Coaches also get each player's answer token, to share the link
+   * themselves; other members only see the answers.
+   */
+  static async getForMatch(userId, matchId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const { role } = await TeamMembershipService.assertMatchAccess(
+        tx,
+        userId,
+        matchId
+      );
+      const isCoach = TeamMembershipService.hasRole(role, "coach");
+
+      return await tx.playerAvailability.findMany({
+        where: { matchId },
+        select: { ...availabilitySelect, token: isCoach },
+        orderBy: { requestedAt: "asc" },
+      });
+    });
+  }
+
+  /**
+   * Ask for players' availability for an upcoming match (coaches)
+   * Players already asked keep their answer and token; only players who
+   * have not answered yet are notified again.
+   * @param {string[]} playerIds - Defaults to the whole squad
+   * @returns {Object} - { match, availability, recipients }; `recipients`
+   *   pairs each unanswered request with the player's guardians
+   */
+  static async requestAvailability(userId, matchId, playerIds) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const { match } = await TeamMembershipService.assertMatchAccess(
+        tx,
+        userId,
+        matchId,
+        "coach"
+      );
+
+      if (!match.teamId) {
+        throw new Error("Match must be on a team to request availability");
+      }
+
+      const details = await tx.match.findUnique({
+        where: { id: matchId },
+        select: {
+          id: true,
+          opponent: true,
+          date: true,
+          venue: true,
+          isFinished: true,
+          team: { select: { name: true } },
+          venueRecord: {
+            select: {
+              name: true,
+              address: true,
+              latitude: true,
+              longitude: true,
+            },
+          },
+        },
+      });
+
+      if (details.isFinished) {
+        throw new Error(
+          "Availability can only be requested for upcoming matches"
+        );
+      }
+
+      const players = await tx.player.findMany({
+        where: {
+          ...PlayerService.getSquadFilter(match.teamId),
+          isDeleted: false,
+          ...(playerIds && { id: { in: playerIds } }),
+        },
+        select: {
+          id: true,
+          name: true,
+          guardians: {
+            select: {
+              user: {
+                select: {
+                  id: true,
+                  email: true,
+                  name: true,
+                  pushToken: true,
+                },
+              },
+            },
+          },
+        },
+      });
+
+      const recipients = [];
+      for (const player of players) {
+        const availability = await tx.playerAvailability.upsert({
+          where: { matchId_playerId: { matchId, playerId: player.id } },
+          create: {
+            matchId,
+            playerId: player.id,
+            token: this.generateToken(),
+          },
+          update: { requestedAt: new Date() },
+          select: { ...availabilitySelect, token: true },
+        });
+
+        if (!availability.status) {
+          recipients.push({
+            token: availability.token,
+            playerName: EncryptionService.decrypt(player.name),
+            guardians: player.guardians.map(({ user }) =>
+              EncryptionService.decryptFields(user, ["email", "name"])
+            ),
+          });
+        }
+      }
+
+      const availability = await tx.playerAvailability.findMany({
+        where: { matchId },
+        select: { ...availabilitySelect, token: true },
+        orderBy: { requestedAt: "asc" },
+      });
+
+      return {
+        match: {
+          id: details.id,
+          opponent: details.opponent,
+          date: details.date,
+          venue: details.venue,
+          teamName: EncryptionService.decrypt(details.team.name),
+          venueName: details.venueRecord?.name || null,
+          address: details.venueRecord?.address || null,
+          mapsUrl: VenueService.getMapsUrl(details.venueRecord),
+        },
+        availability,
+        recipients,
+      };
+    });
+  }
+
+  /**
+   * Send availability requests to players' guardians
+   * Push goes to guardians with a registered device; email to every
+   * guardian. A failed send is logged and does not stop the others.
+   * @param {Object} request - Result of requestAvailability
+   * @param {Object} channels - { push, email }
+   * @param {Function} getAnswerUrl - Builds the answer link for a token
+   * @returns {Object} - { pushSent, emailsSent }
+   */
+  static async sendRequests(request, channels, getAnswerUrl) {
+    const { match, recipients } = request;
+    let pushSent = 0;
+    let emailsSent = 0;
+
+    if (channels.push) {
+      const messages = recipients.flatMap((recipient) =>
+        recipient.guardians
+          .filter((guardian) => guardian.pushToken)
+          .map((guardian) => ({
+            pushToken: guardian.pushToken,
+            playerName: recipient.playerName,
+          }))
+      );
+
+      if (messages.length > 0) {
+        try {
+          await sendAvailabilityRequestNotifications(messages, match);
+          pushSent = messages.length;
+        } catch (error) {
+          console.error("Failed to send availability push requests:", error);
+        }
+      }
+    }
+
+    if (channels.email) {
+      for (const recipient of recipients) {
+        for (const guardian of recipient.guardians) {
+          if (!guardian.email) continue;
+
+          try {
+            await sendAvailabilityRequestEmail(guardian.email, {
+              ...match,
+              userName: guardian.name,
+              playerName: recipient.playerName,
+              answerUrl: getAnswerUrl(recipient.token),
+            });
+            emailsSent += 1;
+          } catch (error) {
+            console.error(
+              `Failed to send availability request to ${guardian.id}:`,
+              error
+            );
+          }
+        }
+      }
+    }
+
+    return { pushSent, emailsSent };
+  }
+
+  /**
+   * Answer for a player in the app
+   * Guardians answer for the players they follow once asked; coaches can
+   * record any player's answer, asked or not.
+   */
+  static async respond(userId, matchId, playerId, status) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const isGuardian = await tx.playerGuardian.findFirst({
+        where: { playerId, userId },
+        select: { id: true },
+      });
+
+      if (isGuardian) {
+        const existing = await tx.playerAvailability.findUnique({
+          where: { matchId_playerId: { matchId, playerId } },
+          select: {
+            id: true,
+            match: { select: { isFinished: true, isDeleted: true } },
+          },
+        });
+
+        if (!existing || existing.match.isDeleted) {
+          throw new Error("Availability request not found or unauthorized");
+        }
+
+        if (existing.match.isFinished) {
+          throw new Error("This match has already been played");
+        }
+
+        return await tx.playerAvailability.update({
+          where: { id: existing.id },
+          data: { status, respondedAt: new Date(), respondedById: userId },
+          select: availabilitySelect,
+        });
+      }
+
+      const { match } = await TeamMembershipService.assertMatchAccess(
+        tx,
+        userId,
+        matchId,
+        "coach"
+      );
+
+      const player =
+        match.teamId &&
+        (await tx.player.findFirst({
+          where: {
+            id: playerId,
+            ...PlayerService.getSquadFilter(match.teamId),
+            isDeleted: false,
+          },
+          select: { id: true },
+        }));
+
+      if (!player) {
+        throw new Error("Player not found or unauthorized");
+      }
+
+      return await tx.playerAvailability.upsert({
+        where: { matchId_playerId: { matchId, playerId } },
+        create: {
+          matchId,
+          playerId,
+          token: this.generateToken(),
+          status,
+          respondedAt: new Date(),
+          respondedById: userId,
+        },
+        update: { status, respondedAt: new Date(), respondedById: userId },
+        select: availabilitySelect,
+      });
+    });
+  }
+
+  /**
+   * Find an availability request by its answer token, with the match owner
+   * whose RLS context its reads and writes run in
+   * @returns {Object|null}
+   */
+  static async findByToken(token) {
+    if (!token) return null;
+
+    return await getPrisma().playerAvailability.findUnique({
+      where: { token },
+      select: { id: true, match: { select: { userId: true } } },
+    });
+  }
+
+  /**
+   * Get an availability request for the public answer page
+   * The link is only sent to the player's guardians, so it shows the
+   * player's name.
+   * @returns {Object|null} - Null when the token is unknown, or the player
+   *   or match is deleted
+   */
+  static async getByToken(token) {
+    const request = await this.findByToken(token);
+    if (!request) return null;
+
+    return await withDatabaseUserContext(
+      request.match.userId,
+      async (tx) => {
+        const availability = await tx.playerAvailability.findUnique({
+          where: { id: request.id },
+          select: {
+            status: true,
+            respondedAt: true,
+            player: { select: { name: true, isDeleted: true } },
+            match: {
+              select: {
+                opponent: true,
+                date: true,
+                venue: true,
+                isFinished: true,
+                isDeleted: true,
+                team: { select: { name: true } },
+                venueRecord: { select: { name: true, address: true } },
+              },
+            },
+          },
+        });
+
+        if (
+          !availability ||
+          availability.player.isDeleted ||
+          availability.match.isDeleted
+        ) {
+          return null;
+        }
+
+        const { match } = availability;
+        return {
+          status: availability.status,
+          respondedAt: availability.respondedAt,
+          playerName: EncryptionService.decrypt(availability.player.name),
+          teamName: match.team
+            ? EncryptionService.decrypt(match.team.name)
+            : null,
+          opponent: match.opponent,
+          date: match.date,
+          venue: match.venue,
+          venueName: match.venueRecord?.name || null,
+          address: match.venueRecord?.address || null,
+          isFinished: match.isFinished,
+        };
+      }
+    );
+  }
+
+  /**
+   * Answer an availability request from its link
+   * @returns {Object} - The updated { status, respondedAt }
+   */
+  static async respondByToken(token, status) {
+    const request = await this.findByToken(token);
+    if (!request) {
+      throw new Error("Availability request not found");
+    }
+
+    return await withDatabaseUserContext(
+      request.match.userId,
+      async (tx) => {
+        const availability = await tx.playerAvailability.findUnique({
+          where: { id: request.id },
+          select: {
+            player: { select: { isDeleted: true } },
+            match: { select: { isFinished: true, isDeleted: true } },
+          },
+        });
+
+        if (availability.player.isDeleted || availability.match.isDeleted) {
+          throw new Error("Availability request not found");
+        }
+
+        if (availability.match.isFinished) {
+          throw new Error("This match has already been played");
+        }
+
+        return await tx.playerAvailability.update({
+          where: { id: request.id },
+          data: { status, respondedAt: new Date(), respondedById: null },
+          select: { status: true, respondedAt: true },
+        });
+      }
+    );
+  }
+}
+
+export default AvailabilityService;
@@ -0,0 +1,70 @@
+import cloudinary from "../config/cloudinary.js";
+
+// Root folder of the app's uploads in the Cloudinary account
+const ROOT_FOLDER = "match-tracker-app";
+
+// Public ID in a delivery URL, after any transformations and the version
+const PUBLIC_ID_PATTERN = /\/image\/upload\/(?:.+\/)?v\d+\/(.+)\.\w+$/;
+
+/**
+ * Image storage on Cloudinary
+ *
+ * Images are resized to 400x400 on upload and kept under
+ * `match-tracker-app/<folder>/<userId>`.
+ */
+class CloudinaryImageStorage {
+  /**
+   * Upload an image
+   * @param {string} image - Data URL (or any source Cloudinary accepts)
+   * @param {Object} options - { folder, userId }
+   * @returns {Object} - { url, publicId }
+   */
+  static async upload(image, { folder, userId }) {
+    const folderPath = `${ROOT_FOLDER}/${folder}/${userId}`;
+    console.log("📁 Uploading to Cloudinary folder:", folderPath);
+
+    const result = await cloudinary.uploader.upload(image, {
+      folder: folderPath,
+      upload_preset: "match_tracker_app",
+      resource_type: "image",
+      transformation: [
+        { width: 400, height: 400, crop: "fill", gravity: "center" },
+        { quality: "auto:good" },
+        { fetch_format: "auto" },
+      ],
+    });
+
+    return { url: result.secure_url, publicId: result.public_id };
+  }
+
+  /**
+   * Delete an uploaded image
+   * @param {string} publicId - From upload or getPublicId
+   */
+  static async remove(publicId) {
+    await cloudinary.uploader.destroy(publicId, {
+      resource_type: "image",
+      invalidate: true,
+    });
+  }
+
+  /**
+   * Public ID of an image this app uploaded to the configured account
+   * @param {string} url
+   * @returns {string|null} - null for any other URL
+   */
+  static getPublicId(url) {
+    const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+    if (
+      !cloudName ||
+      !url.startsWith(`https://res.cloudinary.com/${cloudName}/`)
+    ) {
+      return null;
+    }
+
+    const publicId = url.match(PUBLIC_ID_PATTERN)?.[1];
+    return publicId?.startsWith(`${ROOT_FOLDER}/`) ? publicId : null;
+  }
+}
+
+export default CloudinaryImageStorage;
@@ -0,0 +1,626 @@
+import { withDatabaseUserContext } from "./db-utils.js";
+import EncryptionService from "./encryption.js";
+import OpponentService from "./opponentService.js";
+import SeasonService from "./seasonService.js";
+import TeamMembershipService from "./teamMembershipService.js";
+
+export const MATCH_TYPES = ["league", "cup", "friendly"];
+export const COMPETITION_TYPES = ["league", "cup"];
+
+const MAX_NAME_LENGTH = 50;
+const MAX_OPPONENTS = 40;
+const MAX_POINTS = 10;
+const MAX_GOALS = 99;
+
+const competitionSelect = {
+  id: true,
+  name: true,
+  type: true,
+  pointsForWin: true,
+  pointsForDraw: true,
+  pointsForLoss: true,
+  opponents: true,
+  teamId: true,
+  seasonId: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+const resultSelect = {
+  id: true,
+  homeTeam: true,
+  awayTeam: true,
+  homeGoals: true,
+  awayGoals: true,
+  date: true,
+  competitionId: true,
+};
+
+// Team names are matched without case or surrounding spaces
+const nameKey = (name) => name.trim().toLowerCase();
+
+/**
+ * Service class for competitions and their league tables
+ *
+ * A competition is a league or cup for one of the user's teams, with its
+ * points for a win, draw and loss and the other clubs taking part. Our
+ * finished matches with its competitionId count towards the table, plus
+ * results the coach enters between other clubs. Opponents are matched to
+ * our matches' `opponent` by name, ignoring case.
+ */
+class CompetitionService {
+  /**
+   * Validate a match type from a request body
+   * @returns {Object} - { valid, message }
+   */
+  static validateMatchType(matchType) {
+    if (!MATCH_TYPES.includes(matchType)) {
+      return {
+        valid: false,
+        message: `matchType must be one of: ${MATCH_TYPES.join(", ")}`,
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate a competition from a request body
+   * @param {Object} data - { name, type, pointsForWin, pointsForDraw,
+   *   pointsForLoss, opponents, seasonId }
+   * @param {boolean} partial - Allow missing fields (updates)
+   * @returns {Object} - { valid, message }
+   */
+  static validateCompetition(data, partial = false) {
+    const { name, type, opponents, seasonId } = data || {};
+
+    if (name !== undefined || !partial) {
+      if (
+        typeof name !== "string" ||
+        !name.trim() ||
+        name.length > MAX_NAME_LENGTH
+      ) {
+        return {
+          valid: false,
+          message: `Competition name is required (up to ${MAX_NAME_LENGTH} characters)`,
+        };
+      }
+    }
+
+    if (type !== undefined && !COMPETITION_TYPES.includes(type)) {
+      return {
+        valid: false,
+        message: `type must be one of: ${COMPETITION_TYPES.join(", ")}`,
+      };
+    }
+
+    for (const key of ["pointsForWin", "pointsForDraw", "pointsForLoss"]) {
+      const value = data[key];
+      if (value === undefined) continue;
+
+      if (!Number.isInteger(value) || value < 0 || value > MAX_POINTS) {
+        return {
+          valid: false,
+          message: `${key} must be a whole number between 0 and ${MAX_POINTS}`,
+        };
+      }
+    }
+
+    if (opponents !== undefined) {
+      if (
+        !Array.isArray(opponents) ||
+        opponents.length > MAX_OPPONENTS ||
+        opponents.some(
+          (opponent) =>
+            typeof opponent !== "string" ||
+            !opponent.trim() ||
+            opponent.length > MAX_NAME_LENGTH
+        )
+      ) {
+        return {
+          valid: false,
+          message: `opponents must be a list of up to ${MAX_OPPONENTS} club names`,
+        };
+      }
+
+      const keys = opponents.map(nameKey);
+      if (new Set(keys).size !== keys.length) {
+        return { valid: false, message: "opponents must be unique" };
+      }
+    }
+
+    if (
+      seasonId !== undefined &&
+      seasonId !== null &&
+      typeof seasonId !== "string"
+    ) {
+      return { valid: false, message: "seasonId must be a season ID" };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate a result between two other clubs from a request body
+   * Whether both clubs take part is checked against the competition.
+   * @param {Object} data - { homeTeam, awayTeam, homeGoals, awayGoals, date }
+   * @param {boolean} partial - Allow missing fields (updates)
+   * @returns {Object} - { valid, message }
+   */
+  static validateResult(data, partial = false) {
+    const { homeTeam, awayTeam, date } = data || {};
+
+    for (const [key, value] of [
+      ["homeTeam", homeTeam],
+      ["awayTeam", awayTeam],
+    ]) {
+      if (value === undefined && partial) continue;
+
+      if (typeof value !== "string" || !value.trim()) {
+        return { valid: false, message: `${key} is required` };
+      }
+    }
+
+    for (const key of ["homeGoals", "awayGoals"]) {
+      const value = data[key];
+      if (value === undefined && partial) continue;
+
+      if (!Number.isInteger(value) || value < 0 || value > MAX_GOALS) {
+        return {
+          valid: false,
+          message: `${key} must be a whole number between 0 and ${MAX_GOALS}`,
+        };
+      }
+    }
+
+    if (date !== undefined && Number.isNaN(new Date(date).getTime())) {
+      return { valid: false, message: "date must be a valid date" };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Clean up a validated opponents list before saving
+   */
+  static toOpponentsColumn(opponents) {
+    return opponents.map((opponent) => opponent.trim());
+  }
+
+  /**
+   * Build the league table
+   *
+   * Every club in the competition gets a row, even before playing. Rows are
+   * ordered by points, then goal difference, goals scored and name. Results
+   * for a club that has since left the competition still count. A club with
+   * an opponent record has one row under its name and all its aliases.
+   * @param {Object} competition - With points rules and opponents
+   * @param {Object} data - { teamName, matches, results, opponents } where
+   *   matches are our finished matches in the competition and opponents the
+   *   records they link to
+   * @returns {Array<Object>} - Rows { position, name, isOwnTeam, played, won,
+   *   drawn, lost, goalsFor, goalsAgainst, goalDifference, points }
+   */
+  static buildTable(
+    competition,
+    { teamName, matches, results, opponents = [] }
+  ) {
+    const rows = new Map();
+
+    const clubKey = (name, opponentId = null) => {
+      if (opponentId) return opponentId;
+      const opponent = opponents.find((candidate) =>
+        OpponentService.matchesName(candidate, name)
+      );
+      return opponent ? opponent.id : nameKey(name);
+    };
+
+    const getRow = (name, isOwnTeam = false, opponentId = null) => {
+      const key = isOwnTeam ? "__own_team__" : clubKey(name, opponentId);
+      if (!rows.has(key)) {
+        rows.set(key, {
+          name: name.trim(),
+          isOwnTeam,
+          played: 0,
+          won: 0,
+          drawn: 0,
+          lost: 0,
+          goalsFor: 0,
+          goalsAgainst: 0,
+        });
+      }
+      return rows.get(key);
+    };
+
+    const addScore = (row, scored, conceded) => {
+      row.played += 1;
+      row.goalsFor += scored;
+      row.goalsAgainst += conceded;
+      if (scored > conceded) row.won += 1;
+      else if (scored === conceded) row.drawn += 1;
+      else row.lost += 1;
+    };
+
+    getRow(teamName, true);
+    competition.opponents.forEach((opponent) => getRow(opponent));
+
+    matches.forEach((match) => {
+      addScore(getRow(teamName, true), match.goalsFor, match.goalsAgainst);
+      addScore(
+        getRow(match.opponent, false, match.opponentId),
+        match.goalsAgainst,
+        match.goalsFor
+      );
+    });
+
+    results.forEach((result) => {
+      addScore(getRow(result.homeTeam), result.homeGoals, result.awayGoals);
+      addScore(getRow(result.awayTeam), result.awayGoals, result.homeGoals);
+    });
+
+    return [...rows.values()]
+      .map((row) => ({
+        ...row,
+        goalDifference: row.goalsFor - row.goalsAgainst,
+        points:
+          row.won * competition.pointsForWin +
+          row.drawn * competition.pointsForDraw +
+          row.lost * competition.pointsForLoss,
+      }))
+      .sort(
+        (a, b) =>
+          b.points - a.points ||
+          b.goalDifference - a.goalDifference ||
+          b.goalsFor - a.goalsFor ||
+          a.name.localeCompare(b.name)
+      )
+      .map((row, index) => ({ position: index + 1, ...row }));
+  }
+
+  /**
+   * Ensure a competition exists and the user has the given role on its team
+   * Must be called with a transaction client inside the user's RLS context.
+   * @returns {Object} - The competition
+   */
+  static async assertCompetitionAccess(
+    tx,
+    userId,
+    competitionId,
+    minRole = "viewer"
+  ) {
+    const competition = await tx.competition.findUnique({
+      where: { id: competitionId },
+      select: competitionSelect,
+    });
+
+    if (!competition) {
+      throw new Error("Competition not found or unauthorized");
+    }
+
+    await TeamMembershipService.assertTeamAccess(
+      tx,
+      userId,
+      competition.teamId,
+      minRole,
+      "Competition"
+    );
+
+    return competition;
+  }
+
+  /**
+   * Ensure both clubs in a result take part in the competition
+   */
+  static assertParticipants(competition, homeTeam, awayTeam) {
+    const participants = competition.opponents.map(nameKey);
+
+    for (const club of [homeTeam, awayTeam]) {
+      if (!participants.includes(nameKey(club))) {
+        throw new Error(
+          `Invalid result: ${club.trim()} is not in ${competition.name}`
+        );
+      }
+    }
+
+    if (nameKey(homeTeam) === nameKey(awayTeam)) {
+      throw new Error("Invalid result: a club can't play itself");
+    }
+  }
+
+  /**
+   * Get a team's competitions with match and result counts
+   * @param {Object} options - { seasonId }
+   */
+  static async getTeamCompetitions(userId, teamId, options = {}) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertTeamAccess(tx, userId, teamId);
+
+      return await tx.competition.findMany({
+        where: {
+          teamId,
+          ...(options.seasonId && { seasonId: options.seasonId }),
+        },
+        select: {
+          ...competitionSelect,
+          _count: {
+            select: {
+              matches: { where: { isDeleted: false } },
+              results: true,
+            },
+          },
+        },
+        orderBy: { createdAt: "desc" },
+      });
+    });
+  }
+
+  /**
+   * Get a competition with its results between other clubs
+   */
+  static async getCompetition(userId, competitionId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const competition = await this.assertCompetitionAccess(
+        tx,
+        userId,
+        competitionId
+      );
+
+      const results = await tx.competitionResult.findMany({
+        where: { competitionId },
+        select: resultSelect,
+        orderBy: { date: "desc" },
+      });
+
+      return { ...competition, results };
+    });
+  }
+
+  /**
+   * Create a competition for a team
+   * @param {Object} data - Validated competition fields
+   */
+  static async createCompetition(userId, teamId, data) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const { team } = await TeamMembershipService.assertTeamAccess(
+        tx,
+        userId,
+        teamId,
+        "coach"
+      );
+
+      if (data.seasonId) {
+        await SeasonService.assertSeasonAccess(tx, userId, data.seasonId);
+      }
+
+      return await tx.competition.create({
+        data: {
+          name: data.name.trim(),
+          type: data.type || "league",
+          ...(data.pointsForWin !== undefined && {
+            pointsForWin: data.pointsForWin,
+          }),
+          ...(data.pointsForDraw !== undefined && {
+            pointsForDraw: data.pointsForDraw,
+          }),
+          ...(data.pointsForLoss !== undefined && {
+            pointsForLoss: data.pointsForLoss,
+          }),
+          opponents: this.toOpponentsColumn(data.opponents || []),
+          seasonId: data.seasonId || null,
+          userId: team.userId,
+          teamId,
+        },
+        select: competitionSelect,
+      });
+    });
+  }
+
+  /**
+   * Update a competition's name, type, points rules, clubs or season
+   * Changing the type also changes the matchType of its matches.
+   * @param {Object} data - Validated competition fields
+   */
+  static async updateCompetition(userId, competitionId, data) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertCompetitionAccess(tx, userId, competitionId, "coach");
+
+      if (data.seasonId) {
+        await SeasonService.assertSeasonAccess(tx, userId, data.seasonId);
+      }
+
+      const competition = await tx.competition.update({
+        where: { id: competitionId },
+        data: {
+          ...(data.name !== undefined && { name: data.name.trim() }),
+          ...(data.type !== undefined && { type: data.type }),
+          ...(data.pointsForWin !== undefined && {
+            pointsForWin: data.pointsForWin,
+          }),
+          ...(data.pointsForDraw !== undefined && {
+            pointsForDraw: data.pointsForDraw,
+          }),
+          ...(data.pointsForLoss !== undefined && {
+            pointsForLoss: data.pointsForLoss,
+          }),
+          ...(data.opponents !== undefined && {
+            opponents: this.toOpponentsColumn(data.opponents),
+          }),
+          ...(data.seasonId !== undefined && {
+            seasonId: data.seasonId || null,
+          }),
+        },
+        select: competitionSelect,
+      });
+
+      if (data.type !== undefined) {
+        await tx.match.updateMany({
+          where: { competitionId },
+          data: { matchType: data.type },
+        });
+      }
+
+      return competition;
+    });
+  }
+
+  /**
+   * Delete a competition and its results (its matches are kept)
+   */
+  static async deleteCompetition(userId, competitionId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertCompetitionAccess(tx, userId, competitionId, "coach");
+
+      await tx.competition.delete({
+        where: { id: competitionId },
+      });
+
+      return { success: true };
+    });
+  }
+
+  /**
+   * Record a result between two other clubs
+   * @param {Object} data - Validated { homeTeam, awayTeam, homeGoals,
+   *   awayGoals, date? }
+   */
+  static async addResult(userId, competitionId, data) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const competition = await this.assertCompetitionAccess(
+        tx,
+        userId,
+        competitionId,
+        "coach"
+      );
+      this.assertParticipants(competition, data.homeTeam, data.awayTeam);
+
+      return await tx.competitionResult.create({
+        data: {
+          homeTeam: data.homeTeam.trim(),
+          awayTeam: data.awayTeam.trim(),
+          homeGoals: data.homeGoals,
+          awayGoals: data.awayGoals,
+          date: data.date ? new Date(data.date) : new Date(),
+          competitionId,
+        },
+        select: resultSelect,
+      });
+    });
+  }
+
+  /**
+   * Correct a result between two other clubs
+   * @param {Object} data - Validated result fields
+   */
+  static async updateResult(userId, competitionId, resultId, data) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const competition = await this.assertCompetitionAccess(
+        tx,
+        userId,
+        competitionId,
+        "coach"
+      );
+
+      const existing = await tx.competitionResult.findFirst({
+        where: { id: resultId, competitionId },
+        select: resultSelect,
+      });
+
+      if (!existing) {
+        throw new Error("Result not found or unauthorized");
+      }
+
+      const homeTeam = data.homeTeam ?? existing.homeTeam;
+      const awayTeam = data.awayTeam ?? existing.awayTeam;
+      if (data.homeTeam !== undefined || data.awayTeam !== undefined) {
+        this.assertParticipants(competition, homeTeam, awayTeam);
+      }
+
+      return await tx.competitionResult.update({
+        where: { id: resultId },
+        data: {
+          homeTeam: homeTeam.trim(),
+          awayTeam: awayTeam.trim(),
+          ...(data.homeGoals !== undefined && { homeGoals: data.homeGoals }),
+          ...(data.awayGoals !== undefined && { awayGoals: data.awayGoals }),
+          ...(data.date !== undefined && { date: new Date(data.date) }),
+        },
+        select: resultSelect,
+      });
+    });
+  }
+
+  /**
+   * Delete a result between two other clubs
+   */
+  static async deleteResult(userId, competitionId, resultId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertCompetitionAccess(tx, userId, competitionId, "coach");
+
+      const { count } = await tx.competitionResult.deleteMany({
+        where: { id: resultId, competitionId },
+      });
+
+      if (count === 0) {
+        throw new Error("Result not found or unauthorized");
+      }
+
+      return { success: true };
+    });
+  }
+
+  /**
+   * Get a competition's standings
+   * @returns {Object} - { competition, table }
+   */
+  static async getTable(userId, competitionId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const competition = await this.assertCompetitionAccess(
+        tx,
+        userId,
+        competitionId
+      );
+
+      const [team, matches, results] = await Promise.all([
+        tx.team.findUnique({
+          where: { id: competition.teamId },
+          select: { name: true },
+        }),
+        tx.match.findMany({
+          where: { competitionId, isFinished: true, isDeleted: false },
+          select: {
+            opponent: true,
+            opponentId: true,
+            goalsFor: true,
+            goalsAgainst: true,
+          },
+        }),
+        tx.competitionResult.findMany({
+          where: { competitionId },
+          select: resultSelect,
+        }),
+      ]);
+
+      const opponentIds = [
+        ...new Set(matches.map((match) => match.opponentId).filter(Boolean)),
+      ];
+      const opponents = await tx.opponent.findMany({
+        where: { id: { in: opponentIds } },
+        select: { id: true, name: true, aliases: true },
+      });
+
+      const teamName = team ? EncryptionService.decrypt(team.name) : "Us";
+
+      return {
+        competition,
+        table: this.buildTable(competition, {
+          teamName,
+          matches,
+          results,
+          opponents,
+        }),
+      };
+    });
+  }
+}
+
+export default CompetitionService;
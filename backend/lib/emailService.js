@@ -86,6 +86,16 @@ export async function sendMatchReminderEmail(userEmail, userName, match) {
 
   const subject = `⚽ Match Reminder: ${match.opponent}`;
 
+  // Ground details when the match has a venue
+  const venueLabel = match.venueName
+    ? `${match.venueName} (${match.venue || "TBD"})`
+    : match.venue || "TBD";
+  const locationDetails = [
+    ["Address", match.address],
+    ["Pitch", match.pitchNumber],
+    ["Parking", match.parkingNotes],
+  ].filter(([, value]) => value);
+
   const text = `
 Hi ${userName || "there"},
 
@@ -95,8 +105,10 @@ Match Details:
 - Opponent: ${match.opponent}
 - Date: ${formattedDate}
 - Time: ${formattedTime}
-- Venue: ${match.venue || "TBD"}
-${
+- Venue: ${venueLabel}
+${locationDetails.map(([label, value]) => `- ${label}: ${value}\n`).join("")}${
+  match.mapsUrl ? `- Directions: ${match.mapsUrl}\n` : ""
+}${
   match.type
     ? `- Type: ${match.type.charAt(0).toUpperCase() + match.type.slice(1)}`
     : ""
@@ -163,10 +175,18 @@ MatchTracker
                       </tr>
                       <tr>
                         <td style="padding: 8px 0; font-size: 14px; color: #666666;">Venue:</td>
-                        <td style="padding: 8px 0; font-size: 14px; color: #333333; font-weight: 600;">${
-                          match.venue || "TBD"
-                        }</td>
+                        <td style="padding: 8px 0; font-size: 14px; color: #333333; font-weight: 600;">${venueLabel}</td>
+                      </tr>
+                      ${locationDetails
+                        .map(
+                          ([label, value]) => `
+                      <tr>
+                        <td style="padding: 8px 0; font-size: 14px; color: #666666;">${label}:</td>
+                        <td style="padding: 8px 0; font-size: 14px; color: #333333; font-weight: 600;">${value}</td>
                       </tr>
+                      `
+                        )
+                        .join("")}
                       ${
                         match.type
                           ? `
@@ -185,6 +205,15 @@ MatchTracker
                 </tr>
               </table>
               
+              ${
+                match.mapsUrl
+                  ? `
+              <p style="margin: 0 0 30px 0; text-align: center;">
+                <a href="${match.mapsUrl}" style="display: inline-block; background-color: #2563eb; color: #ffffff; text-decoration: none; font-size: 16px; font-weight: 600; padding: 12px 24px; border-radius: 6px;">Get Directions</a>
+              </p>
+              `
+                  : ""
+              }
               <p style="margin: 0 0 10px 0; font-size: 16px; color: #333333; line-height: 1.5; font-weight: 600;">
                 Good luck with your match! 🍀
               </p>
@@ -229,6 +258,415 @@ MatchTracker
   }
 }
 
+/**
+ * Send a training session reminder email to a user
+ * @param {string} userEmail - User's email address
+ * @param {string} userName - User's name (optional)
+ * @param {Object} session - Training session with teamName, date, and
+ *   location, focus and notes when set
+ */
+export async function sendTrainingReminderEmail(userEmail, userName, session) {
+  const sessionDate = new Date(session.date);
+  const formattedDate = sessionDate.toLocaleDateString("en-US", {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+  const formattedTime = sessionDate.toLocaleTimeString("en-US", {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+  const subject = `🏃 Training Reminder: ${session.teamName}`;
+
+  const details = [
+    ["Team", session.teamName],
+    ["Date", formattedDate],
+    ["Time", formattedTime],
+    ["Location", session.location],
+    ["Focus", session.focus],
+    ["Notes", session.notes],
+  ].filter(([, value]) => value);
+
+  const text = `
+Hi ${userName || "there"},
+
+This is a reminder that training is starting soon!
+
+Session Details:
+${details.map(([label, value]) => `- ${label}: ${value}`).join("\n")}
+
+Have a good session!
+
+---
+MatchTracker
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Training Reminder</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f5f5f5;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f5f5f5; padding: 20px;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <!-- Header -->
+          <tr>
+            <td style="background-color: #2563eb; padding: 30px 20px; text-align: center;">
+              <h1 style="margin: 0; color: #ffffff; font-size: 32px;">🏃</h1>
+              <h2 style="margin: 10px 0 0 0; color: #ffffff; font-size: 24px; font-weight: 600;">Training Starting Soon!</h2>
+            </td>
+          </tr>
+          
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px 30px;">
+              <p style="margin: 0 0 20px 0; font-size: 16px; color: #333333; line-height: 1.5;">
+                Hi ${userName || "there"},
+              </p>
+              
+              <p style="margin: 0 0 30px 0; font-size: 16px; color: #333333; line-height: 1.5;">
+                This is a reminder that training is starting soon!
+              </p>
+              
+              <!-- Session Details Card -->
+              <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f8fafc; border-radius: 8px; border: 1px solid #e5e7eb; margin-bottom: 30px;">
+                <tr>
+                  <td style="padding: 20px;">
+                    <h3 style="margin: 0 0 15px 0; font-size: 18px; color: #2563eb; font-weight: 600;">Session Details</h3>
+                    
+                    <table width="100%" cellpadding="0" cellspacing="0">
+                      ${details
+                        .map(
+                          ([label, value]) => `
+                      <tr>
+                        <td style="padding: 8px 0; font-size: 14px; color: #666666; width: 100px;">${label}:</td>
+                        <td style="padding: 8px 0; font-size: 14px; color: #333333; font-weight: 600;">${value}</td>
+                      </tr>
+                      `
+                        )
+                        .join("")}
+                    </table>
+                  </td>
+                </tr>
+              </table>
+              
+              <p style="margin: 0 0 10px 0; font-size: 16px; color: #333333; line-height: 1.5; font-weight: 600;">
+                Have a good session! 💪
+              </p>
+            </td>
+          </tr>
+          
+          <!-- Footer -->
+          <tr>
+            <td style="background-color: #f8fafc; padding: 20px 30px; text-align: center; border-top: 1px solid #e5e7eb;">
+              <p style="margin: 0; font-size: 12px; color: #666666;">
+                MatchTracker - Track your football matches
+              </p>
+              <p style="margin: 10px 0 0 0; font-size: 12px; color: #999999;">
+                You're receiving this email because you have email notifications enabled for match and training reminders.
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `.trim();
+
+  try {
+    const result = await sendEmail({
+      to: userEmail,
+      subject,
+      text,
+      html,
+    });
+
+    console.log(`✅ Training reminder email sent to ${userEmail}`);
+    return result;
+  } catch (error) {
+    console.error(
+      `❌ Failed to send training reminder email to ${userEmail}:`,
+      error
+    );
+    throw error;
+  }
+}
+
+/**
+ * Send a team invitation email
+ * @param {string} email - Invitee's email address
+ * @param {Object} invitation - { teamName, invitedByName, role, token,
+ *   inviteUrl, expiresAt, playerName? }; guardian invitations name the player
+ */
+export async function sendTeamInvitationEmail(email, invitation) {
+  const inviter = invitation.invitedByName || "A coach";
+  const invitedTo = invitation.playerName
+    ? `follow ${invitation.playerName}'s matches and stats at ${invitation.teamName}`
+    : `join ${invitation.teamName} on MatchTracker as a ${invitation.role}`;
+  const invitedToHtml = invitation.playerName
+    ? `follow <strong>${invitation.playerName}</strong>'s matches and stats at <strong>${invitation.teamName}</strong>`
+    : `join <strong>${invitation.teamName}</strong> on MatchTracker as a <strong>${invitation.role}</strong>`;
+  const expiresOn = new Date(invitation.expiresAt).toLocaleDateString(
+    "en-US",
+    { year: "numeric", month: "long", day: "numeric" }
+  );
+
+  const subject = invitation.playerName
+    ? `⚽ Follow ${invitation.playerName} at ${invitation.teamName}`
+    : `⚽ You're invited to join ${invitation.teamName}`;
+
+  const text = `
+Hi there,
+
+${inviter} has invited you to ${invitedTo}.
+
+Accept the invitation: ${invitation.inviteUrl}
+
+Or open MatchTracker, go to Join a Team and enter this code:
+${invitation.token}
+
+This invitation expires on ${expiresOn}.
+
+---
+MatchTracker
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Team Invitation</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f5f5f5;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f5f5f5; padding: 20px;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <!-- Header -->
+          <tr>
+            <td style="background-color: #2563eb; padding: 30px 20px; text-align: center;">
+              <h1 style="margin: 0; color: #ffffff; font-size: 32px;">⚽</h1>
+              <h2 style="margin: 10px 0 0 0; color: #ffffff; font-size: 24px; font-weight: 600;">Join ${invitation.teamName}</h2>
+            </td>
+          </tr>
+          
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px 30px;">
+              <p style="margin: 0 0 20px 0; font-size: 16px; color: #333333; line-height: 1.5;">
+                Hi there,
+              </p>
+              
+              <p style="margin: 0 0 30px 0; font-size: 16px; color: #333333; line-height: 1.5;">
+                ${inviter} has invited you to ${invitedToHtml}.
+              </p>
+              
+              <p style="margin: 0 0 30px 0; text-align: center;">
+                <a href="${invitation.inviteUrl}" style="display: inline-block; background-color: #2563eb; color: #ffffff; text-decoration: none; font-size: 16px; font-weight: 600; padding: 12px 24px; border-radius: 6px;">Accept Invitation</a>
+              </p>
+              
+              <!-- Invitation Code Card -->
+              <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f8fafc; border-radius: 8px; border: 1px solid #e5e7eb; margin-bottom: 30px;">
+                <tr>
+                  <td style="padding: 20px; text-align: center;">
+                    <p style="margin: 0 0 10px 0; font-size: 14px; color: #666666;">Or open MatchTracker, go to Join a Team and enter this code:</p>
+                    <p style="margin: 0; font-size: 16px; color: #333333; font-weight: 600; font-family: monospace; word-break: break-all;">${invitation.token}</p>
+                  </td>
+                </tr>
+              </table>
+              
+              <p style="margin: 0; font-size: 14px; color: #666666; line-height: 1.5;">
+                This invitation expires on ${expiresOn}.
+              </p>
+            </td>
+          </tr>
+          
+          <!-- Footer -->
+          <tr>
+            <td style="background-color: #f8fafc; padding: 20px 30px; text-align: center; border-top: 1px solid #e5e7eb;">
+              <p style="margin: 0; font-size: 12px; color: #666666;">
+                MatchTracker - Track your football matches
+              </p>
+              <p style="margin: 10px 0 0 0; font-size: 12px; color: #999999;">
+                If you weren't expecting this invitation, you can ignore this email.
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `.trim();
+
+  try {
+    const result = await sendEmail({
+      to: email,
+      subject,
+      text,
+      html,
+    });
+
+    console.log(`✅ Team invitation email sent to ${email}`);
+    return result;
+  } catch (error) {
+    console.error(`❌ Failed to send team invitation email to ${email}:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Send an availability request for a match to a player's guardian
+ * @param {string} email - Guardian's email address
+ * @param {Object} request - { userName, playerName, teamName, opponent, date,
+ *   venue, venueName, address, mapsUrl, answerUrl }
+ */
+export async function sendAvailabilityRequestEmail(email, request) {
+  const matchDate = new Date(request.date);
+  const formattedDate = matchDate.toLocaleDateString("en-US", {
+    weekday: "long",
+    year: "numeric",
+    month: "long",
+    day: "numeric",
+  });
+  const formattedTime = matchDate.toLocaleTimeString("en-US", {
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+  const venueLabel = request.venueName
+    ? [request.venueName, request.address].filter(Boolean).join(", ")
+    : request.venue === "away"
+    ? "Away"
+    : "Home";
+
+  const subject = `⚽ Can ${request.playerName} play against ${request.opponent}?`;
+
+  const text = `
+Hi ${request.userName || "there"},
+
+${request.teamName} play ${request.opponent} soon. Can ${request.playerName} make it?
+
+Match Details:
+- Date: ${formattedDate}
+- Time: ${formattedTime}
+- Venue: ${venueLabel}
+${request.mapsUrl ? `- Directions: ${request.mapsUrl}\n` : ""}
+Answer yes, no or maybe: ${request.answerUrl}
+
+You can also answer in MatchTracker.
+
+---
+MatchTracker
+  `.trim();
+
+  const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Availability Request</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background-color: #f5f5f5;">
+  <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f5f5f5; padding: 20px;">
+    <tr>
+      <td align="center">
+        <table width="600" cellpadding="0" cellspacing="0" style="background-color: #ffffff; border-radius: 8px; overflow: hidden; box-shadow: 0 2px 4px rgba(0,0,0,0.1);">
+          <!-- Header -->
+          <tr>
+            <td style="background-color: #2563eb; padding: 30px 20px; text-align: center;">
+              <h1 style="margin: 0; color: #ffffff; font-size: 32px;">⚽</h1>
+              <h2 style="margin: 10px 0 0 0; color: #ffffff; font-size: 24px; font-weight: 600;">Can ${request.playerName} play?</h2>
+            </td>
+          </tr>
+          
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px 30px;">
+              <p style="margin: 0 0 20px 0; font-size: 16px; color: #333333; line-height: 1.5;">
+                Hi ${request.userName || "there"},
+              </p>
+              
+              <p style="margin: 0 0 30px 0; font-size: 16px; color: #333333; line-height: 1.5;">
+                <strong>${request.teamName}</strong> play <strong>${request.opponent}</strong> soon. Can <strong>${request.playerName}</strong> make it?
+              </p>
+              
+              <!-- Match Details Card -->
+              <table width="100%" cellpadding="0" cellspacing="0" style="background-color: #f8fafc; border-radius: 8px; border: 1px solid #e5e7eb; margin-bottom: 30px;">
+                <tr>
+                  <td style="padding: 20px;">
+                    <p style="margin: 0 0 10px 0; font-size: 14px; color: #333333;"><strong>Date:</strong> ${formattedDate}</p>
+                    <p style="margin: 0 0 10px 0; font-size: 14px; color: #333333;"><strong>Time:</strong> ${formattedTime}</p>
+                    <p style="margin: 0; font-size: 14px; color: #333333;"><strong>Venue:</strong> ${venueLabel}</p>
+                    ${
+                      request.mapsUrl
+                        ? `<p style="margin: 10px 0 0 0; font-size: 14px;"><a href="${request.mapsUrl}" style="color: #2563eb;">Get directions</a></p>`
+                        : ""
+                    }
+                  </td>
+                </tr>
+              </table>
+              
+              <p style="margin: 0 0 30px 0; text-align: center;">
+                <a href="${request.answerUrl}" style="display: inline-block; background-color: #2563eb; color: #ffffff; text-decoration: none; font-size: 16px; font-weight: 600; padding: 12px 24px; border-radius: 6px;">Answer Yes, No or Maybe</a>
+              </p>
+              
+              <p style="margin: 0; font-size: 14px; color: #666666; line-height: 1.5;">
+                You can also answer in MatchTracker.
+              </p>
+            </td>
+          </tr>
+          
+          <!-- Footer -->
+          <tr>
+            <td style="background-color: #f8fafc; padding: 20px 30px; text-align: center; border-top: 1px solid #e5e7eb;">
+              <p style="margin: 0; font-size: 12px; color: #666666;">
+                MatchTracker - Track your football matches
+              </p>
+              <p style="margin: 10px 0 0 0; font-size: 12px; color: #999999;">
+                You're receiving this because you follow ${request.playerName} on MatchTracker.
+              </p>
+            </td>
+          </tr>
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `.trim();
+
+  try {
+    const result = await sendEmail({
+      to: email,
+      subject,
+      text,
+      html,
+    });
+
+    console.log(`✅ Availability request email sent to ${email}`);
+    return result;
+  } catch (error) {
+    console.error(
+      `❌ Failed to send availability request email to ${email}:`,
+      error
+    );
+    throw error;
+  }
+}
+
 /**
  * Send a welcome email to a new user
  * @param {string} userEmail - User's email address
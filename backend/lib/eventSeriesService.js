@@ -0,0 +1,386 @@
+import SeasonService from "./seasonService.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_OCCURRENCES = 52;
+
+// Weeks between repeats for each frequency
+const FREQUENCY_WEEKS = {
+  weekly: 1,
+  fortnightly: 2,
+};
+
+// Whether an edit or cancellation covers one occurrence or the whole series
+const SERIES_SCOPES = ["occurrence", "series"];
+
+// Match fields a whole-series edit copies to the other fixtures; scores,
+// stats and the season stay with each match
+const SERIES_MATCH_FIELDS = [
+  "opponent",
+  "opponentId",
+  "matchType",
+  "venue",
+  "venueId",
+  "notes",
+  "selectedPlayerIds",
+  "competitionId",
+  "periodFormat",
+  "formationId",
+  "lineup",
+];
+
+// Training fields a whole-series edit copies to the other sessions
+const SERIES_TRAINING_FIELDS = ["location", "focus", "notes"];
+
+/**
+ * Wall-clock time of an instant in a time zone, as milliseconds on a UTC
+ * clock (so calendar arithmetic on it ignores daylight saving)
+ */
+const toWallTime = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, Number(part.value)])
+  );
+
+  return (
+    Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second
+    ) + date.getUTCMilliseconds()
+  );
+};
+
+/**
+ * The instant a wall-clock time (from toWallTime) happens in a time zone
+ */
+const fromWallTime = (wallTime, timeZone) => {
+  let date = new Date(wallTime);
+
+  // Converges in two steps, including across a daylight saving change
+  for (let step = 0; step < 2; step++) {
+    const offset = toWallTime(date, timeZone) - date.getTime();
+    date = new Date(wallTime - offset);
+  }
+
+  return date;
+};
+
+/**
+ * Days of the week a rule repeats on, defaulting to the start date's day
+ */
+const getDaysOfWeek = (startDate, recurrence) => {
+  if (recurrence.daysOfWeek) {
+    return [...recurrence.daysOfWeek].sort((a, b) => a - b);
+  }
+
+  const timeZone = recurrence.timeZone || "UTC";
+  return [new Date(toWallTime(new Date(startDate), timeZone)).getUTCDay()];
+};
+
+/**
+ * Service class for recurring fixtures and training sessions
+ *
+ * A series only stores its rule. Creating one generates every occurrence up
+ * front as an ordinary match or training session linked by `seriesId`, so
+ * each keeps its own reminder (`notificationSent`), squad and register and
+ * can be edited or cancelled on its own. Whole-series edits and
+ * cancellations only touch upcoming occurrences; past ones stay as history.
+ */
+class EventSeriesService {
+  /**
+   * Validate a recurrence rule from a request body
+   * @param {Object} recurrence - { frequency, daysOfWeek, endDate, count,
+   *   timeZone }; daysOfWeek defaults to the start date's day and endDate
+   *   is the last day ("YYYY-MM-DD")
+   * @param {Date|string} startDate - The first occurrence's date and time
+   * @returns {Object} - { valid, message }
+   */
+  static validateRecurrence(recurrence, startDate) {
+    if (!recurrence || typeof recurrence !== "object") {
+      return { valid: false, message: "recurrence must be an object" };
+    }
+
+    const { frequency, daysOfWeek, endDate, count, timeZone } = recurrence;
+
+    if (!FREQUENCY_WEEKS[frequency]) {
+      return {
+        valid: false,
+        message: `frequency must be one of: ${Object.keys(
+          FREQUENCY_WEEKS
+        ).join(", ")}`,
+      };
+    }
+
+    if (daysOfWeek !== undefined && daysOfWeek !== null) {
+      if (
+        !Array.isArray(daysOfWeek) ||
+        daysOfWeek.length === 0 ||
+        daysOfWeek.some(
+          (day) => !Number.isInteger(day) || day < 0 || day > 6
+        ) ||
+        new Set(daysOfWeek).size !== daysOfWeek.length
+      ) {
+        return {
+          valid: false,
+          message: "daysOfWeek must list different days from 0 (Sunday) to 6",
+        };
+      }
+    }
+
+    const hasEndDate = endDate !== undefined && endDate !== null;
+    const hasCount = count !== undefined && count !== null;
+    if (hasEndDate === hasCount) {
+      return {
+        valid: false,
+        message: "A series needs either an endDate or a count",
+      };
+    }
+
+    if (hasEndDate && Number.isNaN(new Date(endDate).getTime())) {
+      return { valid: false, message: "endDate must be a valid date" };
+    }
+
+    if (
+      hasCount &&
+      (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)
+    ) {
+      return {
+        valid: false,
+        message: `count must be a whole number from 1 to ${MAX_OCCURRENCES}`,
+      };
+    }
+
+    if (timeZone !== undefined && timeZone !== null) {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone });
+      } catch {
+        return { valid: false, message: "timeZone must be an IANA time zone" };
+      }
+    }
+
+    const dates = this.generateDates(startDate, recurrence);
+    if (dates.length === 0) {
+      return {
+        valid: false,
+        message: "The series has no occurrences before its endDate",
+      };
+    }
+    if (dates.length > MAX_OCCURRENCES) {
+      return {
+        valid: false,
+        message: `A series can have at most ${MAX_OCCURRENCES} occurrences`,
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate an edit or cancellation scope from a query string
+   * @returns {Object} - { valid, message }
+   */
+  static validateScope(scope) {
+    if (scope !== undefined && !SERIES_SCOPES.includes(scope)) {
+      return {
+        valid: false,
+        message: `scope must be one of: ${SERIES_SCOPES.join(", ")}`,
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Dates of a series' occurrences, in order
+   * Occurrences fall on the chosen days on or after the start date, at the
+   * start's local time in the rule's time zone, and stop at the count or
+   * after the end date's day (at most one more than MAX_OCCURRENCES, so
+   * validation can spot rules that run too long).
+   * @param {Date|string} startDate - The first occurrence's date and time
+   * @param {Object} recurrence - A validated rule
+   * @returns {Array<Date>}
+   */
+  static generateDates(startDate, recurrence) {
+    const timeZone = recurrence.timeZone || "UTC";
+    const startWall = toWallTime(new Date(startDate), timeZone);
+    const startDay = new Date(startWall).getUTCDay();
+    const days = getDaysOfWeek(startDate, recurrence);
+    const weeks = FREQUENCY_WEEKS[recurrence.frequency];
+    const limit = recurrence.count || MAX_OCCURRENCES + 1;
+    // The end date is a calendar day, stored as midnight UTC like seasons
+    const lastDay = recurrence.endDate
+      ? Math.floor(new Date(recurrence.endDate).getTime() / DAY_MS)
+      : Infinity;
+
+    // The start's time of day on the Sunday of its week
+    const firstWeek = startWall - startDay * DAY_MS;
+    const dates = [];
+
+    for (let week = 0; ; week += weeks) {
+      for (const day of days) {
+        const wallTime = firstWeek + (week * 7 + day) * DAY_MS;
+        if (wallTime < startWall) continue;
+        if (Math.floor(wallTime / DAY_MS) > lastDay) return dates;
+
+        dates.push(fromWallTime(wallTime, timeZone));
+        if (dates.length === limit) return dates;
+      }
+    }
+  }
+
+  /**
+   * Save a series' rule
+   * Must be called with a transaction client inside the user's RLS context,
+   * after checking the user can schedule for the team.
+   * @param {Object} data - { kind, userId (team owner), teamId, startDate,
+   *   recurrence }
+   * @returns {Object} - The series
+   */
+  static async createSeries(tx, data) {
+    const { recurrence } = data;
+
+    return await tx.eventSeries.create({
+      data: {
+        kind: data.kind,
+        frequency: recurrence.frequency,
+        daysOfWeek: getDaysOfWeek(data.startDate, recurrence),
+        timeZone: recurrence.timeZone || "UTC",
+        startDate: new Date(data.startDate),
+        endDate: recurrence.endDate ? new Date(recurrence.endDate) : null,
+        count: recurrence.count || null,
+        userId: data.userId,
+        teamId: data.teamId,
+      },
+    });
+  }
+
+  /**
+   * Prisma model and `where` for a series' other upcoming occurrences
+   * Finished matches count as past even if their date is still to come.
+   */
+  static getUpcomingOccurrences(tx, kind, occurrence) {
+    const where = {
+      seriesId: occurrence.seriesId,
+      id: { not: occurrence.id },
+      date: { gte: new Date() },
+      ...(kind === "match" && { isFinished: false, isDeleted: false }),
+    };
+
+    return {
+      model: kind === "match" ? tx.match : tx.trainingSession,
+      where,
+    };
+  }
+
+  /**
+   * Copy an occurrence's edit to the rest of its series' upcoming
+   * occurrences
+   * When the edited occurrence moved, the others move by the same local
+   * time in the series' time zone (so a change from 6pm to 7pm stays 7pm
+   * across daylight saving) and get their reminder again. Moved matches
+   * also move to the season covering their new date.
+   * @param {string} kind - "match" or "training"
+   * @param {Object} occurrence - The edited occurrence { id, seriesId }
+   * @param {Object} changes - { from, to } dates when it moved, and `data`
+   *   with the fields it was updated with
+   * @returns {number} - How many other occurrences were updated
+   */
+  static async updateUpcoming(tx, kind, occurrence, changes) {
+    const series = await tx.eventSeries.findUnique({
+      where: { id: occurrence.seriesId },
+      select: { timeZone: true },
+    });
+    if (!series) return 0;
+
+    const fields =
+      kind === "match" ? SERIES_MATCH_FIELDS : SERIES_TRAINING_FIELDS;
+    const data = Object.fromEntries(
+      Object.entries(changes.data || {}).filter(([key]) =>
+        fields.includes(key)
+      )
+    );
+
+    const { timeZone } = series;
+    const shift =
+      changes.from && changes.to
+        ? toWallTime(changes.to, timeZone) - toWallTime(changes.from, timeZone)
+        : 0;
+
+    const { model, where } = this.getUpcomingOccurrences(tx, kind, occurrence);
+    const others = await model.findMany({
+      where,
+      select: { id: true, date: true, teamId: true },
+    });
+
+    for (const other of others) {
+      const date = shift
+        ? fromWallTime(toWallTime(other.date, timeZone) + shift, timeZone)
+        : null;
+
+      await model.update({
+        where: { id: other.id },
+        data: {
+          ...data,
+          ...(date && {
+            date,
+            notificationSent: false,
+            notificationSentAt: null,
+          }),
+          ...(date &&
+            kind === "match" && {
+              seasonId: await SeasonService.findSeasonIdForDate(
+                tx,
+                other.teamId,
+                date
+              ),
+            }),
+        },
+      });
+    }
+
+    return others.length;
+  }
+
+  /**
+   * Cancel the rest of a series: delete its other upcoming occurrences and
+   * the series itself, leaving past occurrences as one-off events. The
+   * caller deletes the occurrence the cancellation was made from. Matches go
+   * to the trash, so restoring one brings it back as a one-off match.
+   * @param {string} kind - "match" or "training"
+   * @param {Object} occurrence - { id, seriesId }
+   * @returns {number} - How many other occurrences were deleted
+   */
+  static async deleteUpcoming(tx, kind, occurrence) {
+    const { model, where } = this.getUpcomingOccurrences(tx, kind, occurrence);
+    const others = await model.findMany({ where, select: { id: true } });
+    const ids = others.map((other) => other.id);
+
+    if (kind === "match") {
+      await model.updateMany({
+        where: { id: { in: ids } },
+        data: { isDeleted: true, deletedAt: new Date() },
+      });
+    } else {
+      await model.deleteMany({ where: { id: { in: ids } } });
+    }
+
+    await tx.eventSeries.deleteMany({ where: { id: occurrence.seriesId } });
+
+    return ids.length;
+  }
+}
+
+export default EventSeriesService;
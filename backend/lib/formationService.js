@@ -0,0 +1,333 @@
+import { Prisma } from "@prisma/client";
+import { withDatabaseUserContext } from "./db-utils.js";
+import MatchEventService from "./matchEventService.js";
+import TeamMembershipService from "./teamMembershipService.js";
+
+const SHAPE_PATTERN = /^[1-6](-[1-6]){0,4}$/;
+const MAX_OUTFIELD_PLAYERS = 10;
+const MAX_NAME_LENGTH = 50;
+
+const formationSelect = {
+  id: true,
+  name: true,
+  shape: true,
+  slots: true,
+  teamId: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+/**
+ * Service class for team formations and match lineups
+ *
+ * A formation is a shape (outfield lines from defence to attack, e.g. "2-3-1")
+ * and its slots: [{ id, label, x, y }] with x and y from 0 to 1 and our goal
+ * at y = 1. A match lineup is a copy of the slots plus which player starts in
+ * each, so editing a team formation later doesn't change past matches.
+ */
+class FormationService {
+  /**
+   * Validate a formation shape such as "4-4-2"
+   * @returns {Object} - { valid, message }
+   */
+  static validateShape(shape) {
+    if (typeof shape !== "string" || !SHAPE_PATTERN.test(shape)) {
+      return {
+        valid: false,
+        message: 'shape must be outfield lines such as "2-3-1"',
+      };
+    }
+
+    const outfield = shape.split("-").reduce((sum, n) => sum + Number(n), 0);
+    if (outfield > MAX_OUTFIELD_PLAYERS) {
+      return {
+        valid: false,
+        message: `shape cannot have more than ${MAX_OUTFIELD_PLAYERS} outfield players`,
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate formation slots: the goalkeeper plus one per outfield player
+   * @param {Array<Object>} slots - [{ id, label, x, y }]
+   * @param {string} shape
+   * @returns {Object} - { valid, message }
+   */
+  static validateSlots(slots, shape) {
+    const expected =
+      shape.split("-").reduce((sum, n) => sum + Number(n), 0) + 1;
+
+    if (!Array.isArray(slots) || slots.length !== expected) {
+      return {
+        valid: false,
+        message: `slots must have ${expected} positions for a ${shape}`,
+      };
+    }
+
+    const ids = new Set();
+    for (const slot of slots) {
+      if (
+        !slot ||
+        typeof slot.id !== "string" ||
+        !slot.id ||
+        typeof slot.label !== "string" ||
+        !slot.label ||
+        slot.label.length > 6
+      ) {
+        return {
+          valid: false,
+          message: "Each slot needs an id and a label of up to 6 characters",
+        };
+      }
+      for (const key of ["x", "y"]) {
+        const value = slot[key];
+        if (typeof value !== "number" || value < 0 || value > 1) {
+          return {
+            valid: false,
+            message: `slot.${key} must be a number between 0 and 1`,
+          };
+        }
+      }
+      if (ids.has(slot.id)) {
+        return { valid: false, message: "Slot ids must be unique" };
+      }
+      ids.add(slot.id);
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate a formation from a request body
+   * @param {Object} data - { name, shape, slots }
+   * @param {boolean} partial - Allow missing fields (updates)
+   * @returns {Object} - { valid, message }
+   */
+  static validateFormation(data, partial = false) {
+    const { name, shape, slots } = data || {};
+
+    if (name !== undefined || !partial) {
+      if (
+        typeof name !== "string" ||
+        !name.trim() ||
+        name.length > MAX_NAME_LENGTH
+      ) {
+        return {
+          valid: false,
+          message: `Formation name is required (up to ${MAX_NAME_LENGTH} characters)`,
+        };
+      }
+    }
+
+    if (partial && shape === undefined && slots === undefined) {
+      return { valid: true };
+    }
+
+    if (shape === undefined || slots === undefined) {
+      return { valid: false, message: "shape and slots are required" };
+    }
+
+    const shapeValidation = this.validateShape(shape);
+    if (!shapeValidation.valid) return shapeValidation;
+
+    return this.validateSlots(slots, shape);
+  }
+
+  /**
+   * Validate a match lineup from a request body
+   * `null` is valid and clears the lineup.
+   * @param {Object|null} lineup - { shape, slots, assignments }
+   * @returns {Object} - { valid, message }
+   */
+  static validateLineup(lineup) {
+    if (lineup === null) {
+      return { valid: true };
+    }
+
+    if (typeof lineup !== "object" || Array.isArray(lineup)) {
+      return { valid: false, message: "lineup must be an object" };
+    }
+
+    const shapeValidation = this.validateShape(lineup.shape);
+    if (!shapeValidation.valid) return shapeValidation;
+
+    const slotsValidation = this.validateSlots(lineup.slots, lineup.shape);
+    if (!slotsValidation.valid) return slotsValidation;
+
+    const assignments = lineup.assignments || {};
+    if (typeof assignments !== "object" || Array.isArray(assignments)) {
+      return { valid: false, message: "lineup.assignments must be an object" };
+    }
+
+    const slotIds = lineup.slots.map((slot) => slot.id);
+    const playerIds = Object.values(assignments);
+    if (
+      Object.keys(assignments).some((slotId) => !slotIds.includes(slotId)) ||
+      playerIds.some((playerId) => typeof playerId !== "string")
+    ) {
+      return {
+        valid: false,
+        message: "lineup.assignments must map slot ids to player ids",
+      };
+    }
+
+    if (new Set(playerIds).size !== playerIds.length) {
+      return {
+        valid: false,
+        message: "A player can only fill one slot in a lineup",
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Drop unknown slot fields before saving
+   */
+  static toSlotsColumn(slots) {
+    return slots.map(({ id, label, x, y }) => ({
+      id,
+      label,
+      x: Math.round(x * 1000) / 1000,
+      y: Math.round(y * 1000) / 1000,
+    }));
+  }
+
+  /**
+   * Normalize a validated lineup before saving
+   * @returns {Object} - Column value (Prisma.DbNull clears the lineup)
+   */
+  static toLineupColumn(lineup) {
+    if (!lineup) return Prisma.DbNull;
+
+    return {
+      shape: lineup.shape,
+      slots: this.toSlotsColumn(lineup.slots),
+      assignments: { ...(lineup.assignments || {}) },
+    };
+  }
+
+  /**
+   * Ensure a match's formation and lineup players are on the user's teams
+   * Must be called with a transaction client inside the user's RLS context.
+   * @param {Object} data - { formationId, lineup } (either may be undefined)
+   */
+  static async assertLineupAccess(tx, userId, { formationId, lineup }) {
+    if (formationId) {
+      await this.assertFormationAccess(tx, userId, formationId, "viewer");
+    }
+
+    if (lineup?.assignments) {
+      await MatchEventService.assertPlayersAccess(
+        tx,
+        userId,
+        Object.values(lineup.assignments).map((playerId) => ({ playerId }))
+      );
+    }
+  }
+
+  /**
+   * Ensure a formation exists and the user has the given role on its team
+   */
+  static async assertFormationAccess(tx, userId, formationId, minRole) {
+    const formation = await tx.formation.findUnique({
+      where: { id: formationId },
+      select: { id: true, teamId: true },
+    });
+
+    if (!formation) {
+      throw new Error("Formation not found or unauthorized");
+    }
+
+    await TeamMembershipService.assertTeamAccess(
+      tx,
+      userId,
+      formation.teamId,
+      minRole,
+      "Formation"
+    );
+  }
+
+  /**
+   * Get a team's saved formations
+   */
+  static async getTeamFormations(userId, teamId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertTeamAccess(tx, userId, teamId);
+
+      return await tx.formation.findMany({
+        where: { teamId },
+        select: formationSelect,
+        orderBy: { createdAt: "asc" },
+      });
+    });
+  }
+
+  /**
+   * Save a new formation for a team
+   * @param {Object} data - Validated { name, shape, slots }
+   */
+  static async createFormation(userId, teamId, data) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const { team } = await TeamMembershipService.assertTeamAccess(
+        tx,
+        userId,
+        teamId,
+        "coach"
+      );
+
+      return await tx.formation.create({
+        data: {
+          name: data.name.trim(),
+          shape: data.shape,
+          slots: this.toSlotsColumn(data.slots),
+          userId: team.userId,
+          teamId,
+        },
+        select: formationSelect,
+      });
+    });
+  }
+
+  /**
+   * Rename a formation or replace its shape and slots
+   * Lineups already saved on matches keep their own copy of the slots.
+   * @param {Object} data - Validated { name?, shape?, slots? }
+   */
+  static async updateFormation(userId, formationId, data) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertFormationAccess(tx, userId, formationId, "coach");
+
+      return await tx.formation.update({
+        where: { id: formationId },
+        data: {
+          ...(data.name !== undefined && { name: data.name.trim() }),
+          ...(data.shape !== undefined && {
+            shape: data.shape,
+            slots: this.toSlotsColumn(data.slots),
+          }),
+        },
+        select: formationSelect,
+      });
+    });
+  }
+
+  /**
+   * Delete a formation (matches using it keep their lineup)
+   */
+  static async deleteFormation(userId, formationId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertFormationAccess(tx, userId, formationId, "coach");
+
+      await tx.formation.delete({
+        where: { id: formationId },
+      });
+
+      return { success: true };
+    });
+  }
+}
+
+export default FormationService;
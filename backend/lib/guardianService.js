@@ -0,0 +1,350 @@
+import { withDatabaseUserContext } from "./db-utils.js";
+import EncryptionService from "./encryption.js";
+import PlayerService from "./playerService.js";
+import TeamMembershipService, {
+  GUARDIAN_ROLE,
+} from "./teamMembershipService.js";
+import VenueService from "./venueService.js";
+
+const RECENT_RESULTS = 10;
+
+// What guardians see of a match: no notes, squad or other players' stats
+const fixtureSelect = {
+  id: true,
+  date: true,
+  opponent: true,
+  venue: true,
+  matchType: true,
+  isFinished: true,
+  goalsFor: true,
+  goalsAgainst: true,
+  penaltiesFor: true,
+  penaltiesAgainst: true,
+  teamId: true,
+  team: { select: { id: true, name: true } },
+  venueRecord: {
+    select: {
+      id: true,
+      name: true,
+      address: true,
+      pitchNumber: true,
+      parkingNotes: true,
+      latitude: true,
+      longitude: true,
+    },
+  },
+};
+
+const guardianPlayerSelect = {
+  id: true,
+  name: true,
+  goals: true,
+  assists: true,
+  teamId: true,
+  team: { select: { id: true, name: true, avatar: true } },
+};
+
+/**
+ * Service class for parents and guardians linked to players
+ *
+ * Guardians are not team members. They see the players they are linked to,
+ * those players' own match stats, and their squads' fixtures and results;
+ * every guardian read goes through here and is limited to those links.
+ */
+class GuardianService {
+  /**
+   * Decrypt a linked player and their team's name
+   */
+  static decryptPlayer(player) {
+    return {
+      ...player,
+      name: EncryptionService.decrypt(player.name),
+      team: player.team && {
+        ...player.team,
+        name: EncryptionService.decrypt(player.team.name),
+      },
+    };
+  }
+
+  /**
+   * Add the venue's maps link to a fixture and decrypt its team's name
+   */
+  static withVenue(match) {
+    return {
+      ...match,
+      team: match.team && {
+        ...match.team,
+        name: EncryptionService.decrypt(match.team.name),
+      },
+      venueRecord: VenueService.withMapsUrl(match.venueRecord),
+    };
+  }
+
+  /**
+   * Get the players a user is guardian of, with their squads' fixtures
+   * Fixtures are those of every squad the players are in now and include
+   * `availability` requests for the user's players. Results also cover
+   * matches they were picked for in squads they have since left.
+   * @returns {Object} - { players, fixtures, results, isTeamMember };
+   *   `isTeamMember` is false for users who only follow players, who get
+   *   the guardian view of the app
+   */
+  static async getOverview(userId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const [players, membershipCount] = await Promise.all([
+        tx.player.findMany({
+          where: { guardians: { some: { userId } }, isDeleted: false },
+          select: guardianPlayerSelect,
+          orderBy: { createdAt: "asc" },
+        }),
+        tx.teamMembership.count({ where: { userId } }),
+      ]);
+
+      const playerIds = players.map((player) => player.id);
+
+      let fixtures = [];
+      let results = [];
+      if (playerIds.length > 0) {
+        const squads = await tx.playerTeamMembership.findMany({
+          where: { playerId: { in: playerIds }, leftAt: null },
+          select: { teamId: true },
+        });
+        const teamIds = [...new Set(squads.map((squad) => squad.teamId))];
+
+        [fixtures, results] = await Promise.all([
+          tx.match.findMany({
+            where: {
+              teamId: { in: teamIds },
+              isFinished: false,
+              isDeleted: false,
+            },
+            select: {
+              ...fixtureSelect,
+              // Availability requests for the user's own players
+              availability: {
+                where: { playerId: { in: playerIds } },
+                select: {
+                  playerId: true,
+                  status: true,
+                  requestedAt: true,
+                  respondedAt: true,
+                },
+              },
+            },
+            orderBy: { date: "asc" },
+          }),
+          tx.match.findMany({
+            where: {
+              OR: [
+                { teamId: { in: teamIds } },
+                { selectedPlayerIds: { hasSome: playerIds } },
+              ],
+              isFinished: true,
+              isDeleted: false,
+            },
+            select: fixtureSelect,
+            orderBy: { date: "desc" },
+            take: RECENT_RESULTS,
+          }),
+        ]);
+      }
+
+      return {
+        players: players.map((player) => this.decryptPlayer(player)),
+        fixtures: fixtures.map((match) => this.withVenue(match)),
+        results: results.map((match) => this.withVenue(match)),
+        isTeamMember: membershipCount > 0,
+      };
+    });
+  }
+
+  /**
+   * Ensure the user is a guardian of a player
+   * Must be called with a transaction client inside the user's RLS context.
+   */
+  static async assertGuardianOf(tx, userId, playerId) {
+    const player = await tx.player.findFirst({
+      where: {
+        id: playerId,
+        isDeleted: false,
+        guardians: { some: { userId } },
+      },
+      select: guardianPlayerSelect,
+    });
+
+    if (!player) {
+      throw new Error("Player not found or unauthorized");
+    }
+
+    return player;
+  }
+
+  /**
+   * Get a linked player's matches with only their own stats
+   * These are the matches they were picked for in any squad, past or
+   * present. Matches keep the shape of GET /api/matches so the app can reuse
+   * its player stats screen, but `selectedPlayerIds`, `playerOfTheMatchId`
+   * and `playerStats` only ever mention this player.
+   * @returns {Object} - { player, matches }
+   */
+  static async getPlayerStats(userId, playerId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const player = await this.assertGuardianOf(tx, userId, playerId);
+
+      const matches = await tx.match.findMany({
+        where: {
+          teamId: { not: null },
+          selectedPlayerIds: { has: playerId },
+          isDeleted: false,
+        },
+        select: {
+          ...fixtureSelect,
+          playerOfTheMatchId: true,
+          playerStats: {
+            where: { playerId },
+            select: {
+              playerId: true,
+              goals: true,
+              assists: true,
+              minutesPlayed: true,
+              playingPeriods: true,
+              yellowCards: true,
+              redCard: true,
+              saves: true,
+              goalsConceded: true,
+              cleanSheet: true,
+            },
+          },
+        },
+        orderBy: { date: "desc" },
+      });
+
+      return {
+        player: this.decryptPlayer(player),
+        matches: matches.map(({ playerOfTheMatchId, ...match }) => ({
+          ...this.withVenue(match),
+          selectedPlayerIds: [playerId],
+          playerOfTheMatchId:
+            playerOfTheMatchId === playerId ? playerId : null,
+        })),
+      };
+    });
+  }
+
+  /**
+   * Get a player's guardians and pending guardian invitations (coaches)
+   * @returns {Object} - { guardians, invitations }
+   */
+  static async getGuardians(userId, playerId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await PlayerService.assertPlayerAccess(tx, userId, playerId, "coach");
+
+      const [guardians, invitations] = await Promise.all([
+        tx.playerGuardian.findMany({
+          where: { playerId },
+          select: {
+            id: true,
+            createdAt: true,
+            user: { select: { id: true, name: true, email: true } },
+          },
+          orderBy: { createdAt: "asc" },
+        }),
+        tx.teamInvitation.findMany({
+          where: {
+            playerId,
+            acceptedAt: null,
+            expiresAt: { gt: new Date() },
+          },
+          select: {
+            id: true,
+            email: true,
+            token: true,
+            expiresAt: true,
+            createdAt: true,
+            teamId: true,
+          },
+          orderBy: { createdAt: "desc" },
+        }),
+      ]);
+
+      return {
+        guardians: guardians.map((guardian) => ({
+          ...guardian,
+          user: EncryptionService.decryptFields(guardian.user, [
+            "name",
+            "email",
+          ]),
+        })),
+        invitations: EncryptionService.decryptArray(invitations, ["email"]),
+      };
+    });
+  }
+
+  /**
+   * Invite a parent or guardian to follow a player (coaches)
+   * @param {Object} data - Validated { email? }; without an email the
+   *   invitation is only shared as a link
+   * @returns {Object} - The invitation with `teamName`, `invitedByName` and
+   *   `playerName` for the invitation email
+   */
+  static async createInvitation(userId, playerId, data) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const { team } = await PlayerService.assertPlayerAccess(
+        tx,
+        userId,
+        playerId,
+        "coach"
+      );
+
+      if (!team) {
+        throw new Error("Player must be on a team to invite a guardian");
+      }
+
+      const player = await tx.player.findUnique({
+        where: { id: playerId },
+        select: { name: true },
+      });
+
+      const invitation = await TeamMembershipService.insertInvitation(
+        tx,
+        userId,
+        team.id,
+        { email: data.email, role: GUARDIAN_ROLE, playerId }
+      );
+
+      return {
+        ...invitation,
+        playerName: EncryptionService.decrypt(player.name),
+      };
+    });
+  }
+
+  /**
+   * Unlink a guardian from a player
+   * Coaches can remove any guardian; guardians can remove themselves.
+   */
+  static async removeGuardian(userId, playerId, guardianId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const guardian = await tx.playerGuardian.findFirst({
+        where: { id: guardianId, playerId },
+        select: { id: true, userId: true },
+      });
+
+      if (!guardian) {
+        throw new Error("Guardian not found or unauthorized");
+      }
+
+      if (guardian.userId !== userId) {
+        await PlayerService.assertPlayerAccess(tx, userId, playerId, "coach");
+      }
+
+      await tx.playerGuardian.delete({
+        where: { id: guardian.id },
+      });
+
+      return { success: true };
+    });
+  }
+}
+
+export default GuardianService;
@@ -0,0 +1,81 @@
+import { getPrisma } from "./prisma.js";
+import CloudinaryImageStorage from "./cloudinaryImageStorage.js";
+import LocalImageStorage from "./localImageStorage.js";
+
+// Storage drivers, chosen with IMAGE_STORAGE. Each has
+// upload(image, { folder, userId, req }) => { url, publicId },
+// remove(publicId) and getPublicId(url) (null for URLs it didn't create).
+const DRIVERS = {
+  cloudinary: CloudinaryImageStorage,
+  local: LocalImageStorage,
+};
+
+const DEFAULT_DRIVER = "cloudinary";
+
+/**
+ * Service class for uploaded images (team and player avatars)
+ *
+ * Records only keep an image's URL. When a record's image is replaced or the
+ * record is purged from the trash, the old image is deleted too, unless
+ * another team or player (deleted ones included) still uses the same URL.
+ */
+class ImageStorage {
+  /**
+   * The storage driver selected by IMAGE_STORAGE
+   */
+  static getDriver() {
+    const name = process.env.IMAGE_STORAGE || DEFAULT_DRIVER;
+    const driver = DRIVERS[name];
+    if (!driver) {
+      throw new Error(
+        `IMAGE_STORAGE must be one of: ${Object.keys(DRIVERS).join(", ")}`
+      );
+    }
+
+    return driver;
+  }
+
+  /**
+   * Upload an image with the selected driver
+   * @param {string} image - Base64 data URL
+   * @param {Object} options - { folder, userId, req }
+   * @returns {Object} - { url, publicId }
+   */
+  static async upload(image, options) {
+    return await this.getDriver().upload(image, options);
+  }
+
+  /**
+   * Delete an image that no team or player uses any more
+   * Call after the change that stopped using it has been committed. Images
+   * from elsewhere are left alone, and failures are only logged so they
+   * never fail the change itself.
+   * @param {string|null} url - The previous avatar
+   */
+  static async deleteIfUnused(url) {
+    if (!url) return;
+
+    try {
+      // Look across all users, not just the current one's RLS context
+      const prisma = getPrisma();
+      const [teams, players] = await Promise.all([
+        prisma.team.count({ where: { avatar: url } }),
+        prisma.player.count({ where: { avatar: url } }),
+      ]);
+      if (teams + players > 0) return;
+
+      for (const driver of Object.values(DRIVERS)) {
+        const publicId = driver.getPublicId(url);
+        if (publicId) {
+          await driver.remove(publicId);
+          console.log("🗑️ Deleted unused image:", publicId);
+          return;
+        }
+      }
+    } catch (error) {
+      console.error("Failed to delete unused image:", url, error);
+    }
+  }
+}
+
+export default ImageStorage;
@@ -0,0 +1,355 @@
+import { withDatabaseUserContext } from "./db-utils.js";
+import MatchEventService, { MATCH_EVENT_TYPES } from "./matchEventService.js";
+import TeamMatchStats from "./teamMatchStats.js";
+import TeamMembershipService from "./teamMembershipService.js";
+
+/**
+ * Service class for live match co-scoring sessions
+ *
+ * Several signed-in devices can score the same match. Each device pushes its
+ * local changes and adopts the merged state returned by the server. Merge rules:
+ * - Events are a union keyed by the device-generated clientId, so re-sent
+ *   pushes are idempotent. A removal is recorded as a tombstone and always
+ *   wins over a later add of the same event.
+ * - Event updates (e.g. linking an assist) apply in the order they arrive.
+ * - The clock, the lineup and the team counters (shots, corners...) are
+ *   last-writer-wins on the device's change timestamp; equal timestamps are
+ *   broken by the higher device ID.
+ * - The score is never written directly: it is counted from the goal events,
+ *   so every device shows the same scoreline once it has synced.
+ */
+class LiveMatchSessionService {
+  /**
+   * Decide whether an incoming clock/lineup/counters write replaces the
+   * stored one
+   * @param {number} incomingUpdatedAt - Device change time (ms since epoch)
+   * @param {string} incomingDeviceId
+   * @param {Date|null} currentUpdatedAt
+   * @param {string|null} currentDeviceId
+   * @returns {boolean}
+   */
+  static isNewerWrite(
+    incomingUpdatedAt,
+    incomingDeviceId,
+    currentUpdatedAt,
+    currentDeviceId
+  ) {
+    if (!currentUpdatedAt) return true;
+
+    const diff = incomingUpdatedAt - currentUpdatedAt.getTime();
+    if (diff !== 0) return diff > 0;
+
+    return (incomingDeviceId || "") > (currentDeviceId || "");
+  }
+
+  /**
+   * Count the score from the goal events
+   */
+  static scoreFromEvents(events) {
+    return {
+      goalsFor: events.filter((e) => e.type === MATCH_EVENT_TYPES.GOAL).length,
+      goalsAgainst: events.filter(
+        (e) => e.type === MATCH_EVENT_TYPES.OPPONENT_GOAL
+      ).length,
+    };
+  }
+
+  /**
+   * Move the match score by the goals an event log change added or removed
+   * A score entered before the match had a log is kept.
+   */
+  static scoreAfterChange(match, previousEvents, events) {
+    const before = this.scoreFromEvents(previousEvents);
+    const after = this.scoreFromEvents(events);
+
+    return {
+      goalsFor: Math.max(
+        0,
+        (match.goalsFor || 0) + after.goalsFor - before.goalsFor
+      ),
+      goalsAgainst: Math.max(
+        0,
+        (match.goalsAgainst || 0) + after.goalsAgainst - before.goalsAgainst
+      ),
+    };
+  }
+
+  /**
+   * Shape a session and its events for the response
+   */
+  static serializeSession(session, events) {
+    return {
+      version: session?.version || 0,
+      clock: session?.clockUpdatedAt
+        ? {
+            running: session.clockRunning,
+            startedAt: session.clockStartedAt
+              ? session.clockStartedAt.getTime()
+              : null,
+            accumulatedSeconds: session.clockAccumulatedSeconds,
+            period: session.clockPeriod,
+            inBreak: session.clockInBreak,
+            breakStartedAt: session.clockBreakStartedAt
+              ? session.clockBreakStartedAt.getTime()
+              : null,
+            updatedAt: session.clockUpdatedAt.getTime(),
+            deviceId: session.clockDeviceId,
+          }
+        : null,
+      lineup: session?.lineupUpdatedAt
+        ? {
+            ...session.lineup,
+            updatedAt: session.lineupUpdatedAt.getTime(),
+            deviceId: session.lineupDeviceId,
+          }
+        : null,
+      teamStats: session?.teamStatsUpdatedAt
+        ? {
+            ...session.teamStats,
+            updatedAt: session.teamStatsUpdatedAt.getTime(),
+            deviceId: session.teamStatsDeviceId,
+          }
+        : null,
+      removedEventIds: session?.removedEventIds || [],
+      score: this.scoreFromEvents(events),
+      events,
+    };
+  }
+
+  /**
+   * Find an event by the ID a device knows it by (clientId, or server ID for
+   * events that were never synced live)
+   */
+  static async findEventByClientId(tx, matchId, clientId) {
+    return await tx.matchEvent.findFirst({
+      where: {
+        matchId,
+        OR: [{ clientId }, { id: clientId }],
+      },
+    });
+  }
+
+  /**
+   * Get the live state for a match
+   */
+  static async getSession(userId, matchId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertMatchAccess(tx, userId, matchId);
+
+      const session = await tx.liveMatchSession.findUnique({
+        where: { matchId },
+      });
+      const events = await MatchEventService.findEvents(tx, matchId);
+
+      return this.serializeSession(session, events);
+    });
+  }
+
+  /**
+   * Merge a device's changes into the live session
+   * @param {string} userId
+   * @param {string} matchId
+   * @param {Object} changes - { deviceId, clock, lineup, teamStats, events: { added, updated, removed } }
+   *   clock: { running, startedAt, accumulatedSeconds, period, inBreak, breakStartedAt, updatedAt }
+   *   teamStats: { for, against, updatedAt }
+   * @returns {Object} - Merged session state
+   */
+  static async pushChanges(userId, matchId, changes) {
+    const { deviceId, clock, lineup, teamStats } = changes;
+    const added = changes.events?.added || [];
+    const updated = changes.events?.updated || [];
+    const removed = changes.events?.removed || [];
+
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertMatchAccess(
+        tx,
+        userId,
+        matchId,
+        "scorer"
+      );
+      await MatchEventService.assertPlayersAccess(tx, userId, [
+        ...added,
+        ...updated,
+      ]);
+
+      let session = await tx.liveMatchSession.upsert({
+        where: { matchId },
+        create: { matchId },
+        update: {},
+      });
+
+      const previousEvents = await tx.matchEvent.findMany({
+        where: { matchId },
+      });
+
+      // Removals first, so a tombstone always beats an add
+      const tombstones = new Set([...session.removedEventIds, ...removed]);
+      if (removed.length > 0) {
+        await tx.matchEvent.deleteMany({
+          where: {
+            matchId,
+            OR: [{ clientId: { in: removed } }, { id: { in: removed } }],
+          },
+        });
+      }
+
+      for (const data of added) {
+        if (tombstones.has(data.clientId)) continue;
+
+        const existing = await this.findEventByClientId(
+          tx,
+          matchId,
+          data.clientId
+        );
+        if (existing) continue;
+
+        await tx.matchEvent.create({
+          data: MatchEventService.toEventData(matchId, data),
+        });
+      }
+
+      for (const data of updated) {
+        const existing = await this.findEventByClientId(
+          tx,
+          matchId,
+          data.clientId
+        );
+        if (!existing) continue;
+
+        const merged = {
+          ...existing,
+          ...(data.assistPlayerId !== undefined && {
+            assistPlayerId: data.assistPlayerId,
+          }),
+          ...(data.notes !== undefined && { notes: data.notes }),
+        };
+        const validation = MatchEventService.validateEvent(merged);
+        if (!validation.valid) {
+          throw new Error(`Invalid event: ${validation.message}`);
+        }
+
+        await tx.matchEvent.update({
+          where: { id: existing.id },
+          data: MatchEventService.toEventData(matchId, merged),
+        });
+      }
+
+      const sessionData = {
+        version: { increment: 1 },
+        removedEventIds: [...tombstones],
+      };
+
+      if (
+        clock &&
+        this.isNewerWrite(
+          clock.updatedAt,
+          deviceId,
+          session.clockUpdatedAt,
+          session.clockDeviceId
+        )
+      ) {
+        Object.assign(sessionData, {
+          clockRunning: !!clock.running,
+          clockStartedAt: clock.startedAt ? new Date(clock.startedAt) : null,
+          clockAccumulatedSeconds: clock.accumulatedSeconds || 0,
+          clockPeriod: clock.period || 1,
+          clockInBreak: !!clock.inBreak,
+          clockBreakStartedAt: clock.breakStartedAt
+            ? new Date(clock.breakStartedAt)
+            : null,
+          clockUpdatedAt: new Date(clock.updatedAt),
+          clockDeviceId: deviceId,
+        });
+      }
+
+      if (
+        lineup &&
+        this.isNewerWrite(
+          lineup.updatedAt,
+          deviceId,
+          session.lineupUpdatedAt,
+          session.lineupDeviceId
+        )
+      ) {
+        Object.assign(sessionData, {
+          lineup: {
+            playingPlayerIds: lineup.playingPlayerIds || [],
+            playerPeriods: lineup.playerPeriods || {},
+          },
+          lineupUpdatedAt: new Date(lineup.updatedAt),
+          lineupDeviceId: deviceId,
+        });
+      }
+
+      const matchData = {};
+      if (
+        teamStats &&
+        this.isNewerWrite(
+          teamStats.updatedAt,
+          deviceId,
+          session.teamStatsUpdatedAt,
+          session.teamStatsDeviceId
+        )
+      ) {
+        const counters = TeamMatchStats.normalize(teamStats);
+        Object.assign(sessionData, {
+          teamStats: counters,
+          teamStatsUpdatedAt: new Date(teamStats.updatedAt),
+          teamStatsDeviceId: deviceId,
+        });
+        matchData.teamStats = counters;
+      }
+
+      session = await tx.liveMatchSession.update({
+        where: { matchId },
+        data: sessionData,
+      });
+
+      // Keep the match score, counters and player totals current for other
+      // viewers; a clock or lineup push leaves the score alone
+      const events = await MatchEventService.findEvents(tx, matchId);
+      if (added.length + updated.length + removed.length > 0) {
+        await MatchEventService.syncPlayerStats(tx, matchId, previousEvents);
+        const match = await tx.match.findUnique({
+          where: { id: matchId },
+          select: { goalsFor: true, goalsAgainst: true },
+        });
+        Object.assign(
+          matchData,
+          this.scoreAfterChange(match, previousEvents, events)
+        );
+      }
+      if (Object.keys(matchData).length > 0) {
+        await tx.match.update({
+          where: { id: matchId },
+          data: matchData,
+        });
+      }
+
+      return this.serializeSession(session, events);
+    });
+  }
+
+  /**
+   * End the live session once the match is finished
+   * The event log is kept; only the sync state is removed.
+   */
+  static async endSession(userId, matchId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertMatchAccess(
+        tx,
+        userId,
+        matchId,
+        "scorer"
+      );
+
+      await tx.liveMatchSession.deleteMany({
+        where: { matchId },
+      });
+
+      return { success: true };
+    });
+  }
+}
+
+export default LiveMatchSessionService;
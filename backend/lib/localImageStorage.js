@@ -0,0 +1,111 @@
+import crypto from "crypto";
+import { mkdir, readFile, unlink, writeFile } from "fs/promises";
+import { dirname, join } from "path";
+
+// Image types a data URL may hold, with their file extensions
+const IMAGE_TYPES = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+  "image/gif": "gif",
+};
+
+const DATA_URL_PATTERN = /^data:(image\/[a-z]+);base64,(.+)$/s;
+
+// Keys are "<folder>/<userId>/<file>", served by /api/uploads/<key>
+const KEY_PATTERN = /^[a-z-]+\/[\w-]+\/[\w-]+\.(jpg|png|webp|gif)$/;
+const URL_PATH = "/api/uploads/";
+
+const getUploadDir = () =>
+  process.env.LOCAL_UPLOAD_DIR || join(process.cwd(), "uploads");
+
+/**
+ * Image storage on the server's disk, for local development and tests
+ *
+ * Files go under LOCAL_UPLOAD_DIR (default `uploads/` in the backend) and
+ * are served by GET /api/uploads/[...key]. Images are stored as uploaded;
+ * the app already crops them to a square before sending.
+ */
+class LocalImageStorage {
+  /**
+   * Save an image
+   * @param {string} image - Base64 data URL
+   * @param {Object} options - { folder, userId, req } (the request is used
+   *   for the URL when PUBLIC_APP_URL is not set)
+   * @returns {Object} - { url, publicId }
+   */
+  static async upload(image, { folder, userId, req }) {
+    const [, type, data] = image.match(DATA_URL_PATTERN) || [];
+    if (!IMAGE_TYPES[type]) {
+      throw new Error(
+        `Unsupported image: send a base64 data URL of type ${Object.keys(
+          IMAGE_TYPES
+        ).join(", ")}`
+      );
+    }
+
+    const key = `${folder}/${userId}/${crypto.randomUUID()}.${
+      IMAGE_TYPES[type]
+    }`;
+    const path = join(getUploadDir(), key);
+    await mkdir(dirname(path), { recursive: true });
+    await writeFile(path, Buffer.from(data, "base64"));
+
+    const baseUrl =
+      process.env.PUBLIC_APP_URL ||
+      `${req.headers["x-forwarded-proto"] || "http"}://${req.headers.host}`;
+
+    return {
+      url: `${baseUrl.replace(/\/$/, "")}${URL_PATH}${key}`,
+      publicId: key,
+    };
+  }
+
+  /**
+   * Delete a saved image; missing files are ignored
+   * @param {string} publicId - From upload or getPublicId
+   */
+  static async remove(publicId) {
+    try {
+      await unlink(join(getUploadDir(), publicId));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+
+  /**
+   * Read a saved image
+   * @param {string} key - From the URL
+   * @returns {Object|null} - { data, contentType }, or null if there is none
+   */
+  static async read(key) {
+    if (!KEY_PATTERN.test(key)) return null;
+
+    try {
+      const data = await readFile(join(getUploadDir(), key));
+      const extension = key.split(".").pop();
+      const contentType = Object.keys(IMAGE_TYPES).find(
+        (type) => IMAGE_TYPES[type] === extension
+      );
+      return { data, contentType };
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Key of an image saved by this storage
+   * @param {string} url
+   * @returns {string|null} - null for any other URL
+   */
+  static getPublicId(url) {
+    const index = url.indexOf(URL_PATH);
+    if (index === -1) return null;
+
+    const key = url.slice(index + URL_PATH.length);
+    return KEY_PATTERN.test(key) ? key : null;
+  }
+}
+
+export default LocalImageStorage;
@@ -0,0 +1,572 @@
+import { withDatabaseUserContext } from "./db-utils.js";
+import EncryptionService from "./encryption.js";
+import PlayerService from "./playerService.js";
+import TeamMembershipService from "./teamMembershipService.js";
+
+/**
+ * Event types recorded in the live match log
+ */
+export const MATCH_EVENT_TYPES = {
+  GOAL: "goal",
+  OPPONENT_GOAL: "opponent_goal",
+  YELLOW_CARD: "yellow_card",
+  RED_CARD: "red_card",
+  SUB_ON: "sub_on",
+  SUB_OFF: "sub_off",
+  SAVE: "save",
+};
+
+// Slot ID of the goalkeeper in lineups and playing periods
+export const GOALKEEPER_SLOT_ID = "gk";
+
+const EMPTY_GOALKEEPER_TOTALS = {
+  saves: 0,
+  goalsConceded: 0,
+  cleanSheet: false,
+};
+
+const EMPTY_STAT_TOTALS = {
+  goals: 0,
+  assists: 0,
+  yellowCards: 0,
+  redCard: false,
+};
+
+const EVENT_TYPE_VALUES = Object.values(MATCH_EVENT_TYPES);
+
+// Event types that must reference one of our players
+const PLAYER_EVENT_TYPES = [
+  MATCH_EVENT_TYPES.YELLOW_CARD,
+  MATCH_EVENT_TYPES.RED_CARD,
+  MATCH_EVENT_TYPES.SUB_ON,
+  MATCH_EVENT_TYPES.SUB_OFF,
+  MATCH_EVENT_TYPES.SAVE,
+];
+
+const eventInclude = {
+  player: {
+    select: { id: true, name: true },
+  },
+  assistPlayer: {
+    select: { id: true, name: true },
+  },
+};
+
+/**
+ * Service class for match event operations
+ */
+class MatchEventService {
+  /**
+   * Validate event input
+   * @param {Object} data - Event data from the request body
+   * @returns {Object} - { valid, message }
+   */
+  static validateEvent(data) {
+    if (!data || !EVENT_TYPE_VALUES.includes(data.type)) {
+      return {
+        valid: false,
+        message: `Invalid event type. Use: ${EVENT_TYPE_VALUES.join(", ")}`,
+      };
+    }
+
+    if (PLAYER_EVENT_TYPES.includes(data.type) && !data.playerId) {
+      return {
+        valid: false,
+        message: `Player ID is required for ${data.type} events`,
+      };
+    }
+
+    if (data.type === MATCH_EVENT_TYPES.OPPONENT_GOAL && data.playerId) {
+      return {
+        valid: false,
+        message: "Opponent goals cannot reference a player",
+      };
+    }
+
+    if (data.assistPlayerId) {
+      if (data.type !== MATCH_EVENT_TYPES.GOAL) {
+        return {
+          valid: false,
+          message: "Only goal events can have an assist",
+        };
+      }
+      if (data.assistPlayerId === data.playerId) {
+        return {
+          valid: false,
+          message: "A player cannot assist their own goal",
+        };
+      }
+    }
+
+    if (
+      data.matchSecond !== undefined &&
+      (!Number.isInteger(data.matchSecond) || data.matchSecond < 0)
+    ) {
+      return {
+        valid: false,
+        message: "matchSecond must be a non-negative integer",
+      };
+    }
+
+    if (
+      data.period !== undefined &&
+      (!Number.isInteger(data.period) || data.period < 1)
+    ) {
+      return {
+        valid: false,
+        message: "period must be a positive integer",
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Map request data onto MatchEvent columns
+   */
+  static toEventData(matchId, data) {
+    return {
+      matchId,
+      type: data.type,
+      matchSecond: data.matchSecond || 0,
+      period: data.period || 1,
+      notes: data.notes || null,
+      clientId: data.clientId || null,
+      playerId: data.playerId || null,
+      assistPlayerId:
+        data.type === MATCH_EVENT_TYPES.GOAL
+          ? data.assistPlayerId || null
+          : null,
+    };
+  }
+
+  /**
+   * Decrypt player names on an event
+   */
+  static decryptEvent(event) {
+    return {
+      ...event,
+      player: event.player
+        ? {
+            ...event.player,
+            name: EncryptionService.decrypt(event.player.name),
+          }
+        : null,
+      assistPlayer: event.assistPlayer
+        ? {
+            ...event.assistPlayer,
+            name: EncryptionService.decrypt(event.assistPlayer.name),
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Derive per-player stat totals from a list of events
+   * @param {Array<Object>} events - Match events
+   * @returns {Object} - { [playerId]: { goals, assists, yellowCards, redCard } }
+   */
+  static deriveStatTotals(events) {
+    const totals = {};
+    const ensure = (playerId) => {
+      if (!totals[playerId]) {
+        totals[playerId] = { ...EMPTY_STAT_TOTALS };
+      }
+      return totals[playerId];
+    };
+
+    events.forEach((event) => {
+      if (event.type === MATCH_EVENT_TYPES.GOAL) {
+        if (event.playerId) ensure(event.playerId).goals += 1;
+        if (event.assistPlayerId) ensure(event.assistPlayerId).assists += 1;
+      } else if (event.type === MATCH_EVENT_TYPES.YELLOW_CARD) {
+        ensure(event.playerId).yellowCards += 1;
+      } else if (event.type === MATCH_EVENT_TYPES.RED_CARD) {
+        ensure(event.playerId).redCard = true;
+      } else if (
+        event.type === MATCH_EVENT_TYPES.SUB_ON ||
+        event.type === MATCH_EVENT_TYPES.SUB_OFF ||
+        event.type === MATCH_EVENT_TYPES.SAVE
+      ) {
+        ensure(event.playerId);
+      }
+    });
+
+    return totals;
+  }
+
+  /**
+   * Derive goalkeeper totals from the event log and playing periods
+   *
+   * A player keeps goal during stints played in the goalkeeper slot. Each
+   * opponent goal counts against whoever was in goal at that second, and a
+   * keeper gets a clean sheet for conceding nothing while keeping goal for at
+   * least half the match. A match scored without a goal log puts the whole of
+   * `goalsAgainst` on the keeper when only one player kept goal.
+   * @param {Array<Object>} events - Match events
+   * @param {Array<Object>} stats - [{ playerId, playingPeriods }]
+   * @param {number} goalsAgainst - The opponent's final score
+   * @returns {Object} - { [playerId]: { saves, goalsConceded, cleanSheet } }
+   */
+  static deriveGoalkeeperTotals(events, stats, goalsAgainst = 0) {
+    const keeperStints = {};
+    let matchLength = 0;
+
+    stats.forEach(({ playerId, playingPeriods }) => {
+      (playingPeriods || []).forEach((stint) => {
+        const end = stint.end ?? stint.start;
+        matchLength = Math.max(matchLength, end);
+        if (stint.slotId === GOALKEEPER_SLOT_ID) {
+          keeperStints[playerId] = [
+            ...(keeperStints[playerId] || []),
+            { start: stint.start, end },
+          ];
+        }
+      });
+    });
+
+    const totals = {};
+    const ensure = (playerId) => {
+      if (!totals[playerId]) {
+        totals[playerId] = { ...EMPTY_GOALKEEPER_TOTALS };
+      }
+      return totals[playerId];
+    };
+
+    const keeperIds = Object.keys(keeperStints);
+    keeperIds.forEach(ensure);
+
+    events.forEach((event) => {
+      if (event.type === MATCH_EVENT_TYPES.SAVE && event.playerId) {
+        ensure(event.playerId).saves += 1;
+      }
+    });
+
+    const opponentGoals = events.filter(
+      (event) => event.type === MATCH_EVENT_TYPES.OPPONENT_GOAL
+    );
+    opponentGoals.forEach((goal) => {
+      const keeperId = keeperIds.find((playerId) =>
+        keeperStints[playerId].some(
+          (stint) =>
+            stint.start <= goal.matchSecond && goal.matchSecond <= stint.end
+        )
+      );
+      if (keeperId) totals[keeperId].goalsConceded += 1;
+    });
+
+    const unlogged = opponentGoals.length === 0 && goalsAgainst > 0;
+    if (unlogged && keeperIds.length === 1) {
+      totals[keeperIds[0]].goalsConceded = goalsAgainst;
+    }
+
+    keeperIds.forEach((playerId) => {
+      const secondsInGoal = keeperStints[playerId].reduce(
+        (sum, stint) => sum + Math.max(0, stint.end - stint.start),
+        0
+      );
+      totals[playerId].cleanSheet =
+        totals[playerId].goalsConceded === 0 &&
+        !(unlogged && keeperIds.length > 1) &&
+        matchLength > 0 &&
+        secondsInGoal * 2 >= matchLength;
+    });
+
+    return totals;
+  }
+
+  /**
+   * Recalculate PlayerMatchStat saves, goals conceded and clean sheets
+   * Must be called with a transaction client inside the user's RLS context.
+   */
+  static async syncGoalkeeperStats(tx, matchId) {
+    const [events, stats, match] = await Promise.all([
+      tx.matchEvent.findMany({ where: { matchId } }),
+      tx.playerMatchStat.findMany({
+        where: { matchId },
+        select: { playerId: true, playingPeriods: true },
+      }),
+      tx.match.findUnique({
+        where: { id: matchId },
+        select: { goalsAgainst: true },
+      }),
+    ]);
+
+    const totals = this.deriveGoalkeeperTotals(
+      events,
+      stats,
+      match?.goalsAgainst || 0
+    );
+
+    for (const { playerId } of stats) {
+      await tx.playerMatchStat.update({
+        where: {
+          playerId_matchId: {
+            playerId,
+            matchId,
+          },
+        },
+        data: totals[playerId] || EMPTY_GOALKEEPER_TOTALS,
+      });
+    }
+  }
+
+  /**
+   * Apply an event log change to PlayerMatchStat goals, assists and cards
+   * Each row moves by the difference between the totals derived from the
+   * log before and after the change, so totals entered by hand for a match
+   * scored before it had an event log are kept. For a match scored from its
+   * log the rows end up equal to the derived totals. Goalkeeper totals are
+   * re-derived as well.
+   * Must be called with a transaction client inside the user's RLS context.
+   * @param {Array<Object>} previousEvents - The match's events before the
+   *   change
+   */
+  static async syncPlayerStats(tx, matchId, previousEvents) {
+    const [events, existingStats] = await Promise.all([
+      tx.matchEvent.findMany({ where: { matchId } }),
+      tx.playerMatchStat.findMany({
+        where: { matchId },
+        select: {
+          playerId: true,
+          goals: true,
+          assists: true,
+          yellowCards: true,
+          redCard: true,
+        },
+      }),
+    ]);
+
+    const totals = this.deriveStatTotals(events);
+    const previousTotals = this.deriveStatTotals(previousEvents);
+    const rows = new Map(existingStats.map((stat) => [stat.playerId, stat]));
+    const playerIds = new Set([
+      ...Object.keys(totals),
+      ...Object.keys(previousTotals),
+    ]);
+
+    for (const playerId of playerIds) {
+      const after = totals[playerId] || EMPTY_STAT_TOTALS;
+      const before = previousTotals[playerId] || EMPTY_STAT_TOTALS;
+      const row = rows.get(playerId) || EMPTY_STAT_TOTALS;
+      const moved = (field) =>
+        Math.max(0, row[field] + after[field] - before[field]);
+
+      const stat = {
+        goals: moved("goals"),
+        assists: moved("assists"),
+        yellowCards: moved("yellowCards"),
+        redCard: after.redCard === before.redCard ? row.redCard : after.redCard,
+      };
+
+      await tx.playerMatchStat.upsert({
+        where: {
+          playerId_matchId: {
+            playerId,
+            matchId,
+          },
+        },
+        create: {
+          playerId,
+          matchId,
+          ...stat,
+        },
+        update: stat,
+      });
+    }
+
+    await this.syncGoalkeeperStats(tx, matchId);
+  }
+
+  /**
+   * Ensure every player referenced by the events is in one of the user's
+   * teams' squads (or is one of their own players without a team)
+   */
+  static async assertPlayersAccess(tx, userId, events) {
+    const playerIds = [
+      ...new Set(
+        events
+          .flatMap((event) => [event.playerId, event.assistPlayerId])
+          .filter(Boolean)
+      ),
+    ];
+
+    if (playerIds.length === 0) return;
+
+    const count = await tx.player.count({
+      where: {
+        id: { in: playerIds },
+        ...(await PlayerService.getAccessFilter(tx, userId)),
+      },
+    });
+
+    if (count !== playerIds.length) {
+      throw new Error("Player not found or unauthorized");
+    }
+  }
+
+  /**
+   * Load a match's events in chronological order with decrypted player names
+   * Must be called with a transaction client inside the user's RLS context.
+   */
+  static async findEvents(tx, matchId) {
+    const events = await tx.matchEvent.findMany({
+      where: { matchId },
+      include: eventInclude,
+      orderBy: [
+        { period: "asc" },
+        { matchSecond: "asc" },
+        { createdAt: "asc" },
+      ],
+    });
+
+    return events.map((event) => this.decryptEvent(event));
+  }
+
+  /**
+   * Get all events for a match in chronological order
+   */
+  static async getEventsForMatch(userId, matchId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertMatchAccess(tx, userId, matchId);
+
+      return await this.findEvents(tx, matchId);
+    });
+  }
+
+  /**
+   * Create one or more events and update player stats
+   */
+  static async createEvents(userId, matchId, events) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertMatchAccess(
+        tx,
+        userId,
+        matchId,
+        "scorer"
+      );
+      await this.assertPlayersAccess(tx, userId, events);
+
+      const previousEvents = await tx.matchEvent.findMany({
+        where: { matchId },
+      });
+      const created = [];
+      for (const data of events) {
+        const event = await tx.matchEvent.create({
+          data: this.toEventData(matchId, data),
+          include: eventInclude,
+        });
+        created.push(this.decryptEvent(event));
+      }
+
+      await this.syncPlayerStats(tx, matchId, previousEvents);
+
+      return created;
+    });
+  }
+
+  /**
+   * Replace the whole event log for a match and update player stats
+   */
+  static async replaceEvents(userId, matchId, events) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertMatchAccess(
+        tx,
+        userId,
+        matchId,
+        "scorer"
+      );
+      await this.assertPlayersAccess(tx, userId, events);
+
+      const previousEvents = await tx.matchEvent.findMany({
+        where: { matchId },
+      });
+      await tx.matchEvent.deleteMany({
+        where: { matchId },
+      });
+
+      if (events.length > 0) {
+        await tx.matchEvent.createMany({
+          data: events.map((data) => this.toEventData(matchId, data)),
+        });
+      }
+
+      await this.syncPlayerStats(tx, matchId, previousEvents);
+
+      return await this.findEvents(tx, matchId);
+    });
+  }
+
+  /**
+   * Update a single event and update player stats
+   */
+  static async updateEvent(userId, matchId, eventId, data) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertMatchAccess(
+        tx,
+        userId,
+        matchId,
+        "scorer"
+      );
+
+      const previousEvents = await tx.matchEvent.findMany({
+        where: { matchId },
+      });
+      const existing = previousEvents.find((event) => event.id === eventId);
+
+      if (!existing) {
+        throw new Error("Event not found or unauthorized");
+      }
+
+      const merged = { ...existing, ...data };
+      const validation = this.validateEvent(merged);
+      if (!validation.valid) {
+        throw new Error(`Invalid event: ${validation.message}`);
+      }
+      await this.assertPlayersAccess(tx, userId, [merged]);
+
+      const event = await tx.matchEvent.update({
+        where: { id: eventId },
+        data: this.toEventData(matchId, merged),
+        include: eventInclude,
+      });
+
+      await this.syncPlayerStats(tx, matchId, previousEvents);
+
+      return this.decryptEvent(event);
+    });
+  }
+
+  /**
+   * Delete a single event and update player stats
+   */
+  static async deleteEvent(userId, matchId, eventId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertMatchAccess(
+        tx,
+        userId,
+        matchId,
+        "scorer"
+      );
+
+      const previousEvents = await tx.matchEvent.findMany({
+        where: { matchId },
+      });
+      const existing = previousEvents.find((event) => event.id === eventId);
+
+      if (!existing) {
+        throw new Error("Event not found or unauthorized");
+      }
+
+      await tx.matchEvent.delete({
+        where: { id: eventId },
+      });
+
+      await this.syncPlayerStats(tx, matchId, previousEvents);
+
+      return { success: true };
+    });
+  }
+}
+
+export default MatchEventService;
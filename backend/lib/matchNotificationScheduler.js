@@ -1,8 +1,15 @@
 import cron from "node-cron";
 import { getPrisma } from "./prisma.js";
-import { sendMatchReminderNotification } from "./notificationService.js";
-import { sendMatchReminderEmail } from "./emailService.js";
+import {
+  sendMatchReminderNotification,
+  sendTrainingReminderNotification,
+} from "./notificationService.js";
+import {
+  sendMatchReminderEmail,
+  sendTrainingReminderEmail,
+} from "./emailService.js";
 import EncryptionService from "./encryption.js";
+import VenueService from "./venueService.js";
 
 /**
  * Check for matches starting in 5-15 minutes and send notifications
@@ -32,6 +39,7 @@ async function checkUpcomingMatches() {
           lte: fifteenMinutesFromNow,
         },
         isFinished: false,
+        isDeleted: false,
         notificationSent: false, // Only matches that haven't been notified
       },
       include: {
@@ -45,6 +53,7 @@ async function checkUpcomingMatches() {
             emailNotifications: true,
           },
         },
+        venueRecord: true,
       },
     });
 
@@ -72,13 +81,23 @@ async function checkUpcomingMatches() {
       );
       let notificationSent = false;
 
+      // Address, pitch and maps link when the match has a venue
+      const venueDetails = {
+        venue: match.venue || "TBD",
+        venueName: match.venueRecord?.name || null,
+        address: match.venueRecord?.address || null,
+        pitchNumber: match.venueRecord?.pitchNumber || null,
+        parkingNotes: match.venueRecord?.parkingNotes || null,
+        mapsUrl: VenueService.getMapsUrl(match.venueRecord),
+      };
+
       // Send push notification if enabled
       if (match.user?.pushNotifications && match.user?.pushToken) {
         try {
           await sendMatchReminderNotification(match.user.pushToken, {
             id: match.id,
             opponent: match.opponent,
-            venue: match.venue || "TBD",
+            ...venueDetails,
           });
 
           console.log(
@@ -113,7 +132,7 @@ async function checkUpcomingMatches() {
           await sendMatchReminderEmail(decryptedEmail, decryptedName, {
             id: match.id,
             opponent: match.opponent,
-            venue: match.venue || "TBD",
+            ...venueDetails,
             date: match.date,
             type: match.type,
           });
@@ -161,9 +180,126 @@ async function checkUpcomingMatches() {
   }
 }
 
+/**
+ * Check for training sessions starting in 5-15 minutes and send the same
+ * reminders as for matches to the team owner
+ */
+async function checkUpcomingTrainingSessions() {
+  const prisma = getPrisma();
+
+  try {
+    const now = new Date();
+    const fiveMinutesFromNow = new Date(now.getTime() + 5 * 60 * 1000);
+    const fifteenMinutesFromNow = new Date(now.getTime() + 15 * 60 * 1000);
+
+    console.log("⏰ Checking for upcoming training sessions...");
+
+    const upcomingSessions = await prisma.trainingSession.findMany({
+      where: {
+        date: {
+          gte: fiveMinutesFromNow,
+          lte: fifteenMinutesFromNow,
+        },
+        notificationSent: false,
+        team: { isDeleted: false },
+      },
+      include: {
+        user: {
+          select: {
+            id: true,
+            email: true,
+            name: true,
+            pushToken: true,
+            pushNotifications: true,
+            emailNotifications: true,
+          },
+        },
+        team: { select: { name: true } },
+      },
+    });
+
+    console.log(
+      `   Found ${upcomingSessions.length} training sessions starting in 5-15 minutes (not yet notified)`
+    );
+
+    for (const session of upcomingSessions) {
+      let notificationSent = false;
+
+      const sessionDetails = {
+        id: session.id,
+        teamName: EncryptionService.decrypt(session.team.name),
+        location: session.location,
+        focus: session.focus,
+      };
+
+      // Send push notification if enabled
+      if (session.user?.pushNotifications && session.user?.pushToken) {
+        try {
+          await sendTrainingReminderNotification(
+            session.user.pushToken,
+            sessionDetails
+          );
+
+          console.log(
+            `✅ Sent push notification for training session ${session.id} to user ${session.user.id}`
+          );
+          notificationSent = true;
+        } catch (error) {
+          console.error(
+            `❌ Failed to send push notification for training session ${session.id}:`,
+            error
+          );
+        }
+      }
+
+      // Send email notification if enabled
+      if (session.user?.emailNotifications && session.user?.email) {
+        try {
+          const decryptedEmail = EncryptionService.decrypt(session.user.email);
+          const decryptedName = session.user.name
+            ? EncryptionService.decrypt(session.user.name)
+            : null;
+
+          await sendTrainingReminderEmail(decryptedEmail, decryptedName, {
+            ...sessionDetails,
+            date: session.date,
+            notes: session.notes,
+          });
+
+          console.log(
+            `✅ Sent email notification for training session ${session.id} to ${decryptedEmail}`
+          );
+          notificationSent = true;
+        } catch (error) {
+          console.error(
+            `❌ Failed to send training reminder email to ${session.user.id}:`,
+            error
+          );
+        }
+      }
+
+      // Mark notification as sent (even if both failed, to avoid infinite retries)
+      if (
+        notificationSent ||
+        (!session.user?.pushNotifications && !session.user?.emailNotifications)
+      ) {
+        await prisma.trainingSession.update({
+          where: { id: session.id },
+          data: {
+            notificationSent: true,
+            notificationSentAt: now,
+          },
+        });
+      }
+    }
+  } catch (error) {
+    console.error("❌ Error checking upcoming training sessions:", error);
+  }
+}
+
 /**
  * Start the notification scheduler
- * Runs every minute to check for upcoming matches
+ * Runs every minute to check for upcoming matches and training sessions
  */
 export function startNotificationScheduler() {
   console.log("Starting match notification scheduler...");
@@ -173,10 +309,12 @@ export function startNotificationScheduler() {
   const task = cron.schedule("* * * * *", () => {
     console.log("Running scheduled notification check...");
     checkUpcomingMatches();
+    checkUpcomingTrainingSessions();
   });
 
   // Run immediately on startup as well
   checkUpcomingMatches();
+  checkUpcomingTrainingSessions();
 
   return task;
 }
@@ -192,4 +330,4 @@ export function stopNotificationScheduler(task) {
 }
 
 // For manual testing
-export { checkUpcomingMatches };
+export { checkUpcomingMatches, checkUpcomingTrainingSessions };
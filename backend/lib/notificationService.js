@@ -55,10 +55,26 @@ export async function sendPushNotifications(messages) {
   return tickets;
 }
 
+/**
+ * Where a reminded match is played: the venue's name and address when the
+ * match has a venue, otherwise home or away
+ * @param {object} match - Match object with venue details
+ */
+function describeLocation(match) {
+  if (!match.venueName) {
+    return match.venue;
+  }
+
+  return match.address
+    ? `${match.venueName}, ${match.address}`
+    : match.venueName;
+}
+
 /**
  * Send a match reminder notification to a user
  * @param {string} pushToken - User's Expo push token
- * @param {object} match - Match object with details
+ * @param {object} match - Match object with details (venue, and venueName,
+ *   address and mapsUrl when the match has a venue)
  */
 export async function sendMatchReminderNotification(pushToken, match) {
   if (!Expo.isExpoPushToken(pushToken)) {
@@ -70,11 +86,12 @@ export async function sendMatchReminderNotification(pushToken, match) {
     to: pushToken,
     sound: 'default',
     title: '⚽ Match Starting Soon!',
-    body: `Your match against ${match.opponent} starts in 10 minutes at ${match.venue}`,
+    body: `Your match against ${match.opponent} starts in 10 minutes at ${describeLocation(match)}`,
     data: {
       matchId: match.id,
       type: 'match_reminder',
       screen: 'MatchDetails',
+      mapsUrl: match.mapsUrl || null,
     },
     priority: 'high',
     channelId: 'default',
@@ -112,10 +129,93 @@ export async function sendMatchRemindersToUsers(pushTokens, match) {
     to: token,
     sound: 'default',
     title: '⚽ Match Starting Soon!',
-    body: `Your match against ${match.opponent} starts in 10 minutes at ${match.venue}`,
+    body: `Your match against ${match.opponent} starts in 10 minutes at ${describeLocation(match)}`,
     data: {
       matchId: match.id,
       type: 'match_reminder',
+      mapsUrl: match.mapsUrl || null,
+    },
+    priority: 'high',
+    channelId: 'default',
+  }));
+
+  return await sendPushNotifications(messages);
+}
+
+/**
+ * Send a training session reminder notification to a user
+ * @param {string} pushToken - User's Expo push token
+ * @param {object} session - Training session with teamName, and location
+ *   and focus when set
+ */
+export async function sendTrainingReminderNotification(pushToken, session) {
+  if (!Expo.isExpoPushToken(pushToken)) {
+    console.error('Invalid push token:', pushToken);
+    return;
+  }
+
+  const details = [
+    session.focus && `Focus: ${session.focus}`,
+    session.location && `at ${session.location}`,
+  ].filter(Boolean);
+
+  const message = {
+    to: pushToken,
+    sound: 'default',
+    title: '🏃 Training Starting Soon!',
+    body: `${session.teamName} training starts in 10 minutes${
+      details.length > 0 ? ` (${details.join(', ')})` : ''
+    }`,
+    data: {
+      trainingSessionId: session.id,
+      type: 'training_reminder',
+    },
+    priority: 'high',
+    channelId: 'default',
+    // Android specific
+    android: {
+      channelId: 'default',
+      priority: 'max',
+      sound: true,
+      vibrate: [0, 250, 250, 250],
+    },
+    // iOS specific
+    ios: {
+      sound: true,
+      badge: 1,
+    },
+  };
+
+  try {
+    const tickets = await sendPushNotifications([message]);
+    console.log('Training reminder sent:', tickets);
+    return tickets;
+  } catch (error) {
+    console.error('Error sending training reminder:', error);
+    throw error;
+  }
+}
+
+/**
+ * Ask guardians whether their players can make a match
+ * @param {Array} requests - [{ pushToken, playerName }]
+ * @param {object} match - Match object with opponent and date
+ */
+export async function sendAvailabilityRequestNotifications(requests, match) {
+  const matchDate = new Date(match.date).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+  });
+
+  const messages = requests.map(request => ({
+    to: request.pushToken,
+    sound: 'default',
+    title: '⚽ Availability Request',
+    body: `Can ${request.playerName} play against ${match.opponent} on ${matchDate}? Tap to answer`,
+    data: {
+      matchId: match.id,
+      type: 'availability_request',
     },
     priority: 'high',
     channelId: 'default',
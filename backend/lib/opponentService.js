@@ -0,0 +1,470 @@
+import { withDatabaseUserContext } from "./db-utils.js";
+import PenaltyShootoutService from "./penaltyShootoutService.js";
+import TeamMembershipService from "./teamMembershipService.js";
+
+const MAX_NAME_LENGTH = 50;
+const MAX_ALIASES = 10;
+const MAX_NOTES_LENGTH = 500;
+const LAST_MEETINGS = 10;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+const opponentSelect = {
+  id: true,
+  name: true,
+  aliases: true,
+  primaryColor: true,
+  secondaryColor: true,
+  notes: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+/**
+ * Service class for opponent records
+ *
+ * Each user has one record per opposing team, with its aliases (other
+ * spellings), kit colours and notes. Names and aliases are matched without
+ * case or extra spaces, so "rovers  u10" finds "Rovers U10". A match keeps the
+ * opponent's name in `opponent` and links the record with `opponentId`;
+ * saving a match with a new name creates its record.
+ */
+class OpponentService {
+  /**
+   * Tidy a name from a request body (trimmed, single spaces)
+   */
+  static normaliseName(name) {
+    return name.trim().replace(/\s+/g, " ");
+  }
+
+  /**
+   * Key for comparing names and aliases
+   */
+  static nameKey(name) {
+    return this.normaliseName(name).toLowerCase();
+  }
+
+  /**
+   * Whether a name is an opponent's name or one of its aliases
+   */
+  static matchesName(opponent, name) {
+    const key = this.nameKey(name);
+    return [opponent.name, ...opponent.aliases].some(
+      (candidate) => this.nameKey(candidate) === key
+    );
+  }
+
+  /**
+   * Validate an opponent from a request body
+   * @param {Object} data - { name, aliases, primaryColor, secondaryColor,
+   *   notes }
+   * @param {boolean} partial - Allow missing fields (updates)
+   * @returns {Object} - { valid, message }
+   */
+  static validateOpponent(data, partial = false) {
+    const { name, aliases, notes } = data || {};
+
+    if (name !== undefined || !partial) {
+      if (
+        typeof name !== "string" ||
+        !name.trim() ||
+        name.length > MAX_NAME_LENGTH
+      ) {
+        return {
+          valid: false,
+          message: `Opponent name is required (up to ${MAX_NAME_LENGTH} characters)`,
+        };
+      }
+    }
+
+    if (aliases !== undefined) {
+      if (
+        !Array.isArray(aliases) ||
+        aliases.length > MAX_ALIASES ||
+        aliases.some(
+          (alias) =>
+            typeof alias !== "string" ||
+            !alias.trim() ||
+            alias.length > MAX_NAME_LENGTH
+        )
+      ) {
+        return {
+          valid: false,
+          message: `aliases must be a list of up to ${MAX_ALIASES} names`,
+        };
+      }
+    }
+
+    for (const key of ["primaryColor", "secondaryColor"]) {
+      const value = data[key];
+      if (value === undefined || value === null) continue;
+
+      if (typeof value !== "string" || !COLOR_PATTERN.test(value)) {
+        return {
+          valid: false,
+          message: `${key} must be a hex colour like #1D4ED8`,
+        };
+      }
+    }
+
+    if (
+      notes !== undefined &&
+      notes !== null &&
+      (typeof notes !== "string" || notes.length > MAX_NOTES_LENGTH)
+    ) {
+      return {
+        valid: false,
+        message: `notes must be up to ${MAX_NOTES_LENGTH} characters`,
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Tidy validated aliases: no repeats and not the opponent's own name
+   */
+  static toAliasesColumn(aliases, name) {
+    const seen = new Set([this.nameKey(name)]);
+
+    return aliases
+      .map((alias) => this.normaliseName(alias))
+      .filter((alias) => {
+        const key = alias.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+  }
+
+  /**
+   * Ensure an opponent exists and belongs to the user
+   * Must be called with a transaction client inside the user's RLS context.
+   * @returns {Object} - The opponent
+   */
+  static async assertOpponentOwnership(tx, userId, opponentId) {
+    const opponent = await tx.opponent.findFirst({
+      where: { id: opponentId, userId },
+      select: opponentSelect,
+    });
+
+    if (!opponent) {
+      throw new Error("Opponent not found or unauthorized");
+    }
+
+    return opponent;
+  }
+
+  /**
+   * Find the user's opponent for a name or alias, creating it when missing
+   * Used when a match is saved with an opponent name.
+   * @returns {Object} - { id, name }
+   */
+  static async resolveOpponent(tx, userId, name) {
+    const opponents = await tx.opponent.findMany({
+      where: { userId },
+      select: { id: true, name: true, aliases: true },
+    });
+
+    const existing = opponents.find((opponent) =>
+      this.matchesName(opponent, name)
+    );
+    if (existing) {
+      return { id: existing.id, name: existing.name };
+    }
+
+    return await tx.opponent.create({
+      data: { name: this.normaliseName(name), userId },
+      select: { id: true, name: true },
+    });
+  }
+
+  /**
+   * Reject names already used by another of the user's opponents
+   * Another opponent's name listed in `mergeIds` is allowed (it is merged).
+   */
+  static assertNamesAvailable(opponents, names, excludeId, mergeIds = []) {
+    for (const name of names) {
+      const taken = opponents.find(
+        (opponent) =>
+          opponent.id !== excludeId &&
+          !mergeIds.includes(opponent.id) &&
+          this.matchesName(opponent, name)
+      );
+
+      if (taken) {
+        throw new Error(
+          `Opponent name already used: "${this.normaliseName(name)}" is ${
+            taken.name
+          }`
+        );
+      }
+    }
+  }
+
+  /**
+   * Get the user's opponents with their match counts
+   * @param {Object} options - { search } matches names and aliases; { teamId }
+   *   lists the team owner's opponents instead, for the team's members
+   */
+  static async getOpponents(userId, options = {}) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const ownerId = await TeamMembershipService.getOwnerId(
+        tx,
+        userId,
+        options.teamId
+      );
+
+      const opponents = await tx.opponent.findMany({
+        where: { userId: ownerId },
+        select: {
+          ...opponentSelect,
+          _count: {
+            select: { matches: { where: { isDeleted: false } } },
+          },
+        },
+        orderBy: { name: "asc" },
+      });
+
+      if (!options.search) {
+        return opponents;
+      }
+
+      const search = this.nameKey(options.search);
+      return opponents.filter((opponent) =>
+        [opponent.name, ...opponent.aliases].some((candidate) =>
+          candidate.toLowerCase().includes(search)
+        )
+      );
+    });
+  }
+
+  /**
+   * Get an opponent
+   */
+  static async getOpponent(userId, opponentId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      return await this.assertOpponentOwnership(tx, userId, opponentId);
+    });
+  }
+
+  /**
+   * Create an opponent and link earlier matches played under its names
+   * @param {Object} data - Validated opponent fields
+   */
+  static async createOpponent(userId, data) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const name = this.normaliseName(data.name);
+      const aliases = this.toAliasesColumn(data.aliases || [], name);
+      const opponents = await tx.opponent.findMany({
+        where: { userId },
+        select: { id: true, name: true, aliases: true },
+      });
+
+      this.assertNamesAvailable(opponents, [name, ...aliases]);
+
+      const opponent = await tx.opponent.create({
+        data: {
+          name,
+          aliases,
+          primaryColor: data.primaryColor || null,
+          secondaryColor: data.secondaryColor || null,
+          notes: data.notes || null,
+          userId,
+        },
+        select: opponentSelect,
+      });
+
+      await this.linkMatches(tx, userId, opponent);
+
+      return opponent;
+    });
+  }
+
+  /**
+   * Update an opponent
+   *
+   * Renaming also renames its matches. Adding another opponent's name as an
+   * alias merges that opponent into this one: its matches and aliases move
+   * here and it is deleted.
+   * @param {Object} data - Validated opponent fields
+   */
+  static async updateOpponent(userId, opponentId, data) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const existing = await this.assertOpponentOwnership(
+        tx,
+        userId,
+        opponentId
+      );
+      const opponents = await tx.opponent.findMany({
+        where: { userId },
+        select: { id: true, name: true, aliases: true },
+      });
+
+      const name =
+        data.name !== undefined
+          ? this.normaliseName(data.name)
+          : existing.name;
+      let aliases = this.toAliasesColumn(
+        data.aliases !== undefined ? data.aliases : existing.aliases,
+        name
+      );
+
+      const merged = opponents.filter(
+        (opponent) =>
+          opponent.id !== opponentId &&
+          aliases.some(
+            (alias) => this.nameKey(alias) === this.nameKey(opponent.name)
+          )
+      );
+      const mergeIds = merged.map((opponent) => opponent.id);
+
+      this.assertNamesAvailable(
+        opponents,
+        [name, ...aliases],
+        opponentId,
+        mergeIds
+      );
+
+      if (merged.length > 0) {
+        aliases = this.toAliasesColumn(
+          [...aliases, ...merged.flatMap((opponent) => opponent.aliases)],
+          name
+        );
+
+        await tx.match.updateMany({
+          where: { userId, opponentId: { in: mergeIds } },
+          data: { opponentId },
+        });
+        await tx.opponent.deleteMany({
+          where: { id: { in: mergeIds }, userId },
+        });
+      }
+
+      const opponent = await tx.opponent.update({
+        where: { id: opponentId },
+        data: {
+          name,
+          aliases,
+          ...(data.primaryColor !== undefined && {
+            primaryColor: data.primaryColor || null,
+          }),
+          ...(data.secondaryColor !== undefined && {
+            secondaryColor: data.secondaryColor || null,
+          }),
+          ...(data.notes !== undefined && { notes: data.notes || null }),
+        },
+        select: opponentSelect,
+      });
+
+      await this.linkMatches(tx, userId, opponent);
+
+      return opponent;
+    });
+  }
+
+  /**
+   * Link the user's unlinked matches played under the opponent's names, and
+   * give all of its matches its current name
+   */
+  static async linkMatches(tx, userId, opponent) {
+    for (const name of [opponent.name, ...opponent.aliases]) {
+      await tx.match.updateMany({
+        where: {
+          userId,
+          opponentId: null,
+          opponent: { equals: name, mode: "insensitive" },
+        },
+        data: { opponentId: opponent.id },
+      });
+    }
+
+    await tx.match.updateMany({
+      where: { userId, opponentId: opponent.id },
+      data: { opponent: opponent.name },
+    });
+  }
+
+  /**
+   * Delete an opponent (its matches keep the opponent's name)
+   */
+  static async deleteOpponent(userId, opponentId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertOpponentOwnership(tx, userId, opponentId);
+
+      await tx.opponent.delete({
+        where: { id: opponentId },
+      });
+
+      return { success: true };
+    });
+  }
+
+  /**
+   * Get the all-time record against an opponent
+   * Shootout wins and losses count as wins and losses.
+   * @param {Object} options - { teamId } to count one team's matches only;
+   *   members of a team look up the team owner's opponent
+   * @returns {Object} - { opponent, record: { played, won, drawn, lost,
+   *   goalsFor, goalsAgainst }, lastMeetings }
+   */
+  static async getHeadToHead(userId, opponentId, options = {}) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const ownerId = await TeamMembershipService.getOwnerId(
+        tx,
+        userId,
+        options.teamId
+      );
+      const opponent = await this.assertOpponentOwnership(
+        tx,
+        ownerId,
+        opponentId
+      );
+
+      const matches = await tx.match.findMany({
+        where: {
+          ...(await TeamMembershipService.getAccessFilter(tx, userId)),
+          opponentId,
+          isFinished: true,
+          isDeleted: false,
+          ...(options.teamId && { teamId: options.teamId }),
+        },
+        select: {
+          id: true,
+          date: true,
+          goalsFor: true,
+          goalsAgainst: true,
+          penaltiesFor: true,
+          penaltiesAgainst: true,
+          matchType: true,
+          venue: true,
+          teamId: true,
+        },
+        orderBy: { date: "desc" },
+      });
+
+      const results = matches.map((match) =>
+        PenaltyShootoutService.getResult(match)
+      );
+
+      return {
+        opponent,
+        record: {
+          played: matches.length,
+          won: results.filter((result) => result === "win").length,
+          drawn: results.filter((result) => result === "draw").length,
+          lost: results.filter((result) => result === "loss").length,
+          goalsFor: matches.reduce((sum, match) => sum + match.goalsFor, 0),
+          goalsAgainst: matches.reduce(
+            (sum, match) => sum + match.goalsAgainst,
+            0
+          ),
+        },
+        lastMeetings: matches
+          .slice(0, LAST_MEETINGS)
+          .map((match, index) => ({ ...match, result: results[index] })),
+      };
+    });
+  }
+}
+
+export default OpponentService;
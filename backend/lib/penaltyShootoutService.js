@@ -0,0 +1,248 @@
+import { withDatabaseUserContext } from "./db-utils.js";
+import EncryptionService from "./encryption.js";
+import MatchEventService from "./matchEventService.js";
+import TeamMembershipService from "./teamMembershipService.js";
+
+// Generous upper bound; a long sudden-death shootout is still well under this
+const MAX_KICKS = 60;
+
+const kickInclude = {
+  player: {
+    select: { id: true, name: true },
+  },
+};
+
+/**
+ * Service class for cup penalty shootouts
+ *
+ * Each kick is stored as a PenaltyKick row. The shootout score is also kept
+ * on the match (`penaltiesFor` / `penaltiesAgainst`) so results can be worked
+ * out from match lists without loading the kicks.
+ */
+class PenaltyShootoutService {
+  /**
+   * Work out a match result, counting a shootout win or loss
+   * @param {Object} match - { goalsFor, goalsAgainst, penaltiesFor, penaltiesAgainst }
+   * @returns {string} - "win", "loss" or "draw"
+   */
+  static getResult(match) {
+    if (match.goalsFor > match.goalsAgainst) return "win";
+    if (match.goalsFor < match.goalsAgainst) return "loss";
+    if (this.hasShootout(match)) {
+      return match.penaltiesFor > match.penaltiesAgainst ? "win" : "loss";
+    }
+    return "draw";
+  }
+
+  /**
+   * Check whether a match was decided by a shootout
+   */
+  static hasShootout(match) {
+    return (
+      match.penaltiesFor !== null &&
+      match.penaltiesFor !== undefined &&
+      match.penaltiesAgainst !== null &&
+      match.penaltiesAgainst !== undefined
+    );
+  }
+
+  /**
+   * Validate a list of kicks from a request body
+   * @param {Array<Object>} kicks - [{ isOpponent, scored, playerId }]
+   * @returns {Object} - { valid, message }
+   */
+  static validateKicks(kicks) {
+    if (!Array.isArray(kicks) || kicks.length === 0) {
+      return { valid: false, message: "A kicks array is required" };
+    }
+
+    if (kicks.length > MAX_KICKS) {
+      return {
+        valid: false,
+        message: `A shootout cannot have more than ${MAX_KICKS} kicks`,
+      };
+    }
+
+    for (const kick of kicks) {
+      if (!kick || typeof kick.scored !== "boolean") {
+        return { valid: false, message: "Each kick needs a scored flag" };
+      }
+      if (
+        kick.isOpponent !== undefined &&
+        typeof kick.isOpponent !== "boolean"
+      ) {
+        return { valid: false, message: "isOpponent must be a boolean" };
+      }
+      if (kick.isOpponent && kick.playerId) {
+        return {
+          valid: false,
+          message: "Opponent kicks cannot reference a player",
+        };
+      }
+    }
+
+    const totals = this.getTotals(kicks);
+    if (totals.penaltiesFor === totals.penaltiesAgainst) {
+      return { valid: false, message: "A shootout cannot end level" };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Count scored kicks for each side
+   * @returns {Object} - { penaltiesFor, penaltiesAgainst }
+   */
+  static getTotals(kicks) {
+    return kicks.reduce(
+      (totals, kick) => {
+        if (!kick.scored) return totals;
+        return kick.isOpponent
+          ? { ...totals, penaltiesAgainst: totals.penaltiesAgainst + 1 }
+          : { ...totals, penaltiesFor: totals.penaltiesFor + 1 };
+      },
+      { penaltiesFor: 0, penaltiesAgainst: 0 }
+    );
+  }
+
+  /**
+   * Decrypt the taker's name on a kick
+   */
+  static decryptKick(kick) {
+    return {
+      ...kick,
+      player: kick.player
+        ? {
+            ...kick.player,
+            name: EncryptionService.decrypt(kick.player.name),
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Load a match's kicks in order with decrypted taker names
+   * Must be called with a transaction client inside the user's RLS context.
+   */
+  static async findKicks(tx, matchId) {
+    const kicks = await tx.penaltyKick.findMany({
+      where: { matchId },
+      include: kickInclude,
+      orderBy: { order: "asc" },
+    });
+
+    return kicks.map((kick) => this.decryptKick(kick));
+  }
+
+  /**
+   * Get the shootout for a match
+   * @returns {Object} - { penaltiesFor, penaltiesAgainst, kicks }
+   */
+  static async getShootout(userId, matchId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertMatchAccess(tx, userId, matchId);
+
+      const match = await tx.match.findUnique({
+        where: { id: matchId },
+        select: { penaltiesFor: true, penaltiesAgainst: true },
+      });
+
+      return {
+        ...match,
+        kicks: await this.findKicks(tx, matchId),
+      };
+    });
+  }
+
+  /**
+   * Replace a match's shootout and update the shootout score on the match
+   * Only cup matches that are level on goals can have a shootout.
+   */
+  static async saveShootout(userId, matchId, kicks) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertMatchAccess(
+        tx,
+        userId,
+        matchId,
+        "scorer"
+      );
+
+      const match = await tx.match.findUnique({
+        where: { id: matchId },
+        select: { matchType: true, goalsFor: true, goalsAgainst: true },
+      });
+
+      if (match.matchType !== "cup") {
+        throw new Error("Invalid shootout: only cup matches have shootouts");
+      }
+
+      if (match.goalsFor !== match.goalsAgainst) {
+        throw new Error(
+          "Invalid shootout: the match was not level after normal time"
+        );
+      }
+
+      const ourKicks = kicks.filter((kick) => !kick.isOpponent);
+      await MatchEventService.assertPlayersAccess(tx, userId, ourKicks);
+
+      await tx.penaltyKick.deleteMany({
+        where: { matchId },
+      });
+
+      await tx.penaltyKick.createMany({
+        data: kicks.map((kick, index) => ({
+          matchId,
+          order: index + 1,
+          isOpponent: !!kick.isOpponent,
+          scored: kick.scored,
+          playerId: kick.isOpponent ? null : kick.playerId || null,
+        })),
+      });
+
+      const totals = this.getTotals(kicks);
+      await tx.match.update({
+        where: { id: matchId },
+        data: totals,
+      });
+
+      return {
+        ...totals,
+        kicks: await this.findKicks(tx, matchId),
+      };
+    });
+  }
+
+  /**
+   * Remove a shootout (kicks and score)
+   * Must be called with a transaction client inside the user's RLS context.
+   */
+  static async clearShootoutWithClient(tx, matchId) {
+    await tx.penaltyKick.deleteMany({
+      where: { matchId },
+    });
+
+    await tx.match.update({
+      where: { id: matchId },
+      data: { penaltiesFor: null, penaltiesAgainst: null },
+    });
+  }
+
+  /**
+   * Remove a match's shootout
+   */
+  static async clearShootout(userId, matchId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertMatchAccess(
+        tx,
+        userId,
+        matchId,
+        "scorer"
+      );
+      await this.clearShootoutWithClient(tx, matchId);
+
+      return { success: true };
+    });
+  }
+}
+
+export default PenaltyShootoutService;
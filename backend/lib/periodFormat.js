@@ -0,0 +1,138 @@
+import { Prisma } from "@prisma/client";
+
+/**
+ * Match period formats (halves, quarters, extra time and breaks)
+ *
+ * A format is stored as JSON on a team (its default) and optionally on a match
+ * (an override). The app's clock runs continuously across periods, so each
+ * period kicks off at its scheduled start second. Period and break labels
+ * match the app's (src/utils/matchPeriods.js); change both together.
+ */
+export const DEFAULT_PERIOD_FORMAT = {
+  periods: 2,
+  periodMinutes: 45,
+  breakMinutes: 15,
+  extraTimePeriods: 0,
+  extraTimeMinutes: 15,
+};
+
+const LIMITS = {
+  periods: [1, 6],
+  periodMinutes: [1, 90],
+  breakMinutes: [0, 60],
+  extraTimePeriods: [0, 2],
+  extraTimeMinutes: [1, 30],
+};
+
+const PERIOD_NAMES = {
+  2: "half",
+  3: "third",
+  4: "quarter",
+};
+
+const ordinal = (n) => {
+  const suffixes = { 1: "st", 2: "nd", 3: "rd" };
+  const lastTwo = n % 100;
+  const suffix =
+    lastTwo >= 11 && lastTwo <= 13 ? "th" : suffixes[n % 10] || "th";
+  return `${n}${suffix}`;
+};
+
+class PeriodFormat {
+  /**
+   * Validate a period format from a request body
+   * `null` is valid and clears the setting.
+   * @param {Object|null} format
+   * @returns {Object} - { valid, message }
+   */
+  static validate(format) {
+    if (format === null) {
+      return { valid: true };
+    }
+
+    if (typeof format !== "object" || Array.isArray(format)) {
+      return { valid: false, message: "periodFormat must be an object" };
+    }
+
+    for (const [key, [min, max]] of Object.entries(LIMITS)) {
+      const value = format[key];
+      if (value === undefined) continue;
+
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return {
+          valid: false,
+          message: `periodFormat.${key} must be a whole number between ${min} and ${max}`,
+        };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Fill in missing fields and drop unknown ones before saving
+   * @param {Object|null} format
+   * @returns {Object} - Column value (Prisma.DbNull clears the setting)
+   */
+  static toColumn(format) {
+    if (!format) return Prisma.DbNull;
+
+    return Object.keys(LIMITS).reduce(
+      (normalized, key) => ({
+        ...normalized,
+        [key]: format[key] ?? DEFAULT_PERIOD_FORMAT[key],
+      }),
+      {}
+    );
+  }
+
+  /**
+   * Get the format that applies to a match (match, then team, then default)
+   * @param {Object|null} matchFormat
+   * @param {Object|null} teamFormat
+   */
+  static resolve(matchFormat, teamFormat) {
+    return {
+      ...DEFAULT_PERIOD_FORMAT,
+      ...(matchFormat || teamFormat || {}),
+    };
+  }
+
+  /**
+   * Get a display label for a period (e.g. "1st half", "ET 2nd half")
+   * @param {Object} format - Resolved format
+   * @param {number} period - 1-based period number
+   */
+  static getPeriodLabel(format, period) {
+    if (period > format.periods) {
+      const extraPeriod = period - format.periods;
+      if (format.extraTimePeriods === 1) return "Extra time";
+      if (format.extraTimePeriods === 2) {
+        return `ET ${ordinal(extraPeriod)} half`;
+      }
+      return `ET ${extraPeriod}`;
+    }
+
+    if (format.periods === 1) return "Match";
+
+    const name = PERIOD_NAMES[format.periods];
+    return name ? `${ordinal(period)} ${name}` : `Period ${period}`;
+  }
+
+  /**
+   * Get a display label for the break after a period (e.g. "Half-time")
+   * Only breaks between normal time periods have a length, so the pauses
+   * before and within extra time are labelled as the end of a period:
+   * "End of normal time", "End of ET 1st half".
+   * @param {Object} format - Resolved format
+   * @param {number} period - The period that has just ended
+   */
+  static getBreakLabel(format, period) {
+    if (period >= format.periods + format.extraTimePeriods) return "Full time";
+    if (period === format.periods) return "End of normal time";
+    if (format.periods === 2 && period === 1) return "Half-time";
+    return `End of ${this.getPeriodLabel(format, period)}`;
+  }
+}
+
+export default PeriodFormat;
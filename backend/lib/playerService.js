@@ -1,64 +1,536 @@
 import { getPrisma } from "./prisma.js";
 import { withDatabaseUserContext } from "./db-utils.js";
 import EncryptionService from "./encryption.js";
+import MatchEventService, {
+  GOALKEEPER_SLOT_ID,
+} from "./matchEventService.js";
+import TeamMembershipService from "./teamMembershipService.js";
+import ImageStorage from "./imageStorage.js";
+
+// Preferred positions a player can be marked as playing
+export const PLAYER_POSITIONS = ["GK", "DEF", "MID", "FWD"];
+
+const MAX_SHIRT_NUMBER = 99;
+const MAX_CONTACT_FIELD_LENGTH = 100;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A player's squad spells, newest first
+const teamMembershipsInclude = {
+  include: { team: { select: { id: true, name: true } } },
+  orderBy: { joinedAt: "desc" },
+};
+
+// Counters added together when merged players both played a match
+const SUMMED_STAT_FIELDS = ["goals", "assists", "yellowCards"];
+
+// Profile fields a merged player takes from the duplicate when they're blank
+const MERGED_PROFILE_FIELDS = [
+  "publicName",
+  "shirtNumber",
+  "dateOfBirth",
+  "emergencyContact",
+  "avatar",
+];
+
+const replaceId = (ids, fromId, toId) => [
+  ...new Set(ids.map((id) => (id === fromId ? toId : id))),
+];
+
+// Seconds covered by playing periods, counting any overlap once
+const secondsPlayed = (periods) => {
+  let total = 0;
+  let reached = 0;
+  periods.forEach(({ start, end }) => {
+    const from = Math.max(start, reached);
+    const to = end ?? start;
+    if (to > from) total += to - from;
+    reached = Math.max(reached, to);
+  });
+  return total;
+};
+
+// One player's time on the pitch in a match from two players' rows for it.
+// The same player can't have been on twice at once, so overlapping periods
+// count once and without periods the longer of the two minutes stands.
+const mergePlayingTime = (kept, duplicate) => {
+  if (!kept.playingPeriods && !duplicate.playingPeriods) {
+    return {
+      minutesPlayed: Math.max(kept.minutesPlayed, duplicate.minutesPlayed),
+    };
+  }
+
+  const playingPeriods = [
+    ...(kept.playingPeriods || []),
+    ...(duplicate.playingPeriods || []),
+  ].sort((a, b) => a.start - b.start);
+
+  return {
+    playingPeriods,
+    minutesPlayed: Math.max(
+      Math.floor(secondsPlayed(playingPeriods) / 60),
+      kept.minutesPlayed,
+      duplicate.minutesPlayed
+    ),
+  };
+};
+
+// One player's counters for a match from two players' rows for it; the
+// event log then takes off assists between the two
+const sumMatchStats = (kept, duplicate) => ({
+  ...Object.fromEntries(
+    SUMMED_STAT_FIELDS.map((field) => [field, kept[field] + duplicate[field]])
+  ),
+  redCard: kept.redCard || duplicate.redCard,
+});
 
 /**
  * Service class for player operations
+ *
+ * Players on a team are shared with its members; players without a team
+ * stay private to the user who created them.
+ *
+ * A player can be in several teams' squads at once, and leaving a squad
+ * keeps the spell as history (PlayerTeamMembership). `Player.teamId` is the
+ * main team, which owns the player's profile; it is null only while the
+ * player is in no squad.
  */
 class PlayerService {
+  /**
+   * Validate the profile fields of a player from a request body
+   * Missing fields are left alone; null clears a field.
+   * @param {Object} data - { shirtNumber, positions, dateOfBirth
+   *   ("YYYY-MM-DD"), emergencyContact ({ name, phone, relationship }),
+   *   avatar }
+   * @returns {Object} - { valid, message }
+   */
+  static validateProfile(data) {
+    const { shirtNumber, positions, dateOfBirth, emergencyContact, avatar } =
+      data || {};
+
+    if (
+      shirtNumber !== undefined &&
+      shirtNumber !== null &&
+      (!Number.isInteger(shirtNumber) ||
+        shirtNumber < 0 ||
+        shirtNumber > MAX_SHIRT_NUMBER)
+    ) {
+      return {
+        valid: false,
+        message: `shirtNumber must be a whole number from 0 to ${MAX_SHIRT_NUMBER}`,
+      };
+    }
+
+    if (
+      positions !== undefined &&
+      (!Array.isArray(positions) ||
+        positions.some((position) => !PLAYER_POSITIONS.includes(position)) ||
+        new Set(positions).size !== positions.length)
+    ) {
+      return {
+        valid: false,
+        message: `positions must be a list of: ${PLAYER_POSITIONS.join(", ")}`,
+      };
+    }
+
+    if (dateOfBirth !== undefined && dateOfBirth !== null) {
+      const day = new Date(dateOfBirth);
+      if (
+        typeof dateOfBirth !== "string" ||
+        !DAY_PATTERN.test(dateOfBirth) ||
+        Number.isNaN(day.getTime()) ||
+        day > new Date()
+      ) {
+        return {
+          valid: false,
+          message: "dateOfBirth must be a past day (YYYY-MM-DD)",
+        };
+      }
+    }
+
+    if (emergencyContact !== undefined && emergencyContact !== null) {
+      const fields = ["name", "phone", "relationship"];
+      if (
+        typeof emergencyContact !== "object" ||
+        typeof emergencyContact.name !== "string" ||
+        !emergencyContact.name.trim() ||
+        typeof emergencyContact.phone !== "string" ||
+        !emergencyContact.phone.trim() ||
+        fields.some(
+          (field) =>
+            emergencyContact[field] !== undefined &&
+            emergencyContact[field] !== null &&
+            (typeof emergencyContact[field] !== "string" ||
+              emergencyContact[field].length > MAX_CONTACT_FIELD_LENGTH)
+        )
+      ) {
+        return {
+          valid: false,
+          message: "emergencyContact must be { name, phone, relationship? }",
+        };
+      }
+    }
+
+    if (
+      avatar !== undefined &&
+      avatar !== null &&
+      (typeof avatar !== "string" || !/^https?:\/\//.test(avatar))
+    ) {
+      return { valid: false, message: "avatar must be an http(s) URL" };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Database columns for validated profile fields (only those given)
+   * The emergency contact is stored encrypted, like player names.
+   */
+  static toProfileColumns(data) {
+    const { shirtNumber, positions, dateOfBirth, emergencyContact, avatar } =
+      data;
+
+    return {
+      ...(shirtNumber !== undefined && { shirtNumber }),
+      ...(positions !== undefined && { positions }),
+      ...(dateOfBirth !== undefined && {
+        dateOfBirth: dateOfBirth ? new Date(dateOfBirth) : null,
+      }),
+      ...(emergencyContact !== undefined && {
+        emergencyContact: emergencyContact
+          ? EncryptionService.encrypt(
+              JSON.stringify({
+                name: emergencyContact.name.trim(),
+                phone: emergencyContact.phone.trim(),
+                relationship: emergencyContact.relationship?.trim() || null,
+              })
+            )
+          : null,
+      }),
+      ...(avatar !== undefined && { avatar: avatar || null }),
+    };
+  }
+
+  /**
+   * Validate a squad change from a request body
+   * @param {Object} data - { shirtNumber (for that team), date ("YYYY-MM-DD",
+   *   when the player joined or left; default today) }
+   * @returns {Object} - { valid, message }
+   */
+  static validateTeamMembership(data) {
+    const { shirtNumber, date } = data || {};
+
+    const validation = this.validateProfile({ shirtNumber });
+    if (!validation.valid) return validation;
+
+    if (date !== undefined && date !== null) {
+      const day = new Date(date);
+      if (
+        typeof date !== "string" ||
+        !DAY_PATTERN.test(date) ||
+        Number.isNaN(day.getTime()) ||
+        day > new Date()
+      ) {
+        return {
+          valid: false,
+          message: "date must be a past day as YYYY-MM-DD",
+        };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Decrypt a stored emergency contact
+   * @returns {Object|null} - { name, phone, relationship }
+   */
+  static decryptEmergencyContact(value) {
+    return value ? JSON.parse(EncryptionService.decrypt(value)) : null;
+  }
+
+  /**
+   * Whether the user may see a player's emergency contact: coaches and
+   * owners of its team, or the owner of a player without a team
+   * @param {Array<string>} coachTeamIds - From TeamMembershipService.getTeamIds
+   */
+  static canSeeEmergencyContact(userId, player, coachTeamIds) {
+    return player.teamId
+      ? coachTeamIds.includes(player.teamId)
+      : player.userId === userId;
+  }
+
+  /**
+   * Ensure a player exists and the user has the given role on its team
+   * Must be called with a transaction client inside the user's RLS context.
+   */
+  static async assertPlayerAccess(tx, userId, playerId, minRole = "viewer") {
+    const player = await tx.player.findFirst({
+      where: { id: playerId, isDeleted: false },
+      select: { id: true, teamId: true, userId: true },
+    });
+
+    return await TeamMembershipService.assertRecordAccess(
+      tx,
+      userId,
+      player,
+      minRole,
+      "Player"
+    );
+  }
+
+  /**
+   * Prisma `where` for the players a user can see: those whose main team or
+   * current squads include one of the user's teams, plus their own players
+   * without a team
+   */
+  static async getAccessFilter(tx, userId) {
+    const teamIds = await TeamMembershipService.getTeamIds(tx, userId);
+
+    return {
+      OR: [
+        { teamId: { in: teamIds } },
+        { teamId: null, userId },
+        {
+          teamMemberships: {
+            some: { teamId: { in: teamIds }, leftAt: null },
+          },
+        },
+      ],
+    };
+  }
+
+  /**
+   * Prisma `where` for a team's current squad: players whose main team it
+   * is or who are in its squad as well
+   */
+  static getSquadFilter(teamId) {
+    return {
+      OR: [
+        { teamId },
+        { teamMemberships: { some: { teamId, leftAt: null } } },
+      ],
+    };
+  }
+
+  /**
+   * Decrypt the team names of a player's squad spells
+   */
+  static formatTeamMemberships(memberships) {
+    return memberships.map((membership) => ({
+      ...membership,
+      team: {
+        ...membership.team,
+        name: EncryptionService.decrypt(membership.team.name),
+      },
+    }));
+  }
+
+  /**
+   * Get a player with its main team and squad history, decrypted
+   * The emergency contact is only included for users allowed to see it.
+   * Must be called with a transaction client inside the user's RLS context.
+   */
+  static async findPlayerWithTeams(tx, userId, playerId) {
+    const player = await tx.player.findUnique({
+      where: { id: playerId },
+      include: {
+        team: true,
+        teamMemberships: teamMembershipsInclude,
+      },
+    });
+    const coachTeamIds = await TeamMembershipService.getTeamIds(
+      tx,
+      userId,
+      "coach"
+    );
+
+    return {
+      ...player,
+      name: EncryptionService.decrypt(player.name),
+      emergencyContact: this.canSeeEmergencyContact(
+        userId,
+        player,
+        coachTeamIds
+      )
+        ? this.decryptEmergencyContact(player.emergencyContact)
+        : null,
+      team: player.team
+        ? {
+            ...player.team,
+            name: EncryptionService.decrypt(player.team.name),
+          }
+        : null,
+      teamMemberships: this.formatTeamMemberships(player.teamMemberships),
+    };
+  }
+
+  /**
+   * Add a player to a team's squad, or change their shirt number there
+   * A player in no squad gets this team as their main team. Must be called
+   * with a transaction client, after access checks.
+   * @param {Object} player - { id, teamId }
+   * @param {Object} options - { shirtNumber, joinedAt }
+   */
+  static async joinTeam(tx, player, teamId, options = {}) {
+    const { shirtNumber, joinedAt } = options;
+
+    const current = await tx.playerTeamMembership.findFirst({
+      where: { playerId: player.id, teamId, leftAt: null },
+      select: { id: true },
+    });
+
+    if (current) {
+      if (shirtNumber !== undefined) {
+        await tx.playerTeamMembership.update({
+          where: { id: current.id },
+          data: { shirtNumber },
+        });
+      }
+    } else {
+      await tx.playerTeamMembership.create({
+        data: {
+          playerId: player.id,
+          teamId,
+          shirtNumber: shirtNumber ?? null,
+          ...(joinedAt && { joinedAt }),
+        },
+      });
+    }
+
+    if (!player.teamId) {
+      await tx.player.update({
+        where: { id: player.id },
+        data: { teamId },
+      });
+    }
+  }
+
+  /**
+   * End a player's spell in a team's squad
+   * When it was their main team, the squad they joined most recently becomes
+   * the main team, or none. Must be called with a transaction client, after
+   * access checks.
+   * @param {Object} player - { id, teamId }
+   * @returns {string|null} - The player's main team afterwards
+   */
+  static async leaveTeam(tx, player, teamId, leftAt = new Date()) {
+    await tx.playerTeamMembership.updateMany({
+      where: { playerId: player.id, teamId, leftAt: null },
+      data: { leftAt },
+    });
+
+    if (player.teamId !== teamId) return player.teamId;
+
+    const next = await tx.playerTeamMembership.findFirst({
+      where: { playerId: player.id, leftAt: null },
+      select: { teamId: true },
+      orderBy: { joinedAt: "desc" },
+    });
+    const mainTeamId = next?.teamId || null;
+
+    await tx.player.update({
+      where: { id: player.id },
+      data: { teamId: mainTeamId },
+    });
+    return mainTeamId;
+  }
+
+  /**
+   * Move a player from one squad to another, which becomes their main team
+   * Without `fromTeamId` they leave their main team. Must be called with a
+   * transaction client, after access checks.
+   * @param {Object} player - { id, teamId }
+   * @param {Object} options - { fromTeamId, shirtNumber, date }
+   */
+  static async moveToTeam(tx, player, toTeamId, options = {}) {
+    const { shirtNumber } = options;
+    const fromTeamId = options.fromTeamId || player.teamId;
+    const date = options.date ? new Date(options.date) : new Date();
+
+    let mainTeamId = player.teamId;
+    if (fromTeamId && fromTeamId !== toTeamId) {
+      mainTeamId = await this.leaveTeam(tx, player, fromTeamId, date);
+    }
+
+    // The main team is set below, so joinTeam needn't
+    await this.joinTeam(tx, { id: player.id, teamId: toTeamId }, toTeamId, {
+      shirtNumber,
+      joinedAt: date,
+    });
+
+    if (mainTeamId !== toTeamId) {
+      await tx.player.update({
+        where: { id: player.id },
+        data: { teamId: toTeamId },
+      });
+    }
+  }
+
   /**
    * Create a new player
+   * @param {Object} data - { name, publicName, teamId, goals, assists } plus
+   *   validated profile fields (see validateProfile)
    */
   static async createPlayer(userId, data) {
-    const { name, teamId, goals = 0, assists = 0 } = data;
+    const { name, publicName, teamId, goals = 0, assists = 0 } = data;
 
     // Encrypt player name
     const encryptedName = EncryptionService.encrypt(name);
 
     return await withDatabaseUserContext(userId, async (tx) => {
+      const ownerId = await TeamMembershipService.getOwnerId(
+        tx,
+        userId,
+        teamId,
+        "coach"
+      );
+
       const player = await tx.player.create({
         data: {
           name: encryptedName,
+          publicName: publicName || null,
           goals,
           assists,
-          userId,
+          ...this.toProfileColumns(data),
+          userId: ownerId,
           teamId: teamId || null,
         },
-        include: {
-          team: true,
-        },
       });
 
-      // Decrypt before returning
-      return {
-        ...player,
-        name: EncryptionService.decrypt(player.name),
-        team: player.team
-          ? {
-              ...player.team,
-              name: EncryptionService.decrypt(player.team.name),
-            }
-          : null,
-      };
+      if (teamId) {
+        await this.joinTeam(tx, player, teamId);
+      }
+
+      return await this.findPlayerWithTeams(tx, userId, player.id);
     });
   }
 
   /**
-   * Get all players for a user
+   * Get all players on the user's teams, plus their players without a team
+   * With `teamId`, only that team's current squad, counting its matches.
    */
   static async getPlayersForUser(userId, options = {}) {
     const { includeTeam = true, teamId, isDeleted = false } = options;
 
     return await withDatabaseUserContext(userId, async (tx) => {
+      const coachTeamIds = await TeamMembershipService.getTeamIds(
+        tx,
+        userId,
+        "coach"
+      );
       const players = await tx.player.findMany({
         where: {
-          userId,
+          AND: [
+            await this.getAccessFilter(tx, userId),
+            ...(teamId ? [this.getSquadFilter(teamId)] : []),
+          ],
           isDeleted,
-          ...(teamId && { teamId }),
         },
         include: {
           team: includeTeam,
+          teamMemberships: teamMembershipsInclude,
           matchStats: {
+            where: { match: { isDeleted: false } },
             include: {
               match: {
                 select: {
@@ -75,11 +547,13 @@ class PlayerService {
 
       // Decrypt player names, calculate stats totals from matchStats
       return players.map((player) => {
-        // Only count goals and assists from matches with the player's current team
+        // Only count goals and assists from matches with the requested team,
+        // else the player's main team
         // If player has no team, count all their stats
-        const relevantStats = player.teamId
+        const statsTeamId = teamId || player.teamId;
+        const relevantStats = statsTeamId
           ? player.matchStats.filter(
-              (stat) => stat.match.teamId === player.teamId
+              (stat) => stat.match.teamId === statsTeamId
             )
           : player.matchStats;
 
@@ -95,6 +569,13 @@ class PlayerService {
         return {
           ...player,
           name: EncryptionService.decrypt(player.name),
+          emergencyContact: this.canSeeEmergencyContact(
+            userId,
+            player,
+            coachTeamIds
+          )
+            ? this.decryptEmergencyContact(player.emergencyContact)
+            : null,
           goals: totalGoals, // Override with calculated total for current team only
           assists: totalAssists, // Override with calculated total for current team only
           team: player.team
@@ -103,6 +584,7 @@ class PlayerService {
                 name: EncryptionService.decrypt(player.team.name),
               }
             : null,
+          teamMemberships: this.formatTeamMemberships(player.teamMemberships),
           matchStats: undefined, // Remove matchStats from response to keep it clean
         };
       });
@@ -117,12 +599,14 @@ class PlayerService {
       const player = await tx.player.findFirst({
         where: {
           id: playerId,
-          userId,
           isDeleted: false,
+          ...(await this.getAccessFilter(tx, userId)),
         },
         include: {
           team: true,
+          teamMemberships: teamMembershipsInclude,
           matchStats: {
+            where: { match: { isDeleted: false } },
             include: {
               match: {
                 select: {
@@ -160,10 +644,23 @@ class PlayerService {
         0
       );
 
+      const coachTeamIds = await TeamMembershipService.getTeamIds(
+        tx,
+        userId,
+        "coach"
+      );
+
       // Decrypt
       return {
         ...player,
         name: EncryptionService.decrypt(player.name),
+        emergencyContact: this.canSeeEmergencyContact(
+          userId,
+          player,
+          coachTeamIds
+        )
+          ? this.decryptEmergencyContact(player.emergencyContact)
+          : null,
         goals: totalGoals,
         assists: totalAssists,
         team: player.team
@@ -172,6 +669,7 @@ class PlayerService {
               name: EncryptionService.decrypt(player.team.name),
             }
           : null,
+        teamMemberships: this.formatTeamMemberships(player.teamMemberships),
         matchStats: relevantStats, // Only return stats for current team
       };
     });
@@ -179,45 +677,68 @@ class PlayerService {
 
   /**
    * Update a player
+   * A replaced photo is deleted from storage. A new `teamId` moves the player
+   * to that team's squad (see moveToTeam); null takes them out of their main
+   * team's squad.
+   * @param {Object} data - Player fields plus validated profile fields (see
+   *   validateProfile)
    */
   static async updatePlayer(userId, playerId, data) {
-    const updateData = { ...data };
+    const { teamId, ...fields } = data;
+    const updateData = { ...fields, ...this.toProfileColumns(fields) };
 
     // Encrypt name if being updated
     if (updateData.name) {
       updateData.name = EncryptionService.encrypt(updateData.name);
     }
 
-    return await withDatabaseUserContext(userId, async (tx) => {
-      const player = await tx.player.update({
+    let previousAvatar = null;
+    const result = await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertPlayerAccess(tx, userId, playerId, "coach");
+      const existing = await tx.player.findUnique({
+        where: { id: playerId },
+        select: { id: true, teamId: true, avatar: true },
+      });
+      previousAvatar = existing.avatar;
+
+      await tx.player.update({
         where: {
           id: playerId,
         },
         data: updateData,
-        include: {
-          team: true,
-        },
       });
 
-      // Decrypt before returning
-      return {
-        ...player,
-        name: EncryptionService.decrypt(player.name),
-        team: player.team
-          ? {
-              ...player.team,
-              name: EncryptionService.decrypt(player.team.name),
-            }
-          : null,
-      };
+      if (teamId && teamId !== existing.teamId) {
+        await TeamMembershipService.assertTeamAccess(
+          tx,
+          userId,
+          teamId,
+          "coach"
+        );
+        await this.moveToTeam(tx, existing, teamId);
+      } else if (teamId === null && existing.teamId) {
+        await this.leaveTeam(tx, existing, existing.teamId);
+      }
+
+      return await this.findPlayerWithTeams(tx, userId, playerId);
     });
+
+    if (previousAvatar !== result.avatar) {
+      await ImageStorage.deleteIfUnused(previousAvatar);
+    }
+
+    return result;
   }
 
   /**
    * Soft delete a player
+   * The photo is kept so a restore brings it back; it is deleted from
+   * storage when the player is purged from the trash.
    */
   static async deletePlayer(userId, playerId) {
     return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertPlayerAccess(tx, userId, playerId, "coach");
+
       return await tx.player.update({
         where: {
           id: playerId,
@@ -231,16 +752,21 @@ class PlayerService {
   }
 
   /**
-   * Hard delete a player (permanently remove)
+   * Hard delete a player (permanently remove), with their photo
    */
   static async hardDeletePlayer(userId, playerId) {
-    return await withDatabaseUserContext(userId, async (tx) => {
+    const player = await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertPlayerAccess(tx, userId, playerId, "coach");
+
       return await tx.player.delete({
         where: {
           id: playerId,
         },
       });
     });
+
+    await ImageStorage.deleteIfUnused(player.avatar);
+    return player;
   }
 
   /**
@@ -248,6 +774,8 @@ class PlayerService {
    */
   static async updatePlayerStats(userId, playerId, goals, assists) {
     return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertPlayerAccess(tx, userId, playerId, "scorer");
+
       const player = await tx.player.update({
         where: {
           id: playerId,
@@ -269,6 +797,7 @@ class PlayerService {
       return {
         ...player,
         name: EncryptionService.decrypt(player.name),
+        emergencyContact: undefined, // Scorers don't see contact details
         team: player.team
           ? {
               ...player.team,
@@ -287,11 +816,12 @@ class PlayerService {
       const player = await tx.player.findFirst({
         where: {
           id: playerId,
-          userId,
           isDeleted: false,
+          ...(await this.getAccessFilter(tx, userId)),
         },
         include: {
           matchStats: {
+            where: { match: { isDeleted: false } },
             include: {
               match: true,
             },
@@ -326,6 +856,22 @@ class PlayerService {
       const avgAssistsPerMatch =
         totalMatches > 0 ? (totalAssists / totalMatches).toFixed(2) : 0;
 
+      // Matches where the player kept goal for at least one stint
+      const keeperStats = relevantStats.filter((stat) =>
+        (stat.playingPeriods || []).some(
+          (stint) => stint.slotId === GOALKEEPER_SLOT_ID
+        )
+      );
+      const goalkeeping = {
+        matchesInGoal: keeperStats.length,
+        saves: relevantStats.reduce((sum, stat) => sum + stat.saves, 0),
+        goalsConceded: keeperStats.reduce(
+          (sum, stat) => sum + stat.goalsConceded,
+          0
+        ),
+        cleanSheets: keeperStats.filter((stat) => stat.cleanSheet).length,
+      };
+
       // Get recent form (last 5 matches for current team only)
       const recentMatches = relevantStats
         .sort((a, b) => new Date(b.match.date) - new Date(a.match.date))
@@ -339,53 +885,430 @@ class PlayerService {
         totalAssists,
         avgGoalsPerMatch,
         avgAssistsPerMatch,
+        goalkeeping,
         recentForm: recentMatches.map((stat) => ({
           matchId: stat.matchId,
           date: stat.match.date,
           opponent: stat.match.opponent,
           goals: stat.goals,
           assists: stat.assists,
+          saves: stat.saves,
+          goalsConceded: stat.goalsConceded,
         })),
       };
     });
   }
 
   /**
-   * Assign player to a team
+   * Get a player's squad spells, current and past, newest first
    */
-  static async assignPlayerToTeam(userId, playerId, teamId) {
+  static async getTeamMemberships(userId, playerId) {
     return await withDatabaseUserContext(userId, async (tx) => {
-      const player = await tx.player.update({
+      const player = await tx.player.findFirst({
         where: {
           id: playerId,
+          isDeleted: false,
+          ...(await this.getAccessFilter(tx, userId)),
+        },
+        select: { id: true },
+      });
+
+      if (!player) {
+        throw new Error("Player not found or unauthorized");
+      }
+
+      const memberships = await tx.playerTeamMembership.findMany({
+        where: { playerId },
+        ...teamMembershipsInclude,
+      });
+
+      return this.formatTeamMemberships(memberships);
+    });
+  }
+
+  /**
+   * Add a player to a team's squad, keeping their other squads
+   * Already in the squad, only the shirt number changes. Needs coach access
+   * to the player and to the team.
+   * @param {Object} options - { shirtNumber (for this team), date }
+   */
+  static async assignPlayerToTeam(userId, playerId, teamId, options = {}) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertPlayerAccess(tx, userId, playerId, "coach");
+      await TeamMembershipService.assertTeamAccess(
+        tx,
+        userId,
+        teamId,
+        "coach"
+      );
+
+      const player = await tx.player.findUnique({
+        where: { id: playerId },
+        select: { id: true, teamId: true },
+      });
+
+      await this.joinTeam(tx, player, teamId, {
+        shirtNumber: options.shirtNumber,
+        ...(options.date && { joinedAt: new Date(options.date) }),
+      });
+
+      return await this.findPlayerWithTeams(tx, userId, playerId);
+    });
+  }
+
+  /**
+   * Take a player out of a team's squad (default: their main team)
+   * The spell is kept as history. Coaches of that team or of the player's
+   * main team can do this.
+   * @param {Object} options - { date }
+   */
+  static async removePlayerFromTeam(userId, playerId, teamId, options = {}) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const player = await tx.player.findFirst({
+        where: {
+          id: playerId,
+          isDeleted: false,
+          ...(await this.getAccessFilter(tx, userId)),
+        },
+        select: { id: true, teamId: true },
+      });
+
+      if (!player) {
+        throw new Error("Player not found or unauthorized");
+      }
+
+      const squadTeamId = teamId || player.teamId;
+      const coachTeamIds = await TeamMembershipService.getTeamIds(
+        tx,
+        userId,
+        "coach"
+      );
+      if (!squadTeamId || !coachTeamIds.includes(squadTeamId)) {
+        await this.assertPlayerAccess(tx, userId, playerId, "coach");
+      }
+
+      if (squadTeamId) {
+        await this.leaveTeam(
+          tx,
+          player,
+          squadTeamId,
+          options.date ? new Date(options.date) : new Date()
+        );
+      }
+
+      return await this.findPlayerWithTeams(tx, userId, playerId);
+    });
+  }
+
+  /**
+   * Transfer a player to another team, which becomes their main team
+   * Their spell at `fromTeamId` (default: the main team) ends on the day they
+   * join; to keep them there too, add them with assignPlayerToTeam instead.
+   * Needs coach access to the player and to the new team.
+   * @param {Object} data - { toTeamId, fromTeamId, shirtNumber (for the new
+   *   team), date }
+   */
+  static async transferPlayer(userId, playerId, data) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertPlayerAccess(tx, userId, playerId, "coach");
+      await TeamMembershipService.assertTeamAccess(
+        tx,
+        userId,
+        data.toTeamId,
+        "coach"
+      );
+
+      const player = await tx.player.findUnique({
+        where: { id: playerId },
+        select: { id: true, teamId: true },
+      });
+
+      await this.moveToTeam(tx, player, data.toTeamId, data);
+
+      return await this.findPlayerWithTeams(tx, userId, playerId);
+    });
+  }
+
+  /**
+   * Merge a duplicate record into a player
+   *
+   * The duplicate's match stats, match events, penalty kicks, squad spells,
+   * guardians, availability answers and training attendance move to the
+   * player, as do its places in squads, lineups and player of the match.
+   * Where both played the same match their stats are added together and
+   * their playing time combined, and a goal one assisted for the other loses
+   * the assist (see MatchEventService.syncPlayerStats); for other
+   * one-per-match records the player's own wins. Blank profile fields are
+   * filled from the duplicate, which is then soft deleted. Needs coach
+   * access to both.
+   * @returns {Object} - { player, merged: { matchStats, matches } }
+   */
+  static async mergePlayers(userId, playerId, duplicateId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertPlayerAccess(tx, userId, playerId, "coach");
+      await this.assertPlayerAccess(tx, userId, duplicateId, "coach");
+
+      const [player, duplicate] = await Promise.all(
+        [playerId, duplicateId].map((id) =>
+          tx.player.findUnique({ where: { id } })
+        )
+      );
+
+      // Match stats; where both played the same match the rows become one
+      const [stats, duplicateStats] = await Promise.all(
+        [playerId, duplicateId].map((id) =>
+          tx.playerMatchStat.findMany({ where: { playerId: id } })
+        )
+      );
+      const syncedMatchIds = new Set();
+      for (const duplicateStat of duplicateStats) {
+        const stat = stats.find(
+          (existing) => existing.matchId === duplicateStat.matchId
+        );
+
+        if (stat) {
+          await tx.playerMatchStat.update({
+            where: { id: stat.id },
+            data: {
+              ...sumMatchStats(stat, duplicateStat),
+              ...mergePlayingTime(stat, duplicateStat),
+            },
+          });
+          await tx.playerMatchStat.delete({ where: { id: duplicateStat.id } });
+          syncedMatchIds.add(stat.matchId);
+        } else {
+          await tx.playerMatchStat.update({
+            where: { id: duplicateStat.id },
+            data: { playerId },
+          });
+        }
+      }
+
+      // Squads, lineups (only ever of squad players) and player of the match
+      const matches = await tx.match.findMany({
+        where: {
+          OR: [
+            { selectedPlayerIds: { has: duplicateId } },
+            { playerOfTheMatchId: duplicateId },
+          ],
+        },
+        select: {
+          id: true,
+          selectedPlayerIds: true,
+          playerOfTheMatchId: true,
+          lineup: true,
         },
+      });
+      for (const match of matches) {
+        const assignments = match.lineup?.assignments || {};
+        const inLineup = Object.values(assignments).includes(duplicateId);
+        // A player on the pitch twice keeps their own slot
+        const hasSlot = Object.values(assignments).includes(playerId);
+
+        await tx.match.update({
+          where: { id: match.id },
+          data: {
+            selectedPlayerIds: replaceId(
+              match.selectedPlayerIds,
+              duplicateId,
+              playerId
+            ),
+            ...(match.playerOfTheMatchId === duplicateId && {
+              playerOfTheMatchId: playerId,
+            }),
+            ...(inLineup && {
+              lineup: {
+                ...match.lineup,
+                assignments: Object.fromEntries(
+                  Object.entries(assignments)
+                    .filter(([, id]) => !(hasSlot && id === duplicateId))
+                    .map(([slotId, id]) => [
+                      slotId,
+                      id === duplicateId ? playerId : id,
+                    ])
+                ),
+              },
+            }),
+          },
+        });
+      }
+
+      // The duplicate assisting the player's goal, or the other way round,
+      // was one goal by one player
+      const selfAssists = await tx.matchEvent.findMany({
+        where: {
+          OR: [
+            { playerId, assistPlayerId: duplicateId },
+            { playerId: duplicateId, assistPlayerId: playerId },
+          ],
+        },
+        select: { id: true, matchId: true },
+      });
+      selfAssists.forEach((event) => syncedMatchIds.add(event.matchId));
+
+      // The logs as if the duplicate had been the player all along, so
+      // syncPlayerStats only applies the assists cleared below
+      const previousEvents = await tx.matchEvent.findMany({
+        where: { matchId: { in: [...syncedMatchIds] } },
+      });
+      const asPlayer = (id) => (id === duplicateId ? playerId : id);
+
+      await tx.matchEvent.updateMany({
+        where: { playerId: duplicateId },
+        data: { playerId },
+      });
+      await tx.matchEvent.updateMany({
+        where: { assistPlayerId: duplicateId },
+        data: { assistPlayerId: playerId },
+      });
+      await tx.matchEvent.updateMany({
+        where: { id: { in: selfAssists.map((event) => event.id) } },
+        data: { assistPlayerId: null },
+      });
+      await tx.penaltyKick.updateMany({
+        where: { playerId: duplicateId },
+        data: { playerId },
+      });
+      await tx.teamInvitation.updateMany({
+        where: { playerId: duplicateId },
+        data: { playerId },
+      });
+
+      // One per match, session or guardian: the player's own row wins
+      const uniqueRows = {
+        playerGuardian: "userId",
+        playerAvailability: "matchId",
+        trainingAttendance: "sessionId",
+      };
+      for (const [model, key] of Object.entries(uniqueRows)) {
+        await this.moveUniqueRows(tx, model, key, playerId, duplicateId);
+      }
+
+      for (const matchId of syncedMatchIds) {
+        await MatchEventService.syncPlayerStats(
+          tx,
+          matchId,
+          previousEvents
+            .filter((event) => event.matchId === matchId)
+            .map((event) => ({
+              ...event,
+              playerId: asPlayer(event.playerId),
+              assistPlayerId: asPlayer(event.assistPlayerId),
+            }))
+        );
+      }
+
+      await this.mergeTeamMemberships(tx, player, duplicate);
+
+      await tx.player.update({
+        where: { id: playerId },
         data: {
-          teamId,
+          goals: player.goals + duplicate.goals,
+          assists: Math.max(
+            0,
+            player.assists + duplicate.assists - selfAssists.length
+          ),
+          ...Object.fromEntries(
+            MERGED_PROFILE_FIELDS.filter(
+              (field) => player[field] === null && duplicate[field] !== null
+            ).map((field) => [field, duplicate[field]])
+          ),
+          ...(player.positions.length === 0 && {
+            positions: duplicate.positions,
+          }),
         },
-        include: {
-          team: true,
+      });
+
+      await tx.player.update({
+        where: { id: duplicateId },
+        data: {
+          isDeleted: true,
+          deletedAt: new Date(),
         },
       });
 
-      // Decrypt before returning
       return {
-        ...player,
-        name: EncryptionService.decrypt(player.name),
-        team: player.team
-          ? {
-              ...player.team,
-              name: EncryptionService.decrypt(player.team.name),
-            }
-          : null,
+        player: await this.findPlayerWithTeams(tx, userId, playerId),
+        merged: {
+          matchStats: duplicateStats.length,
+          matches: matches.length,
+        },
       };
     });
   }
 
   /**
-   * Remove player from team
+   * Move a duplicate's rows of a model with one row per player and `key`
+   * Rows the player already has for the same key are kept and the
+   * duplicate's are deleted. Must be called with a transaction client.
+   */
+  static async moveUniqueRows(tx, model, key, playerId, duplicateId) {
+    const existing = await tx[model].findMany({
+      where: { playerId },
+      select: { [key]: true },
+    });
+
+    await tx[model].deleteMany({
+      where: {
+        playerId: duplicateId,
+        [key]: { in: existing.map((row) => row[key]) },
+      },
+    });
+    await tx[model].updateMany({
+      where: { playerId: duplicateId },
+      data: { playerId },
+    });
+  }
+
+  /**
+   * Move a duplicate's squad spells to a player
+   * Where both are in the same squad, the player's spell starts at the
+   * earlier date. A player without a main team takes the duplicate's. Must
+   * be called with a transaction client.
    */
-  static async removePlayerFromTeam(userId, playerId) {
-    return await this.assignPlayerToTeam(userId, playerId, null);
+  static async mergeTeamMemberships(tx, player, duplicate) {
+    const [current, duplicateMemberships] = await Promise.all(
+      [player.id, duplicate.id].map((playerId) =>
+        tx.playerTeamMembership.findMany({ where: { playerId } })
+      )
+    );
+
+    for (const membership of duplicateMemberships) {
+      const open = current.find(
+        (existing) =>
+          !existing.leftAt &&
+          !membership.leftAt &&
+          existing.teamId === membership.teamId
+      );
+
+      if (open) {
+        await tx.playerTeamMembership.update({
+          where: { id: open.id },
+          data: {
+            joinedAt:
+              membership.joinedAt < open.joinedAt
+                ? membership.joinedAt
+                : open.joinedAt,
+            shirtNumber: open.shirtNumber ?? membership.shirtNumber,
+          },
+        });
+        await tx.playerTeamMembership.delete({
+          where: { id: membership.id },
+        });
+      } else {
+        await tx.playerTeamMembership.update({
+          where: { id: membership.id },
+          data: { playerId: player.id },
+        });
+      }
+    }
+
+    if (!player.teamId && duplicate.teamId) {
+      await tx.player.update({
+        where: { id: player.id },
+        data: { teamId: duplicate.teamId },
+      });
+    }
   }
 }
 
@@ -0,0 +1,239 @@
+import crypto from "crypto";
+import { getPrisma } from "./prisma.js";
+import { withDatabaseUserContext } from "./db-utils.js";
+import { MATCH_EVENT_TYPES } from "./matchEventService.js";
+import PeriodFormat from "./periodFormat.js";
+import TeamMembershipService from "./teamMembershipService.js";
+
+/**
+ * Service class for shareable public scoreboards
+ *
+ * Public viewers are not signed in, so nothing here decrypts team or player
+ * names. Only the plaintext `publicName` a coach has set is ever returned.
+ */
+class PublicScoreboardService {
+  /**
+   * Generate an unguessable share token (192 bits, URL-safe)
+   */
+  static generateToken() {
+    return crypto.randomBytes(24).toString("base64url");
+  }
+
+  /**
+   * Build the public URL for a share token
+   * @param {Object} req - Incoming request, used when PUBLIC_APP_URL is not set
+   * @param {string} token
+   */
+  static getShareUrl(req, token) {
+    const baseUrl =
+      process.env.PUBLIC_APP_URL ||
+      `${req.headers["x-forwarded-proto"] || "https"}://${req.headers.host}`;
+
+    return `${baseUrl.replace(/\/$/, "")}/scoreboard/${token}`;
+  }
+
+  /**
+   * Get the current share token for a match (null when not shared)
+   */
+  static async getShare(userId, matchId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertMatchAccess(tx, userId, matchId);
+
+      return await tx.match.findUnique({
+        where: { id: matchId },
+        select: { shareToken: true, shareTokenCreatedAt: true },
+      });
+    });
+  }
+
+  /**
+   * Create a share link, or replace it so the old link stops working
+   * @param {boolean} regenerate - Issue a new token even if one exists
+   */
+  static async enableShare(userId, matchId, regenerate = false) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertMatchAccess(
+        tx,
+        userId,
+        matchId,
+        "coach"
+      );
+
+      const match = await tx.match.findUnique({
+        where: { id: matchId },
+        select: { shareToken: true, shareTokenCreatedAt: true },
+      });
+
+      if (match.shareToken && !regenerate) {
+        return match;
+      }
+
+      return await tx.match.update({
+        where: { id: matchId },
+        data: {
+          shareToken: this.generateToken(),
+          shareTokenCreatedAt: new Date(),
+        },
+        select: { shareToken: true, shareTokenCreatedAt: true },
+      });
+    });
+  }
+
+  /**
+   * Revoke the share link
+   */
+  static async revokeShare(userId, matchId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertMatchAccess(
+        tx,
+        userId,
+        matchId,
+        "coach"
+      );
+
+      await tx.match.update({
+        where: { id: matchId },
+        data: {
+          shareToken: null,
+          shareTokenCreatedAt: null,
+        },
+      });
+
+      return { success: true };
+    });
+  }
+
+  /**
+   * Get the public scoreboard for a share token
+   * @param {string} token
+   * @returns {Object|null} - Null when the token is unknown or revoked, or
+   *   the match is deleted
+   */
+  static async getScoreboard(token) {
+    if (!token) return null;
+
+    // Resolve the owner first, then read everything inside their RLS context
+    const owner = await getPrisma().match.findFirst({
+      where: { shareToken: token, isDeleted: false },
+      select: { id: true, userId: true },
+    });
+
+    if (!owner) return null;
+
+    return await withDatabaseUserContext(owner.userId, async (tx) => {
+      const match = await tx.match.findUnique({
+        where: { id: owner.id },
+        select: {
+          opponent: true,
+          date: true,
+          venue: true,
+          matchType: true,
+          isFinished: true,
+          goalsFor: true,
+          goalsAgainst: true,
+          penaltiesFor: true,
+          penaltiesAgainst: true,
+          shareToken: true,
+          periodFormat: true,
+          team: {
+            select: { publicName: true, avatar: true, periodFormat: true },
+          },
+          liveSession: {
+            select: {
+              clockRunning: true,
+              clockStartedAt: true,
+              clockAccumulatedSeconds: true,
+              clockPeriod: true,
+              clockInBreak: true,
+            },
+          },
+          events: {
+            where: {
+              type: {
+                in: [MATCH_EVENT_TYPES.GOAL, MATCH_EVENT_TYPES.OPPONENT_GOAL],
+              },
+            },
+            select: {
+              type: true,
+              matchSecond: true,
+              period: true,
+              player: { select: { publicName: true } },
+            },
+            orderBy: [
+              { period: "asc" },
+              { matchSecond: "asc" },
+              { createdAt: "asc" },
+            ],
+          },
+          playerStats: {
+            where: { goals: { gt: 0 } },
+            select: {
+              goals: true,
+              player: { select: { publicName: true } },
+            },
+          },
+        },
+      });
+
+      // Guard against the token being revoked between the two reads
+      if (!match || match.shareToken !== token) return null;
+
+      const session = match.liveSession;
+      const format = PeriodFormat.resolve(
+        match.periodFormat,
+        match.team?.periodFormat
+      );
+      const goals = match.events.map((event) => ({
+        isOpponent: event.type === MATCH_EVENT_TYPES.OPPONENT_GOAL,
+        minute: Math.floor(event.matchSecond / 60) + 1,
+        period: event.period,
+        periodLabel: PeriodFormat.getPeriodLabel(format, event.period),
+        scorer: event.player?.publicName || null,
+      }));
+
+      // Matches recorded before the event log only have per-player totals
+      const scorers =
+        goals.length > 0
+          ? []
+          : match.playerStats
+              .filter((stat) => stat.player?.publicName)
+              .map((stat) => ({
+                name: stat.player.publicName,
+                goals: stat.goals,
+              }));
+
+      return {
+        teamName: match.team?.publicName || null,
+        teamAvatar: match.team?.publicName ? match.team.avatar : null,
+        opponent: match.opponent,
+        date: match.date.toISOString(),
+        venue: match.venue,
+        matchType: match.matchType,
+        isFinished: match.isFinished,
+        goalsFor: match.goalsFor,
+        goalsAgainst: match.goalsAgainst,
+        penaltiesFor: match.penaltiesFor,
+        penaltiesAgainst: match.penaltiesAgainst,
+        clock: session
+          ? {
+              running: session.clockRunning,
+              startedAt: session.clockStartedAt
+                ? session.clockStartedAt.getTime()
+                : null,
+              accumulatedSeconds: session.clockAccumulatedSeconds,
+              period: session.clockPeriod,
+              periodLabel: session.clockInBreak
+                ? PeriodFormat.getBreakLabel(format, session.clockPeriod)
+                : PeriodFormat.getPeriodLabel(format, session.clockPeriod),
+              inBreak: session.clockInBreak,
+            }
+          : null,
+        goals,
+        scorers,
+        updatedAt: Date.now(),
+      };
+    });
+  }
+}
+
+export default PublicScoreboardService;
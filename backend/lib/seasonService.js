@@ -0,0 +1,401 @@
+import { withDatabaseUserContext } from "./db-utils.js";
+import TeamMembershipService from "./teamMembershipService.js";
+import PlayerService from "./playerService.js";
+
+const MAX_NAME_LENGTH = 50;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const seasonSelect = {
+  id: true,
+  name: true,
+  startDate: true,
+  endDate: true,
+  teamId: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+/**
+ * Service class for team seasons
+ *
+ * A season is a named date range for one team ("2025/26", 1 Aug to 31 May,
+ * both days included). Seasons of a team can't overlap, so a match belongs to
+ * the season covering its date; matches are linked when they are saved and
+ * when a season is created or its dates change.
+ */
+class SeasonService {
+  /**
+   * Parse a date from a request body ("2025-08-01" or an ISO timestamp)
+   * @returns {Date|null} - null when the value isn't a valid date
+   */
+  static parseDate(value) {
+    if (typeof value !== "string" && !(value instanceof Date)) {
+      return null;
+    }
+
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Validate a season from a request body
+   * @param {Object} data - { name, startDate, endDate }
+   * @param {boolean} partial - Allow missing fields (updates)
+   * @returns {Object} - { valid, message }
+   */
+  static validateSeason(data, partial = false) {
+    const { name, startDate, endDate } = data || {};
+
+    if (name !== undefined || !partial) {
+      if (
+        typeof name !== "string" ||
+        !name.trim() ||
+        name.length > MAX_NAME_LENGTH
+      ) {
+        return {
+          valid: false,
+          message: `Season name is required (up to ${MAX_NAME_LENGTH} characters)`,
+        };
+      }
+    }
+
+    if (partial && startDate === undefined && endDate === undefined) {
+      return { valid: true };
+    }
+
+    const start = this.parseDate(startDate);
+    const end = this.parseDate(endDate);
+    if (!start || !end) {
+      return {
+        valid: false,
+        message: "startDate and endDate must be valid dates",
+      };
+    }
+
+    if (end < start) {
+      return {
+        valid: false,
+        message: "endDate cannot be before startDate",
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate a new season from the rollover flow
+   * @param {Object} data - { name, startDate, endDate, playerIds? }
+   * @returns {Object} - { valid, message }
+   */
+  static validateNewSeason(data) {
+    const validation = this.validateSeason(data);
+    if (!validation.valid) return validation;
+
+    const { playerIds } = data;
+    if (
+      playerIds !== undefined &&
+      (!Array.isArray(playerIds) ||
+        playerIds.some((playerId) => typeof playerId !== "string"))
+    ) {
+      return {
+        valid: false,
+        message: "playerIds must be an array of player IDs",
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Match date filter for a season (the end date is included)
+   * @param {Object} season - { startDate, endDate }
+   * @returns {Object} - Prisma DateTime filter
+   */
+  static getDateRange(season) {
+    return {
+      gte: new Date(season.startDate),
+      lt: new Date(new Date(season.endDate).getTime() + DAY_MS),
+    };
+  }
+
+  /**
+   * Ensure a season exists and the user has the given role on its team
+   * Must be called with a transaction client inside the user's RLS context.
+   * @returns {Object} - The season
+   */
+  static async assertSeasonAccess(tx, userId, seasonId, minRole = "viewer") {
+    const season = await tx.season.findUnique({
+      where: { id: seasonId },
+      select: seasonSelect,
+    });
+
+    if (!season) {
+      throw new Error("Season not found or unauthorized");
+    }
+
+    await TeamMembershipService.assertTeamAccess(
+      tx,
+      userId,
+      season.teamId,
+      minRole,
+      "Season"
+    );
+
+    return season;
+  }
+
+  /**
+   * Reject dates that overlap another season of the same team
+   * @param {string} excludeId - Season being updated, if any
+   */
+  static async assertNoOverlap(tx, teamId, startDate, endDate, excludeId) {
+    const overlapping = await tx.season.findFirst({
+      where: {
+        teamId,
+        ...(excludeId && { id: { not: excludeId } }),
+        startDate: { lte: endDate },
+        endDate: { gte: startDate },
+      },
+      select: { name: true },
+    });
+
+    if (overlapping) {
+      throw new Error(`Season dates overlap with "${overlapping.name}"`);
+    }
+  }
+
+  /**
+   * Find the team season covering a date
+   * @returns {string|null} - Season ID, or null when no season covers it
+   */
+  static async findSeasonIdForDate(tx, teamId, date) {
+    if (!teamId || !date) return null;
+
+    const day = new Date(date);
+    const season = await tx.season.findFirst({
+      where: {
+        teamId,
+        startDate: { lte: day },
+        endDate: { gt: new Date(day.getTime() - DAY_MS) },
+      },
+      select: { id: true },
+    });
+
+    return season ? season.id : null;
+  }
+
+  /**
+   * Link the team's matches to a season after its dates are set
+   * Matches outside the range are unlinked; matches inside it that aren't in
+   * another season are linked.
+   */
+  static async linkMatches(tx, season) {
+    const range = this.getDateRange(season);
+
+    await tx.match.updateMany({
+      where: {
+        seasonId: season.id,
+        NOT: { date: range },
+      },
+      data: { seasonId: null },
+    });
+
+    await tx.match.updateMany({
+      where: {
+        teamId: season.teamId,
+        seasonId: null,
+        date: range,
+      },
+      data: { seasonId: season.id },
+    });
+  }
+
+  /**
+   * Get a team's seasons, newest first, with their match counts
+   */
+  static async getTeamSeasons(userId, teamId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertTeamAccess(tx, userId, teamId);
+
+      return await tx.season.findMany({
+        where: { teamId },
+        select: {
+          ...seasonSelect,
+          _count: {
+            select: { matches: { where: { isDeleted: false } } },
+          },
+        },
+        orderBy: { startDate: "desc" },
+      });
+    });
+  }
+
+  /**
+   * Create a season for a team and link its matches
+   * @param {Object} data - Validated { name, startDate, endDate }
+   */
+  static async createSeason(userId, teamId, data) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const { team } = await TeamMembershipService.assertTeamAccess(
+        tx,
+        userId,
+        teamId,
+        "coach"
+      );
+      return await this.insertSeason(tx, team.userId, teamId, data);
+    });
+  }
+
+  /**
+   * Insert a season inside an open transaction
+   * @param {string} ownerId - The team owner, who owns the season row
+   */
+  static async insertSeason(tx, ownerId, teamId, data) {
+    const startDate = this.parseDate(data.startDate);
+    const endDate = this.parseDate(data.endDate);
+
+    await this.assertNoOverlap(tx, teamId, startDate, endDate);
+
+    const season = await tx.season.create({
+      data: {
+        name: data.name.trim(),
+        startDate,
+        endDate,
+        userId: ownerId,
+        teamId,
+      },
+      select: seasonSelect,
+    });
+
+    await this.linkMatches(tx, season);
+
+    return season;
+  }
+
+  /**
+   * Rename a season or change its dates
+   * @param {Object} data - Validated { name?, startDate?, endDate? }
+   */
+  static async updateSeason(userId, seasonId, data) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const existing = await this.assertSeasonAccess(
+        tx,
+        userId,
+        seasonId,
+        "coach"
+      );
+      const datesChanged = data.startDate !== undefined;
+
+      if (datesChanged) {
+        await this.assertNoOverlap(
+          tx,
+          existing.teamId,
+          this.parseDate(data.startDate),
+          this.parseDate(data.endDate),
+          seasonId
+        );
+      }
+
+      const season = await tx.season.update({
+        where: { id: seasonId },
+        data: {
+          ...(data.name !== undefined && { name: data.name.trim() }),
+          ...(datesChanged && {
+            startDate: this.parseDate(data.startDate),
+            endDate: this.parseDate(data.endDate),
+          }),
+        },
+        select: seasonSelect,
+      });
+
+      if (datesChanged) {
+        await this.linkMatches(tx, season);
+      }
+
+      return season;
+    });
+  }
+
+  /**
+   * Delete a season (its matches are kept without a season)
+   */
+  static async deleteSeason(userId, seasonId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertSeasonAccess(tx, userId, seasonId, "coach");
+
+      await tx.season.delete({
+        where: { id: seasonId },
+      });
+
+      return { success: true };
+    });
+  }
+
+  /**
+   * Start a new season for a team and carry the squad over
+   *
+   * A season still running on the new start date is ended the day before.
+   * Players listed in `playerIds` stay in the team; the rest of the squad
+   * leaves it (their stats and squad history are kept). Without `playerIds`
+   * everyone stays.
+   * @param {Object} data - Validated { name, startDate, endDate, playerIds? }
+   * @returns {Object} - { season, previousSeason, squad: { kept, released } }
+   */
+  static async startNewSeason(userId, teamId, data) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const { team } = await TeamMembershipService.assertTeamAccess(
+        tx,
+        userId,
+        teamId,
+        "coach"
+      );
+
+      const startDate = this.parseDate(data.startDate);
+      const running = await tx.season.findFirst({
+        where: {
+          teamId,
+          startDate: { lt: startDate },
+          endDate: { gte: startDate },
+        },
+        select: seasonSelect,
+      });
+
+      let previousSeason = null;
+      if (running) {
+        previousSeason = await tx.season.update({
+          where: { id: running.id },
+          data: { endDate: new Date(startDate.getTime() - DAY_MS) },
+          select: seasonSelect,
+        });
+        await this.linkMatches(tx, previousSeason);
+      }
+
+      const season = await this.insertSeason(tx, team.userId, teamId, data);
+
+      const squad = await tx.player.findMany({
+        where: { ...PlayerService.getSquadFilter(teamId), isDeleted: false },
+        select: { id: true, teamId: true },
+      });
+
+      const keepIds = Array.isArray(data.playerIds)
+        ? squad
+            .map((player) => player.id)
+            .filter((id) => data.playerIds.includes(id))
+        : squad.map((player) => player.id);
+      const released = squad.filter((player) => !keepIds.includes(player.id));
+
+      // Released players keep their other squads and their history here
+      for (const player of released) {
+        await PlayerService.leaveTeam(tx, player, teamId);
+      }
+
+      return {
+        season,
+        previousSeason,
+        squad: { kept: keepIds.length, released: released.length },
+      };
+    });
+  }
+}
+
+export default SeasonService;
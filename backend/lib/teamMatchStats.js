@@ -0,0 +1,118 @@
+import { Prisma } from "@prisma/client";
+
+/**
+ * Team-level match counters (shots, corners, free kicks, saves)
+ *
+ * Stored as JSON on a match, one set of counters per side:
+ * { for: { shotsOnTarget, ... }, against: { shotsOnTarget, ... } }.
+ * A match without counters (null) wasn't tracked and is left out of averages.
+ */
+export const TEAM_STAT_KEYS = [
+  "shotsOnTarget",
+  "shotsOffTarget",
+  "corners",
+  "freeKicks",
+  "saves",
+];
+
+const SIDES = ["for", "against"];
+const MAX_COUNT = 999;
+
+class TeamMatchStats {
+  /**
+   * Validate team counters from a request body
+   * `null` is valid and clears the counters.
+   * @param {Object|null} stats
+   * @returns {Object} - { valid, message }
+   */
+  static validate(stats) {
+    if (stats === null) {
+      return { valid: true };
+    }
+
+    if (typeof stats !== "object" || Array.isArray(stats)) {
+      return { valid: false, message: "teamStats must be an object" };
+    }
+
+    for (const side of SIDES) {
+      const counters = stats[side];
+      if (counters === undefined) continue;
+
+      if (!counters || typeof counters !== "object") {
+        return { valid: false, message: `teamStats.${side} must be an object` };
+      }
+
+      for (const key of TEAM_STAT_KEYS) {
+        const value = counters[key];
+        if (value === undefined) continue;
+
+        if (!Number.isInteger(value) || value < 0 || value > MAX_COUNT) {
+          return {
+            valid: false,
+            message: `teamStats.${side}.${key} must be a whole number between 0 and ${MAX_COUNT}`,
+          };
+        }
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Fill in missing counters and drop unknown ones
+   * @param {Object} stats - Validated counters
+   * @returns {Object}
+   */
+  static normalize(stats) {
+    return SIDES.reduce(
+      (normalized, side) => ({
+        ...normalized,
+        [side]: TEAM_STAT_KEYS.reduce(
+          (counters, key) => ({
+            ...counters,
+            [key]: stats?.[side]?.[key] || 0,
+          }),
+          {}
+        ),
+      }),
+      {}
+    );
+  }
+
+  /**
+   * Normalize counters before saving
+   * @param {Object|null} stats
+   * @returns {Object} - Column value (Prisma.DbNull clears the counters)
+   */
+  static toColumn(stats) {
+    if (!stats) return Prisma.DbNull;
+    return this.normalize(stats);
+  }
+
+  /**
+   * Average counters per match for each side
+   * Only matches that tracked counters are counted.
+   * @param {Array<Object>} matches - Matches with their teamStats
+   * @returns {Object} - { matchesTracked, for, against } with an average per key
+   */
+  static getAverages(matches) {
+    const tracked = matches.filter((match) => match.teamStats);
+    const averages = { matchesTracked: tracked.length };
+
+    SIDES.forEach((side) => {
+      averages[side] = {};
+      TEAM_STAT_KEYS.forEach((key) => {
+        const total = tracked.reduce(
+          (sum, match) => sum + (match.teamStats[side]?.[key] || 0),
+          0
+        );
+        averages[side][key] =
+          tracked.length > 0 ? (total / tracked.length).toFixed(2) : 0;
+      });
+    });
+
+    return averages;
+  }
+}
+
+export default TeamMatchStats;
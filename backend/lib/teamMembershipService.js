@@ -0,0 +1,600 @@
+import crypto from "crypto";
+import { getPrisma } from "./prisma.js";
+import { withDatabaseUserContext } from "./db-utils.js";
+import EncryptionService from "./encryption.js";
+
+/**
+ * Roles a user can hold on a team, highest first
+ *
+ * - owner: edits or deletes the team and manages its members
+ * - coach: manages players, matches, formations, seasons and competitions
+ * - scorer: records scores, stats, live events and shootouts
+ * - viewer: sees everything, changes nothing
+ */
+export const TEAM_ROLES = ["owner", "coach", "scorer", "viewer"];
+
+// Every team has exactly one owner, so invitations and role changes stop here
+export const INVITABLE_ROLES = ["coach", "scorer", "viewer"];
+
+// Invitations with this role link a guardian to one player instead of
+// adding a team member
+export const GUARDIAN_ROLE = "guardian";
+
+const ROLE_RANKS = { owner: 4, coach: 3, scorer: 2, viewer: 1 };
+const INVITATION_DAYS = 14;
+const MAX_EMAIL_LENGTH = 254;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const invitationSelect = {
+  id: true,
+  email: true,
+  role: true,
+  token: true,
+  expiresAt: true,
+  createdAt: true,
+};
+
+/**
+ * Service class for team members, their roles and invitations
+ *
+ * Team data stays owned by the team's creator (`userId` on every row), and
+ * each team has one "owner" membership for them. Other users reach the team
+ * through their own membership, so access checks go through here instead of
+ * comparing `userId`.
+ */
+class TeamMembershipService {
+  /**
+   * Check whether a role is at least as strong as another
+   */
+  static hasRole(role, minRole) {
+    return (ROLE_RANKS[role] || 0) >= ROLE_RANKS[minRole];
+  }
+
+  /**
+   * Validate a role that can be given to a member or invitation
+   * @returns {Object} - { valid, message }
+   */
+  static validateRole(role) {
+    if (!INVITABLE_ROLES.includes(role)) {
+      return {
+        valid: false,
+        message: `role must be one of: ${INVITABLE_ROLES.join(", ")}`,
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate a new invitation from a request body
+   * @param {Object} data - { email?, role }
+   * @returns {Object} - { valid, message }
+   */
+  static validateInvitation(data = {}) {
+    const emailValidation = this.validateEmail(data.email);
+    if (!emailValidation.valid) return emailValidation;
+
+    return this.validateRole(data.role);
+  }
+
+  /**
+   * Validate an optional invitation email
+   * @returns {Object} - { valid, message }
+   */
+  static validateEmail(email) {
+    if (
+      email !== undefined &&
+      email !== null &&
+      (typeof email !== "string" ||
+        email.length > MAX_EMAIL_LENGTH ||
+        !EMAIL_PATTERN.test(email.trim()))
+    ) {
+      return { valid: false, message: "email must be a valid email address" };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Ensure the user is a member of a team with at least the given role
+   * Must be called with a transaction client inside the user's RLS context.
+   * @param {string} minRole - One of TEAM_ROLES
+   * @param {string} resource - Name used in the not-found error
+   * @returns {Object} - { team: { id, userId }, role }; `team.userId` owns
+   *   the team's data and is used for rows members create
+   */
+  static async assertTeamAccess(
+    tx,
+    userId,
+    teamId,
+    minRole = "viewer",
+    resource = "Team"
+  ) {
+    const membership = teamId
+      ? await tx.teamMembership.findFirst({
+          where: { teamId, userId, team: { isDeleted: false } },
+          select: {
+            role: true,
+            team: { select: { id: true, userId: true } },
+          },
+        })
+      : null;
+
+    if (!membership) {
+      throw new Error(`${resource} not found or unauthorized`);
+    }
+
+    if (!this.hasRole(membership.role, minRole)) {
+      throw new Error(`Insufficient team role: ${minRole} or above required`);
+    }
+
+    return { team: membership.team, role: membership.role };
+  }
+
+  /**
+   * Ensure the user can act on a player or match
+   * Rows without a team stay private to the user who created them.
+   * @param {Object|null} record - { teamId, userId }
+   * @returns {Object} - { team, role } as from assertTeamAccess
+   */
+  static async assertRecordAccess(tx, userId, record, minRole, resource) {
+    if (!record) {
+      throw new Error(`${resource} not found or unauthorized`);
+    }
+
+    if (!record.teamId) {
+      if (record.userId !== userId) {
+        throw new Error(`${resource} not found or unauthorized`);
+      }
+      return { team: null, role: "owner" };
+    }
+
+    return await this.assertTeamAccess(
+      tx,
+      userId,
+      record.teamId,
+      minRole,
+      resource
+    );
+  }
+
+  /**
+   * Ensure the user can act on a match; deleted matches are not found
+   * @returns {Object} - { match: { id, teamId, userId }, team, role }
+   */
+  static async assertMatchAccess(tx, userId, matchId, minRole = "viewer") {
+    const match = await tx.match.findFirst({
+      where: { id: matchId, isDeleted: false },
+      select: { id: true, teamId: true, userId: true },
+    });
+
+    const access = await this.assertRecordAccess(
+      tx,
+      userId,
+      match,
+      minRole,
+      "Match"
+    );
+
+    return { ...access, match };
+  }
+
+  /**
+   * IDs of the teams the user belongs to with at least the given role
+   */
+  static async getTeamIds(tx, userId, minRole = "viewer") {
+    const memberships = await tx.teamMembership.findMany({
+      where: { userId, team: { isDeleted: false } },
+      select: { teamId: true, role: true },
+    });
+
+    return memberships
+      .filter((membership) => this.hasRole(membership.role, minRole))
+      .map((membership) => membership.teamId);
+  }
+
+  /**
+   * Prisma `where` for the players or matches a user can see: those of their
+   * teams plus their own rows without a team
+   */
+  static async getAccessFilter(tx, userId, minRole = "viewer") {
+    const teamIds = await this.getTeamIds(tx, userId, minRole);
+
+    return {
+      OR: [{ teamId: { in: teamIds } }, { teamId: null, userId }],
+    };
+  }
+
+  /**
+   * User who owns a team's rows: the team owner, or without a team the user
+   * themselves
+   * New players and matches are stored under this user so every member sees
+   * the same squad, fixtures, opponents and venues.
+   */
+  static async getOwnerId(tx, userId, teamId, minRole = "viewer") {
+    if (!teamId) return userId;
+
+    const { team } = await this.assertTeamAccess(tx, userId, teamId, minRole);
+    return team.userId;
+  }
+
+  /**
+   * Add the team creator's owner membership to a new team
+   */
+  static async addOwner(tx, teamId, userId) {
+    return await tx.teamMembership.create({
+      data: { teamId, userId, role: "owner" },
+    });
+  }
+
+  /**
+   * Get a team's members with decrypted names and emails
+   */
+  static async getMembers(userId, teamId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertTeamAccess(tx, userId, teamId);
+
+      const memberships = await tx.teamMembership.findMany({
+        where: { teamId },
+        select: {
+          id: true,
+          role: true,
+          createdAt: true,
+          user: { select: { id: true, name: true, email: true } },
+        },
+        orderBy: { createdAt: "asc" },
+      });
+
+      return memberships
+        .map((membership) => ({
+          ...membership,
+          user: EncryptionService.decryptFields(membership.user, [
+            "name",
+            "email",
+          ]),
+          isCurrentUser: membership.user.id === userId,
+        }))
+        .sort((a, b) => ROLE_RANKS[b.role] - ROLE_RANKS[a.role]);
+    });
+  }
+
+  /**
+   * Load a team member, refusing changes to the owner's membership
+   */
+  static async findMember(tx, teamId, memberId) {
+    const membership = await tx.teamMembership.findFirst({
+      where: { id: memberId, teamId },
+      select: { id: true, role: true, userId: true },
+    });
+
+    if (!membership) {
+      throw new Error("Member not found or unauthorized");
+    }
+
+    if (membership.role === "owner") {
+      throw new Error("The team owner's membership cannot be changed");
+    }
+
+    return membership;
+  }
+
+  /**
+   * Change a member's role (owners only)
+   * @param {string} role - One of INVITABLE_ROLES
+   */
+  static async updateMemberRole(userId, teamId, memberId, role) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertTeamAccess(tx, userId, teamId, "owner");
+      await this.findMember(tx, teamId, memberId);
+
+      return await tx.teamMembership.update({
+        where: { id: memberId },
+        data: { role },
+        select: { id: true, role: true },
+      });
+    });
+  }
+
+  /**
+   * Remove a member from a team
+   * Owners can remove anyone else; other members can only remove themselves.
+   */
+  static async removeMember(userId, teamId, memberId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const { role } = await this.assertTeamAccess(tx, userId, teamId);
+      const membership = await this.findMember(tx, teamId, memberId);
+
+      if (role !== "owner" && membership.userId !== userId) {
+        throw new Error("Insufficient team role: owner or above required");
+      }
+
+      await tx.teamMembership.delete({
+        where: { id: memberId },
+      });
+
+      return { success: true };
+    });
+  }
+
+  /**
+   * Generate an unguessable invitation token (192 bits, URL-safe)
+   */
+  static generateToken() {
+    return crypto.randomBytes(24).toString("base64url");
+  }
+
+  /**
+   * Build the link an invitation is accepted from
+   * @param {Object} req - Incoming request, used when PUBLIC_APP_URL is not set
+   * @param {string} token
+   */
+  static getInviteUrl(req, token) {
+    const baseUrl =
+      process.env.PUBLIC_APP_URL ||
+      `${req.headers["x-forwarded-proto"] || "https"}://${req.headers.host}`;
+
+    return `${baseUrl.replace(/\/$/, "")}/invite/${token}`;
+  }
+
+  /**
+   * Get a team's pending invitations (owners only)
+   */
+  static async getInvitations(userId, teamId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertTeamAccess(tx, userId, teamId, "owner");
+
+      const invitations = await tx.teamInvitation.findMany({
+        where: {
+          teamId,
+          playerId: null,
+          acceptedAt: null,
+          expiresAt: { gt: new Date() },
+        },
+        select: invitationSelect,
+        orderBy: { createdAt: "desc" },
+      });
+
+      return EncryptionService.decryptArray(invitations, ["email"]);
+    });
+  }
+
+  /**
+   * Invite someone to a team (owners only)
+   * Each invitation admits one person and expires after INVITATION_DAYS.
+   * @param {Object} data - Validated { email?, role }; without an email the
+   *   invitation is only shared as a link
+   * @returns {Object} - The invitation with `teamName` and `invitedByName`
+   *   for the invitation email
+   */
+  static async createInvitation(userId, teamId, data) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertTeamAccess(tx, userId, teamId, "owner");
+      return await this.insertInvitation(tx, userId, teamId, data);
+    });
+  }
+
+  /**
+   * Create an invitation once the caller's access has been checked
+   * @param {Object} data - { email?, role, playerId? }
+   */
+  static async insertInvitation(tx, userId, teamId, data) {
+    const email = data.email?.trim().toLowerCase() || null;
+    const expiresAt = new Date();
+    expiresAt.setDate(expiresAt.getDate() + INVITATION_DAYS);
+
+    const invitation = await tx.teamInvitation.create({
+      data: {
+        email: EncryptionService.encrypt(email),
+        role: data.role,
+        token: this.generateToken(),
+        expiresAt,
+        teamId,
+        playerId: data.playerId || null,
+        invitedById: userId,
+      },
+      select: {
+        ...invitationSelect,
+        team: { select: { name: true } },
+        invitedBy: { select: { name: true } },
+      },
+    });
+
+    const { team, invitedBy, ...rest } = invitation;
+
+    return {
+      ...rest,
+      email,
+      teamName: EncryptionService.decrypt(team.name),
+      invitedByName: EncryptionService.decrypt(invitedBy.name),
+    };
+  }
+
+  /**
+   * Withdraw a pending invitation
+   * Owners revoke member invitations; coaches can also revoke guardian ones.
+   */
+  static async revokeInvitation(userId, teamId, invitationId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const { role } = await this.assertTeamAccess(
+        tx,
+        userId,
+        teamId,
+        "coach"
+      );
+
+      const invitation = await tx.teamInvitation.findFirst({
+        where: { id: invitationId, teamId, acceptedAt: null },
+        select: { id: true, role: true },
+      });
+
+      if (!invitation) {
+        throw new Error("Invitation not found or unauthorized");
+      }
+
+      if (invitation.role !== GUARDIAN_ROLE && role !== "owner") {
+        throw new Error("Insufficient team role: owner or above required");
+      }
+
+      await tx.teamInvitation.delete({
+        where: { id: invitation.id },
+      });
+
+      return { success: true };
+    });
+  }
+
+  /**
+   * Resolve a pending invitation from its token
+   * The invitee is not a member yet, so this reads outside any RLS context.
+   * @returns {Object|null} - Null when the token is unknown, used or expired
+   */
+  static async findPendingInvitation(token) {
+    if (!token) return null;
+
+    const invitation = await getPrisma().teamInvitation.findUnique({
+      where: { token },
+      select: {
+        id: true,
+        role: true,
+        expiresAt: true,
+        acceptedAt: true,
+        teamId: true,
+        playerId: true,
+        team: {
+          select: { name: true, avatar: true, userId: true, isDeleted: true },
+        },
+        player: {
+          select: {
+            name: true,
+            isDeleted: true,
+            teamMemberships: {
+              where: { leftAt: null },
+              select: { teamId: true },
+            },
+          },
+        },
+        invitedBy: { select: { name: true } },
+      },
+    });
+
+    // Guardian invitations lapse if the player leaves the team's squad
+    if (
+      !invitation ||
+      invitation.acceptedAt ||
+      invitation.expiresAt <= new Date() ||
+      invitation.team.isDeleted ||
+      (invitation.player &&
+        (invitation.player.isDeleted ||
+          !invitation.player.teamMemberships.some(
+            (squad) => squad.teamId === invitation.teamId
+          )))
+    ) {
+      return null;
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Preview an invitation before accepting it
+   * @returns {Object|null} - { teamName, teamAvatar, role, playerName,
+   *   invitedByName, expiresAt }, or null when the invitation can't be used;
+   *   playerName is only set for guardian invitations
+   */
+  static async getInvitationPreview(token) {
+    const invitation = await this.findPendingInvitation(token);
+    if (!invitation) return null;
+
+    return {
+      teamName: EncryptionService.decrypt(invitation.team.name),
+      teamAvatar: invitation.team.avatar,
+      role: invitation.role,
+      playerName: invitation.player
+        ? EncryptionService.decrypt(invitation.player.name)
+        : null,
+      invitedByName: EncryptionService.decrypt(invitation.invitedBy.name),
+      expiresAt: invitation.expiresAt,
+    };
+  }
+
+  /**
+   * Join a team with an invitation token
+   * Existing members keep their role if it is already higher. Guardian
+   * invitations link the user to the player instead of adding a member.
+   * @returns {Object} - { teamId, role, playerId }
+   */
+  static async acceptInvitation(userId, token) {
+    const invitation = await this.findPendingInvitation(token);
+
+    if (!invitation) {
+      throw new Error("Invitation not found or expired");
+    }
+
+    // Write in the team owner's RLS context; the invitee has no access yet
+    return await withDatabaseUserContext(
+      invitation.team.userId,
+      async (tx) => {
+        const role = await this.applyInvitation(tx, userId, invitation);
+
+        // Guard against the same link being accepted twice at once
+        const claimed = await tx.teamInvitation.updateMany({
+          where: { id: invitation.id, acceptedAt: null },
+          data: { acceptedAt: new Date(), acceptedById: userId },
+        });
+
+        if (claimed.count === 0) {
+          throw new Error("Invitation not found or expired");
+        }
+
+        return {
+          teamId: invitation.teamId,
+          role,
+          playerId: invitation.playerId,
+        };
+      }
+    );
+  }
+
+  /**
+   * Give the invitee the membership or guardian link an invitation grants
+   * @returns {string} - The role the user ends up with
+   */
+  static async applyInvitation(tx, userId, invitation) {
+    if (invitation.role === GUARDIAN_ROLE) {
+      await tx.playerGuardian.upsert({
+        where: {
+          playerId_userId: { playerId: invitation.playerId, userId },
+        },
+        create: { playerId: invitation.playerId, userId },
+        update: {},
+      });
+      return GUARDIAN_ROLE;
+    }
+
+    const existing = await tx.teamMembership.findUnique({
+      where: {
+        teamId_userId: { teamId: invitation.teamId, userId },
+      },
+      select: { id: true, role: true },
+    });
+
+    if (existing && this.hasRole(existing.role, invitation.role)) {
+      return existing.role;
+    }
+
+    if (existing) {
+      await tx.teamMembership.update({
+        where: { id: existing.id },
+        data: { role: invitation.role },
+      });
+    } else {
+      await tx.teamMembership.create({
+        data: { teamId: invitation.teamId, userId, role: invitation.role },
+      });
+    }
+
+    return invitation.role;
+  }
+}
+
+export default TeamMembershipService;
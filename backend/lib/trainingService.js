@@ -0,0 +1,437 @@
+import { withDatabaseUserContext } from "./db-utils.js";
+import EncryptionService from "./encryption.js";
+import EventSeriesService from "./eventSeriesService.js";
+import PlayerService from "./playerService.js";
+import SeasonService from "./seasonService.js";
+import TeamMembershipService from "./teamMembershipService.js";
+
+const MAX_LOCATION_LENGTH = 100;
+const MAX_FOCUS_LENGTH = 100;
+const MAX_NOTES_LENGTH = 1000;
+const UPCOMING_LIMIT = 20;
+
+const sessionSelect = {
+  id: true,
+  date: true,
+  location: true,
+  focus: true,
+  notes: true,
+  teamId: true,
+  seriesId: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+const attendanceSelect = {
+  playerId: true,
+  attended: true,
+  updatedAt: true,
+};
+
+/**
+ * Service class for training sessions and attendance
+ *
+ * Coaches schedule sessions for a team; coaches and scorers take the
+ * register. A session only counts towards attendance once its register has
+ * been taken, and then only for the players marked on it.
+ */
+class TrainingService {
+  /**
+   * Validate a training session from a request body
+   * @param {Object} data - { date, location, focus, notes }
+   * @param {boolean} partial - Allow missing fields (updates)
+   * @returns {Object} - { valid, message }
+   */
+  static validateSession(data, partial = false) {
+    const { date } = data || {};
+
+    if (date !== undefined || !partial) {
+      if (!date || Number.isNaN(new Date(date).getTime())) {
+        return { valid: false, message: "date must be a valid date" };
+      }
+    }
+
+    for (const [key, maxLength] of [
+      ["location", MAX_LOCATION_LENGTH],
+      ["focus", MAX_FOCUS_LENGTH],
+      ["notes", MAX_NOTES_LENGTH],
+    ]) {
+      const value = data[key];
+      if (value === undefined || value === null) continue;
+
+      if (typeof value !== "string" || value.length > maxLength) {
+        return {
+          valid: false,
+          message: `${key} must be text of up to ${maxLength} characters`,
+        };
+      }
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Validate a register from a request body
+   * @param {Array} attendance - [{ playerId, attended }]
+   * @returns {Object} - { valid, message }
+   */
+  static validateAttendance(attendance) {
+    if (
+      !Array.isArray(attendance) ||
+      attendance.some(
+        (entry) =>
+          !entry ||
+          typeof entry.playerId !== "string" ||
+          typeof entry.attended !== "boolean"
+      )
+    ) {
+      return {
+        valid: false,
+        message: "attendance must be a list of { playerId, attended }",
+      };
+    }
+
+    const playerIds = attendance.map((entry) => entry.playerId);
+    if (new Set(playerIds).size !== playerIds.length) {
+      return { valid: false, message: "Each player can only appear once" };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Clean up an optional text field before saving
+   */
+  static toTextColumn(value) {
+    return value?.trim() || null;
+  }
+
+  /**
+   * Ensure a session exists and the user has the given role on its team
+   * Must be called with a transaction client inside the user's RLS context.
+   * @returns {Object} - The session
+   */
+  static async assertSessionAccess(tx, userId, sessionId, minRole = "viewer") {
+    const session = await tx.trainingSession.findUnique({
+      where: { id: sessionId },
+      select: sessionSelect,
+    });
+
+    if (!session) {
+      throw new Error("Training session not found or unauthorized");
+    }
+
+    await TeamMembershipService.assertTeamAccess(
+      tx,
+      userId,
+      session.teamId,
+      minRole,
+      "Training session"
+    );
+
+    return session;
+  }
+
+  /**
+   * Get a team's training sessions with how many players were marked on
+   * the register (`markedCount`) and how many attended (`attendedCount`)
+   * @param {Object} options - { upcoming } to list only sessions still to
+   *   come, soonest first; otherwise the most recent come first
+   */
+  static async getTeamSessions(userId, teamId, options = {}) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertTeamAccess(tx, userId, teamId);
+
+      const sessions = await tx.trainingSession.findMany({
+        where: {
+          teamId,
+          ...(options.upcoming && { date: { gte: new Date() } }),
+        },
+        select: {
+          ...sessionSelect,
+          attendance: { select: { attended: true } },
+        },
+        orderBy: { date: options.upcoming ? "asc" : "desc" },
+        ...(options.upcoming && { take: UPCOMING_LIMIT }),
+      });
+
+      return sessions.map(({ attendance, ...session }) => ({
+        ...session,
+        markedCount: attendance.length,
+        attendedCount: attendance.filter((entry) => entry.attended).length,
+      }));
+    });
+  }
+
+  /**
+   * Get a session with its register
+   */
+  static async getSession(userId, sessionId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const session = await this.assertSessionAccess(tx, userId, sessionId);
+
+      const attendance = await tx.trainingAttendance.findMany({
+        where: { sessionId },
+        select: attendanceSelect,
+      });
+
+      return { ...session, attendance };
+    });
+  }
+
+  /**
+   * Schedule a training session for a team
+   * With a `recurrence` rule this sets up a series and schedules every
+   * session in it.
+   * @param {Object} data - Validated session fields and optional recurrence
+   * @returns {Object} - The (first) session
+   */
+  static async createSession(userId, teamId, data) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const { team } = await TeamMembershipService.assertTeamAccess(
+        tx,
+        userId,
+        teamId,
+        "coach"
+      );
+
+      const series = data.recurrence
+        ? await EventSeriesService.createSeries(tx, {
+            kind: "training",
+            userId: team.userId,
+            teamId,
+            startDate: data.date,
+            recurrence: data.recurrence,
+          })
+        : null;
+      const dates = series
+        ? EventSeriesService.generateDates(data.date, data.recurrence)
+        : [new Date(data.date)];
+
+      const sessions = [];
+      for (const date of dates) {
+        sessions.push(
+          await tx.trainingSession.create({
+            data: {
+              date,
+              location: this.toTextColumn(data.location),
+              focus: this.toTextColumn(data.focus),
+              notes: this.toTextColumn(data.notes),
+              userId: team.userId,
+              teamId,
+              seriesId: series ? series.id : null,
+            },
+            select: sessionSelect,
+          })
+        );
+      }
+
+      return sessions[0];
+    });
+  }
+
+  /**
+   * Update a session's date, location, focus or notes
+   * Moving a session sends its reminder again before the new time.
+   * @param {Object} data - Validated session fields
+   * @param {string} scope - "series" to make the same change to the rest
+   *   of the session's series still to come; otherwise just this session
+   */
+  static async updateSession(userId, sessionId, data, scope = "occurrence") {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const session = await this.assertSessionAccess(
+        tx,
+        userId,
+        sessionId,
+        "coach"
+      );
+
+      const date = data.date !== undefined ? new Date(data.date) : null;
+      const isMoved = date && date.getTime() !== session.date.getTime();
+
+      const details = {
+        ...(data.location !== undefined && {
+          location: this.toTextColumn(data.location),
+        }),
+        ...(data.focus !== undefined && {
+          focus: this.toTextColumn(data.focus),
+        }),
+        ...(data.notes !== undefined && {
+          notes: this.toTextColumn(data.notes),
+        }),
+      };
+
+      const updated = await tx.trainingSession.update({
+        where: { id: sessionId },
+        data: {
+          ...(isMoved && {
+            date,
+            notificationSent: false,
+            notificationSentAt: null,
+          }),
+          ...details,
+        },
+        select: sessionSelect,
+      });
+
+      if (scope === "series" && session.seriesId) {
+        await EventSeriesService.updateUpcoming(tx, "training", session, {
+          ...(isMoved && { from: session.date, to: date }),
+          data: details,
+        });
+      }
+
+      return updated;
+    });
+  }
+
+  /**
+   * Delete a session and its register
+   * @param {string} scope - "series" to also cancel the rest of the
+   *   session's series still to come; otherwise just this session
+   */
+  static async deleteSession(userId, sessionId, scope = "occurrence") {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const session = await this.assertSessionAccess(
+        tx,
+        userId,
+        sessionId,
+        "coach"
+      );
+
+      if (scope === "series" && session.seriesId) {
+        await EventSeriesService.deleteUpcoming(tx, "training", session);
+      }
+
+      await tx.trainingSession.delete({
+        where: { id: sessionId },
+      });
+
+      return { success: true };
+    });
+  }
+
+  /**
+   * Take or correct a session's register (coaches and scorers)
+   * Players left out of the list keep their existing mark.
+   * @param {Array} attendance - Validated [{ playerId, attended }]
+   * @returns {Array} - The whole register
+   */
+  static async saveAttendance(userId, sessionId, attendance) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const session = await this.assertSessionAccess(
+        tx,
+        userId,
+        sessionId,
+        "scorer"
+      );
+
+      const playerIds = attendance.map((entry) => entry.playerId);
+      const players = await tx.player.findMany({
+        where: {
+          id: { in: playerIds },
+          ...PlayerService.getSquadFilter(session.teamId),
+          isDeleted: false,
+        },
+        select: { id: true },
+      });
+
+      if (players.length !== playerIds.length) {
+        throw new Error(
+          "Invalid attendance: every player must be on the session's team"
+        );
+      }
+
+      for (const { playerId, attended } of attendance) {
+        await tx.trainingAttendance.upsert({
+          where: { sessionId_playerId: { sessionId, playerId } },
+          create: { sessionId, playerId, attended },
+          update: { attended },
+        });
+      }
+
+      return await tx.trainingAttendance.findMany({
+        where: { sessionId },
+        select: attendanceSelect,
+      });
+    });
+  }
+
+  /**
+   * Get every player's training attendance for a team
+   * Only sessions with a register count, and a player's percentage is out
+   * of the sessions they were marked on.
+   * @param {Object} options - { seasonId } to count only that season's
+   *   sessions
+   * @returns {Object} - { sessionCount, players: [{ playerId, name,
+   *   sessions, attended, percentage }] }, best attendance first;
+   *   `percentage` is null for players never marked
+   */
+  static async getAttendanceReport(userId, teamId, options = {}) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await TeamMembershipService.assertTeamAccess(tx, userId, teamId);
+
+      let dateFilter;
+      if (options.seasonId) {
+        const season = await SeasonService.assertSeasonAccess(
+          tx,
+          userId,
+          options.seasonId
+        );
+        // The season's end date is inclusive
+        const end = new Date(season.endDate);
+        end.setUTCDate(end.getUTCDate() + 1);
+        dateFilter = { gte: season.startDate, lt: end };
+      }
+
+      const sessionWhere = {
+        teamId,
+        ...(dateFilter && { date: dateFilter }),
+      };
+
+      const [players, attendance, sessionCount] = await Promise.all([
+        tx.player.findMany({
+          where: { ...PlayerService.getSquadFilter(teamId), isDeleted: false },
+          select: { id: true, name: true },
+        }),
+        tx.trainingAttendance.groupBy({
+          by: ["playerId", "attended"],
+          where: { session: sessionWhere },
+          _count: { _all: true },
+        }),
+        tx.trainingSession.count({
+          where: { ...sessionWhere, attendance: { some: {} } },
+        }),
+      ]);
+
+      const report = players.map((player) => {
+        const counts = attendance.filter(
+          (row) => row.playerId === player.id
+        );
+        const sessions = counts.reduce((sum, row) => sum + row._count._all, 0);
+        const attended =
+          counts.find((row) => row.attended)?._count._all || 0;
+
+        return {
+          playerId: player.id,
+          name: EncryptionService.decrypt(player.name),
+          sessions,
+          attended,
+          percentage:
+            sessions > 0 ? Math.round((attended / sessions) * 100) : null,
+        };
+      });
+
+      report.sort(
+        (a, b) =>
+          (b.percentage ?? -1) - (a.percentage ?? -1) ||
+          b.attended - a.attended ||
+          a.name.localeCompare(b.name)
+      );
+
+      return { sessionCount, players: report };
+    });
+  }
+}
+
+export default TrainingService;
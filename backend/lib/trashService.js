@@ -0,0 +1,308 @@
+import { getPrisma } from "./prisma.js";
+import { withDatabaseUserContext } from "./db-utils.js";
+import EncryptionService from "./encryption.js";
+import ImageStorage from "./imageStorage.js";
+import PlayerService from "./playerService.js";
+import TeamMembershipService from "./teamMembershipService.js";
+
+// Kinds of record that go to the trash when deleted
+export const TRASH_TYPES = ["team", "player", "match"];
+
+const DEFAULT_RETENTION_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RESOURCES = { player: "Player", match: "Match" };
+
+const restoredData = { isDeleted: false, deletedAt: null };
+
+const decryptTeamName = (team) =>
+  team ? EncryptionService.decrypt(team.name) : null;
+
+/**
+ * Delete matches for good, with their stats, events and shootout kicks
+ * @param {Object} client - Transaction or Prisma client
+ */
+const deleteMatches = async (client, where) => {
+  const matches = await client.match.findMany({ where, select: { id: true } });
+  const matchIds = matches.map((match) => match.id);
+  if (matchIds.length === 0) return 0;
+
+  await client.playerMatchStat.deleteMany({
+    where: { matchId: { in: matchIds } },
+  });
+  await client.matchEvent.deleteMany({ where: { matchId: { in: matchIds } } });
+  await client.penaltyKick.deleteMany({ where: { matchId: { in: matchIds } } });
+  await client.match.deleteMany({ where: { id: { in: matchIds } } });
+
+  return matchIds.length;
+};
+
+/**
+ * Delete a team for good with its matches. Its players stay: those in
+ * another squad make it their main team, the rest are left without a team.
+ * @param {Object} client - Transaction client outside RLS
+ * @returns {string|null} - The team's avatar, to delete once committed
+ */
+const deleteTeam = async (client, teamId) => {
+  await deleteMatches(client, { teamId });
+
+  const players = await client.player.findMany({
+    where: { teamId },
+    select: { id: true, teamId: true },
+  });
+  for (const player of players) {
+    await PlayerService.leaveTeam(client, player, teamId);
+  }
+
+  const team = await client.team.delete({
+    where: { id: teamId },
+    select: { avatar: true },
+  });
+  return team.avatar;
+};
+
+/**
+ * Service class for deleted teams, players and matches
+ *
+ * Deleting any of them only marks it `isDeleted`, which hides it everywhere
+ * else. From the trash it can be restored as it was, or deleted for good;
+ * the scheduled purge deletes whatever has been in the trash longer than
+ * TRASH_RETENTION_DAYS. Team owners see their deleted teams; coaches see
+ * the deleted players and matches of their teams (while those teams are not
+ * deleted themselves).
+ */
+class TrashService {
+  /**
+   * Days an item stays in the trash before the scheduled purge
+   */
+  static getRetentionDays() {
+    const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+    return days > 0 ? days : DEFAULT_RETENTION_DAYS;
+  }
+
+  /**
+   * When an item deleted at `deletedAt` will be purged
+   * @returns {Date|null} - Null for items without a deletion date, which
+   *   are never purged automatically
+   */
+  static getPurgeAt(deletedAt) {
+    if (!deletedAt) return null;
+    return new Date(deletedAt.getTime() + this.getRetentionDays() * DAY_MS);
+  }
+
+  /**
+   * Validate a trash type from the URL
+   * @returns {Object} - { valid, message }
+   */
+  static validateType(type) {
+    if (!TRASH_TYPES.includes(type)) {
+      return {
+        valid: false,
+        message: `type must be one of: ${TRASH_TYPES.join(", ")}`,
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Get the deleted teams, players and matches the user can restore,
+   * most recently deleted first
+   * @returns {Object} - { teams, players, matches, retentionDays }
+   */
+  static async getDeletedItems(userId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const access = await TeamMembershipService.getAccessFilter(
+        tx,
+        userId,
+        "coach"
+      );
+      const teamSelect = { select: { name: true } };
+      const orderBy = { deletedAt: "desc" };
+
+      const [teams, players, matches] = await Promise.all([
+        // Owners keep their teams' rows, so this is the owner's trash
+        tx.team.findMany({
+          where: { userId, isDeleted: true },
+          select: { id: true, name: true, deletedAt: true },
+          orderBy,
+        }),
+        tx.player.findMany({
+          where: { ...access, isDeleted: true },
+          select: { id: true, name: true, deletedAt: true, team: teamSelect },
+          orderBy,
+        }),
+        tx.match.findMany({
+          where: { ...access, isDeleted: true },
+          select: {
+            id: true,
+            opponent: true,
+            date: true,
+            deletedAt: true,
+            team: teamSelect,
+          },
+          orderBy,
+        }),
+      ]);
+
+      return {
+        teams: teams.map((team) => ({
+          ...team,
+          name: EncryptionService.decrypt(team.name),
+          purgeAt: this.getPurgeAt(team.deletedAt),
+        })),
+        players: players.map(({ team, ...player }) => ({
+          ...player,
+          name: EncryptionService.decrypt(player.name),
+          teamName: decryptTeamName(team),
+          purgeAt: this.getPurgeAt(player.deletedAt),
+        })),
+        matches: matches.map(({ team, ...match }) => ({
+          ...match,
+          teamName: decryptTeamName(team),
+          purgeAt: this.getPurgeAt(match.deletedAt),
+        })),
+        retentionDays: this.getRetentionDays(),
+      };
+    });
+  }
+
+  /**
+   * Ensure the user can restore or purge a deleted player or match: coaches
+   * of its team, or its creator when it has no team
+   * Must be called with a transaction client inside the user's RLS context.
+   */
+  static async assertDeletedRecordAccess(tx, userId, type, id) {
+    const record = await tx[type].findFirst({
+      where: { id, isDeleted: true },
+      select: { id: true, teamId: true, userId: true },
+    });
+
+    await TeamMembershipService.assertRecordAccess(
+      tx,
+      userId,
+      record,
+      "coach",
+      RESOURCES[type]
+    );
+  }
+
+  /**
+   * Ensure the user owns a deleted team
+   * RLS hides a deleted team's rows even from its owner, so changes to the
+   * team run outside the user's context once this check has passed.
+   */
+  static async assertDeletedTeamOwner(userId, teamId) {
+    const team = await withDatabaseUserContext(userId, async (tx) => {
+      return await tx.team.findFirst({
+        where: { id: teamId, userId, isDeleted: true },
+        select: { id: true },
+      });
+    });
+
+    if (!team) {
+      throw new Error("Team not found or unauthorized");
+    }
+  }
+
+  /**
+   * Take a team, player or match out of the trash, as it was when deleted
+   * @param {string} type - One of TRASH_TYPES
+   */
+  static async restore(userId, type, id) {
+    if (type === "team") {
+      await this.assertDeletedTeamOwner(userId, id);
+
+      await getPrisma().team.update({ where: { id }, data: restoredData });
+      return { success: true };
+    }
+
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertDeletedRecordAccess(tx, userId, type, id);
+
+      await tx[type].update({ where: { id }, data: restoredData });
+      return { success: true };
+    });
+  }
+
+  /**
+   * Delete a team, player or match in the trash for good
+   * A team takes its matches with it; see deleteTeam.
+   * @param {string} type - One of TRASH_TYPES
+   */
+  static async purge(userId, type, id) {
+    if (type === "team") {
+      await this.assertDeletedTeamOwner(userId, id);
+
+      const avatar = await getPrisma().$transaction(async (tx) => {
+        return await deleteTeam(tx, id);
+      });
+      await ImageStorage.deleteIfUnused(avatar);
+      return { success: true };
+    }
+
+    const avatar = await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertDeletedRecordAccess(tx, userId, type, id);
+
+      if (type === "match") {
+        await deleteMatches(tx, { id });
+        return null;
+      }
+
+      const player = await tx.player.delete({
+        where: { id },
+        select: { avatar: true },
+      });
+      return player.avatar;
+    });
+
+    await ImageStorage.deleteIfUnused(avatar);
+    return { success: true };
+  }
+
+  /**
+   * Delete everything that has been in the trash longer than the retention
+   * period, for all users (run by the scheduled purge)
+   * @returns {Object} - How many { teams, players, matches } were deleted
+   */
+  static async purgeExpired() {
+    const prisma = getPrisma();
+    const cutoff = new Date(Date.now() - this.getRetentionDays() * DAY_MS);
+    const where = { isDeleted: true, deletedAt: { lt: cutoff } };
+
+    const matches = await prisma.$transaction(
+      async (tx) => await deleteMatches(tx, where)
+    );
+
+    const players = await prisma.player.findMany({
+      where,
+      select: { id: true, avatar: true },
+    });
+    await prisma.player.deleteMany({
+      where: { id: { in: players.map((player) => player.id) } },
+    });
+
+    const teams = await prisma.team.findMany({
+      where,
+      select: { id: true },
+    });
+    const avatars = players.map((player) => player.avatar);
+    for (const team of teams) {
+      avatars.push(
+        await prisma.$transaction(async (tx) => await deleteTeam(tx, team.id))
+      );
+    }
+
+    for (const avatar of new Set(avatars)) {
+      await ImageStorage.deleteIfUnused(avatar);
+    }
+
+    return {
+      teams: teams.length,
+      players: players.length,
+      matches,
+    };
+  }
+}
+
+export default TrashService;
@@ -1,6 +1,8 @@
 import { getPrisma } from './prisma.js';
 import { withDatabaseUserContext } from './db-utils.js';
 import EncryptionService from './encryption.js';
+import PenaltyShootoutService from './penaltyShootoutService.js';
+import TeamMembershipService from './teamMembershipService.js';
 
 /**
  * Service class for user operations
@@ -62,7 +64,7 @@ class UserService {
             where: { isDeleted: false },
           },
           matches: {
-            where: { isFinished: true },
+            where: { isFinished: true, isDeleted: false },
             orderBy: { date: 'desc' },
             take: 10,
           },
@@ -173,6 +175,14 @@ class UserService {
         },
       });
 
+      await tx.match.updateMany({
+        where: { userId },
+        data: {
+          isDeleted: true,
+          deletedAt: new Date(),
+        },
+      });
+
       return { success: true };
     });
   }
@@ -200,6 +210,7 @@ class UserService {
             where: { isDeleted: false },
             include: {
               matchStats: {
+                where: { match: { isDeleted: false } },
                 include: {
                   match: true,
                 },
@@ -207,6 +218,7 @@ class UserService {
             },
           },
           matches: {
+            where: { isDeleted: false },
             include: {
               playerStats: {
                 include: {
@@ -305,9 +317,13 @@ class UserService {
 
   /**
    * Get user statistics
+   * @param {Object} matchFilter - Optional { teamId, seasonId } for matches
    */
-  static async getUserStats(userId) {
+  static async getUserStats(userId, matchFilter = {}) {
     return await withDatabaseUserContext(userId, async (tx) => {
+      // Everything on the user's teams, plus their own teamless rows
+      const access = await TeamMembershipService.getAccessFilter(tx, userId);
+
       const [
         totalTeams,
         totalPlayers,
@@ -316,19 +332,29 @@ class UserService {
         recentMatches,
       ] = await Promise.all([
         tx.team.count({
-          where: { userId, isDeleted: false },
+          where: { memberships: { some: { userId } }, isDeleted: false },
         }),
         tx.player.count({
-          where: { userId, isDeleted: false },
+          where: { ...access, isDeleted: false },
         }),
         tx.match.count({
-          where: { userId },
+          where: { ...access, isDeleted: false, ...matchFilter },
         }),
         tx.match.count({
-          where: { userId, isFinished: true },
+          where: {
+            ...access,
+            isFinished: true,
+            isDeleted: false,
+            ...matchFilter,
+          },
         }),
         tx.match.findMany({
-          where: { userId, isFinished: true },
+          where: {
+            ...access,
+            isFinished: true,
+            isDeleted: false,
+            ...matchFilter,
+          },
           orderBy: { date: 'desc' },
           take: 10,
           include: {
@@ -337,10 +363,11 @@ class UserService {
         }),
       ]);
 
-      // Calculate win/loss record
-      const wins = recentMatches.filter(m => m.goalsFor > m.goalsAgainst).length;
-      const losses = recentMatches.filter(m => m.goalsFor < m.goalsAgainst).length;
-      const draws = recentMatches.filter(m => m.goalsFor === m.goalsAgainst).length;
+      // Calculate win/loss record (shootouts count as a win or loss)
+      const results = recentMatches.map(m => PenaltyShootoutService.getResult(m));
+      const wins = results.filter(r => r === 'win').length;
+      const losses = results.filter(r => r === 'loss').length;
+      const draws = results.filter(r => r === 'draw').length;
 
       // Calculate total goals
       const totalGoalsFor = recentMatches.reduce((sum, m) => sum + m.goalsFor, 0);
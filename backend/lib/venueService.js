@@ -0,0 +1,267 @@
+import { withDatabaseUserContext } from "./db-utils.js";
+import TeamMembershipService from "./teamMembershipService.js";
+
+export const SURFACES = ["grass", "artificial", "indoor"];
+
+const MAX_NAME_LENGTH = 80;
+const MAX_ADDRESS_LENGTH = 200;
+const MAX_PITCH_LENGTH = 30;
+const MAX_PARKING_NOTES_LENGTH = 500;
+const MAPS_SEARCH_URL = "https://www.google.com/maps/search/?api=1&query=";
+
+const venueSelect = {
+  id: true,
+  name: true,
+  address: true,
+  pitchNumber: true,
+  surface: true,
+  parkingNotes: true,
+  latitude: true,
+  longitude: true,
+  createdAt: true,
+  updatedAt: true,
+};
+
+/**
+ * Service class for venues (the grounds matches are played at)
+ *
+ * A venue has an address, pitch number, surface, parking notes and optional
+ * coordinates. Matches link a venue with `venueId` and keep the home/away
+ * flag in `venue`.
+ */
+class VenueService {
+  /**
+   * Validate a venue from a request body
+   * @param {Object} data - { name, address, pitchNumber, surface,
+   *   parkingNotes, latitude, longitude }
+   * @param {boolean} partial - Allow missing fields (updates)
+   * @returns {Object} - { valid, message }
+   */
+  static validateVenue(data = {}, partial = false) {
+    const { name, surface, latitude, longitude } = data;
+
+    if (name !== undefined || !partial) {
+      if (
+        typeof name !== "string" ||
+        !name.trim() ||
+        name.length > MAX_NAME_LENGTH
+      ) {
+        return {
+          valid: false,
+          message: `Venue name is required (up to ${MAX_NAME_LENGTH} characters)`,
+        };
+      }
+    }
+
+    const textFields = [
+      ["address", MAX_ADDRESS_LENGTH],
+      ["pitchNumber", MAX_PITCH_LENGTH],
+      ["parkingNotes", MAX_PARKING_NOTES_LENGTH],
+    ];
+    for (const [key, maxLength] of textFields) {
+      const value = data[key];
+      if (value === undefined || value === null) continue;
+
+      if (typeof value !== "string" || value.length > maxLength) {
+        return {
+          valid: false,
+          message: `${key} must be up to ${maxLength} characters`,
+        };
+      }
+    }
+
+    if (
+      surface !== undefined &&
+      surface !== null &&
+      !SURFACES.includes(surface)
+    ) {
+      return {
+        valid: false,
+        message: `surface must be one of: ${SURFACES.join(", ")}`,
+      };
+    }
+
+    const hasLatitude = latitude !== undefined && latitude !== null;
+    const hasLongitude = longitude !== undefined && longitude !== null;
+    if (hasLatitude !== hasLongitude) {
+      return {
+        valid: false,
+        message: "latitude and longitude must be given together",
+      };
+    }
+
+    if (
+      hasLatitude &&
+      (typeof latitude !== "number" ||
+        typeof longitude !== "number" ||
+        latitude < -90 ||
+        latitude > 90 ||
+        longitude < -180 ||
+        longitude > 180)
+    ) {
+      return {
+        valid: false,
+        message: "latitude must be -90 to 90 and longitude -180 to 180",
+      };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Map validated fields to columns (blank text is stored as null)
+   */
+  static toColumns(data) {
+    const columns = {};
+
+    if (data.name !== undefined) {
+      columns.name = data.name.trim();
+    }
+    for (const key of ["address", "pitchNumber", "parkingNotes"]) {
+      if (data[key] !== undefined) {
+        columns[key] = data[key]?.trim() || null;
+      }
+    }
+    if (data.surface !== undefined) {
+      columns.surface = data.surface || null;
+    }
+    if (data.latitude !== undefined) {
+      columns.latitude = data.latitude ?? null;
+      columns.longitude = data.longitude ?? null;
+    }
+
+    return columns;
+  }
+
+  /**
+   * Maps link for a venue: its coordinates when set, otherwise its address
+   * Opens the maps app on phones and Google Maps in a browser.
+   * @returns {string|null} - null when the venue has neither
+   */
+  static getMapsUrl(venue) {
+    if (!venue) return null;
+
+    if (venue.latitude !== null && venue.latitude !== undefined) {
+      return `${MAPS_SEARCH_URL}${venue.latitude},${venue.longitude}`;
+    }
+
+    if (venue.address) {
+      return `${MAPS_SEARCH_URL}${encodeURIComponent(venue.address)}`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Add the venue's maps link as `mapsUrl`
+   */
+  static withMapsUrl(venue) {
+    return venue ? { ...venue, mapsUrl: this.getMapsUrl(venue) } : venue;
+  }
+
+  /**
+   * Ensure a venue exists and belongs to the user
+   * Must be called with a transaction client inside the user's RLS context.
+   * @returns {Object} - The venue
+   */
+  static async assertVenueOwnership(tx, userId, venueId) {
+    const venue = await tx.venue.findFirst({
+      where: { id: venueId, userId },
+      select: venueSelect,
+    });
+
+    if (!venue) {
+      throw new Error("Venue not found or unauthorized");
+    }
+
+    return venue;
+  }
+
+  /**
+   * Get the user's venues with their match counts
+   * @param {string} teamId - Optional; lists the team owner's venues instead,
+   *   for the team's members
+   */
+  static async getVenues(userId, teamId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const ownerId = await TeamMembershipService.getOwnerId(
+        tx,
+        userId,
+        teamId
+      );
+
+      const venues = await tx.venue.findMany({
+        where: { userId: ownerId },
+        select: {
+          ...venueSelect,
+          _count: {
+            select: { matches: { where: { isDeleted: false } } },
+          },
+        },
+        orderBy: { name: "asc" },
+      });
+
+      return venues.map((venue) => this.withMapsUrl(venue));
+    });
+  }
+
+  /**
+   * Get a venue
+   */
+  static async getVenue(userId, venueId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const venue = await this.assertVenueOwnership(tx, userId, venueId);
+      return this.withMapsUrl(venue);
+    });
+  }
+
+  /**
+   * Create a venue
+   * @param {Object} data - Validated venue fields
+   */
+  static async createVenue(userId, data) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      const venue = await tx.venue.create({
+        data: { ...this.toColumns(data), userId },
+        select: venueSelect,
+      });
+
+      return this.withMapsUrl(venue);
+    });
+  }
+
+  /**
+   * Update a venue
+   * @param {Object} data - Validated venue fields
+   */
+  static async updateVenue(userId, venueId, data) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertVenueOwnership(tx, userId, venueId);
+
+      const venue = await tx.venue.update({
+        where: { id: venueId },
+        data: this.toColumns(data),
+        select: venueSelect,
+      });
+
+      return this.withMapsUrl(venue);
+    });
+  }
+
+  /**
+   * Delete a venue (its matches keep their home/away flag)
+   */
+  static async deleteVenue(userId, venueId) {
+    return await withDatabaseUserContext(userId, async (tx) => {
+      await this.assertVenueOwnership(tx, userId, venueId);
+
+      await tx.venue.delete({
+        where: { id: venueId },
+      });
+
+      return { success: true };
+    });
+  }
+}
+
+export default VenueService;
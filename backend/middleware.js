@@ -11,6 +11,17 @@ const isPublicRoute = createRouteMatcher([
   "/api/auth/clerk-oauth(.*)",
   "/api/auth/session(.*)",
   "/api/cron/check-matches(.*)",
+  "/api/cron/purge-deleted(.*)",
+  "/scoreboard(.*)",
+  "/api/public(.*)",
+  // Invitation previews; accepting still checks the session in the route
+  "/invite(.*)",
+  "/api/invitations(.*)",
+  // Availability answers by link (the token is the credential)
+  "/availability(.*)",
+  "/api/availability(.*)",
+  // Images saved by the local disk storage
+  "/api/uploads(.*)",
 ]);
 
 // Middleware to protect routes
@@ -0,0 +1,95 @@
+/**
+ * Availability Answer API Route (no authentication)
+ * GET /api/availability/[token] - The player, match and current answer
+ * POST /api/availability/[token] - Answer { status }; form posts from the
+ *   answer page are redirected back to it
+ */
+import AvailabilityService from "../../../lib/availabilityService.js";
+
+async function handler(req, res) {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: "Availability token is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const request = await AvailabilityService.getByToken(token);
+
+      if (!request) {
+        return res.status(404).json({
+          success: false,
+          error: "Availability request not found",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        request,
+      });
+    }
+
+    if (req.method === "POST") {
+      const status = req.body?.status;
+      const isFormPost = req.headers["content-type"]?.startsWith(
+        "application/x-www-form-urlencoded"
+      );
+
+      const validation = AvailabilityService.validateStatus(status);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const availability = await AvailabilityService.respondByToken(
+        token,
+        status
+      );
+
+      if (isFormPost) {
+        return res.redirect(303, `/availability/${encodeURIComponent(token)}`);
+      }
+
+      return res.status(200).json({
+        success: true,
+        availability,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Availability answer API error:", error);
+
+    if (error.message === "Availability request not found") {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message === "This match has already been played") {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
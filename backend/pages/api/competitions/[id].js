@@ -0,0 +1,103 @@
+/**
+ * Single Competition API Route
+ * GET /api/competitions/[id] - Get a competition with its other results
+ * PUT /api/competitions/[id] - Update its name, type, points rules, clubs or
+ *   season
+ * DELETE /api/competitions/[id] - Delete a competition (its matches are kept)
+ */
+import { requireAuth } from "../../../middleware/auth.js";
+import CompetitionService from "../../../lib/competitionService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Competition ID is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const competition = await CompetitionService.getCompetition(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        competition,
+      });
+    }
+
+    if (req.method === "PUT") {
+      const validation = CompetitionService.validateCompetition(
+        req.body,
+        true
+      );
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const competition = await CompetitionService.updateCompetition(
+        userId,
+        id,
+        req.body
+      );
+
+      return res.status(200).json({
+        success: true,
+        competition,
+      });
+    }
+
+    if (req.method === "DELETE") {
+      await CompetitionService.deleteCompetition(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        message: "Competition deleted successfully",
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Competition API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
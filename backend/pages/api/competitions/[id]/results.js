@@ -0,0 +1,83 @@
+/**
+ * Competition Results API Route
+ * POST /api/competitions/[id]/results - Record a result between two other
+ *   clubs { homeTeam, awayTeam, homeGoals, awayGoals, date }
+ */
+import { requireAuth } from "../../../../middleware/auth.js";
+import CompetitionService from "../../../../lib/competitionService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Competition ID is required",
+      });
+    }
+
+    if (req.method === "POST") {
+      const validation = CompetitionService.validateResult(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const result = await CompetitionService.addResult(userId, id, req.body);
+
+      return res.status(201).json({
+        success: true,
+        result,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Competition results API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Invalid result")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
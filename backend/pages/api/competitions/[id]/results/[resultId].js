@@ -0,0 +1,97 @@
+/**
+ * Single Competition Result API Route
+ * PUT /api/competitions/[id]/results/[resultId] - Correct a result
+ * DELETE /api/competitions/[id]/results/[resultId] - Delete a result
+ */
+import { requireAuth } from "../../../../../middleware/auth.js";
+import CompetitionService from "../../../../../lib/competitionService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id, resultId } = req.query;
+
+    if (!id || !resultId) {
+      return res.status(400).json({
+        success: false,
+        error: "Competition ID and result ID are required",
+      });
+    }
+
+    if (req.method === "PUT") {
+      const validation = CompetitionService.validateResult(req.body, true);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const result = await CompetitionService.updateResult(
+        userId,
+        id,
+        resultId,
+        req.body
+      );
+
+      return res.status(200).json({
+        success: true,
+        result,
+      });
+    }
+
+    if (req.method === "DELETE") {
+      await CompetitionService.deleteResult(userId, id, resultId);
+
+      return res.status(200).json({
+        success: true,
+        message: "Result deleted successfully",
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Competition result API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Invalid result")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
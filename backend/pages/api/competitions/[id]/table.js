@@ -0,0 +1,72 @@
+/**
+ * Competition Table API Route
+ * GET /api/competitions/[id]/table - Get the standings, computed from our
+ *   finished matches in the competition and the other clubs' results
+ */
+import { requireAuth } from "../../../../middleware/auth.js";
+import CompetitionService from "../../../../lib/competitionService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Competition ID is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const { competition, table } = await CompetitionService.getTable(
+        userId,
+        id
+      );
+
+      return res.status(200).json({
+        success: true,
+        competition,
+        table,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Competition table API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -1,7 +1,11 @@
-import { checkUpcomingMatches } from '../../../lib/matchNotificationScheduler.js';
+import {
+  checkUpcomingMatches,
+  checkUpcomingTrainingSessions,
+} from '../../../lib/matchNotificationScheduler.js';
 
 /**
- * API endpoint to check for upcoming matches and send notifications
+ * API endpoint to check for upcoming matches and training sessions and send
+ * notifications
  * This should be called by an external cron service (like cron-job.org)
  * 
  * Vercel Hobby plan only supports daily cron jobs. For minute-by-minute checks,
@@ -23,6 +27,7 @@ export default async function handler(req, res) {
   try {
     console.log('Running scheduled match notification check...');
     await checkUpcomingMatches();
+    await checkUpcomingTrainingSessions();
     
     return res.status(200).json({ 
       success: true, 
@@ -0,0 +1,38 @@
+import TrashService from '../../../lib/trashService.js';
+
+/**
+ * API endpoint to permanently delete teams, players and matches that have
+ * been in the trash longer than TRASH_RETENTION_DAYS (default 30)
+ * Runs daily from the Vercel cron in vercel.json; an external cron service
+ * can call it instead (see CRON_SETUP.md).
+ */
+export default async function handler(req, res) {
+  // Only allow POST/GET requests
+  if (req.method !== 'POST' && req.method !== 'GET') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Vercel cron jobs send CRON_SECRET as a bearer token
+  const cronSecret = process.env.CRON_SECRET;
+  if (cronSecret && req.headers['authorization'] !== `Bearer ${cronSecret}`) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  try {
+    console.log('Purging expired items from the trash...');
+    const purged = await TrashService.purgeExpired();
+    console.log('🗑️ Purged:', purged);
+
+    return res.status(200).json({
+      success: true,
+      purged,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error in trash purge cron job:', error);
+    return res.status(500).json({
+      error: 'Failed to purge the trash',
+      message: error.message
+    });
+  }
+}
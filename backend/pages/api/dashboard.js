@@ -1,14 +1,19 @@
 import { requireAuth } from "../../middleware/auth.js";
 import { withDatabaseUserContext } from "../../lib/db-utils.js";
 import EncryptionService from "../../lib/encryption.js";
+import PenaltyShootoutService from "../../lib/penaltyShootoutService.js";
+import PlayerService from "../../lib/playerService.js";
 
 /**
  * GET /api/dashboard
  * Returns all data needed for HomeScreen in a single request:
- * - User's teams (summary)
+ * - Teams the user is a member of (summary, with their role)
+ * - The selected team's seasons (for the season picker)
  * - Upcoming matches (next 3)
+ * - Upcoming training sessions (next 3)
  * - Recent matches (last 3 finished)
  * - Quick stats (total matches, players, wins)
+ * Pass seasonId to limit matches and stats to one season of the team.
  */
 async function handler(req, res) {
   if (req.method !== "GET") {
@@ -19,19 +24,23 @@ async function handler(req, res) {
   try {
     // Get authenticated user
     const userId = await requireAuth(req);
-    const { teamId } = req.query;
+    const { teamId, seasonId } = req.query;
 
     return await withDatabaseUserContext(userId, async (tx) => {
       // Fetch teams (summary mode - just id and name)
       const rawTeams = await tx.team.findMany({
         where: {
-          userId,
+          memberships: { some: { userId } },
           isDeleted: false,
         },
         select: {
           id: true,
           name: true,
           avatar: true,
+          memberships: {
+            where: { userId },
+            select: { role: true },
+          },
         },
         orderBy: {
           createdAt: "desc",
@@ -39,16 +48,19 @@ async function handler(req, res) {
       });
 
       // Decrypt team names
-      const teams = rawTeams.map((team) => ({
+      const teams = rawTeams.map(({ memberships, ...team }) => ({
         ...team,
         name: EncryptionService.decrypt(team.name),
+        role: memberships[0].role,
       }));
 
       // If no teamId provided, return just teams
       if (!teamId) {
         return res.status(200).json({
           teams,
+          seasons: [],
           upcomingMatches: [],
+          upcomingTraining: [],
           recentMatches: [],
           stats: {
             totalMatches: 0,
@@ -58,16 +70,37 @@ async function handler(req, res) {
         });
       }
 
-      // Verify team belongs to user
+      // Verify the user is a member of the team
       const teamExists = teams.some((t) => t.id === teamId);
       if (!teamExists) {
-        return res.status(403).json({ error: "Team does not belong to user" });
+        return res.status(403).json({ error: "Not a member of this team" });
       }
 
+      const seasons = await tx.season.findMany({
+        where: { teamId },
+        select: {
+          id: true,
+          name: true,
+          startDate: true,
+          endDate: true,
+          teamId: true,
+        },
+        orderBy: {
+          startDate: "desc",
+        },
+      });
+
+      // Matches of the selected season only (or all the team's matches)
+      const matchWhere = {
+        teamId,
+        isDeleted: false,
+        ...(seasonId && { seasonId }),
+      };
+
       // Fetch upcoming matches (next 3, not finished, sorted by date)
       const upcomingMatches = await tx.match.findMany({
         where: {
-          teamId,
+          ...matchWhere,
           isFinished: false,
         },
         select: {
@@ -84,10 +117,28 @@ async function handler(req, res) {
         take: 3,
       });
 
+      // Fetch upcoming training sessions (next 3, sorted by date)
+      const upcomingTraining = await tx.trainingSession.findMany({
+        where: {
+          teamId,
+          date: { gte: new Date() },
+        },
+        select: {
+          id: true,
+          date: true,
+          location: true,
+          focus: true,
+        },
+        orderBy: {
+          date: "asc",
+        },
+        take: 3,
+      });
+
       // Fetch recent matches (last 3 finished, sorted by date desc)
       const recentMatches = await tx.match.findMany({
         where: {
-          teamId,
+          ...matchWhere,
           isFinished: true,
         },
         select: {
@@ -98,6 +149,8 @@ async function handler(req, res) {
           matchType: true,
           goalsFor: true,
           goalsAgainst: true,
+          penaltiesFor: true,
+          penaltiesAgainst: true,
           isFinished: true,
         },
         orderBy: {
@@ -109,35 +162,39 @@ async function handler(req, res) {
       // Calculate quick stats
       const [totalMatches, totalPlayers, finishedMatches] = await Promise.all([
         tx.match.count({
-          where: { teamId },
+          where: matchWhere,
         }),
         tx.player.count({
           where: {
-            teamId,
+            ...PlayerService.getSquadFilter(teamId),
             isDeleted: false,
           },
         }),
         // Get finished matches to calculate wins
         tx.match.findMany({
           where: {
-            teamId,
+            ...matchWhere,
             isFinished: true,
           },
           select: {
             goalsFor: true,
             goalsAgainst: true,
+            penaltiesFor: true,
+            penaltiesAgainst: true,
           },
         }),
       ]);
 
-      // Calculate wins by comparing goals
+      // Calculate wins by comparing goals, then any shootout
       const wins = finishedMatches.filter(
-        (m) => m.goalsFor > m.goalsAgainst
+        (m) => PenaltyShootoutService.getResult(m) === "win"
       ).length;
 
       return res.status(200).json({
         teams,
+        seasons,
         upcomingMatches,
+        upcomingTraining,
         recentMatches,
         stats: {
           totalMatches,
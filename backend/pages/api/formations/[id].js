@@ -0,0 +1,89 @@
+/**
+ * Single Formation API Route
+ * PUT /api/formations/[id] - Rename a formation or replace its shape and slots
+ * DELETE /api/formations/[id] - Delete a formation
+ */
+import { requireAuth } from "../../../middleware/auth.js";
+import FormationService from "../../../lib/formationService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Formation ID is required",
+      });
+    }
+
+    if (req.method === "PUT") {
+      const validation = FormationService.validateFormation(req.body, true);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const formation = await FormationService.updateFormation(
+        userId,
+        id,
+        req.body
+      );
+
+      return res.status(200).json({
+        success: true,
+        formation,
+      });
+    }
+
+    if (req.method === "DELETE") {
+      await FormationService.deleteFormation(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        message: "Formation deleted successfully",
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Formation API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -0,0 +1,46 @@
+/**
+ * Guardian API Route
+ * GET /api/guardian - The players the user is guardian of, with their teams'
+ *   upcoming fixtures and recent results
+ */
+import { requireAuth } from "../../middleware/auth.js";
+import GuardianService from "../../lib/guardianService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+
+    if (req.method === "GET") {
+      const overview = await GuardianService.getOverview(userId);
+
+      return res.status(200).json({
+        success: true,
+        ...overview,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Guardian API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
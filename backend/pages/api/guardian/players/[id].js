@@ -0,0 +1,65 @@
+/**
+ * Guardian Player API Route
+ * GET /api/guardian/players/[id] - A linked player and their matches, with
+ *   only that player's stats
+ */
+import { requireAuth } from "../../../../middleware/auth.js";
+import GuardianService from "../../../../lib/guardianService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Player ID is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const { player, matches } = await GuardianService.getPlayerStats(
+        userId,
+        id
+      );
+
+      return res.status(200).json({
+        success: true,
+        player,
+        matches,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Guardian player API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
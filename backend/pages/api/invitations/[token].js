@@ -0,0 +1,82 @@
+/**
+ * Invitation API Route
+ * GET /api/invitations/[token] - Preview an invitation (no authentication)
+ * POST /api/invitations/[token] - Accept an invitation and join the team
+ */
+import { requireAuth } from "../../../middleware/auth.js";
+import TeamMembershipService from "../../../lib/teamMembershipService.js";
+
+async function handler(req, res) {
+  try {
+    const { token } = req.query;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: "Invitation token is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const invitation = await TeamMembershipService.getInvitationPreview(
+        token
+      );
+
+      if (!invitation) {
+        return res.status(404).json({
+          success: false,
+          error: "Invitation not found or expired",
+        });
+      }
+
+      return res.status(200).json({
+        success: true,
+        invitation,
+      });
+    }
+
+    if (req.method === "POST") {
+      // Get authenticated user
+      const userId = await requireAuth(req);
+      const membership = await TeamMembershipService.acceptInvitation(
+        userId,
+        token
+      );
+
+      return res.status(200).json({
+        success: true,
+        membership,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Invitation API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message === "Invitation not found or expired") {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
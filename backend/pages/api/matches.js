@@ -1,12 +1,21 @@
 /**
  * Matches API Route
- * GET /api/matches - Get all matches for authenticated user
- * POST /api/matches - Create a new match
+ * GET /api/matches - Get matches of the user's teams and their teamless ones
+ * POST /api/matches - Create a new match (coach or owner of its team);
+ *   with a recurrence { frequency, daysOfWeek, endDate or count, timeZone }
+ *   every fixture in the series is created and the first is returned
  */
 import { requireAuth } from "../../middleware/auth.js";
 import { withDatabaseUserContext } from "../../lib/db-utils.js";
 import { getPrisma } from "../../lib/prisma.js";
 import EncryptionService from "../../lib/encryption.js";
+import PeriodFormat from "../../lib/periodFormat.js";
+import SeasonService from "../../lib/seasonService.js";
+import CompetitionService from "../../lib/competitionService.js";
+import OpponentService from "../../lib/opponentService.js";
+import VenueService from "../../lib/venueService.js";
+import TeamMembershipService from "../../lib/teamMembershipService.js";
+import EventSeriesService from "../../lib/eventSeriesService.js";
 
 async function handler(req, res) {
   try {
@@ -17,6 +26,10 @@ async function handler(req, res) {
       const {
         isFinished,
         teamId,
+        seasonId,
+        competitionId,
+        opponentId,
+        venueId,
         limit = "50",
         matchType,
         venue,
@@ -25,13 +38,18 @@ async function handler(req, res) {
 
       const matches = await withDatabaseUserContext(userId, async (tx) => {
         const where = {
-          userId,
+          ...(await TeamMembershipService.getAccessFilter(tx, userId)),
+          isDeleted: false,
           ...(isFinished !== undefined && {
             isFinished: isFinished === "true",
           }),
           ...(teamId && { teamId }),
+          ...(seasonId && { seasonId }),
+          ...(competitionId && { competitionId }),
+          ...(opponentId && { opponentId }),
           ...(matchType && { matchType }),
           ...(venue && { venue }),
+          ...(venueId && { venueId }),
         };
 
         // Basic fields mode: No relations, faster queries for list views
@@ -44,10 +62,16 @@ async function handler(req, res) {
               date: true,
               goalsFor: true,
               goalsAgainst: true,
+              penaltiesFor: true,
+              penaltiesAgainst: true,
               isFinished: true,
               matchType: true,
               venue: true,
+              venueId: true,
               teamId: true,
+              seasonId: true,
+              competitionId: true,
+              opponentId: true,
               team: {
                 select: {
                   id: true,
@@ -77,6 +101,7 @@ async function handler(req, res) {
           where,
           include: {
             team: true,
+            venueRecord: true,
             playerStats: {
               include: {
                 player: true,
@@ -92,6 +117,7 @@ async function handler(req, res) {
         // Decrypt team and player names
         return result.map((match) => ({
           ...match,
+          venueRecord: VenueService.withMapsUrl(match.venueRecord),
           team: match.team
             ? {
                 ...match.team,
@@ -124,47 +150,161 @@ async function handler(req, res) {
         isFinished = false,
         matchType = "league",
         venue = "home",
+        venueId,
         notes,
         selectedPlayerIds = [],
         teamId,
+        seasonId,
+        competitionId,
         playerOfTheMatchId,
+        periodFormat,
+        recurrence,
       } = req.body;
 
-      if (!opponent) {
+      if (typeof opponent !== "string" || !opponent.trim()) {
         return res.status(400).json({
           success: false,
           error: "Opponent is required",
         });
       }
 
+      const matchTypeValidation =
+        CompetitionService.validateMatchType(matchType);
+      if (!matchTypeValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: matchTypeValidation.message,
+        });
+      }
+
+      if (periodFormat !== undefined) {
+        const validation = PeriodFormat.validate(periodFormat);
+        if (!validation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: validation.message,
+          });
+        }
+      }
+
+      const matchDate = date ? new Date(date) : new Date();
+
+      if (recurrence !== undefined) {
+        if (!teamId) {
+          return res.status(400).json({
+            success: false,
+            error: "A repeating fixture needs a team",
+          });
+        }
+
+        const validation = EventSeriesService.validateRecurrence(
+          recurrence,
+          matchDate
+        );
+        if (!validation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: validation.message,
+          });
+        }
+      }
+
       const match = await withDatabaseUserContext(userId, async (tx) => {
-        const result = await tx.match.create({
-          data: {
-            opponent,
-            date: date ? new Date(date) : new Date(),
-            goalsFor,
-            goalsAgainst,
-            isFinished,
-            matchType,
-            venue,
-            notes,
-            selectedPlayerIds,
-            userId,
-            teamId: teamId || null,
-            playerOfTheMatchId: playerOfTheMatchId || null,
-          },
-          include: {
-            team: true,
-            playerStats: {
+        // Team matches belong to the team owner, like the rest of its data
+        const ownerId = await TeamMembershipService.getOwnerId(
+          tx,
+          userId,
+          teamId,
+          "coach"
+        );
+
+        if (seasonId) {
+          await SeasonService.assertSeasonAccess(tx, userId, seasonId);
+        }
+
+        // Link the opponent record for this name (created if it's new)
+        const opponentRecord = await OpponentService.resolveOpponent(
+          tx,
+          ownerId,
+          opponent
+        );
+
+        if (venueId) {
+          await VenueService.assertVenueOwnership(tx, ownerId, venueId);
+        }
+
+        // A competition match takes the competition's league or cup type
+        const competition = competitionId
+          ? await CompetitionService.assertCompetitionAccess(
+              tx,
+              userId,
+              competitionId
+            )
+          : null;
+
+        const series = recurrence
+          ? await EventSeriesService.createSeries(tx, {
+              kind: "match",
+              userId: ownerId,
+              teamId,
+              startDate: matchDate,
+              recurrence,
+            })
+          : null;
+        const dates = series
+          ? EventSeriesService.generateDates(matchDate, recurrence)
+          : [matchDate];
+
+        const matches = [];
+        for (const occurrenceDate of dates) {
+          matches.push(
+            await tx.match.create({
+              data: {
+                opponent: opponentRecord.name,
+                opponentId: opponentRecord.id,
+                date: occurrenceDate,
+                goalsFor,
+                goalsAgainst,
+                isFinished,
+                matchType: competition ? competition.type : matchType,
+                venue,
+                venueId: venueId || null,
+                notes,
+                selectedPlayerIds,
+                userId: ownerId,
+                teamId: teamId || null,
+                // The given season, or the team season covering the date
+                seasonId:
+                  seasonId ||
+                  (await SeasonService.findSeasonIdForDate(
+                    tx,
+                    teamId,
+                    occurrenceDate
+                  )),
+                competitionId: competition ? competition.id : null,
+                playerOfTheMatchId: playerOfTheMatchId || null,
+                seriesId: series ? series.id : null,
+                ...(periodFormat && {
+                  periodFormat: PeriodFormat.toColumn(periodFormat),
+                }),
+              },
               include: {
-                player: true,
+                team: true,
+                venueRecord: true,
+                playerStats: {
+                  include: {
+                    player: true,
+                  },
+                },
               },
-            },
-          },
-        });
+            })
+          );
+        }
+        const [result] = matches;
 
         return {
           ...result,
+          venueRecord: VenueService.withMapsUrl(result.venueRecord),
           team: result.team
             ? {
                 ...result.team,
@@ -201,6 +341,20 @@ async function handler(req, res) {
       });
     }
 
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       error: "Internal server error",
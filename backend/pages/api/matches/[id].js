@@ -1,19 +1,52 @@
 /**
  * Single Match API Route
  * GET /api/matches/[id] - Get match by ID
- * PUT /api/matches/[id] - Update match
- * DELETE /api/matches/[id] - Delete match
+ * PUT /api/matches/[id] - Update match (scorers can only change the score,
+ *   stats and result; everything else needs a coach)
+ * DELETE /api/matches/[id] - Move match to the trash (coach); it keeps its
+ *   stats, events and shootout until restored or purged (see /api/trash)
+ *
+ * PUT and DELETE take ?scope=series to make the same change to, or cancel,
+ * the rest of the match's series still to come.
  */
 import { requireAuth } from "../../../middleware/auth.js";
 import { withDatabaseUserContext } from "../../../lib/db-utils.js";
 import { getPrisma } from "../../../lib/prisma.js";
 import EncryptionService from "../../../lib/encryption.js";
+import PeriodFormat from "../../../lib/periodFormat.js";
+import PenaltyShootoutService from "../../../lib/penaltyShootoutService.js";
+import FormationService from "../../../lib/formationService.js";
+import TeamMatchStats from "../../../lib/teamMatchStats.js";
+import MatchEventService from "../../../lib/matchEventService.js";
+import SeasonService from "../../../lib/seasonService.js";
+import CompetitionService from "../../../lib/competitionService.js";
+import OpponentService from "../../../lib/opponentService.js";
+import VenueService from "../../../lib/venueService.js";
+import TeamMembershipService from "../../../lib/teamMembershipService.js";
+import EventSeriesService from "../../../lib/eventSeriesService.js";
+
+// Match details only a coach or owner can change
+const MATCH_DETAIL_FIELDS = [
+  "opponent",
+  "date",
+  "matchType",
+  "venue",
+  "venueId",
+  "notes",
+  "selectedPlayerIds",
+  "teamId",
+  "seasonId",
+  "competitionId",
+  "periodFormat",
+  "formationId",
+  "lineup",
+];
 
 async function handler(req, res) {
   try {
     // Get authenticated user
     const userId = await requireAuth(req);
-    const { id } = req.query;
+    const { id, scope } = req.query;
 
     if (!id) {
       return res.status(400).json({
@@ -22,15 +55,23 @@ async function handler(req, res) {
       });
     }
 
+    const scopeValidation = EventSeriesService.validateScope(scope);
+    if (!scopeValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: scopeValidation.message,
+      });
+    }
+
     if (req.method === "GET") {
       const match = await withDatabaseUserContext(userId, async (tx) => {
-        const result = await tx.match.findFirst({
-          where: {
-            id,
-            userId,
-          },
+        await TeamMembershipService.assertMatchAccess(tx, userId, id);
+
+        const result = await tx.match.findUnique({
+          where: { id },
           include: {
             team: true,
+            venueRecord: true,
             playerStats: {
               include: {
                 player: true,
@@ -45,6 +86,7 @@ async function handler(req, res) {
 
         return {
           ...result,
+          venueRecord: VenueService.withMapsUrl(result.venueRecord),
           team: result.team
             ? {
                 ...result.team,
@@ -83,13 +125,70 @@ async function handler(req, res) {
         isFinished,
         matchType,
         venue,
+        venueId,
         notes,
         selectedPlayerIds,
         teamId,
+        seasonId,
+        competitionId,
         playerStats,
         playerOfTheMatchId,
+        periodFormat,
+        formationId,
+        lineup,
+        teamStats,
       } = req.body;
 
+      if (
+        opponent !== undefined &&
+        (typeof opponent !== "string" || !opponent.trim())
+      ) {
+        return res.status(400).json({
+          success: false,
+          error: "Opponent is required",
+        });
+      }
+
+      if (matchType !== undefined) {
+        const validation = CompetitionService.validateMatchType(matchType);
+        if (!validation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: validation.message,
+          });
+        }
+      }
+
+      if (periodFormat !== undefined) {
+        const validation = PeriodFormat.validate(periodFormat);
+        if (!validation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: validation.message,
+          });
+        }
+      }
+
+      if (lineup !== undefined) {
+        const validation = FormationService.validateLineup(lineup);
+        if (!validation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: validation.message,
+          });
+        }
+      }
+
+      if (teamStats !== undefined) {
+        const validation = TeamMatchStats.validate(teamStats);
+        if (!validation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: validation.message,
+          });
+        }
+      }
+
       // Debug logging
       console.log("PUT /api/matches/[id] - Request body:", req.body);
       console.log("selectedPlayerIds:", selectedPlayerIds);
@@ -97,20 +196,122 @@ async function handler(req, res) {
       console.log("playerOfTheMatchId:", playerOfTheMatchId);
 
       const match = await withDatabaseUserContext(userId, async (tx) => {
+        const changesDetails = MATCH_DETAIL_FIELDS.some(
+          (field) => req.body[field] !== undefined
+        );
+        const access = await TeamMembershipService.assertMatchAccess(
+          tx,
+          userId,
+          id,
+          changesDetails ? "coach" : "scorer"
+        );
+
+        // Moving the match to another team hands it to that team's owner
+        const ownerId =
+          teamId !== undefined
+            ? await TeamMembershipService.getOwnerId(
+                tx,
+                userId,
+                teamId,
+                "coach"
+              )
+            : access.match.userId;
+
+        await FormationService.assertLineupAccess(tx, userId, {
+          formationId,
+          lineup,
+        });
+
+        if (Array.isArray(playerStats)) {
+          await MatchEventService.assertPlayersAccess(tx, userId, playerStats);
+        }
+
+        if (seasonId) {
+          await SeasonService.assertSeasonAccess(tx, userId, seasonId);
+        }
+
+        // A competition match takes the competition's league or cup type
+        const competition = competitionId
+          ? await CompetitionService.assertCompetitionAccess(
+              tx,
+              userId,
+              competitionId
+            )
+          : null;
+
+        // Link the opponent record for this name (created if it's new)
+        const opponentRecord =
+          opponent !== undefined
+            ? await OpponentService.resolveOpponent(tx, ownerId, opponent)
+            : null;
+
+        if (venueId) {
+          await VenueService.assertVenueOwnership(tx, ownerId, venueId);
+        }
+
+        const existing = await tx.match.findUnique({
+          where: { id },
+          select: { date: true, teamId: true, seriesId: true },
+        });
+        const newDate = date !== undefined ? new Date(date) : existing.date;
+        const isMoved = newDate.getTime() !== existing.date.getTime();
+
         const updateData = {
-          ...(opponent !== undefined && { opponent }),
-          ...(date !== undefined && { date: new Date(date) }),
+          ...(opponentRecord && {
+            opponent: opponentRecord.name,
+            opponentId: opponentRecord.id,
+          }),
+          // Moving a match sends its reminder again before the new time
+          ...(isMoved && {
+            date: newDate,
+            notificationSent: false,
+            notificationSentAt: null,
+          }),
           ...(goalsFor !== undefined && { goalsFor }),
           ...(goalsAgainst !== undefined && { goalsAgainst }),
           ...(isFinished !== undefined && { isFinished }),
           ...(matchType !== undefined && { matchType }),
           ...(venue !== undefined && { venue }),
+          ...(venueId !== undefined && { venueId: venueId || null }),
           ...(notes !== undefined && { notes }),
           ...(selectedPlayerIds !== undefined && { selectedPlayerIds }),
-          ...(teamId !== undefined && { teamId }),
+          ...(teamId !== undefined && { teamId, userId: ownerId }),
+          ...(seasonId !== undefined && { seasonId: seasonId || null }),
+          ...(competitionId !== undefined && {
+            competitionId: competition ? competition.id : null,
+          }),
+          ...(competition && { matchType: competition.type }),
           ...(playerOfTheMatchId !== undefined && { playerOfTheMatchId }),
+          ...(periodFormat !== undefined && {
+            periodFormat: PeriodFormat.toColumn(periodFormat),
+          }),
+          ...(formationId !== undefined && {
+            formationId: formationId || null,
+          }),
+          ...(lineup !== undefined && {
+            lineup: FormationService.toLineupColumn(lineup),
+          }),
+          ...(teamStats !== undefined && {
+            teamStats: TeamMatchStats.toColumn(teamStats),
+          }),
         };
 
+        // Moving a match to another date or team moves it to that season
+        if (
+          seasonId === undefined &&
+          (date !== undefined || teamId !== undefined)
+        ) {
+          const newTeamId = teamId !== undefined ? teamId : existing.teamId;
+
+          if (isMoved || newTeamId !== existing.teamId) {
+            updateData.seasonId = await SeasonService.findSeasonIdForDate(
+              tx,
+              newTeamId,
+              newDate
+            );
+          }
+        }
+
         console.log(
           "Update data being sent to Prisma:",
           JSON.stringify(updateData, null, 2)
@@ -138,11 +339,12 @@ async function handler(req, res) {
           }
         }
 
-        const result = await tx.match.update({
+        let result = await tx.match.update({
           where: { id },
           data: updateData,
           include: {
             team: true,
+            venueRecord: true,
             playerStats: {
               include: {
                 player: true,
@@ -151,8 +353,43 @@ async function handler(req, res) {
           },
         });
 
+        if (scope === "series" && existing.seriesId) {
+          await EventSeriesService.updateUpcoming(
+            tx,
+            "match",
+            { id, seriesId: existing.seriesId },
+            {
+              ...(isMoved && { from: existing.date, to: newDate }),
+              data: updateData,
+            }
+          );
+        }
+
+        // A shootout only stands while the match is a cup tie level on goals
+        if (
+          PenaltyShootoutService.hasShootout(result) &&
+          (result.matchType !== "cup" ||
+            result.goalsFor !== result.goalsAgainst)
+        ) {
+          await PenaltyShootoutService.clearShootoutWithClient(tx, id);
+          result = { ...result, penaltiesFor: null, penaltiesAgainst: null };
+        }
+
+        // Keeper totals depend on the playing periods and the opponent's score
+        if (Array.isArray(playerStats) || goalsAgainst !== undefined) {
+          await MatchEventService.syncGoalkeeperStats(tx, id);
+          result = {
+            ...result,
+            playerStats: await tx.playerMatchStat.findMany({
+              where: { matchId: id },
+              include: { player: true },
+            }),
+          };
+        }
+
         return {
           ...result,
+          venueRecord: VenueService.withMapsUrl(result.venueRecord),
           team: result.team
             ? {
                 ...result.team,
@@ -177,14 +414,28 @@ async function handler(req, res) {
 
     if (req.method === "DELETE") {
       await withDatabaseUserContext(userId, async (tx) => {
-        // Delete player stats first
-        await tx.playerMatchStat.deleteMany({
-          where: { matchId: id },
-        });
+        await TeamMembershipService.assertMatchAccess(tx, userId, id, "coach");
 
-        // Delete the match
-        await tx.match.delete({
+        if (scope === "series") {
+          const { seriesId } = await tx.match.findUnique({
+            where: { id },
+            select: { seriesId: true },
+          });
+          if (seriesId) {
+            await EventSeriesService.deleteUpcoming(tx, "match", {
+              id,
+              seriesId,
+            });
+          }
+        }
+
+        // Soft delete the match
+        await tx.match.update({
           where: { id },
+          data: {
+            isDeleted: true,
+            deletedAt: new Date(),
+          },
         });
       });
 
@@ -208,6 +459,20 @@ async function handler(req, res) {
       });
     }
 
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       error: "Internal server error",
@@ -0,0 +1,152 @@
+/**
+ * Match Availability API Route
+ * GET /api/matches/[id]/availability - Players' answers to availability requests
+ * POST /api/matches/[id]/availability - Ask players' guardians { playerIds?, push?, email? }
+ * PUT /api/matches/[id]/availability - Answer for a player { playerId, status }
+ */
+import { requireAuth } from "../../../../middleware/auth.js";
+import AvailabilityService from "../../../../lib/availabilityService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Match ID is required",
+      });
+    }
+
+    // Coaches get each player's answer link to share themselves
+    const withAnswerUrl = ({ token, ...availability }) =>
+      token
+        ? {
+            ...availability,
+            answerUrl: AvailabilityService.getAnswerUrl(req, token),
+          }
+        : availability;
+
+    if (req.method === "GET") {
+      const availability = await AvailabilityService.getForMatch(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        availability: availability.map(withAnswerUrl),
+      });
+    }
+
+    if (req.method === "POST") {
+      const data = req.body || {};
+      const validation = AvailabilityService.validateRequest(data);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const request = await AvailabilityService.requestAvailability(
+        userId,
+        id,
+        data.playerIds
+      );
+
+      // The requests stand even if sending fails; the links still work
+      const { pushSent, emailsSent } = await AvailabilityService.sendRequests(
+        request,
+        { push: !!data.push, email: !!data.email },
+        (token) => AvailabilityService.getAnswerUrl(req, token)
+      );
+
+      return res.status(200).json({
+        success: true,
+        availability: request.availability.map(withAnswerUrl),
+        pushSent,
+        emailsSent,
+      });
+    }
+
+    if (req.method === "PUT") {
+      const { playerId, status } = req.body || {};
+
+      if (!playerId) {
+        return res.status(400).json({
+          success: false,
+          error: "Player ID is required",
+        });
+      }
+
+      const validation = AvailabilityService.validateStatus(status);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const availability = await AvailabilityService.respond(
+        userId,
+        id,
+        playerId,
+        status
+      );
+
+      return res.status(200).json({
+        success: true,
+        availability,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Match availability API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (
+      error.message === "Match must be on a team to request availability" ||
+      error.message ===
+        "Availability can only be requested for upcoming matches" ||
+      error.message === "This match has already been played"
+    ) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
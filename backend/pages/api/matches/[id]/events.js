@@ -0,0 +1,109 @@
+/**
+ * Match Events API Route
+ * GET /api/matches/[id]/events - Get the match event timeline
+ * POST /api/matches/[id]/events - Record one event, or several via { events: [...] }
+ * PUT /api/matches/[id]/events - Replace the whole event log with { events: [...] }
+ */
+import { requireAuth } from "../../../../middleware/auth.js";
+import MatchEventService from "../../../../lib/matchEventService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Match ID is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const events = await MatchEventService.getEventsForMatch(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        events,
+        count: events.length,
+      });
+    }
+
+    if (req.method === "POST" || req.method === "PUT") {
+      const isBatch = Array.isArray(req.body?.events);
+      const input = isBatch ? req.body.events : [req.body];
+
+      if (req.method === "PUT" && !isBatch) {
+        return res.status(400).json({
+          success: false,
+          error: "An events array is required",
+        });
+      }
+
+      for (const event of input) {
+        const validation = MatchEventService.validateEvent(event);
+        if (!validation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: validation.message,
+          });
+        }
+      }
+
+      if (req.method === "PUT") {
+        const events = await MatchEventService.replaceEvents(userId, id, input);
+
+        return res.status(200).json({
+          success: true,
+          events,
+          count: events.length,
+        });
+      }
+
+      const events = await MatchEventService.createEvents(userId, id, input);
+
+      return res.status(201).json({
+        success: true,
+        ...(isBatch ? { events } : { event: events[0] }),
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Match events API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
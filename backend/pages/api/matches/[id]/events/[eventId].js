@@ -0,0 +1,94 @@
+/**
+ * Single Match Event API Route
+ * PUT /api/matches/[id]/events/[eventId] - Update an event
+ * DELETE /api/matches/[id]/events/[eventId] - Delete an event
+ */
+import { requireAuth } from "../../../../../middleware/auth.js";
+import MatchEventService from "../../../../../lib/matchEventService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id, eventId } = req.query;
+
+    if (!id || !eventId) {
+      return res.status(400).json({
+        success: false,
+        error: "Match ID and Event ID are required",
+      });
+    }
+
+    if (req.method === "PUT") {
+      const { type, matchSecond, period, notes, playerId, assistPlayerId } =
+        req.body;
+
+      const event = await MatchEventService.updateEvent(userId, id, eventId, {
+        ...(type !== undefined && { type }),
+        ...(matchSecond !== undefined && { matchSecond }),
+        ...(period !== undefined && { period }),
+        ...(notes !== undefined && { notes }),
+        ...(playerId !== undefined && { playerId }),
+        ...(assistPlayerId !== undefined && { assistPlayerId }),
+      });
+
+      return res.status(200).json({
+        success: true,
+        event,
+      });
+    }
+
+    if (req.method === "DELETE") {
+      await MatchEventService.deleteEvent(userId, id, eventId);
+
+      return res.status(200).json({
+        success: true,
+        message: "Event deleted successfully",
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Match event API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.startsWith("Invalid event")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
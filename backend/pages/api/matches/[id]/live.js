@@ -0,0 +1,159 @@
+/**
+ * Live Match Session API Route
+ * GET /api/matches/[id]/live - Get the merged live state (clock, lineup, team counters, events, score)
+ * POST /api/matches/[id]/live - Push a device's incremental changes and get the merged state
+ * DELETE /api/matches/[id]/live - End the live session
+ */
+import { requireAuth } from "../../../../middleware/auth.js";
+import LiveMatchSessionService from "../../../../lib/liveMatchSessionService.js";
+import MatchEventService from "../../../../lib/matchEventService.js";
+import TeamMatchStats from "../../../../lib/teamMatchStats.js";
+
+/**
+ * Validate a push body
+ * @returns {Object} - { valid, message }
+ */
+function validatePush(body) {
+  if (!body?.deviceId) {
+    return { valid: false, message: "deviceId is required" };
+  }
+
+  for (const key of ["clock", "lineup", "teamStats"]) {
+    if (body[key] && !Number.isFinite(body[key].updatedAt)) {
+      return {
+        valid: false,
+        message: `${key}.updatedAt must be a timestamp in milliseconds`,
+      };
+    }
+  }
+
+  if (
+    body.clock?.period !== undefined &&
+    (!Number.isInteger(body.clock.period) || body.clock.period < 1)
+  ) {
+    return { valid: false, message: "clock.period must be a positive integer" };
+  }
+
+  if (body.teamStats) {
+    const validation = TeamMatchStats.validate(body.teamStats);
+    if (!validation.valid) return validation;
+  }
+
+  const events = body.events || {};
+  for (const key of ["added", "updated", "removed"]) {
+    if (events[key] !== undefined && !Array.isArray(events[key])) {
+      return { valid: false, message: `events.${key} must be an array` };
+    }
+  }
+
+  for (const event of [...(events.added || []), ...(events.updated || [])]) {
+    if (!event?.clientId) {
+      return { valid: false, message: "Every event needs a clientId" };
+    }
+  }
+
+  for (const event of events.added || []) {
+    const validation = MatchEventService.validateEvent(event);
+    if (!validation.valid) return validation;
+  }
+
+  return { valid: true };
+}
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Match ID is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const session = await LiveMatchSessionService.getSession(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        session,
+      });
+    }
+
+    if (req.method === "POST") {
+      const validation = validatePush(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const session = await LiveMatchSessionService.pushChanges(
+        userId,
+        id,
+        req.body
+      );
+
+      return res.status(200).json({
+        success: true,
+        session,
+      });
+    }
+
+    if (req.method === "DELETE") {
+      await LiveMatchSessionService.endSession(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        message: "Live session ended",
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Live match API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.startsWith("Invalid event")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -0,0 +1,100 @@
+/**
+ * Match Share API Route
+ * GET /api/matches/[id]/share - Get the public scoreboard link (if shared)
+ * POST /api/matches/[id]/share - Create the link, or { regenerate: true } to replace it
+ * DELETE /api/matches/[id]/share - Revoke the link
+ */
+import { requireAuth } from "../../../../middleware/auth.js";
+import PublicScoreboardService from "../../../../lib/publicScoreboardService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Match ID is required",
+      });
+    }
+
+    const toResponse = (share) => ({
+      isShared: !!share.shareToken,
+      token: share.shareToken,
+      url: share.shareToken
+        ? PublicScoreboardService.getShareUrl(req, share.shareToken)
+        : null,
+      createdAt: share.shareTokenCreatedAt,
+    });
+
+    if (req.method === "GET") {
+      const share = await PublicScoreboardService.getShare(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        share: toResponse(share),
+      });
+    }
+
+    if (req.method === "POST") {
+      const share = await PublicScoreboardService.enableShare(
+        userId,
+        id,
+        !!req.body?.regenerate
+      );
+
+      return res.status(200).json({
+        success: true,
+        share: toResponse(share),
+      });
+    }
+
+    if (req.method === "DELETE") {
+      await PublicScoreboardService.revokeShare(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        message: "Share link revoked",
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Match share API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -0,0 +1,107 @@
+/**
+ * Penalty Shootout API Route
+ * GET /api/matches/[id]/shootout - Get the shootout kicks and score
+ * PUT /api/matches/[id]/shootout - Replace the shootout with { kicks: [...] }
+ * DELETE /api/matches/[id]/shootout - Remove the shootout
+ */
+import { requireAuth } from "../../../../middleware/auth.js";
+import PenaltyShootoutService from "../../../../lib/penaltyShootoutService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Match ID is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const shootout = await PenaltyShootoutService.getShootout(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        shootout,
+      });
+    }
+
+    if (req.method === "PUT") {
+      const kicks = req.body?.kicks;
+      const validation = PenaltyShootoutService.validateKicks(kicks);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const shootout = await PenaltyShootoutService.saveShootout(
+        userId,
+        id,
+        kicks
+      );
+
+      return res.status(200).json({
+        success: true,
+        shootout,
+      });
+    }
+
+    if (req.method === "DELETE") {
+      await PenaltyShootoutService.clearShootout(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        message: "Shootout removed successfully",
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Penalty shootout API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Invalid shootout")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
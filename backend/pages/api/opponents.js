@@ -0,0 +1,90 @@
+/**
+ * Opponents API Route
+ * GET /api/opponents - Get the user's opponents (?search= matches names and
+ *   aliases, ?teamId= lists the team owner's opponents for its members)
+ * POST /api/opponents - Create an opponent { name, aliases, primaryColor,
+ *   secondaryColor, notes }
+ */
+import { requireAuth } from "../../middleware/auth.js";
+import OpponentService from "../../lib/opponentService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+
+    if (req.method === "GET") {
+      const { search, teamId } = req.query;
+      const opponents = await OpponentService.getOpponents(userId, {
+        search,
+        teamId,
+      });
+
+      return res.status(200).json({
+        success: true,
+        opponents,
+      });
+    }
+
+    if (req.method === "POST") {
+      const validation = OpponentService.validateOpponent(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const opponent = await OpponentService.createOpponent(userId, req.body);
+
+      return res.status(201).json({
+        success: true,
+        opponent,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Opponents API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Opponent name already used")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
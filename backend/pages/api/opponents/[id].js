@@ -0,0 +1,100 @@
+/**
+ * Single Opponent API Route
+ * GET /api/opponents/[id] - Get an opponent
+ * PUT /api/opponents/[id] - Update an opponent (adding another opponent's
+ *   name as an alias merges it into this one)
+ * DELETE /api/opponents/[id] - Delete an opponent (its matches keep the name)
+ */
+import { requireAuth } from "../../../middleware/auth.js";
+import OpponentService from "../../../lib/opponentService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Opponent ID is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const opponent = await OpponentService.getOpponent(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        opponent,
+      });
+    }
+
+    if (req.method === "PUT") {
+      const validation = OpponentService.validateOpponent(req.body, true);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const opponent = await OpponentService.updateOpponent(
+        userId,
+        id,
+        req.body
+      );
+
+      return res.status(200).json({
+        success: true,
+        opponent,
+      });
+    }
+
+    if (req.method === "DELETE") {
+      await OpponentService.deleteOpponent(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        message: "Opponent deleted successfully",
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Opponent API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Opponent name already used")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -0,0 +1,70 @@
+/**
+ * Opponent Head-to-Head API Route
+ * GET /api/opponents/[id]/head-to-head - All-time record and last meetings
+ *   against an opponent (?teamId= for one team's matches)
+ */
+import { requireAuth } from "../../../../middleware/auth.js";
+import OpponentService from "../../../../lib/opponentService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id, teamId } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Opponent ID is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const headToHead = await OpponentService.getHeadToHead(userId, id, {
+        teamId,
+      });
+
+      return res.status(200).json({
+        success: true,
+        ...headToHead,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Head-to-head API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
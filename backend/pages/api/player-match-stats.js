@@ -1,12 +1,14 @@
 /**
  * Player Match Stats API Route
- * GET /api/player-match-stats - Get all player match stats
- * POST /api/player-match-stats - Create player match stat
+ * GET /api/player-match-stats - Get player match stats from the user's matches
+ * POST /api/player-match-stats - Create player match stat (scorer)
  */
 import { requireAuth } from "../../middleware/auth.js";
 import { withDatabaseUserContext } from "../../lib/db-utils.js";
 import { getPrisma } from "../../lib/prisma.js";
 import EncryptionService from "../../lib/encryption.js";
+import MatchEventService from "../../lib/matchEventService.js";
+import TeamMembershipService from "../../lib/teamMembershipService.js";
 
 async function handler(req, res) {
   try {
@@ -17,18 +19,17 @@ async function handler(req, res) {
       const { playerId, matchId, limit = "100", skip = "0" } = req.query;
 
       const stats = await withDatabaseUserContext(userId, async (tx) => {
-        const where = {};
+        // Only stats from matches the user can see, outside the trash
+        const where = {
+          match: {
+            ...(await TeamMembershipService.getAccessFilter(tx, userId)),
+            isDeleted: false,
+          },
+        };
 
         if (playerId) where.playerId = playerId;
         if (matchId) where.matchId = matchId;
 
-        // If no filters, get stats for user's matches with pagination
-        if (!playerId && !matchId) {
-          where.match = {
-            userId,
-          };
-        }
-
         const result = await tx.playerMatchStat.findMany({
           where,
           include: {
@@ -83,29 +84,16 @@ async function handler(req, res) {
       }
 
       const stat = await withDatabaseUserContext(userId, async (tx) => {
-        // Verify match belongs to user
-        const match = await tx.match.findFirst({
-          where: {
-            id: matchId,
-            userId,
-          },
-        });
-
-        if (!match) {
-          throw new Error("Match not found or unauthorized");
-        }
-
-        // Verify player belongs to user
-        const player = await tx.player.findFirst({
-          where: {
-            id: playerId,
-            userId,
-          },
-        });
-
-        if (!player) {
-          throw new Error("Player not found or unauthorized");
-        }
+        // Verify the user can score the match and sees the player
+        await TeamMembershipService.assertMatchAccess(
+          tx,
+          userId,
+          matchId,
+          "scorer"
+        );
+        await MatchEventService.assertPlayersAccess(tx, userId, [
+          { playerId },
+        ]);
 
         // Create or update stat
         const result = await tx.playerMatchStat.upsert({
@@ -193,6 +181,13 @@ async function handler(req, res) {
       });
     }
 
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       error: "Internal server error",
@@ -1,7 +1,8 @@
 /**
  * Players API Route
- * GET /api/players - Get all players for authenticated user
- * POST /api/players - Create a new player
+ * GET /api/players - Get players on the user's teams and their teamless ones
+ * POST /api/players - Create a new player { name, publicName, teamId,
+ *   shirtNumber, positions, dateOfBirth, emergencyContact, avatar }
  */
 import { requireAuth } from '../../middleware/auth.js';
 import PlayerService from '../../lib/playerService.js';
@@ -30,7 +31,18 @@ async function handler(req, res) {
     }
 
     if (req.method === 'POST') {
-      const { name, teamId, goals, assists } = req.body;
+      const {
+        name,
+        publicName,
+        teamId,
+        goals,
+        assists,
+        shirtNumber,
+        positions,
+        dateOfBirth,
+        emergencyContact,
+        avatar,
+      } = req.body;
 
       if (!name) {
         return res.status(400).json({
@@ -39,11 +51,25 @@ async function handler(req, res) {
         });
       }
 
+      const validation = PlayerService.validateProfile(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
       const player = await PlayerService.createPlayer(userId, {
         name,
+        publicName,
         teamId,
         goals,
         assists,
+        shirtNumber,
+        positions,
+        dateOfBirth,
+        emergencyContact,
+        avatar,
       });
 
       return res.status(201).json({
@@ -66,6 +92,20 @@ async function handler(req, res) {
       });
     }
 
+    if (error.message.includes('not found or unauthorized')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Insufficient team role')) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       error: 'Internal server error',
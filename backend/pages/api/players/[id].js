@@ -1,7 +1,8 @@
 /**
  * Single Player API Route
  * GET /api/players/[id] - Get player by ID
- * PUT /api/players/[id] - Update player
+ * PUT /api/players/[id] - Update player (including profile fields:
+ *   shirtNumber, positions, dateOfBirth, emergencyContact, avatar)
  * DELETE /api/players/[id] - Delete player (soft delete)
  */
 import { requireAuth } from '../../../middleware/auth.js';
@@ -37,13 +38,38 @@ async function handler(req, res) {
     }
 
     if (req.method === 'PUT') {
-      const { name, teamId, goals, assists } = req.body;
+      const {
+        name,
+        publicName,
+        teamId,
+        goals,
+        assists,
+        shirtNumber,
+        positions,
+        dateOfBirth,
+        emergencyContact,
+        avatar,
+      } = req.body;
+
+      const validation = PlayerService.validateProfile(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
 
       const player = await PlayerService.updatePlayer(userId, id, {
         ...(name && { name }),
+        ...(publicName !== undefined && { publicName: publicName || null }),
         ...(teamId !== undefined && { teamId }),
         ...(goals !== undefined && { goals }),
         ...(assists !== undefined && { assists }),
+        shirtNumber,
+        positions,
+        dateOfBirth,
+        emergencyContact,
+        avatar,
       });
 
       return res.status(200).json({
@@ -75,6 +101,20 @@ async function handler(req, res) {
       });
     }
 
+    if (error.message.includes('not found or unauthorized')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Insufficient team role')) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       error: 'Internal server error',
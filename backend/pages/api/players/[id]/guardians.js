@@ -0,0 +1,133 @@
+/**
+ * Player Guardians API Route
+ * GET /api/players/[id]/guardians - Get the player's guardians and pending
+ *   guardian invitations
+ * POST /api/players/[id]/guardians - Invite a parent or guardian { email? };
+ *   without an email the returned inviteUrl is shared as a link instead
+ */
+import { requireAuth } from '../../../../middleware/auth.js';
+import GuardianService from '../../../../lib/guardianService.js';
+import TeamMembershipService from '../../../../lib/teamMembershipService.js';
+import { sendTeamInvitationEmail } from '../../../../lib/emailService.js';
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Player ID is required',
+      });
+    }
+
+    if (req.method === 'GET') {
+      const { guardians, invitations } = await GuardianService.getGuardians(
+        userId,
+        id
+      );
+
+      return res.status(200).json({
+        success: true,
+        guardians,
+        invitations: invitations.map((invitation) => ({
+          ...invitation,
+          inviteUrl: TeamMembershipService.getInviteUrl(req, invitation.token),
+        })),
+      });
+    }
+
+    if (req.method === 'POST') {
+      const validation = TeamMembershipService.validateEmail(req.body?.email);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const invitation = await GuardianService.createInvitation(
+        userId,
+        id,
+        req.body
+      );
+      const inviteUrl = TeamMembershipService.getInviteUrl(
+        req,
+        invitation.token
+      );
+
+      // The invitation stands even if the email fails; the link still works
+      let emailSent = false;
+      if (invitation.email) {
+        try {
+          await sendTeamInvitationEmail(invitation.email, {
+            ...invitation,
+            inviteUrl,
+          });
+          emailSent = true;
+        } catch (error) {
+          console.error('Guardian invitation email error:', error);
+        }
+      }
+
+      return res.status(201).json({
+        success: true,
+        invitation: {
+          id: invitation.id,
+          email: invitation.email,
+          role: invitation.role,
+          token: invitation.token,
+          expiresAt: invitation.expiresAt,
+          createdAt: invitation.createdAt,
+          inviteUrl,
+        },
+        emailSent,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  } catch (error) {
+    console.error('Player guardians API error:', error);
+
+    if (error.message === 'Authentication required') {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+      });
+    }
+
+    if (error.message.includes('not found or unauthorized')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Insufficient team role')) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message === 'Player must be on a team to invite a guardian') {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -0,0 +1,67 @@
+/**
+ * Player Guardian API Route
+ * DELETE /api/players/[id]/guardians/[guardianId] - Unlink a guardian (coaches,
+ *   or the guardian themselves)
+ */
+import { requireAuth } from '../../../../../middleware/auth.js';
+import GuardianService from '../../../../../lib/guardianService.js';
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id, guardianId } = req.query;
+
+    if (!id || !guardianId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Player ID and guardian ID are required',
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      await GuardianService.removeGuardian(userId, id, guardianId);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Guardian removed successfully',
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  } catch (error) {
+    console.error('Player guardian API error:', error);
+
+    if (error.message === 'Authentication required') {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+      });
+    }
+
+    if (error.message.includes('not found or unauthorized')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Insufficient team role')) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
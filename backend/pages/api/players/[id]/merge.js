@@ -0,0 +1,89 @@
+/**
+ * Player Merge API Route
+ * POST /api/players/[id]/merge - Merge a duplicate record into this player
+ *   { duplicateId }; the duplicate's stats and match references move here
+ *   and it is deleted (soft delete)
+ */
+import { requireAuth } from '../../../../middleware/auth.js';
+import PlayerService from '../../../../lib/playerService.js';
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Player ID is required',
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { duplicateId } = req.body || {};
+
+      if (!duplicateId) {
+        return res.status(400).json({
+          success: false,
+          error: 'duplicateId is required',
+        });
+      }
+
+      if (duplicateId === id) {
+        return res.status(400).json({
+          success: false,
+          error: 'A player cannot be merged into itself',
+        });
+      }
+
+      const { player, merged } = await PlayerService.mergePlayers(
+        userId,
+        id,
+        duplicateId
+      );
+
+      return res.status(200).json({
+        success: true,
+        player,
+        merged,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  } catch (error) {
+    console.error('Player merge API error:', error);
+
+    if (error.message === 'Authentication required') {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+      });
+    }
+
+    if (error.message.includes('not found or unauthorized')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Insufficient team role')) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
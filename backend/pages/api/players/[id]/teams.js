@@ -0,0 +1,107 @@
+/**
+ * Player Teams API Route
+ * GET /api/players/[id]/teams - Get the player's squad history (current and
+ *   past spells, newest first)
+ * POST /api/players/[id]/teams - Add the player to a team's squad
+ *   { teamId, shirtNumber?, date? }; with `transfer: true` (and optionally
+ *   fromTeamId) they leave their main team and the new team becomes it
+ */
+import { requireAuth } from '../../../../middleware/auth.js';
+import PlayerService from '../../../../lib/playerService.js';
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Player ID is required',
+      });
+    }
+
+    if (req.method === 'GET') {
+      const memberships = await PlayerService.getTeamMemberships(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        memberships,
+      });
+    }
+
+    if (req.method === 'POST') {
+      const { teamId, shirtNumber, date, transfer, fromTeamId } =
+        req.body || {};
+
+      if (!teamId) {
+        return res.status(400).json({
+          success: false,
+          error: 'teamId is required',
+        });
+      }
+
+      const validation = PlayerService.validateTeamMembership(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const player = transfer
+        ? await PlayerService.transferPlayer(userId, id, {
+            toTeamId: teamId,
+            fromTeamId,
+            shirtNumber,
+            date,
+          })
+        : await PlayerService.assignPlayerToTeam(userId, id, teamId, {
+            shirtNumber,
+            date,
+          });
+
+      return res.status(200).json({
+        success: true,
+        player,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  } catch (error) {
+    console.error('Player teams API error:', error);
+
+    if (error.message === 'Authentication required') {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+      });
+    }
+
+    if (error.message.includes('not found or unauthorized')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Insufficient team role')) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -0,0 +1,98 @@
+/**
+ * Player Team API Route
+ * PUT /api/players/[id]/teams/[teamId] - Set the player's shirt number in
+ *   that team's squad { shirtNumber } (null uses their profile number)
+ * DELETE /api/players/[id]/teams/[teamId] - Take the player out of the squad
+ *   { date? }; the spell is kept in their history
+ */
+import { requireAuth } from '../../../../../middleware/auth.js';
+import PlayerService from '../../../../../lib/playerService.js';
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id, teamId } = req.query;
+
+    if (!id || !teamId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Player ID and team ID are required',
+      });
+    }
+
+    if (req.method === 'PUT' || req.method === 'DELETE') {
+      const validation = PlayerService.validateTeamMembership(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+    }
+
+    if (req.method === 'PUT') {
+      const player = await PlayerService.assignPlayerToTeam(
+        userId,
+        id,
+        teamId,
+        { shirtNumber: req.body?.shirtNumber ?? null }
+      );
+
+      return res.status(200).json({
+        success: true,
+        player,
+      });
+    }
+
+    if (req.method === 'DELETE') {
+      const player = await PlayerService.removePlayerFromTeam(
+        userId,
+        id,
+        teamId,
+        { date: req.body?.date }
+      );
+
+      return res.status(200).json({
+        success: true,
+        player,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed',
+    });
+  } catch (error) {
+    console.error('Player team API error:', error);
+
+    if (error.message === 'Authentication required') {
+      return res.status(401).json({
+        success: false,
+        error: 'Unauthorized',
+      });
+    }
+
+    if (error.message.includes('not found or unauthorized')) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith('Insufficient team role')) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -0,0 +1,44 @@
+/**
+ * Public Scoreboard API Route (no authentication)
+ * GET /api/public/scoreboard/[token] - Live score, clock and public scorer names
+ */
+import PublicScoreboardService from "../../../../lib/publicScoreboardService.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  }
+
+  try {
+    const scoreboard = await PublicScoreboardService.getScoreboard(
+      req.query.token
+    );
+
+    // Scores change during the match; never cache
+    res.setHeader("Cache-Control", "no-store");
+
+    if (!scoreboard) {
+      return res.status(404).json({
+        success: false,
+        error: "Scoreboard not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      scoreboard,
+    });
+  } catch (error) {
+    console.error("Public scoreboard API error:", error);
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
@@ -0,0 +1,92 @@
+/**
+ * Single Season API Route
+ * PUT /api/seasons/[id] - Rename a season or change its dates
+ * DELETE /api/seasons/[id] - Delete a season (its matches are kept)
+ */
+import { requireAuth } from "../../../middleware/auth.js";
+import SeasonService from "../../../lib/seasonService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Season ID is required",
+      });
+    }
+
+    if (req.method === "PUT") {
+      const validation = SeasonService.validateSeason(req.body, true);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const season = await SeasonService.updateSeason(userId, id, req.body);
+
+      return res.status(200).json({
+        success: true,
+        season,
+      });
+    }
+
+    if (req.method === "DELETE") {
+      await SeasonService.deleteSeason(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        message: "Season deleted successfully",
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Season API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Season dates overlap")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -1,6 +1,7 @@
 /**
  * Stats API Route
  * GET /api/stats - Get comprehensive statistics for authenticated user
+ *   Optional teamId and seasonId limit the matches counted
  */
 import { requireAuth  } from '../../middleware/auth.js';
 import { withDatabaseUserContext  } from '../../lib/db-utils.js';
@@ -8,6 +9,9 @@ import { getPrisma  } from '../../lib/prisma.js';
 import EncryptionService from '../../lib/encryption.js';
 import UserService from '../../lib/userService.js';
 import PlayerService from '../../lib/playerService.js';
+import PenaltyShootoutService from '../../lib/penaltyShootoutService.js';
+import TeamMatchStats from '../../lib/teamMatchStats.js';
+import TeamMembershipService from '../../lib/teamMembershipService.js';
 
 async function handler(req, res) {
   try {
@@ -15,11 +19,19 @@ async function handler(req, res) {
     const userId = await requireAuth(req);
 
     if (req.method === 'GET') {
-      const { type = 'overview' } = req.query;
+      const { type = 'overview', teamId, seasonId } = req.query;
+
+      // Limit matches (and stats from them) to a team and/or season; matches
+      // in the trash never count
+      const matchFilter = {
+        isDeleted: false,
+        ...(teamId && { teamId }),
+        ...(seasonId && { seasonId }),
+      };
 
       if (type === 'overview') {
         // Get overall statistics
-        const userStats = await UserService.getUserStats(userId);
+        const userStats = await UserService.getUserStats(userId, matchFilter);
 
         return res.status(200).json({
           success: true,
@@ -32,12 +44,16 @@ async function handler(req, res) {
         const players = await withDatabaseUserContext(userId, async (tx) => {
           const result = await tx.player.findMany({
             where: {
-              userId,
+              AND: [
+                await PlayerService.getAccessFilter(tx, userId),
+                ...(teamId ? [PlayerService.getSquadFilter(teamId)] : []),
+              ],
               isDeleted: false,
             },
             include: {
               team: true,
               matchStats: {
+                where: { match: matchFilter },
                 include: {
                   match: true,
                 },
@@ -51,8 +67,13 @@ async function handler(req, res) {
           // Decrypt and calculate stats
           return result.map(player => {
             const totalMatches = player.matchStats.length;
-            const totalGoals = player.goals;
-            const totalAssists = player.assists;
+            // Career totals, or totals from the season's matches
+            const totalGoals = seasonId
+              ? player.matchStats.reduce((sum, stat) => sum + stat.goals, 0)
+              : player.goals;
+            const totalAssists = seasonId
+              ? player.matchStats.reduce((sum, stat) => sum + stat.assists, 0)
+              : player.assists;
             const avgGoalsPerMatch = totalMatches > 0 ? (totalGoals / totalMatches).toFixed(2) : 0;
             const avgAssistsPerMatch = totalMatches > 0 ? (totalAssists / totalMatches).toFixed(2) : 0;
 
@@ -95,8 +116,9 @@ async function handler(req, res) {
         const matchStats = await withDatabaseUserContext(userId, async (tx) => {
           const matches = await tx.match.findMany({
             where: {
-              userId,
+              ...(await TeamMembershipService.getAccessFilter(tx, userId)),
               isFinished: true,
+              ...matchFilter,
             },
             include: {
               team: true,
@@ -118,9 +140,12 @@ async function handler(req, res) {
           const awayMatches = matches.filter(m => m.venue === 'away');
 
           const calculateWinLoss = (matchList) => {
-            const wins = matchList.filter(m => m.goalsFor > m.goalsAgainst).length;
-            const losses = matchList.filter(m => m.goalsFor < m.goalsAgainst).length;
-            const draws = matchList.filter(m => m.goalsFor === m.goalsAgainst).length;
+            const results = matchList.map(m => PenaltyShootoutService.getResult(m));
+            const wins = results.filter(r => r === 'win').length;
+            const losses = results.filter(r => r === 'loss').length;
+            const draws = results.filter(r => r === 'draw').length;
+            const shootouts = matchList.filter(m => PenaltyShootoutService.hasShootout(m));
+            const shootoutWins = shootouts.filter(m => m.penaltiesFor > m.penaltiesAgainst).length;
             const totalGoals = matchList.reduce((sum, m) => sum + m.goalsFor, 0);
             const totalConceded = matchList.reduce((sum, m) => sum + m.goalsAgainst, 0);
 
@@ -129,11 +154,14 @@ async function handler(req, res) {
               wins,
               losses,
               draws,
+              shootoutWins,
+              shootoutLosses: shootouts.length - shootoutWins,
               winPercentage: matchList.length > 0 ? ((wins / matchList.length) * 100).toFixed(1) : 0,
               totalGoals,
               totalConceded,
               avgGoalsFor: matchList.length > 0 ? (totalGoals / matchList.length).toFixed(2) : 0,
               avgGoalsAgainst: matchList.length > 0 ? (totalConceded / matchList.length).toFixed(2) : 0,
+              teamStats: TeamMatchStats.getAverages(matchList),
             };
           };
 
@@ -157,7 +185,7 @@ async function handler(req, res) {
         const teamStats = await withDatabaseUserContext(userId, async (tx) => {
           const teams = await tx.team.findMany({
             where: {
-              userId,
+              memberships: { some: { userId } },
               isDeleted: false,
             },
             include: {
@@ -165,7 +193,11 @@ async function handler(req, res) {
                 where: { isDeleted: false },
               },
               matches: {
-                where: { isFinished: true },
+                where: {
+                  isFinished: true,
+                  isDeleted: false,
+                  ...(seasonId && { seasonId }),
+                },
               },
             },
           });
@@ -173,9 +205,10 @@ async function handler(req, res) {
           return teams.map(team => {
             const totalPlayers = team.players.length;
             const totalMatches = team.matches.length;
-            const wins = team.matches.filter(m => m.goalsFor > m.goalsAgainst).length;
-            const losses = team.matches.filter(m => m.goalsFor < m.goalsAgainst).length;
-            const draws = team.matches.filter(m => m.goalsFor === m.goalsAgainst).length;
+            const results = team.matches.map(m => PenaltyShootoutService.getResult(m));
+            const wins = results.filter(r => r === 'win').length;
+            const losses = results.filter(r => r === 'loss').length;
+            const draws = results.filter(r => r === 'draw').length;
             const totalGoals = team.matches.reduce((sum, m) => sum + m.goalsFor, 0);
             const totalConceded = team.matches.reduce((sum, m) => sum + m.goalsAgainst, 0);
 
@@ -1,13 +1,15 @@
 /**
  * Teams API Route
- * GET /api/teams - Get all teams for authenticated user
- * POST /api/teams - Create a new team
+ * GET /api/teams - Get the teams the user is a member of, with their `role`
+ * POST /api/teams - Create a new team (the creator becomes its owner)
  */
 import { requireAuth } from "../../middleware/auth.js";
 import { withDatabaseUserContext } from "../../lib/db-utils.js";
 import { getPrisma } from "../../lib/prisma.js";
 import EncryptionService from "../../lib/encryption.js";
+import PeriodFormat from "../../lib/periodFormat.js";
 import UserService from "../../lib/userService.js";
+import TeamMembershipService from "../../lib/teamMembershipService.js";
 
 async function handler(req, res) {
   try {
@@ -18,28 +20,38 @@ async function handler(req, res) {
       const prisma = getPrisma();
       const { include, summary } = req.query;
 
+      // The user's own membership, for their role on each team
+      const membershipSelect = {
+        where: { userId },
+        select: { role: true },
+      };
+
       const teams = await withDatabaseUserContext(userId, async (tx) => {
         // Summary mode: only return ID and name (fast)
         if (summary === "true") {
           const result = await tx.team.findMany({
             where: {
-              userId,
+              memberships: { some: { userId } },
               isDeleted: false,
             },
             select: {
               id: true,
               name: true,
+              publicName: true,
               avatar: true,
+              periodFormat: true,
               createdAt: true,
+              memberships: membershipSelect,
             },
             orderBy: {
               createdAt: "desc",
             },
           });
 
-          return result.map((team) => ({
+          return result.map(({ memberships, ...team }) => ({
             ...team,
             name: EncryptionService.decrypt(team.name),
+            role: memberships[0].role,
           }));
         }
 
@@ -50,10 +62,11 @@ async function handler(req, res) {
 
         const result = await tx.team.findMany({
           where: {
-            userId,
+            memberships: { some: { userId } },
             isDeleted: false,
           },
           include: {
+            memberships: membershipSelect,
             ...(includePlayers && {
               players: {
                 where: { isDeleted: false },
@@ -61,7 +74,7 @@ async function handler(req, res) {
             }),
             ...(includeMatches && {
               matches: {
-                where: { isFinished: true },
+                where: { isFinished: true, isDeleted: false },
                 orderBy: { date: "desc" },
                 take: 10,
               },
@@ -73,9 +86,10 @@ async function handler(req, res) {
         });
 
         // Decrypt team and player names
-        return result.map((team) => ({
+        return result.map(({ memberships, ...team }) => ({
           ...team,
           name: EncryptionService.decrypt(team.name),
+          role: memberships[0].role,
           ...(includePlayers &&
             team.players && {
               players: team.players.map((player) => ({
@@ -94,7 +108,7 @@ async function handler(req, res) {
     }
 
     if (req.method === "POST") {
-      const { name, avatar } = req.body;
+      const { name, publicName, avatar, periodFormat } = req.body;
 
       console.log("📝 Creating team with data:", {
         name,
@@ -108,11 +122,25 @@ async function handler(req, res) {
         });
       }
 
+      if (periodFormat !== undefined) {
+        const validation = PeriodFormat.validate(periodFormat);
+        if (!validation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: validation.message,
+          });
+        }
+      }
+
       const team = await withDatabaseUserContext(userId, async (tx) => {
         const result = await tx.team.create({
           data: {
             name: EncryptionService.encrypt(name),
+            ...(publicName && { publicName }),
             ...(avatar && { avatar }),
+            ...(periodFormat && {
+              periodFormat: PeriodFormat.toColumn(periodFormat),
+            }),
             userId,
           },
           include: {
@@ -120,6 +148,8 @@ async function handler(req, res) {
           },
         });
 
+        await TeamMembershipService.addOwner(tx, result.id, userId);
+
         console.log("✅ Team created:", {
           id: result.id,
           hasAvatar: !!result.avatar,
@@ -128,6 +158,7 @@ async function handler(req, res) {
         return {
           ...result,
           name: EncryptionService.decrypt(result.name),
+          role: "owner",
         };
       });
 
@@ -1,13 +1,17 @@
 /**
  * Single Team API Route
- * GET /api/teams/[id] - Get team by ID
- * PUT /api/teams/[id] - Update team
- * DELETE /api/teams/[id] - Delete team (soft delete)
+ * GET /api/teams/[id] - Get team by ID, with the user's `role` (members)
+ * PUT /api/teams/[id] - Update team (owner); a replaced avatar is deleted
+ *   from storage
+ * DELETE /api/teams/[id] - Delete team (soft delete, owner), with its avatar
  */
 import { requireAuth } from "../../../middleware/auth.js";
 import { withDatabaseUserContext } from "../../../lib/db-utils.js";
 import { getPrisma } from "../../../lib/prisma.js";
 import EncryptionService from "../../../lib/encryption.js";
+import PeriodFormat from "../../../lib/periodFormat.js";
+import TeamMembershipService from "../../../lib/teamMembershipService.js";
+import ImageStorage from "../../../lib/imageStorage.js";
 
 async function handler(req, res) {
   try {
@@ -24,10 +28,15 @@ async function handler(req, res) {
 
     if (req.method === "GET") {
       const team = await withDatabaseUserContext(userId, async (tx) => {
+        const { role } = await TeamMembershipService.assertTeamAccess(
+          tx,
+          userId,
+          id
+        );
+
         const result = await tx.team.findFirst({
           where: {
             id,
-            userId,
             isDeleted: false,
           },
           include: {
@@ -35,7 +44,7 @@ async function handler(req, res) {
               where: { isDeleted: false },
             },
             matches: {
-              where: { isFinished: true },
+              where: { isFinished: true, isDeleted: false },
               orderBy: { date: "desc" },
               take: 10,
             },
@@ -49,6 +58,7 @@ async function handler(req, res) {
         return {
           ...result,
           name: EncryptionService.decrypt(result.name),
+          role,
           players: result.players.map((player) => ({
             ...player,
             name: EncryptionService.decrypt(player.name),
@@ -70,7 +80,7 @@ async function handler(req, res) {
     }
 
     if (req.method === "PUT") {
-      const { name, avatar } = req.body;
+      const { name, publicName, avatar, periodFormat } = req.body;
 
       console.log("📝 Updating team with data:", {
         id,
@@ -85,12 +95,35 @@ async function handler(req, res) {
         });
       }
 
+      if (periodFormat !== undefined) {
+        const validation = PeriodFormat.validate(periodFormat);
+        if (!validation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: validation.message,
+          });
+        }
+      }
+
+      let previousAvatar = null;
       const team = await withDatabaseUserContext(userId, async (tx) => {
+        await TeamMembershipService.assertTeamAccess(tx, userId, id, "owner");
+
+        const existing = await tx.team.findUnique({
+          where: { id },
+          select: { avatar: true },
+        });
+        previousAvatar = existing.avatar;
+
         const result = await tx.team.update({
           where: { id },
           data: {
             name: EncryptionService.encrypt(name),
+            ...(publicName !== undefined && { publicName: publicName || null }),
             ...(avatar !== undefined && { avatar }),
+            ...(periodFormat !== undefined && {
+              periodFormat: PeriodFormat.toColumn(periodFormat),
+            }),
           },
           include: {
             players: {
@@ -107,6 +140,7 @@ async function handler(req, res) {
         return {
           ...result,
           name: EncryptionService.decrypt(result.name),
+          role: "owner",
           players: result.players.map((player) => ({
             ...player,
             name: EncryptionService.decrypt(player.name),
@@ -114,6 +148,10 @@ async function handler(req, res) {
         };
       });
 
+      if (previousAvatar !== team.avatar) {
+        await ImageStorage.deleteIfUnused(previousAvatar);
+      }
+
       return res.status(200).json({
         success: true,
         team,
@@ -122,6 +160,9 @@ async function handler(req, res) {
 
     if (req.method === "DELETE") {
       await withDatabaseUserContext(userId, async (tx) => {
+        await TeamMembershipService.assertTeamAccess(tx, userId, id, "owner");
+
+        // The avatar stays until the team is purged from the trash
         await tx.team.update({
           where: { id },
           data: {
@@ -151,6 +192,20 @@ async function handler(req, res) {
       });
     }
 
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       error: "Internal server error",
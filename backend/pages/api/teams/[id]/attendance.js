@@ -0,0 +1,63 @@
+/**
+ * Team Attendance Report API Route
+ * GET /api/teams/[id]/attendance - Get each player's training attendance
+ *   (?seasonId= to count only that season's sessions)
+ */
+import { requireAuth } from "../../../../middleware/auth.js";
+import TrainingService from "../../../../lib/trainingService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id, seasonId } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Team ID is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const report = await TrainingService.getAttendanceReport(userId, id, {
+        seasonId,
+      });
+
+      return res.status(200).json({
+        success: true,
+        ...report,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Team attendance API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -0,0 +1,94 @@
+/**
+ * Team Competitions API Route
+ * GET /api/teams/[id]/competitions - Get the team's competitions (?seasonId=)
+ * POST /api/teams/[id]/competitions - Create a competition { name, type,
+ *   pointsForWin, pointsForDraw, pointsForLoss, opponents, seasonId }
+ */
+import { requireAuth } from "../../../../middleware/auth.js";
+import CompetitionService from "../../../../lib/competitionService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id, seasonId } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Team ID is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const competitions = await CompetitionService.getTeamCompetitions(
+        userId,
+        id,
+        { seasonId }
+      );
+
+      return res.status(200).json({
+        success: true,
+        competitions,
+      });
+    }
+
+    if (req.method === "POST") {
+      const validation = CompetitionService.validateCompetition(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const competition = await CompetitionService.createCompetition(
+        userId,
+        id,
+        req.body
+      );
+
+      return res.status(201).json({
+        success: true,
+        competition,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Team competitions API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
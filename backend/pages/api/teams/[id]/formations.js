@@ -0,0 +1,89 @@
+/**
+ * Team Formations API Route
+ * GET /api/teams/[id]/formations - Get the team's saved formations
+ * POST /api/teams/[id]/formations - Save a formation { name, shape, slots }
+ */
+import { requireAuth } from "../../../../middleware/auth.js";
+import FormationService from "../../../../lib/formationService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Team ID is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const formations = await FormationService.getTeamFormations(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        formations,
+      });
+    }
+
+    if (req.method === "POST") {
+      const validation = FormationService.validateFormation(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const formation = await FormationService.createFormation(
+        userId,
+        id,
+        req.body
+      );
+
+      return res.status(201).json({
+        success: true,
+        formation,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Team formations API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -0,0 +1,115 @@
+/**
+ * Team Invitations API Route
+ * GET /api/teams/[id]/invitations - Get the team's pending invitations
+ * POST /api/teams/[id]/invitations - Invite someone { email?, role }; without
+ *   an email the returned inviteUrl is shared as a link instead
+ */
+import { requireAuth } from "../../../../middleware/auth.js";
+import TeamMembershipService from "../../../../lib/teamMembershipService.js";
+import { sendTeamInvitationEmail } from "../../../../lib/emailService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Team ID is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const invitations = await TeamMembershipService.getInvitations(
+        userId,
+        id
+      );
+
+      return res.status(200).json({
+        success: true,
+        invitations: invitations.map((invitation) => ({
+          ...invitation,
+          inviteUrl: TeamMembershipService.getInviteUrl(req, invitation.token),
+        })),
+      });
+    }
+
+    if (req.method === "POST") {
+      const validation = TeamMembershipService.validateInvitation(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const { teamName, invitedByName, ...invitation } =
+        await TeamMembershipService.createInvitation(userId, id, req.body);
+      const inviteUrl = TeamMembershipService.getInviteUrl(
+        req,
+        invitation.token
+      );
+
+      // The invitation stands even if the email fails; the link still works
+      let emailSent = false;
+      if (invitation.email) {
+        try {
+          await sendTeamInvitationEmail(invitation.email, {
+            ...invitation,
+            teamName,
+            invitedByName,
+            inviteUrl,
+          });
+          emailSent = true;
+        } catch (error) {
+          console.error("Team invitation email error:", error);
+        }
+      }
+
+      return res.status(201).json({
+        success: true,
+        invitation: { ...invitation, inviteUrl },
+        emailSent,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Team invitations API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -0,0 +1,67 @@
+/**
+ * Team Invitation API Route
+ * DELETE /api/teams/[id]/invitations/[invitationId] - Revoke a pending invitation
+ */
+import { requireAuth } from "../../../../../middleware/auth.js";
+import TeamMembershipService from "../../../../../lib/teamMembershipService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id, invitationId } = req.query;
+
+    if (!id || !invitationId) {
+      return res.status(400).json({
+        success: false,
+        error: "Team ID and invitation ID are required",
+      });
+    }
+
+    if (req.method === "DELETE") {
+      await TeamMembershipService.revokeInvitation(userId, id, invitationId);
+
+      return res.status(200).json({
+        success: true,
+        message: "Invitation revoked successfully",
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Team invitation API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
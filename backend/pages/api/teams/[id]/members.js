@@ -0,0 +1,60 @@
+/**
+ * Team Members API Route
+ * GET /api/teams/[id]/members - Get the team's members and their roles
+ */
+import { requireAuth } from "../../../../middleware/auth.js";
+import TeamMembershipService from "../../../../lib/teamMembershipService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Team ID is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const members = await TeamMembershipService.getMembers(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        members,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Team members API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
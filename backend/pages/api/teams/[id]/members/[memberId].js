@@ -0,0 +1,97 @@
+/**
+ * Team Member API Route
+ * PUT /api/teams/[id]/members/[memberId] - Change a member's role { role }
+ * DELETE /api/teams/[id]/members/[memberId] - Remove a member, or leave the team
+ */
+import { requireAuth } from "../../../../../middleware/auth.js";
+import TeamMembershipService from "../../../../../lib/teamMembershipService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id, memberId } = req.query;
+
+    if (!id || !memberId) {
+      return res.status(400).json({
+        success: false,
+        error: "Team ID and member ID are required",
+      });
+    }
+
+    if (req.method === "PUT") {
+      const validation = TeamMembershipService.validateRole(req.body?.role);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const member = await TeamMembershipService.updateMemberRole(
+        userId,
+        id,
+        memberId,
+        req.body.role
+      );
+
+      return res.status(200).json({
+        success: true,
+        member,
+      });
+    }
+
+    if (req.method === "DELETE") {
+      await TeamMembershipService.removeMember(userId, id, memberId);
+
+      return res.status(200).json({
+        success: true,
+        message: "Member removed successfully",
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Team member API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.includes("owner's membership cannot be changed")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
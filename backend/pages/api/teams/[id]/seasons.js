@@ -0,0 +1,92 @@
+/**
+ * Team Seasons API Route
+ * GET /api/teams/[id]/seasons - Get the team's seasons, newest first
+ * POST /api/teams/[id]/seasons - Create a season { name, startDate, endDate }
+ */
+import { requireAuth } from "../../../../middleware/auth.js";
+import SeasonService from "../../../../lib/seasonService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Team ID is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const seasons = await SeasonService.getTeamSeasons(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        seasons,
+      });
+    }
+
+    if (req.method === "POST") {
+      const validation = SeasonService.validateSeason(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const season = await SeasonService.createSeason(userId, id, req.body);
+
+      return res.status(201).json({
+        success: true,
+        season,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Team seasons API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Season dates overlap")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -0,0 +1,109 @@
+/**
+ * Team Training API Route
+ * GET /api/teams/[id]/training - Get the team's training sessions
+ *   (?upcoming=true for sessions still to come, soonest first)
+ * POST /api/teams/[id]/training - Schedule a session { date, location,
+ *   focus, notes, recurrence }; with a recurrence { frequency, daysOfWeek,
+ *   endDate or count, timeZone } every session in the series is scheduled
+ *   and the first is returned
+ */
+import { requireAuth } from "../../../../middleware/auth.js";
+import TrainingService from "../../../../lib/trainingService.js";
+import EventSeriesService from "../../../../lib/eventSeriesService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id, upcoming } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Team ID is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const sessions = await TrainingService.getTeamSessions(userId, id, {
+        upcoming: upcoming === "true",
+      });
+
+      return res.status(200).json({
+        success: true,
+        sessions,
+      });
+    }
+
+    if (req.method === "POST") {
+      const validation = TrainingService.validateSession(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      if (req.body.recurrence !== undefined) {
+        const recurrenceValidation = EventSeriesService.validateRecurrence(
+          req.body.recurrence,
+          req.body.date
+        );
+        if (!recurrenceValidation.valid) {
+          return res.status(400).json({
+            success: false,
+            error: recurrenceValidation.message,
+          });
+        }
+      }
+
+      const session = await TrainingService.createSession(
+        userId,
+        id,
+        req.body
+      );
+
+      return res.status(201).json({
+        success: true,
+        session,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Team training API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -4,6 +4,8 @@ import {
   sendWelcomeEmail,
 } from "../../../lib/emailService.js";
 import { withDatabaseUserContext } from "../../../lib/db-utils.js";
+import VenueService from "../../../lib/venueService.js";
+import TeamMembershipService from "../../../lib/teamMembershipService.js";
 
 export default async function handler(req, res) {
   try {
@@ -59,30 +61,25 @@ export default async function handler(req, res) {
 
       // Get match details
       const match = await withDatabaseUserContext(userId, async (tx) => {
+        await TeamMembershipService.assertMatchAccess(tx, userId, matchId);
+
         return await tx.match.findUnique({
           where: { id: matchId },
           include: {
-            user: {
-              select: { id: true },
-            },
+            venueRecord: true,
           },
         });
       });
 
-      if (!match) {
-        return res.status(404).json({ error: "Match not found" });
-      }
-
-      if (match.user.id !== userId) {
-        return res
-          .status(403)
-          .json({ error: "Not authorized to access this match" });
-      }
-
       await sendMatchReminderEmail(user.email, user.name, {
         id: match.id,
         opponent: match.opponent,
         venue: match.venue,
+        venueName: match.venueRecord?.name || null,
+        address: match.venueRecord?.address || null,
+        pitchNumber: match.venueRecord?.pitchNumber || null,
+        parkingNotes: match.venueRecord?.parkingNotes || null,
+        mapsUrl: VenueService.getMapsUrl(match.venueRecord),
         date: match.date,
         type: match.type,
       });
@@ -103,6 +100,11 @@ export default async function handler(req, res) {
     });
   } catch (error) {
     console.error("Error in test-email handler:", error);
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({ error: "Match not found" });
+    }
+
     return res.status(500).json({
       error: "Failed to send email",
       message: error.message,
@@ -0,0 +1,112 @@
+/**
+ * Single Training Session API Route
+ * GET /api/training/[id] - Get a session with its register
+ * PUT /api/training/[id] - Update its date, location, focus or notes
+ * DELETE /api/training/[id] - Delete a session and its register
+ *
+ * PUT and DELETE take ?scope=series to make the same change to, or cancel,
+ * the rest of the session's series still to come.
+ */
+import { requireAuth } from "../../../middleware/auth.js";
+import TrainingService from "../../../lib/trainingService.js";
+import EventSeriesService from "../../../lib/eventSeriesService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id, scope } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Training session ID is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const session = await TrainingService.getSession(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        session,
+      });
+    }
+
+    const scopeValidation = EventSeriesService.validateScope(scope);
+    if (!scopeValidation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: scopeValidation.message,
+      });
+    }
+
+    if (req.method === "PUT") {
+      const validation = TrainingService.validateSession(req.body, true);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const session = await TrainingService.updateSession(
+        userId,
+        id,
+        req.body,
+        scope
+      );
+
+      return res.status(200).json({
+        success: true,
+        session,
+      });
+    }
+
+    if (req.method === "DELETE") {
+      await TrainingService.deleteSession(userId, id, scope);
+
+      return res.status(200).json({
+        success: true,
+        message: "Training session deleted successfully",
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Training session API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -0,0 +1,88 @@
+/**
+ * Training Attendance API Route
+ * PUT /api/training/[id]/attendance - Take or correct the register
+ *   { attendance: [{ playerId, attended }] }
+ */
+import { requireAuth } from "../../../../middleware/auth.js";
+import TrainingService from "../../../../lib/trainingService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Training session ID is required",
+      });
+    }
+
+    if (req.method === "PUT") {
+      const { attendance } = req.body || {};
+      const validation = TrainingService.validateAttendance(attendance);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const register = await TrainingService.saveAttendance(
+        userId,
+        id,
+        attendance
+      );
+
+      return res.status(200).json({
+        success: true,
+        attendance: register,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Training attendance API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Invalid attendance")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -0,0 +1,46 @@
+/**
+ * Trash API Route
+ * GET /api/trash - Get the deleted teams (owner), players and matches
+ *   (coach) the user can restore, each with the date it will be purged
+ */
+import { requireAuth } from "../../middleware/auth.js";
+import TrashService from "../../lib/trashService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+
+    if (req.method === "GET") {
+      const trash = await TrashService.getDeletedItems(userId);
+
+      return res.status(200).json({
+        success: true,
+        ...trash,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Trash API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -0,0 +1,87 @@
+/**
+ * Trash Item API Route
+ * POST /api/trash/[type]/[id] - Restore a deleted team (owner), player or
+ *   match (coach); type is "team", "player" or "match"
+ * DELETE /api/trash/[type]/[id] - Delete it for good (a team takes its
+ *   matches with it)
+ */
+import { requireAuth } from "../../../../middleware/auth.js";
+import TrashService from "../../../../lib/trashService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { type, id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Item ID is required",
+      });
+    }
+
+    const validation = TrashService.validateType(type);
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        error: validation.message,
+      });
+    }
+
+    if (req.method === "POST") {
+      await TrashService.restore(userId, type, id);
+
+      return res.status(200).json({
+        success: true,
+        message: "Restored successfully",
+      });
+    }
+
+    if (req.method === "DELETE") {
+      await TrashService.purge(userId, type, id);
+
+      return res.status(200).json({
+        success: true,
+        message: "Permanently deleted",
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Trash item API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -1,9 +1,13 @@
 /**
  * Upload API Route
- * POST /api/upload - Upload image to Cloudinary
+ * POST /api/upload - Upload image { image, folder } to the storage selected
+ *   by IMAGE_STORAGE (Cloudinary or local disk)
  */
 import { requireAuth } from "../../middleware/auth.js";
-import cloudinary from "../../config/cloudinary.js";
+import ImageStorage from "../../lib/imageStorage.js";
+
+// Folders images can be uploaded to
+const UPLOAD_FOLDERS = ["team-avatars", "player-avatars"];
 
 async function handler(req, res) {
   try {
@@ -20,32 +24,21 @@ async function handler(req, res) {
         });
       }
 
-      // Construct the folder path
-      const folderPath = `match-tracker-app/${folder}/${userId}`;
-      console.log("📁 Uploading to Cloudinary folder:", folderPath);
+      if (!UPLOAD_FOLDERS.includes(folder)) {
+        return res.status(400).json({
+          success: false,
+          error: `folder must be one of: ${UPLOAD_FOLDERS.join(", ")}`,
+        });
+      }
 
-      // Upload to Cloudinary
-      const result = await cloudinary.uploader.upload(image, {
-        folder: folderPath,
-        upload_preset: "match_tracker_app",
-        resource_type: "image",
-        transformation: [
-          { width: 400, height: 400, crop: "fill", gravity: "center" },
-          { quality: "auto:good" },
-          { fetch_format: "auto" },
-        ],
-      });
+      const result = await ImageStorage.upload(image, { folder, userId, req });
 
-      console.log("✅ Upload successful:", {
-        publicId: result.public_id,
-        url: result.secure_url,
-        folder: result.folder,
-      });
+      console.log("✅ Upload successful:", result);
 
       return res.status(200).json({
         success: true,
-        url: result.secure_url,
-        publicId: result.public_id,
+        url: result.url,
+        publicId: result.publicId,
       });
     }
 
@@ -63,6 +56,13 @@ async function handler(req, res) {
       });
     }
 
+    if (error.message.startsWith("Unsupported image")) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
     return res.status(500).json({
       success: false,
       error: "Failed to upload image",
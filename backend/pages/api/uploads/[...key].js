@@ -0,0 +1,40 @@
+/**
+ * Uploaded Images API Route (no authentication)
+ * GET /api/uploads/[...key] - An image saved by the local disk storage
+ *   (IMAGE_STORAGE=local); avatars are public, like Cloudinary URLs
+ */
+import LocalImageStorage from "../../../lib/localImageStorage.js";
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  }
+
+  try {
+    const image = await LocalImageStorage.read(req.query.key.join("/"));
+
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        error: "Image not found",
+      });
+    }
+
+    // Keys are random and never reused, so images never change
+    res.setHeader("Content-Type", image.contentType);
+    res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+    return res.status(200).send(image.data);
+  } catch (error) {
+    console.error("Uploads API error:", error);
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
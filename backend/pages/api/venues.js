@@ -0,0 +1,79 @@
+/**
+ * Venues API Route
+ * GET /api/venues - Get the user's venues (?teamId= lists the team owner's
+ *   venues for its members)
+ * POST /api/venues - Create a venue { name, address, pitchNumber, surface,
+ *   parkingNotes, latitude, longitude }
+ */
+import { requireAuth } from "../../middleware/auth.js";
+import VenueService from "../../lib/venueService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+
+    if (req.method === "GET") {
+      const venues = await VenueService.getVenues(userId, req.query.teamId);
+
+      return res.status(200).json({
+        success: true,
+        venues,
+      });
+    }
+
+    if (req.method === "POST") {
+      const validation = VenueService.validateVenue(req.body);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const venue = await VenueService.createVenue(userId, req.body);
+
+      return res.status(201).json({
+        success: true,
+        venue,
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Venues API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    if (error.message.startsWith("Insufficient team role")) {
+      return res.status(403).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
@@ -0,0 +1,88 @@
+/**
+ * Single Venue API Route
+ * GET /api/venues/[id] - Get a venue
+ * PUT /api/venues/[id] - Update a venue
+ * DELETE /api/venues/[id] - Delete a venue (its matches keep home/away)
+ */
+import { requireAuth } from "../../../middleware/auth.js";
+import VenueService from "../../../lib/venueService.js";
+
+async function handler(req, res) {
+  try {
+    // Get authenticated user
+    const userId = await requireAuth(req);
+    const { id } = req.query;
+
+    if (!id) {
+      return res.status(400).json({
+        success: false,
+        error: "Venue ID is required",
+      });
+    }
+
+    if (req.method === "GET") {
+      const venue = await VenueService.getVenue(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        venue,
+      });
+    }
+
+    if (req.method === "PUT") {
+      const validation = VenueService.validateVenue(req.body, true);
+      if (!validation.valid) {
+        return res.status(400).json({
+          success: false,
+          error: validation.message,
+        });
+      }
+
+      const venue = await VenueService.updateVenue(userId, id, req.body);
+
+      return res.status(200).json({
+        success: true,
+        venue,
+      });
+    }
+
+    if (req.method === "DELETE") {
+      await VenueService.deleteVenue(userId, id);
+
+      return res.status(200).json({
+        success: true,
+        message: "Venue deleted successfully",
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: "Method not allowed",
+    });
+  } catch (error) {
+    console.error("Venue API error:", error);
+
+    if (error.message === "Authentication required") {
+      return res.status(401).json({
+        success: false,
+        error: "Unauthorized",
+      });
+    }
+
+    if (error.message.includes("not found or unauthorized")) {
+      return res.status(404).json({
+        success: false,
+        error: error.message,
+      });
+    }
+
+    return res.status(500).json({
+      success: false,
+      error: "Internal server error",
+      message:
+        process.env.NODE_ENV === "development" ? error.message : undefined,
+    });
+  }
+}
+
+export default handler;
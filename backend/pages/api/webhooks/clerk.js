@@ -140,6 +140,15 @@ async function handler(req, res) {
               deletedAt: new Date(),
             },
           });
+
+          // Soft delete user's matches
+          await tx.match.updateMany({
+            where: { userId: deleteUserId },
+            data: {
+              isDeleted: true,
+              deletedAt: new Date(),
+            },
+          });
         });
 
         console.log(`User ${deleteUserId} and their data soft deleted`);
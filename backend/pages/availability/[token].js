@@ -0,0 +1,143 @@
+import Head from "next/head";
+import AvailabilityService from "../../lib/availabilityService.js";
+
+const ANSWERS = [
+  { value: "yes", label: "Yes", className: "bg-green-600 hover:bg-green-700" },
+  {
+    value: "maybe",
+    label: "Maybe",
+    className: "bg-amber-500 hover:bg-amber-600",
+  },
+  { value: "no", label: "No", className: "bg-red-600 hover:bg-red-700" },
+];
+
+export default function AvailabilityPage({ token, request }) {
+  if (!request) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-green-50 to-blue-50 flex items-center justify-center p-4">
+        <Head>
+          <title>Request unavailable - MatchTracker</title>
+          <meta name="robots" content="noindex" />
+        </Head>
+        <div className="bg-white rounded-xl shadow-lg p-8 max-w-md w-full text-center">
+          <div className="text-6xl mb-4">⚽</div>
+          <h1 className="text-2xl font-bold text-gray-800 mb-2">
+            Request unavailable
+          </h1>
+          <p className="text-gray-600">
+            This availability request no longer exists. Ask the coach to send
+            a new one.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const matchDate = new Date(request.date);
+  const answered = ANSWERS.find((answer) => answer.value === request.status);
+  const location = request.venueName
+    ? [request.venueName, request.address].filter(Boolean).join(", ")
+    : request.venue === "away"
+    ? "Away"
+    : "Home";
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 to-blue-50 flex items-center justify-center p-4">
+      <Head>
+        <title>{`Can ${request.playerName} play? - MatchTracker`}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="bg-white rounded-xl shadow-lg p-8 max-w-md w-full text-center">
+        <div className="text-6xl mb-4">⚽</div>
+        <h1 className="text-2xl font-bold text-gray-800 mb-2">
+          Can {request.playerName} play?
+        </h1>
+        <p className="text-gray-600 mb-1">
+          {request.teamName ? `${request.teamName} v ` : "v "}
+          <span className="font-semibold">{request.opponent}</span>
+        </p>
+        <p className="text-gray-600">
+          {matchDate.toLocaleDateString(undefined, {
+            weekday: "long",
+            day: "numeric",
+            month: "long",
+          })}{" "}
+          at{" "}
+          {matchDate.toLocaleTimeString(undefined, {
+            hour: "2-digit",
+            minute: "2-digit",
+          })}
+        </p>
+        <p className="text-sm text-gray-500 mb-6">{location}</p>
+
+        {answered && (
+          <p className="text-gray-800 mb-4">
+            Your answer: <span className="font-semibold">{answered.label}</span>
+          </p>
+        )}
+
+        {request.isFinished ? (
+          <p className="text-gray-600">This match has already been played.</p>
+        ) : (
+          <form
+            method="post"
+            action={`/api/availability/${encodeURIComponent(token)}`}
+            className="flex gap-3"
+          >
+            {ANSWERS.map((answer) => (
+              <button
+                key={answer.value}
+                type="submit"
+                name="status"
+                value={answer.value}
+                className={`flex-1 text-white font-semibold py-3 px-4 rounded-lg ${
+                  answer.className
+                } ${
+                  request.status && request.status !== answer.value
+                    ? "opacity-50"
+                    : ""
+                }`}
+              >
+                {answer.label}
+              </button>
+            ))}
+          </form>
+        )}
+
+        {answered && !request.isFinished && (
+          <p className="mt-4 text-xs text-gray-500">
+            Plans changed? Pick a different answer at any time.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export async function getServerSideProps({ params, res }) {
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    const request = await AvailabilityService.getByToken(params.token);
+
+    return {
+      props: {
+        token: params.token,
+        request: request && {
+          ...request,
+          date: request.date.toISOString(),
+          respondedAt: request.respondedAt?.toISOString() || null,
+        },
+      },
+    };
+  } catch (error) {
+    console.error("Availability page error:", error);
+    return {
+      props: {
+        token: params.token,
+        request: null,
+      },
+    };
+  }
+}
@@ -0,0 +1,105 @@
+import Head from "next/head";
+import TeamMembershipService from "../../lib/teamMembershipService.js";
+
+const APP_SCHEME = "matchtrackermobile";
+
+export default function InvitePage({ token, invitation }) {
+  if (!invitation) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-green-50 to-blue-50 flex items-center justify-center p-4">
+        <Head>
+          <title>Invitation unavailable - MatchTracker</title>
+          <meta name="robots" content="noindex" />
+        </Head>
+        <div className="bg-white rounded-xl shadow-lg p-8 max-w-md w-full text-center">
+          <div className="text-6xl mb-4">⚽</div>
+          <h1 className="text-2xl font-bold text-gray-800 mb-2">
+            Invitation unavailable
+          </h1>
+          <p className="text-gray-600">
+            This invitation has expired, been used or been revoked. Ask the
+            team owner for a new one.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const inviter = invitation.invitedByName || "A coach";
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 to-blue-50 flex items-center justify-center p-4">
+      <Head>
+        <title>{`Join ${invitation.teamName} - MatchTracker`}</title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="bg-white rounded-xl shadow-lg p-8 max-w-md w-full text-center">
+        <div className="text-6xl mb-4">⚽</div>
+        <h1 className="text-2xl font-bold text-gray-800 mb-2">
+          Join {invitation.teamName}
+        </h1>
+        {invitation.playerName ? (
+          <p className="text-gray-600 mb-6">
+            {inviter} has invited you to follow{" "}
+            <span className="font-semibold">{invitation.playerName}</span>
+            &apos;s matches and stats.
+          </p>
+        ) : (
+          <p className="text-gray-600 mb-6">
+            {inviter} has invited you to help run the team as{" "}
+            <span className="font-semibold capitalize">{invitation.role}</span>.
+          </p>
+        )}
+
+        <a
+          href={`${APP_SCHEME}://invite/${token}`}
+          className="inline-block w-full bg-green-600 hover:bg-green-700 text-white font-semibold py-3 px-4 rounded-lg"
+        >
+          Open in MatchTracker
+        </a>
+
+        <div className="border-t border-gray-200 mt-6 pt-4">
+          <p className="text-sm text-gray-600 mb-2">
+            Or open MatchTracker, go to Join a Team and enter this code:
+          </p>
+          <p className="font-mono text-sm bg-gray-100 rounded-lg p-3 break-all select-all">
+            {token}
+          </p>
+        </div>
+
+        <p className="mt-6 text-xs text-gray-500">
+          Expires {new Date(invitation.expiresAt).toLocaleDateString()}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export async function getServerSideProps({ params, res }) {
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    const invitation = await TeamMembershipService.getInvitationPreview(
+      params.token
+    );
+
+    return {
+      props: {
+        token: params.token,
+        invitation: invitation && {
+          ...invitation,
+          expiresAt: invitation.expiresAt.toISOString(),
+        },
+      },
+    };
+  } catch (error) {
+    console.error("Invite page error:", error);
+    return {
+      props: {
+        token: params.token,
+        invitation: null,
+      },
+    };
+  }
+}
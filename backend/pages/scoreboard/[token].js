@@ -0,0 +1,220 @@
+import Head from "next/head";
+import { useEffect, useState } from "react";
+import PublicScoreboardService from "../../lib/publicScoreboardService.js";
+
+const REFRESH_INTERVAL = 15 * 1000; // 15 seconds
+
+function getClockSeconds(clock, now) {
+  if (!clock) return null;
+  if (clock.running && clock.startedAt) {
+    return (
+      clock.accumulatedSeconds + Math.floor((now - clock.startedAt) / 1000)
+    );
+  }
+  return clock.accumulatedSeconds;
+}
+
+function formatClock(totalSeconds) {
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${String(minutes).padStart(2, "0")}:${String(seconds).padStart(
+    2,
+    "0"
+  )}`;
+}
+
+export default function ScoreboardPage({ token, initialScoreboard }) {
+  const [scoreboard, setScoreboard] = useState(initialScoreboard);
+  const [now, setNow] = useState(Date.now());
+  const isAvailable = !!scoreboard;
+  const isFinished = !!scoreboard?.isFinished;
+
+  // Poll for score changes until the match is finished or the link is revoked
+  useEffect(() => {
+    if (!isAvailable || isFinished) return;
+
+    const interval = setInterval(async () => {
+      try {
+        const response = await fetch(`/api/public/scoreboard/${token}`);
+        if (response.status === 404) {
+          setScoreboard(null);
+          return;
+        }
+        const data = await response.json();
+        if (data.success) {
+          setScoreboard(data.scoreboard);
+        }
+      } catch (error) {
+        console.error("Failed to refresh scoreboard:", error);
+      }
+    }, REFRESH_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [token, isAvailable, isFinished]);
+
+  // Tick the clock locally between refreshes
+  useEffect(() => {
+    if (!scoreboard?.clock?.running) return;
+
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [scoreboard?.clock?.running]);
+
+  if (!scoreboard) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-green-50 to-blue-50 flex items-center justify-center p-4">
+        <Head>
+          <title>Scoreboard unavailable - MatchTracker</title>
+          <meta name="robots" content="noindex" />
+        </Head>
+        <div className="bg-white rounded-xl shadow-lg p-8 max-w-md w-full text-center">
+          <div className="text-6xl mb-4">⚽</div>
+          <h1 className="text-2xl font-bold text-gray-800 mb-2">
+            Scoreboard unavailable
+          </h1>
+          <p className="text-gray-600">
+            This link has expired or been turned off by the coach.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const teamName = scoreboard.teamName || "Home side";
+  const isHome = scoreboard.venue === "home";
+  const clockSeconds = getClockSeconds(scoreboard.clock, now);
+  const ourGoals = scoreboard.goals.filter((goal) => !goal.isOpponent);
+
+  let status = "Kick-off soon";
+  if (scoreboard.isFinished) {
+    status = "Full time";
+  } else if (scoreboard.clock?.inBreak) {
+    status = scoreboard.clock.periodLabel;
+  } else if (clockSeconds !== null) {
+    status = scoreboard.clock.running ? "Live" : "Paused";
+  }
+
+  const leftName = isHome ? teamName : scoreboard.opponent;
+  const rightName = isHome ? scoreboard.opponent : teamName;
+  const leftScore = isHome ? scoreboard.goalsFor : scoreboard.goalsAgainst;
+  const rightScore = isHome ? scoreboard.goalsAgainst : scoreboard.goalsFor;
+  const hasPenalties =
+    scoreboard.penaltiesFor !== null && scoreboard.penaltiesFor !== undefined;
+  const leftPenalties = isHome
+    ? scoreboard.penaltiesFor
+    : scoreboard.penaltiesAgainst;
+  const rightPenalties = isHome
+    ? scoreboard.penaltiesAgainst
+    : scoreboard.penaltiesFor;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-green-50 to-blue-50 flex items-center justify-center p-4">
+      <Head>
+        <title>
+          {`${leftName} ${leftScore} - ${rightScore} ${rightName} - MatchTracker`}
+        </title>
+        <meta name="robots" content="noindex" />
+      </Head>
+
+      <div className="bg-white rounded-xl shadow-lg p-8 max-w-md w-full">
+        <div className="text-center mb-6">
+          <span
+            className={`inline-block px-3 py-1 rounded-full text-sm font-semibold ${
+              status === "Live"
+                ? "bg-red-100 text-red-600"
+                : "bg-gray-100 text-gray-600"
+            }`}
+          >
+            {status}
+          </span>
+          {clockSeconds !== null &&
+            !scoreboard.isFinished &&
+            !scoreboard.clock.inBreak && (
+              <p className="text-gray-600 mt-2">
+                {scoreboard.clock.periodLabel}{" "}
+                <span className="font-mono">{formatClock(clockSeconds)}</span>
+              </p>
+            )}
+        </div>
+
+        <div className="flex items-center justify-between mb-6">
+          <div className="flex-1 text-center">
+            <p className="text-lg font-semibold text-gray-800">{leftName}</p>
+          </div>
+          <div className="px-4 text-5xl font-bold text-gray-800">
+            {leftScore} - {rightScore}
+          </div>
+          <div className="flex-1 text-center">
+            <p className="text-lg font-semibold text-gray-800">{rightName}</p>
+          </div>
+        </div>
+
+        {hasPenalties && (
+          <p className="-mt-4 mb-6 text-center text-gray-600">
+            {leftPenalties} - {rightPenalties} on penalties
+          </p>
+        )}
+
+        {ourGoals.length > 0 && (
+          <div className="border-t border-gray-200 pt-4">
+            <h2 className="text-sm font-medium text-gray-700 mb-2">Goals</h2>
+            <ul className="space-y-1">
+              {ourGoals.map((goal, index) => (
+                <li key={index} className="text-gray-600 text-sm">
+                  ⚽ {goal.minute}&apos; ({goal.periodLabel}){" "}
+                  {goal.scorer || teamName}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {scoreboard.scorers.length > 0 && (
+          <div className="border-t border-gray-200 pt-4">
+            <h2 className="text-sm font-medium text-gray-700 mb-2">Scorers</h2>
+            <ul className="space-y-1">
+              {scoreboard.scorers.map((scorer, index) => (
+                <li key={index} className="text-gray-600 text-sm">
+                  ⚽ {scorer.name}
+                  {scorer.goals > 1 ? ` x${scorer.goals}` : ""}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        <p className="mt-6 text-center text-xs text-gray-500">
+          {new Date(scoreboard.date).toLocaleString()} •{" "}
+          {scoreboard.isFinished
+            ? "Final score"
+            : "Updates automatically every 15 seconds"}
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export async function getServerSideProps({ params, res }) {
+  res.setHeader("Cache-Control", "no-store");
+
+  try {
+    const scoreboard = await PublicScoreboardService.getScoreboard(
+      params.token
+    );
+
+    return {
+      props: {
+        token: params.token,
+        initialScoreboard: scoreboard,
+      },
+    };
+  } catch (error) {
+    console.error("Scoreboard page error:", error);
+    return {
+      props: {
+        token: params.token,
+        initialScoreboard: null,
+      },
+    };
+  }
+}
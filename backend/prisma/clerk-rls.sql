@@ -7,13 +7,206 @@ ALTER TABLE teams ENABLE ROW LEVEL SECURITY;
 ALTER TABLE players ENABLE ROW LEVEL SECURITY;
 ALTER TABLE matches ENABLE ROW LEVEL SECURITY;
 ALTER TABLE player_match_stats ENABLE ROW LEVEL SECURITY;
+ALTER TABLE match_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE live_match_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE penalty_kicks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE formations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE seasons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE competitions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE competition_results ENABLE ROW LEVEL SECURITY;
+ALTER TABLE opponents ENABLE ROW LEVEL SECURITY;
+ALTER TABLE venues ENABLE ROW LEVEL SECURITY;
+ALTER TABLE team_memberships ENABLE ROW LEVEL SECURITY;
+ALTER TABLE team_invitations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE player_guardians ENABLE ROW LEVEL SECURITY;
+ALTER TABLE player_availability ENABLE ROW LEVEL SECURITY;
+ALTER TABLE training_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE training_attendance ENABLE ROW LEVEL SECURITY;
+ALTER TABLE event_series ENABLE ROW LEVEL SECURITY;
+ALTER TABLE player_team_memberships ENABLE ROW LEVEL SECURITY;
 ALTER TABLE waitlist_signups ENABLE ROW LEVEL SECURITY;
 
+-- Team membership helpers
+-- Team data is shared with everyone who has a membership on the team. Roles
+-- rank owner > coach > scorer > viewer: viewers read, scorers also record
+-- scores, stats and live events, coaches manage the squad, fixtures and
+-- setup, and owners manage the team itself and its members.
+-- SECURITY DEFINER lets policies read team_memberships without going through
+-- its own policies.
+CREATE OR REPLACE FUNCTION app_has_team_role(p_team_id TEXT, p_roles TEXT[])
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM team_memberships tm
+    JOIN teams t ON t.id = tm.team_id
+    WHERE tm.team_id = p_team_id
+    AND tm.user_id = current_setting('app.current_user_id', TRUE)
+    AND tm.role = ANY (p_roles)
+    AND t.is_deleted = FALSE
+  );
+$$;
+
+-- Users who share at least one team can see each other's name and email
+CREATE OR REPLACE FUNCTION app_is_teammate(p_user_id TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM team_memberships mine
+    JOIN team_memberships theirs ON theirs.team_id = mine.team_id
+    WHERE mine.user_id = current_setting('app.current_user_id', TRUE)
+    AND theirs.user_id = p_user_id
+  );
+$$;
+
+-- Players and matches without a team stay private to their creator
+CREATE OR REPLACE FUNCTION app_can_access_row(
+  p_team_id TEXT,
+  p_user_id TEXT,
+  p_roles TEXT[]
+)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE
+AS $$
+  SELECT CASE
+    WHEN p_team_id IS NULL
+      THEN p_user_id = current_setting('app.current_user_id', TRUE)
+    ELSE app_has_team_role(p_team_id, p_roles)
+  END;
+$$;
+
+CREATE OR REPLACE FUNCTION app_can_access_match(
+  p_match_id TEXT,
+  p_roles TEXT[]
+)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM matches m
+    WHERE m.id = p_match_id
+    AND app_can_access_row(m.team_id, m.user_id, p_roles)
+  );
+$$;
+
+-- Opponents and venues belong to a team owner and are shared with their
+-- teams' members
+CREATE OR REPLACE FUNCTION app_shares_team_with(
+  p_owner_id TEXT,
+  p_roles TEXT[]
+)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM team_memberships tm
+    JOIN teams t ON t.id = tm.team_id
+    WHERE t.user_id = p_owner_id
+    AND tm.user_id = current_setting('app.current_user_id', TRUE)
+    AND tm.role = ANY (p_roles)
+    AND t.is_deleted = FALSE
+  );
+$$;
+
+-- Squad helpers
+-- Players can be in other teams' squads besides their main team (players.team_id)
+CREATE OR REPLACE FUNCTION app_in_squad(p_player_id TEXT, p_roles TEXT[])
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM player_team_memberships ptm
+    WHERE ptm.player_id = p_player_id
+    AND ptm.left_at IS NULL
+    AND app_has_team_role(ptm.team_id, p_roles)
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION app_can_access_player(p_player_id TEXT, p_roles TEXT[])
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM players p
+    WHERE p.id = p_player_id
+    AND app_can_access_row(p.team_id, p.user_id, p_roles)
+  );
+$$;
+
+-- Guardian helpers
+-- Guardians are not team members: they see the players they are linked to,
+-- those players' match stats, the fixtures of the squads they are in now,
+-- and the matches they were picked for in any squad, and nothing else.
+CREATE OR REPLACE FUNCTION app_is_guardian_of(p_player_id TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM player_guardians pg
+    WHERE pg.player_id = p_player_id
+    AND pg.user_id = current_setting('app.current_user_id', TRUE)
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION app_is_team_guardian(p_team_id TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM player_guardians pg
+    JOIN players p ON p.id = pg.player_id
+    JOIN player_team_memberships ptm ON ptm.player_id = p.id
+    JOIN teams t ON t.id = ptm.team_id
+    WHERE ptm.team_id = p_team_id
+    AND ptm.left_at IS NULL
+    AND pg.user_id = current_setting('app.current_user_id', TRUE)
+    AND p.is_deleted = FALSE
+    AND t.is_deleted = FALSE
+  );
+$$;
+
+CREATE OR REPLACE FUNCTION app_is_match_guardian(p_team_id TEXT, p_player_ids TEXT[])
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM player_guardians pg
+    JOIN players p ON p.id = pg.player_id
+    JOIN teams t ON t.id = p_team_id
+    WHERE pg.player_id = ANY (p_player_ids)
+    AND pg.user_id = current_setting('app.current_user_id', TRUE)
+    AND p.is_deleted = FALSE
+    AND t.is_deleted = FALSE
+  );
+$$;
+
+-- Coaches can see the name and email of their players' guardians
+CREATE OR REPLACE FUNCTION app_is_guardian_in_team(p_user_id TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM player_guardians pg
+    JOIN players p ON p.id = pg.player_id
+    WHERE pg.user_id = p_user_id
+    AND app_has_team_role(p.team_id, ARRAY['owner', 'coach'])
+  );
+$$;
+
 -- Users table policies
 CREATE POLICY "Users can view their own data"
   ON users FOR SELECT
   USING (id = current_setting('app.current_user_id', TRUE));
 
+CREATE POLICY "Team members can view each other"
+  ON users FOR SELECT
+  USING (app_is_teammate(id));
+
+CREATE POLICY "Team coaches can view their players' guardians"
+  ON users FOR SELECT
+  USING (app_is_guardian_in_team(id));
+
 CREATE POLICY "Users can update their own data"
   ON users FOR UPDATE
   USING (id = current_setting('app.current_user_id', TRUE));
@@ -27,97 +220,616 @@ CREATE POLICY "Users can delete their own data"
   USING (id = current_setting('app.current_user_id', TRUE));
 
 -- Teams table policies
-CREATE POLICY "Users can view their own teams"
+CREATE POLICY "Team members can view teams"
   ON teams FOR SELECT
-  USING (user_id = current_setting('app.current_user_id', TRUE));
+  USING (
+    user_id = current_setting('app.current_user_id', TRUE)
+    OR app_has_team_role(id, ARRAY['owner', 'coach', 'scorer', 'viewer'])
+  );
+
+CREATE POLICY "Guardians can view their players' teams"
+  ON teams FOR SELECT
+  USING (app_is_team_guardian(id));
 
-CREATE POLICY "Users can create their own teams"
+CREATE POLICY "Guardians can view the teams of their players' matches"
+  ON teams FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM matches m
+      WHERE m.team_id = teams.id
+      AND app_is_match_guardian(m.team_id, m.selected_player_ids)
+    )
+  );
+
+CREATE POLICY "Users can create teams they own"
   ON teams FOR INSERT
   WITH CHECK (user_id = current_setting('app.current_user_id', TRUE));
 
-CREATE POLICY "Users can update their own teams"
+CREATE POLICY "Team owners can update teams"
   ON teams FOR UPDATE
-  USING (user_id = current_setting('app.current_user_id', TRUE));
+  USING (app_has_team_role(id, ARRAY['owner']));
 
-CREATE POLICY "Users can delete their own teams"
+CREATE POLICY "Team owners can delete teams"
   ON teams FOR DELETE
-  USING (user_id = current_setting('app.current_user_id', TRUE));
+  USING (app_has_team_role(id, ARRAY['owner']));
+
+-- Team memberships table policies
+-- A new team's creator adds their own owner membership; members may leave
+CREATE POLICY "Team members can view memberships"
+  ON team_memberships FOR SELECT
+  USING (
+    user_id = current_setting('app.current_user_id', TRUE)
+    OR app_has_team_role(team_id, ARRAY['owner', 'coach', 'scorer', 'viewer'])
+  );
+
+CREATE POLICY "Team owners can create memberships"
+  ON team_memberships FOR INSERT
+  WITH CHECK (
+    app_has_team_role(team_id, ARRAY['owner'])
+    OR (
+      role = 'owner'
+      AND user_id = current_setting('app.current_user_id', TRUE)
+      AND EXISTS (
+        SELECT 1 FROM teams t
+        WHERE t.id = team_memberships.team_id
+        AND t.user_id = current_setting('app.current_user_id', TRUE)
+      )
+    )
+  );
+
+CREATE POLICY "Team owners can update memberships"
+  ON team_memberships FOR UPDATE
+  USING (app_has_team_role(team_id, ARRAY['owner']));
+
+CREATE POLICY "Team owners and leaving members can delete memberships"
+  ON team_memberships FOR DELETE
+  USING (
+    user_id = current_setting('app.current_user_id', TRUE)
+    OR app_has_team_role(team_id, ARRAY['owner'])
+  );
+
+-- Team invitations table policies
+CREATE POLICY "Team owners can view team invitations"
+  ON team_invitations FOR SELECT
+  USING (app_has_team_role(team_id, ARRAY['owner']));
+
+CREATE POLICY "Team owners can create team invitations"
+  ON team_invitations FOR INSERT
+  WITH CHECK (app_has_team_role(team_id, ARRAY['owner']));
+
+CREATE POLICY "Team owners can update team invitations"
+  ON team_invitations FOR UPDATE
+  USING (app_has_team_role(team_id, ARRAY['owner']));
+
+CREATE POLICY "Team owners can delete team invitations"
+  ON team_invitations FOR DELETE
+  USING (app_has_team_role(team_id, ARRAY['owner']));
+
+-- Team invitations for guardians are managed by coaches
+CREATE POLICY "Team coaches can view guardian invitations"
+  ON team_invitations FOR SELECT
+  USING (
+    role = 'guardian'
+    AND app_has_team_role(team_id, ARRAY['owner', 'coach'])
+  );
+
+CREATE POLICY "Team coaches can create guardian invitations"
+  ON team_invitations FOR INSERT
+  WITH CHECK (
+    role = 'guardian'
+    AND app_has_team_role(team_id, ARRAY['owner', 'coach'])
+  );
+
+CREATE POLICY "Team coaches can delete guardian invitations"
+  ON team_invitations FOR DELETE
+  USING (
+    role = 'guardian'
+    AND app_has_team_role(team_id, ARRAY['owner', 'coach'])
+  );
+
+-- Player guardians table policies
+-- Links are created when a guardian invitation is accepted, inside the team
+-- owner's context; guardians may remove their own link
+CREATE POLICY "Guardians and team members can view player guardians"
+  ON player_guardians FOR SELECT
+  USING (
+    user_id = current_setting('app.current_user_id', TRUE)
+    OR EXISTS (
+      SELECT 1 FROM players p
+      WHERE p.id = player_guardians.player_id
+      AND app_has_team_role(p.team_id, ARRAY['owner', 'coach', 'scorer', 'viewer'])
+    )
+  );
+
+CREATE POLICY "Team coaches can create player guardians"
+  ON player_guardians FOR INSERT
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM players p
+      WHERE p.id = player_guardians.player_id
+      AND app_has_team_role(p.team_id, ARRAY['owner', 'coach'])
+    )
+  );
+
+CREATE POLICY "Team coaches and guardians can delete player guardians"
+  ON player_guardians FOR DELETE
+  USING (
+    user_id = current_setting('app.current_user_id', TRUE)
+    OR EXISTS (
+      SELECT 1 FROM players p
+      WHERE p.id = player_guardians.player_id
+      AND app_has_team_role(p.team_id, ARRAY['owner', 'coach'])
+    )
+  );
+
+-- Player availability table policies
+-- Coaches send requests; guardians answer for their own players. Answers by
+-- link are written inside the team owner's context.
+CREATE POLICY "Team members and guardians can view player availability"
+  ON player_availability FOR SELECT
+  USING (
+    app_can_access_match(player_availability.match_id, ARRAY['owner', 'coach', 'scorer', 'viewer'])
+    OR app_is_guardian_of(player_id)
+  );
+
+CREATE POLICY "Team coaches can create player availability"
+  ON player_availability FOR INSERT
+  WITH CHECK (
+    app_can_access_match(player_availability.match_id, ARRAY['owner', 'coach'])
+  );
+
+CREATE POLICY "Team coaches and guardians can update player availability"
+  ON player_availability FOR UPDATE
+  USING (
+    app_can_access_match(player_availability.match_id, ARRAY['owner', 'coach'])
+    OR app_is_guardian_of(player_id)
+  );
+
+CREATE POLICY "Team coaches can delete player availability"
+  ON player_availability FOR DELETE
+  USING (
+    app_can_access_match(player_availability.match_id, ARRAY['owner', 'coach'])
+  );
 
 -- Players table policies
-CREATE POLICY "Users can view their own players"
+CREATE POLICY "Team members can view players"
   ON players FOR SELECT
-  USING (user_id = current_setting('app.current_user_id', TRUE));
+  USING (
+    app_can_access_row(team_id, user_id, ARRAY['owner', 'coach', 'scorer', 'viewer'])
+  );
+
+CREATE POLICY "Guardians can view their players"
+  ON players FOR SELECT
+  USING (app_is_guardian_of(id));
 
-CREATE POLICY "Users can create their own players"
+CREATE POLICY "Squad teams can view players"
+  ON players FOR SELECT
+  USING (app_in_squad(id, ARRAY['owner', 'coach', 'scorer', 'viewer']));
+
+CREATE POLICY "Team members can create players"
   ON players FOR INSERT
-  WITH CHECK (user_id = current_setting('app.current_user_id', TRUE));
+  WITH CHECK (
+    app_can_access_row(team_id, user_id, ARRAY['owner', 'coach'])
+  );
 
-CREATE POLICY "Users can update their own players"
+CREATE POLICY "Team members can update players"
   ON players FOR UPDATE
-  USING (user_id = current_setting('app.current_user_id', TRUE));
+  USING (
+    app_can_access_row(team_id, user_id, ARRAY['owner', 'coach', 'scorer'])
+  );
 
-CREATE POLICY "Users can delete their own players"
+CREATE POLICY "Team members can delete players"
   ON players FOR DELETE
-  USING (user_id = current_setting('app.current_user_id', TRUE));
+  USING (
+    app_can_access_row(team_id, user_id, ARRAY['owner', 'coach'])
+  );
 
 -- Matches table policies
-CREATE POLICY "Users can view their own matches"
+CREATE POLICY "Team members can view matches"
   ON matches FOR SELECT
-  USING (user_id = current_setting('app.current_user_id', TRUE));
+  USING (
+    app_can_access_row(team_id, user_id, ARRAY['owner', 'coach', 'scorer', 'viewer'])
+  );
+
+CREATE POLICY "Guardians can view their players' team fixtures"
+  ON matches FOR SELECT
+  USING (team_id IS NOT NULL AND app_is_team_guardian(team_id));
+
+CREATE POLICY "Guardians can view matches their players were picked for"
+  ON matches FOR SELECT
+  USING (
+    team_id IS NOT NULL
+    AND app_is_match_guardian(team_id, selected_player_ids)
+  );
 
-CREATE POLICY "Users can create their own matches"
+CREATE POLICY "Team members can create matches"
   ON matches FOR INSERT
-  WITH CHECK (user_id = current_setting('app.current_user_id', TRUE));
+  WITH CHECK (
+    app_can_access_row(team_id, user_id, ARRAY['owner', 'coach'])
+  );
 
-CREATE POLICY "Users can update their own matches"
+CREATE POLICY "Team members can update matches"
   ON matches FOR UPDATE
-  USING (user_id = current_setting('app.current_user_id', TRUE));
+  USING (
+    app_can_access_row(team_id, user_id, ARRAY['owner', 'coach', 'scorer'])
+  );
 
-CREATE POLICY "Users can delete their own matches"
+CREATE POLICY "Team members can delete matches"
   ON matches FOR DELETE
-  USING (user_id = current_setting('app.current_user_id', TRUE));
+  USING (
+    app_can_access_row(team_id, user_id, ARRAY['owner', 'coach'])
+  );
 
 -- Player match stats table policies
-CREATE POLICY "Users can view their own player match stats"
+CREATE POLICY "Team members can view player match stats"
   ON player_match_stats FOR SELECT
+  USING (
+    app_can_access_match(player_match_stats.match_id, ARRAY['owner', 'coach', 'scorer', 'viewer'])
+  );
+
+CREATE POLICY "Guardians can view their players' match stats"
+  ON player_match_stats FOR SELECT
+  USING (app_is_guardian_of(player_id));
+
+CREATE POLICY "Team members can create player match stats"
+  ON player_match_stats FOR INSERT
+  WITH CHECK (
+    app_can_access_match(player_match_stats.match_id, ARRAY['owner', 'coach', 'scorer'])
+  );
+
+CREATE POLICY "Team members can update player match stats"
+  ON player_match_stats FOR UPDATE
+  USING (
+    app_can_access_match(player_match_stats.match_id, ARRAY['owner', 'coach', 'scorer'])
+  );
+
+CREATE POLICY "Team members can delete player match stats"
+  ON player_match_stats FOR DELETE
+  USING (
+    app_can_access_match(player_match_stats.match_id, ARRAY['owner', 'coach', 'scorer'])
+  );
+
+-- Match events table policies
+CREATE POLICY "Team members can view match events"
+  ON match_events FOR SELECT
+  USING (
+    app_can_access_match(match_events.match_id, ARRAY['owner', 'coach', 'scorer', 'viewer'])
+  );
+
+CREATE POLICY "Team members can create match events"
+  ON match_events FOR INSERT
+  WITH CHECK (
+    app_can_access_match(match_events.match_id, ARRAY['owner', 'coach', 'scorer'])
+  );
+
+CREATE POLICY "Team members can update match events"
+  ON match_events FOR UPDATE
+  USING (
+    app_can_access_match(match_events.match_id, ARRAY['owner', 'coach', 'scorer'])
+  );
+
+CREATE POLICY "Team members can delete match events"
+  ON match_events FOR DELETE
+  USING (
+    app_can_access_match(match_events.match_id, ARRAY['owner', 'coach', 'scorer'])
+  );
+
+-- Live match sessions table policies
+CREATE POLICY "Team members can view live match sessions"
+  ON live_match_sessions FOR SELECT
+  USING (
+    app_can_access_match(live_match_sessions.match_id, ARRAY['owner', 'coach', 'scorer', 'viewer'])
+  );
+
+CREATE POLICY "Team members can create live match sessions"
+  ON live_match_sessions FOR INSERT
+  WITH CHECK (
+    app_can_access_match(live_match_sessions.match_id, ARRAY['owner', 'coach', 'scorer'])
+  );
+
+CREATE POLICY "Team members can update live match sessions"
+  ON live_match_sessions FOR UPDATE
+  USING (
+    app_can_access_match(live_match_sessions.match_id, ARRAY['owner', 'coach', 'scorer'])
+  );
+
+CREATE POLICY "Team members can delete live match sessions"
+  ON live_match_sessions FOR DELETE
+  USING (
+    app_can_access_match(live_match_sessions.match_id, ARRAY['owner', 'coach', 'scorer'])
+  );
+
+-- Penalty kicks table policies
+CREATE POLICY "Team members can view penalty kicks"
+  ON penalty_kicks FOR SELECT
+  USING (
+    app_can_access_match(penalty_kicks.match_id, ARRAY['owner', 'coach', 'scorer', 'viewer'])
+  );
+
+CREATE POLICY "Team members can create penalty kicks"
+  ON penalty_kicks FOR INSERT
+  WITH CHECK (
+    app_can_access_match(penalty_kicks.match_id, ARRAY['owner', 'coach', 'scorer'])
+  );
+
+CREATE POLICY "Team members can update penalty kicks"
+  ON penalty_kicks FOR UPDATE
+  USING (
+    app_can_access_match(penalty_kicks.match_id, ARRAY['owner', 'coach', 'scorer'])
+  );
+
+CREATE POLICY "Team members can delete penalty kicks"
+  ON penalty_kicks FOR DELETE
+  USING (
+    app_can_access_match(penalty_kicks.match_id, ARRAY['owner', 'coach', 'scorer'])
+  );
+
+-- Formations table policies
+CREATE POLICY "Team members can view formations"
+  ON formations FOR SELECT
+  USING (app_has_team_role(team_id, ARRAY['owner', 'coach', 'scorer', 'viewer']));
+
+CREATE POLICY "Team members can create formations"
+  ON formations FOR INSERT
+  WITH CHECK (app_has_team_role(team_id, ARRAY['owner', 'coach']));
+
+CREATE POLICY "Team members can update formations"
+  ON formations FOR UPDATE
+  USING (app_has_team_role(team_id, ARRAY['owner', 'coach']));
+
+CREATE POLICY "Team members can delete formations"
+  ON formations FOR DELETE
+  USING (app_has_team_role(team_id, ARRAY['owner', 'coach']));
+
+-- Seasons table policies
+CREATE POLICY "Team members can view seasons"
+  ON seasons FOR SELECT
+  USING (app_has_team_role(team_id, ARRAY['owner', 'coach', 'scorer', 'viewer']));
+
+CREATE POLICY "Team members can create seasons"
+  ON seasons FOR INSERT
+  WITH CHECK (app_has_team_role(team_id, ARRAY['owner', 'coach']));
+
+CREATE POLICY "Team members can update seasons"
+  ON seasons FOR UPDATE
+  USING (app_has_team_role(team_id, ARRAY['owner', 'coach']));
+
+CREATE POLICY "Team members can delete seasons"
+  ON seasons FOR DELETE
+  USING (app_has_team_role(team_id, ARRAY['owner', 'coach']));
+
+-- Competitions table policies
+CREATE POLICY "Team members can view competitions"
+  ON competitions FOR SELECT
+  USING (app_has_team_role(team_id, ARRAY['owner', 'coach', 'scorer', 'viewer']));
+
+CREATE POLICY "Team members can create competitions"
+  ON competitions FOR INSERT
+  WITH CHECK (app_has_team_role(team_id, ARRAY['owner', 'coach']));
+
+CREATE POLICY "Team members can update competitions"
+  ON competitions FOR UPDATE
+  USING (app_has_team_role(team_id, ARRAY['owner', 'coach']));
+
+CREATE POLICY "Team members can delete competitions"
+  ON competitions FOR DELETE
+  USING (app_has_team_role(team_id, ARRAY['owner', 'coach']));
+
+-- Competition results table policies
+CREATE POLICY "Team members can view competition results"
+  ON competition_results FOR SELECT
   USING (
     EXISTS (
-      SELECT 1 FROM matches m
-      WHERE m.id = player_match_stats.match_id
-      AND m.user_id = current_setting('app.current_user_id', TRUE)
+      SELECT 1 FROM competitions c
+      WHERE c.id = competition_results.competition_id
+      AND app_has_team_role(c.team_id, ARRAY['owner', 'coach', 'scorer', 'viewer'])
     )
   );
 
-CREATE POLICY "Users can create their own player match stats"
-  ON player_match_stats FOR INSERT
+CREATE POLICY "Team members can create competition results"
+  ON competition_results FOR INSERT
   WITH CHECK (
     EXISTS (
-      SELECT 1 FROM matches m
-      WHERE m.id = player_match_stats.match_id
-      AND m.user_id = current_setting('app.current_user_id', TRUE)
+      SELECT 1 FROM competitions c
+      WHERE c.id = competition_results.competition_id
+      AND app_has_team_role(c.team_id, ARRAY['owner', 'coach'])
     )
   );
 
-CREATE POLICY "Users can update their own player match stats"
-  ON player_match_stats FOR UPDATE
+CREATE POLICY "Team members can update competition results"
+  ON competition_results FOR UPDATE
   USING (
     EXISTS (
-      SELECT 1 FROM matches m
-      WHERE m.id = player_match_stats.match_id
-      AND m.user_id = current_setting('app.current_user_id', TRUE)
+      SELECT 1 FROM competitions c
+      WHERE c.id = competition_results.competition_id
+      AND app_has_team_role(c.team_id, ARRAY['owner', 'coach'])
     )
   );
 
-CREATE POLICY "Users can delete their own player match stats"
-  ON player_match_stats FOR DELETE
+CREATE POLICY "Team members can delete competition results"
+  ON competition_results FOR DELETE
+  USING (
+    EXISTS (
+      SELECT 1 FROM competitions c
+      WHERE c.id = competition_results.competition_id
+      AND app_has_team_role(c.team_id, ARRAY['owner', 'coach'])
+    )
+  );
+
+-- Training sessions table policies
+CREATE POLICY "Team members can view training sessions"
+  ON training_sessions FOR SELECT
+  USING (app_has_team_role(team_id, ARRAY['owner', 'coach', 'scorer', 'viewer']));
+
+CREATE POLICY "Team members can create training sessions"
+  ON training_sessions FOR INSERT
+  WITH CHECK (app_has_team_role(team_id, ARRAY['owner', 'coach']));
+
+CREATE POLICY "Team members can update training sessions"
+  ON training_sessions FOR UPDATE
+  USING (app_has_team_role(team_id, ARRAY['owner', 'coach']));
+
+CREATE POLICY "Team members can delete training sessions"
+  ON training_sessions FOR DELETE
+  USING (app_has_team_role(team_id, ARRAY['owner', 'coach']));
+
+-- Training attendance table policies
+-- Scorers take the register as well as coaches
+CREATE POLICY "Team members can view training attendance"
+  ON training_attendance FOR SELECT
+  USING (
+    EXISTS (
+      SELECT 1 FROM training_sessions ts
+      WHERE ts.id = training_attendance.session_id
+      AND app_has_team_role(ts.team_id, ARRAY['owner', 'coach', 'scorer', 'viewer'])
+    )
+  );
+
+CREATE POLICY "Team members can create training attendance"
+  ON training_attendance FOR INSERT
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM training_sessions ts
+      WHERE ts.id = training_attendance.session_id
+      AND app_has_team_role(ts.team_id, ARRAY['owner', 'coach', 'scorer'])
+    )
+  );
+
+CREATE POLICY "Team members can update training attendance"
+  ON training_attendance FOR UPDATE
+  USING (
+    EXISTS (
+      SELECT 1 FROM training_sessions ts
+      WHERE ts.id = training_attendance.session_id
+      AND app_has_team_role(ts.team_id, ARRAY['owner', 'coach', 'scorer'])
+    )
+  );
+
+CREATE POLICY "Team members can delete training attendance"
+  ON training_attendance FOR DELETE
+  USING (
+    EXISTS (
+      SELECT 1 FROM training_sessions ts
+      WHERE ts.id = training_attendance.session_id
+      AND app_has_team_role(ts.team_id, ARRAY['owner', 'coach'])
+    )
+  );
+
+-- Event series table policies
+-- Coaches set up repeating fixtures and training like single ones
+CREATE POLICY "Team members can view event series"
+  ON event_series FOR SELECT
+  USING (app_has_team_role(team_id, ARRAY['owner', 'coach', 'scorer', 'viewer']));
+
+CREATE POLICY "Team members can create event series"
+  ON event_series FOR INSERT
+  WITH CHECK (app_has_team_role(team_id, ARRAY['owner', 'coach']));
+
+CREATE POLICY "Team members can update event series"
+  ON event_series FOR UPDATE
+  USING (app_has_team_role(team_id, ARRAY['owner', 'coach']));
+
+CREATE POLICY "Team members can delete event series"
+  ON event_series FOR DELETE
+  USING (app_has_team_role(team_id, ARRAY['owner', 'coach']));
+
+-- Player team membership policies
+-- Squad history is visible to the squad's team, the player's main team and
+-- the player's guardians.
+-- Coaches add players to their squads; either side's coaches can end a spell.
+CREATE POLICY "Team members can view player team memberships"
+  ON player_team_memberships FOR SELECT
+  USING (
+    app_has_team_role(team_id, ARRAY['owner', 'coach', 'scorer', 'viewer'])
+    OR app_can_access_player(player_id, ARRAY['owner', 'coach', 'scorer', 'viewer'])
+  );
+
+CREATE POLICY "Guardians can view their players' team memberships"
+  ON player_team_memberships FOR SELECT
+  USING (app_is_guardian_of(player_id));
+
+CREATE POLICY "Team members can create player team memberships"
+  ON player_team_memberships FOR INSERT
+  WITH CHECK (app_has_team_role(team_id, ARRAY['owner', 'coach']));
+
+CREATE POLICY "Team members can update player team memberships"
+  ON player_team_memberships FOR UPDATE
+  USING (
+    app_has_team_role(team_id, ARRAY['owner', 'coach'])
+    OR app_can_access_player(player_id, ARRAY['owner', 'coach'])
+  );
+
+-- Only when merging a duplicate player into another
+CREATE POLICY "Team members can delete player team memberships"
+  ON player_team_memberships FOR DELETE
+  USING (app_can_access_player(player_id, ARRAY['owner', 'coach']));
+
+-- Opponents table policies
+CREATE POLICY "Team members can view opponents"
+  ON opponents FOR SELECT
+  USING (
+    user_id = current_setting('app.current_user_id', TRUE)
+    OR app_shares_team_with(user_id, ARRAY['owner', 'coach', 'scorer', 'viewer'])
+  );
+
+CREATE POLICY "Team members can create opponents"
+  ON opponents FOR INSERT
+  WITH CHECK (
+    user_id = current_setting('app.current_user_id', TRUE)
+    OR app_shares_team_with(user_id, ARRAY['owner', 'coach'])
+  );
+
+CREATE POLICY "Team members can update opponents"
+  ON opponents FOR UPDATE
+  USING (
+    user_id = current_setting('app.current_user_id', TRUE)
+    OR app_shares_team_with(user_id, ARRAY['owner', 'coach'])
+  );
+
+CREATE POLICY "Users can delete their own opponents"
+  ON opponents FOR DELETE
+  USING (user_id = current_setting('app.current_user_id', TRUE));
+
+-- Venues table policies
+CREATE POLICY "Team members can view venues"
+  ON venues FOR SELECT
+  USING (
+    user_id = current_setting('app.current_user_id', TRUE)
+    OR app_shares_team_with(user_id, ARRAY['owner', 'coach', 'scorer', 'viewer'])
+  );
+
+CREATE POLICY "Guardians can view their players' fixture venues"
+  ON venues FOR SELECT
   USING (
     EXISTS (
       SELECT 1 FROM matches m
-      WHERE m.id = player_match_stats.match_id
-      AND m.user_id = current_setting('app.current_user_id', TRUE)
+      WHERE m.venue_id = venues.id
+      AND m.team_id IS NOT NULL
+      AND (
+        app_is_team_guardian(m.team_id)
+        OR app_is_match_guardian(m.team_id, m.selected_player_ids)
+      )
     )
   );
 
+CREATE POLICY "Team members can create venues"
+  ON venues FOR INSERT
+  WITH CHECK (
+    user_id = current_setting('app.current_user_id', TRUE)
+    OR app_shares_team_with(user_id, ARRAY['owner', 'coach'])
+  );
+
+CREATE POLICY "Team members can update venues"
+  ON venues FOR UPDATE
+  USING (
+    user_id = current_setting('app.current_user_id', TRUE)
+    OR app_shares_team_with(user_id, ARRAY['owner', 'coach'])
+  );
+
+CREATE POLICY "Users can delete their own venues"
+  ON venues FOR DELETE
+  USING (user_id = current_setting('app.current_user_id', TRUE));
+
 -- Waitlist signups table policies
 -- Note: Waitlist signups are typically public for INSERT (anyone can sign up)
 -- but only admins should be able to view/update/delete
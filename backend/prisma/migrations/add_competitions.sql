@@ -0,0 +1,58 @@
+-- Create competitions table (a league or cup with its points rules and other clubs)
+CREATE TABLE "competitions" (
+  "id" TEXT NOT NULL,
+  "name" TEXT NOT NULL,
+  "type" TEXT NOT NULL DEFAULT 'league',
+  "pointsForWin" INTEGER NOT NULL DEFAULT 3,
+  "pointsForDraw" INTEGER NOT NULL DEFAULT 1,
+  "pointsForLoss" INTEGER NOT NULL DEFAULT 0,
+  "opponents" TEXT[] DEFAULT ARRAY[]::TEXT[],
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL,
+  "userId" TEXT NOT NULL,
+  "teamId" TEXT NOT NULL,
+  "seasonId" TEXT,
+
+  CONSTRAINT "competitions_pkey" PRIMARY KEY ("id")
+);
+
+-- Create competition_results table for results between other clubs
+CREATE TABLE "competition_results" (
+  "id" TEXT NOT NULL,
+  "homeTeam" TEXT NOT NULL,
+  "awayTeam" TEXT NOT NULL,
+  "homeGoals" INTEGER NOT NULL,
+  "awayGoals" INTEGER NOT NULL,
+  "date" TIMESTAMP(3) NOT NULL,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL,
+  "competitionId" TEXT NOT NULL,
+
+  CONSTRAINT "competition_results_pkey" PRIMARY KEY ("id")
+);
+
+-- Link matches to the competition they count towards
+ALTER TABLE "matches" ADD COLUMN "competitionId" TEXT;
+
+-- Add indexes for team, season and competition lookups
+CREATE INDEX "competitions_teamId_idx" ON "competitions"("teamId");
+CREATE INDEX "competitions_userId_idx" ON "competitions"("userId");
+CREATE INDEX "competitions_seasonId_idx" ON "competitions"("seasonId");
+CREATE INDEX "competition_results_competitionId_date_idx" ON "competition_results"("competitionId", "date");
+CREATE INDEX "matches_competitionId_idx" ON "matches"("competitionId");
+
+-- Add foreign keys
+ALTER TABLE "competitions" ADD CONSTRAINT "competitions_teamId_fkey" FOREIGN KEY ("teamId") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "competitions" ADD CONSTRAINT "competitions_seasonId_fkey" FOREIGN KEY ("seasonId") REFERENCES "seasons"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "competitions" ADD CONSTRAINT "competitions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "competition_results" ADD CONSTRAINT "competition_results_competitionId_fkey" FOREIGN KEY ("competitionId") REFERENCES "competitions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "matches" ADD CONSTRAINT "matches_competitionId_fkey" FOREIGN KEY ("competitionId") REFERENCES "competitions"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Match types were free text before; the API now only accepts league, cup
+-- or friendly, so older matches would fail to save. Known types are kept
+-- whatever their case; anything else, which stats never counted as league or
+-- cup, becomes a friendly.
+UPDATE "matches" SET "matchType" = LOWER(TRIM("matchType"))
+WHERE LOWER(TRIM("matchType")) IN ('league', 'cup', 'friendly');
+UPDATE "matches" SET "matchType" = 'friendly'
+WHERE "matchType" NOT IN ('league', 'cup', 'friendly');
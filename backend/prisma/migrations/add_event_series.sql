@@ -0,0 +1,36 @@
+-- Create recurring event series
+CREATE TABLE "event_series" (
+  "id" TEXT NOT NULL,
+  "kind" TEXT NOT NULL,
+  "frequency" TEXT NOT NULL,
+  "daysOfWeek" INTEGER[],
+  "timeZone" TEXT NOT NULL DEFAULT 'UTC',
+  "startDate" TIMESTAMP(3) NOT NULL,
+  "endDate" TIMESTAMP(3),
+  "count" INTEGER,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL,
+  "userId" TEXT NOT NULL,
+  "teamId" TEXT NOT NULL,
+
+  CONSTRAINT "event_series_pkey" PRIMARY KEY ("id")
+);
+
+-- Link generated matches and training sessions to their series
+ALTER TABLE "matches" ADD COLUMN "seriesId" TEXT;
+ALTER TABLE "training_sessions" ADD COLUMN "seriesId" TEXT;
+
+-- Add indexes
+CREATE INDEX "event_series_teamId_idx" ON "event_series"("teamId");
+CREATE INDEX "event_series_userId_idx" ON "event_series"("userId");
+CREATE INDEX "matches_seriesId_date_idx" ON "matches"("seriesId", "date");
+CREATE INDEX "training_sessions_seriesId_date_idx" ON "training_sessions"("seriesId", "date");
+
+-- Add foreign keys
+ALTER TABLE "event_series" ADD CONSTRAINT "event_series_teamId_fkey" FOREIGN KEY ("teamId") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "event_series" ADD CONSTRAINT "event_series_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "matches" ADD CONSTRAINT "matches_seriesId_fkey" FOREIGN KEY ("seriesId") REFERENCES "event_series"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "training_sessions" ADD CONSTRAINT "training_sessions_seriesId_fkey" FOREIGN KEY ("seriesId") REFERENCES "event_series"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Re-apply prisma/clerk-rls.sql after running this migration for the
+-- event series policies.
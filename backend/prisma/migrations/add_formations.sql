@@ -0,0 +1,27 @@
+-- Create formations table for a team's saved formations
+CREATE TABLE "formations" (
+  "id" TEXT NOT NULL,
+  "name" TEXT NOT NULL,
+  "shape" TEXT NOT NULL,
+  "slots" JSONB NOT NULL,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL,
+  "userId" TEXT NOT NULL,
+  "teamId" TEXT NOT NULL,
+
+  CONSTRAINT "formations_pkey" PRIMARY KEY ("id")
+);
+
+-- Add the formation and lineup (slot assignments) used in a match
+ALTER TABLE "matches" ADD COLUMN "formationId" TEXT;
+ALTER TABLE "matches" ADD COLUMN "lineup" JSONB;
+
+-- Add indexes for team and match lookups
+CREATE INDEX "formations_teamId_idx" ON "formations"("teamId");
+CREATE INDEX "formations_userId_idx" ON "formations"("userId");
+CREATE INDEX "matches_formationId_idx" ON "matches"("formationId");
+
+-- Add foreign keys
+ALTER TABLE "formations" ADD CONSTRAINT "formations_teamId_fkey" FOREIGN KEY ("teamId") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "formations" ADD CONSTRAINT "formations_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "matches" ADD CONSTRAINT "matches_formationId_fkey" FOREIGN KEY ("formationId") REFERENCES "formations"("id") ON DELETE SET NULL ON UPDATE CASCADE;
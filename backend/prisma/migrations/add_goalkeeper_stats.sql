@@ -0,0 +1,5 @@
+-- Goalkeeper totals per match: saves (from `save` events), goals conceded
+-- while in goal and clean sheets
+ALTER TABLE "player_match_stats" ADD COLUMN "saves" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "player_match_stats" ADD COLUMN "goalsConceded" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "player_match_stats" ADD COLUMN "cleanSheet" BOOLEAN NOT NULL DEFAULT false;
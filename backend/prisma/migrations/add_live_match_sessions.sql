@@ -0,0 +1,28 @@
+-- Add client IDs to match events so live sync pushes are idempotent
+ALTER TABLE "match_events" ADD COLUMN "clientId" TEXT;
+CREATE UNIQUE INDEX "match_events_matchId_clientId_key" ON "match_events"("matchId", "clientId");
+
+-- Create live_match_sessions table for multi-device co-scoring
+CREATE TABLE "live_match_sessions" (
+  "id" TEXT NOT NULL,
+  "version" INTEGER NOT NULL DEFAULT 0,
+  "clockRunning" BOOLEAN NOT NULL DEFAULT false,
+  "clockStartedAt" TIMESTAMP(3),
+  "clockAccumulatedSeconds" INTEGER NOT NULL DEFAULT 0,
+  "clockUpdatedAt" TIMESTAMP(3),
+  "clockDeviceId" TEXT,
+  "lineup" JSONB,
+  "lineupUpdatedAt" TIMESTAMP(3),
+  "lineupDeviceId" TEXT,
+  "removedEventIds" TEXT[] DEFAULT ARRAY[]::TEXT[],
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL,
+  "matchId" TEXT NOT NULL,
+
+  CONSTRAINT "live_match_sessions_pkey" PRIMARY KEY ("id")
+);
+
+CREATE UNIQUE INDEX "live_match_sessions_matchId_key" ON "live_match_sessions"("matchId");
+
+-- Add foreign key
+ALTER TABLE "live_match_sessions" ADD CONSTRAINT "live_match_sessions_matchId_fkey" FOREIGN KEY ("matchId") REFERENCES "matches"("id") ON DELETE CASCADE ON UPDATE CASCADE;
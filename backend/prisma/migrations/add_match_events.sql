@@ -0,0 +1,25 @@
+-- Create match_events table for the timestamped live match log
+CREATE TABLE "match_events" (
+  "id" TEXT NOT NULL,
+  "type" TEXT NOT NULL,
+  "matchSecond" INTEGER NOT NULL DEFAULT 0,
+  "period" INTEGER NOT NULL DEFAULT 1,
+  "notes" TEXT,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL,
+  "matchId" TEXT NOT NULL,
+  "playerId" TEXT,
+  "assistPlayerId" TEXT,
+
+  CONSTRAINT "match_events_pkey" PRIMARY KEY ("id")
+);
+
+-- Add indexes for timeline ordering and player lookups
+CREATE INDEX "match_events_matchId_period_matchSecond_idx" ON "match_events"("matchId", "period", "matchSecond");
+CREATE INDEX "match_events_playerId_idx" ON "match_events"("playerId");
+CREATE INDEX "match_events_assistPlayerId_idx" ON "match_events"("assistPlayerId");
+
+-- Add foreign keys
+ALTER TABLE "match_events" ADD CONSTRAINT "match_events_matchId_fkey" FOREIGN KEY ("matchId") REFERENCES "matches"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "match_events" ADD CONSTRAINT "match_events_playerId_fkey" FOREIGN KEY ("playerId") REFERENCES "players"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+ALTER TABLE "match_events" ADD CONSTRAINT "match_events_assistPlayerId_fkey" FOREIGN KEY ("assistPlayerId") REFERENCES "players"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,8 @@
+-- Add configurable period formats (halves, quarters, extra time, breaks)
+ALTER TABLE "teams" ADD COLUMN "periodFormat" JSONB;
+ALTER TABLE "matches" ADD COLUMN "periodFormat" JSONB;
+
+-- Track the current period and breaks in the live co-scoring clock
+ALTER TABLE "live_match_sessions" ADD COLUMN "clockPeriod" INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE "live_match_sessions" ADD COLUMN "clockInBreak" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "live_match_sessions" ADD COLUMN "clockBreakStartedAt" TIMESTAMP(3);
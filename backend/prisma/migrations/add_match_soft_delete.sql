@@ -0,0 +1,9 @@
+-- Deleted matches go to the trash like teams and players, keeping their
+-- stats, events and shootout kicks until restored or purged
+ALTER TABLE "matches" ADD COLUMN "isDeleted" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "matches" ADD COLUMN "deletedAt" TIMESTAMP(3);
+CREATE INDEX "matches_isDeleted_deletedAt_idx" ON "matches"("isDeleted", "deletedAt");
+
+-- Let the scheduled purge find expired teams and players
+CREATE INDEX "teams_isDeleted_deletedAt_idx" ON "teams"("isDeleted", "deletedAt");
+CREATE INDEX "players_isDeleted_deletedAt_idx" ON "players"("isDeleted", "deletedAt");
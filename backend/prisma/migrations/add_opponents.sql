@@ -0,0 +1,59 @@
+-- Create opponents table (managed opponent records with aliases, colours and notes)
+CREATE TABLE "opponents" (
+  "id" TEXT NOT NULL,
+  "name" TEXT NOT NULL,
+  "aliases" TEXT[] DEFAULT ARRAY[]::TEXT[],
+  "primaryColor" TEXT,
+  "secondaryColor" TEXT,
+  "notes" TEXT,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL,
+  "userId" TEXT NOT NULL,
+
+  CONSTRAINT "opponents_pkey" PRIMARY KEY ("id")
+);
+
+-- Link matches to their opponent record
+ALTER TABLE "matches" ADD COLUMN "opponentId" TEXT;
+
+-- Add indexes for opponent lookups and head-to-head history
+CREATE INDEX "opponents_userId_name_idx" ON "opponents"("userId", "name");
+CREATE INDEX "matches_opponentId_date_idx" ON "matches"("opponentId", "date");
+
+-- Add foreign keys
+ALTER TABLE "opponents" ADD CONSTRAINT "opponents_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "matches" ADD CONSTRAINT "matches_opponentId_fkey" FOREIGN KEY ("opponentId") REFERENCES "opponents"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Normalise existing opponent names: names that only differ in case or spacing
+-- ("Rovers U10", "rovers  u10") become one opponent, named after the spelling
+-- used most (then most recently)
+WITH spellings AS (
+  SELECT
+    "userId",
+    lower(regexp_replace(btrim("opponent"), '\s+', ' ', 'g')) AS "key",
+    regexp_replace(btrim("opponent"), '\s+', ' ', 'g') AS "spelling",
+    count(*) AS "uses",
+    max("date") AS "lastUsed"
+  FROM "matches"
+  WHERE btrim("opponent") <> ''
+  GROUP BY 1, 2, 3
+),
+ranked AS (
+  SELECT
+    *,
+    row_number() OVER (
+      PARTITION BY "userId", "key"
+      ORDER BY "uses" DESC, "lastUsed" DESC
+    ) AS "rank"
+  FROM spellings
+)
+INSERT INTO "opponents" ("id", "name", "updatedAt", "userId")
+SELECT gen_random_uuid()::TEXT, "spelling", CURRENT_TIMESTAMP, "userId"
+FROM ranked
+WHERE "rank" = 1;
+
+UPDATE "matches" m
+SET "opponentId" = o."id", "opponent" = o."name"
+FROM "opponents" o
+WHERE o."userId" = m."userId"
+  AND lower(o."name") = lower(regexp_replace(btrim(m."opponent"), '\s+', ' ', 'g'));
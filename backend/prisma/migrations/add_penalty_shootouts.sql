@@ -0,0 +1,24 @@
+-- Add shootout totals to matches (null when a match had no shootout)
+ALTER TABLE "matches" ADD COLUMN "penaltiesFor" INTEGER;
+ALTER TABLE "matches" ADD COLUMN "penaltiesAgainst" INTEGER;
+
+-- Create penalty_kicks table for each kick of a cup shootout
+CREATE TABLE "penalty_kicks" (
+  "id" TEXT NOT NULL,
+  "order" INTEGER NOT NULL,
+  "isOpponent" BOOLEAN NOT NULL DEFAULT false,
+  "scored" BOOLEAN NOT NULL,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "matchId" TEXT NOT NULL,
+  "playerId" TEXT,
+
+  CONSTRAINT "penalty_kicks_pkey" PRIMARY KEY ("id")
+);
+
+-- Add indexes for kick ordering and player lookups
+CREATE UNIQUE INDEX "penalty_kicks_matchId_order_key" ON "penalty_kicks"("matchId", "order");
+CREATE INDEX "penalty_kicks_playerId_idx" ON "penalty_kicks"("playerId");
+
+-- Add foreign keys
+ALTER TABLE "penalty_kicks" ADD CONSTRAINT "penalty_kicks_matchId_fkey" FOREIGN KEY ("matchId") REFERENCES "matches"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "penalty_kicks" ADD CONSTRAINT "penalty_kicks_playerId_fkey" FOREIGN KEY ("playerId") REFERENCES "players"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- Create player availability (answers to availability requests for a match)
+CREATE TABLE "player_availability" (
+  "id" TEXT NOT NULL,
+  "status" TEXT,
+  "token" TEXT NOT NULL,
+  "requestedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "respondedAt" TIMESTAMP(3),
+  "matchId" TEXT NOT NULL,
+  "playerId" TEXT NOT NULL,
+  "respondedById" TEXT,
+
+  CONSTRAINT "player_availability_pkey" PRIMARY KEY ("id")
+);
+
+-- Add indexes
+CREATE UNIQUE INDEX "player_availability_token_key" ON "player_availability"("token");
+CREATE UNIQUE INDEX "player_availability_matchId_playerId_key" ON "player_availability"("matchId", "playerId");
+CREATE INDEX "player_availability_playerId_idx" ON "player_availability"("playerId");
+
+-- Add foreign keys
+ALTER TABLE "player_availability" ADD CONSTRAINT "player_availability_matchId_fkey" FOREIGN KEY ("matchId") REFERENCES "matches"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "player_availability" ADD CONSTRAINT "player_availability_playerId_fkey" FOREIGN KEY ("playerId") REFERENCES "players"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "player_availability" ADD CONSTRAINT "player_availability_respondedById_fkey" FOREIGN KEY ("respondedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Re-apply prisma/clerk-rls.sql after running this migration for the
+-- availability policies.
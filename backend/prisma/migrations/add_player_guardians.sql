@@ -0,0 +1,24 @@
+-- Create player guardians (parents who follow a player without joining the team)
+CREATE TABLE "player_guardians" (
+  "id" TEXT NOT NULL,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "playerId" TEXT NOT NULL,
+  "userId" TEXT NOT NULL,
+
+  CONSTRAINT "player_guardians_pkey" PRIMARY KEY ("id")
+);
+
+-- Guardian invitations name the player they are for
+ALTER TABLE "team_invitations" ADD COLUMN "playerId" TEXT;
+
+-- Add indexes
+CREATE UNIQUE INDEX "player_guardians_playerId_userId_key" ON "player_guardians"("playerId", "userId");
+CREATE INDEX "player_guardians_userId_idx" ON "player_guardians"("userId");
+
+-- Add foreign keys
+ALTER TABLE "player_guardians" ADD CONSTRAINT "player_guardians_playerId_fkey" FOREIGN KEY ("playerId") REFERENCES "players"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "player_guardians" ADD CONSTRAINT "player_guardians_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "team_invitations" ADD CONSTRAINT "team_invitations_playerId_fkey" FOREIGN KEY ("playerId") REFERENCES "players"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Re-apply prisma/clerk-rls.sql after running this migration for the
+-- guardian policies.
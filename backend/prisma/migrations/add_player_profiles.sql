@@ -0,0 +1,8 @@
+-- Extend player profiles (shirt number, preferred positions, date of birth,
+-- emergency contact and photo). The emergency contact is encrypted by the
+-- app like player names.
+ALTER TABLE "players" ADD COLUMN "shirtNumber" INTEGER;
+ALTER TABLE "players" ADD COLUMN "positions" TEXT[] DEFAULT ARRAY[]::TEXT[];
+ALTER TABLE "players" ADD COLUMN "dateOfBirth" TIMESTAMP(3);
+ALTER TABLE "players" ADD COLUMN "emergencyContact" TEXT;
+ALTER TABLE "players" ADD COLUMN "avatar" TEXT;
@@ -0,0 +1,33 @@
+-- Create player team memberships (squad history)
+CREATE TABLE "player_team_memberships" (
+  "id" TEXT NOT NULL,
+  "shirtNumber" INTEGER,
+  "joinedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "leftAt" TIMESTAMP(3),
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL,
+  "playerId" TEXT NOT NULL,
+  "teamId" TEXT NOT NULL,
+
+  CONSTRAINT "player_team_memberships_pkey" PRIMARY KEY ("id")
+);
+
+-- Add indexes
+CREATE INDEX "player_team_memberships_playerId_leftAt_idx" ON "player_team_memberships"("playerId", "leftAt");
+CREATE INDEX "player_team_memberships_teamId_leftAt_idx" ON "player_team_memberships"("teamId", "leftAt");
+
+-- A player is in a team's squad at most once at a time
+CREATE UNIQUE INDEX "player_team_memberships_open_key" ON "player_team_memberships"("playerId", "teamId") WHERE "leftAt" IS NULL;
+
+-- Add foreign keys
+ALTER TABLE "player_team_memberships" ADD CONSTRAINT "player_team_memberships_playerId_fkey" FOREIGN KEY ("playerId") REFERENCES "players"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "player_team_memberships" ADD CONSTRAINT "player_team_memberships_teamId_fkey" FOREIGN KEY ("teamId") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Existing players are in their team's squad since they were added
+INSERT INTO "player_team_memberships" ("id", "joinedAt", "updatedAt", "playerId", "teamId")
+SELECT 'ptm_' || "id", "createdAt", CURRENT_TIMESTAMP, "id", "teamId"
+FROM "players"
+WHERE "teamId" IS NOT NULL;
+
+-- Re-apply prisma/clerk-rls.sql after running this migration for the
+-- player team membership policies.
@@ -0,0 +1,8 @@
+-- Add public names shown on shared scoreboards (plaintext, opt-in per team/player)
+ALTER TABLE "teams" ADD COLUMN "publicName" TEXT;
+ALTER TABLE "players" ADD COLUMN "publicName" TEXT;
+
+-- Add revocable share token for the public live scoreboard
+ALTER TABLE "matches" ADD COLUMN "shareToken" TEXT;
+ALTER TABLE "matches" ADD COLUMN "shareTokenCreatedAt" TIMESTAMP(3);
+CREATE UNIQUE INDEX "matches_shareToken_key" ON "matches"("shareToken");
@@ -0,0 +1,26 @@
+-- Create seasons table (a team's season with inclusive start and end dates)
+CREATE TABLE "seasons" (
+  "id" TEXT NOT NULL,
+  "name" TEXT NOT NULL,
+  "startDate" TIMESTAMP(3) NOT NULL,
+  "endDate" TIMESTAMP(3) NOT NULL,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL,
+  "userId" TEXT NOT NULL,
+  "teamId" TEXT NOT NULL,
+
+  CONSTRAINT "seasons_pkey" PRIMARY KEY ("id")
+);
+
+-- Link matches to the season they were played in
+ALTER TABLE "matches" ADD COLUMN "seasonId" TEXT;
+
+-- Add indexes for team, season and match lookups
+CREATE INDEX "seasons_teamId_startDate_idx" ON "seasons"("teamId", "startDate");
+CREATE INDEX "seasons_userId_idx" ON "seasons"("userId");
+CREATE INDEX "matches_seasonId_date_idx" ON "matches"("seasonId", "date");
+
+-- Add foreign keys
+ALTER TABLE "seasons" ADD CONSTRAINT "seasons_teamId_fkey" FOREIGN KEY ("teamId") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "seasons" ADD CONSTRAINT "seasons_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "matches" ADD CONSTRAINT "matches_seasonId_fkey" FOREIGN KEY ("seasonId") REFERENCES "seasons"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,7 @@
+-- Team-level match counters (shots, corners, free kicks, saves) for both sides
+ALTER TABLE "matches" ADD COLUMN "teamStats" JSONB;
+
+-- Sync the counters between co-scoring devices (last writer wins)
+ALTER TABLE "live_match_sessions" ADD COLUMN "teamStats" JSONB;
+ALTER TABLE "live_match_sessions" ADD COLUMN "teamStatsUpdatedAt" TIMESTAMP(3);
+ALTER TABLE "live_match_sessions" ADD COLUMN "teamStatsDeviceId" TEXT;
@@ -0,0 +1,61 @@
+-- Create team memberships (who can see and manage a team, and with which role)
+CREATE TABLE "team_memberships" (
+  "id" TEXT NOT NULL,
+  "role" TEXT NOT NULL,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL,
+  "teamId" TEXT NOT NULL,
+  "userId" TEXT NOT NULL,
+
+  CONSTRAINT "team_memberships_pkey" PRIMARY KEY ("id")
+);
+
+-- Create team invitations (sent by email or shared as a link)
+CREATE TABLE "team_invitations" (
+  "id" TEXT NOT NULL,
+  "email" TEXT,
+  "role" TEXT NOT NULL,
+  "token" TEXT NOT NULL,
+  "expiresAt" TIMESTAMP(3) NOT NULL,
+  "acceptedAt" TIMESTAMP(3),
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "teamId" TEXT NOT NULL,
+  "invitedById" TEXT NOT NULL,
+  "acceptedById" TEXT,
+
+  CONSTRAINT "team_invitations_pkey" PRIMARY KEY ("id")
+);
+
+-- Add indexes
+CREATE UNIQUE INDEX "team_memberships_teamId_userId_key" ON "team_memberships"("teamId", "userId");
+CREATE INDEX "team_memberships_userId_idx" ON "team_memberships"("userId");
+CREATE UNIQUE INDEX "team_invitations_token_key" ON "team_invitations"("token");
+CREATE INDEX "team_invitations_teamId_idx" ON "team_invitations"("teamId");
+
+-- Add foreign keys
+ALTER TABLE "team_memberships" ADD CONSTRAINT "team_memberships_teamId_fkey" FOREIGN KEY ("teamId") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "team_memberships" ADD CONSTRAINT "team_memberships_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "team_invitations" ADD CONSTRAINT "team_invitations_teamId_fkey" FOREIGN KEY ("teamId") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "team_invitations" ADD CONSTRAINT "team_invitations_invitedById_fkey" FOREIGN KEY ("invitedById") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "team_invitations" ADD CONSTRAINT "team_invitations_acceptedById_fkey" FOREIGN KEY ("acceptedById") REFERENCES "users"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Every existing team's creator becomes its owner
+INSERT INTO "team_memberships" ("id", "role", "updatedAt", "teamId", "userId")
+SELECT 'tm_' || "id", 'owner', CURRENT_TIMESTAMP, "id", "userId"
+FROM "teams";
+
+-- The creator-only policies on team data are replaced by membership-based
+-- ones. Re-apply prisma/clerk-rls.sql after running this migration.
+DO $$
+DECLARE
+  p RECORD;
+BEGIN
+  FOR p IN
+    SELECT policyname, tablename FROM pg_policies
+    WHERE schemaname = 'public'
+    AND tablename <> 'users'
+    AND policyname LIKE 'Users can % their own %'
+  LOOP
+    EXECUTE format('DROP POLICY %I ON %I', p.policyname, p.tablename);
+  END LOOP;
+END $$;
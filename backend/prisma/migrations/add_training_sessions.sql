@@ -0,0 +1,44 @@
+-- Create training sessions
+CREATE TABLE "training_sessions" (
+  "id" TEXT NOT NULL,
+  "date" TIMESTAMP(3) NOT NULL,
+  "location" TEXT,
+  "focus" TEXT,
+  "notes" TEXT,
+  "notificationSent" BOOLEAN NOT NULL DEFAULT false,
+  "notificationSentAt" TIMESTAMP(3),
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL,
+  "userId" TEXT NOT NULL,
+  "teamId" TEXT NOT NULL,
+
+  CONSTRAINT "training_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- Create training attendance (one row per player once attendance is taken)
+CREATE TABLE "training_attendance" (
+  "id" TEXT NOT NULL,
+  "attended" BOOLEAN NOT NULL,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL,
+  "sessionId" TEXT NOT NULL,
+  "playerId" TEXT NOT NULL,
+
+  CONSTRAINT "training_attendance_pkey" PRIMARY KEY ("id")
+);
+
+-- Add indexes
+CREATE INDEX "training_sessions_teamId_date_idx" ON "training_sessions"("teamId", "date");
+CREATE INDEX "training_sessions_userId_idx" ON "training_sessions"("userId");
+CREATE INDEX "training_sessions_date_notificationSent_idx" ON "training_sessions"("date", "notificationSent");
+CREATE UNIQUE INDEX "training_attendance_sessionId_playerId_key" ON "training_attendance"("sessionId", "playerId");
+CREATE INDEX "training_attendance_playerId_idx" ON "training_attendance"("playerId");
+
+-- Add foreign keys
+ALTER TABLE "training_sessions" ADD CONSTRAINT "training_sessions_teamId_fkey" FOREIGN KEY ("teamId") REFERENCES "teams"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "training_sessions" ADD CONSTRAINT "training_sessions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "training_attendance" ADD CONSTRAINT "training_attendance_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "training_sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "training_attendance" ADD CONSTRAINT "training_attendance_playerId_fkey" FOREIGN KEY ("playerId") REFERENCES "players"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Re-apply prisma/clerk-rls.sql after running this migration for the
+-- training policies.
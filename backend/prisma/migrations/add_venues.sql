@@ -0,0 +1,27 @@
+-- Create venues table (grounds with address, pitch and parking details)
+CREATE TABLE "venues" (
+  "id" TEXT NOT NULL,
+  "name" TEXT NOT NULL,
+  "address" TEXT,
+  "pitchNumber" TEXT,
+  "surface" TEXT,
+  "parkingNotes" TEXT,
+  "latitude" DOUBLE PRECISION,
+  "longitude" DOUBLE PRECISION,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  "updatedAt" TIMESTAMP(3) NOT NULL,
+  "userId" TEXT NOT NULL,
+
+  CONSTRAINT "venues_pkey" PRIMARY KEY ("id")
+);
+
+-- Link matches to the ground they are played at ("venue" stays home/away)
+ALTER TABLE "matches" ADD COLUMN "venueId" TEXT;
+
+-- Add indexes
+CREATE INDEX "venues_userId_name_idx" ON "venues"("userId", "name");
+CREATE INDEX "matches_venueId_idx" ON "matches"("venueId");
+
+-- Add foreign keys
+ALTER TABLE "venues" ADD CONSTRAINT "venues_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+ALTER TABLE "matches" ADD CONSTRAINT "matches_venueId_fkey" FOREIGN KEY ("venueId") REFERENCES "venues"("id") ON DELETE SET NULL ON UPDATE CASCADE;
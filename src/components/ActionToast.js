@@ -0,0 +1,99 @@
+import React, { useEffect, useRef } from "react";
+import { Text, StyleSheet, TouchableOpacity, Animated } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+
+const VISIBLE_MS = 4000;
+const FADE_MS = 200;
+
+/**
+ * Short message at the bottom of the screen with an optional action button
+ *
+ * `toast` is { id, message, icon, actionLabel }; a new id shows a new toast
+ * and restarts the timer. `onAction` is called when the action button is
+ * pressed and `onHide` once the toast has gone.
+ */
+const ActionToast = ({ toast, onAction, onHide }) => {
+  const opacity = useRef(new Animated.Value(0)).current;
+
+  useEffect(() => {
+    if (!toast) return;
+
+    opacity.setValue(0);
+    Animated.timing(opacity, {
+      toValue: 1,
+      duration: FADE_MS,
+      useNativeDriver: true,
+    }).start();
+
+    const timeout = setTimeout(() => {
+      Animated.timing(opacity, {
+        toValue: 0,
+        duration: FADE_MS,
+        useNativeDriver: true,
+      }).start(({ finished }) => {
+        if (finished) onHide();
+      });
+    }, VISIBLE_MS);
+
+    return () => clearTimeout(timeout);
+  }, [toast?.id]);
+
+  if (!toast) return null;
+
+  return (
+    <Animated.View style={[styles.toast, { opacity }]}>
+      {toast.icon && <Ionicons name={toast.icon} size={18} color="#fff" />}
+      <Text style={styles.message} numberOfLines={2}>
+        {toast.message}
+      </Text>
+      {toast.actionLabel && (
+        <TouchableOpacity
+          style={styles.action}
+          onPress={() => {
+            onHide();
+            onAction();
+          }}
+        >
+          <Text style={styles.actionText}>{toast.actionLabel}</Text>
+        </TouchableOpacity>
+      )}
+    </Animated.View>
+  );
+};
+
+const styles = StyleSheet.create({
+  toast: {
+    position: "absolute",
+    left: 16,
+    right: 16,
+    bottom: 80,
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    backgroundColor: "rgba(33, 33, 33, 0.95)",
+    borderRadius: 10,
+    paddingVertical: 12,
+    paddingHorizontal: 14,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+    elevation: 6,
+  },
+  message: {
+    flex: 1,
+    color: "#fff",
+    fontSize: 14,
+  },
+  action: {
+    paddingVertical: 4,
+    paddingHorizontal: 8,
+  },
+  actionText: {
+    color: "#FFD54F",
+    fontSize: 14,
+    fontWeight: "bold",
+  },
+});
+
+export default ActionToast;
@@ -0,0 +1,59 @@
+import React from "react";
+import { Text, StyleSheet, TouchableOpacity } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { AVAILABILITY_STATUSES } from "../config/constants";
+import { useTheme } from "../contexts/ThemeContext";
+
+/**
+ * A player's answer to an availability request
+ *
+ * Shows the answer, or "Asked" while waiting for one. Nothing is shown for
+ * players who have not been asked unless `onPress` is given, so coaches can
+ * still record an answer.
+ */
+const AvailabilityBadge = ({ availability, onPress }) => {
+  const { theme } = useTheme();
+  const status = AVAILABILITY_STATUSES.find(
+    (option) => option.value === availability?.status
+  );
+
+  if (!availability && !onPress) {
+    return null;
+  }
+
+  const color = status?.color || theme.textSecondary;
+  const label = status?.label || (availability ? "Asked" : "Set");
+
+  return (
+    <TouchableOpacity
+      style={[styles.badge, { borderColor: color }]}
+      onPress={onPress}
+      disabled={!onPress}
+    >
+      <Ionicons
+        name={status?.icon || (availability ? "time-outline" : "add")}
+        size={14}
+        color={color}
+      />
+      <Text style={[styles.text, { color }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+};
+
+const styles = StyleSheet.create({
+  badge: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 3,
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+  },
+  text: {
+    fontSize: 12,
+    fontWeight: "600",
+  },
+});
+
+export default AvailabilityBadge;
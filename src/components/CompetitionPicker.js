@@ -0,0 +1,100 @@
+import React from "react";
+import { View, Text, StyleSheet, TouchableOpacity } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { COLORS, FONTS } from "../config/constants";
+import { useTheme } from "../contexts/ThemeContext";
+
+/**
+ * Pick the competition a match is played in
+ *
+ * Only competitions of `matchType` (league or cup) are offered, so nothing is
+ * shown for friendlies or when the team has no competitions of that type.
+ * `onChange` gets the competition ID, or null for "None".
+ */
+const CompetitionPicker = ({ competitions, matchType, value, onChange }) => {
+  const { theme } = useTheme();
+  const options = competitions.filter((c) => c.type === matchType);
+
+  if (options.length === 0) {
+    return null;
+  }
+
+  const renderChip = (id, label) => {
+    const isSelected = (value || null) === id;
+
+    return (
+      <TouchableOpacity
+        key={id || "none"}
+        style={[
+          styles.chip,
+          { borderColor: theme.border, backgroundColor: theme.cardBackground },
+          isSelected && {
+            borderColor: theme.primary,
+            backgroundColor: theme.primary,
+          },
+        ]}
+        onPress={() => onChange(id)}
+      >
+        <Text
+          style={[
+            styles.chipText,
+            { color: theme.text },
+            isSelected && styles.chipTextSelected,
+          ]}
+        >
+          {label}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View>
+      <View style={styles.labelRow}>
+        <Ionicons name="podium" size={16} color={theme.primary} />
+        <Text style={[styles.label, { color: theme.text }]}>Competition</Text>
+      </View>
+      <View style={styles.chips}>
+        {renderChip(null, "None")}
+        {options.map((competition) =>
+          renderChip(competition.id, competition.name)
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  labelRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 14,
+    fontFamily: FONTS.bodyBold,
+    color: COLORS.text,
+  },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  chipText: {
+    fontSize: 14,
+    fontFamily: FONTS.body,
+  },
+  chipTextSelected: {
+    color: "#fff",
+  },
+});
+
+export default CompetitionPicker;
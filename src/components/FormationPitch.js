@@ -0,0 +1,379 @@
+import React, { useRef, useState } from "react";
+import {
+  View,
+  Text,
+  Image,
+  StyleSheet,
+  Animated,
+  PanResponder,
+} from "react-native";
+import Svg, { Rect, Line, Circle } from "react-native-svg";
+import { useTheme } from "../contexts/ThemeContext";
+import { findNearestSlot } from "../utils/formations";
+import { getInitials, hasShirtNumber } from "../utils/playerProfile";
+
+const PITCH_RATIO = 1.45; // Height / width
+const TOKEN_SIZE = 44;
+const BENCH_ROW_HEIGHT = 72;
+const BENCH_TITLE_HEIGHT = 28;
+const BENCH_SPACING = 68;
+const PITCH_GREEN = "#2E7D32";
+const LINE_COLOR = "rgba(255, 255, 255, 0.8)";
+
+const getShortName = (name = "") => name.split(" ")[0].slice(0, 10);
+
+/**
+ * A player token that can be dragged around the pitch
+ * The token shows the player's photo when there is one, otherwise `label`.
+ * `onDrop(x, y)` gets the drop point in the pitch's coordinates.
+ */
+const DraggableToken = ({
+  x,
+  y,
+  label,
+  name,
+  avatar,
+  color,
+  textColor,
+  isDragging,
+  onDrop,
+  onDragStart,
+  onDragEnd,
+}) => {
+  const pan = useRef(new Animated.ValueXY()).current;
+
+  // The responder is created once, so it reads the latest props from a ref
+  const latest = useRef({});
+  latest.current = { x, y, onDrop, onDragStart, onDragEnd };
+
+  const responder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      // Keep the drag when a parent ScrollView wants to scroll
+      onPanResponderTerminationRequest: () => false,
+      onPanResponderGrant: () => latest.current.onDragStart(),
+      onPanResponderMove: Animated.event([null, { dx: pan.x, dy: pan.y }], {
+        useNativeDriver: false,
+      }),
+      onPanResponderRelease: (_, gesture) => {
+        const current = latest.current;
+        pan.setValue({ x: 0, y: 0 });
+        current.onDragEnd();
+        current.onDrop(current.x + gesture.dx, current.y + gesture.dy);
+      },
+      onPanResponderTerminate: () => {
+        pan.setValue({ x: 0, y: 0 });
+        latest.current.onDragEnd();
+      },
+    })
+  ).current;
+
+  return (
+    <Animated.View
+      {...responder.panHandlers}
+      style={[
+        styles.tokenContainer,
+        {
+          left: x - TOKEN_SIZE,
+          top: y - TOKEN_SIZE / 2,
+          zIndex: isDragging ? 10 : 1,
+          transform: pan.getTranslateTransform(),
+        },
+      ]}
+    >
+      <View style={[styles.token, { backgroundColor: color }]}>
+        {avatar ? (
+          <Image source={{ uri: avatar }} style={styles.tokenImage} />
+        ) : (
+          <Text style={[styles.tokenLabel, { color: textColor }]}>{label}</Text>
+        )}
+      </View>
+      <Text style={styles.tokenName} numberOfLines={1}>
+        {name}
+      </Text>
+    </Animated.View>
+  );
+};
+
+/**
+ * Pitch diagram with draggable players
+ *
+ * Players in `assignments` ({ slotId: playerId }) stand on their slot and the
+ * rest of `players` wait on the bench. Dropping a player on a slot calls
+ * `onAssign(playerId, slotId)` (the caller swaps whoever was there) and
+ * dropping them on the bench calls `onAssign(playerId, null)`. Set
+ * `showBench` to false to only move players between slots.
+ */
+const FormationPitch = ({
+  slots,
+  assignments,
+  players,
+  onAssign,
+  showBench = true,
+  benchTitle,
+  onDragStateChange,
+}) => {
+  const { theme } = useTheme();
+  const [width, setWidth] = useState(0);
+  const [draggingId, setDraggingId] = useState(null);
+
+  const height = Math.round(width * PITCH_RATIO);
+  const assignedIds = Object.values(assignments);
+  const benchPlayers = showBench
+    ? players.filter((player) => !assignedIds.includes(player.id))
+    : [];
+  const perRow = Math.max(1, Math.floor(width / BENCH_SPACING));
+  const benchRows = Math.max(1, Math.ceil(benchPlayers.length / perRow));
+  const benchHeight = showBench
+    ? BENCH_TITLE_HEIGHT + benchRows * BENCH_ROW_HEIGHT
+    : 0;
+
+  const getPlayer = (playerId) => players.find((p) => p.id === playerId);
+
+  const handleDrop = (playerId, x, y) => {
+    if (y > height) {
+      if (showBench) onAssign(playerId, null);
+      return;
+    }
+    const slot = findNearestSlot(slots, x / width, y / height);
+    if (slot) onAssign(playerId, slot.id);
+  };
+
+  const setDragging = (playerId) => {
+    setDraggingId(playerId);
+    onDragStateChange?.(!!playerId);
+  };
+
+  // Shirt numbers replace the slot label or initials; with a photo in the
+  // token, the number moves next to the name
+  const renderToken = (player, x, y, label) => {
+    const number = hasShirtNumber(player) ? String(player.shirtNumber) : null;
+    const name = getShortName(player.name);
+
+    return (
+      <DraggableToken
+        key={player.id}
+        x={x}
+        y={y}
+        label={number || label}
+        name={number && player.avatar ? `${number} ${name}` : name}
+        avatar={player.avatar}
+        color={theme.primary}
+        textColor="#fff"
+        isDragging={draggingId === player.id}
+        onDrop={(dropX, dropY) => handleDrop(player.id, dropX, dropY)}
+        onDragStart={() => setDragging(player.id)}
+        onDragEnd={() => setDragging(null)}
+      />
+    );
+  };
+
+  const lineWidth = 2;
+  const inset = 6;
+  const boxWidth = width * 0.6;
+  const boxDepth = height * 0.15;
+  const goalBoxWidth = width * 0.3;
+  const goalBoxDepth = height * 0.06;
+
+  return (
+    <View
+      style={{ height: height + benchHeight }}
+      onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+    >
+      {width > 0 && (
+        <>
+          <Svg width={width} height={height}>
+            <Rect
+              x={0}
+              y={0}
+              width={width}
+              height={height}
+              rx={8}
+              fill={PITCH_GREEN}
+            />
+            <Rect
+              x={inset}
+              y={inset}
+              width={width - inset * 2}
+              height={height - inset * 2}
+              stroke={LINE_COLOR}
+              strokeWidth={lineWidth}
+              fill="none"
+            />
+            <Line
+              x1={inset}
+              y1={height / 2}
+              x2={width - inset}
+              y2={height / 2}
+              stroke={LINE_COLOR}
+              strokeWidth={lineWidth}
+            />
+            <Circle
+              cx={width / 2}
+              cy={height / 2}
+              r={width * 0.13}
+              stroke={LINE_COLOR}
+              strokeWidth={lineWidth}
+              fill="none"
+            />
+            <Circle cx={width / 2} cy={height / 2} r={3} fill={LINE_COLOR} />
+            {[inset, height - inset - boxDepth].map((y) => (
+              <Rect
+                key={`box-${y}`}
+                x={(width - boxWidth) / 2}
+                y={y}
+                width={boxWidth}
+                height={boxDepth}
+                stroke={LINE_COLOR}
+                strokeWidth={lineWidth}
+                fill="none"
+              />
+            ))}
+            {[inset, height - inset - goalBoxDepth].map((y) => (
+              <Rect
+                key={`goal-box-${y}`}
+                x={(width - goalBoxWidth) / 2}
+                y={y}
+                width={goalBoxWidth}
+                height={goalBoxDepth}
+                stroke={LINE_COLOR}
+                strokeWidth={lineWidth}
+                fill="none"
+              />
+            ))}
+          </Svg>
+
+          {slots
+            .filter((slot) => !assignments[slot.id])
+            .map((slot) => (
+              <View
+                key={slot.id}
+                pointerEvents="none"
+                style={[
+                  styles.emptySlot,
+                  {
+                    left: slot.x * width - TOKEN_SIZE / 2,
+                    top: slot.y * height - TOKEN_SIZE / 2,
+                  },
+                ]}
+              >
+                <Text style={styles.emptySlotLabel}>{slot.label}</Text>
+              </View>
+            ))}
+
+          {showBench && (
+            <View
+              pointerEvents="none"
+              style={[
+                styles.bench,
+                {
+                  top: height + 6,
+                  height: benchHeight - 6,
+                  borderColor: theme.border,
+                },
+              ]}
+            >
+              <Text style={[styles.benchTitle, { color: theme.textSecondary }]}>
+                {benchTitle ||
+                  (benchPlayers.length > 0
+                    ? "Bench - drag players onto the pitch"
+                    : "Bench")}
+              </Text>
+            </View>
+          )}
+
+          {slots
+            .filter((slot) => getPlayer(assignments[slot.id]))
+            .map((slot) =>
+              renderToken(
+                getPlayer(assignments[slot.id]),
+                slot.x * width,
+                slot.y * height,
+                slot.label
+              )
+            )}
+
+          {benchPlayers.map((player, index) =>
+            renderToken(
+              player,
+              ((index % perRow) + 0.5) * (width / perRow),
+              height +
+                BENCH_TITLE_HEIGHT +
+                Math.floor(index / perRow) * BENCH_ROW_HEIGHT +
+                TOKEN_SIZE / 2,
+              getInitials(player.name)
+            )
+          )}
+        </>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  tokenContainer: {
+    position: "absolute",
+    width: TOKEN_SIZE * 2,
+    alignItems: "center",
+  },
+  token: {
+    width: TOKEN_SIZE,
+    height: TOKEN_SIZE,
+    borderRadius: TOKEN_SIZE / 2,
+    alignItems: "center",
+    justifyContent: "center",
+    borderWidth: 2,
+    borderColor: "#fff",
+  },
+  tokenImage: {
+    width: TOKEN_SIZE - 4,
+    height: TOKEN_SIZE - 4,
+    borderRadius: (TOKEN_SIZE - 4) / 2,
+  },
+  tokenLabel: {
+    fontSize: 13,
+    fontWeight: "bold",
+  },
+  tokenName: {
+    marginTop: 2,
+    fontSize: 11,
+    fontWeight: "600",
+    color: "#fff",
+    backgroundColor: "rgba(0, 0, 0, 0.45)",
+    paddingHorizontal: 4,
+    borderRadius: 4,
+    overflow: "hidden",
+  },
+  emptySlot: {
+    position: "absolute",
+    width: TOKEN_SIZE,
+    height: TOKEN_SIZE,
+    borderRadius: TOKEN_SIZE / 2,
+    borderWidth: 2,
+    borderStyle: "dashed",
+    borderColor: "rgba(255, 255, 255, 0.7)",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  emptySlotLabel: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#fff",
+  },
+  bench: {
+    position: "absolute",
+    left: 0,
+    right: 0,
+    borderWidth: 1,
+    borderStyle: "dashed",
+    borderRadius: 8,
+  },
+  benchTitle: {
+    fontSize: 12,
+    paddingHorizontal: 10,
+    paddingTop: 6,
+  },
+});
+
+export default FormationPitch;
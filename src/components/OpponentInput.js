@@ -0,0 +1,141 @@
+import React from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+} from "react-native";
+import { COLORS, FONTS } from "../config/constants";
+import { useTheme } from "../contexts/ThemeContext";
+
+const MAX_SUGGESTIONS = 5;
+
+const nameKey = (name) => name.trim().replace(/\s+/g, " ").toLowerCase();
+
+/**
+ * Opponent name input with suggestions from the user's opponents
+ *
+ * Suggestions match names and aliases and are hidden once the text is an
+ * opponent's name. Picking one fills in the opponent's name; the server links
+ * the match to the opponent with that name or alias (or creates one for a new
+ * name).
+ */
+const OpponentInput = ({
+  value,
+  onChangeText,
+  opponents,
+  inputStyle,
+  placeholder = "Enter opponent team name",
+}) => {
+  const { theme } = useTheme();
+
+  const search = nameKey(value);
+  const suggestions = search
+    ? opponents
+        .map((opponent) => ({
+          opponent,
+          alias: opponent.aliases.find((alias) =>
+            alias.toLowerCase().includes(search)
+          ),
+        }))
+        .filter(
+          ({ opponent, alias }) =>
+            opponent.name.toLowerCase().includes(search) || alias
+        )
+        .slice(0, MAX_SUGGESTIONS)
+    : [];
+  const isKnownName = opponents.some(
+    (opponent) => opponent.name.toLowerCase() === search
+  );
+
+  return (
+    <View>
+      <TextInput
+        style={inputStyle}
+        value={value}
+        onChangeText={onChangeText}
+        placeholder={placeholder}
+        placeholderTextColor={theme.textSecondary}
+        autoCorrect={false}
+      />
+      {!isKnownName && suggestions.length > 0 && (
+        <View
+          style={[
+            styles.suggestions,
+            {
+              backgroundColor: theme.cardBackground,
+              borderColor: theme.border,
+            },
+          ]}
+        >
+          {suggestions.map(({ opponent, alias }) => (
+            <TouchableOpacity
+              key={opponent.id}
+              style={[styles.suggestion, { borderBottomColor: theme.border }]}
+              onPress={() => onChangeText(opponent.name)}
+            >
+              <View
+                style={[
+                  styles.colorDot,
+                  {
+                    backgroundColor:
+                      opponent.primaryColor || COLORS.gray[300],
+                    borderColor: opponent.secondaryColor || theme.border,
+                  },
+                ]}
+              />
+              <Text style={[styles.suggestionName, { color: theme.text }]}>
+                {opponent.name}
+              </Text>
+              {alias && !opponent.name.toLowerCase().includes(search) && (
+                <Text
+                  style={[
+                    styles.suggestionAlias,
+                    { color: theme.textSecondary },
+                  ]}
+                >
+                  also "{alias}"
+                </Text>
+              )}
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  suggestions: {
+    borderWidth: 1,
+    borderRadius: 8,
+    marginTop: 4,
+    overflow: "hidden",
+  },
+  suggestion: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  colorDot: {
+    width: 14,
+    height: 14,
+    borderRadius: 7,
+    borderWidth: 2,
+  },
+  suggestionName: {
+    flex: 1,
+    fontSize: 15,
+    fontFamily: FONTS.body,
+  },
+  suggestionAlias: {
+    fontSize: 12,
+    fontFamily: FONTS.body,
+  },
+});
+
+export default OpponentInput;
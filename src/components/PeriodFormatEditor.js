@@ -0,0 +1,205 @@
+import React from "react";
+import { View, Text, StyleSheet, TouchableOpacity, Switch } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { COLORS, DEFAULT_PERIOD_FORMAT } from "../config/constants";
+import { useTheme } from "../contexts/ThemeContext";
+import { formatPeriodFormat } from "../utils/matchPeriods";
+
+// Same limits as the API (backend/lib/periodFormat.js)
+const LIMITS = {
+  periods: [1, 6],
+  periodMinutes: [1, 90],
+  breakMinutes: [0, 60],
+  extraTimePeriods: [0, 2],
+  extraTimeMinutes: [1, 30],
+};
+
+/**
+ * Edit a match period format (number of periods, lengths, breaks, extra time)
+ *
+ * When `inheritedFormat` is given, a null `value` means "use the inherited
+ * format" (e.g. a match using its team's format) and a switch turns on a
+ * custom format.
+ */
+const PeriodFormatEditor = ({
+  value,
+  onChange,
+  inheritedFormat,
+  inheritedLabel = "Use team format",
+}) => {
+  const { theme } = useTheme();
+  const canInherit = inheritedFormat !== undefined;
+  const isCustom = !canInherit || !!value;
+  const format = {
+    ...DEFAULT_PERIOD_FORMAT,
+    ...(value || inheritedFormat || {}),
+  };
+
+  // Larger steps snap to round numbers (e.g. 23 -> 25 -> 30)
+  const updateField = (field, delta) => {
+    const [min, max] = LIMITS[field];
+    const step = Math.abs(delta);
+    const next =
+      delta > 0
+        ? Math.floor(format[field] / step) * step + step
+        : Math.ceil(format[field] / step) * step - step;
+    onChange({
+      ...format,
+      [field]: Math.min(max, Math.max(min, next)),
+    });
+  };
+
+  const toggleExtraTime = (enabled) => {
+    onChange({ ...format, extraTimePeriods: enabled ? 2 : 0 });
+  };
+
+  const renderStepper = (label, field, unit = "", step = 1) => (
+    <View style={[styles.stepperRow, { borderBottomColor: theme.border }]}>
+      <Text style={[styles.stepperLabel, { color: theme.text }]}>{label}</Text>
+      <View style={styles.stepperControls}>
+        <TouchableOpacity
+          onPress={() => updateField(field, -step)}
+          disabled={format[field] <= LIMITS[field][0]}
+        >
+          <Ionicons
+            name="remove-circle"
+            size={28}
+            color={
+              format[field] <= LIMITS[field][0]
+                ? theme.border
+                : theme.textSecondary
+            }
+          />
+        </TouchableOpacity>
+        <Text style={[styles.stepperValue, { color: theme.text }]}>
+          {format[field]}
+          {unit}
+        </Text>
+        <TouchableOpacity
+          onPress={() => updateField(field, step)}
+          disabled={format[field] >= LIMITS[field][1]}
+        >
+          <Ionicons
+            name="add-circle"
+            size={28}
+            color={
+              format[field] >= LIMITS[field][1] ? theme.border : theme.primary
+            }
+          />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <View>
+      {canInherit && (
+        <View style={styles.switchRow}>
+          <View style={styles.switchText}>
+            <Text style={[styles.stepperLabel, { color: theme.text }]}>
+              {inheritedLabel}
+            </Text>
+            <Text style={[styles.summary, { color: theme.textSecondary }]}>
+              {formatPeriodFormat({
+                ...DEFAULT_PERIOD_FORMAT,
+                ...(inheritedFormat || {}),
+              })}
+            </Text>
+          </View>
+          <Switch
+            value={!isCustom}
+            onValueChange={(useInherited) =>
+              onChange(useInherited ? null : format)
+            }
+            trackColor={{ false: "#767577", true: theme.primary }}
+            thumbColor={!isCustom ? "#fff" : "#f4f3f4"}
+          />
+        </View>
+      )}
+
+      {isCustom && (
+        <View>
+          {renderStepper("Periods", "periods")}
+          {renderStepper(
+            format.periods > 1 ? "Period length" : "Match length",
+            "periodMinutes",
+            " min",
+            5
+          )}
+          {format.periods > 1 &&
+            renderStepper("Break between periods", "breakMinutes", " min")}
+
+          <View style={styles.switchRow}>
+            <Text style={[styles.stepperLabel, { color: theme.text }]}>
+              Extra time (cup ties)
+            </Text>
+            <Switch
+              value={format.extraTimePeriods > 0}
+              onValueChange={toggleExtraTime}
+              trackColor={{ false: "#767577", true: theme.primary }}
+              thumbColor={format.extraTimePeriods > 0 ? "#fff" : "#f4f3f4"}
+            />
+          </View>
+          {format.extraTimePeriods > 0 && (
+            <>
+              {renderStepper("Extra time periods", "extraTimePeriods")}
+              {renderStepper(
+                "Extra time period length",
+                "extraTimeMinutes",
+                " min"
+              )}
+            </>
+          )}
+
+          <Text style={[styles.summary, { color: theme.textSecondary }]}>
+            {formatPeriodFormat(format)}
+          </Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  stepperRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.gray[200],
+  },
+  stepperLabel: {
+    fontSize: 15,
+    color: COLORS.text,
+  },
+  stepperControls: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+  },
+  stepperValue: {
+    fontSize: 16,
+    fontWeight: "600",
+    minWidth: 56,
+    textAlign: "center",
+    fontVariant: ["tabular-nums"],
+  },
+  switchRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingVertical: 8,
+  },
+  switchText: {
+    flex: 1,
+    marginRight: 10,
+  },
+  summary: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+    marginTop: 8,
+  },
+});
+
+export default PeriodFormatEditor;
@@ -0,0 +1,96 @@
+import React from "react";
+import { View, Text, Image, StyleSheet } from "react-native";
+import { useTheme } from "../contexts/ThemeContext";
+import { getInitials, hasShirtNumber } from "../utils/playerProfile";
+
+/**
+ * A player's photo, with their shirt number in the corner
+ *
+ * Players without a photo get a circle with their shirt number, or their
+ * initials when they don't have one either.
+ */
+const PlayerAvatar = ({ player, size = 36, style }) => {
+  const { theme } = useTheme();
+  const hasNumber = hasShirtNumber(player);
+  const circle = { width: size, height: size, borderRadius: size / 2 };
+
+  if (player.avatar) {
+    const badgeSize = Math.round(size * 0.45);
+
+    return (
+      <View style={[circle, style]}>
+        <Image source={{ uri: player.avatar }} style={circle} />
+        {hasNumber && (
+          <View
+            style={[
+              styles.badge,
+              {
+                minWidth: badgeSize,
+                height: badgeSize,
+                borderRadius: badgeSize / 2,
+                backgroundColor: theme.primary,
+                borderColor: theme.cardBackground,
+              },
+            ]}
+          >
+            <Text style={[styles.badgeText, { fontSize: badgeSize * 0.6 }]}>
+              {player.shirtNumber}
+            </Text>
+          </View>
+        )}
+      </View>
+    );
+  }
+
+  return (
+    <View
+      style={[
+        styles.placeholder,
+        circle,
+        {
+          backgroundColor: hasNumber ? theme.primary : theme.background,
+          borderColor: theme.primary,
+        },
+        style,
+      ]}
+    >
+      <Text
+        style={[
+          styles.placeholderText,
+          {
+            fontSize: size * 0.4,
+            color: hasNumber ? "#fff" : theme.primary,
+          },
+        ]}
+      >
+        {hasNumber ? player.shirtNumber : getInitials(player.name)}
+      </Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  badge: {
+    position: "absolute",
+    right: -4,
+    bottom: -4,
+    paddingHorizontal: 2,
+    borderWidth: 1.5,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  badgeText: {
+    color: "#fff",
+    fontWeight: "bold",
+  },
+  placeholder: {
+    borderWidth: 1.5,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  placeholderText: {
+    fontWeight: "bold",
+  },
+});
+
+export default PlayerAvatar;
@@ -0,0 +1,254 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Switch,
+  Platform,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import DateTimePicker from "@react-native-community/datetimepicker";
+import {
+  COLORS,
+  MAX_SERIES_OCCURRENCES,
+  RECURRENCE_FREQUENCIES,
+  WEEKDAYS,
+} from "../config/constants";
+import { useTheme } from "../contexts/ThemeContext";
+import { createRecurrence, formatRecurrence } from "../utils/eventSeries";
+
+/**
+ * Make a new fixture or training session repeat
+ *
+ * A null `value` means a one-off event; the switch starts a weekly rule on
+ * `startDate`'s day. The series ends after a number of occurrences or on an
+ * end date.
+ */
+const RecurrenceEditor = ({ value, onChange, startDate }) => {
+  const { theme } = useTheme();
+  const [showEndPicker, setShowEndPicker] = useState(false);
+
+  const update = (changes) => onChange({ ...value, ...changes });
+
+  // Keep at least one day selected
+  const toggleDay = (day) => {
+    const days = value.daysOfWeek.includes(day)
+      ? value.daysOfWeek.filter((d) => d !== day)
+      : [...value.daysOfWeek, day];
+    if (days.length > 0) {
+      update({ daysOfWeek: days });
+    }
+  };
+
+  const setEndsOnDate = (endsOnDate) => {
+    if (!endsOnDate) {
+      update({ endDate: null });
+      return;
+    }
+
+    // Default to eight weeks after the start
+    const endDate = new Date(startDate);
+    endDate.setDate(endDate.getDate() + 8 * 7);
+    update({ endDate });
+  };
+
+  const onEndDateChange = (event, selectedDate) => {
+    setShowEndPicker(Platform.OS === "ios");
+    if (selectedDate) {
+      update({ endDate: selectedDate });
+    }
+  };
+
+  const renderChip = (key, label, isSelected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[
+        styles.chip,
+        { borderColor: theme.primary },
+        isSelected && { backgroundColor: theme.primary },
+      ]}
+      onPress={onPress}
+    >
+      <Text
+        style={[
+          styles.chipText,
+          { color: isSelected ? "#fff" : theme.primary },
+        ]}
+      >
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View>
+      <View style={styles.switchRow}>
+        <Text style={[styles.label, { color: theme.text }]}>Repeat</Text>
+        <Switch
+          value={!!value}
+          onValueChange={(repeat) =>
+            onChange(repeat ? createRecurrence(startDate) : null)
+          }
+          trackColor={{ false: "#767577", true: theme.primary }}
+          thumbColor={value ? "#fff" : "#f4f3f4"}
+        />
+      </View>
+
+      {value && (
+        <View>
+          <View style={styles.chipRow}>
+            {RECURRENCE_FREQUENCIES.map((option) =>
+              renderChip(
+                option.value,
+                option.label,
+                value.frequency === option.value,
+                () => update({ frequency: option.value })
+              )
+            )}
+          </View>
+
+          <View style={styles.chipRow}>
+            {WEEKDAYS.map((label, day) =>
+              renderChip(day, label, value.daysOfWeek.includes(day), () =>
+                toggleDay(day)
+              )
+            )}
+          </View>
+
+          <View style={styles.chipRow}>
+            {renderChip("count", "Number of times", !value.endDate, () =>
+              setEndsOnDate(false)
+            )}
+            {renderChip("endDate", "End date", !!value.endDate, () =>
+              setEndsOnDate(true)
+            )}
+          </View>
+
+          {value.endDate ? (
+            <TouchableOpacity
+              style={[
+                styles.endDateButton,
+                {
+                  backgroundColor: theme.background,
+                  borderColor: theme.border,
+                },
+              ]}
+              onPress={() => setShowEndPicker(true)}
+            >
+              <Ionicons name="calendar" size={16} color={theme.primary} />
+              <Text style={[styles.label, { color: theme.text }]}>
+                Until {value.endDate.toLocaleDateString()}
+              </Text>
+            </TouchableOpacity>
+          ) : (
+            <View style={styles.switchRow}>
+              <Text style={[styles.label, { color: theme.text }]}>Times</Text>
+              <View style={styles.stepperControls}>
+                <TouchableOpacity
+                  onPress={() => update({ count: value.count - 1 })}
+                  disabled={value.count <= 1}
+                >
+                  <Ionicons
+                    name="remove-circle"
+                    size={28}
+                    color={
+                      value.count <= 1 ? theme.border : theme.textSecondary
+                    }
+                  />
+                </TouchableOpacity>
+                <Text style={[styles.stepperValue, { color: theme.text }]}>
+                  {value.count}
+                </Text>
+                <TouchableOpacity
+                  onPress={() => update({ count: value.count + 1 })}
+                  disabled={value.count >= MAX_SERIES_OCCURRENCES}
+                >
+                  <Ionicons
+                    name="add-circle"
+                    size={28}
+                    color={
+                      value.count >= MAX_SERIES_OCCURRENCES
+                        ? theme.border
+                        : theme.primary
+                    }
+                  />
+                </TouchableOpacity>
+              </View>
+            </View>
+          )}
+
+          {showEndPicker && value.endDate && (
+            <DateTimePicker
+              value={value.endDate}
+              mode="date"
+              display="default"
+              minimumDate={startDate}
+              onChange={onEndDateChange}
+            />
+          )}
+
+          <Text style={[styles.summary, { color: theme.textSecondary }]}>
+            {formatRecurrence(value)}
+          </Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  switchRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingVertical: 8,
+  },
+  label: {
+    fontSize: 15,
+    color: COLORS.text,
+  },
+  chipRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 6,
+    marginBottom: 10,
+  },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 14,
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+  },
+  chipText: {
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  endDateButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+  },
+  stepperControls: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+  },
+  stepperValue: {
+    fontSize: 16,
+    fontWeight: "600",
+    minWidth: 40,
+    textAlign: "center",
+    fontVariant: ["tabular-nums"],
+  },
+  summary: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+    marginTop: 8,
+  },
+});
+
+export default RecurrenceEditor;
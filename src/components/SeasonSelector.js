@@ -0,0 +1,266 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { COLORS, FONTS } from "../config/constants";
+import { useTheme } from "../contexts/ThemeContext";
+import { formatSeasonRange } from "../utils/seasons";
+
+/**
+ * Season picker for the selected team
+ *
+ * `seasons` are the team's seasons, newest first. Picking "All Seasons"
+ * calls `onSelectSeason(null)`; `onStartNewSeason` opens the new season flow.
+ */
+const SeasonSelector = ({
+  seasons,
+  selectedSeasonId,
+  onSelectSeason,
+  onStartNewSeason,
+}) => {
+  const { theme } = useTheme();
+  const [modalVisible, setModalVisible] = useState(false);
+
+  const selectedSeason = seasons.find((s) => s.id === selectedSeasonId);
+
+  const handleSelectSeason = (seasonId) => {
+    onSelectSeason(seasonId);
+    setModalVisible(false);
+  };
+
+  const handleStartNewSeason = () => {
+    setModalVisible(false);
+    onStartNewSeason();
+  };
+
+  const renderOption = (seasonId, title, description) => {
+    const isSelected = (selectedSeasonId || null) === seasonId;
+
+    return (
+      <TouchableOpacity
+        key={seasonId || "all"}
+        style={[
+          styles.seasonOption,
+          { backgroundColor: theme.cardBackground },
+        ]}
+        onPress={() => handleSelectSeason(seasonId)}
+      >
+        <View style={styles.seasonOptionContent}>
+          <Ionicons
+            name={seasonId ? "calendar" : "albums"}
+            size={24}
+            color={isSelected ? theme.primary : theme.textSecondary}
+          />
+          <View style={styles.seasonInfo}>
+            <Text
+              style={[
+                styles.seasonName,
+                { color: theme.text },
+                isSelected && [
+                  styles.seasonNameSelected,
+                  { color: theme.primary },
+                ],
+              ]}
+            >
+              {title}
+            </Text>
+            <Text
+              style={[
+                styles.seasonDescription,
+                { color: theme.textSecondary },
+              ]}
+            >
+              {description}
+            </Text>
+          </View>
+        </View>
+        {isSelected && (
+          <Ionicons name="checkmark-circle" size={24} color={theme.primary} />
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <>
+      <TouchableOpacity
+        style={[
+          styles.selectorButton,
+          {
+            backgroundColor: theme.cardBackground,
+            borderColor: theme.border,
+            shadowColor: theme.shadow,
+          },
+        ]}
+        onPress={() => setModalVisible(true)}
+      >
+        <View style={styles.selectorContent}>
+          <Ionicons name="calendar" size={20} color={theme.primary} />
+          <Text style={[styles.selectorText, { color: theme.text }]}>
+            {selectedSeason ? selectedSeason.name : "All Seasons"}
+          </Text>
+          <Ionicons name="chevron-down" size={20} color={theme.textSecondary} />
+        </View>
+      </TouchableOpacity>
+
+      <Modal
+        animationType="slide"
+        transparent={true}
+        visible={modalVisible}
+        onRequestClose={() => setModalVisible(false)}
+      >
+        <View style={styles.modalOverlay}>
+          <View
+            style={[
+              styles.modalContent,
+              { backgroundColor: theme.cardBackground },
+            ]}
+          >
+            <View
+              style={[styles.modalHeader, { borderBottomColor: theme.border }]}
+            >
+              <Text style={[styles.modalTitle, { color: theme.text }]}>
+                Select Season
+              </Text>
+              <TouchableOpacity
+                onPress={() => setModalVisible(false)}
+                style={styles.closeButton}
+              >
+                <Ionicons name="close" size={24} color={theme.text} />
+              </TouchableOpacity>
+            </View>
+
+            <ScrollView style={styles.seasonList}>
+              {renderOption(
+                null,
+                "All Seasons",
+                "View data from every season"
+              )}
+              {seasons.map((season) =>
+                renderOption(season.id, season.name, formatSeasonRange(season))
+              )}
+
+              <TouchableOpacity
+                style={[
+                  styles.newSeasonButton,
+                  { borderColor: theme.primary },
+                ]}
+                onPress={handleStartNewSeason}
+              >
+                <Ionicons name="add-circle" size={20} color={theme.primary} />
+                <Text style={[styles.newSeasonText, { color: theme.primary }]}>
+                  Start New Season
+                </Text>
+              </TouchableOpacity>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </>
+  );
+};
+
+const styles = StyleSheet.create({
+  selectorButton: {
+    borderRadius: 12,
+    padding: 12,
+    marginHorizontal: 20,
+    marginTop: 10,
+    marginBottom: 15,
+    borderWidth: 1,
+    elevation: 2,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  selectorContent: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+  },
+  selectorText: {
+    flex: 1,
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "flex-end",
+  },
+  modalContent: {
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: "80%",
+    paddingBottom: 20,
+  },
+  modalHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    padding: 20,
+    borderBottomWidth: 1,
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontFamily: FONTS.heading,
+  },
+  closeButton: {
+    padding: 4,
+  },
+  seasonList: {
+    padding: 15,
+  },
+  seasonOption: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    padding: 15,
+    borderRadius: 12,
+    marginBottom: 10,
+  },
+  seasonOptionContent: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    flex: 1,
+  },
+  seasonInfo: {
+    flex: 1,
+  },
+  seasonName: {
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+    marginBottom: 4,
+  },
+  seasonNameSelected: {
+    color: COLORS.primary,
+  },
+  seasonDescription: {
+    fontSize: 13,
+    fontFamily: FONTS.body,
+  },
+  newSeasonButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 8,
+    padding: 15,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderStyle: "dashed",
+    marginBottom: 20,
+  },
+  newSeasonText: {
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+  },
+});
+
+export default SeasonSelector;
@@ -0,0 +1,319 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Modal,
+  ScrollView,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { COLORS } from "../config/constants";
+import { useTheme } from "../contexts/ThemeContext";
+import { getPeriodLabel } from "../utils/matchPeriods";
+import { DEFAULT_SUB_INTERVAL_MINUTES } from "../utils/substitutionPlanner";
+
+const INTERVAL_LIMITS = [2, 45];
+
+/**
+ * Plan substitutions that balance playing time across the squad
+ *
+ * `buildPlan(settings)` generates a plan from the live match state for the
+ * chosen players per side and minutes between subs; the preview is rebuilt
+ * whenever a setting changes and `onApply(plan)` adopts it.
+ */
+const SubstitutionPlanner = ({
+  visible,
+  onClose,
+  onApply,
+  buildPlan,
+  players,
+  periodFormat,
+  initialSettings,
+  isBeforeKickOff,
+}) => {
+  const { theme } = useTheme();
+  const squadSize = players.length;
+  const [playersOnPitch, setPlayersOnPitch] = useState(
+    Math.min(11, squadSize)
+  );
+  const [intervalMinutes, setIntervalMinutes] = useState(
+    DEFAULT_SUB_INTERVAL_MINUTES
+  );
+
+  // Start from the current plan's settings each time the planner opens
+  useEffect(() => {
+    if (!visible) return;
+    setPlayersOnPitch(
+      Math.min(initialSettings?.playersOnPitch || 11, squadSize)
+    );
+    setIntervalMinutes(
+      initialSettings?.intervalMinutes || DEFAULT_SUB_INTERVAL_MINUTES
+    );
+  }, [visible]);
+
+  const plan = useMemo(
+    () => (visible ? buildPlan({ playersOnPitch, intervalMinutes }) : null),
+    [visible, playersOnPitch, intervalMinutes]
+  );
+
+  const getName = (playerId) =>
+    players.find((p) => p.id === playerId)?.name || "Unknown";
+
+  const renderStepper = (label, value, setValue, [min, max], unit = "") => (
+    <View style={[styles.stepperRow, { borderBottomColor: theme.border }]}>
+      <Text style={[styles.stepperLabel, { color: theme.text }]}>{label}</Text>
+      <View style={styles.stepperControls}>
+        <TouchableOpacity
+          onPress={() => setValue(Math.max(min, value - 1))}
+          disabled={value <= min}
+        >
+          <Ionicons
+            name="remove-circle"
+            size={28}
+            color={value <= min ? theme.border : theme.textSecondary}
+          />
+        </TouchableOpacity>
+        <Text style={[styles.stepperValue, { color: theme.text }]}>
+          {value}
+          {unit}
+        </Text>
+        <TouchableOpacity
+          onPress={() => setValue(Math.min(max, value + 1))}
+          disabled={value >= max}
+        >
+          <Ionicons
+            name="add-circle"
+            size={28}
+            color={value >= max ? theme.border : theme.primary}
+          />
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      transparent={true}
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={[styles.modal, { backgroundColor: theme.cardBackground }]}>
+          <View style={[styles.header, { borderBottomColor: theme.border }]}>
+            <Text style={[styles.title, { color: theme.text }]}>
+              Substitution Plan
+            </Text>
+            <TouchableOpacity onPress={onClose}>
+              <Ionicons name="close" size={24} color={theme.text} />
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.body}>
+            {isBeforeKickOff &&
+              renderStepper(
+                "Players on the pitch",
+                playersOnPitch,
+                setPlayersOnPitch,
+                [1, squadSize]
+              )}
+            {renderStepper(
+              "Sub every",
+              intervalMinutes,
+              setIntervalMinutes,
+              INTERVAL_LIMITS,
+              " min"
+            )}
+
+            {plan && isBeforeKickOff && (
+              <>
+                <Text style={[styles.sectionTitle, { color: theme.text }]}>
+                  Starting
+                </Text>
+                <Text style={[styles.bodyText, { color: theme.textSecondary }]}>
+                  {plan.starters.map(getName).join(", ")}
+                </Text>
+              </>
+            )}
+
+            {plan && (
+              <>
+                <Text style={[styles.sectionTitle, { color: theme.text }]}>
+                  Substitutions
+                </Text>
+                {plan.subs.length === 0 ? (
+                  <Text
+                    style={[styles.bodyText, { color: theme.textSecondary }]}
+                  >
+                    No substitutions needed - everyone plays the whole match.
+                  </Text>
+                ) : (
+                  plan.subs.map((sub) => (
+                    <View
+                      key={sub.id}
+                      style={[
+                        styles.subRow,
+                        { borderBottomColor: theme.border },
+                      ]}
+                    >
+                      <Text style={[styles.subTime, { color: theme.primary }]}>
+                        {sub.atPeriodStart
+                          ? `Start of ${getPeriodLabel(
+                              periodFormat,
+                              sub.period
+                            )}`
+                          : `${Math.floor(sub.matchSecond / 60)}'`}
+                      </Text>
+                      <Text style={[styles.subText, { color: theme.text }]}>
+                        {getName(sub.offId)} off, {getName(sub.onId)} on
+                      </Text>
+                    </View>
+                  ))
+                )}
+
+                <Text style={[styles.sectionTitle, { color: theme.text }]}>
+                  Expected Minutes
+                </Text>
+                {[...players]
+                  .filter((player) => plan.projectedSeconds[player.id])
+                  .sort(
+                    (a, b) =>
+                      plan.projectedSeconds[b.id] - plan.projectedSeconds[a.id]
+                  )
+                  .map((player) => (
+                    <View key={player.id} style={styles.minutesRow}>
+                      <Text style={[styles.subText, { color: theme.text }]}>
+                        {player.name}
+                      </Text>
+                      <Text
+                        style={[
+                          styles.minutesValue,
+                          { color: theme.textSecondary },
+                        ]}
+                      >
+                        {Math.round(plan.projectedSeconds[player.id] / 60)} min
+                      </Text>
+                    </View>
+                  ))}
+              </>
+            )}
+          </ScrollView>
+
+          <TouchableOpacity
+            style={[styles.applyButton, { backgroundColor: theme.primary }]}
+            onPress={() => onApply(plan)}
+            disabled={!plan}
+          >
+            <Ionicons name="checkmark-circle" size={20} color="#fff" />
+            <Text style={styles.applyButtonText}>
+              {isBeforeKickOff ? "Use Plan" : "Update Plan"}
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "flex-end",
+  },
+  modal: {
+    backgroundColor: "#fff",
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: "85%",
+    paddingBottom: 20,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.gray[200],
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: COLORS.text,
+  },
+  body: {
+    paddingHorizontal: 20,
+  },
+  stepperRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.gray[200],
+  },
+  stepperLabel: {
+    fontSize: 15,
+    color: COLORS.text,
+  },
+  stepperControls: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+  },
+  stepperValue: {
+    fontSize: 16,
+    fontWeight: "600",
+    minWidth: 56,
+    textAlign: "center",
+    fontVariant: ["tabular-nums"],
+  },
+  sectionTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    marginTop: 16,
+    marginBottom: 6,
+  },
+  bodyText: {
+    fontSize: 14,
+  },
+  subRow: {
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.gray[100],
+  },
+  subTime: {
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  subText: {
+    fontSize: 15,
+  },
+  minutesRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 4,
+  },
+  minutesValue: {
+    fontSize: 14,
+    fontVariant: ["tabular-nums"],
+  },
+  applyButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 8,
+    marginHorizontal: 20,
+    marginTop: 16,
+    paddingVertical: 14,
+    borderRadius: 12,
+  },
+  applyButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#fff",
+  },
+});
+
+export default SubstitutionPlanner;
@@ -0,0 +1,125 @@
+import React from "react";
+import { View, Text, StyleSheet, TouchableOpacity } from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { COLORS, FONTS } from "../config/constants";
+import { useTheme } from "../contexts/ThemeContext";
+
+/**
+ * Pick the ground a match is played at
+ *
+ * Shown under the home/away choice, which the match keeps either way.
+ * `onChange` gets the venue ID, or null for "None". `onManage` opens the
+ * venues screen to add or edit grounds.
+ */
+const VenuePicker = ({ venues, value, onChange, onManage }) => {
+  const { theme } = useTheme();
+  const selected = venues.find((venue) => venue.id === value);
+
+  const renderChip = (id, label) => {
+    const isSelected = (value || null) === id;
+
+    return (
+      <TouchableOpacity
+        key={id || "none"}
+        style={[
+          styles.chip,
+          { borderColor: theme.border, backgroundColor: theme.cardBackground },
+          isSelected && {
+            borderColor: theme.primary,
+            backgroundColor: theme.primary,
+          },
+        ]}
+        onPress={() => onChange(id)}
+      >
+        <Text
+          style={[
+            styles.chipText,
+            { color: theme.text },
+            isSelected && styles.chipTextSelected,
+          ]}
+        >
+          {label}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  return (
+    <View>
+      <View style={styles.labelRow}>
+        <Ionicons name="location" size={16} color={theme.primary} />
+        <Text style={[styles.label, { color: theme.text }]}>Ground</Text>
+      </View>
+      <View style={styles.chips}>
+        {venues.length > 0 && renderChip(null, "None")}
+        {venues.map((venue) => renderChip(venue.id, venue.name))}
+        {onManage && (
+          <TouchableOpacity
+            style={[
+              styles.chip,
+              styles.manageChip,
+              { borderColor: theme.border },
+            ]}
+            onPress={onManage}
+          >
+            <Ionicons name="add" size={14} color={theme.primary} />
+            <Text style={[styles.chipText, { color: theme.primary }]}>
+              {venues.length > 0 ? "Manage" : "Add a ground"}
+            </Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      {selected?.address ? (
+        <Text style={[styles.address, { color: theme.textSecondary }]}>
+          {selected.address}
+        </Text>
+      ) : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  labelRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 14,
+    fontFamily: FONTS.bodyBold,
+    color: COLORS.text,
+  },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  manageChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    borderStyle: "dashed",
+  },
+  chipText: {
+    fontSize: 14,
+    fontFamily: FONTS.body,
+  },
+  chipTextSelected: {
+    color: "#fff",
+  },
+  address: {
+    fontSize: 13,
+    fontFamily: FONTS.body,
+    marginTop: 8,
+  },
+});
+
+export default VenuePicker;
@@ -36,12 +36,58 @@ export const MATCH_TYPES = {
   FRIENDLY: 'friendly',
 };
 
+// Match Event Types (live match log)
+export const MATCH_EVENT_TYPES = {
+  GOAL: 'goal',
+  OPPONENT_GOAL: 'opponent_goal',
+  YELLOW_CARD: 'yellow_card',
+  RED_CARD: 'red_card',
+  SUB_ON: 'sub_on',
+  SUB_OFF: 'sub_off',
+  SAVE: 'save',
+};
+
+// Match Period Format (used when neither the match nor its team sets one)
+export const DEFAULT_PERIOD_FORMAT = {
+  periods: 2,
+  periodMinutes: 45,
+  breakMinutes: 15,
+  extraTimePeriods: 0,
+  extraTimeMinutes: 15,
+};
+
 // Venue Types
 export const VENUE_TYPES = {
   HOME: 'home',
   AWAY: 'away',
 };
 
+// Venue Surfaces
+export const VENUE_SURFACES = [
+  { value: 'grass', label: 'Grass' },
+  { value: 'artificial', label: 'Artificial' },
+  { value: 'indoor', label: 'Indoor' },
+];
+
+// Team roles that can be given to invited members (the creator is the owner)
+export const TEAM_MEMBER_ROLES = [
+  {
+    value: 'coach',
+    label: 'Coach',
+    description: 'Manage players, matches and squads',
+  },
+  {
+    value: 'scorer',
+    label: 'Scorer',
+    description: 'Record scores and stats',
+  },
+  {
+    value: 'viewer',
+    label: 'Viewer',
+    description: 'See everything, change nothing',
+  },
+];
+
 // Colors
 export const COLORS = {
   primary: '#007AFF',
@@ -75,6 +121,45 @@ export const COLORS = {
   },
 };
 
+// Answers to availability requests; players not asked yet have none
+export const AVAILABILITY_STATUSES = [
+  {
+    value: 'yes',
+    label: 'Yes',
+    icon: 'checkmark-circle',
+    color: COLORS.success,
+  },
+  {
+    value: 'maybe',
+    label: 'Maybe',
+    icon: 'help-circle',
+    color: COLORS.warning,
+  },
+  { value: 'no', label: 'No', icon: 'close-circle', color: COLORS.error },
+];
+
+// How often a repeating fixture or training session repeats
+export const RECURRENCE_FREQUENCIES = [
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'fortnightly', label: 'Fortnightly' },
+];
+
+// Same limit as the API (backend/lib/eventSeriesService.js)
+export const MAX_SERIES_OCCURRENCES = 52;
+
+// Day labels indexed like Date.getDay() (0 = Sunday)
+export const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Preferred positions on a player's profile (backend/lib/playerService.js)
+export const PLAYER_POSITIONS = [
+  { value: 'GK', label: 'Goalkeeper' },
+  { value: 'DEF', label: 'Defender' },
+  { value: 'MID', label: 'Midfielder' },
+  { value: 'FWD', label: 'Forward' },
+];
+
+export const MAX_SHIRT_NUMBER = 99;
+
 // Fonts
 export const FONTS = {
   heading: 'BebasNeue_400Regular',
@@ -0,0 +1,73 @@
+import React, {
+  createContext,
+  useState,
+  useContext,
+  useEffect,
+  useCallback,
+} from 'react';
+import { useAuth } from '@clerk/clerk-expo';
+import { guardianApi } from '../services/api';
+
+const GuardianContext = createContext(null);
+
+const EMPTY_OVERVIEW = {
+  players: [],
+  fixtures: [],
+  results: [],
+  isTeamMember: false,
+};
+
+// Users who only follow players as a parent or guardian get a restricted
+// app showing those players' stats and their teams' fixtures
+export const GuardianProvider = ({ children }) => {
+  const { isSignedIn } = useAuth();
+  const [overview, setOverview] = useState(EMPTY_OVERVIEW);
+  const [loading, setLoading] = useState(true);
+
+  const refresh = useCallback(async () => {
+    try {
+      const response = await guardianApi.getOverview();
+      setOverview({
+        players: response.players,
+        fixtures: response.fixtures,
+        results: response.results,
+        isTeamMember: response.isTeamMember,
+      });
+    } catch (error) {
+      console.error('Error loading guardian overview:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isSignedIn) {
+      setLoading(true);
+      refresh();
+    } else {
+      setOverview(EMPTY_OVERVIEW);
+      setLoading(false);
+    }
+  }, [isSignedIn, refresh]);
+
+  const value = {
+    ...overview,
+    isGuardianMode: overview.players.length > 0 && !overview.isTeamMember,
+    loading,
+    refresh,
+  };
+
+  return (
+    <GuardianContext.Provider value={value}>
+      {children}
+    </GuardianContext.Provider>
+  );
+};
+
+export const useGuardian = () => {
+  const context = useContext(GuardianContext);
+  if (!context) {
+    throw new Error('useGuardian must be used within a GuardianProvider');
+  }
+  return context;
+};
@@ -4,9 +4,12 @@ import AsyncStorage from '@react-native-async-storage/async-storage';
 const TeamContext = createContext(null);
 
 const SELECTED_TEAM_KEY = '@selected_team_id';
+const SELECTED_SEASON_KEY = '@selected_season_id';
 
 export const TeamProvider = ({ children }) => {
   const [selectedTeamId, setSelectedTeamId] = useState(null);
+  // Season of the selected team; null shows all seasons
+  const [selectedSeasonId, setSelectedSeasonId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isInitialized, setIsInitialized] = useState(false);
 
@@ -17,9 +20,13 @@ export const TeamProvider = ({ children }) => {
 
   const loadSelectedTeam = async () => {
     try {
-      const teamId = await AsyncStorage.getItem(SELECTED_TEAM_KEY);
+      const [teamId, seasonId] = await Promise.all([
+        AsyncStorage.getItem(SELECTED_TEAM_KEY),
+        AsyncStorage.getItem(SELECTED_SEASON_KEY),
+      ]);
       if (teamId) {
         setSelectedTeamId(teamId);
+        setSelectedSeasonId(seasonId);
       }
     } catch (error) {
       console.error('Error loading selected team:', error);
@@ -36,6 +43,11 @@ export const TeamProvider = ({ children }) => {
       } else {
         await AsyncStorage.removeItem(SELECTED_TEAM_KEY);
       }
+      // Seasons belong to a team, so a new team starts on all seasons
+      if (teamId !== selectedTeamId) {
+        await AsyncStorage.removeItem(SELECTED_SEASON_KEY);
+        setSelectedSeasonId(null);
+      }
       setSelectedTeamId(teamId);
     } catch (error) {
       console.error('Error saving selected team:', error);
@@ -43,10 +55,25 @@ export const TeamProvider = ({ children }) => {
     }
   };
 
+  const selectSeason = async (seasonId) => {
+    try {
+      if (seasonId) {
+        await AsyncStorage.setItem(SELECTED_SEASON_KEY, seasonId);
+      } else {
+        await AsyncStorage.removeItem(SELECTED_SEASON_KEY);
+      }
+      setSelectedSeasonId(seasonId);
+    } catch (error) {
+      console.error('Error saving selected season:', error);
+      throw error;
+    }
+  };
+
   const clearTeam = async () => {
     try {
-      await AsyncStorage.removeItem(SELECTED_TEAM_KEY);
+      await AsyncStorage.multiRemove([SELECTED_TEAM_KEY, SELECTED_SEASON_KEY]);
       setSelectedTeamId(null);
+      setSelectedSeasonId(null);
     } catch (error) {
       console.error('Error clearing selected team:', error);
       throw error;
@@ -56,6 +83,8 @@ export const TeamProvider = ({ children }) => {
   const value = {
     selectedTeamId,
     selectTeam,
+    selectedSeasonId,
+    selectSeason,
     clearTeam,
     loading,
     isInitialized,
@@ -76,6 +105,8 @@ export const useTeamContext = () => {
     return {
       selectedTeamId: null,
       selectTeam: () => Promise.resolve(),
+      selectedSeasonId: null,
+      selectSeason: () => Promise.resolve(),
       clearTeam: () => Promise.resolve(),
       loading: false,
       isInitialized: false,
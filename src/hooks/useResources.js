@@ -1,5 +1,20 @@
 import { useState, useCallback } from "react";
-import { playerApi, teamApi, matchApi, statsApi } from "../services/api";
+import {
+  playerApi,
+  teamApi,
+  matchApi,
+  matchEventApi,
+  availabilityApi,
+  competitionApi,
+  trainingApi,
+  opponentApi,
+  venueApi,
+  teamMemberApi,
+  invitationApi,
+  guardianApi,
+  trashApi,
+  statsApi,
+} from "../services/api";
 import useApi from "./useApi";
 import { CacheInvalidationStrategies } from "../utils/cacheManager";
 
@@ -385,8 +400,9 @@ export const useMatches = (teamId = null, options = {}) => {
     [updateData, matches]
   );
 
+  // scope: "series" also cancels the rest of the match's series
   const removeMatch = useCallback(
-    async (id) => {
+    async (id, scope) => {
       // Store original matches for rollback
       const originalMatches = matches;
 
@@ -397,7 +413,13 @@ export const useMatches = (teamId = null, options = {}) => {
       }));
 
       try {
-        await matchApi.delete(id);
+        await matchApi.delete(id, scope);
+
+        // The rest of the series went too
+        if (scope === "series") {
+          CacheInvalidationStrategies.onRelatedUpdate(["matches", "dashboard"]);
+          await refetch();
+        }
       } catch (err) {
         // Rollback on error: Restore removed match
         updateData((prev) => ({
@@ -407,7 +429,7 @@ export const useMatches = (teamId = null, options = {}) => {
         throw err;
       }
     },
-    [updateData, matches]
+    [updateData, matches, refetch]
   );
 
   return {
@@ -422,6 +444,345 @@ export const useMatches = (teamId = null, options = {}) => {
   };
 };
 
+/**
+ * Hook for loading a match's event timeline
+ */
+export const useMatchEvents = (matchId) => {
+  const { data, loading, error, refetch, updateData } = useApi(
+    () => matchEventApi.getAll(matchId),
+    !!matchId,
+    [matchId],
+    {
+      enableCache: true,
+      ttl: 2 * 60 * 1000, // 2 minutes
+      cacheKey: `matches-events-${matchId}`,
+    }
+  );
+  const events = data?.events || [];
+
+  const saveEvents = useCallback(
+    async (newEvents) => {
+      // Replaces the whole log; the server re-derives player stat totals
+      const response = await matchEventApi.replaceAll(matchId, newEvents);
+
+      updateData((prev) => ({
+        ...prev,
+        events: response.events,
+      }));
+
+      return response.events;
+    },
+    [matchId, updateData]
+  );
+
+  return {
+    events,
+    loading,
+    error,
+    saveEvents,
+    refetch,
+  };
+};
+
+/**
+ * Hook for players' availability for a match, keyed by player ID
+ * Not cached: guardians answer from their own devices and links.
+ */
+export const useMatchAvailability = (matchId) => {
+  const { data, loading, error, refetch, updateData } = useApi(
+    () => availabilityApi.getForMatch(matchId),
+    !!matchId,
+    [matchId]
+  );
+  const availability = data?.availability || [];
+  const availabilityByPlayer = Object.fromEntries(
+    availability.map((entry) => [entry.playerId, entry])
+  );
+
+  const requestAvailability = useCallback(
+    async (options) => {
+      const response = await availabilityApi.request(matchId, options);
+
+      updateData((prev) => ({
+        ...prev,
+        availability: response.availability,
+      }));
+
+      return response;
+    },
+    [matchId, updateData]
+  );
+
+  // Coaches record answers given another way (in person, by message)
+  const setAvailability = useCallback(
+    async (playerId, status) => {
+      const response = await availabilityApi.respond(
+        matchId,
+        playerId,
+        status
+      );
+
+      updateData((prev) => {
+        const others = (prev?.availability || []).filter(
+          (entry) => entry.playerId !== playerId
+        );
+        const existing = prev?.availability?.find(
+          (entry) => entry.playerId === playerId
+        );
+        return {
+          ...prev,
+          availability: [
+            ...others,
+            { ...existing, ...response.availability },
+          ],
+        };
+      });
+
+      return response.availability;
+    },
+    [matchId, updateData]
+  );
+
+  return {
+    availability,
+    availabilityByPlayer,
+    loading,
+    error,
+    requestAvailability,
+    setAvailability,
+    refetch,
+  };
+};
+
+/**
+ * Hook for loading a team's competitions (optionally for one season)
+ */
+export const useCompetitions = (teamId, seasonId = null) => {
+  const { data, loading, error, refetch } = useApi(
+    () => competitionApi.getForTeam(teamId, seasonId),
+    !!teamId,
+    [teamId, seasonId],
+    {
+      enableCache: true,
+      ttl: 5 * 60 * 1000, // 5 minutes
+      cacheKey: `competitions-${teamId}-${seasonId || "all"}`,
+    }
+  );
+
+  return {
+    competitions: data?.competitions || [],
+    loading,
+    error,
+    refetch,
+  };
+};
+
+/**
+ * Hook for loading a team's training sessions (or only upcoming ones)
+ */
+export const useTrainingSessions = (teamId, upcoming = false) => {
+  const { data, loading, error, refetch } = useApi(
+    () => trainingApi.getForTeam(teamId, upcoming),
+    !!teamId,
+    [teamId, upcoming],
+    {
+      enableCache: true,
+      ttl: 2 * 60 * 1000, // 2 minutes
+      cacheKey: `training-${teamId}-${upcoming ? "upcoming" : "all"}`,
+    }
+  );
+
+  return {
+    sessions: data?.sessions || [],
+    loading,
+    error,
+    refetch,
+  };
+};
+
+/**
+ * Hook for loading a training session with its register
+ */
+export const useTrainingSession = (sessionId) => {
+  const { data, loading, error, refetch } = useApi(
+    () => trainingApi.get(sessionId),
+    !!sessionId,
+    [sessionId]
+  );
+
+  return {
+    session: data?.session || null,
+    loading,
+    error,
+    refetch,
+  };
+};
+
+/**
+ * Hook for loading a team's training attendance (optionally for one season)
+ */
+export const useAttendanceReport = (teamId, seasonId = null) => {
+  const { data, loading, error, refetch } = useApi(
+    () => trainingApi.getAttendanceReport(teamId, seasonId),
+    !!teamId,
+    [teamId, seasonId],
+    {
+      enableCache: true,
+      ttl: 2 * 60 * 1000, // 2 minutes
+      cacheKey: `attendance-${teamId}-${seasonId || "all"}`,
+    }
+  );
+
+  return {
+    sessionCount: data?.sessionCount || 0,
+    players: data?.players || [],
+    loading,
+    error,
+    refetch,
+  };
+};
+
+/**
+ * Hook for loading the user's opponents (for autocomplete and management)
+ * With a teamId, loads the team owner's opponents so members share them.
+ */
+export const useOpponents = (teamId = null) => {
+  const { data, loading, error, refetch } = useApi(
+    () => opponentApi.getAll(null, teamId),
+    true,
+    [teamId],
+    {
+      enableCache: true,
+      ttl: 5 * 60 * 1000, // 5 minutes
+      cacheKey: `opponents-${teamId || "all"}`,
+    }
+  );
+
+  return {
+    opponents: data?.opponents || [],
+    loading,
+    error,
+    refetch,
+  };
+};
+
+/**
+ * Hook for loading the user's venues (for match pickers and management)
+ * With a teamId, loads the team owner's venues so members share them.
+ */
+export const useVenues = (teamId = null) => {
+  const { data, loading, error, refetch } = useApi(
+    () => venueApi.getAll(teamId),
+    true,
+    [teamId],
+    {
+      enableCache: true,
+      ttl: 5 * 60 * 1000, // 5 minutes
+      cacheKey: `venues-${teamId || "all"}`,
+    }
+  );
+
+  return {
+    venues: data?.venues || [],
+    loading,
+    error,
+    refetch,
+  };
+};
+
+/**
+ * Hook for loading a team's members and, for owners, pending invitations
+ */
+export const useTeamMembers = (teamId, isOwner = false) => {
+  const { data, loading, error, refetch } = useApi(
+    async () => {
+      const [members, invitations] = await Promise.all([
+        teamMemberApi.getAll(teamId),
+        isOwner ? invitationApi.getForTeam(teamId) : null,
+      ]);
+      return {
+        members: members.members,
+        invitations: invitations?.invitations || [],
+      };
+    },
+    !!teamId,
+    [teamId, isOwner]
+  );
+
+  return {
+    members: data?.members || [],
+    invitations: data?.invitations || [],
+    loading,
+    error,
+    refetch,
+  };
+};
+
+/**
+ * Hook for loading a guardian's linked player and their own match stats
+ */
+export const useGuardianPlayer = (playerId) => {
+  const { data, loading, error, refetch } = useApi(
+    () => guardianApi.getPlayer(playerId),
+    !!playerId,
+    [playerId],
+    {
+      enableCache: true,
+      ttl: 2 * 60 * 1000, // 2 minutes
+      cacheKey: `guardian-player-${playerId}`,
+    }
+  );
+
+  return {
+    player: data?.player || null,
+    matches: data?.matches || [],
+    loading,
+    error,
+    refetch,
+  };
+};
+
+/**
+ * Hook for loading a player's guardians and pending guardian invitations
+ */
+export const usePlayerGuardians = (playerId) => {
+  const { data, loading, error, refetch } = useApi(
+    () => guardianApi.getForPlayer(playerId),
+    !!playerId,
+    [playerId]
+  );
+
+  return {
+    guardians: data?.guardians || [],
+    invitations: data?.invitations || [],
+    loading,
+    error,
+    refetch,
+  };
+};
+
+/**
+ * Hook for loading the deleted teams, players and matches the user can
+ * restore (never cached, so restores show straight away)
+ */
+export const useTrash = () => {
+  const { data, loading, error, refetch } = useApi(
+    () => trashApi.getAll(),
+    true,
+    []
+  );
+
+  return {
+    teams: data?.teams || [],
+    players: data?.players || [],
+    matches: data?.matches || [],
+    retentionDays: data?.retentionDays || null,
+    loading,
+    error,
+    refetch,
+  };
+};
+
 /**
  * Hook for getting user statistics
  */
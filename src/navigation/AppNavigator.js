@@ -3,6 +3,7 @@ import { View, Text, ActivityIndicator, StyleSheet } from "react-native";
 import { NavigationContainer } from "@react-navigation/native";
 import { createNativeStackNavigator } from "@react-navigation/native-stack";
 import { createBottomTabNavigator } from "@react-navigation/bottom-tabs";
+import * as Linking from "expo-linking";
 import { useAuth, useUser } from "@clerk/clerk-expo";
 import { Ionicons } from "@expo/vector-icons";
 import { usePostHog } from "posthog-react-native";
@@ -23,39 +24,66 @@ import LiveMatchScreen from "../screens/LiveMatchScreen";
 import EditMatchScreen from "../screens/EditMatchScreen";
 import AddMatchScreen from "../screens/AddMatchScreen";
 import AddTeamScreen from "../screens/AddTeamScreen";
+import LineupScreen from "../screens/LineupScreen";
+import NewSeasonScreen from "../screens/NewSeasonScreen";
+import CompetitionsScreen from "../screens/CompetitionsScreen";
+import CompetitionTableScreen from "../screens/CompetitionTableScreen";
+import OpponentsScreen from "../screens/OpponentsScreen";
+import HeadToHeadScreen from "../screens/HeadToHeadScreen";
+import VenuesScreen from "../screens/VenuesScreen";
+import TrainingScreen from "../screens/TrainingScreen";
+import TrainingAttendanceScreen from "../screens/TrainingAttendanceScreen";
+import AttendanceReportScreen from "../screens/AttendanceReportScreen";
+import TeamMembersScreen from "../screens/TeamMembersScreen";
+import JoinTeamScreen from "../screens/JoinTeamScreen";
+import PlayerGuardiansScreen from "../screens/PlayerGuardiansScreen";
+import GuardianHomeScreen from "../screens/GuardianHomeScreen";
+import RecentlyDeletedScreen from "../screens/RecentlyDeletedScreen";
 import SignInScreen from "../screens/SignInScreen";
 import SignUpScreen from "../screens/SignUpScreen";
 import { COLORS } from "../config/constants";
 import { useTheme } from "../contexts/ThemeContext";
+import { useGuardian } from "../contexts/GuardianContext";
 
 const Stack = createNativeStackNavigator();
 const Tab = createBottomTabNavigator();
 
+// Invite links (matchtrackermobile://invite/<token>) open the join screen
+const linking = {
+  prefixes: [Linking.createURL("/")],
+  config: {
+    screens: {
+      JoinTeam: "invite/:token",
+    },
+  },
+};
+
+// Shared look for the bottom tab navigators
+const getTabScreenOptions = (theme) => ({
+  tabBarActiveTintColor: theme.primary,
+  tabBarInactiveTintColor: theme.textSecondary,
+  tabBarStyle: {
+    backgroundColor: theme.cardBackground,
+    borderTopWidth: 1,
+    borderTopColor: theme.border,
+    paddingBottom: 15,
+    paddingTop: 5,
+    height: 70,
+  },
+  headerStyle: {
+    backgroundColor: theme.primary,
+  },
+  headerTintColor: "#fff",
+  headerTitleStyle: {
+    fontWeight: "bold",
+  },
+});
+
 // Bottom Tab Navigator for main screens
 const TabNavigator = () => {
   const { theme } = useTheme();
   return (
-    <Tab.Navigator
-      screenOptions={{
-        tabBarActiveTintColor: theme.primary,
-        tabBarInactiveTintColor: theme.textSecondary,
-        tabBarStyle: {
-          backgroundColor: theme.cardBackground,
-          borderTopWidth: 1,
-          borderTopColor: theme.border,
-          paddingBottom: 15,
-          paddingTop: 5,
-          height: 70,
-        },
-        headerStyle: {
-          backgroundColor: theme.primary,
-        },
-        headerTintColor: "#fff",
-        headerTitleStyle: {
-          fontWeight: "bold",
-        },
-      }}
-    >
+    <Tab.Navigator screenOptions={getTabScreenOptions(theme)}>
       <Tab.Screen
         name="Home"
         component={HomeScreen}
@@ -115,10 +143,43 @@ const TabNavigator = () => {
   );
 };
 
+// Bottom Tab Navigator for parents and guardians, who only see the
+// players they follow
+const GuardianTabNavigator = () => {
+  const { theme } = useTheme();
+  return (
+    <Tab.Navigator screenOptions={getTabScreenOptions(theme)}>
+      <Tab.Screen
+        name="GuardianHome"
+        component={GuardianHomeScreen}
+        options={{
+          title: "My Players",
+          tabBarLabel: "My Players",
+          tabBarIcon: ({ color, size }) => (
+            <Ionicons name="person" size={size} color={color} />
+          ),
+        }}
+      />
+      <Tab.Screen
+        name="Settings"
+        component={SettingsScreen}
+        options={{
+          title: "Settings",
+          tabBarLabel: "Settings",
+          tabBarIcon: ({ color, size }) => (
+            <Ionicons name="settings" size={size} color={color} />
+          ),
+        }}
+      />
+    </Tab.Navigator>
+  );
+};
+
 const AppNavigator = () => {
   const { theme } = useTheme();
   const { isSignedIn, isLoaded, getToken } = useAuth();
   const { user } = useUser();
+  const { isGuardianMode, loading: guardianLoading } = useGuardian();
   const posthog = usePostHog();
   const navigationRef = useRef();
   const notificationListeners = useRef();
@@ -177,8 +238,23 @@ const AppNavigator = () => {
           // Handle notification tapped (navigate to match details)
           (response) => {
             console.log("👆 Notification tapped, processing...");
-            const matchId = response.notification.request.content.data?.matchId;
+            const data = response.notification.request.content.data;
+            const matchId = data?.matchId;
             console.log("   Match ID from notification:", matchId);
+
+            // Availability requests are answered from the home screen
+            if (data?.type === "availability_request") {
+              navigationRef.current?.navigate("Main");
+              return;
+            }
+
+            // Training reminders open the session's register
+            if (data?.type === "training_reminder") {
+              navigationRef.current?.navigate("TrainingAttendance", {
+                sessionId: data.trainingSessionId,
+              });
+              return;
+            }
             console.log(
               "   Navigation ref available:",
               !!navigationRef.current
@@ -210,8 +286,9 @@ const AppNavigator = () => {
     }
   }, [isSignedIn]);
 
-  // Show loading screen while Clerk initializes
-  if (!isLoaded) {
+  // Show loading screen while Clerk initializes and, once signed in, until
+  // we know whether to show the guardian view
+  if (!isLoaded || (isSignedIn && guardianLoading)) {
     return (
       <View
         style={[styles.loadingContainer, { backgroundColor: theme.background }]}
@@ -226,7 +303,7 @@ const AppNavigator = () => {
   }
 
   return (
-    <NavigationContainer ref={navigationRef}>
+    <NavigationContainer ref={navigationRef} linking={linking}>
       <Stack.Navigator
         screenOptions={{
           headerStyle: {
@@ -253,6 +330,25 @@ const AppNavigator = () => {
               options={{ headerShown: false }}
             />
           </>
+        ) : isGuardianMode ? (
+          // Guardian Stack - Show for users who only follow players
+          <>
+            <Stack.Screen
+              name="Main"
+              component={GuardianTabNavigator}
+              options={{ headerShown: false }}
+            />
+            <Stack.Screen
+              name="PlayerStats"
+              component={PlayerStatsScreen}
+              options={{ title: "Player Statistics" }}
+            />
+            <Stack.Screen
+              name="JoinTeam"
+              component={JoinTeamScreen}
+              options={{ title: "Join a Team" }}
+            />
+          </>
         ) : (
           // App Stack - Show when logged in
           <>
@@ -291,6 +387,76 @@ const AppNavigator = () => {
               component={AddTeamScreen}
               options={{ title: "Add Team" }}
             />
+            <Stack.Screen
+              name="Lineup"
+              component={LineupScreen}
+              options={{ title: "Lineup" }}
+            />
+            <Stack.Screen
+              name="NewSeason"
+              component={NewSeasonScreen}
+              options={{ title: "New Season" }}
+            />
+            <Stack.Screen
+              name="Competitions"
+              component={CompetitionsScreen}
+              options={{ title: "Competitions" }}
+            />
+            <Stack.Screen
+              name="CompetitionTable"
+              component={CompetitionTableScreen}
+              options={{ title: "Table" }}
+            />
+            <Stack.Screen
+              name="Opponents"
+              component={OpponentsScreen}
+              options={{ title: "Opponents" }}
+            />
+            <Stack.Screen
+              name="HeadToHead"
+              component={HeadToHeadScreen}
+              options={{ title: "Head-to-Head" }}
+            />
+            <Stack.Screen
+              name="Venues"
+              component={VenuesScreen}
+              options={{ title: "Venues" }}
+            />
+            <Stack.Screen
+              name="Training"
+              component={TrainingScreen}
+              options={{ title: "Training" }}
+            />
+            <Stack.Screen
+              name="TrainingAttendance"
+              component={TrainingAttendanceScreen}
+              options={{ title: "Attendance" }}
+            />
+            <Stack.Screen
+              name="AttendanceReport"
+              component={AttendanceReportScreen}
+              options={{ title: "Attendance Report" }}
+            />
+            <Stack.Screen
+              name="TeamMembers"
+              component={TeamMembersScreen}
+              options={{ title: "Team Members" }}
+            />
+            <Stack.Screen
+              name="PlayerGuardians"
+              component={PlayerGuardiansScreen}
+              options={{ title: "Parents & Guardians" }}
+            />
+            <Stack.Screen
+              name="JoinTeam"
+              component={JoinTeamScreen}
+              options={{ title: "Join a Team" }}
+            />
+            <Stack.Screen
+              name="RecentlyDeleted"
+              component={RecentlyDeletedScreen}
+              options={{ title: "Recently Deleted" }}
+            />
           </>
         )}
       </Stack.Navigator>
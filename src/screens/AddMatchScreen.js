@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import {
   View,
   Text,
@@ -9,40 +9,76 @@ import {
   Alert,
   ActivityIndicator,
   Platform,
+  Switch,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import DateTimePicker from "@react-native-community/datetimepicker";
-import { usePlayers, useTeams } from "../hooks/useResources";
+import { useFocusEffect } from "@react-navigation/native";
+import {
+  usePlayers,
+  useTeams,
+  useCompetitions,
+  useOpponents,
+  useVenues,
+} from "../hooks/useResources";
 import { useTeamContext } from "../contexts/TeamContext";
 import { useTheme } from "../contexts/ThemeContext";
-import { matchApi } from "../services/api";
+import { matchApi, availabilityApi } from "../services/api";
 import { COLORS, FONTS, MATCH_TYPES, VENUE_TYPES } from "../config/constants";
+import PeriodFormatEditor from "../components/PeriodFormatEditor";
+import CompetitionPicker from "../components/CompetitionPicker";
+import OpponentInput from "../components/OpponentInput";
+import VenuePicker from "../components/VenuePicker";
+import RecurrenceEditor from "../components/RecurrenceEditor";
+import PlayerAvatar from "../components/PlayerAvatar";
+import { toRecurrencePayload } from "../utils/eventSeries";
+import {
+  getSquadTeamIds,
+  withTeamShirtNumbers,
+} from "../utils/playerProfile";
 
 const AddMatchScreen = ({ navigation }) => {
   const { theme } = useTheme();
   const { selectedTeamId } = useTeamContext();
   const { players, loading: playersLoading } = usePlayers(selectedTeamId);
   const { teams, loading: teamsLoading } = useTeams();
+  const { competitions } = useCompetitions(selectedTeamId);
+  const { opponents } = useOpponents(selectedTeamId);
+  const { venues, refetch: refetchVenues } = useVenues(selectedTeamId);
   const [saving, setSaving] = useState(false);
 
+  // Pick up grounds added on the Venues screen
+  useFocusEffect(
+    useCallback(() => {
+      refetchVenues();
+    }, [refetchVenues])
+  );
+
   // Form state
   const [formData, setFormData] = useState({
     opponent: "",
     date: new Date(),
     matchType: MATCH_TYPES.LEAGUE,
+    competitionId: null,
     venue: VENUE_TYPES.HOME,
+    venueId: null,
     notes: "",
     selectedPlayerIds: [],
     playerOfTheMatchId: null,
     isFinished: false,
     goalsFor: "",
     goalsAgainst: "",
+    periodFormat: null, // null = use the team's format
   });
 
   const [playerStats, setPlayerStats] = useState({});
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [showTimePicker, setShowTimePicker] = useState(false);
   const [errors, setErrors] = useState([]);
+  // Ask the squad's parents and guardians who can play once it's scheduled
+  const [askAvailability, setAskAvailability] = useState(false);
+  // null for a one-off fixture
+  const [recurrence, setRecurrence] = useState(null);
 
   const togglePlayerSelection = (playerId) => {
     setFormData((prev) => {
@@ -169,9 +205,10 @@ const AddMatchScreen = ({ navigation }) => {
         const teamCounts = {};
         formData.selectedPlayerIds.forEach((playerId) => {
           const player = players.find((p) => p.id === playerId);
-          if (player?.teamId) {
-            teamCounts[player.teamId] = (teamCounts[player.teamId] || 0) + 1;
-          }
+          // Count every squad the player is in, not just their main team
+          (player ? getSquadTeamIds(player) : []).forEach((squadTeamId) => {
+            teamCounts[squadTeamId] = (teamCounts[squadTeamId] || 0) + 1;
+          });
         });
 
         // Get the teamId with the most players
@@ -182,11 +219,22 @@ const AddMatchScreen = ({ navigation }) => {
         }
       }
 
-      await matchApi.create({
+      // A competition only applies while its match type is selected
+      const competition = competitions.find(
+        (c) =>
+          c.id === formData.competitionId && c.type === formData.matchType
+      );
+
+      // Every fixture in a series is created up front; the first comes back
+      const isSeries = !!recurrence && !formData.isFinished && !!teamId;
+
+      const response = await matchApi.create({
         opponent: formData.opponent.trim(),
         date: formData.date.toISOString(),
         matchType: formData.matchType,
+        competitionId: competition?.id,
         venue: formData.venue,
+        venueId: formData.venueId || undefined,
         notes: formData.notes.trim() || undefined,
         selectedPlayerIds: formData.selectedPlayerIds,
         playerOfTheMatchId: formData.playerOfTheMatchId || undefined,
@@ -195,12 +243,50 @@ const AddMatchScreen = ({ navigation }) => {
         goalsAgainst: formData.isFinished ? Number(formData.goalsAgainst) : 0,
         teamId: teamId || undefined,
         playerStats: playerStatsArray,
+        periodFormat: formData.periodFormat || undefined,
+        recurrence: isSeries ? toRecurrencePayload(recurrence) : undefined,
       });
 
+      if (askAvailability && !formData.isFinished && teamId) {
+        // The match is saved either way; availability can be asked again
+        // from Edit Match
+        let requested = true;
+        try {
+          await availabilityApi.request(response.match.id, {
+            push: true,
+            email: true,
+          });
+        } catch (error) {
+          console.error("Failed to request availability:", error);
+          requested = false;
+        }
+
+        Alert.alert(
+          "Match Scheduled",
+          requested
+            ? "Availability requested. Answers appear next to each player in Edit Match."
+            : "The match was saved but asking for availability failed. Try again from Edit Match.",
+          [
+            { text: "Done", onPress: () => navigation.goBack() },
+            {
+              text: "Edit Match",
+              onPress: () =>
+                navigation.replace("EditMatch", {
+                  matchId: response.match.id,
+                  match: response.match,
+                }),
+            },
+          ]
+        );
+        return;
+      }
+
       Alert.alert(
         "Success",
         formData.isFinished
           ? "Historic match added successfully"
+          : isSeries
+          ? "Repeating fixtures scheduled successfully"
           : "Match scheduled successfully",
         [
           {
@@ -256,6 +342,7 @@ const AddMatchScreen = ({ navigation }) => {
   return (
     <ScrollView
       style={[styles.container, { backgroundColor: theme.background }]}
+      keyboardShouldPersistTaps="handled"
     >
       <View style={[styles.header, { backgroundColor: theme.primary }]}>
         <Text style={styles.title}>Add Match</Text>
@@ -296,8 +383,8 @@ const AddMatchScreen = ({ navigation }) => {
           <Text style={[styles.label, { color: theme.text }]}>
             Opponent Team *
           </Text>
-          <TextInput
-            style={[
+          <OpponentInput
+            inputStyle={[
               styles.input,
               {
                 backgroundColor: theme.cardBackground,
@@ -309,8 +396,7 @@ const AddMatchScreen = ({ navigation }) => {
             onChangeText={(text) =>
               setFormData((prev) => ({ ...prev, opponent: text }))
             }
-            placeholder="Enter opponent team name"
-            placeholderTextColor={theme.textSecondary}
+            opponents={opponents}
           />
         </View>
 
@@ -472,6 +558,14 @@ const AddMatchScreen = ({ navigation }) => {
               </Text>
             </TouchableOpacity>
           </View>
+          <CompetitionPicker
+            competitions={competitions}
+            matchType={formData.matchType}
+            value={formData.competitionId}
+            onChange={(competitionId) =>
+              setFormData((prev) => ({ ...prev, competitionId }))
+            }
+          />
         </View>
 
         {/* Venue */}
@@ -539,6 +633,14 @@ const AddMatchScreen = ({ navigation }) => {
               </Text>
             </TouchableOpacity>
           </View>
+          <VenuePicker
+            venues={venues}
+            value={formData.venueId}
+            onChange={(venueId) =>
+              setFormData((prev) => ({ ...prev, venueId }))
+            }
+            onManage={() => navigation.navigate("Venues")}
+          />
         </View>
 
         {/* Match Status */}
@@ -623,6 +725,39 @@ const AddMatchScreen = ({ navigation }) => {
           </View>
         </View>
 
+        {/* Match Format (only for scheduled matches) */}
+        {!formData.isFinished && (
+          <View style={styles.formGroup}>
+            <Text style={[styles.label, { color: theme.text }]}>
+              Match Format
+            </Text>
+            <PeriodFormatEditor
+              value={formData.periodFormat}
+              onChange={(periodFormat) =>
+                setFormData((prev) => ({ ...prev, periodFormat }))
+              }
+              inheritedFormat={
+                teams.find((team) => team.id === selectedTeamId)
+                  ?.periodFormat || null
+              }
+              inheritedLabel={
+                selectedTeamId ? "Use team format" : "Use default format"
+              }
+            />
+          </View>
+        )}
+
+        {/* Repeat (only for scheduled team matches) */}
+        {!formData.isFinished && selectedTeamId && (
+          <View style={styles.formGroup}>
+            <RecurrenceEditor
+              value={recurrence}
+              onChange={setRecurrence}
+              startDate={formData.date}
+            />
+          </View>
+        )}
+
         {/* Goals (only for finished matches) */}
         {formData.isFinished && (
           <View style={styles.goalsContainer}>
@@ -735,7 +870,7 @@ const AddMatchScreen = ({ navigation }) => {
               ]}
               nestedScrollEnabled
             >
-              {players.map((player) => (
+              {withTeamShirtNumbers(players, selectedTeamId).map((player) => (
                 <TouchableOpacity
                   key={player.id}
                   style={styles.playerItem}
@@ -758,6 +893,11 @@ const AddMatchScreen = ({ navigation }) => {
                       <Ionicons name="checkmark" size={16} color="#fff" />
                     )}
                   </View>
+                  <PlayerAvatar
+                    player={player}
+                    size={28}
+                    style={styles.playerAvatar}
+                  />
                   <Text style={[styles.playerName, { color: theme.text }]}>
                     {player.name}
                   </Text>
@@ -780,6 +920,31 @@ const AddMatchScreen = ({ navigation }) => {
           </View>
         )}
 
+        {/* Availability (scheduled matches only) */}
+        {!formData.isFinished && players.length > 0 && (
+          <View style={styles.formGroup}>
+            <View style={styles.switchRow}>
+              <View style={styles.switchInfo}>
+                <Text style={[styles.label, { color: theme.text }]}>
+                  Ask for Availability
+                </Text>
+                <Text
+                  style={[styles.helperText, { color: theme.textSecondary }]}
+                >
+                  Send the squad's parents and guardians a push notification
+                  and email asking who can play
+                </Text>
+              </View>
+              <Switch
+                value={askAvailability}
+                onValueChange={setAskAvailability}
+                trackColor={{ false: "#767577", true: theme.primary }}
+                thumbColor={askAvailability ? "#fff" : "#f4f3f4"}
+              />
+            </View>
+          </View>
+        )}
+
         {/* Player Stats (only for finished matches with selected players) */}
         {formData.isFinished && formData.selectedPlayerIds.length > 0 && (
           <View style={styles.formGroup}>
@@ -1233,6 +1398,9 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: "bold",
   },
+  playerAvatar: {
+    marginRight: 10,
+  },
   playerName: {
     flex: 1,
     fontSize: 15,
@@ -1243,6 +1411,14 @@ const styles = StyleSheet.create({
     fontSize: 13,
     color: COLORS.textSecondary,
   },
+  switchRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+  },
+  switchInfo: {
+    flex: 1,
+  },
   selectedCount: {
     fontSize: 13,
     color: COLORS.textSecondary,
@@ -16,6 +16,7 @@ import { useTeams } from "../hooks/useResources";
 import { COLORS } from "../config/constants";
 import { useTheme } from "../contexts/ThemeContext";
 import { uploadApi } from "../services/api";
+import PeriodFormatEditor from "../components/PeriodFormatEditor";
 
 const AddTeamScreen = ({ navigation, route }) => {
   const { theme } = useTheme();
@@ -24,6 +25,10 @@ const AddTeamScreen = ({ navigation, route }) => {
   const isEditing = !!editingTeam;
 
   const [teamName, setTeamName] = useState(editingTeam?.name || "");
+  const [publicName, setPublicName] = useState(editingTeam?.publicName || "");
+  const [periodFormat, setPeriodFormat] = useState(
+    editingTeam?.periodFormat || null
+  );
   const [avatarUri, setAvatarUri] = useState(editingTeam?.avatar || null);
   const [uploadingImage, setUploadingImage] = useState(false);
   const [loading, setLoading] = useState(false);
@@ -117,7 +122,9 @@ const AddTeamScreen = ({ navigation, route }) => {
     try {
       const teamData = {
         name: teamName.trim(),
+        publicName: publicName.trim(),
         avatar: avatarUri,
+        periodFormat,
       };
 
       console.log("📝 Submitting team data:", {
@@ -274,6 +281,52 @@ const AddTeamScreen = ({ navigation, route }) => {
               Give your team a memorable name
             </Text>
           </View>
+
+          {/* Public Name */}
+          <View style={styles.inputGroup}>
+            <View style={styles.labelRow}>
+              <Ionicons name="globe-outline" size={18} color={theme.primary} />
+              <Text style={[styles.label, { color: theme.text }]}>
+                Public Name
+              </Text>
+            </View>
+            <TextInput
+              style={[
+                styles.input,
+                {
+                  backgroundColor: theme.cardBackground,
+                  borderColor: theme.border,
+                  color: theme.text,
+                },
+              ]}
+              placeholder="e.g. Riverside U10s"
+              placeholderTextColor={theme.textSecondary}
+              value={publicName}
+              onChangeText={setPublicName}
+              maxLength={50}
+            />
+            <Text style={[styles.helperText, { color: theme.textSecondary }]}>
+              Shown on shared live scoreboards (optional). Team names are
+              private unless you set this.
+            </Text>
+          </View>
+
+          {/* Match Format */}
+          <View style={styles.inputGroup}>
+            <View style={styles.labelRow}>
+              <Ionicons name="timer-outline" size={18} color={theme.primary} />
+              <Text style={[styles.label, { color: theme.text }]}>
+                Match Format
+              </Text>
+            </View>
+            <PeriodFormatEditor
+              value={periodFormat}
+              onChange={setPeriodFormat}
+            />
+            <Text style={[styles.helperText, { color: theme.textSecondary }]}>
+              Used for this team's matches unless a match sets its own
+            </Text>
+          </View>
         </View>
 
         {/* Info Box */}
@@ -0,0 +1,268 @@
+import React, { useCallback, useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+} from "react-native";
+import { useFocusEffect } from "@react-navigation/native";
+import { Ionicons } from "@expo/vector-icons";
+import { useAttendanceReport } from "../hooks/useResources";
+import { useTeamContext } from "../contexts/TeamContext";
+import { useTheme } from "../contexts/ThemeContext";
+import { COLORS, FONTS } from "../config/constants";
+
+// Colour a percentage like a traffic light
+const getAttendanceColor = (percentage) => {
+  if (percentage >= 80) return COLORS.success;
+  if (percentage >= 50) return COLORS.warning;
+  return COLORS.error;
+};
+
+/**
+ * Team training attendance report
+ *
+ * Each player's share of the sessions they were marked on, for the season
+ * picked on the Home screen (or all time). Tapping a player opens their
+ * stats.
+ */
+const AttendanceReportScreen = ({ navigation }) => {
+  const { theme } = useTheme();
+  const { selectedTeamId, selectedSeasonId } = useTeamContext();
+  const { sessionCount, players, loading, refetch } = useAttendanceReport(
+    selectedTeamId,
+    selectedSeasonId
+  );
+  const [refreshing, setRefreshing] = useState(false);
+
+  useFocusEffect(
+    useCallback(() => {
+      refetch();
+    }, [refetch])
+  );
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await refetch();
+    setRefreshing(false);
+  };
+
+  const marked = players.filter((player) => player.sessions > 0);
+  const teamPercentage =
+    marked.length > 0
+      ? Math.round(
+          (marked.reduce((sum, player) => sum + player.attended, 0) /
+            marked.reduce((sum, player) => sum + player.sessions, 0)) *
+            100
+        )
+      : null;
+
+  if (!selectedTeamId) {
+    return (
+      <View
+        style={[styles.centerContainer, { backgroundColor: theme.background }]}
+      >
+        <Ionicons
+          name="bar-chart-outline"
+          size={48}
+          color={theme.textSecondary}
+        />
+        <Text style={[styles.emptyText, { color: theme.textSecondary }]}>
+          Select a team to see its attendance
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView
+      style={[styles.container, { backgroundColor: theme.background }]}
+      contentContainerStyle={styles.content}
+      refreshControl={
+        <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+      }
+    >
+      <View
+        style={[
+          styles.summaryCard,
+          { backgroundColor: theme.cardBackground, shadowColor: theme.shadow },
+        ]}
+      >
+        <View style={styles.summaryItem}>
+          <Text style={[styles.summaryValue, { color: theme.primary }]}>
+            {sessionCount}
+          </Text>
+          <Text style={[styles.summaryLabel, { color: theme.textSecondary }]}>
+            Sessions
+          </Text>
+        </View>
+        <View style={styles.summaryItem}>
+          <Text style={[styles.summaryValue, { color: theme.primary }]}>
+            {teamPercentage === null ? "-" : `${teamPercentage}%`}
+          </Text>
+          <Text style={[styles.summaryLabel, { color: theme.textSecondary }]}>
+            Team Attendance
+          </Text>
+        </View>
+      </View>
+
+      {loading && players.length === 0 ? (
+        <ActivityIndicator color={theme.primary} style={styles.loader} />
+      ) : sessionCount === 0 ? (
+        <Text style={[styles.emptyText, { color: theme.textSecondary }]}>
+          Take the register at training to see attendance here
+        </Text>
+      ) : (
+        players.map((player) => (
+          <TouchableOpacity
+            key={player.playerId}
+            style={[
+              styles.playerRow,
+              {
+                backgroundColor: theme.cardBackground,
+                shadowColor: theme.shadow,
+              },
+            ]}
+            onPress={() =>
+              navigation.navigate("PlayerStats", { playerId: player.playerId })
+            }
+          >
+            <View style={styles.playerInfo}>
+              <Text style={[styles.playerName, { color: theme.text }]}>
+                {player.name}
+              </Text>
+              <Text
+                style={[styles.playerDetail, { color: theme.textSecondary }]}
+              >
+                {player.sessions > 0
+                  ? `${player.attended} of ${player.sessions} sessions`
+                  : "Not marked yet"}
+              </Text>
+              {player.percentage !== null && (
+                <View
+                  style={[styles.barTrack, { backgroundColor: theme.border }]}
+                >
+                  <View
+                    style={[
+                      styles.barFill,
+                      {
+                        width: `${player.percentage}%`,
+                        backgroundColor: getAttendanceColor(player.percentage),
+                      },
+                    ]}
+                  />
+                </View>
+              )}
+            </View>
+            <Text
+              style={[
+                styles.percentage,
+                {
+                  color:
+                    player.percentage === null
+                      ? theme.textSecondary
+                      : getAttendanceColor(player.percentage),
+                },
+              ]}
+            >
+              {player.percentage === null ? "-" : `${player.percentage}%`}
+            </Text>
+          </TouchableOpacity>
+        ))
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 20,
+  },
+  content: {
+    padding: 15,
+  },
+  loader: {
+    marginTop: 30,
+  },
+  emptyText: {
+    fontSize: 15,
+    fontFamily: FONTS.body,
+    textAlign: "center",
+    marginTop: 10,
+  },
+  summaryCard: {
+    flexDirection: "row",
+    padding: 15,
+    borderRadius: 12,
+    marginBottom: 15,
+    elevation: 2,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  summaryItem: {
+    flex: 1,
+    alignItems: "center",
+  },
+  summaryValue: {
+    fontSize: 28,
+    fontFamily: FONTS.heading,
+  },
+  summaryLabel: {
+    fontSize: 13,
+    fontFamily: FONTS.body,
+    marginTop: 4,
+  },
+  playerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    padding: 15,
+    borderRadius: 12,
+    marginBottom: 10,
+    elevation: 2,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  playerInfo: {
+    flex: 1,
+  },
+  playerName: {
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+  },
+  playerDetail: {
+    fontSize: 13,
+    fontFamily: FONTS.body,
+    marginTop: 2,
+  },
+  barTrack: {
+    height: 6,
+    borderRadius: 3,
+    marginTop: 8,
+    overflow: "hidden",
+  },
+  barFill: {
+    height: 6,
+    borderRadius: 3,
+  },
+  percentage: {
+    fontSize: 20,
+    fontWeight: "bold",
+    minWidth: 56,
+    textAlign: "right",
+  },
+});
+
+export default AttendanceReportScreen;
@@ -0,0 +1,588 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  Modal,
+  RefreshControl,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../contexts/ThemeContext";
+import { competitionApi } from "../services/api";
+import { COLORS, FONTS } from "../config/constants";
+import { formatDate } from "../utils/helpers";
+
+const TABLE_COLUMNS = [
+  { key: "played", label: "P" },
+  { key: "won", label: "W" },
+  { key: "drawn", label: "D" },
+  { key: "lost", label: "L" },
+  { key: "goalDifference", label: "GD" },
+  { key: "points", label: "Pts" },
+];
+
+const EMPTY_RESULT = {
+  homeTeam: null,
+  awayTeam: null,
+  homeGoals: "",
+  awayGoals: "",
+};
+
+const CompetitionTableScreen = ({ navigation, route }) => {
+  const { theme } = useTheme();
+  const { competitionId } = route.params;
+
+  const [competition, setCompetition] = useState(null);
+  const [table, setTable] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [modalVisible, setModalVisible] = useState(false);
+  const [result, setResult] = useState(EMPTY_RESULT);
+  const [saving, setSaving] = useState(false);
+
+  const loadTable = useCallback(async () => {
+    try {
+      const [tableResponse, competitionResponse] = await Promise.all([
+        competitionApi.getTable(competitionId),
+        competitionApi.get(competitionId),
+      ]);
+      setTable(tableResponse.table || []);
+      setCompetition(competitionResponse.competition);
+      navigation.setOptions({ title: competitionResponse.competition.name });
+    } catch (error) {
+      console.error("Error loading competition table:", error);
+      Alert.alert("Error", "Failed to load the table");
+    } finally {
+      setLoading(false);
+    }
+  }, [competitionId, navigation]);
+
+  useEffect(() => {
+    loadTable();
+  }, [loadTable]);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await loadTable();
+    setRefreshing(false);
+  };
+
+  const closeModal = () => {
+    setModalVisible(false);
+    setResult(EMPTY_RESULT);
+  };
+
+  const handleAddResult = async () => {
+    const homeGoals = Number(result.homeGoals);
+    const awayGoals = Number(result.awayGoals);
+
+    if (!result.homeTeam || !result.awayTeam) {
+      Alert.alert("Error", "Pick the home and away clubs");
+      return;
+    }
+    if (result.homeTeam === result.awayTeam) {
+      Alert.alert("Error", "Pick two different clubs");
+      return;
+    }
+    if (
+      result.homeGoals === "" ||
+      result.awayGoals === "" ||
+      !Number.isInteger(homeGoals) ||
+      !Number.isInteger(awayGoals)
+    ) {
+      Alert.alert("Error", "Enter the score");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await competitionApi.addResult(competitionId, {
+        homeTeam: result.homeTeam,
+        awayTeam: result.awayTeam,
+        homeGoals,
+        awayGoals,
+      });
+      closeModal();
+      await loadTable();
+    } catch (error) {
+      console.error("Error adding result:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.error || "Failed to add the result"
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteResult = (item) => {
+    Alert.alert(
+      "Delete Result",
+      `Delete ${item.homeTeam} ${item.homeGoals}-${item.awayGoals} ${item.awayTeam}?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await competitionApi.deleteResult(competitionId, item.id);
+              await loadTable();
+            } catch (error) {
+              console.error("Error deleting result:", error);
+              Alert.alert("Error", "Failed to delete the result");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderClubPicker = (label, field) => (
+    <>
+      <Text style={[styles.label, { color: theme.text }]}>{label}</Text>
+      <View style={styles.chips}>
+        {competition.opponents.map((club) => {
+          const isSelected = result[field] === club;
+
+          return (
+            <TouchableOpacity
+              key={club}
+              style={[
+                styles.chip,
+                { borderColor: theme.border },
+                isSelected && {
+                  borderColor: theme.primary,
+                  backgroundColor: theme.primary,
+                },
+              ]}
+              onPress={() => setResult((prev) => ({ ...prev, [field]: club }))}
+            >
+              <Text
+                style={[
+                  styles.chipText,
+                  { color: isSelected ? "#fff" : theme.text },
+                ]}
+              >
+                {club}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+    </>
+  );
+
+  const renderGoalsInput = (field) => (
+    <TextInput
+      style={[
+        styles.input,
+        styles.goalsInput,
+        {
+          backgroundColor: theme.background,
+          borderColor: theme.border,
+          color: theme.text,
+        },
+      ]}
+      keyboardType="number-pad"
+      placeholder="0"
+      placeholderTextColor={theme.textSecondary}
+      value={result[field]}
+      onChangeText={(text) => setResult((prev) => ({ ...prev, [field]: text }))}
+      maxLength={2}
+    />
+  );
+
+  if (loading) {
+    return (
+      <View
+        style={[styles.centerContainer, { backgroundColor: theme.background }]}
+      >
+        <ActivityIndicator size="large" color={theme.primary} />
+      </View>
+    );
+  }
+
+  if (!competition) {
+    return (
+      <View
+        style={[styles.centerContainer, { backgroundColor: theme.background }]}
+      >
+        <Text style={[styles.emptyText, { color: theme.textSecondary }]}>
+          Competition not found
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScrollView
+        style={styles.content}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+      >
+        {/* Standings */}
+        <View
+          style={[styles.section, { backgroundColor: theme.cardBackground }]}
+        >
+          <Text style={[styles.sectionTitle, { color: theme.text }]}>
+            Table
+          </Text>
+          <View style={[styles.tableRow, { borderBottomColor: theme.border }]}>
+            <Text style={[styles.positionCell, styles.headerCell]}>#</Text>
+            <Text style={[styles.nameCell, styles.headerCell]}>Club</Text>
+            {TABLE_COLUMNS.map((column) => (
+              <Text
+                key={column.key}
+                style={[styles.statCell, styles.headerCell]}
+              >
+                {column.label}
+              </Text>
+            ))}
+          </View>
+          {table.map((row) => (
+            <View
+              key={`${row.position}-${row.name}`}
+              style={[
+                styles.tableRow,
+                { borderBottomColor: theme.border },
+                row.isOwnTeam && { backgroundColor: `${theme.primary}20` },
+              ]}
+            >
+              <Text style={[styles.positionCell, { color: theme.text }]}>
+                {row.position}
+              </Text>
+              <Text
+                style={[
+                  styles.nameCell,
+                  { color: theme.text },
+                  row.isOwnTeam && styles.ownTeamText,
+                ]}
+                numberOfLines={1}
+              >
+                {row.name}
+              </Text>
+              {TABLE_COLUMNS.map((column) => (
+                <Text
+                  key={column.key}
+                  style={[
+                    styles.statCell,
+                    { color: theme.text },
+                    column.key === "points" && styles.pointsCell,
+                  ]}
+                >
+                  {row[column.key]}
+                </Text>
+              ))}
+            </View>
+          ))}
+          <Text style={[styles.helperText, { color: theme.textSecondary }]}>
+            {competition.pointsForWin} points for a win,{" "}
+            {competition.pointsForDraw} for a draw and{" "}
+            {competition.pointsForLoss} for a loss
+          </Text>
+        </View>
+
+        {/* Other Results */}
+        <View
+          style={[styles.section, { backgroundColor: theme.cardBackground }]}
+        >
+          <View style={styles.sectionHeader}>
+            <Text style={[styles.sectionTitle, { color: theme.text }]}>
+              Other Results
+            </Text>
+            {competition.opponents.length >= 2 && (
+              <TouchableOpacity
+                style={styles.addResultButton}
+                onPress={() => setModalVisible(true)}
+              >
+                <Ionicons name="add-circle" size={20} color={theme.primary} />
+                <Text style={[styles.addResultText, { color: theme.primary }]}>
+                  Add Result
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          {competition.results.length === 0 ? (
+            <Text style={[styles.helperText, { color: theme.textSecondary }]}>
+              Add results between the other clubs to complete the table
+            </Text>
+          ) : (
+            competition.results.map((item) => (
+              <View
+                key={item.id}
+                style={[styles.resultRow, { borderBottomColor: theme.border }]}
+              >
+                <View style={styles.resultInfo}>
+                  <Text style={[styles.resultText, { color: theme.text }]}>
+                    {item.homeTeam} {item.homeGoals} - {item.awayGoals}{" "}
+                    {item.awayTeam}
+                  </Text>
+                  <Text
+                    style={[styles.resultDate, { color: theme.textSecondary }]}
+                  >
+                    {formatDate(item.date)}
+                  </Text>
+                </View>
+                <TouchableOpacity onPress={() => handleDeleteResult(item)}>
+                  <Ionicons name="trash" size={18} color={COLORS.error} />
+                </TouchableOpacity>
+              </View>
+            ))
+          )}
+        </View>
+      </ScrollView>
+
+      {/* Add Result Modal */}
+      <Modal
+        visible={modalVisible}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={closeModal}
+      >
+        <View style={styles.modalOverlay}>
+          <View
+            style={[
+              styles.modalContent,
+              { backgroundColor: theme.cardBackground },
+            ]}
+          >
+            <ScrollView>
+              <Text style={[styles.modalTitle, { color: theme.text }]}>
+                Add Result
+              </Text>
+
+              {renderClubPicker("Home", "homeTeam")}
+              {renderClubPicker("Away", "awayTeam")}
+
+              <Text style={[styles.label, { color: theme.text }]}>Score</Text>
+              <View style={styles.scoreRow}>
+                {renderGoalsInput("homeGoals")}
+                <Text style={[styles.scoreDivider, { color: theme.text }]}>
+                  -
+                </Text>
+                {renderGoalsInput("awayGoals")}
+              </View>
+
+              <View style={styles.modalButtons}>
+                <TouchableOpacity
+                  style={[styles.modalButton, styles.cancelButton]}
+                  onPress={closeModal}
+                >
+                  <Text style={styles.buttonText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[
+                    styles.modalButton,
+                    { backgroundColor: theme.primary },
+                    saving && styles.buttonDisabled,
+                  ]}
+                  onPress={handleAddResult}
+                  disabled={saving}
+                >
+                  {saving ? (
+                    <ActivityIndicator color="#fff" />
+                  ) : (
+                    <Text style={styles.buttonText}>Add</Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  content: {
+    flex: 1,
+  },
+  emptyText: {
+    fontSize: 15,
+    fontFamily: FONTS.body,
+  },
+  section: {
+    backgroundColor: "#fff",
+    padding: 15,
+    marginBottom: 15,
+  },
+  sectionHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: COLORS.text,
+    marginBottom: 12,
+  },
+  tableRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+  },
+  headerCell: {
+    color: COLORS.textSecondary,
+    fontWeight: "600",
+  },
+  positionCell: {
+    width: 24,
+    fontSize: 14,
+    textAlign: "center",
+  },
+  nameCell: {
+    flex: 1,
+    fontSize: 14,
+    paddingHorizontal: 6,
+  },
+  ownTeamText: {
+    fontWeight: "bold",
+  },
+  statCell: {
+    width: 32,
+    fontSize: 14,
+    textAlign: "center",
+  },
+  pointsCell: {
+    fontWeight: "bold",
+  },
+  helperText: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    marginTop: 8,
+  },
+  addResultButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    marginBottom: 12,
+  },
+  addResultText: {
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  resultRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+  },
+  resultInfo: {
+    flex: 1,
+  },
+  resultText: {
+    fontSize: 15,
+    fontWeight: "500",
+  },
+  resultDate: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  modalContent: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 20,
+    width: "90%",
+    maxWidth: 400,
+    maxHeight: "85%",
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: "bold",
+    color: COLORS.text,
+    marginBottom: 10,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.text,
+    marginTop: 15,
+    marginBottom: 8,
+  },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  chipText: {
+    fontSize: 14,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.gray[300],
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  scoreRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+  },
+  goalsInput: {
+    flex: 1,
+    textAlign: "center",
+  },
+  scoreDivider: {
+    fontSize: 20,
+    fontWeight: "bold",
+  },
+  modalButtons: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: 20,
+  },
+  modalButton: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 8,
+    alignItems: "center",
+    marginHorizontal: 5,
+  },
+  cancelButton: {
+    backgroundColor: COLORS.warning,
+  },
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+});
+
+export default CompetitionTableScreen;
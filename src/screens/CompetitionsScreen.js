@@ -0,0 +1,596 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  Modal,
+  RefreshControl,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useCompetitions } from "../hooks/useResources";
+import { useTeamContext } from "../contexts/TeamContext";
+import { useTheme } from "../contexts/ThemeContext";
+import { competitionApi } from "../services/api";
+import { COLORS, FONTS } from "../config/constants";
+import { CacheInvalidationStrategies } from "../utils/cacheManager";
+
+const EMPTY_FORM = {
+  name: "",
+  type: "league",
+  pointsForWin: "3",
+  pointsForDraw: "1",
+  pointsForLoss: "0",
+  opponents: "",
+};
+
+// One club per line, blank lines and repeats dropped
+const parseOpponents = (text) => {
+  const seen = new Set();
+  return text
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((name) => {
+      const key = name.toLowerCase();
+      if (!name || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+const CompetitionsScreen = ({ navigation }) => {
+  const { theme } = useTheme();
+  const { selectedTeamId, selectedSeasonId } = useTeamContext();
+  const { competitions, loading, refetch } = useCompetitions(selectedTeamId);
+
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingCompetition, setEditingCompetition] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await refetch();
+    setRefreshing(false);
+  };
+
+  const openForm = (competition = null) => {
+    setEditingCompetition(competition);
+    setForm(
+      competition
+        ? {
+            name: competition.name,
+            type: competition.type,
+            pointsForWin: String(competition.pointsForWin),
+            pointsForDraw: String(competition.pointsForDraw),
+            pointsForLoss: String(competition.pointsForLoss),
+            opponents: competition.opponents.join("\n"),
+          }
+        : EMPTY_FORM
+    );
+    setModalVisible(true);
+  };
+
+  const closeForm = () => {
+    setModalVisible(false);
+    setEditingCompetition(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim()) {
+      Alert.alert("Error", "Please enter a competition name");
+      return;
+    }
+
+    const points = ["pointsForWin", "pointsForDraw", "pointsForLoss"].map(
+      (key) => Number(form[key])
+    );
+    if (points.some((value) => !Number.isInteger(value) || value < 0)) {
+      Alert.alert("Error", "Points must be whole numbers");
+      return;
+    }
+
+    const data = {
+      name: form.name.trim(),
+      type: form.type,
+      pointsForWin: points[0],
+      pointsForDraw: points[1],
+      pointsForLoss: points[2],
+      opponents: parseOpponents(form.opponents),
+    };
+
+    setSaving(true);
+    try {
+      if (editingCompetition) {
+        await competitionApi.update(editingCompetition.id, data);
+      } else {
+        await competitionApi.create(selectedTeamId, {
+          ...data,
+          seasonId: selectedSeasonId || undefined,
+        });
+      }
+
+      // Changing the type also changes the competition's matches
+      CacheInvalidationStrategies.onRelatedUpdate(["competitions", "matches"]);
+      closeForm();
+      refetch();
+    } catch (error) {
+      console.error("Error saving competition:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.error || "Failed to save the competition"
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = (competition) => {
+    Alert.alert(
+      "Delete Competition",
+      `Delete ${competition.name}? Its matches are kept, but the table and other results are removed.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await competitionApi.delete(competition.id);
+              CacheInvalidationStrategies.onRelatedUpdate([
+                "competitions",
+                "matches",
+              ]);
+              refetch();
+            } catch (error) {
+              console.error("Error deleting competition:", error);
+              Alert.alert("Error", "Failed to delete the competition");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderTypeOption = (type, label, icon) => {
+    const isSelected = form.type === type;
+
+    return (
+      <TouchableOpacity
+        style={[
+          styles.typeOption,
+          { borderColor: theme.border },
+          isSelected && {
+            borderColor: theme.primary,
+            backgroundColor: theme.primary,
+          },
+        ]}
+        onPress={() => setForm((prev) => ({ ...prev, type }))}
+      >
+        <Ionicons
+          name={icon}
+          size={16}
+          color={isSelected ? "#fff" : theme.primary}
+        />
+        <Text
+          style={[
+            styles.typeText,
+            { color: isSelected ? "#fff" : theme.text },
+          ]}
+        >
+          {label}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderPointsInput = (label, key) => (
+    <View style={styles.pointsColumn}>
+      <Text style={[styles.pointsLabel, { color: theme.textSecondary }]}>
+        {label}
+      </Text>
+      <TextInput
+        style={[
+          styles.input,
+          styles.pointsInput,
+          {
+            backgroundColor: theme.background,
+            borderColor: theme.border,
+            color: theme.text,
+          },
+        ]}
+        keyboardType="number-pad"
+        value={form[key]}
+        onChangeText={(text) => setForm((prev) => ({ ...prev, [key]: text }))}
+        maxLength={2}
+      />
+    </View>
+  );
+
+  if (!selectedTeamId) {
+    return (
+      <View
+        style={[styles.centerContainer, { backgroundColor: theme.background }]}
+      >
+        <Ionicons name="podium-outline" size={48} color={theme.textSecondary} />
+        <Text style={[styles.emptyText, { color: theme.textSecondary }]}>
+          Select a team to see its competitions
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScrollView
+        style={styles.content}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+      >
+        <TouchableOpacity
+          style={[styles.addButton, { backgroundColor: theme.primary }]}
+          onPress={() => openForm()}
+        >
+          <Ionicons name="add-circle" size={20} color="#fff" />
+          <Text style={styles.addButtonText}>New Competition</Text>
+        </TouchableOpacity>
+
+        {loading && competitions.length === 0 ? (
+          <ActivityIndicator color={theme.primary} style={styles.loader} />
+        ) : competitions.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Ionicons
+              name="podium-outline"
+              size={48}
+              color={theme.textSecondary}
+            />
+            <Text style={[styles.emptyText, { color: theme.textSecondary }]}>
+              Add a league or cup to keep its table up to date
+            </Text>
+          </View>
+        ) : (
+          competitions.map((competition) => (
+            <TouchableOpacity
+              key={competition.id}
+              style={[
+                styles.card,
+                {
+                  backgroundColor: theme.cardBackground,
+                  shadowColor: theme.shadow,
+                },
+              ]}
+              onPress={() =>
+                navigation.navigate("CompetitionTable", {
+                  competitionId: competition.id,
+                })
+              }
+            >
+              <Ionicons
+                name={competition.type === "cup" ? "trophy" : "podium"}
+                size={24}
+                color={competition.type === "cup" ? "#FFD700" : theme.primary}
+              />
+              <View style={styles.cardInfo}>
+                <Text style={[styles.cardTitle, { color: theme.text }]}>
+                  {competition.name}
+                </Text>
+                <Text
+                  style={[styles.cardSubtitle, { color: theme.textSecondary }]}
+                >
+                  {competition.opponents.length} clubs ·{" "}
+                  {competition.pointsForWin}/{competition.pointsForDraw}/
+                  {competition.pointsForLoss} pts ·{" "}
+                  {competition._count?.matches || 0} matches
+                </Text>
+              </View>
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => openForm(competition)}
+              >
+                <Ionicons name="pencil" size={20} color={theme.primary} />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => handleDelete(competition)}
+              >
+                <Ionicons name="trash" size={20} color={COLORS.error} />
+              </TouchableOpacity>
+            </TouchableOpacity>
+          ))
+        )}
+      </ScrollView>
+
+      {/* Competition Modal */}
+      <Modal
+        visible={modalVisible}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={closeForm}
+      >
+        <View style={styles.modalOverlay}>
+          <View
+            style={[
+              styles.modalContent,
+              { backgroundColor: theme.cardBackground },
+            ]}
+          >
+            <ScrollView>
+              <Text style={[styles.modalTitle, { color: theme.text }]}>
+                {editingCompetition ? "Edit Competition" : "New Competition"}
+              </Text>
+
+              <TextInput
+                style={[
+                  styles.input,
+                  {
+                    backgroundColor: theme.background,
+                    borderColor: theme.border,
+                    color: theme.text,
+                  },
+                ]}
+                placeholder="Competition name"
+                placeholderTextColor={theme.textSecondary}
+                value={form.name}
+                onChangeText={(text) =>
+                  setForm((prev) => ({ ...prev, name: text }))
+                }
+                maxLength={50}
+              />
+
+              <Text style={[styles.label, { color: theme.text }]}>Type</Text>
+              <View style={styles.typeRow}>
+                {renderTypeOption("league", "League", "podium")}
+                {renderTypeOption("cup", "Cup", "trophy")}
+              </View>
+
+              <Text style={[styles.label, { color: theme.text }]}>Points</Text>
+              <View style={styles.pointsRow}>
+                {renderPointsInput("Win", "pointsForWin")}
+                {renderPointsInput("Draw", "pointsForDraw")}
+                {renderPointsInput("Loss", "pointsForLoss")}
+              </View>
+
+              <Text style={[styles.label, { color: theme.text }]}>
+                Other Clubs
+              </Text>
+              <TextInput
+                style={[
+                  styles.input,
+                  styles.opponentsInput,
+                  {
+                    backgroundColor: theme.background,
+                    borderColor: theme.border,
+                    color: theme.text,
+                  },
+                ]}
+                placeholder={"One club per line\ne.g. Riverside Rovers"}
+                placeholderTextColor={theme.textSecondary}
+                value={form.opponents}
+                onChangeText={(text) =>
+                  setForm((prev) => ({ ...prev, opponents: text }))
+                }
+                multiline
+                textAlignVertical="top"
+              />
+              <Text style={[styles.helperText, { color: theme.textSecondary }]}>
+                Use the same names as your matches' opponents so results are
+                counted in the table.
+              </Text>
+
+              <View style={styles.modalButtons}>
+                <TouchableOpacity
+                  style={[
+                    styles.modalButton,
+                    styles.cancelButton,
+                    { borderColor: theme.border },
+                  ]}
+                  onPress={closeForm}
+                >
+                  <Text style={styles.cancelButtonText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[
+                    styles.modalButton,
+                    { backgroundColor: theme.primary },
+                    saving && styles.buttonDisabled,
+                  ]}
+                  onPress={handleSave}
+                  disabled={saving}
+                >
+                  {saving ? (
+                    <ActivityIndicator color="#fff" />
+                  ) : (
+                    <Text style={styles.saveButtonText}>
+                      {editingCompetition ? "Update" : "Add"}
+                    </Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 20,
+  },
+  content: {
+    flex: 1,
+    padding: 15,
+  },
+  loader: {
+    marginTop: 30,
+  },
+  addButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 8,
+    padding: 14,
+    borderRadius: 8,
+    marginBottom: 15,
+  },
+  addButtonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+  },
+  emptyState: {
+    alignItems: "center",
+    padding: 30,
+  },
+  emptyText: {
+    fontSize: 15,
+    fontFamily: FONTS.body,
+    textAlign: "center",
+    marginTop: 10,
+  },
+  card: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    padding: 15,
+    borderRadius: 12,
+    marginBottom: 10,
+    elevation: 2,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  cardInfo: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+    marginBottom: 4,
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    fontFamily: FONTS.body,
+  },
+  iconButton: {
+    padding: 6,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  modalContent: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 20,
+    width: "90%",
+    maxWidth: 400,
+    maxHeight: "85%",
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: "bold",
+    color: COLORS.text,
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.text,
+    marginTop: 15,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.gray[300],
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  helperText: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  typeRow: {
+    flexDirection: "row",
+    gap: 10,
+  },
+  typeOption: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 10,
+  },
+  typeText: {
+    fontSize: 15,
+    fontWeight: "600",
+  },
+  pointsRow: {
+    flexDirection: "row",
+    gap: 10,
+  },
+  pointsColumn: {
+    flex: 1,
+  },
+  pointsLabel: {
+    fontSize: 13,
+    marginBottom: 4,
+  },
+  pointsInput: {
+    textAlign: "center",
+  },
+  opponentsInput: {
+    minHeight: 120,
+  },
+  modalButtons: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: 20,
+  },
+  modalButton: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 8,
+    alignItems: "center",
+    marginHorizontal: 5,
+  },
+  cancelButton: {
+    backgroundColor: COLORS.warning,
+  },
+  cancelButtonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  saveButtonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+});
+
+export default CompetitionsScreen;
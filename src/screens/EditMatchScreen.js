@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import {
   View,
   Text,
@@ -12,11 +12,29 @@ import {
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import DateTimePicker from "@react-native-community/datetimepicker";
-import { usePlayers } from "../hooks/useResources";
+import { useFocusEffect } from "@react-navigation/native";
+import {
+  usePlayers,
+  useCompetitions,
+  useOpponents,
+  useVenues,
+  useMatchAvailability,
+} from "../hooks/useResources";
 import { useTeamContext } from "../contexts/TeamContext";
 import { useTheme } from "../contexts/ThemeContext";
 import { matchApi } from "../services/api";
-import { COLORS, FONTS } from "../config/constants";
+import { COLORS, FONTS, AVAILABILITY_STATUSES } from "../config/constants";
+import PeriodFormatEditor from "../components/PeriodFormatEditor";
+import CompetitionPicker from "../components/CompetitionPicker";
+import OpponentInput from "../components/OpponentInput";
+import VenuePicker from "../components/VenuePicker";
+import AvailabilityBadge from "../components/AvailabilityBadge";
+import PlayerAvatar from "../components/PlayerAvatar";
+import { chooseSeriesScope } from "../utils/eventSeries";
+import {
+  getSquadTeamIds,
+  withTeamShirtNumbers,
+} from "../utils/playerProfile";
 
 const EditMatchScreen = ({ route, navigation }) => {
   const { matchId, match } = route.params;
@@ -26,18 +44,42 @@ const EditMatchScreen = ({ route, navigation }) => {
   const [saving, setSaving] = useState(false);
   const [loadingMatch, setLoadingMatch] = useState(true);
   const [fullMatch, setFullMatch] = useState(null);
+  const matchTeamId = fullMatch?.teamId || match?.teamId || selectedTeamId;
+  const { opponents } = useOpponents(matchTeamId);
+  const { venues, refetch: refetchVenues } = useVenues(matchTeamId);
+  const { competitions, loading: competitionsLoading } =
+    useCompetitions(matchTeamId);
+  // Availability is asked for upcoming team matches only
+  const isUpcoming = !(fullMatch?.isFinished || match?.isFinished);
+  const {
+    availability,
+    availabilityByPlayer,
+    requestAvailability,
+    setAvailability,
+  } = useMatchAvailability(isUpcoming && matchTeamId ? matchId : null);
+  const [requestingAvailability, setRequestingAvailability] = useState(false);
 
   // Form state
   const [formData, setFormData] = useState({
     opponent: "",
     date: new Date(),
     matchType: "league",
+    competitionId: null,
     venue: "home",
+    venueId: null,
     notes: "",
     selectedPlayerIds: [],
     playerOfTheMatchId: null,
+    periodFormat: null, // null = use the team's format
   });
 
+  // Pick up grounds added on the Venues screen
+  useFocusEffect(
+    useCallback(() => {
+      refetchVenues();
+    }, [refetchVenues])
+  );
+
   // Date/Time picker visibility
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [showTimePicker, setShowTimePicker] = useState(false);
@@ -62,10 +104,13 @@ const EditMatchScreen = ({ route, navigation }) => {
           opponent: matchData.opponent || "",
           date: matchData.date ? new Date(matchData.date) : new Date(),
           matchType: matchData.matchType || "league",
+          competitionId: matchData.competitionId || null,
           venue: matchData.venue || "home",
+          venueId: matchData.venueId || null,
           notes: matchData.notes || "",
           selectedPlayerIds: matchData.selectedPlayerIds || [],
           playerOfTheMatchId: matchData.playerOfTheMatchId || null,
+          periodFormat: matchData.periodFormat || null,
         };
         console.log("EditMatchScreen - Setting form data:", formDataToSet);
         setFormData(formDataToSet);
@@ -81,10 +126,13 @@ const EditMatchScreen = ({ route, navigation }) => {
             opponent: match.opponent || "",
             date: match.date ? new Date(match.date) : new Date(),
             matchType: match.matchType || "league",
+            competitionId: match.competitionId || null,
             venue: match.venue || "home",
+          venueId: match.venueId || null,
             notes: match.notes || "",
             selectedPlayerIds: match.selectedPlayerIds || [],
             playerOfTheMatchId: match.playerOfTheMatchId || null,
+            periodFormat: match.periodFormat || null,
           };
           console.log(
             "EditMatchScreen - Setting fallback form data:",
@@ -107,10 +155,13 @@ const EditMatchScreen = ({ route, navigation }) => {
         opponent: match.opponent || "",
         date: match.date ? new Date(match.date) : new Date(),
         matchType: match.matchType || "league",
+        competitionId: match.competitionId || null,
         venue: match.venue || "home",
+        venueId: match.venueId || null,
         notes: match.notes || "",
         selectedPlayerIds: match.selectedPlayerIds || [],
         playerOfTheMatchId: match.playerOfTheMatchId || null,
+        periodFormat: match.periodFormat || null,
       });
       setFullMatch(match);
       setLoadingMatch(false);
@@ -143,6 +194,93 @@ const EditMatchScreen = ({ route, navigation }) => {
     }));
   };
 
+  const sendAvailabilityRequest = async (channels) => {
+    setRequestingAvailability(true);
+    try {
+      const { pushSent, emailsSent } = await requestAvailability(channels);
+
+      Alert.alert(
+        "Availability Requested",
+        pushSent + emailsSent > 0
+          ? `Sent ${pushSent} push notification${
+              pushSent !== 1 ? "s" : ""
+            } and ${emailsSent} email${emailsSent !== 1 ? "s" : ""}.`
+          : "Nobody was notified. Invite parents or guardians from the Players tab, or record answers yourself."
+      );
+    } catch (error) {
+      console.error("Error requesting availability:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.error || "Failed to request availability"
+      );
+    } finally {
+      setRequestingAvailability(false);
+    }
+  };
+
+  const handleRequestAvailability = () => {
+    Alert.alert(
+      "Ask for Availability",
+      "Ask the squad's parents and guardians who can play. Players who have already answered aren't asked again.",
+      [
+        {
+          text: "Push",
+          onPress: () => sendAvailabilityRequest({ push: true }),
+        },
+        {
+          text: "Email",
+          onPress: () => sendAvailabilityRequest({ email: true }),
+        },
+        {
+          text: "Push & Email",
+          onPress: () => sendAvailabilityRequest({ push: true, email: true }),
+        },
+        { text: "Cancel", style: "cancel" },
+      ]
+    );
+  };
+
+  // Record an answer given in person or by message
+  const handleSetAvailability = (player) => {
+    Alert.alert(player.name, "Can they play?", [
+      ...AVAILABILITY_STATUSES.map((option) => ({
+        text: option.label,
+        onPress: async () => {
+          try {
+            await setAvailability(player.id, option.value);
+          } catch (error) {
+            console.error("Error setting availability:", error);
+            Alert.alert("Error", "Failed to save the answer");
+          }
+        },
+      })),
+      { text: "Cancel", style: "cancel" },
+    ]);
+  };
+
+  const selectAvailablePlayers = () => {
+    setFormData((prev) => ({
+      ...prev,
+      selectedPlayerIds: players
+        .filter((player) => availabilityByPlayer[player.id]?.status === "yes")
+        .map((player) => player.id),
+    }));
+  };
+
+  const availabilitySummary = [
+    ...AVAILABILITY_STATUSES.map((option) => {
+      const count = availability.filter(
+        (entry) => entry.status === option.value
+      ).length;
+      return count > 0 ? `${count} ${option.label.toLowerCase()}` : null;
+    }),
+    availability.some((entry) => !entry.status)
+      ? `${availability.filter((entry) => !entry.status).length} waiting`
+      : null,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
   const validateForm = () => {
     if (!formData.opponent.trim()) {
       Alert.alert("Validation Error", "Please enter an opponent team name");
@@ -157,9 +295,17 @@ const EditMatchScreen = ({ route, navigation }) => {
     return true;
   };
 
-  const handleSave = async () => {
+  const handleSave = () => {
     if (!validateForm()) return;
 
+    chooseSeriesScope(
+      fullMatch || match,
+      { title: "Update Match", action: "Update" },
+      saveMatch
+    );
+  };
+
+  const saveMatch = async (scope) => {
     setSaving(true);
     try {
       // Determine teamId from selected players
@@ -168,9 +314,10 @@ const EditMatchScreen = ({ route, navigation }) => {
         const teamCounts = {};
         formData.selectedPlayerIds.forEach((playerId) => {
           const player = players.find((p) => p.id === playerId);
-          if (player?.teamId) {
-            teamCounts[player.teamId] = (teamCounts[player.teamId] || 0) + 1;
-          }
+          // Count every squad the player is in, not just their main team
+          (player ? getSquadTeamIds(player) : []).forEach((squadTeamId) => {
+            teamCounts[squadTeamId] = (teamCounts[squadTeamId] || 0) + 1;
+          });
         });
 
         // Get the teamId with the most players
@@ -181,15 +328,27 @@ const EditMatchScreen = ({ route, navigation }) => {
         }
       }
 
+      // A competition only applies while its match type is selected
+      const competition = competitions.find(
+        (c) =>
+          c.id === formData.competitionId && c.type === formData.matchType
+      );
+
       const updatePayload = {
         opponent: formData.opponent.trim(),
         date: formData.date.toISOString(),
         matchType: formData.matchType,
+        // Left unchanged until the team's competitions have loaded
+        competitionId: competitionsLoading
+          ? undefined
+          : competition?.id || null,
         venue: formData.venue,
+        venueId: formData.venueId,
         notes: formData.notes.trim() || undefined,
         selectedPlayerIds: formData.selectedPlayerIds,
         playerOfTheMatchId: formData.playerOfTheMatchId || undefined,
         teamId: teamId || undefined,
+        periodFormat: formData.periodFormat,
       };
 
       // If match is finished, ensure all selected players have stats entries
@@ -217,7 +376,7 @@ const EditMatchScreen = ({ route, navigation }) => {
       //console.log('EditMatchScreen - Sending update payload:', JSON.stringify(updatePayload, null, 2));
       //console.log('EditMatchScreen - selectedPlayerIds:', updatePayload.selectedPlayerIds);
 
-      await matchApi.update(matchId, updatePayload);
+      await matchApi.update(matchId, updatePayload, scope);
 
       Alert.alert("Success", "Match updated successfully", [
         {
@@ -264,7 +423,10 @@ const EditMatchScreen = ({ route, navigation }) => {
 
   return (
     <View style={[styles.container, { backgroundColor: theme.background }]}>
-      <ScrollView style={styles.scrollView}>
+      <ScrollView
+        style={styles.scrollView}
+        keyboardShouldPersistTaps="handled"
+      >
         <View style={styles.content}>
           {/* Header */}
           <View style={styles.header}>
@@ -274,7 +436,9 @@ const EditMatchScreen = ({ route, navigation }) => {
             <Text
               style={[styles.headerSubtitle, { color: theme.textSecondary }]}
             >
-              Update match details
+              {(fullMatch || match)?.seriesId
+                ? "Update match details · part of a repeating series"
+                : "Update match details"}
             </Text>
           </View>
 
@@ -286,8 +450,8 @@ const EditMatchScreen = ({ route, navigation }) => {
                 Opponent Team
               </Text>
             </View>
-            <TextInput
-              style={[
+            <OpponentInput
+              inputStyle={[
                 styles.input,
                 {
                   backgroundColor: theme.inputBackground,
@@ -299,8 +463,7 @@ const EditMatchScreen = ({ route, navigation }) => {
               onChangeText={(text) =>
                 setFormData((prev) => ({ ...prev, opponent: text }))
               }
-              placeholder="Enter opponent team name"
-              placeholderTextColor={theme.textSecondary}
+              opponents={opponents}
             />
           </View>
 
@@ -456,6 +619,14 @@ const EditMatchScreen = ({ route, navigation }) => {
                 </Text>
               </TouchableOpacity>
             </View>
+            <CompetitionPicker
+              competitions={competitions}
+              matchType={formData.matchType}
+              value={formData.competitionId}
+              onChange={(competitionId) =>
+                setFormData((prev) => ({ ...prev, competitionId }))
+              }
+            />
           </View>
 
           {/* Venue */}
@@ -524,8 +695,42 @@ const EditMatchScreen = ({ route, navigation }) => {
                 </Text>
               </TouchableOpacity>
             </View>
+            <VenuePicker
+              venues={venues}
+              value={formData.venueId}
+              onChange={(venueId) =>
+                setFormData((prev) => ({ ...prev, venueId }))
+              }
+              onManage={() => navigation.navigate("Venues")}
+            />
           </View>
 
+          {/* Match Format */}
+          {!fullMatch?.isFinished && (
+            <View style={styles.section}>
+              <View style={styles.labelRow}>
+                <Ionicons
+                  name="timer-outline"
+                  size={18}
+                  color={theme.primary}
+                />
+                <Text style={[styles.label, { color: theme.text }]}>
+                  Match Format
+                </Text>
+              </View>
+              <PeriodFormatEditor
+                value={formData.periodFormat}
+                onChange={(periodFormat) =>
+                  setFormData((prev) => ({ ...prev, periodFormat }))
+                }
+                inheritedFormat={fullMatch?.team?.periodFormat || null}
+                inheritedLabel={
+                  fullMatch?.team ? "Use team format" : "Use default format"
+                }
+              />
+            </View>
+          )}
+
           {/* Player Selection */}
           <View style={styles.section}>
             <View style={styles.labelRow}>
@@ -534,6 +739,47 @@ const EditMatchScreen = ({ route, navigation }) => {
                 Select Squad ({formData.selectedPlayerIds.length} players)
               </Text>
             </View>
+            {isUpcoming && matchTeamId && players.length > 0 && (
+              <View style={styles.availabilityRow}>
+                <Text
+                  style={[
+                    styles.availabilitySummary,
+                    { color: theme.textSecondary },
+                  ]}
+                >
+                  {availabilitySummary || "Availability not asked yet"}
+                </Text>
+                {availability.some((entry) => entry.status === "yes") && (
+                  <TouchableOpacity onPress={selectAvailablePlayers}>
+                    <Text
+                      style={[
+                        styles.availabilityLink,
+                        { color: theme.primary },
+                      ]}
+                    >
+                      Select available
+                    </Text>
+                  </TouchableOpacity>
+                )}
+                <TouchableOpacity
+                  onPress={handleRequestAvailability}
+                  disabled={requestingAvailability}
+                >
+                  {requestingAvailability ? (
+                    <ActivityIndicator size="small" color={theme.primary} />
+                  ) : (
+                    <Text
+                      style={[
+                        styles.availabilityLink,
+                        { color: theme.primary },
+                      ]}
+                    >
+                      Ask for availability
+                    </Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            )}
             {players.length === 0 ? (
               <View
                 style={[
@@ -568,7 +814,7 @@ const EditMatchScreen = ({ route, navigation }) => {
                   nestedScrollEnabled={true}
                   showsVerticalScrollIndicator={true}
                 >
-                  {players.map((player) => (
+                  {withTeamShirtNumbers(players, matchTeamId).map((player) => (
                     <TouchableOpacity
                       key={player.id}
                       style={[
@@ -591,9 +837,20 @@ const EditMatchScreen = ({ route, navigation }) => {
                           <Text style={styles.checkmark}>✓</Text>
                         )}
                       </View>
+                      <PlayerAvatar
+                        player={player}
+                        size={28}
+                        style={styles.playerAvatar}
+                      />
                       <Text style={[styles.playerName, { color: theme.text }]}>
                         {player.name}
                       </Text>
+                      {isUpcoming && matchTeamId && (
+                        <AvailabilityBadge
+                          availability={availabilityByPlayer[player.id]}
+                          onPress={() => handleSetAvailability(player)}
+                        />
+                      )}
                       <Text
                         style={[
                           styles.playerStats,
@@ -959,6 +1216,9 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontFamily: FONTS.bodyBold,
   },
+  playerAvatar: {
+    marginRight: 12,
+  },
   playerName: {
     flex: 1,
     fontSize: 16,
@@ -972,6 +1232,22 @@ const styles = StyleSheet.create({
     marginLeft: 8,
     minWidth: 60,
   },
+  availabilityRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    flexWrap: "wrap",
+    gap: 12,
+    marginBottom: 8,
+  },
+  availabilitySummary: {
+    flex: 1,
+    fontSize: 13,
+    fontFamily: FONTS.body,
+  },
+  availabilityLink: {
+    fontSize: 13,
+    fontWeight: "600",
+  },
   emptyState: {
     backgroundColor: "#fff",
     borderWidth: 1,
@@ -0,0 +1,384 @@
+import React, { useCallback, useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  RefreshControl,
+  ActivityIndicator,
+  Alert,
+  Linking,
+  Image,
+} from "react-native";
+import { useFocusEffect } from "@react-navigation/native";
+import { Ionicons } from "@expo/vector-icons";
+import { useGuardian } from "../contexts/GuardianContext";
+import { useTheme } from "../contexts/ThemeContext";
+import { availabilityApi } from "../services/api";
+import { COLORS, FONTS, AVAILABILITY_STATUSES } from "../config/constants";
+import { formatDateTime, formatDate } from "../utils/helpers";
+
+/**
+ * Home screen for parents and guardians
+ *
+ * Shows only the players the user is linked to, plus their teams' upcoming
+ * fixtures and recent results. Tapping a player opens their stats, and
+ * coaches' availability requests are answered under each fixture.
+ */
+const GuardianHomeScreen = ({ navigation }) => {
+  const { theme } = useTheme();
+  const { players, fixtures, results, loading, refresh } = useGuardian();
+  const [refreshing, setRefreshing] = useState(false);
+  const showTeamNames =
+    new Set([...fixtures, ...results].map((match) => match.teamId)).size > 1;
+
+  useFocusEffect(
+    useCallback(() => {
+      refresh();
+    }, [refresh])
+  );
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await refresh();
+    setRefreshing(false);
+  };
+
+  const getPlayerName = (playerId) =>
+    players.find((player) => player.id === playerId)?.name;
+
+  const answerAvailability = async (matchId, playerId, status) => {
+    try {
+      await availabilityApi.respond(matchId, playerId, status);
+      await refresh();
+    } catch (error) {
+      console.error("Error answering availability:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.error || "Failed to save your answer"
+      );
+    }
+  };
+
+  const openMaps = async (url) => {
+    try {
+      await Linking.openURL(url);
+    } catch (error) {
+      console.error("Error opening maps:", error);
+      Alert.alert("Error", "Could not open maps");
+    }
+  };
+
+  const cardStyle = [
+    styles.card,
+    { backgroundColor: theme.cardBackground, shadowColor: theme.shadow },
+  ];
+
+  if (loading && players.length === 0) {
+    return (
+      <View
+        style={[styles.centerContainer, { backgroundColor: theme.background }]}
+      >
+        <ActivityIndicator size="large" color={theme.primary} />
+      </View>
+    );
+  }
+
+  return (
+    <ScrollView
+      style={[styles.container, { backgroundColor: theme.background }]}
+      contentContainerStyle={styles.content}
+      refreshControl={
+        <RefreshControl
+          refreshing={refreshing}
+          onRefresh={onRefresh}
+          tintColor={theme.primary}
+          colors={[theme.primary]}
+        />
+      }
+    >
+      {/* Linked Players */}
+      <View style={styles.sectionTitleRow}>
+        <Ionicons name="person" size={22} color={theme.primary} />
+        <Text style={[styles.sectionTitle, { color: theme.text }]}>
+          My Players
+        </Text>
+      </View>
+      {players.map((player) => (
+        <TouchableOpacity
+          key={player.id}
+          style={cardStyle}
+          onPress={() =>
+            navigation.navigate("PlayerStats", { playerId: player.id })
+          }
+        >
+          {player.team?.avatar ? (
+            <Image source={{ uri: player.team.avatar }} style={styles.avatar} />
+          ) : (
+            <Ionicons name="shirt" size={32} color={theme.primary} />
+          )}
+          <View style={styles.cardInfo}>
+            <Text style={[styles.cardTitle, { color: theme.text }]}>
+              {player.name}
+            </Text>
+            <Text
+              style={[styles.cardSubtitle, { color: theme.textSecondary }]}
+            >
+              {[
+                player.team?.name,
+                `${player.goals} goals`,
+                `${player.assists} assists`,
+              ]
+                .filter(Boolean)
+                .join(" · ")}
+            </Text>
+          </View>
+          <Ionicons
+            name="chevron-forward"
+            size={20}
+            color={theme.textSecondary}
+          />
+        </TouchableOpacity>
+      ))}
+      <TouchableOpacity
+        style={[styles.linkButton, { borderColor: theme.primary }]}
+        onPress={() => navigation.navigate("JoinTeam")}
+      >
+        <Ionicons name="add" size={18} color={theme.primary} />
+        <Text style={[styles.linkButtonText, { color: theme.primary }]}>
+          Follow another player
+        </Text>
+      </TouchableOpacity>
+
+      {/* Upcoming Fixtures */}
+      <View style={styles.sectionTitleRow}>
+        <Ionicons name="calendar" size={22} color={theme.primary} />
+        <Text style={[styles.sectionTitle, { color: theme.text }]}>
+          Fixtures
+        </Text>
+      </View>
+      {fixtures.length === 0 ? (
+        <Text style={[styles.emptyText, { color: theme.textSecondary }]}>
+          No fixtures scheduled yet
+        </Text>
+      ) : (
+        fixtures.map((match) => (
+          <View key={match.id} style={cardStyle}>
+            <View style={styles.cardInfo}>
+              <Text style={[styles.cardTitle, { color: theme.text }]}>
+                {showTeamNames ? `${match.team?.name} v ` : "v "}
+                {match.opponent}
+              </Text>
+              <Text
+                style={[styles.cardSubtitle, { color: theme.textSecondary }]}
+              >
+                {match.venue === "home" ? "Home" : "Away"} •{" "}
+                {formatDateTime(match.date)}
+              </Text>
+              {match.venueRecord && (
+                <Text
+                  style={[styles.cardSubtitle, { color: theme.textSecondary }]}
+                  numberOfLines={2}
+                >
+                  {[match.venueRecord.name, match.venueRecord.address]
+                    .filter(Boolean)
+                    .join(", ")}
+                </Text>
+              )}
+            </View>
+            {match.venueRecord?.mapsUrl && (
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => openMaps(match.venueRecord.mapsUrl)}
+              >
+                <Ionicons name="navigate" size={20} color={theme.primary} />
+              </TouchableOpacity>
+            )}
+            {match.availability?.map((entry) => (
+              <View key={entry.playerId} style={styles.availability}>
+                <Text
+                  style={[styles.cardSubtitle, { color: theme.textSecondary }]}
+                >
+                  Can {getPlayerName(entry.playerId)} play?
+                </Text>
+                <View style={styles.availabilityOptions}>
+                  {AVAILABILITY_STATUSES.map((option) => {
+                    const isSelected = entry.status === option.value;
+
+                    return (
+                      <TouchableOpacity
+                        key={option.value}
+                        style={[
+                          styles.availabilityChip,
+                          { borderColor: option.color },
+                          isSelected && { backgroundColor: option.color },
+                        ]}
+                        onPress={() =>
+                          answerAvailability(
+                            match.id,
+                            entry.playerId,
+                            option.value
+                          )
+                        }
+                      >
+                        <Text
+                          style={[
+                            styles.availabilityChipText,
+                            { color: isSelected ? "#fff" : option.color },
+                          ]}
+                        >
+                          {option.label}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+            ))}
+          </View>
+        ))
+      )}
+
+      {/* Recent Results */}
+      {results.length > 0 && (
+        <>
+          <View style={styles.sectionTitleRow}>
+            <Ionicons name="trophy" size={22} color={theme.primary} />
+            <Text style={[styles.sectionTitle, { color: theme.text }]}>
+              Recent Results
+            </Text>
+          </View>
+          {results.map((match) => (
+            <View key={match.id} style={cardStyle}>
+              <View style={styles.cardInfo}>
+                <Text style={[styles.cardTitle, { color: theme.text }]}>
+                  {showTeamNames ? `${match.team?.name} v ` : "v "}
+                  {match.opponent}
+                </Text>
+                <Text
+                  style={[styles.cardSubtitle, { color: theme.textSecondary }]}
+                >
+                  {formatDate(match.date)}
+                </Text>
+              </View>
+              <Text style={[styles.score, { color: theme.text }]}>
+                {match.goalsFor} - {match.goalsAgainst}
+                {match.penaltiesFor !== null &&
+                  ` (${match.penaltiesFor}-${match.penaltiesAgainst} p)`}
+              </Text>
+            </View>
+          ))}
+        </>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  content: {
+    padding: 15,
+  },
+  sectionTitleRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginTop: 10,
+    marginBottom: 12,
+  },
+  sectionTitle: {
+    fontSize: 20,
+    fontWeight: "bold",
+    color: COLORS.text,
+  },
+  card: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: 12,
+    padding: 15,
+    borderRadius: 12,
+    marginBottom: 10,
+    elevation: 2,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  avatar: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+  },
+  cardInfo: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+    marginBottom: 4,
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    fontFamily: FONTS.body,
+    marginTop: 2,
+  },
+  score: {
+    fontSize: 18,
+    fontWeight: "bold",
+  },
+  iconButton: {
+    padding: 6,
+  },
+  availability: {
+    flexBasis: "100%",
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 8,
+  },
+  availabilityOptions: {
+    flexDirection: "row",
+    gap: 6,
+  },
+  availabilityChip: {
+    borderWidth: 1,
+    borderRadius: 14,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+  },
+  availabilityChipText: {
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  linkButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    borderWidth: 1,
+    borderStyle: "dashed",
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 15,
+  },
+  linkButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  emptyText: {
+    fontSize: 14,
+    fontFamily: FONTS.body,
+    marginBottom: 15,
+  },
+});
+
+export default GuardianHomeScreen;
@@ -0,0 +1,388 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  RefreshControl,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTheme } from "../contexts/ThemeContext";
+import { opponentApi } from "../services/api";
+import { COLORS, FONTS } from "../config/constants";
+import { formatDate } from "../utils/helpers";
+
+const RESULT_COLORS = {
+  win: COLORS.success,
+  draw: COLORS.warning,
+  loss: COLORS.error,
+};
+
+const HeadToHeadScreen = ({ navigation, route }) => {
+  const { theme } = useTheme();
+  const { opponentId, teamId } = route.params;
+
+  const [data, setData] = useState(null);
+  const [teamOnly, setTeamOnly] = useState(!!teamId);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const loadHeadToHead = useCallback(async () => {
+    try {
+      const response = await opponentApi.getHeadToHead(
+        opponentId,
+        teamOnly ? teamId : undefined
+      );
+      setData(response);
+      navigation.setOptions({ title: `vs ${response.opponent.name}` });
+    } catch (error) {
+      console.error("Error loading head-to-head:", error);
+      Alert.alert("Error", "Failed to load the head-to-head record");
+    } finally {
+      setLoading(false);
+    }
+  }, [opponentId, teamId, teamOnly, navigation]);
+
+  useEffect(() => {
+    loadHeadToHead();
+  }, [loadHeadToHead]);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await loadHeadToHead();
+    setRefreshing(false);
+  };
+
+  const renderStat = (label, value, color) => (
+    <View
+      style={[
+        styles.statCard,
+        { backgroundColor: theme.cardBackground, shadowColor: theme.shadow },
+      ]}
+    >
+      <Text style={[styles.statValue, { color: color || theme.text }]}>
+        {value}
+      </Text>
+      <Text style={[styles.statLabel, { color: theme.textSecondary }]}>
+        {label}
+      </Text>
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <View
+        style={[styles.centerContainer, { backgroundColor: theme.background }]}
+      >
+        <ActivityIndicator size="large" color={theme.primary} />
+      </View>
+    );
+  }
+
+  if (!data) {
+    return (
+      <View
+        style={[styles.centerContainer, { backgroundColor: theme.background }]}
+      >
+        <Text style={[styles.emptyText, { color: theme.textSecondary }]}>
+          Opponent not found
+        </Text>
+      </View>
+    );
+  }
+
+  const { opponent, record, lastMeetings } = data;
+
+  return (
+    <ScrollView
+      style={[styles.container, { backgroundColor: theme.background }]}
+      refreshControl={
+        <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+      }
+    >
+      {/* Opponent */}
+      <View style={[styles.header, { backgroundColor: theme.cardBackground }]}>
+        <View style={styles.kit}>
+          <View
+            style={[
+              styles.kitHalf,
+              { backgroundColor: opponent.primaryColor || COLORS.gray[300] },
+            ]}
+          />
+          <View
+            style={[
+              styles.kitHalf,
+              {
+                backgroundColor:
+                  opponent.secondaryColor ||
+                  opponent.primaryColor ||
+                  COLORS.gray[300],
+              },
+            ]}
+          />
+        </View>
+        <View style={styles.headerInfo}>
+          <Text style={[styles.opponentName, { color: theme.text }]}>
+            {opponent.name}
+          </Text>
+          {opponent.aliases.length > 0 && (
+            <Text style={[styles.aliases, { color: theme.textSecondary }]}>
+              Also known as {opponent.aliases.join(", ")}
+            </Text>
+          )}
+        </View>
+      </View>
+
+      {opponent.notes ? (
+        <View
+          style={[styles.section, { backgroundColor: theme.cardBackground }]}
+        >
+          <Text style={[styles.sectionTitle, { color: theme.text }]}>
+            Notes
+          </Text>
+          <Text style={[styles.notes, { color: theme.text }]}>
+            {opponent.notes}
+          </Text>
+        </View>
+      ) : null}
+
+      {teamId && (
+        <View style={styles.filterRow}>
+          {[
+            { value: true, label: "This Team" },
+            { value: false, label: "All Teams" },
+          ].map((option) => {
+            const isSelected = teamOnly === option.value;
+
+            return (
+              <TouchableOpacity
+                key={option.label}
+                style={[
+                  styles.filterChip,
+                  { borderColor: theme.border },
+                  isSelected && {
+                    borderColor: theme.primary,
+                    backgroundColor: theme.primary,
+                  },
+                ]}
+                onPress={() => setTeamOnly(option.value)}
+              >
+                <Text
+                  style={[
+                    styles.filterText,
+                    { color: isSelected ? "#fff" : theme.text },
+                  ]}
+                >
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+        </View>
+      )}
+
+      {/* All-time Record */}
+      <View style={styles.statsGrid}>
+        {renderStat("Played", record.played)}
+        {renderStat("Won", record.won, COLORS.success)}
+        {renderStat("Drawn", record.drawn, COLORS.warning)}
+        {renderStat("Lost", record.lost, COLORS.error)}
+      </View>
+      <View style={styles.statsGrid}>
+        {renderStat("Scored", record.goalsFor)}
+        {renderStat("Conceded", record.goalsAgainst)}
+        {renderStat(
+          "Win Rate",
+          record.played > 0
+            ? `${Math.round((record.won / record.played) * 100)}%`
+            : "-"
+        )}
+      </View>
+
+      {/* Last Meetings */}
+      <View style={[styles.section, { backgroundColor: theme.cardBackground }]}>
+        <Text style={[styles.sectionTitle, { color: theme.text }]}>
+          Last Meetings
+        </Text>
+        {lastMeetings.length === 0 ? (
+          <Text style={[styles.emptyText, { color: theme.textSecondary }]}>
+            No finished matches against {opponent.name} yet
+          </Text>
+        ) : (
+          lastMeetings.map((match) => (
+            <TouchableOpacity
+              key={match.id}
+              style={[styles.meetingRow, { borderBottomColor: theme.border }]}
+              onPress={() =>
+                navigation.navigate("MatchDetails", { matchId: match.id })
+              }
+            >
+              <View
+                style={[
+                  styles.resultBadge,
+                  { backgroundColor: RESULT_COLORS[match.result] },
+                ]}
+              >
+                <Text style={styles.resultText}>
+                  {match.result.charAt(0).toUpperCase()}
+                </Text>
+              </View>
+              <View style={styles.meetingInfo}>
+                <Text style={[styles.meetingScore, { color: theme.text }]}>
+                  {match.goalsFor} - {match.goalsAgainst}
+                  {match.penaltiesFor !== null &&
+                    match.penaltiesFor !== undefined &&
+                    ` (${match.penaltiesFor}-${match.penaltiesAgainst} pens)`}
+                </Text>
+                <Text
+                  style={[styles.meetingDate, { color: theme.textSecondary }]}
+                >
+                  {formatDate(match.date)} ·{" "}
+                  {match.venue === "home" ? "Home" : "Away"}
+                </Text>
+              </View>
+              <Ionicons
+                name="chevron-forward"
+                size={18}
+                color={theme.textSecondary}
+              />
+            </TouchableOpacity>
+          ))
+        )}
+      </View>
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  emptyText: {
+    fontSize: 14,
+    fontFamily: FONTS.body,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 15,
+    padding: 20,
+    marginBottom: 15,
+  },
+  kit: {
+    flexDirection: "row",
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    overflow: "hidden",
+  },
+  kitHalf: {
+    flex: 1,
+  },
+  headerInfo: {
+    flex: 1,
+  },
+  opponentName: {
+    fontSize: 24,
+    fontFamily: FONTS.heading,
+  },
+  aliases: {
+    fontSize: 13,
+    fontFamily: FONTS.body,
+    marginTop: 2,
+  },
+  section: {
+    padding: 15,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+    marginBottom: 10,
+  },
+  notes: {
+    fontSize: 14,
+    fontFamily: FONTS.body,
+    lineHeight: 20,
+  },
+  filterRow: {
+    flexDirection: "row",
+    gap: 8,
+    paddingHorizontal: 15,
+    marginBottom: 10,
+  },
+  filterChip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+  },
+  filterText: {
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  statsGrid: {
+    flexDirection: "row",
+    gap: 10,
+    paddingHorizontal: 15,
+    marginBottom: 10,
+  },
+  statCard: {
+    flex: 1,
+    alignItems: "center",
+    padding: 12,
+    borderRadius: 12,
+    elevation: 2,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  statValue: {
+    fontSize: 22,
+    fontWeight: "bold",
+  },
+  statLabel: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  meetingRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+  },
+  resultBadge: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  resultText: {
+    color: "#fff",
+    fontWeight: "bold",
+  },
+  meetingInfo: {
+    flex: 1,
+  },
+  meetingScore: {
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  meetingDate: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+});
+
+export default HeadToHeadScreen;
@@ -15,13 +15,17 @@ import { useMatches } from "../hooks/useResources";
 import { useTeamContext } from "../contexts/TeamContext";
 import { useTheme } from "../contexts/ThemeContext";
 import { COLORS, MATCH_TYPES, VENUE_TYPES } from "../config/constants";
-import { formatDate, getMatchResult, getResultColor } from "../utils/helpers";
+import {
+  formatDate,
+  formatPenalties,
+  getMatchOutcome,
+  getResultColor,
+} from "../utils/helpers";
 
 // Memoized MatchCard component
 const MatchCard = memo(({ match, onPress, theme }) => {
-  const result = match.isFinished
-    ? getMatchResult(match.goalsFor, match.goalsAgainst)
-    : null;
+  const result = match.isFinished ? getMatchOutcome(match) : null;
+  const penalties = formatPenalties(match);
   const resultColor = result ? getResultColor(result) : theme.textSecondary;
 
   return (
@@ -72,9 +76,18 @@ const MatchCard = memo(({ match, onPress, theme }) => {
           </View>
         </View>
         {match.isFinished && (
-          <Text style={[styles.score, { color: theme.text }]}>
-            {match.goalsFor} - {match.goalsAgainst}
-          </Text>
+          <View style={styles.scoreColumn}>
+            <Text style={[styles.score, { color: theme.text }]}>
+              {match.goalsFor} - {match.goalsAgainst}
+            </Text>
+            {penalties && (
+              <Text
+                style={[styles.penaltyScore, { color: theme.textSecondary }]}
+              >
+                {penalties}
+              </Text>
+            )}
+          </View>
         )}
       </View>
     </TouchableOpacity>
@@ -83,7 +96,7 @@ const MatchCard = memo(({ match, onPress, theme }) => {
 
 const HistoryScreen = ({ navigation }) => {
   const { theme } = useTheme();
-  const { selectedTeamId } = useTeamContext();
+  const { selectedTeamId, selectedSeasonId } = useTeamContext();
   const [filterType, setFilterType] = useState("all"); // 'all', 'league', 'cup'
   const [filterVenue, setFilterVenue] = useState("all"); // 'all', 'home', 'away'
   const [showScheduled, setShowScheduled] = useState(false); // Toggle between scheduled and finished
@@ -105,9 +118,10 @@ const HistoryScreen = ({ navigation }) => {
       isFinished: !showScheduled,
       matchType: filterType !== "all" ? filterType : undefined,
       venue: filterVenue !== "all" ? filterVenue : undefined,
+      seasonId: selectedSeasonId || undefined,
       fields: "basic", // Use basic fields for faster list view
     }),
-    [showScheduled, filterType, filterVenue]
+    [showScheduled, filterType, filterVenue, selectedSeasonId]
   );
 
   // Fetch matches with server-side filters
@@ -123,7 +137,7 @@ const HistoryScreen = ({ navigation }) => {
     invalidate(); // Clear cache for old filter combination
     refetch(); // Fetch with new filters
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [showScheduled, filterType, filterVenue]);
+  }, [showScheduled, filterType, filterVenue, selectedSeasonId]);
 
   // Client-side search filter
   const filteredMatches = useMemo(() => {
@@ -144,13 +158,13 @@ const HistoryScreen = ({ navigation }) => {
   const stats = useMemo(() => {
     const completed = filteredMatches.filter((m) => m.isFinished);
     const wins = completed.filter(
-      (m) => getMatchResult(m.goalsFor, m.goalsAgainst) === "win"
+      (m) => getMatchOutcome(m) === "win"
     ).length;
     const draws = completed.filter(
-      (m) => getMatchResult(m.goalsFor, m.goalsAgainst) === "draw"
+      (m) => getMatchOutcome(m) === "draw"
     ).length;
     const losses = completed.filter(
-      (m) => getMatchResult(m.goalsFor, m.goalsAgainst) === "loss"
+      (m) => getMatchOutcome(m) === "loss"
     ).length;
     const totalGoalsFor = completed.reduce((sum, m) => sum + m.goalsFor, 0);
     const totalGoalsAgainst = completed.reduce(
@@ -1024,6 +1038,13 @@ const styles = StyleSheet.create({
     fontWeight: "bold",
     color: COLORS.text,
   },
+  scoreColumn: {
+    alignItems: "flex-end",
+  },
+  penaltyScore: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+  },
   emptyContainer: {
     padding: 40,
     alignItems: "center",
@@ -15,10 +15,20 @@ import { useUser, useAuth } from "@clerk/clerk-expo";
 import { useFocusEffect } from "@react-navigation/native";
 import { Ionicons } from "@expo/vector-icons";
 import { useApi } from "../hooks/useApi";
-import { dashboardApi } from "../services/api";
+import { dashboardApi, matchApi } from "../services/api";
 import { useTeamContext } from "../contexts/TeamContext";
 import TeamSelector from "../components/TeamSelector";
-import { formatDateTime } from "../utils/helpers";
+import SeasonSelector from "../components/SeasonSelector";
+import {
+  formatDateTime,
+  formatPenalties,
+  getMatchOutcome,
+} from "../utils/helpers";
+import {
+  clearLiveMatchSession,
+  getLiveMatchSessions,
+} from "../utils/liveMatchStorage";
+import { getCurrentSeason } from "../utils/seasons";
 import { COLORS, FONTS } from "../config/constants";
 import { useTheme } from "../contexts/ThemeContext";
 
@@ -26,9 +36,12 @@ const HomeScreen = ({ navigation }) => {
   const { user } = useUser();
   const { signOut } = useAuth();
   const { theme } = useTheme();
-  const { selectedTeamId, selectTeam } = useTeamContext();
+  const { selectedTeamId, selectTeam, selectedSeasonId, selectSeason } =
+    useTeamContext();
   const [refreshing, setRefreshing] = useState(false);
   const [hasAutoSelected, setHasAutoSelected] = useState(false);
+  const [seasonCheckedTeamId, setSeasonCheckedTeamId] = useState(null);
+  const [liveSessions, setLiveSessions] = useState([]);
 
   // Use single dashboard API call instead of multiple separate calls
   const {
@@ -36,20 +49,22 @@ const HomeScreen = ({ navigation }) => {
     loading,
     refetch,
   } = useApi(
-    () => dashboardApi.getHomeData(selectedTeamId),
+    () => dashboardApi.getHomeData(selectedTeamId, selectedSeasonId),
     true,
-    [selectedTeamId],
+    [selectedTeamId, selectedSeasonId],
     {
       enableCache: true,
       ttl: 2 * 60 * 1000, // 2 minutes cache for dashboard
       persistCache: true,
-      cacheKey: `dashboard-${selectedTeamId}`,
+      cacheKey: `dashboard-${selectedTeamId}-${selectedSeasonId || "all"}`,
     }
   );
 
   // Extract data from dashboard response
   const teams = dashboardData?.teams || [];
+  const seasons = dashboardData?.seasons || [];
   const upcomingMatches = dashboardData?.upcomingMatches || [];
+  const upcomingTraining = dashboardData?.upcomingTraining || [];
   const recentMatches = dashboardData?.recentMatches || [];
   const stats = dashboardData?.stats || {
     totalMatches: 0,
@@ -57,11 +72,32 @@ const HomeScreen = ({ navigation }) => {
     wins: 0,
   };
 
+  // Saved sessions whose match was finished on another device, deleted or
+  // trashed (e.g. its series cancelled) are cleared rather than offered
+  const loadLiveSessions = useCallback(async () => {
+    const sessions = await getLiveMatchSessions();
+    const checked = await Promise.all(
+      sessions.map(async (session) => {
+        try {
+          const { match } = await matchApi.getById(session.matchId);
+          if (!match.isFinished) return session;
+        } catch (error) {
+          // Offline or a server error: keep it until the match can be checked
+          if (error.response?.status !== 404) return session;
+        }
+        await clearLiveMatchSession(session.matchId);
+        return null;
+      })
+    );
+    setLiveSessions(checked.filter(Boolean));
+  }, []);
+
   // Refetch when screen comes into focus
   useFocusEffect(
     useCallback(() => {
       refetch();
-    }, [refetch])
+      loadLiveSessions();
+    }, [refetch, loadLiveSessions])
   );
 
   // Auto-select first team if none selected and user has teams (only once)
@@ -72,6 +108,33 @@ const HomeScreen = ({ navigation }) => {
     }
   }, [teams.length, selectedTeamId, loading, hasAutoSelected, selectTeam]);
 
+  // Once per team: open on the current season, and drop a season that no
+  // longer exists (e.g. deleted on another device)
+  useEffect(() => {
+    if (
+      loading ||
+      !selectedTeamId ||
+      !dashboardData?.seasons ||
+      seasonCheckedTeamId === selectedTeamId ||
+      seasons.some((s) => s.teamId !== selectedTeamId)
+    ) {
+      return;
+    }
+
+    const seasonExists = seasons.some((s) => s.id === selectedSeasonId);
+    if (!seasonExists) {
+      selectSeason(getCurrentSeason(seasons)?.id || null);
+    }
+    setSeasonCheckedTeamId(selectedTeamId);
+  }, [
+    dashboardData,
+    loading,
+    selectedTeamId,
+    selectedSeasonId,
+    seasonCheckedTeamId,
+    selectSeason,
+  ]);
+
   const onRefresh = async () => {
     setRefreshing(true);
     await refetch();
@@ -160,6 +223,32 @@ const HomeScreen = ({ navigation }) => {
         </ImageBackground>
       </View>
 
+      {/* In Progress Banner */}
+      {liveSessions.map((session) => (
+        <TouchableOpacity
+          key={session.matchId}
+          style={styles.liveBanner}
+          onPress={() =>
+            navigation.navigate("LiveMatch", { matchId: session.matchId })
+          }
+        >
+          <Ionicons name="radio-button-on" size={20} color="#fff" />
+          <View style={styles.liveBannerInfo}>
+            <Text style={styles.liveBannerTitle}>
+              Match in progress
+              {session.opponent ? ` vs ${session.opponent}` : ""}
+            </Text>
+            <Text style={styles.liveBannerText}>
+              {session.goalsFor} - {session.goalsAgainst} •{" "}
+              {Math.floor(session.matchSeconds / 60)}'
+              {session.isTimerRunning ? "" : " (paused)"}
+            </Text>
+          </View>
+          <Text style={styles.liveBannerAction}>Resume</Text>
+          <Ionicons name="chevron-forward" size={20} color="#fff" />
+        </TouchableOpacity>
+      ))}
+
       {/* Team Selector */}
       <TeamSelector
         teams={teams}
@@ -167,6 +256,21 @@ const HomeScreen = ({ navigation }) => {
         onSelectTeam={selectTeam}
       />
 
+      {/* Season Selector */}
+      {selectedTeamId && (
+        <SeasonSelector
+          seasons={seasons}
+          selectedSeasonId={selectedSeasonId}
+          onSelectSeason={selectSeason}
+          onStartNewSeason={() =>
+            navigation.navigate("NewSeason", {
+              teamId: selectedTeamId,
+              previousSeason: seasons[0] || null,
+            })
+          }
+        />
+      )}
+
       {/* Quick Stats */}
       <View style={styles.statsContainer}>
         <View
@@ -332,7 +436,11 @@ const HomeScreen = ({ navigation }) => {
                 }
               >
                 <Ionicons name="play-circle" size={20} color="#fff" />
-                <Text style={styles.startMatchButtonText}>Start Match</Text>
+                <Text style={styles.startMatchButtonText}>
+                  {liveSessions.some((session) => session.matchId === match.id)
+                    ? "Resume Match"
+                    : "Start Match"}
+                </Text>
               </TouchableOpacity>
             </View>
           ))}
@@ -351,6 +459,85 @@ const HomeScreen = ({ navigation }) => {
         </View>
       )}
 
+      {/* Upcoming Training */}
+      {selectedTeamId && (
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <View style={styles.sectionTitleRow}>
+              <Ionicons name="fitness" size={24} color={theme.primary} />
+              <Text style={[styles.sectionTitle, { color: theme.text }]}>
+                Training
+              </Text>
+            </View>
+            <TouchableOpacity onPress={() => navigation.navigate("Training")}>
+              <Text style={[styles.seeAllText, { color: theme.primary }]}>
+                {upcomingTraining.length > 0 ? "See All" : "+ Schedule"}
+              </Text>
+            </TouchableOpacity>
+          </View>
+          {upcomingTraining.length === 0 ? (
+            <Text
+              style={[styles.emptyTraining, { color: theme.textSecondary }]}
+            >
+              No training sessions scheduled
+            </Text>
+          ) : (
+            upcomingTraining.map((session) => (
+              <TouchableOpacity
+                key={session.id}
+                style={[
+                  styles.matchCard,
+                  styles.trainingCard,
+                  {
+                    backgroundColor: theme.cardBackground,
+                    shadowColor: theme.shadow,
+                    borderColor: theme.border,
+                  },
+                ]}
+                onPress={() =>
+                  navigation.navigate("TrainingAttendance", {
+                    sessionId: session.id,
+                  })
+                }
+              >
+                <Text style={[styles.matchOpponent, { color: theme.text }]}>
+                  {session.focus || "Training"}
+                </Text>
+                <View style={styles.matchInfoRow}>
+                  <Ionicons
+                    name="time"
+                    size={14}
+                    color={theme.textSecondary}
+                  />
+                  <Text
+                    style={[styles.matchDate, { color: theme.textSecondary }]}
+                  >
+                    {formatDateTime(session.date)}
+                  </Text>
+                </View>
+                {session.location && (
+                  <View style={styles.matchInfoRow}>
+                    <Ionicons
+                      name="location"
+                      size={14}
+                      color={theme.textSecondary}
+                    />
+                    <Text
+                      style={[
+                        styles.matchDate,
+                        { color: theme.textSecondary },
+                      ]}
+                    >
+                      {session.location}
+                    </Text>
+                  </View>
+                )}
+              </TouchableOpacity>
+            ))
+          )}
+        </View>
+      )}
+
       {/* Recent Matches */}
       {recentMatches.length > 0 && (
         <View style={styles.section}>
@@ -394,12 +581,22 @@ const HomeScreen = ({ navigation }) => {
                   <Text
                     style={[
                       styles.result,
-                      match.goalsFor > match.goalsAgainst && styles.resultWin,
-                      match.goalsFor < match.goalsAgainst && styles.resultLoss,
+                      getMatchOutcome(match) === "win" && styles.resultWin,
+                      getMatchOutcome(match) === "loss" && styles.resultLoss,
                     ]}
                   >
                     {match.goalsFor} - {match.goalsAgainst}
                   </Text>
+                  {formatPenalties(match) && (
+                    <Text
+                      style={[
+                        styles.resultPenalties,
+                        { color: theme.textSecondary },
+                      ]}
+                    >
+                      {formatPenalties(match)}
+                    </Text>
+                  )}
                 </View>
               </View>
             </TouchableOpacity>
@@ -469,6 +666,62 @@ const HomeScreen = ({ navigation }) => {
               </Text>
             </View>
           </TouchableOpacity>
+          {selectedTeamId && (
+            <TouchableOpacity
+              style={[
+                styles.actionButton,
+                {
+                  backgroundColor: theme.cardBackground,
+                  shadowColor: theme.shadow,
+                  borderColor: theme.border,
+                },
+              ]}
+              onPress={() => navigation.navigate("Competitions")}
+            >
+              <View style={styles.actionButtonContent}>
+                <Ionicons name="podium" size={24} color={theme.primary} />
+                <Text style={[styles.actionButtonText, { color: theme.text }]}>
+                  Competitions
+                </Text>
+              </View>
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity
+            style={[
+              styles.actionButton,
+              {
+                backgroundColor: theme.cardBackground,
+                shadowColor: theme.shadow,
+                borderColor: theme.border,
+              },
+            ]}
+            onPress={() => navigation.navigate("Opponents")}
+          >
+            <View style={styles.actionButtonContent}>
+              <Ionicons name="shield" size={24} color={theme.primary} />
+              <Text style={[styles.actionButtonText, { color: theme.text }]}>
+                Opponents
+              </Text>
+            </View>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[
+              styles.actionButton,
+              {
+                backgroundColor: theme.cardBackground,
+                shadowColor: theme.shadow,
+                borderColor: theme.border,
+              },
+            ]}
+            onPress={() => navigation.navigate("Venues")}
+          >
+            <View style={styles.actionButtonContent}>
+              <Ionicons name="location" size={24} color={theme.primary} />
+              <Text style={[styles.actionButtonText, { color: theme.text }]}>
+                Venues
+              </Text>
+            </View>
+          </TouchableOpacity>
         </View>
       </View>
     </ScrollView>
@@ -623,6 +876,14 @@ const styles = StyleSheet.create({
     borderLeftWidth: 4,
     borderLeftColor: COLORS.primary,
   },
+  trainingCard: {
+    borderLeftWidth: 4,
+    borderLeftColor: COLORS.success,
+  },
+  emptyTraining: {
+    fontSize: 14,
+    fontFamily: FONTS.body,
+  },
   matchHeader: {
     flexDirection: "row",
     justifyContent: "space-between",
@@ -712,6 +973,35 @@ const styles = StyleSheet.create({
     fontSize: 16,
     fontFamily: FONTS.bodyBold,
   },
+  liveBanner: {
+    backgroundColor: COLORS.error,
+    marginHorizontal: 20,
+    marginTop: 15,
+    padding: 15,
+    borderRadius: 12,
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+  },
+  liveBannerInfo: {
+    flex: 1,
+  },
+  liveBannerTitle: {
+    color: "#fff",
+    fontSize: 15,
+    fontFamily: FONTS.bodyBold,
+  },
+  liveBannerText: {
+    color: "rgba(255, 255, 255, 0.9)",
+    fontSize: 13,
+    fontFamily: FONTS.body,
+    marginTop: 2,
+  },
+  liveBannerAction: {
+    color: "#fff",
+    fontSize: 14,
+    fontFamily: FONTS.bodyBold,
+  },
   startMatchButton: {
     backgroundColor: COLORS.success,
     padding: 12,
@@ -749,6 +1039,7 @@ const styles = StyleSheet.create({
   },
   resultContainer: {
     padding: 10,
+    alignItems: "flex-end",
   },
   result: {
     fontSize: 18,
@@ -761,6 +1052,11 @@ const styles = StyleSheet.create({
   resultLoss: {
     color: COLORS.error,
   },
+  resultPenalties: {
+    fontSize: 12,
+    fontFamily: FONTS.body,
+    color: COLORS.textSecondary,
+  },
   actionsContainer: {
     flexDirection: "row",
     flexWrap: "wrap",
@@ -0,0 +1,272 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  Image,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTeamContext } from "../contexts/TeamContext";
+import { useGuardian } from "../contexts/GuardianContext";
+import { useTheme } from "../contexts/ThemeContext";
+import { invitationApi } from "../services/api";
+import { COLORS, FONTS } from "../config/constants";
+import { CacheInvalidationStrategies } from "../utils/cacheManager";
+
+// Accept a pasted invite link as well as the bare code
+const parseToken = (text) => {
+  const trimmed = text.trim();
+  const match = trimmed.match(/invite\/([A-Za-z0-9_-]+)/);
+  return match ? match[1] : trimmed;
+};
+
+/**
+ * Join a team from an invitation
+ *
+ * Opened from an invite link (`invite/:token`) or from the Teams tab, where
+ * the code from the invitation email can be typed or pasted.
+ */
+const JoinTeamScreen = ({ route, navigation }) => {
+  const { theme } = useTheme();
+  const { selectTeam } = useTeamContext();
+  const { refresh: refreshGuardian } = useGuardian();
+  const [code, setCode] = useState(route.params?.token || "");
+  const [invitation, setInvitation] = useState(null);
+  const [checking, setChecking] = useState(false);
+  const [joining, setJoining] = useState(false);
+
+  const checkInvitation = async (text = code) => {
+    const token = parseToken(text);
+    if (!token) {
+      Alert.alert("Error", "Please enter your invitation code");
+      return;
+    }
+
+    setChecking(true);
+    setInvitation(null);
+    try {
+      const response = await invitationApi.preview(token);
+      setInvitation({ ...response.invitation, token });
+    } catch (error) {
+      console.error("Error checking invitation:", error);
+      Alert.alert(
+        "Invitation Unavailable",
+        error.response?.status === 404
+          ? "This invitation has expired, been used or been revoked. Ask the team owner for a new one."
+          : "Failed to check the invitation"
+      );
+    } finally {
+      setChecking(false);
+    }
+  };
+
+  // Invite links arrive with the code filled in
+  useEffect(() => {
+    if (route.params?.token) {
+      setCode(route.params.token);
+      checkInvitation(route.params.token);
+    }
+  }, [route.params?.token]);
+
+  const inviter = invitation?.invitedByName || "A coach";
+
+  const handleJoin = async () => {
+    setJoining(true);
+    try {
+      const response = await invitationApi.accept(invitation.token);
+      CacheInvalidationStrategies.onRelatedUpdate([
+        "teams",
+        "players",
+        "matches",
+      ]);
+      // Guardians follow a player rather than joining the team
+      const isGuardian = response.membership.role === "guardian";
+      if (!isGuardian) {
+        await selectTeam(response.membership.teamId);
+      }
+      await refreshGuardian();
+
+      Alert.alert(
+        "Welcome!",
+        isGuardian
+          ? `You're now following ${invitation.playerName}.`
+          : `You've joined ${invitation.teamName}.`,
+        [{ text: "OK", onPress: () => navigation.navigate("Main") }]
+      );
+    } catch (error) {
+      console.error("Error joining team:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.error || "Failed to join the team"
+      );
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  return (
+    <ScrollView
+      style={[styles.container, { backgroundColor: theme.background }]}
+      contentContainerStyle={styles.content}
+      keyboardShouldPersistTaps="handled"
+    >
+      <Text style={[styles.label, { color: theme.text }]}>
+        Invitation code or link
+      </Text>
+      <TextInput
+        style={[
+          styles.input,
+          {
+            backgroundColor: theme.cardBackground,
+            borderColor: theme.border,
+            color: theme.text,
+          },
+        ]}
+        placeholder="Paste the code from your invitation"
+        placeholderTextColor={theme.textSecondary}
+        value={code}
+        onChangeText={(text) => {
+          setCode(text);
+          setInvitation(null);
+        }}
+        autoCapitalize="none"
+        autoCorrect={false}
+      />
+      <TouchableOpacity
+        style={[
+          styles.button,
+          { backgroundColor: theme.primary },
+          checking && styles.buttonDisabled,
+        ]}
+        onPress={() => checkInvitation()}
+        disabled={checking}
+      >
+        {checking ? (
+          <ActivityIndicator color="#fff" />
+        ) : (
+          <Text style={styles.buttonText}>Check Invitation</Text>
+        )}
+      </TouchableOpacity>
+
+      {invitation && (
+        <View
+          style={[
+            styles.card,
+            {
+              backgroundColor: theme.cardBackground,
+              shadowColor: theme.shadow,
+            },
+          ]}
+        >
+          {invitation.teamAvatar ? (
+            <Image
+              source={{ uri: invitation.teamAvatar }}
+              style={styles.avatar}
+            />
+          ) : (
+            <Ionicons name="people" size={48} color={theme.primary} />
+          )}
+          <Text style={[styles.teamName, { color: theme.text }]}>
+            {invitation.teamName}
+          </Text>
+          <Text style={[styles.details, { color: theme.textSecondary }]}>
+            {invitation.playerName
+              ? `${inviter} has invited you to follow ${invitation.playerName}'s matches and stats.`
+              : `${inviter} has invited you to join as ${invitation.role}.`}
+          </Text>
+          <TouchableOpacity
+            style={[
+              styles.button,
+              styles.joinButton,
+              { backgroundColor: COLORS.success },
+              joining && styles.buttonDisabled,
+            ]}
+            onPress={handleJoin}
+            disabled={joining}
+          >
+            {joining ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.buttonText}>
+                {invitation.playerName ? "Follow Player" : "Join Team"}
+              </Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      )}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  content: {
+    padding: 15,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.text,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.gray[300],
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  button: {
+    padding: 12,
+    borderRadius: 8,
+    alignItems: "center",
+    marginTop: 15,
+  },
+  joinButton: {
+    alignSelf: "stretch",
+  },
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  card: {
+    alignItems: "center",
+    padding: 20,
+    borderRadius: 12,
+    marginTop: 20,
+    elevation: 2,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  avatar: {
+    width: 64,
+    height: 64,
+    borderRadius: 32,
+  },
+  teamName: {
+    fontSize: 22,
+    fontFamily: FONTS.heading,
+    marginTop: 10,
+  },
+  details: {
+    fontSize: 15,
+    fontFamily: FONTS.body,
+    textAlign: "center",
+    marginTop: 6,
+  },
+});
+
+export default JoinTeamScreen;
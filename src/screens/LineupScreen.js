@@ -0,0 +1,564 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { usePlayers } from "../hooks/useResources";
+import { invalidateCache } from "../hooks/useApi";
+import { useTheme } from "../contexts/ThemeContext";
+import { matchApi, formationApi } from "../services/api";
+import { COLORS, FONTS } from "../config/constants";
+import FormationPitch from "../components/FormationPitch";
+import { withTeamShirtNumbers } from "../utils/playerProfile";
+import {
+  FORMATION_PRESETS,
+  buildFormationSlots,
+  getOutfieldCount,
+  assignPlayerToSlot,
+  keepAssignmentsForSlots,
+} from "../utils/formations";
+
+// The biggest preset the squad can fill, or the smallest one
+const getDefaultShape = (squadSize) =>
+  [...FORMATION_PRESETS]
+    .reverse()
+    .find((shape) => getOutfieldCount(shape) + 1 <= squadSize) ||
+  FORMATION_PRESETS[0];
+
+const LineupScreen = ({ route, navigation }) => {
+  const { matchId } = route.params;
+  const { theme } = useTheme();
+  const { players, loading: playersLoading } = usePlayers(null);
+  const [match, setMatch] = useState(null);
+  const [loadingMatch, setLoadingMatch] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [dragging, setDragging] = useState(false);
+
+  // Lineup being edited
+  const [shape, setShape] = useState(null);
+  const [slots, setSlots] = useState([]);
+  const [assignments, setAssignments] = useState({});
+  const [formationId, setFormationId] = useState(null);
+
+  // The team's saved formations
+  const [formations, setFormations] = useState([]);
+  const [formationName, setFormationName] = useState("");
+  const [savingFormation, setSavingFormation] = useState(false);
+
+  useEffect(() => {
+    const loadMatch = async () => {
+      try {
+        const response = await matchApi.getById(matchId);
+        const matchData = response.match || response;
+        setMatch(matchData);
+
+        if (matchData.lineup) {
+          setShape(matchData.lineup.shape);
+          setSlots(matchData.lineup.slots);
+          setAssignments(matchData.lineup.assignments || {});
+          setFormationId(matchData.formationId || null);
+        } else {
+          const defaultShape = getDefaultShape(
+            matchData.selectedPlayerIds?.length || 0
+          );
+          setShape(defaultShape);
+          setSlots(buildFormationSlots(defaultShape));
+        }
+
+        if (matchData.teamId) {
+          const formationResponse = await formationApi.getForTeam(
+            matchData.teamId
+          );
+          setFormations(formationResponse.formations || []);
+        }
+      } catch (error) {
+        console.error("LineupScreen - Failed to load match:", error);
+        Alert.alert("Error", "Failed to load the match lineup");
+      } finally {
+        setLoadingMatch(false);
+      }
+    };
+
+    loadMatch();
+  }, [matchId]);
+
+  const squad = withTeamShirtNumbers(
+    (match?.selectedPlayerIds || [])
+      .map((id) => players.find((p) => p.id === id))
+      .filter(Boolean),
+    match?.teamId
+  );
+
+  // Players dropped from the squad since the lineup was saved are left out
+  const squadAssignments = {};
+  Object.keys(assignments).forEach((slotId) => {
+    if (squad.some((player) => player.id === assignments[slotId])) {
+      squadAssignments[slotId] = assignments[slotId];
+    }
+  });
+
+  const selectPreset = (presetShape) => {
+    const presetSlots = buildFormationSlots(presetShape);
+    setShape(presetShape);
+    setSlots(presetSlots);
+    setFormationId(null);
+    setAssignments((prev) => keepAssignmentsForSlots(prev, presetSlots));
+  };
+
+  const selectFormation = (formation) => {
+    setShape(formation.shape);
+    setSlots(formation.slots);
+    setFormationId(formation.id);
+    setAssignments((prev) => keepAssignmentsForSlots(prev, formation.slots));
+  };
+
+  const handleAssign = (playerId, slotId) => {
+    setAssignments((prev) => assignPlayerToSlot(prev, playerId, slotId));
+  };
+
+  // Fill empty slots with bench players in squad order
+  const handleAutoFill = () => {
+    setAssignments((prev) => {
+      const filled = { ...prev };
+      const bench = squad.filter(
+        (player) => !Object.values(prev).includes(player.id)
+      );
+      slots.forEach((slot) => {
+        if (!filled[slot.id] && bench.length > 0) {
+          filled[slot.id] = bench.shift().id;
+        }
+      });
+      return filled;
+    });
+  };
+
+  const handleSaveFormation = async () => {
+    if (!formationName.trim()) {
+      Alert.alert("Validation Error", "Please enter a formation name");
+      return;
+    }
+
+    setSavingFormation(true);
+    try {
+      const response = await formationApi.create(match.teamId, {
+        name: formationName.trim(),
+        shape,
+        slots,
+      });
+      setFormations((prev) => [...prev, response.formation]);
+      setFormationId(response.formation.id);
+      setFormationName("");
+    } catch (error) {
+      Alert.alert("Error", error.message || "Failed to save formation");
+    } finally {
+      setSavingFormation(false);
+    }
+  };
+
+  const handleDeleteFormation = (formation) => {
+    Alert.alert(
+      "Delete Formation",
+      `Delete "${formation.name}"? Matches that used it keep their lineup.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await formationApi.delete(formation.id);
+              setFormations((prev) =>
+                prev.filter((f) => f.id !== formation.id)
+              );
+              if (formationId === formation.id) setFormationId(null);
+            } catch (error) {
+              Alert.alert(
+                "Error",
+                error.message || "Failed to delete formation"
+              );
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const saveLineup = async (lineup) => {
+    setSaving(true);
+    try {
+      await matchApi.update(matchId, {
+        formationId: lineup ? formationId : null,
+        lineup,
+      });
+      invalidateCache("matches");
+      navigation.goBack();
+    } catch (error) {
+      Alert.alert("Error", error.message || "Failed to save lineup");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRemoveLineup = () => {
+    Alert.alert("Remove Lineup", "Clear the formation for this match?", [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Remove",
+        style: "destructive",
+        onPress: () => saveLineup(null),
+      },
+    ]);
+  };
+
+  if (loadingMatch || playersLoading || !shape) {
+    return (
+      <View
+        style={[styles.centerContainer, { backgroundColor: theme.background }]}
+      >
+        <ActivityIndicator size="large" color={theme.primary} />
+        <Text style={[styles.loadingText, { color: theme.textSecondary }]}>
+          Loading lineup...
+        </Text>
+      </View>
+    );
+  }
+
+  const renderChip = (key, label, isSelected, onPress, onLongPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[
+        styles.chip,
+        { borderColor: theme.border, backgroundColor: theme.cardBackground },
+        isSelected && {
+          borderColor: theme.primary,
+          backgroundColor: theme.primary,
+        },
+      ]}
+      onPress={onPress}
+      onLongPress={onLongPress}
+    >
+      <Text
+        style={[
+          styles.chipText,
+          { color: isSelected ? "#fff" : theme.text },
+        ]}
+      >
+        {label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.content}
+        scrollEnabled={!dragging}
+      >
+        <Text style={[styles.headerTitle, { color: theme.text }]}>
+          vs {match?.opponent}
+        </Text>
+        <Text style={[styles.headerSubtitle, { color: theme.textSecondary }]}>
+          Drag players between the bench and the pitch. Dropping a player on
+          a team-mate swaps them.
+        </Text>
+
+        {formations.length > 0 && (
+          <View style={styles.section}>
+            <Text style={[styles.label, { color: theme.text }]}>
+              Team Formations
+            </Text>
+            <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+              {formations.map((formation) =>
+                renderChip(
+                  formation.id,
+                  `${formation.name} (${formation.shape})`,
+                  formationId === formation.id,
+                  () => selectFormation(formation),
+                  () => handleDeleteFormation(formation)
+                )
+              )}
+            </ScrollView>
+            <Text style={[styles.hint, { color: theme.textSecondary }]}>
+              Long-press a formation to delete it
+            </Text>
+          </View>
+        )}
+
+        <View style={styles.section}>
+          <Text style={[styles.label, { color: theme.text }]}>Formation</Text>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false}>
+            {FORMATION_PRESETS.map((preset) =>
+              renderChip(
+                preset,
+                preset,
+                !formationId && shape === preset,
+                () => selectPreset(preset)
+              )
+            )}
+          </ScrollView>
+        </View>
+
+        <View style={styles.toolbar}>
+          <TouchableOpacity
+            style={styles.toolbarButton}
+            onPress={handleAutoFill}
+          >
+            <Ionicons name="flash-outline" size={18} color={theme.primary} />
+            <Text style={[styles.toolbarText, { color: theme.primary }]}>
+              Auto Fill
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.toolbarButton}
+            onPress={() => setAssignments({})}
+          >
+            <Ionicons name="refresh" size={18} color={theme.textSecondary} />
+            <Text style={[styles.toolbarText, { color: theme.textSecondary }]}>
+              Clear
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        <FormationPitch
+          slots={slots}
+          assignments={assignments}
+          players={squad}
+          onAssign={handleAssign}
+          onDragStateChange={setDragging}
+        />
+
+        {match?.teamId && !formationId && (
+          <View style={styles.section}>
+            <Text style={[styles.label, { color: theme.text }]}>
+              Save as Team Formation
+            </Text>
+            <View style={styles.saveFormationRow}>
+              <TextInput
+                style={[
+                  styles.input,
+                  {
+                    backgroundColor: theme.inputBackground,
+                    borderColor: theme.inputBorder,
+                    color: theme.text,
+                  },
+                ]}
+                value={formationName}
+                onChangeText={setFormationName}
+                placeholder={`e.g. Attacking ${shape}`}
+                placeholderTextColor={theme.textSecondary}
+                maxLength={50}
+              />
+              <TouchableOpacity
+                style={[
+                  styles.saveFormationButton,
+                  { backgroundColor: theme.primary },
+                ]}
+                onPress={handleSaveFormation}
+                disabled={savingFormation}
+              >
+                {savingFormation ? (
+                  <ActivityIndicator size="small" color="#fff" />
+                ) : (
+                  <Ionicons name="save-outline" size={20} color="#fff" />
+                )}
+              </TouchableOpacity>
+            </View>
+          </View>
+        )}
+
+        {match?.lineup && (
+          <TouchableOpacity
+            style={styles.removeButton}
+            onPress={handleRemoveLineup}
+            disabled={saving}
+          >
+            <Text style={[styles.removeButtonText, { color: theme.error }]}>
+              Remove Lineup
+            </Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+
+      {/* Action Buttons */}
+      <View
+        style={[
+          styles.actionButtons,
+          {
+            backgroundColor: theme.cardBackground,
+            borderTopColor: theme.border,
+          },
+        ]}
+      >
+        <TouchableOpacity
+          style={[styles.cancelButton, { backgroundColor: theme.warning }]}
+          onPress={() => navigation.goBack()}
+          disabled={saving}
+        >
+          <Text style={styles.buttonText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[
+            styles.saveButton,
+            { backgroundColor: theme.success },
+            saving && styles.saveButtonDisabled,
+          ]}
+          onPress={() =>
+            saveLineup({ shape, slots, assignments: squadAssignments })
+          }
+          disabled={saving}
+        >
+          {saving ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <Text style={styles.buttonText}>Save Lineup</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: COLORS.background,
+  },
+  loadingText: {
+    marginTop: 10,
+    fontSize: 16,
+    fontFamily: FONTS.body,
+    color: COLORS.textSecondary,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  content: {
+    padding: 20,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontFamily: FONTS.heading,
+    color: COLORS.text,
+    marginBottom: 5,
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    fontFamily: FONTS.body,
+    marginBottom: 16,
+  },
+  section: {
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+    color: COLORS.text,
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    marginTop: 6,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  toolbar: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    gap: 16,
+    marginBottom: 8,
+  },
+  toolbarButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+  },
+  toolbarText: {
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  saveFormationRow: {
+    flexDirection: "row",
+    gap: 8,
+  },
+  input: {
+    flex: 1,
+    backgroundColor: "#fff",
+    borderWidth: 1,
+    borderColor: "#ddd",
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    fontFamily: FONTS.body,
+    color: COLORS.text,
+  },
+  saveFormationButton: {
+    width: 48,
+    borderRadius: 8,
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  removeButton: {
+    alignItems: "center",
+    paddingVertical: 12,
+    marginTop: 8,
+  },
+  removeButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+  },
+  actionButtons: {
+    flexDirection: "row",
+    padding: 16,
+    gap: 12,
+    backgroundColor: "#fff",
+    borderTopWidth: 1,
+    borderTopColor: "#ddd",
+  },
+  cancelButton: {
+    flex: 1,
+    backgroundColor: COLORS.warning,
+    borderRadius: 8,
+    padding: 16,
+    alignItems: "center",
+  },
+  saveButton: {
+    flex: 1,
+    backgroundColor: COLORS.success,
+    borderRadius: 8,
+    padding: 16,
+    alignItems: "center",
+  },
+  saveButtonDisabled: {
+    opacity: 0.6,
+  },
+  buttonText: {
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+    color: "#fff",
+  },
+});
+
+export default LineupScreen;
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from "react";
+import React, { useState, useEffect, useRef, useCallback } from "react";
 import {
   View,
   Text,
@@ -8,24 +8,119 @@ import {
   Alert,
   ActivityIndicator,
   AppState,
+  Modal,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
-import { useMatches, usePlayers } from "../hooks/useResources";
-import { COLORS, MATCH_TYPES, VENUE_TYPES } from "../config/constants";
+import { useFocusEffect } from "@react-navigation/native";
+import {
+  useMatches,
+  usePlayers,
+  useMatchEvents,
+} from "../hooks/useResources";
+import {
+  COLORS,
+  MATCH_TYPES,
+  VENUE_TYPES,
+  MATCH_EVENT_TYPES,
+} from "../config/constants";
 import { formatDateTime } from "../utils/helpers";
+import { createMatchEvent, findLastEvent } from "../utils/matchEvents";
+import {
+  saveLiveMatchSession,
+  loadLiveMatchSession,
+  clearLiveMatchSession,
+  getSessionMatchSeconds,
+} from "../utils/liveMatchStorage";
+import {
+  getDeviceId,
+  withLocalIds,
+  diffEvents,
+  mergeServerEvents,
+  hasRemoteEventChanges,
+  getScoreFromEvents,
+  getPlayerStatsFromEvents,
+} from "../utils/liveMatchSync";
+import {
+  resolvePeriodFormat,
+  getTotalPeriods,
+  getPeriodLabel,
+  getBreakLabel,
+  getBreakSeconds,
+  getPeriodStartSecond,
+  getPeriodLengthSeconds,
+  formatPeriodFormat,
+  formatMatchClock,
+} from "../utils/matchPeriods";
+import {
+  getShootoutScore,
+  isShootoutDecided,
+} from "../utils/penaltyShootout";
+import {
+  generateRotationPlan,
+  getSecondsPlayed,
+  getDueSubstitutions,
+  isLineupOnPlan,
+} from "../utils/substitutionPlanner";
+import {
+  GOALKEEPER_SLOT,
+  GOALKEEPER_SLOT_ID,
+  getLiveAssignments,
+  getGoalkeeperId,
+  pickSlotForPlayer,
+  withSlot,
+  moveStintToSlot,
+} from "../utils/formations";
+import {
+  EMPTY_HISTORY,
+  recordAction,
+  undoAction,
+  redoAction,
+} from "../utils/liveActionHistory";
+import {
+  TEAM_STAT_FIELDS,
+  changeTeamStat,
+  getTeamStatLabel,
+} from "../utils/teamStats";
+import SubstitutionPlanner from "../components/SubstitutionPlanner";
+import FormationPitch from "../components/FormationPitch";
+import PlayerAvatar from "../components/PlayerAvatar";
+import { withTeamShirtNumbers } from "../utils/playerProfile";
+import ActionToast from "../components/ActionToast";
+import { liveMatchApi, penaltyShootoutApi } from "../services/api";
 import { useTheme } from "../contexts/ThemeContext";
+import { CacheInvalidationStrategies } from "../utils/cacheManager";
+
+// Shown when undo history that still had actions in it is cleared
+const NEW_PERIOD_MESSAGE = "Undo history starts again each period";
+const REMOTE_CHANGES_MESSAGE =
+  "Undo history cleared after changes from another device";
 
 const LiveMatchScreen = ({ route, navigation }) => {
   const { theme } = useTheme();
   const { matchId } = route.params;
-  const { matches, loading: matchesLoading, updateMatch } = useMatches(null);
+  const {
+    matches,
+    loading: matchesLoading,
+    updateMatch,
+    refetch: refetchMatches,
+  } = useMatches(null);
   const { players, loading: playersLoading } = usePlayers(null);
+  const { events: savedEvents, loading: eventsLoading } =
+    useMatchEvents(matchId);
 
   const [match, setMatch] = useState(null);
   const [goalsFor, setGoalsFor] = useState(0);
   const [goalsAgainst, setGoalsAgainst] = useState(0);
   const [playerStats, setPlayerStats] = useState({});
 
+  // Team counters for both sides (shots, corners, free kicks, saves)
+  const [teamStats, setTeamStats] = useState(null);
+
+  // Timestamped event log (goals, cards, substitutions)
+  const [matchEvents, setMatchEvents] = useState([]);
+  const [assistGoalId, setAssistGoalId] = useState(null); // Goal awaiting an assist pick
+  const eventsInitialized = useRef(false);
+
   // Timer and substitution tracking
   const [matchSeconds, setMatchSeconds] = useState(0);
   const [isTimerRunning, setIsTimerRunning] = useState(false);
@@ -35,14 +130,74 @@ const LiveMatchScreen = ({ route, navigation }) => {
   const [playerPeriods, setPlayerPeriods] = useState({}); // Track playing periods
   const timerRef = useRef(null);
 
-  const loading = matchesLoading || playersLoading;
+  // Match periods (halves, quarters, extra time) and the breaks between them
+  const [currentPeriod, setCurrentPeriod] = useState(1);
+  const [inBreak, setInBreak] = useState(false);
+  const [breakStartedAt, setBreakStartedAt] = useState(null);
+  const [breakNow, setBreakNow] = useState(Date.now());
+
+  // Substitution plan balancing minutes across the squad
+  const [rotationPlan, setRotationPlan] = useState(null);
+  const [plannerVisible, setPlannerVisible] = useState(false);
+
+  // Positions on the pitch (matches with a lineup)
+  const [positionsVisible, setPositionsVisible] = useState(false);
+  const [draggingPosition, setDraggingPosition] = useState(false);
+
+  // Penalty shootout for cup ties that end level
+  const [shootoutActive, setShootoutActive] = useState(false);
+  const [shootoutKicks, setShootoutKicks] = useState([]);
+  const [pendingKickScored, setPendingKickScored] = useState(null); // Our kick awaiting a taker pick
+
+  // Undo and redo for live actions. Snapshots only make sense within one
+  // period, so the history is cleared at period changes and when another
+  // device's changes are merged in, with a toast saying so.
+  const [actionHistory, setActionHistory] = useState(EMPTY_HISTORY);
+  const [toast, setToast] = useState(null);
+
+  // Crash recovery: state is only initialised once per visit, and saving
+  // starts after the user has chosen whether to resume a saved session
+  const stateInitialized = useRef(false);
+  const [sessionReady, setSessionReady] = useState(false);
+
+  // Co-scoring sync: local changes are pushed every few seconds and the
+  // merged server state is adopted (see LiveMatchSessionService for rules)
+  const [clockUpdatedAt, setClockUpdatedAt] = useState(null);
+  const [lineupUpdatedAt, setLineupUpdatedAt] = useState(null);
+  const [teamStatsUpdatedAt, setTeamStatsUpdatedAt] = useState(null);
+  const [syncOnline, setSyncOnline] = useState(true);
+  const deviceIdRef = useRef(null);
+  const syncedEventsRef = useRef([]);
+  const syncedClockAt = useRef(null);
+  const syncedLineupAt = useRef(null);
+  const syncedTeamStatsAt = useRef(null);
+  const syncInFlight = useRef(false);
+  const syncStopped = useRef(false);
+  const liveStateRef = useRef({});
+
+  const loading = matchesLoading || playersLoading || eventsLoading;
+  const periodFormat = resolvePeriodFormat(match);
+  const lineup = match?.lineup || null;
+
+  // Pick up a lineup saved on the Lineup screen
+  useFocusEffect(
+    useCallback(() => {
+      refetchMatches();
+    }, [refetchMatches])
+  );
 
   useEffect(() => {
     const foundMatch = matches.find((m) => m.id === matchId);
     if (foundMatch) {
       setMatch(foundMatch);
+
+      // Don't overwrite live state when the matches list refreshes
+      if (stateInitialized.current) return;
+      stateInitialized.current = true;
+
       setGoalsFor(foundMatch.goalsFor || 0);
       setGoalsAgainst(foundMatch.goalsAgainst || 0);
+      setTeamStats(foundMatch.teamStats || null);
 
       // Initialize player stats
       const stats = {};
@@ -72,9 +227,352 @@ const LiveMatchScreen = ({ route, navigation }) => {
       }
       setPlayerStats(stats);
       setPlayerPeriods(periods);
+
+      offerSessionResume();
     }
   }, [matchId, matches]);
 
+  const restoreSession = (session) => {
+    setGoalsFor(session.goalsFor || 0);
+    setGoalsAgainst(session.goalsAgainst || 0);
+    setPlayerStats(session.playerStats || {});
+    setTeamStats(session.teamStats || null);
+    setMatchEvents(session.matchEvents || []);
+    eventsInitialized.current = true;
+    setPlayerPeriods(session.playerPeriods || {});
+    setPlayingPlayers(session.playingPlayers);
+    setAccumulatedSeconds(session.accumulatedSeconds || 0);
+    setTimerStartTime(session.timerStartTime || null);
+    setMatchSeconds(getSessionMatchSeconds(session));
+    setIsTimerRunning(session.isTimerRunning || false);
+    setCurrentPeriod(session.currentPeriod || 1);
+    setInBreak(session.inBreak || false);
+    setBreakStartedAt(session.breakStartedAt || null);
+    setShootoutActive(session.shootoutActive || false);
+    setShootoutKicks(session.shootoutKicks || []);
+    setRotationPlan(session.rotationPlan || null);
+    setClockUpdatedAt(session.clockUpdatedAt || null);
+    setLineupUpdatedAt(session.lineupUpdatedAt || null);
+    setTeamStatsUpdatedAt(session.teamStatsUpdatedAt || null);
+  };
+
+  const offerSessionResume = async () => {
+    const session = await loadLiveMatchSession(matchId);
+    if (!session) {
+      setSessionReady(true);
+      return;
+    }
+
+    Alert.alert(
+      "Resume Live Match",
+      `This match was in progress (${session.goalsFor || 0} - ${
+        session.goalsAgainst || 0
+      }, ${formatMatchClock(
+        getSessionMatchSeconds(session)
+      )}). Resume where you left off?`,
+      [
+        {
+          text: "Start Over",
+          style: "destructive",
+          onPress: async () => {
+            await clearLiveMatchSession(matchId);
+            setSessionReady(true);
+          },
+        },
+        {
+          text: "Resume",
+          onPress: () => {
+            restoreSession(session);
+            setSessionReady(true);
+          },
+        },
+      ],
+      { cancelable: false }
+    );
+  };
+
+  // Persist live state on every change so it survives the app being killed
+  useEffect(() => {
+    if (!sessionReady || !match) return;
+
+    const hasStarted =
+      isTimerRunning ||
+      matchSeconds > 0 ||
+      playingPlayers.size > 0 ||
+      matchEvents.length > 0;
+    if (!hasStarted) return;
+
+    saveLiveMatchSession(matchId, {
+      opponent: match.opponent,
+      goalsFor,
+      goalsAgainst,
+      playerStats,
+      teamStats,
+      matchEvents,
+      matchSeconds,
+      accumulatedSeconds,
+      timerStartTime,
+      isTimerRunning,
+      currentPeriod,
+      inBreak,
+      breakStartedAt,
+      shootoutActive,
+      shootoutKicks,
+      rotationPlan,
+      playingPlayers,
+      playerPeriods,
+      clockUpdatedAt,
+      lineupUpdatedAt,
+      teamStatsUpdatedAt,
+    });
+  }, [
+    sessionReady,
+    match,
+    matchId,
+    goalsFor,
+    goalsAgainst,
+    playerStats,
+    teamStats,
+    matchEvents,
+    matchSeconds,
+    accumulatedSeconds,
+    timerStartTime,
+    isTimerRunning,
+    currentPeriod,
+    inBreak,
+    breakStartedAt,
+    shootoutActive,
+    shootoutKicks,
+    rotationPlan,
+    playingPlayers,
+    playerPeriods,
+    clockUpdatedAt,
+    lineupUpdatedAt,
+    teamStatsUpdatedAt,
+  ]);
+
+  // Continue the saved log when re-opening a match that already has events
+  useEffect(() => {
+    if (eventsLoading || eventsInitialized.current) return;
+    eventsInitialized.current = true;
+    if (savedEvents.length > 0) {
+      const events = withLocalIds(savedEvents);
+      syncedEventsRef.current = events;
+      setMatchEvents(events);
+    }
+  }, [eventsLoading, savedEvents]);
+
+  // Latest state for the sync loop and the finish handler
+  liveStateRef.current = {
+    goalsFor,
+    goalsAgainst,
+    playerStats,
+    teamStats,
+    matchEvents,
+    matchSeconds,
+    accumulatedSeconds,
+    timerStartTime,
+    isTimerRunning,
+    currentPeriod,
+    inBreak,
+    breakStartedAt,
+    shootoutKicks,
+    playingPlayers,
+    playerPeriods,
+    clockUpdatedAt,
+    lineupUpdatedAt,
+    teamStatsUpdatedAt,
+    actionHistory,
+  };
+
+  // Clear undo and redo, telling the user when there was anything to undo
+  const clearActionHistory = (message) => {
+    const { undo, redo } = liveStateRef.current.actionHistory;
+    setActionHistory(EMPTY_HISTORY);
+    if (undo.length === 0 && redo.length === 0) return;
+
+    setToast({ id: Date.now(), icon: "information-circle", message });
+  };
+
+  const applyServerSession = (session, sentEvents) => {
+    const local = liveStateRef.current;
+
+    // Events: server log plus anything recorded while the push was in flight
+    const serverEvents = withLocalIds(session.events);
+    syncedEventsRef.current = serverEvents;
+    if (hasRemoteEventChanges(serverEvents, sentEvents)) {
+      const merged = mergeServerEvents(
+        serverEvents,
+        sentEvents,
+        local.matchEvents
+      );
+      // Move the score by the goals that changed, like the server does
+      const before = getScoreFromEvents(local.matchEvents);
+      const after = getScoreFromEvents(merged);
+      setMatchEvents(merged);
+      setGoalsFor(
+        Math.max(0, local.goalsFor + after.goalsFor - before.goalsFor)
+      );
+      setGoalsAgainst(
+        Math.max(
+          0,
+          local.goalsAgainst + after.goalsAgainst - before.goalsAgainst
+        )
+      );
+      setPlayerStats((prev) => ({
+        ...prev,
+        ...getPlayerStatsFromEvents(merged, Object.keys(prev)),
+      }));
+      clearActionHistory(REMOTE_CHANGES_MESSAGE);
+    }
+
+    // Clock: adopt the winning write from another device
+    const { clock } = session;
+    if (clock) {
+      if (!local.clockUpdatedAt || clock.updatedAt > local.clockUpdatedAt) {
+        const seconds = clock.running
+          ? clock.accumulatedSeconds +
+            Math.floor((Date.now() - clock.startedAt) / 1000)
+          : clock.accumulatedSeconds;
+        setAccumulatedSeconds(clock.accumulatedSeconds);
+        setTimerStartTime(clock.running ? clock.startedAt : null);
+        setMatchSeconds(Math.max(0, seconds));
+        setIsTimerRunning(clock.running);
+        setCurrentPeriod(clock.period || 1);
+        setInBreak(clock.inBreak || false);
+        setBreakStartedAt(clock.breakStartedAt || null);
+        setClockUpdatedAt(clock.updatedAt);
+      }
+      if (clock.updatedAt >= (local.clockUpdatedAt || 0)) {
+        syncedClockAt.current = clock.updatedAt;
+      }
+    }
+
+    // Lineup: same last-writer-wins rule
+    const { lineup } = session;
+    if (lineup) {
+      if (!local.lineupUpdatedAt || lineup.updatedAt > local.lineupUpdatedAt) {
+        setPlayingPlayers(new Set(lineup.playingPlayerIds || []));
+        setPlayerPeriods(lineup.playerPeriods || {});
+        setLineupUpdatedAt(lineup.updatedAt);
+        clearActionHistory(REMOTE_CHANGES_MESSAGE);
+      }
+      if (lineup.updatedAt >= (local.lineupUpdatedAt || 0)) {
+        syncedLineupAt.current = lineup.updatedAt;
+      }
+    }
+
+    // Team counters: same last-writer-wins rule
+    const remoteTeamStats = session.teamStats;
+    if (remoteTeamStats) {
+      if (
+        !local.teamStatsUpdatedAt ||
+        remoteTeamStats.updatedAt > local.teamStatsUpdatedAt
+      ) {
+        setTeamStats({
+          for: remoteTeamStats.for,
+          against: remoteTeamStats.against,
+        });
+        setTeamStatsUpdatedAt(remoteTeamStats.updatedAt);
+        clearActionHistory(REMOTE_CHANGES_MESSAGE);
+      }
+      if (remoteTeamStats.updatedAt >= (local.teamStatsUpdatedAt || 0)) {
+        syncedTeamStatsAt.current = remoteTeamStats.updatedAt;
+      }
+    }
+  };
+
+  const syncLiveSession = async () => {
+    if (syncInFlight.current || syncStopped.current || !deviceIdRef.current) {
+      return null;
+    }
+    syncInFlight.current = true;
+
+    const local = liveStateRef.current;
+    const sentEvents = local.matchEvents;
+
+    try {
+      const events = diffEvents(sentEvents, syncedEventsRef.current);
+      const changes = { deviceId: deviceIdRef.current, events };
+
+      if (
+        local.clockUpdatedAt &&
+        local.clockUpdatedAt !== syncedClockAt.current
+      ) {
+        changes.clock = {
+          running: local.isTimerRunning,
+          startedAt: local.timerStartTime,
+          accumulatedSeconds: local.accumulatedSeconds,
+          period: local.currentPeriod,
+          inBreak: local.inBreak,
+          breakStartedAt: local.breakStartedAt,
+          updatedAt: local.clockUpdatedAt,
+        };
+      }
+      if (
+        local.lineupUpdatedAt &&
+        local.lineupUpdatedAt !== syncedLineupAt.current
+      ) {
+        changes.lineup = {
+          playingPlayerIds: Array.from(local.playingPlayers),
+          playerPeriods: local.playerPeriods,
+          updatedAt: local.lineupUpdatedAt,
+        };
+      }
+      if (
+        local.teamStatsUpdatedAt &&
+        local.teamStatsUpdatedAt !== syncedTeamStatsAt.current
+      ) {
+        changes.teamStats = {
+          ...local.teamStats,
+          updatedAt: local.teamStatsUpdatedAt,
+        };
+      }
+
+      const hasChanges =
+        changes.clock ||
+        changes.lineup ||
+        changes.teamStats ||
+        events.added.length > 0 ||
+        events.updated.length > 0 ||
+        events.removed.length > 0;
+
+      const response = hasChanges
+        ? await liveMatchApi.push(matchId, changes)
+        : await liveMatchApi.get(matchId);
+
+      applyServerSession(response.session, sentEvents);
+      setSyncOnline(true);
+      return response.session;
+    } catch (error) {
+      console.log("📡 Live sync failed, will retry:", error.message);
+      setSyncOnline(false);
+      return null;
+    } finally {
+      syncInFlight.current = false;
+    }
+  };
+
+  // Sync loop - runs once the resume decision has been made
+  useEffect(() => {
+    if (!sessionReady) return;
+
+    let cancelled = false;
+    let interval = null;
+
+    getDeviceId().then((deviceId) => {
+      if (cancelled) return;
+      deviceIdRef.current = deviceId;
+      syncLiveSession();
+      interval = setInterval(syncLiveSession, 5000);
+    });
+
+    return () => {
+      cancelled = true;
+      if (interval) clearInterval(interval);
+    };
+  }, [sessionReady]);
+
   // Timer effect - uses actual elapsed time instead of intervals for accuracy
   useEffect(() => {
     // Clear any existing interval first
@@ -151,6 +649,14 @@ const LiveMatchScreen = ({ route, navigation }) => {
     };
   }, []);
 
+  // Tick the break countdown
+  useEffect(() => {
+    if (!inBreak) return;
+
+    const interval = setInterval(() => setBreakNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [inBreak]);
+
   const toggleTimer = () => {
     if (isTimerRunning) {
       // Pausing: accumulate elapsed time
@@ -170,48 +676,183 @@ const LiveMatchScreen = ({ route, navigation }) => {
       console.log(`▶️ Starting timer from ${accumulatedSeconds}s`);
     }
     setIsTimerRunning(!isTimerRunning);
+    setClockUpdatedAt(Date.now());
   };
 
   const adjustMatchTime = (seconds) => {
+    // The clock can't be wound back before the current period kicked off
+    const periodStart = getPeriodStartSecond(periodFormat, currentPeriod);
+
     // Adjust the accumulated seconds (works whether timer is running or paused)
     if (isTimerRunning && timerStartTime) {
       // If running, calculate current elapsed and add adjustment to accumulated
       const currentElapsed = Math.floor((Date.now() - timerStartTime) / 1000);
       const newAccumulated = Math.max(
-        0,
+        periodStart,
         accumulatedSeconds + currentElapsed + seconds
       );
       setAccumulatedSeconds(newAccumulated);
       setTimerStartTime(Date.now()); // Reset start time to now
     } else {
       // If paused, just adjust accumulated seconds
-      setAccumulatedSeconds((prev) => Math.max(0, prev + seconds));
-      setMatchSeconds((prev) => Math.max(0, prev + seconds));
+      setAccumulatedSeconds((prev) => Math.max(periodStart, prev + seconds));
+      setMatchSeconds((prev) => Math.max(periodStart, prev + seconds));
     }
+    setClockUpdatedAt(Date.now());
   };
 
-  const formatTime = (totalSeconds) => {
-    const hours = Math.floor(totalSeconds / 3600);
-    const minutes = Math.floor((totalSeconds % 3600) / 60);
-    const seconds = totalSeconds % 60;
-    return `${String(hours).padStart(2, "0")}:${String(minutes).padStart(
-      2,
-      "0"
-    )}:${String(seconds).padStart(2, "0")}`;
+  const endPeriod = () => {
+    const endSecond =
+      isTimerRunning && timerStartTime
+        ? accumulatedSeconds +
+          Math.floor((Date.now() - timerStartTime) / 1000)
+        : matchSeconds;
+    const now = Date.now();
+
+    // Stop the clock at the end of the period
+    setAccumulatedSeconds(endSecond);
+    setMatchSeconds(endSecond);
+    setTimerStartTime(null);
+    setIsTimerRunning(false);
+    setInBreak(true);
+    setBreakStartedAt(now);
+    setBreakNow(now);
+    setClockUpdatedAt(now);
+
+    // Close every open stint; players still on are restarted next period
+    setPlayerPeriods((prev) => {
+      const closed = {};
+      Object.keys(prev).forEach((playerId) => {
+        closed[playerId] = prev[playerId].map((stint) =>
+          stint.end === null ? { ...stint, end: endSecond } : stint
+        );
+      });
+      return closed;
+    });
+    setLineupUpdatedAt(now);
+    clearActionHistory(NEW_PERIOD_MESSAGE);
   };
 
-  const calculateMinutesPlayed = (playerId) => {
-    const periods = playerPeriods[playerId] || [];
-    let totalSeconds = 0;
+  const handleEndPeriod = () => {
+    const label = getPeriodLabel(periodFormat, currentPeriod);
+    Alert.alert(
+      `End ${label}`,
+      "The clock will stop until the next period kicks off.",
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: `End ${label}`, onPress: endPeriod },
+      ]
+    );
+  };
 
-    periods.forEach((period) => {
-      if (period.end !== null) {
-        totalSeconds += period.end - period.start;
-      } else {
-        // Currently playing - add time up to current second
-        totalSeconds += matchSeconds - period.start;
-      }
+  const startNextPeriod = () => {
+    const nextPeriod = currentPeriod + 1;
+    const startSecond = getPeriodStartSecond(periodFormat, nextPeriod);
+    const now = Date.now();
+
+    setCurrentPeriod(nextPeriod);
+    setInBreak(false);
+    setBreakStartedAt(null);
+    setAccumulatedSeconds(startSecond);
+    setMatchSeconds(startSecond);
+    setTimerStartTime(now);
+    setIsTimerRunning(true);
+    setClockUpdatedAt(now);
+
+    // Players on the pitch start a new stint in the new period
+    setPlayerPeriods((prev) => {
+      const updated = { ...prev };
+      playingPlayers.forEach((playerId) => {
+        updated[playerId] = [
+          ...(prev[playerId] || []),
+          withSlot(
+            { start: startSecond, end: null, period: nextPeriod },
+            pickSlotForPlayer(lineup, updated, playerId)
+          ),
+        ];
+      });
+      return updated;
     });
+    setLineupUpdatedAt(now);
+    clearActionHistory(NEW_PERIOD_MESSAGE);
+  };
+
+  const recordEvent = (type, fields = {}) => {
+    // Substitutions made at a break belong to the start of the next period
+    const isMidMatchBreak = inBreak && currentPeriod < periodFormat.periods;
+    const period = isMidMatchBreak ? currentPeriod + 1 : currentPeriod;
+    const second = isMidMatchBreak
+      ? getPeriodStartSecond(periodFormat, period)
+      : matchSeconds;
+
+    const event = createMatchEvent(type, second, { ...fields, period });
+    setMatchEvents((prev) => [...prev, event]);
+    return event;
+  };
+
+  const removeEvent = (localId) => {
+    setMatchEvents((prev) => prev.filter((event) => event.localId !== localId));
+  };
+
+  const getPlayerName = (playerId) =>
+    players.find((p) => p.id === playerId)?.name || "Unknown";
+
+  const getLiveSnapshot = () => ({
+    goalsFor,
+    goalsAgainst,
+    playerStats,
+    teamStats,
+    matchEvents,
+    playingPlayers,
+    playerPeriods,
+    rotationPlan,
+  });
+
+  // Call before changing live state so the action can be undone
+  const logAction = (description) => {
+    setActionHistory((prev) =>
+      recordAction(prev, description, getLiveSnapshot())
+    );
+  };
+
+  const restoreSnapshot = (snapshot) => {
+    setGoalsFor(snapshot.goalsFor);
+    setGoalsAgainst(snapshot.goalsAgainst);
+    setPlayerStats(snapshot.playerStats);
+    setTeamStats(snapshot.teamStats);
+    setMatchEvents(snapshot.matchEvents);
+    setPlayingPlayers(snapshot.playingPlayers);
+    setPlayerPeriods(snapshot.playerPeriods);
+    setRotationPlan(snapshot.rotationPlan);
+    setAssistGoalId(null);
+    setLineupUpdatedAt(Date.now());
+    setTeamStatsUpdatedAt(Date.now());
+  };
+
+  const stepActionHistory = (isUndo) => {
+    const result = (isUndo ? undoAction : redoAction)(
+      actionHistory,
+      getLiveSnapshot()
+    );
+    if (!result) return;
+
+    restoreSnapshot(result.state);
+    setActionHistory(result.history);
+    setToast({
+      id: Date.now(),
+      icon: isUndo ? "arrow-undo" : "arrow-redo",
+      message: `${isUndo ? "Undone" : "Redone"}: ${result.description}`,
+      actionLabel: isUndo ? "Redo" : "Undo",
+      isUndo,
+    });
+  };
+
+  const calculateMinutesPlayed = (playerId) => {
+    // Open stints count up to the current second
+    const totalSeconds = getSecondsPlayed(
+      playerPeriods[playerId],
+      matchSeconds
+    );
 
     // Convert to minutes and round
     return Math.floor(totalSeconds / 60);
@@ -219,6 +860,15 @@ const LiveMatchScreen = ({ route, navigation }) => {
 
   const togglePlayerStatus = (playerId) => {
     const isPlaying = playingPlayers.has(playerId);
+    logAction(
+      `${isPlaying ? "Sub off" : "Sub on"} - ${getPlayerName(playerId)}`
+    );
+    switchPlayer(playerId);
+  };
+
+  const switchPlayer = (playerId) => {
+    const isPlaying = playingPlayers.has(playerId);
+    setLineupUpdatedAt(Date.now());
 
     if (isPlaying) {
       // Sub player off - end current period
@@ -229,290 +879,656 @@ const LiveMatchScreen = ({ route, navigation }) => {
       });
 
       setPlayerPeriods((prev) => {
+        // Copy the stint rather than closing it in place, so undo
+        // snapshots keep it open
         const periods = [...(prev[playerId] || [])];
         const lastPeriod = periods[periods.length - 1];
         if (lastPeriod && lastPeriod.end === null) {
-          lastPeriod.end = matchSeconds;
+          periods[periods.length - 1] = { ...lastPeriod, end: matchSeconds };
         }
         return {
           ...prev,
           [playerId]: periods,
         };
       });
+
+      if (matchSeconds > 0) {
+        recordEvent(MATCH_EVENT_TYPES.SUB_OFF, { playerId });
+      }
     } else {
       // Sub player on - start new period
       setPlayingPlayers((prev) => new Set([...prev, playerId]));
 
+      if (matchSeconds > 0) {
+        recordEvent(MATCH_EVENT_TYPES.SUB_ON, { playerId });
+      }
+
+      // During a break the stint starts when the next period kicks off
+      if (inBreak) return;
+
       setPlayerPeriods((prev) => ({
         ...prev,
         [playerId]: [
           ...(prev[playerId] || []),
-          { start: matchSeconds, end: null },
+          withSlot(
+            { start: matchSeconds, end: null, period: currentPeriod },
+            pickSlotForPlayer(lineup, prev, playerId)
+          ),
         ],
       }));
     }
   };
 
-  const startAllPlayers = () => {
-    const selectedPlayerIds = match?.selectedPlayerIds || [];
-    selectedPlayerIds.forEach((playerId) => {
+  const startPlayers = (playerIds) => {
+    if (playerIds.every((playerId) => playingPlayers.has(playerId))) return;
+    logAction("Starting lineup");
+    setLineupUpdatedAt(Date.now());
+    playerIds.forEach((playerId) => {
       if (!playingPlayers.has(playerId)) {
         setPlayingPlayers((prev) => new Set([...prev, playerId]));
+        if (inBreak) return;
+
         setPlayerPeriods((prev) => ({
           ...prev,
           [playerId]: [
             ...(prev[playerId] || []),
-            { start: matchSeconds, end: null },
+            withSlot(
+              { start: matchSeconds, end: null, period: currentPeriod },
+              pickSlotForPlayer(lineup, prev, playerId)
+            ),
           ],
         }));
       }
     });
   };
 
+  // Move a player on the pitch to another slot, swapping with whoever is there
+  const changePlayerPosition = (playerId, slotId) => {
+    logAction(`Position change - ${getPlayerName(playerId)}`);
+    setLineupUpdatedAt(Date.now());
+    setPlayerPeriods((prev) => {
+      const current = getLiveAssignments(prev);
+      const fromSlotId = Object.keys(current).find(
+        (id) => current[id] === playerId
+      );
+      if (fromSlotId === (slotId || undefined)) return prev;
+
+      const getSlot = (id) => lineup.slots.find((slot) => slot.id === id);
+      const updated = {
+        ...prev,
+        [playerId]: moveStintToSlot(
+          prev[playerId] || [],
+          slotId ? getSlot(slotId) : null,
+          matchSeconds
+        ),
+      };
+
+      const displacedId = slotId ? current[slotId] : null;
+      if (displacedId && displacedId !== playerId) {
+        updated[displacedId] = moveStintToSlot(
+          prev[displacedId] || [],
+          fromSlotId ? getSlot(fromSlotId) : null,
+          matchSeconds
+        );
+      }
+      return updated;
+    });
+  };
+
+  // Put a player in goal (or take them out); the previous keeper keeps playing
+  // without a position. With a lineup this is a swap into the keeper's slot.
+  const toggleGoalkeeper = (playerId) => {
+    const lineupKeeperSlot = lineup?.slots.find(
+      (slot) => slot.id === GOALKEEPER_SLOT_ID
+    );
+    if (lineupKeeperSlot) {
+      changePlayerPosition(playerId, GOALKEEPER_SLOT_ID);
+      return;
+    }
+
+    const keeperId = getGoalkeeperId(playerPeriods);
+    logAction(
+      `${keeperId === playerId ? "Out of goal" : "In goal"} - ${getPlayerName(
+        playerId
+      )}`
+    );
+    setLineupUpdatedAt(Date.now());
+    setPlayerPeriods((prev) => {
+      const currentKeeperId = getGoalkeeperId(prev);
+      if (currentKeeperId === playerId) {
+        return {
+          ...prev,
+          [playerId]: moveStintToSlot(prev[playerId] || [], null, matchSeconds),
+        };
+      }
+
+      const updated = {
+        ...prev,
+        [playerId]: moveStintToSlot(
+          prev[playerId] || [],
+          GOALKEEPER_SLOT,
+          matchSeconds
+        ),
+      };
+      if (currentKeeperId) {
+        updated[currentKeeperId] = moveStintToSlot(
+          prev[currentKeeperId] || [],
+          null,
+          matchSeconds
+        );
+      }
+      return updated;
+    });
+  };
+
+  const startAllPlayers = () => {
+    startPlayers(match?.selectedPlayerIds || []);
+  };
+
+  // Plan from the live state: minutes so far, who is on and the clock
+  const buildRotationPlan = (settings, after = null) => {
+    const squadIds = match?.selectedPlayerIds || [];
+    const secondsPlayed = {};
+    squadIds.forEach((playerId) => {
+      secondsPlayed[playerId] = getSecondsPlayed(
+        playerPeriods[playerId],
+        matchSeconds
+      );
+    });
+
+    const restartSecond = getPeriodStartSecond(periodFormat, currentPeriod + 1);
+    const fromPeriod = inBreak ? currentPeriod + 1 : currentPeriod;
+    const plan = generateRotationPlan({
+      squadIds,
+      lineupIds: [...playingPlayers],
+      secondsPlayed,
+      unavailableIds: squadIds.filter((id) => playerStats[id]?.redCard),
+      format: periodFormat,
+      playersOnPitch: settings.playersOnPitch,
+      intervalMinutes: settings.intervalMinutes,
+      fromPeriod: after ? after.period : fromPeriod,
+      fromSecond: after
+        ? after.matchSecond + 1
+        : inBreak
+        ? restartSecond
+        : matchSeconds + 1,
+      nowSecond: inBreak ? restartSecond : matchSeconds,
+    });
+
+    return {
+      ...plan,
+      playersOnPitch: settings.playersOnPitch,
+      intervalMinutes: settings.intervalMinutes,
+    };
+  };
+
+  const applyRotationPlan = (plan) => {
+    setRotationPlan(plan);
+    setPlannerVisible(false);
+    if (playingPlayers.size === 0) {
+      startPlayers(plan.starters);
+    }
+  };
+
+  const makeDueSubs = (dueSubs) => {
+    logAction(
+      dueSubs.length === 1
+        ? `Sub - ${getPlayerName(dueSubs[0].onId)} for ${getPlayerName(
+            dueSubs[0].offId
+          )}`
+        : `${dueSubs.length} planned substitutions`
+    );
+    const dueIds = dueSubs.map((sub) => sub.id);
+    setRotationPlan((prev) => ({
+      ...prev,
+      subs: prev.subs.map((sub) =>
+        dueIds.includes(sub.id) ? { ...sub, status: "done" } : sub
+      ),
+    }));
+    dueSubs.forEach((sub) => {
+      switchPlayer(sub.offId);
+      switchPlayer(sub.onId);
+    });
+  };
+
+  // Skipping re-plans from the next window with the current lineup
+  const skipDueSubs = (dueSubs) => {
+    setRotationPlan(
+      buildRotationPlan(rotationPlan, dueSubs[dueSubs.length - 1])
+    );
+  };
+
+  const handleClearRotationPlan = () => {
+    Alert.alert("Clear Plan", "Stop following the substitution plan?", [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Clear",
+        style: "destructive",
+        onPress: () => setRotationPlan(null),
+      },
+    ]);
+  };
+
+  // Re-plan whenever the coach changes the lineup away from the plan
+  useEffect(() => {
+    if (!rotationPlan || playingPlayers.size === 0) return;
+    if (!isLineupOnPlan(rotationPlan, playingPlayers)) {
+      setRotationPlan(buildRotationPlan(rotationPlan));
+    }
+  }, [playingPlayers, rotationPlan]);
+
   const updateScore = (team, delta) => {
+    const current = team === "for" ? goalsFor : goalsAgainst;
+    if (current + delta < 0) return;
+
+    // A goal with a scorer comes off that player, so the log keeps up
+    const lastUnattributed =
+      team === "for" && delta < 0
+        ? findLastEvent(
+            matchEvents,
+            (event) => event.type === MATCH_EVENT_TYPES.GOAL && !event.playerId
+          )
+        : null;
+    if (
+      team === "for" &&
+      delta < 0 &&
+      !lastUnattributed &&
+      matchEvents.some((event) => event.type === MATCH_EVENT_TYPES.GOAL)
+    ) {
+      Alert.alert(
+        "Remove Goal From Scorer",
+        "Every goal has a scorer. Remove the goal from that player instead"
+      );
+      return;
+    }
+
+    const label = team === "for" ? "Team goal" : "Opponent goal";
+    logAction(delta > 0 ? label : `Removed ${label.toLowerCase()}`);
+
     if (team === "for") {
       const newScore = Math.max(0, goalsFor + delta);
       setGoalsFor(newScore);
+
+      // Team goals without a scorer are logged as unattributed goals
+      if (delta > 0) {
+        recordEvent(MATCH_EVENT_TYPES.GOAL);
+      } else if (lastUnattributed) {
+        removeEvent(lastUnattributed.localId);
+      }
     } else {
       const newScore = Math.max(0, goalsAgainst + delta);
       setGoalsAgainst(newScore);
+
+      if (delta > 0) {
+        recordEvent(MATCH_EVENT_TYPES.OPPONENT_GOAL);
+      } else {
+        const lastGoal = findLastEvent(
+          matchEvents,
+          (event) => event.type === MATCH_EVENT_TYPES.OPPONENT_GOAL
+        );
+        if (lastGoal) removeEvent(lastGoal.localId);
+      }
+    }
+  };
+
+  const updateTeamStat = (side, key, delta) => {
+    if (delta < 0 && !(teamStats?.[side]?.[key] > 0)) return;
+
+    const label = getTeamStatLabel(side, key);
+    logAction(delta > 0 ? label : `Removed ${label.toLowerCase()}`);
+    setTeamStats((prev) => changeTeamStat(prev, side, key, delta));
+    setTeamStatsUpdatedAt(Date.now());
+
+    // Our saves are also logged against whoever is in goal
+    if (side !== "for" || key !== "saves") return;
+    if (delta > 0) {
+      const keeperId = getGoalkeeperId(playerPeriods);
+      if (keeperId) {
+        recordEvent(MATCH_EVENT_TYPES.SAVE, { playerId: keeperId });
+      }
+    } else {
+      const lastSave = findLastEvent(
+        matchEvents,
+        (event) => event.type === MATCH_EVENT_TYPES.SAVE
+      );
+      if (lastSave) removeEvent(lastSave.localId);
     }
   };
 
+  const changePlayerStat = (playerId, field, delta) => {
+    setPlayerStats((prev) => ({
+      ...prev,
+      [playerId]: {
+        ...prev[playerId],
+        [field]: Math.max(0, (prev[playerId]?.[field] || 0) + delta),
+      },
+    }));
+  };
+
   const updatePlayerGoals = (playerId, delta) => {
-    setPlayerStats((prev) => {
-      const currentGoals = prev[playerId]?.goals || 0;
-      const newGoals = Math.max(0, currentGoals + delta);
+    if (delta > 0) {
+      logAction(`Goal - ${getPlayerName(playerId)}`);
+      changePlayerStat(playerId, "goals", 1);
+      setGoalsFor(goalsFor + 1);
+
+      // Log the goal and ask who set it up
+      const goal = recordEvent(MATCH_EVENT_TYPES.GOAL, { playerId });
+      setAssistGoalId(goal.localId);
+      return;
+    }
 
-      // Update team score when player goals change
-      if (delta > 0) {
-        setGoalsFor(goalsFor + 1);
-      } else if (delta < 0 && goalsFor > 0) {
-        setGoalsFor(goalsFor - 1);
+    if (!(playerStats[playerId]?.goals > 0)) return;
+
+    logAction(`Removed goal - ${getPlayerName(playerId)}`);
+    changePlayerStat(playerId, "goals", -1);
+    if (goalsFor > 0) {
+      setGoalsFor(goalsFor - 1);
+    }
+
+    // Removing a goal also removes the assist linked to it
+    const lastGoal = findLastEvent(
+      matchEvents,
+      (event) =>
+        event.type === MATCH_EVENT_TYPES.GOAL && event.playerId === playerId
+    );
+    if (lastGoal) {
+      removeEvent(lastGoal.localId);
+      if (lastGoal.assistPlayerId) {
+        changePlayerStat(lastGoal.assistPlayerId, "assists", -1);
       }
+    }
+  };
 
-      return {
-        ...prev,
-        [playerId]: {
-          ...prev[playerId],
-          goals: newGoals,
-        },
-      };
-    });
+  const linkAssist = (goalId, assistPlayerId) => {
+    logAction(`Assist - ${getPlayerName(assistPlayerId)}`);
+    setMatchEvents((prev) =>
+      prev.map((event) =>
+        event.localId === goalId ? { ...event, assistPlayerId } : event
+      )
+    );
+    changePlayerStat(assistPlayerId, "assists", 1);
   };
 
   const updatePlayerAssists = (playerId, delta) => {
-    setPlayerStats((prev) => {
-      const currentAssists = prev[playerId]?.assists || 0;
-      const newAssists = Math.max(0, currentAssists + delta);
+    if (delta > 0) {
+      // Assists are linked to the most recent goal that has none yet
+      const goal = findLastEvent(
+        matchEvents,
+        (event) =>
+          event.type === MATCH_EVENT_TYPES.GOAL &&
+          !event.assistPlayerId &&
+          event.playerId !== playerId
+      );
+      if (!goal) {
+        Alert.alert(
+          "No Goal to Link",
+          "Record the goal first, then add the assist"
+        );
+        return;
+      }
+      linkAssist(goal.localId, playerId);
+      return;
+    }
 
-      return {
-        ...prev,
-        [playerId]: {
-          ...prev[playerId],
-          assists: newAssists,
-        },
-      };
-    });
+    if (!(playerStats[playerId]?.assists > 0)) return;
+
+    logAction(`Removed assist - ${getPlayerName(playerId)}`);
+    changePlayerStat(playerId, "assists", -1);
+    const assistedGoal = findLastEvent(
+      matchEvents,
+      (event) =>
+        event.type === MATCH_EVENT_TYPES.GOAL &&
+        event.assistPlayerId === playerId
+    );
+    if (assistedGoal) {
+      setMatchEvents((prev) =>
+        prev.map((event) =>
+          event.localId === assistedGoal.localId
+            ? { ...event, assistPlayerId: null }
+            : event
+        )
+      );
+    }
+  };
+
+  const removeLastCardEvent = (playerId, type) => {
+    const lastCard = findLastEvent(
+      matchEvents,
+      (event) => event.type === type && event.playerId === playerId
+    );
+    if (lastCard) removeEvent(lastCard.localId);
   };
 
   const updatePlayerYellowCards = (playerId) => {
-    setPlayerStats((prev) => {
-      const currentYellows = prev[playerId]?.yellowCards || 0;
-      const hasRedCard = prev[playerId]?.redCard || false;
-
-      // Don't allow yellow cards if player already has a red card
-      if (hasRedCard) {
-        Alert.alert("Invalid Action", "Player already has a red card");
-        return prev;
-      }
+    const currentYellows = playerStats[playerId]?.yellowCards || 0;
+    const hasRedCard = playerStats[playerId]?.redCard || false;
 
-      // If player already has 2 yellows, don't allow more
-      if (currentYellows >= 2) {
-        Alert.alert("Invalid Action", "Player already has 2 yellow cards");
-        return prev;
-      }
+    // Don't allow yellow cards if player already has a red card
+    if (hasRedCard) {
+      Alert.alert("Invalid Action", "Player already has a red card");
+      return;
+    }
 
-      const newYellows = currentYellows + 1;
+    // If player already has 2 yellows, don't allow more
+    if (currentYellows >= 2) {
+      Alert.alert("Invalid Action", "Player already has 2 yellow cards");
+      return;
+    }
 
-      // If second yellow card, automatically give red card
-      if (newYellows === 2) {
-        Alert.alert("Red Card!", "Player receives red card for second yellow");
-        return {
-          ...prev,
-          [playerId]: {
-            ...prev[playerId],
-            yellowCards: newYellows,
-            redCard: true,
-          },
-        };
-      }
+    const newYellows = currentYellows + 1;
+    const description = newYellows === 2 ? "Second yellow" : "Yellow card";
+    logAction(`${description} - ${getPlayerName(playerId)}`);
+    recordEvent(MATCH_EVENT_TYPES.YELLOW_CARD, { playerId });
 
-      return {
+    // If second yellow card, automatically give red card
+    if (newYellows === 2) {
+      Alert.alert("Red Card!", "Player receives red card for second yellow");
+      recordEvent(MATCH_EVENT_TYPES.RED_CARD, { playerId });
+      setPlayerStats((prev) => ({
         ...prev,
         [playerId]: {
           ...prev[playerId],
           yellowCards: newYellows,
+          redCard: true,
         },
-      };
-    });
+      }));
+      return;
+    }
+
+    setPlayerStats((prev) => ({
+      ...prev,
+      [playerId]: {
+        ...prev[playerId],
+        yellowCards: newYellows,
+      },
+    }));
   };
 
   const updatePlayerRedCard = (playerId) => {
-    setPlayerStats((prev) => {
-      const hasRedCard = prev[playerId]?.redCard || false;
-
-      // Don't allow if player already has a red card
-      if (hasRedCard) {
-        Alert.alert("Invalid Action", "Player already has a red card");
-        return prev;
-      }
+    const hasRedCard = playerStats[playerId]?.redCard || false;
 
-      Alert.alert("Red Card", "Give player a direct red card?", [
-        { text: "Cancel", style: "cancel" },
-        {
-          text: "Confirm",
-          style: "destructive",
-          onPress: () => {
-            setPlayerStats((prevStats) => ({
-              ...prevStats,
-              [playerId]: {
-                ...prevStats[playerId],
-                redCard: true,
-              },
-            }));
-          },
-        },
-      ]);
+    // Don't allow if player already has a red card
+    if (hasRedCard) {
+      Alert.alert("Invalid Action", "Player already has a red card");
+      return;
+    }
 
-      return prev;
-    });
+    logAction(`Red card - ${getPlayerName(playerId)}`);
+    recordEvent(MATCH_EVENT_TYPES.RED_CARD, { playerId });
+    setPlayerStats((prev) => ({
+      ...prev,
+      [playerId]: {
+        ...prev[playerId],
+        redCard: true,
+      },
+    }));
   };
 
   const removePlayerYellowCard = (playerId) => {
-    setPlayerStats((prev) => {
-      const currentYellows = prev[playerId]?.yellowCards || 0;
-      const hasRedCard = prev[playerId]?.redCard || false;
-
-      if (currentYellows === 0) {
-        return prev;
-      }
-
-      const newYellows = currentYellows - 1;
+    const currentYellows = playerStats[playerId]?.yellowCards || 0;
+    const hasRedCard = playerStats[playerId]?.redCard || false;
 
-      // If removing a yellow when player has red card from 2 yellows, remove red card too
-      if (hasRedCard && currentYellows === 2) {
-        Alert.alert("Card Removed", "Red card removed (was from 2nd yellow)");
-        return {
-          ...prev,
-          [playerId]: {
-            ...prev[playerId],
-            yellowCards: newYellows,
-            redCard: false,
-          },
-        };
-      }
+    if (currentYellows === 0) {
+      return;
+    }
 
-      return {
+    const newYellows = currentYellows - 1;
+    const fromSecondYellow = hasRedCard && currentYellows === 2;
+    const description = fromSecondYellow
+      ? "Removed second yellow and red"
+      : "Removed yellow card";
+    logAction(`${description} - ${getPlayerName(playerId)}`);
+    removeLastCardEvent(playerId, MATCH_EVENT_TYPES.YELLOW_CARD);
+
+    // If removing a yellow when player has red card from 2 yellows, remove red card too
+    if (fromSecondYellow) {
+      removeLastCardEvent(playerId, MATCH_EVENT_TYPES.RED_CARD);
+      setPlayerStats((prev) => ({
         ...prev,
         [playerId]: {
           ...prev[playerId],
           yellowCards: newYellows,
+          redCard: false,
         },
-      };
-    });
+      }));
+      return;
+    }
+
+    setPlayerStats((prev) => ({
+      ...prev,
+      [playerId]: {
+        ...prev[playerId],
+        yellowCards: newYellows,
+      },
+    }));
+  };
+
+  const removeRedCardOnly = (playerId) => {
+    logAction(`Removed red card - ${getPlayerName(playerId)}`);
+    removeLastCardEvent(playerId, MATCH_EVENT_TYPES.RED_CARD);
+    setPlayerStats((prev) => ({
+      ...prev,
+      [playerId]: {
+        ...prev[playerId],
+        redCard: false,
+      },
+    }));
   };
 
   const removePlayerRedCard = (playerId) => {
-    setPlayerStats((prev) => {
-      const hasRedCard = prev[playerId]?.redCard || false;
-      const currentYellows = prev[playerId]?.yellowCards || 0;
+    const hasRedCard = playerStats[playerId]?.redCard || false;
+    const currentYellows = playerStats[playerId]?.yellowCards || 0;
 
-      if (!hasRedCard) {
-        return prev;
-      }
+    if (!hasRedCard) {
+      return;
+    }
 
-      // If red card was from 2 yellows, warn user
-      if (currentYellows === 2) {
-        Alert.alert(
-          "Remove Red Card",
-          "This red card was from 2 yellow cards. Remove the red card only or also remove a yellow card?",
-          [
-            { text: "Cancel", style: "cancel" },
-            {
-              text: "Remove Red Only",
-              onPress: () => {
-                setPlayerStats((prevStats) => ({
-                  ...prevStats,
-                  [playerId]: {
-                    ...prevStats[playerId],
-                    redCard: false,
-                  },
-                }));
-              },
-            },
-            {
-              text: "Remove Red & Yellow",
-              onPress: () => {
-                setPlayerStats((prevStats) => ({
-                  ...prevStats,
-                  [playerId]: {
-                    ...prevStats[playerId],
-                    yellowCards: 1,
-                    redCard: false,
-                  },
-                }));
-              },
-            },
-          ]
-        );
-        return prev;
-      }
+    // A red from 2 yellows can't stand without the second yellow, so both go
+    if (currentYellows === 2) {
+      Alert.alert(
+        "Remove Red Card",
+        "This red card was from 2 yellow cards, so the second yellow card " +
+          "is removed too.",
+        [
+          { text: "Cancel", style: "cancel" },
+          {
+            text: "Remove Red & Yellow",
+            onPress: () => removePlayerYellowCard(playerId),
+          },
+        ]
+      );
+      return;
+    }
 
-      return {
-        ...prev,
-        [playerId]: {
-          ...prev[playerId],
-          redCard: false,
+    removeRedCardOnly(playerId);
+  };
+
+  const recordKick = (kick) => {
+    setShootoutKicks((prev) => [...prev, kick]);
+  };
+
+  const undoLastKick = () => {
+    setShootoutKicks((prev) => prev.slice(0, -1));
+  };
+
+  const handleCancelShootout = () => {
+    if (shootoutKicks.length === 0) {
+      setShootoutActive(false);
+      return;
+    }
+
+    Alert.alert(
+      "Cancel Shootout",
+      "Discard the kicks recorded so far? The match will be saved as a draw.",
+      [
+        { text: "Keep", style: "cancel" },
+        {
+          text: "Discard",
+          style: "destructive",
+          onPress: () => {
+            setShootoutKicks([]);
+            setShootoutActive(false);
+          },
         },
-      };
-    });
+      ]
+    );
   };
 
   const handleFinishMatch = async () => {
-    // Validate that player goals don't exceed team total
-    const totalPlayerGoals = Object.values(playerStats).reduce(
-      (sum, stat) => sum + (stat.goals || 0),
-      0
-    );
-    if (totalPlayerGoals > goalsFor) {
-      Alert.alert(
-        "Validation Error",
-        `Total player goals (${totalPlayerGoals}) cannot exceed team goals (${goalsFor})`
-      );
-      return;
-    }
+    // Pull in the co-scorer's latest changes before saving
+    await syncLiveSession();
 
     Alert.alert("Finish Match", "Save the match result?", [
       { text: "Cancel", style: "cancel" },
       {
         text: "Finish",
         onPress: async () => {
+          const latest = liveStateRef.current;
+
+          // Validate that player goals don't exceed team total
+          const totalPlayerGoals = Object.values(latest.playerStats).reduce(
+            (sum, stat) => sum + (stat.goals || 0),
+            0
+          );
+          if (totalPlayerGoals > latest.goalsFor) {
+            Alert.alert(
+              "Validation Error",
+              `Total player goals (${totalPlayerGoals}) cannot exceed team goals (${latest.goalsFor})`
+            );
+            return;
+          }
+
+          // A shootout only counts for a cup tie that is still level
+          const hasShootout =
+            match.matchType === MATCH_TYPES.CUP &&
+            latest.goalsFor === latest.goalsAgainst &&
+            latest.shootoutKicks.length > 0;
+          if (hasShootout) {
+            const shootoutScore = getShootoutScore(latest.shootoutKicks);
+            if (shootoutScore.for === shootoutScore.against) {
+              Alert.alert(
+                "Shootout Not Finished",
+                `The shootout is level at ${shootoutScore.for} - ${shootoutScore.against}. Record the remaining kicks or cancel the shootout.`
+              );
+              return;
+            }
+          }
+
           try {
             // End all active playing periods
-            const finalPeriods = { ...playerPeriods };
-            playingPlayers.forEach((playerId) => {
+            const finalPeriods = { ...latest.playerPeriods };
+            latest.playingPlayers.forEach((playerId) => {
               const periods = finalPeriods[playerId] || [];
               const lastPeriod = periods[periods.length - 1];
               if (lastPeriod && lastPeriod.end === null) {
-                lastPeriod.end = matchSeconds;
+                lastPeriod.end = latest.matchSeconds;
               }
             });
 
             // Prepare player stats array for ALL selected players
             const selectedPlayerIds = match.selectedPlayerIds || [];
             const playerStatsArray = selectedPlayerIds.map((playerId) => {
-              const stats = playerStats[playerId] || {
+              const stats = latest.playerStats[playerId] || {
                 goals: 0,
                 assists: 0,
                 yellowCards: 0,
@@ -520,7 +1536,9 @@ const LiveMatchScreen = ({ route, navigation }) => {
               };
               const periods = finalPeriods[playerId] || [];
               const totalSeconds = periods.reduce((total, period) => {
-                return total + ((period.end || matchSeconds) - period.start);
+                return (
+                  total + ((period.end || latest.matchSeconds) - period.start)
+                );
               }, 0);
               const minutesPlayed = Math.floor(totalSeconds / 60);
 
@@ -536,12 +1554,37 @@ const LiveMatchScreen = ({ route, navigation }) => {
             });
 
             await updateMatch(matchId, {
-              goalsFor,
-              goalsAgainst,
+              goalsFor: latest.goalsFor,
+              goalsAgainst: latest.goalsAgainst,
               isFinished: true,
               playerStats: playerStatsArray,
+              ...(latest.teamStats && { teamStats: latest.teamStats }),
             });
 
+            // Merge this device's event changes by clientId rather than
+            // replacing the log, which would drop a co-scorer's events; player
+            // goals, assists and cards are derived from it
+            if (latest.matchEvents.length > 0 || savedEvents.length > 0) {
+              await liveMatchApi.push(matchId, {
+                deviceId: deviceIdRef.current || (await getDeviceId()),
+                events: diffEvents(latest.matchEvents, syncedEventsRef.current),
+              });
+              CacheInvalidationStrategies.onRelatedUpdate(["matches"]);
+            }
+
+            if (hasShootout) {
+              await penaltyShootoutApi.save(matchId, latest.shootoutKicks);
+            }
+
+            // Live sync is no longer needed once the result is saved
+            syncStopped.current = true;
+            try {
+              await liveMatchApi.end(matchId);
+            } catch (error) {
+              console.log("📡 Failed to end live session:", error.message);
+            }
+            await clearLiveMatchSession(matchId);
+
             Alert.alert("Success", "Match finished successfully", [
               {
                 text: "OK",
@@ -556,6 +1599,19 @@ const LiveMatchScreen = ({ route, navigation }) => {
     ]);
   };
 
+  // Deleted, trashed or no longer shared with us
+  if (!loading && !match && !matches.some((m) => m.id === matchId)) {
+    return (
+      <View
+        style={[styles.centerContainer, { backgroundColor: theme.background }]}
+      >
+        <Text style={[styles.loadingText, { color: theme.textSecondary }]}>
+          Match not found
+        </Text>
+      </View>
+    );
+  }
+
   if (loading || !match) {
     return (
       <View
@@ -569,11 +1625,93 @@ const LiveMatchScreen = ({ route, navigation }) => {
     );
   }
 
-  const selectedPlayers = match.selectedPlayerIds
-    ? match.selectedPlayerIds
-        .map((id) => players.find((p) => p.id === id))
-        .filter(Boolean)
+  const selectedPlayers = withTeamShirtNumbers(
+    (match.selectedPlayerIds || [])
+      .map((id) => players.find((p) => p.id === id))
+      .filter(Boolean),
+    match.teamId
+  );
+
+  const assistGoal = matchEvents.find(
+    (event) => event.localId === assistGoalId
+  );
+
+  // Period clock display
+  const periodLabel = inBreak
+    ? getBreakLabel(periodFormat, currentPeriod)
+    : getPeriodLabel(periodFormat, currentPeriod);
+  const periodStartSecond = getPeriodStartSecond(periodFormat, currentPeriod);
+  const periodEndSecond =
+    periodStartSecond + getPeriodLengthSeconds(periodFormat, currentPeriod);
+  const addedSeconds = inBreak ? 0 : matchSeconds - periodEndSecond;
+  const breakRemaining = breakStartedAt
+    ? getBreakSeconds(periodFormat, currentPeriod) -
+      Math.floor((breakNow - breakStartedAt) / 1000)
+    : 0;
+  const hasNextPeriod = currentPeriod < getTotalPeriods(periodFormat);
+  const nextPeriodLabel =
+    currentPeriod === periodFormat.periods
+      ? "Extra Time"
+      : getPeriodLabel(periodFormat, currentPeriod + 1);
+
+  // Substitution plan
+  const isBeforeKickOff = matchSeconds === 0 && !isTimerRunning && !inBreak;
+  const dueSubs = rotationPlan
+    ? getDueSubstitutions(rotationPlan, {
+        matchSeconds,
+        currentPeriod,
+        inBreak,
+      })
     : [];
+  const upcomingSubs = rotationPlan
+    ? rotationPlan.subs
+        .filter(
+          (sub) => sub.status === "pending" && !dueSubs.includes(sub)
+        )
+        .slice(0, 3)
+    : [];
+  const liveAssignments = getLiveAssignments(playerPeriods);
+  const nextUndo = actionHistory.undo[actionHistory.undo.length - 1];
+  const nextRedo = actionHistory.redo[actionHistory.redo.length - 1];
+  const goalkeeperId = liveAssignments[GOALKEEPER_SLOT_ID];
+  const getPosition = (playerId) =>
+    lineup?.slots.find((slot) => liveAssignments[slot.id] === playerId)
+      ?.label || (goalkeeperId === playerId ? GOALKEEPER_SLOT.label : null);
+  const formatSubTime = (sub) =>
+    sub.atPeriodStart
+      ? `Start of ${getPeriodLabel(periodFormat, sub.period)}`
+      : `${Math.floor(sub.matchSecond / 60)}'`;
+
+  // Shootouts are offered once a cup tie has stopped level
+  const canShootout =
+    match.matchType === MATCH_TYPES.CUP &&
+    goalsFor === goalsAgainst &&
+    !isTimerRunning &&
+    matchSeconds > 0;
+  const shootoutScore = getShootoutScore(shootoutKicks);
+  const shootoutDecided = isShootoutDecided(shootoutKicks);
+  const getTakerName = (playerId) =>
+    playerId ? getPlayerName(playerId) : "Unknown taker";
+
+  // Tap the count to add one; the minus button takes one off
+  const renderTeamStatCounter = (side, key) => (
+    <View style={styles.teamStatCounter}>
+      <TouchableOpacity
+        style={styles.teamStatButton}
+        onPress={() => updateTeamStat(side, key, -1)}
+      >
+        <Ionicons name="remove" size={18} color={theme.textSecondary} />
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={[styles.teamStatValue, { backgroundColor: theme.primary }]}
+        onPress={() => updateTeamStat(side, key, 1)}
+      >
+        <Text style={styles.teamStatValueText}>
+          {teamStats?.[side]?.[key] || 0}
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
 
   return (
     <View style={[styles.container, { backgroundColor: theme.background }]}>
@@ -657,6 +1795,18 @@ const LiveMatchScreen = ({ route, navigation }) => {
             </View>
             <Text style={styles.opponent}>vs {match.opponent}</Text>
             <Text style={styles.date}>{formatDateTime(match.date)}</Text>
+            <View style={styles.syncBadge}>
+              <Ionicons
+                name={
+                  syncOnline ? "cloud-done-outline" : "cloud-offline-outline"
+                }
+                size={14}
+                color="rgba(255, 255, 255, 0.8)"
+              />
+              <Text style={styles.syncText}>
+                {syncOnline ? "Live sync on" : "Offline - changes will sync"}
+              </Text>
+            </View>
           </View>
         </View>
 
@@ -757,26 +1907,33 @@ const LiveMatchScreen = ({ route, navigation }) => {
           ]}
         >
           <View style={styles.timerHeader}>
-            <Text style={[styles.timerTitle, { color: theme.text }]}>
-              Match Timer
-            </Text>
-            <TouchableOpacity
-              style={[
-                styles.timerButton,
-                { backgroundColor: theme.primary },
-                isTimerRunning && styles.timerButtonActive,
-              ]}
-              onPress={toggleTimer}
-            >
-              <Ionicons
-                name={isTimerRunning ? "pause" : "play"}
-                size={20}
-                color="#fff"
-              />
-              <Text style={styles.timerButtonText}>
-                {isTimerRunning ? "Pause" : "Start"}
+            <View>
+              <Text style={[styles.timerTitle, { color: theme.text }]}>
+                Match Timer
               </Text>
-            </TouchableOpacity>
+              <Text style={[styles.timerLabel, { color: theme.textSecondary }]}>
+                {formatPeriodFormat(periodFormat)}
+              </Text>
+            </View>
+            {!inBreak && (
+              <TouchableOpacity
+                style={[
+                  styles.timerButton,
+                  { backgroundColor: theme.primary },
+                  isTimerRunning && styles.timerButtonActive,
+                ]}
+                onPress={toggleTimer}
+              >
+                <Ionicons
+                  name={isTimerRunning ? "pause" : "play"}
+                  size={20}
+                  color="#fff"
+                />
+                <Text style={styles.timerButtonText}>
+                  {isTimerRunning ? "Pause" : "Start"}
+                </Text>
+              </TouchableOpacity>
+            )}
           </View>
 
           <View style={styles.timerDisplay}>
@@ -812,9 +1969,24 @@ const LiveMatchScreen = ({ route, navigation }) => {
             </View>
 
             <View style={styles.timerValue}>
+              <Text style={[styles.periodLabel, { color: theme.text }]}>
+                {periodLabel}
+              </Text>
               <Text style={[styles.timerTime, { color: theme.primary }]}>
-                {formatTime(matchSeconds)}
+                {formatMatchClock(matchSeconds)}
               </Text>
+              {addedSeconds > 0 && (
+                <Text style={[styles.timerLabel, { color: COLORS.warning }]}>
+                  +{formatMatchClock(addedSeconds)} added time
+                </Text>
+              )}
+              {inBreak && hasNextPeriod && breakRemaining > 0 && (
+                <Text
+                  style={[styles.timerLabel, { color: theme.textSecondary }]}
+                >
+                  {formatMatchClock(breakRemaining)} until restart
+                </Text>
+              )}
             </View>
 
             <View style={styles.timerAdjustColumn}>
@@ -848,8 +2020,396 @@ const LiveMatchScreen = ({ route, navigation }) => {
               </TouchableOpacity>
             </View>
           </View>
+
+          {inBreak
+            ? hasNextPeriod && (
+                <TouchableOpacity
+                  style={[
+                    styles.periodButton,
+                    { backgroundColor: theme.primary },
+                  ]}
+                  onPress={startNextPeriod}
+                >
+                  <Ionicons name="play" size={18} color="#fff" />
+                  <Text style={styles.periodButtonText}>
+                    Start {nextPeriodLabel}
+                  </Text>
+                </TouchableOpacity>
+              )
+            : matchSeconds > periodStartSecond && (
+                <TouchableOpacity
+                  style={[
+                    styles.periodButton,
+                    styles.periodButtonOutline,
+                    { borderColor: theme.border },
+                  ]}
+                  onPress={handleEndPeriod}
+                >
+                  <Ionicons name="flag" size={18} color={theme.text} />
+                  <Text
+                    style={[styles.periodButtonText, { color: theme.text }]}
+                  >
+                    End {periodLabel}
+                  </Text>
+                </TouchableOpacity>
+              )}
+        </View>
+
+        {/* Team Stats */}
+        <View
+          style={[
+            styles.teamStatsCard,
+            {
+              backgroundColor: theme.cardBackground,
+              shadowColor: theme.shadow,
+            },
+          ]}
+        >
+          <View style={styles.teamStatsHeader}>
+            <Text style={[styles.teamStatsSide, { color: theme.text }]}>
+              Your Team
+            </Text>
+            <Text style={[styles.teamStatsTitle, { color: theme.text }]}>
+              Match Stats
+            </Text>
+            <Text
+              style={[styles.teamStatsSide, { color: theme.text }]}
+              numberOfLines={1}
+            >
+              {match.opponent}
+            </Text>
+          </View>
+          {TEAM_STAT_FIELDS.map(({ key, label }) => (
+            <View
+              key={key}
+              style={[styles.teamStatRow, { borderTopColor: theme.border }]}
+            >
+              {renderTeamStatCounter("for", key)}
+              <Text
+                style={[styles.teamStatLabel, { color: theme.textSecondary }]}
+              >
+                {label}
+              </Text>
+              {renderTeamStatCounter("against", key)}
+            </View>
+          ))}
         </View>
 
+        {/* Substitution Plan */}
+        {selectedPlayers.length > 1 && !rotationPlan && (
+          <TouchableOpacity
+            style={[styles.actionOutlineButton, { borderColor: theme.primary }]}
+            onPress={() => setPlannerVisible(true)}
+          >
+            <Ionicons name="swap-horizontal" size={20} color={theme.primary} />
+            <Text style={[styles.actionOutlineText, { color: theme.primary }]}>
+              Plan Substitutions
+            </Text>
+          </TouchableOpacity>
+        )}
+
+        {rotationPlan && (
+          <View
+            style={[
+              styles.timerCard,
+              {
+                backgroundColor: theme.cardBackground,
+                shadowColor: theme.shadow,
+              },
+            ]}
+          >
+            <View style={styles.timerHeader}>
+              <Text style={[styles.timerTitle, { color: theme.text }]}>
+                Substitution Plan
+              </Text>
+              <View style={styles.planActions}>
+                <TouchableOpacity onPress={() => setPlannerVisible(true)}>
+                  <Ionicons
+                    name="create-outline"
+                    size={22}
+                    color={theme.text}
+                  />
+                </TouchableOpacity>
+                <TouchableOpacity onPress={handleClearRotationPlan}>
+                  <Ionicons
+                    name="close"
+                    size={22}
+                    color={theme.textSecondary}
+                  />
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            {dueSubs.length > 0 && (
+              <View
+                style={[
+                  styles.subDueBanner,
+                  { borderColor: COLORS.warning },
+                ]}
+              >
+                <Text style={[styles.subDueTitle, { color: COLORS.warning }]}>
+                  Sub due
+                </Text>
+                {dueSubs.map((sub) => (
+                  <Text
+                    key={sub.id}
+                    style={[styles.subDueText, { color: theme.text }]}
+                  >
+                    {getPlayerName(sub.offId)} off (
+                    {calculateMinutesPlayed(sub.offId)} min),{" "}
+                    {getPlayerName(sub.onId)} on (
+                    {calculateMinutesPlayed(sub.onId)} min)
+                  </Text>
+                ))}
+                <View style={styles.shootoutActions}>
+                  <TouchableOpacity
+                    style={[
+                      styles.shootoutButton,
+                      { backgroundColor: COLORS.success },
+                    ]}
+                    onPress={() => makeDueSubs(dueSubs)}
+                  >
+                    <Text style={styles.shootoutButtonText}>
+                      {dueSubs.length > 1 ? "Make Subs" : "Make Sub"}
+                    </Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    style={[
+                      styles.shootoutButton,
+                      { backgroundColor: theme.textSecondary },
+                    ]}
+                    onPress={() => skipDueSubs(dueSubs)}
+                  >
+                    <Text style={styles.shootoutButtonText}>Skip</Text>
+                  </TouchableOpacity>
+                </View>
+              </View>
+            )}
+
+            {upcomingSubs.map((sub) => (
+              <View key={sub.id} style={styles.plannedSubRow}>
+                <Text style={[styles.plannedSubTime, { color: theme.primary }]}>
+                  {formatSubTime(sub)}
+                </Text>
+                <Text style={[styles.plannedSubText, { color: theme.text }]}>
+                  {getPlayerName(sub.offId)} off, {getPlayerName(sub.onId)} on
+                </Text>
+              </View>
+            ))}
+            {dueSubs.length === 0 && upcomingSubs.length === 0 && (
+              <Text style={[styles.timerLabel, { color: theme.textSecondary }]}>
+                No more substitutions planned
+              </Text>
+            )}
+          </View>
+        )}
+
+        {/* Lineup and Positions */}
+        {isBeforeKickOff && playingPlayers.size === 0 && (
+          <TouchableOpacity
+            style={[styles.actionOutlineButton, { borderColor: theme.primary }]}
+            onPress={() => navigation.navigate("Lineup", { matchId })}
+          >
+            <Ionicons name="grid-outline" size={20} color={theme.primary} />
+            <Text style={[styles.actionOutlineText, { color: theme.primary }]}>
+              {lineup ? `Edit Lineup (${lineup.shape})` : "Set Lineup"}
+            </Text>
+          </TouchableOpacity>
+        )}
+
+        {lineup && playingPlayers.size > 0 && !inBreak && (
+          <TouchableOpacity
+            style={[styles.actionOutlineButton, { borderColor: theme.primary }]}
+            onPress={() => setPositionsVisible(true)}
+          >
+            <Ionicons name="grid-outline" size={20} color={theme.primary} />
+            <Text style={[styles.actionOutlineText, { color: theme.primary }]}>
+              Change Positions
+            </Text>
+          </TouchableOpacity>
+        )}
+
+        {/* Penalty Shootout */}
+        {canShootout && !shootoutActive && (
+          <TouchableOpacity
+            style={[styles.actionOutlineButton, { borderColor: theme.primary }]}
+            onPress={() => setShootoutActive(true)}
+          >
+            <Ionicons name="football" size={20} color={theme.primary} />
+            <Text style={[styles.actionOutlineText, { color: theme.primary }]}>
+              Go to Penalties
+            </Text>
+          </TouchableOpacity>
+        )}
+
+        {canShootout && shootoutActive && (
+          <View
+            style={[
+              styles.timerCard,
+              {
+                backgroundColor: theme.cardBackground,
+                shadowColor: theme.shadow,
+              },
+            ]}
+          >
+            <View style={styles.timerHeader}>
+              <Text style={[styles.timerTitle, { color: theme.text }]}>
+                Penalty Shootout
+              </Text>
+              <TouchableOpacity onPress={handleCancelShootout}>
+                <Ionicons name="close" size={22} color={theme.textSecondary} />
+              </TouchableOpacity>
+            </View>
+
+            <Text style={[styles.shootoutScore, { color: theme.text }]}>
+              {shootoutScore.for} - {shootoutScore.against}
+            </Text>
+            {shootoutDecided && (
+              <Text style={[styles.shootoutStatus, { color: COLORS.success }]}>
+                {shootoutScore.for > shootoutScore.against
+                  ? "Shootout won"
+                  : "Shootout lost"}{" "}
+                - finish the match to save it
+              </Text>
+            )}
+
+            {/* Our kicks */}
+            <View style={styles.shootoutSide}>
+              <Text
+                style={[
+                  styles.shootoutSideLabel,
+                  { color: theme.textSecondary },
+                ]}
+              >
+                Your Team
+              </Text>
+              <View style={styles.shootoutKicks}>
+                {shootoutKicks
+                  .filter((kick) => !kick.isOpponent)
+                  .map((kick, index) => (
+                    <Ionicons
+                      key={index}
+                      name={kick.scored ? "checkmark-circle" : "close-circle"}
+                      size={22}
+                      color={kick.scored ? COLORS.success : COLORS.error}
+                    />
+                  ))}
+              </View>
+              <View style={styles.shootoutActions}>
+                <TouchableOpacity
+                  style={[
+                    styles.shootoutButton,
+                    { backgroundColor: COLORS.success },
+                  ]}
+                  onPress={() => setPendingKickScored(true)}
+                >
+                  <Text style={styles.shootoutButtonText}>Scored</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[
+                    styles.shootoutButton,
+                    { backgroundColor: COLORS.error },
+                  ]}
+                  onPress={() => setPendingKickScored(false)}
+                >
+                  <Text style={styles.shootoutButtonText}>Missed</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            {/* Opponent kicks */}
+            <View style={styles.shootoutSide}>
+              <Text
+                style={[
+                  styles.shootoutSideLabel,
+                  { color: theme.textSecondary },
+                ]}
+              >
+                {match.opponent}
+              </Text>
+              <View style={styles.shootoutKicks}>
+                {shootoutKicks
+                  .filter((kick) => kick.isOpponent)
+                  .map((kick, index) => (
+                    <Ionicons
+                      key={index}
+                      name={kick.scored ? "checkmark-circle" : "close-circle"}
+                      size={22}
+                      color={kick.scored ? COLORS.success : COLORS.error}
+                    />
+                  ))}
+              </View>
+              <View style={styles.shootoutActions}>
+                <TouchableOpacity
+                  style={[
+                    styles.shootoutButton,
+                    { backgroundColor: COLORS.success },
+                  ]}
+                  onPress={() =>
+                    recordKick({
+                      isOpponent: true,
+                      scored: true,
+                      playerId: null,
+                    })
+                  }
+                >
+                  <Text style={styles.shootoutButtonText}>Scored</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[
+                    styles.shootoutButton,
+                    { backgroundColor: COLORS.error },
+                  ]}
+                  onPress={() =>
+                    recordKick({
+                      isOpponent: true,
+                      scored: false,
+                      playerId: null,
+                    })
+                  }
+                >
+                  <Text style={styles.shootoutButtonText}>Missed</Text>
+                </TouchableOpacity>
+              </View>
+            </View>
+
+            {shootoutKicks.length > 0 && (
+              <>
+                {shootoutKicks.map((kick, index) => (
+                  <Text
+                    key={index}
+                    style={[
+                      styles.shootoutKickText,
+                      { color: theme.textSecondary },
+                    ]}
+                  >
+                    {index + 1}.{" "}
+                    {kick.isOpponent
+                      ? match.opponent
+                      : getTakerName(kick.playerId)}{" "}
+                    - {kick.scored ? "scored" : "missed"}
+                  </Text>
+                ))}
+                <TouchableOpacity
+                  style={[
+                    styles.periodButton,
+                    styles.periodButtonOutline,
+                    { borderColor: theme.border },
+                  ]}
+                  onPress={undoLastKick}
+                >
+                  <Ionicons name="arrow-undo" size={18} color={theme.text} />
+                  <Text
+                    style={[styles.periodButtonText, { color: theme.text }]}
+                  >
+                    Undo Last Kick
+                  </Text>
+                </TouchableOpacity>
+              </>
+            )}
+          </View>
+        )}
+
         {/* Player Stats */}
         {selectedPlayers.length > 0 && (
           <>
@@ -904,10 +2464,26 @@ const LiveMatchScreen = ({ route, navigation }) => {
                       >
                         {/* First Line: Name, Minutes, Cards, Goals, Assists */}
                         <View style={styles.playerFirstLine}>
+                          <PlayerAvatar
+                            player={player}
+                            size={28}
+                            style={styles.playerAvatar}
+                          />
                           <Text
                             style={[styles.playerName, { color: theme.text }]}
                           >
                             {player.name}
+                            {getPosition(player.id) && (
+                              <Text
+                                style={[
+                                  styles.positionLabel,
+                                  { color: theme.textSecondary },
+                                ]}
+                              >
+                                {"  "}
+                                {getPosition(player.id)}
+                              </Text>
+                            )}
                           </Text>
                           <View style={styles.playerStatsInline}>
                             <Text
@@ -959,6 +2535,35 @@ const LiveMatchScreen = ({ route, navigation }) => {
 
                         {/* Second Line: Controls */}
                         <View style={styles.playerSecondLine}>
+                          {/* Goalkeeper Button */}
+                          {!inBreak && (
+                            <TouchableOpacity
+                              style={[
+                                styles.cardButton,
+                                styles.keeperButton,
+                                { borderColor: theme.primary },
+                                goalkeeperId === player.id && {
+                                  backgroundColor: theme.primary,
+                                },
+                              ]}
+                              onPress={() => toggleGoalkeeper(player.id)}
+                            >
+                              <Text
+                                style={[
+                                  styles.keeperButtonText,
+                                  {
+                                    color:
+                                      goalkeeperId === player.id
+                                        ? "#fff"
+                                        : theme.primary,
+                                  },
+                                ]}
+                              >
+                                GK
+                              </Text>
+                            </TouchableOpacity>
+                          )}
+
                           {/* Goals Control */}
                           <View style={styles.statControl}>
                             <TouchableOpacity
@@ -1137,6 +2742,11 @@ const LiveMatchScreen = ({ route, navigation }) => {
                       >
                         {/* First Line: Name, Minutes, Cards, Goals, Assists */}
                         <View style={styles.playerFirstLine}>
+                          <PlayerAvatar
+                            player={player}
+                            size={28}
+                            style={styles.playerAvatar}
+                          />
                           <Text
                             style={[styles.playerName, { color: theme.text }]}
                           >
@@ -1327,14 +2937,280 @@ const LiveMatchScreen = ({ route, navigation }) => {
         {/* Finish Match Button */}
         <View style={styles.actions}>
           <TouchableOpacity
-            style={styles.finishButton}
-            onPress={handleFinishMatch}
+            style={styles.finishButton}
+            onPress={handleFinishMatch}
+          >
+            <Ionicons name="checkmark-circle" size={24} color="#fff" />
+            <Text style={styles.finishButtonText}>Finish Match</Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+
+      {/* Undo / Redo */}
+      {(nextUndo || nextRedo) && (
+        <View
+          style={[
+            styles.historyBar,
+            {
+              backgroundColor: theme.cardBackground,
+              borderTopColor: theme.border,
+            },
+          ]}
+        >
+          <TouchableOpacity
+            style={[styles.historyButton, !nextUndo && styles.disabledButton]}
+            onPress={() => stepActionHistory(true)}
+            disabled={!nextUndo}
           >
-            <Ionicons name="checkmark-circle" size={24} color="#fff" />
-            <Text style={styles.finishButtonText}>Finish Match</Text>
+            <Ionicons name="arrow-undo" size={20} color={theme.primary} />
+            <Text
+              style={[styles.historyButtonText, { color: theme.text }]}
+              numberOfLines={1}
+            >
+              {nextUndo ? `Undo ${nextUndo.description}` : "Undo"}
+            </Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.historyButton, !nextRedo && styles.disabledButton]}
+            onPress={() => stepActionHistory(false)}
+            disabled={!nextRedo}
+          >
+            <Ionicons name="arrow-redo" size={20} color={theme.primary} />
+            <Text
+              style={[styles.historyButtonText, { color: theme.text }]}
+              numberOfLines={1}
+            >
+              {nextRedo ? `Redo ${nextRedo.description}` : "Redo"}
+            </Text>
           </TouchableOpacity>
         </View>
-      </ScrollView>
+      )}
+
+      {/* Assist Picker Modal */}
+      <Modal
+        visible={!!assistGoal}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setAssistGoalId(null)}
+      >
+        <TouchableOpacity
+          style={styles.pickerOverlay}
+          activeOpacity={1}
+          onPress={() => setAssistGoalId(null)}
+        >
+          <View
+            style={[
+              styles.pickerModal,
+              { backgroundColor: theme.cardBackground },
+            ]}
+          >
+            <View style={styles.pickerHeader}>
+              <Text style={[styles.pickerTitle, { color: theme.text }]}>
+                Who assisted?
+              </Text>
+              <TouchableOpacity onPress={() => setAssistGoalId(null)}>
+                <Ionicons name="close" size={24} color={theme.text} />
+              </TouchableOpacity>
+            </View>
+            <ScrollView style={styles.pickerList}>
+              <TouchableOpacity
+                style={[styles.pickerItem, { borderBottomColor: theme.border }]}
+                onPress={() => setAssistGoalId(null)}
+              >
+                <Text style={[styles.pickerItemText, { color: theme.text }]}>
+                  No assist
+                </Text>
+              </TouchableOpacity>
+              {selectedPlayers
+                .filter((player) => player.id !== assistGoal?.playerId)
+                .sort(
+                  (a, b) =>
+                    playingPlayers.has(b.id) - playingPlayers.has(a.id)
+                )
+                .map((player) => (
+                  <TouchableOpacity
+                    key={player.id}
+                    style={[
+                      styles.pickerItem,
+                      { borderBottomColor: theme.border },
+                    ]}
+                    onPress={() => {
+                      linkAssist(assistGoal.localId, player.id);
+                      setAssistGoalId(null);
+                    }}
+                  >
+                    <Text
+                      style={[styles.pickerItemText, { color: theme.text }]}
+                    >
+                      {player.name}
+                    </Text>
+                    {playingPlayers.has(player.id) && (
+                      <View
+                        style={[styles.statusIndicator, styles.statusPlaying]}
+                      />
+                    )}
+                  </TouchableOpacity>
+                ))}
+            </ScrollView>
+          </View>
+        </TouchableOpacity>
+      </Modal>
+
+      <SubstitutionPlanner
+        visible={plannerVisible}
+        onClose={() => setPlannerVisible(false)}
+        onApply={applyRotationPlan}
+        buildPlan={buildRotationPlan}
+        players={selectedPlayers}
+        periodFormat={periodFormat}
+        initialSettings={rotationPlan}
+        isBeforeKickOff={isBeforeKickOff}
+      />
+
+      {/* Positions Modal */}
+      <Modal
+        visible={positionsVisible && !!lineup}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setPositionsVisible(false)}
+      >
+        <View style={styles.pickerOverlay}>
+          <View
+            style={[
+              styles.pickerModal,
+              styles.positionsModal,
+              { backgroundColor: theme.cardBackground },
+            ]}
+          >
+            <View style={styles.pickerHeader}>
+              <Text style={[styles.pickerTitle, { color: theme.text }]}>
+                Positions
+              </Text>
+              <TouchableOpacity onPress={() => setPositionsVisible(false)}>
+                <Ionicons name="close" size={24} color={theme.text} />
+              </TouchableOpacity>
+            </View>
+            <ScrollView
+              contentContainerStyle={styles.positionsContent}
+              scrollEnabled={!draggingPosition}
+            >
+              <Text
+                style={[styles.positionsHint, { color: theme.textSecondary }]}
+              >
+                Drag a player to a new position. Their minutes count towards
+                the new position from now.
+              </Text>
+              {lineup && (
+                <FormationPitch
+                  slots={lineup.slots}
+                  assignments={liveAssignments}
+                  players={selectedPlayers.filter((player) =>
+                    playingPlayers.has(player.id)
+                  )}
+                  onAssign={changePlayerPosition}
+                  benchTitle="No position"
+                  onDragStateChange={setDraggingPosition}
+                />
+              )}
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Penalty Taker Picker Modal */}
+      <Modal
+        visible={pendingKickScored !== null}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setPendingKickScored(null)}
+      >
+        <TouchableOpacity
+          style={styles.pickerOverlay}
+          activeOpacity={1}
+          onPress={() => setPendingKickScored(null)}
+        >
+          <View
+            style={[
+              styles.pickerModal,
+              { backgroundColor: theme.cardBackground },
+            ]}
+          >
+            <View style={styles.pickerHeader}>
+              <Text style={[styles.pickerTitle, { color: theme.text }]}>
+                {pendingKickScored ? "Who scored?" : "Who missed?"}
+              </Text>
+              <TouchableOpacity onPress={() => setPendingKickScored(null)}>
+                <Ionicons name="close" size={24} color={theme.text} />
+              </TouchableOpacity>
+            </View>
+            <ScrollView style={styles.pickerList}>
+              {selectedPlayers
+                .sort(
+                  (a, b) =>
+                    playingPlayers.has(b.id) - playingPlayers.has(a.id)
+                )
+                .map((player) => (
+                  <TouchableOpacity
+                    key={player.id}
+                    style={[
+                      styles.pickerItem,
+                      { borderBottomColor: theme.border },
+                    ]}
+                    onPress={() => {
+                      recordKick({
+                        isOpponent: false,
+                        scored: pendingKickScored,
+                        playerId: player.id,
+                      });
+                      setPendingKickScored(null);
+                    }}
+                  >
+                    <Text
+                      style={[styles.pickerItemText, { color: theme.text }]}
+                    >
+                      {player.name}
+                    </Text>
+                    {shootoutKicks.some(
+                      (kick) => kick.playerId === player.id
+                    ) && (
+                      <Text
+                        style={[
+                          styles.shootoutTakenText,
+                          { color: theme.textSecondary },
+                        ]}
+                      >
+                        Taken
+                      </Text>
+                    )}
+                  </TouchableOpacity>
+                ))}
+              <TouchableOpacity
+                style={[styles.pickerItem, { borderBottomColor: theme.border }]}
+                onPress={() => {
+                  recordKick({
+                    isOpponent: false,
+                    scored: pendingKickScored,
+                    playerId: null,
+                  });
+                  setPendingKickScored(null);
+                }}
+              >
+                <Text
+                  style={[styles.pickerItemText, { color: theme.textSecondary }]}
+                >
+                  Unknown taker
+                </Text>
+              </TouchableOpacity>
+            </ScrollView>
+          </View>
+        </TouchableOpacity>
+      </Modal>
+
+      <ActionToast
+        toast={toast}
+        onAction={() => stepActionHistory(!toast.isUndo)}
+        onHide={() => setToast(null)}
+      />
     </View>
   );
 };
@@ -1397,6 +3273,16 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: "rgba(255, 255, 255, 0.8)",
   },
+  syncBadge: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    marginTop: 6,
+  },
+  syncText: {
+    fontSize: 12,
+    color: "rgba(255, 255, 255, 0.8)",
+  },
   scoreCard: {
     backgroundColor: "#fff",
     margin: 15,
@@ -1487,6 +3373,9 @@ const styles = StyleSheet.create({
     gap: 8,
     flexWrap: "wrap",
   },
+  playerAvatar: {
+    marginRight: 8,
+  },
   playerName: {
     fontSize: 16,
     fontWeight: "600",
@@ -1618,6 +3507,13 @@ const styles = StyleSheet.create({
     height: 32,
     borderRadius: 6,
   },
+  keeperButton: {
+    borderWidth: 2,
+  },
+  keeperButtonText: {
+    fontSize: 12,
+    fontWeight: "bold",
+  },
   yellowCardButton: {
     backgroundColor: "#FFD700",
   },
@@ -1681,6 +3577,67 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.1,
     shadowRadius: 4,
   },
+  teamStatsCard: {
+    backgroundColor: "#fff",
+    marginHorizontal: 15,
+    marginBottom: 15,
+    padding: 15,
+    borderRadius: 12,
+    elevation: 2,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  teamStatsHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 8,
+  },
+  teamStatsTitle: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: "bold",
+    textAlign: "center",
+  },
+  teamStatsSide: {
+    width: 90,
+    fontSize: 13,
+    fontWeight: "600",
+    textAlign: "center",
+  },
+  teamStatRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 6,
+    borderTopWidth: 1,
+  },
+  teamStatCounter: {
+    width: 90,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+  },
+  teamStatButton: {
+    padding: 4,
+  },
+  teamStatValue: {
+    minWidth: 40,
+    paddingVertical: 6,
+    borderRadius: 8,
+    alignItems: "center",
+  },
+  teamStatValueText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+  teamStatLabel: {
+    flex: 1,
+    fontSize: 13,
+    textAlign: "center",
+  },
   timerHeader: {
     flexDirection: "row",
     justifyContent: "space-between",
@@ -1745,6 +3702,129 @@ const styles = StyleSheet.create({
     color: COLORS.textSecondary,
     marginTop: 4,
   },
+  periodLabel: {
+    fontSize: 14,
+    fontWeight: "600",
+    marginBottom: 2,
+  },
+  periodButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    marginTop: 20,
+    paddingVertical: 12,
+    borderRadius: 8,
+  },
+  periodButtonOutline: {
+    borderWidth: 1,
+  },
+  periodButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#fff",
+  },
+  planActions: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 16,
+  },
+  subDueBanner: {
+    borderWidth: 2,
+    borderRadius: 8,
+    padding: 12,
+    marginTop: 12,
+    marginBottom: 4,
+  },
+  subDueTitle: {
+    fontSize: 14,
+    fontWeight: "700",
+    textTransform: "uppercase",
+    marginBottom: 4,
+  },
+  subDueText: {
+    fontSize: 15,
+    fontWeight: "500",
+    marginBottom: 8,
+  },
+  plannedSubRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    paddingVertical: 6,
+  },
+  plannedSubTime: {
+    fontSize: 13,
+    fontWeight: "600",
+    minWidth: 90,
+  },
+  plannedSubText: {
+    fontSize: 14,
+    flex: 1,
+  },
+  actionOutlineButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 8,
+    marginHorizontal: 15,
+    marginBottom: 15,
+    padding: 14,
+    borderRadius: 12,
+    borderWidth: 2,
+  },
+  actionOutlineText: {
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  shootoutScore: {
+    fontSize: 36,
+    fontWeight: "bold",
+    textAlign: "center",
+  },
+  shootoutStatus: {
+    fontSize: 14,
+    fontWeight: "600",
+    textAlign: "center",
+    marginTop: 4,
+  },
+  shootoutSide: {
+    marginTop: 16,
+  },
+  shootoutSideLabel: {
+    fontSize: 14,
+    fontWeight: "600",
+    marginBottom: 6,
+  },
+  shootoutKicks: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 4,
+    minHeight: 22,
+    marginBottom: 8,
+  },
+  shootoutActions: {
+    flexDirection: "row",
+    gap: 10,
+  },
+  shootoutButton: {
+    flex: 1,
+    alignItems: "center",
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  shootoutButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#fff",
+  },
+  shootoutKickText: {
+    fontSize: 13,
+    marginTop: 6,
+  },
+  shootoutTakenText: {
+    fontSize: 12,
+  },
   // Player section styles
   startAllButton: {
     backgroundColor: COLORS.success,
@@ -1789,6 +3869,83 @@ const styles = StyleSheet.create({
   statusBench: {
     backgroundColor: COLORS.textSecondary,
   },
+  // Assist picker styles
+  pickerOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "flex-end",
+  },
+  pickerModal: {
+    backgroundColor: "#fff",
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+    maxHeight: "70%",
+  },
+  pickerHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    padding: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.gray[200],
+  },
+  pickerTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: COLORS.text,
+  },
+  pickerList: {
+    maxHeight: 400,
+  },
+  pickerItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    padding: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.gray[100],
+  },
+  pickerItemText: {
+    fontSize: 16,
+    color: COLORS.text,
+    fontWeight: "500",
+  },
+  positionsModal: {
+    maxHeight: "92%",
+  },
+  positionsContent: {
+    padding: 16,
+  },
+  positionsHint: {
+    fontSize: 13,
+    marginBottom: 12,
+  },
+  positionLabel: {
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  historyBar: {
+    flexDirection: "row",
+    gap: 10,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderTopWidth: 1,
+  },
+  historyButton: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    paddingVertical: 8,
+  },
+  historyButtonText: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  disabledButton: {
+    opacity: 0.4,
+  },
 });
 
 export default LiveMatchScreen;
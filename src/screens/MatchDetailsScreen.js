@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import {
   View,
   Text,
@@ -10,17 +10,41 @@ import {
   ActivityIndicator,
   Modal,
   Share,
+  Linking,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
-import { useMatches, usePlayers } from "../hooks/useResources";
+import { useFocusEffect } from "@react-navigation/native";
+import {
+  useMatches,
+  usePlayers,
+  useMatchEvents,
+} from "../hooks/useResources";
 import { useTheme } from "../contexts/ThemeContext";
-import { COLORS, MATCH_TYPES, VENUE_TYPES } from "../config/constants";
+import {
+  COLORS,
+  MATCH_TYPES,
+  VENUE_TYPES,
+  VENUE_SURFACES,
+  MATCH_EVENT_TYPES,
+} from "../config/constants";
 import {
   formatDateTime,
-  getMatchResult,
+  formatPenalties,
+  getMatchOutcome,
   getResultColor,
   getPlayerById,
 } from "../utils/helpers";
+import {
+  buildTimeline,
+  formatEventMinute,
+  getEventLabel,
+} from "../utils/matchEvents";
+import { resolvePeriodFormat, getPeriodLabel } from "../utils/matchPeriods";
+import { getPositionsPlayed } from "../utils/formations";
+import { TEAM_STAT_FIELDS, hasTeamStats } from "../utils/teamStats";
+import { clearLiveMatchSession } from "../utils/liveMatchStorage";
+import { chooseSeriesScope } from "../utils/eventSeries";
+import { scoreboardShareApi, penaltyShootoutApi } from "../services/api";
 
 const MatchDetailsScreen = ({ route, navigation }) => {
   const { theme } = useTheme();
@@ -30,8 +54,10 @@ const MatchDetailsScreen = ({ route, navigation }) => {
     loading: matchesLoading,
     updateMatch,
     removeMatch,
+    refetch: refetchMatches,
   } = useMatches(null);
   const { players, loading: playersLoading } = usePlayers(null);
+  const { events } = useMatchEvents(matchId);
 
   const [match, setMatch] = useState(null);
   const [isEditing, setIsEditing] = useState(false);
@@ -48,8 +74,55 @@ const MatchDetailsScreen = ({ route, navigation }) => {
   const [playerOfTheMatchId, setPlayerOfTheMatchId] = useState(null);
   const [showPotmPicker, setShowPotmPicker] = useState(false);
 
+  // Public scoreboard link
+  const [scoreboardShare, setScoreboardShare] = useState(null);
+  const [scoreboardLoading, setScoreboardLoading] = useState(false);
+
+  // Penalty shootout kicks (cup ties only)
+  const [shootoutKicks, setShootoutKicks] = useState([]);
+
   const loading = matchesLoading || playersLoading;
 
+  // Pick up a lineup saved on the Lineup screen
+  useFocusEffect(
+    useCallback(() => {
+      refetchMatches();
+    }, [refetchMatches])
+  );
+
+  useEffect(() => {
+    const loadScoreboardShare = async () => {
+      try {
+        const response = await scoreboardShareApi.get(matchId);
+        setScoreboardShare(response.share);
+      } catch (error) {
+        console.error("Error loading scoreboard link:", error);
+      }
+    };
+
+    loadScoreboardShare();
+  }, [matchId]);
+
+  const hasShootout = match?.penaltiesFor != null;
+
+  useEffect(() => {
+    if (!hasShootout) {
+      setShootoutKicks([]);
+      return;
+    }
+
+    const loadShootout = async () => {
+      try {
+        const response = await penaltyShootoutApi.get(matchId);
+        setShootoutKicks(response.shootout.kicks);
+      } catch (error) {
+        console.error("Error loading penalty shootout:", error);
+      }
+    };
+
+    loadShootout();
+  }, [matchId, hasShootout]);
+
   useEffect(() => {
     const foundMatch = matches.find((m) => m.id === matchId);
     if (foundMatch) {
@@ -138,24 +211,41 @@ const MatchDetailsScreen = ({ route, navigation }) => {
     }
   };
 
+  const deleteMatch = async (scope) => {
+    try {
+      await removeMatch(matchId, scope);
+      await clearLiveMatchSession(matchId);
+      navigation.goBack();
+      Alert.alert(
+        "Success",
+        scope === "series"
+          ? "Match and the rest of its series deleted successfully"
+          : "Match deleted successfully"
+      );
+    } catch (error) {
+      Alert.alert("Error", error.message || "Failed to delete match");
+    }
+  };
+
   const handleDeleteMatch = () => {
+    if (match?.seriesId) {
+      chooseSeriesScope(
+        match,
+        { title: "Delete Match", action: "Delete", destructive: true },
+        deleteMatch
+      );
+      return;
+    }
+
     Alert.alert(
       "Delete Match",
-      "Are you sure you want to delete this match? This action cannot be undone.",
+      "Delete this match? You can restore it from Settings > Recently Deleted.",
       [
         { text: "Cancel", style: "cancel" },
         {
           text: "Delete",
           style: "destructive",
-          onPress: async () => {
-            try {
-              await removeMatch(matchId);
-              navigation.goBack();
-              Alert.alert("Success", "Match deleted successfully");
-            } catch (error) {
-              Alert.alert("Error", error.message || "Failed to delete match");
-            }
-          },
+          onPress: () => deleteMatch("occurrence"),
         },
       ]
     );
@@ -178,6 +268,15 @@ const MatchDetailsScreen = ({ route, navigation }) => {
     ]);
   };
 
+  const openDirections = async () => {
+    try {
+      await Linking.openURL(match.venueRecord.mapsUrl);
+    } catch (error) {
+      console.error("Error opening maps:", error);
+      Alert.alert("Error", "Could not open maps");
+    }
+  };
+
   const handleShareMatch = async () => {
     if (!match) return;
 
@@ -186,6 +285,11 @@ const MatchDetailsScreen = ({ route, navigation }) => {
       let message = `🏆 Match Details\n\n`;
       message += `📅 ${formatDateTime(match.date)}\n`;
       message += `📍 ${match.venue === VENUE_TYPES.HOME ? "Home" : "Away"}\n`;
+      if (match.venueRecord) {
+        message += `🏟️ ${match.venueRecord.name}${
+          match.venueRecord.address ? `, ${match.venueRecord.address}` : ""
+        }\n`;
+      }
       message += `${
         match.matchType === MATCH_TYPES.CUP
           ? "🏆 Cup"
@@ -197,11 +301,14 @@ const MatchDetailsScreen = ({ route, navigation }) => {
       message += `Opponent: ${match.opponent}\n`;
 
       if (match.isFinished) {
-        const result = getMatchResult(match.goalsFor, match.goalsAgainst);
+        const result = getMatchOutcome(match);
+        const penalties = formatPenalties(match);
         const resultEmoji =
           result === "win" ? "🎉" : result === "loss" ? "😔" : "🤝";
         message += `\n${resultEmoji} Result: ${result.toUpperCase()}\n`;
-        message += `Score: ${match.goalsFor} - ${match.goalsAgainst}\n`;
+        message += `Score: ${match.goalsFor} - ${match.goalsAgainst}${
+          penalties ? ` (${penalties})` : ""
+        }\n`;
 
         // Add player stats if available
         if (playersWithStats.length > 0) {
@@ -249,6 +356,100 @@ const MatchDetailsScreen = ({ route, navigation }) => {
     }
   };
 
+  const shareScoreboardLink = async (url) => {
+    try {
+      await Share.share({
+        message: `Follow the live score vs ${match.opponent}: ${url}`,
+        title: `Live score vs ${match.opponent}`,
+      });
+    } catch (error) {
+      console.error("Error sharing scoreboard link:", error);
+    }
+  };
+
+  const handleEnableScoreboard = async (regenerate = false) => {
+    setScoreboardLoading(true);
+    try {
+      const response = await scoreboardShareApi.enable(matchId, regenerate);
+      setScoreboardShare(response.share);
+      await shareScoreboardLink(response.share.url);
+    } catch (error) {
+      Alert.alert("Error", error.message || "Failed to create scoreboard link");
+    } finally {
+      setScoreboardLoading(false);
+    }
+  };
+
+  const handleRegenerateScoreboard = () => {
+    Alert.alert(
+      "New Link",
+      "The current link will stop working. Anyone who should keep following the score will need the new link.",
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Create New Link", onPress: () => handleEnableScoreboard(true) },
+      ]
+    );
+  };
+
+  const handleRevokeScoreboard = () => {
+    Alert.alert(
+      "Turn Off Link",
+      "Anyone with the link will no longer be able to see the score.",
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Turn Off",
+          style: "destructive",
+          onPress: async () => {
+            setScoreboardLoading(true);
+            try {
+              await scoreboardShareApi.revoke(matchId);
+              setScoreboardShare({ isShared: false, token: null, url: null });
+            } catch (error) {
+              Alert.alert(
+                "Error",
+                error.message || "Failed to turn off scoreboard link"
+              );
+            } finally {
+              setScoreboardLoading(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderEventIcon = (type) => {
+    switch (type) {
+      case MATCH_EVENT_TYPES.GOAL:
+        return <Ionicons name="football" size={18} color={theme.primary} />;
+      case MATCH_EVENT_TYPES.OPPONENT_GOAL:
+        return (
+          <Ionicons
+            name="football-outline"
+            size={18}
+            color={theme.textSecondary}
+          />
+        );
+      case MATCH_EVENT_TYPES.YELLOW_CARD:
+        return <View style={styles.timelineYellowCard} />;
+      case MATCH_EVENT_TYPES.RED_CARD:
+        return <View style={styles.timelineRedCard} />;
+      case MATCH_EVENT_TYPES.SUB_ON:
+        return (
+          <Ionicons name="arrow-up-circle" size={18} color={COLORS.success} />
+        );
+      case MATCH_EVENT_TYPES.SUB_OFF:
+        return (
+          <Ionicons name="arrow-down-circle" size={18} color={COLORS.error} />
+        );
+      case MATCH_EVENT_TYPES.SAVE:
+        return <Ionicons name="hand-left" size={18} color={theme.primary} />;
+      default:
+        return null;
+    }
+  };
+
   if (loading || !match) {
     return (
       <View
@@ -262,9 +463,8 @@ const MatchDetailsScreen = ({ route, navigation }) => {
     );
   }
 
-  const result = match.isFinished
-    ? getMatchResult(match.goalsFor, match.goalsAgainst)
-    : null;
+  const result = match.isFinished ? getMatchOutcome(match) : null;
+  const penalties = formatPenalties(match);
   const resultColor = result ? getResultColor(result) : null;
 
   // Debug logging
@@ -296,6 +496,7 @@ const MatchDetailsScreen = ({ route, navigation }) => {
         goals: stat.goals || 0,
         assists: stat.assists || 0,
         minutesPlayed: stat.minutesPlayed || 0,
+        positions: getPositionsPlayed(stat.playingPeriods || []),
         // Keep player.id intact for comparison with playerOfTheMatchId
       };
     })
@@ -364,6 +565,23 @@ const MatchDetailsScreen = ({ route, navigation }) => {
             {match.opponent}
           </Text>
 
+          {match.opponentId && (
+            <TouchableOpacity
+              style={styles.headToHeadLink}
+              onPress={() =>
+                navigation.navigate("HeadToHead", {
+                  opponentId: match.opponentId,
+                  teamId: match.teamId,
+                })
+              }
+            >
+              <Ionicons name="git-compare" size={14} color={theme.primary} />
+              <Text style={[styles.headToHeadText, { color: theme.primary }]}>
+                Head-to-head
+              </Text>
+            </TouchableOpacity>
+          )}
+
           {match.team && (
             <Text style={[styles.teamName, { color: theme.textSecondary }]}>
               Team: {match.team.name}
@@ -377,9 +595,21 @@ const MatchDetailsScreen = ({ route, navigation }) => {
               >
                 <Text style={styles.resultText}>{result.toUpperCase()}</Text>
               </View>
-              <Text style={[styles.score, { color: theme.text }]}>
-                {match.goalsFor} - {match.goalsAgainst}
-              </Text>
+              <View style={styles.scoreColumn}>
+                <Text style={[styles.score, { color: theme.text }]}>
+                  {match.goalsFor} - {match.goalsAgainst}
+                </Text>
+                {penalties && (
+                  <Text
+                    style={[
+                      styles.penaltyScore,
+                      { color: theme.textSecondary },
+                    ]}
+                  >
+                    {penalties}
+                  </Text>
+                )}
+              </View>
             </View>
           ) : (
             <View
@@ -397,6 +627,65 @@ const MatchDetailsScreen = ({ route, navigation }) => {
           )}
         </View>
 
+        {/* Venue */}
+        {match.venueRecord && (
+          <View
+            style={[
+              styles.card,
+              {
+                backgroundColor: theme.cardBackground,
+                shadowColor: theme.shadow,
+              },
+            ]}
+          >
+            <View style={styles.cardTitleRow}>
+              <Ionicons name="location" size={20} color={theme.primary} />
+              <Text style={[styles.cardTitle, { color: theme.text }]}>
+                {match.venueRecord.name}
+              </Text>
+            </View>
+            {match.venueRecord.address ? (
+              <Text style={[styles.notesText, { color: theme.text }]}>
+                {match.venueRecord.address}
+              </Text>
+            ) : null}
+            {(match.venueRecord.pitchNumber || match.venueRecord.surface) && (
+              <Text
+                style={[styles.venueDetail, { color: theme.textSecondary }]}
+              >
+                {[
+                  match.venueRecord.pitchNumber &&
+                    `Pitch ${match.venueRecord.pitchNumber}`,
+                  VENUE_SURFACES.find(
+                    (option) => option.value === match.venueRecord.surface
+                  )?.label,
+                ]
+                  .filter(Boolean)
+                  .join(" · ")}
+              </Text>
+            )}
+            {match.venueRecord.parkingNotes ? (
+              <Text
+                style={[styles.venueDetail, { color: theme.textSecondary }]}
+              >
+                Parking: {match.venueRecord.parkingNotes}
+              </Text>
+            ) : null}
+            {match.venueRecord.mapsUrl && (
+              <TouchableOpacity
+                style={[
+                  styles.directionsButton,
+                  { backgroundColor: theme.primary },
+                ]}
+                onPress={openDirections}
+              >
+                <Ionicons name="navigate" size={16} color="#fff" />
+                <Text style={styles.scoreboardButtonText}>Directions</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        )}
+
         {/* Notes */}
         {match.notes && (
           <View
@@ -420,6 +709,141 @@ const MatchDetailsScreen = ({ route, navigation }) => {
           </View>
         )}
 
+        {/* Lineup */}
+        {(match.lineup || !match.isFinished) && (
+          <View
+            style={[
+              styles.card,
+              {
+                backgroundColor: theme.cardBackground,
+                shadowColor: theme.shadow,
+              },
+            ]}
+          >
+            <View style={styles.cardTitleRow}>
+              <Ionicons name="grid-outline" size={20} color={theme.primary} />
+              <Text style={[styles.cardTitle, { color: theme.text }]}>
+                Lineup{match.lineup ? ` (${match.lineup.shape})` : ""}
+              </Text>
+            </View>
+            {match.lineup ? (
+              match.lineup.slots.map((slot) => (
+                <View key={slot.id} style={styles.lineupRow}>
+                  <Text
+                    style={[styles.lineupPosition, { color: theme.primary }]}
+                  >
+                    {slot.label}
+                  </Text>
+                  <Text style={[styles.lineupPlayer, { color: theme.text }]}>
+                    {getPlayerById(players, match.lineup.assignments[slot.id])
+                      ?.name || "-"}
+                  </Text>
+                </View>
+              ))
+            ) : (
+              <Text style={[styles.notesText, { color: theme.textSecondary }]}>
+                No lineup yet. Pick a formation and drag players into it.
+              </Text>
+            )}
+            <TouchableOpacity
+              style={[styles.lineupButton, { borderColor: theme.primary }]}
+              onPress={() => navigation.navigate("Lineup", { matchId })}
+            >
+              <Text style={[styles.lineupButtonText, { color: theme.primary }]}>
+                {match.lineup ? "Edit Lineup" : "Set Lineup"}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {/* Team Stats Comparison */}
+        {hasTeamStats(match.teamStats) && (
+          <View
+            style={[
+              styles.card,
+              {
+                backgroundColor: theme.cardBackground,
+                shadowColor: theme.shadow,
+              },
+            ]}
+          >
+            <View style={styles.cardTitleRow}>
+              <Ionicons name="stats-chart" size={20} color={theme.primary} />
+              <Text style={[styles.cardTitle, { color: theme.text }]}>
+                Match Stats
+              </Text>
+            </View>
+            <View style={styles.comparisonHeader}>
+              <Text style={[styles.comparisonSide, { color: theme.primary }]}>
+                Us
+              </Text>
+              <Text
+                style={[
+                  styles.comparisonSide,
+                  styles.comparisonSideRight,
+                  { color: theme.textSecondary },
+                ]}
+                numberOfLines={1}
+              >
+                {match.opponent}
+              </Text>
+            </View>
+            {TEAM_STAT_FIELDS.map(({ key, label }) => {
+              const ours = match.teamStats.for?.[key] || 0;
+              const theirs = match.teamStats.against?.[key] || 0;
+              const total = ours + theirs;
+
+              return (
+                <View key={key} style={styles.comparisonRow}>
+                  <View style={styles.comparisonValues}>
+                    <Text
+                      style={[styles.comparisonValue, { color: theme.text }]}
+                    >
+                      {ours}
+                    </Text>
+                    <Text
+                      style={[
+                        styles.comparisonLabel,
+                        { color: theme.textSecondary },
+                      ]}
+                    >
+                      {label}
+                    </Text>
+                    <Text
+                      style={[styles.comparisonValue, { color: theme.text }]}
+                    >
+                      {theirs}
+                    </Text>
+                  </View>
+                  <View
+                    style={[
+                      styles.comparisonBar,
+                      { backgroundColor: theme.border },
+                    ]}
+                  >
+                    {total > 0 && (
+                      <>
+                        <View
+                          style={{
+                            flex: ours,
+                            backgroundColor: theme.primary,
+                          }}
+                        />
+                        <View
+                          style={{
+                            flex: theirs,
+                            backgroundColor: COLORS.gray[300],
+                          }}
+                        />
+                      </>
+                    )}
+                  </View>
+                </View>
+              );
+            })}
+          </View>
+        )}
+
         {/* Player Statistics */}
         {match.isFinished && playersWithStats.length > 0 && (
           <View
@@ -447,6 +871,16 @@ const MatchDetailsScreen = ({ route, navigation }) => {
                   <Text style={[styles.playerName, { color: theme.text }]}>
                     {player.name}
                   </Text>
+                  {player.positions.length > 0 && (
+                    <Text
+                      style={[
+                        styles.playerPositions,
+                        { color: theme.textSecondary },
+                      ]}
+                    >
+                      {player.positions.join(", ")}
+                    </Text>
+                  )}
                   {match.playerOfTheMatchId === player.id && (
                     <View style={styles.potmBadge}>
                       <Ionicons name="trophy" size={14} color="#FFA500" />
@@ -525,6 +959,220 @@ const MatchDetailsScreen = ({ route, navigation }) => {
           </View>
         )}
 
+        {/* Match Timeline */}
+        {events.length > 0 && (
+          <View
+            style={[
+              styles.card,
+              {
+                backgroundColor: theme.cardBackground,
+                shadowColor: theme.shadow,
+              },
+            ]}
+          >
+            <View style={styles.cardTitleRow}>
+              <Ionicons name="time" size={20} color={theme.primary} />
+              <Text style={[styles.cardTitle, { color: theme.text }]}>
+                Match Timeline
+              </Text>
+            </View>
+
+            {buildTimeline(events).map((event, index, timeline) => (
+              <React.Fragment key={event.id}>
+                {(index === 0 ||
+                  timeline[index - 1].period !== event.period) && (
+                  <Text
+                    style={[
+                      styles.timelinePeriod,
+                      { color: theme.textSecondary },
+                    ]}
+                  >
+                    {getPeriodLabel(resolvePeriodFormat(match), event.period)}
+                  </Text>
+                )}
+                <View
+                  style={[
+                    styles.timelineRow,
+                    { borderBottomColor: theme.border },
+                  ]}
+                >
+                  <Text
+                    style={[styles.timelineMinute, { color: theme.primary }]}
+                  >
+                    {formatEventMinute(event.matchSecond)}
+                  </Text>
+                  {renderEventIcon(event.type)}
+                  <View style={styles.timelineInfo}>
+                    <Text
+                      style={[styles.timelineText, { color: theme.text }]}
+                    >
+                      {event.type === MATCH_EVENT_TYPES.OPPONENT_GOAL
+                        ? `${getEventLabel(event.type)} (${match.opponent})`
+                        : event.player
+                        ? `${event.player.name} (${getEventLabel(
+                            event.type
+                          ).toLowerCase()})`
+                        : getEventLabel(event.type)}
+                    </Text>
+                    {event.assistPlayer && (
+                      <Text
+                        style={[
+                          styles.timelineSubtext,
+                          { color: theme.textSecondary },
+                        ]}
+                      >
+                        Assist: {event.assistPlayer.name}
+                      </Text>
+                    )}
+                  </View>
+                  {(event.type === MATCH_EVENT_TYPES.GOAL ||
+                    event.type === MATCH_EVENT_TYPES.OPPONENT_GOAL) && (
+                    <Text
+                      style={[styles.timelineScore, { color: theme.text }]}
+                    >
+                      {event.score.for} - {event.score.against}
+                    </Text>
+                  )}
+                </View>
+              </React.Fragment>
+            ))}
+          </View>
+        )}
+
+        {/* Penalty Shootout */}
+        {shootoutKicks.length > 0 && (
+          <View
+            style={[
+              styles.card,
+              {
+                backgroundColor: theme.cardBackground,
+                shadowColor: theme.shadow,
+              },
+            ]}
+          >
+            <View style={styles.cardTitleRow}>
+              <Ionicons name="football" size={20} color={theme.primary} />
+              <Text style={[styles.cardTitle, { color: theme.text }]}>
+                Penalty Shootout ({match.penaltiesFor} -{" "}
+                {match.penaltiesAgainst})
+              </Text>
+            </View>
+
+            {shootoutKicks.map((kick) => (
+              <View
+                key={kick.id}
+                style={[
+                  styles.timelineRow,
+                  { borderBottomColor: theme.border },
+                ]}
+              >
+                <Ionicons
+                  name={kick.scored ? "checkmark-circle" : "close-circle"}
+                  size={20}
+                  color={kick.scored ? COLORS.success : COLORS.error}
+                />
+                <View style={styles.timelineInfo}>
+                  <Text style={[styles.timelineText, { color: theme.text }]}>
+                    {kick.isOpponent
+                      ? match.opponent
+                      : kick.player?.name || "Unknown taker"}
+                  </Text>
+                </View>
+                <Text
+                  style={[
+                    styles.timelineSubtext,
+                    { color: theme.textSecondary },
+                  ]}
+                >
+                  {kick.scored ? "Scored" : "Missed"}
+                </Text>
+              </View>
+            ))}
+          </View>
+        )}
+
+        {/* Live Scoreboard Link */}
+        <View
+          style={[
+            styles.card,
+            {
+              backgroundColor: theme.cardBackground,
+              shadowColor: theme.shadow,
+            },
+          ]}
+        >
+          <View style={styles.cardTitleRow}>
+            <Ionicons name="globe-outline" size={20} color={theme.primary} />
+            <Text style={[styles.cardTitle, { color: theme.text }]}>
+              Live Scoreboard Link
+            </Text>
+          </View>
+
+          <Text style={[styles.scoreboardText, { color: theme.textSecondary }]}>
+            {scoreboardShare?.isShared
+              ? "Anyone with the link can follow the score. Only public team and player names are shown."
+              : "Share a read-only link so family can follow the score. Only public team and player names are shown."}
+          </Text>
+
+          {scoreboardLoading ? (
+            <ActivityIndicator color={theme.primary} />
+          ) : scoreboardShare?.isShared ? (
+            <View style={styles.scoreboardActions}>
+              <TouchableOpacity
+                style={[
+                  styles.scoreboardButton,
+                  { backgroundColor: theme.primary },
+                ]}
+                onPress={() => shareScoreboardLink(scoreboardShare.url)}
+              >
+                <Ionicons name="share-outline" size={16} color="#fff" />
+                <Text style={styles.scoreboardButtonText}>Share</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[
+                  styles.scoreboardButton,
+                  styles.scoreboardButtonOutline,
+                  { borderColor: theme.border },
+                ]}
+                onPress={handleRegenerateScoreboard}
+              >
+                <Ionicons name="refresh" size={16} color={theme.text} />
+                <Text
+                  style={[styles.scoreboardButtonText, { color: theme.text }]}
+                >
+                  New Link
+                </Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[
+                  styles.scoreboardButton,
+                  styles.scoreboardButtonOutline,
+                  { borderColor: COLORS.error },
+                ]}
+                onPress={handleRevokeScoreboard}
+              >
+                <Ionicons name="close-circle" size={16} color={COLORS.error} />
+                <Text
+                  style={[styles.scoreboardButtonText, { color: COLORS.error }]}
+                >
+                  Turn Off
+                </Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <TouchableOpacity
+              style={[
+                styles.scoreboardButton,
+                { backgroundColor: theme.primary },
+              ]}
+              onPress={() => handleEnableScoreboard(false)}
+            >
+              <Ionicons name="link" size={16} color="#fff" />
+              <Text style={styles.scoreboardButtonText}>Create Link</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+
         {/* Match Information */}
         <View
           style={[
@@ -1344,6 +1992,16 @@ const styles = StyleSheet.create({
     color: COLORS.textSecondary,
     marginBottom: 15,
   },
+  headToHeadLink: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    marginBottom: 10,
+  },
+  headToHeadText: {
+    fontSize: 14,
+    fontWeight: "600",
+  },
   scoreSection: {
     flexDirection: "row",
     justifyContent: "space-between",
@@ -1365,6 +2023,13 @@ const styles = StyleSheet.create({
     fontWeight: "bold",
     color: COLORS.text,
   },
+  scoreColumn: {
+    alignItems: "flex-end",
+  },
+  penaltyScore: {
+    fontSize: 14,
+    color: COLORS.textSecondary,
+  },
   notPlayedBadge: {
     backgroundColor: COLORS.gray[200],
     paddingHorizontal: 15,
@@ -1390,6 +2055,32 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.1,
     shadowRadius: 4,
   },
+  scoreboardText: {
+    fontSize: 14,
+    lineHeight: 20,
+    marginBottom: 15,
+  },
+  scoreboardActions: {
+    flexDirection: "row",
+    gap: 8,
+  },
+  scoreboardButton: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
+  scoreboardButtonOutline: {
+    borderWidth: 1,
+  },
+  scoreboardButtonText: {
+    color: "#fff",
+    fontSize: 14,
+    fontWeight: "600",
+  },
   cardTitleRow: {
     flexDirection: "row",
     alignItems: "center",
@@ -1406,6 +2097,19 @@ const styles = StyleSheet.create({
     color: COLORS.text,
     lineHeight: 20,
   },
+  venueDetail: {
+    fontSize: 13,
+    marginTop: 6,
+  },
+  directionsButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    marginTop: 15,
+    paddingVertical: 10,
+    borderRadius: 8,
+  },
   playerStatRow: {
     flexDirection: "row",
     justifyContent: "space-between",
@@ -1422,6 +2126,73 @@ const styles = StyleSheet.create({
     fontWeight: "600",
     color: COLORS.text,
   },
+  playerPositions: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  comparisonHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginBottom: 8,
+  },
+  comparisonSide: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  comparisonSideRight: {
+    textAlign: "right",
+  },
+  comparisonRow: {
+    marginBottom: 12,
+  },
+  comparisonValues: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 4,
+  },
+  comparisonValue: {
+    width: 36,
+    fontSize: 16,
+    fontWeight: "bold",
+    textAlign: "center",
+  },
+  comparisonLabel: {
+    flex: 1,
+    fontSize: 14,
+    textAlign: "center",
+  },
+  comparisonBar: {
+    flexDirection: "row",
+    height: 6,
+    borderRadius: 3,
+    overflow: "hidden",
+  },
+  lineupRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 4,
+  },
+  lineupPosition: {
+    width: 48,
+    fontSize: 14,
+    fontWeight: "bold",
+  },
+  lineupPlayer: {
+    flex: 1,
+    fontSize: 15,
+  },
+  lineupButton: {
+    marginTop: 12,
+    paddingVertical: 10,
+    borderRadius: 8,
+    borderWidth: 1,
+    alignItems: "center",
+  },
+  lineupButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+  },
   potmBadge: {
     flexDirection: "row",
     alignItems: "center",
@@ -1454,6 +2225,56 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: COLORS.textSecondary,
   },
+  timelinePeriod: {
+    fontSize: 12,
+    fontWeight: "600",
+    textTransform: "uppercase",
+    marginTop: 10,
+    marginBottom: 4,
+  },
+  timelineRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    paddingVertical: 10,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.gray[100],
+  },
+  timelineMinute: {
+    fontSize: 14,
+    fontWeight: "600",
+    minWidth: 36,
+    fontVariant: ["tabular-nums"],
+  },
+  timelineInfo: {
+    flex: 1,
+  },
+  timelineText: {
+    fontSize: 15,
+    fontWeight: "500",
+  },
+  timelineSubtext: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  timelineScore: {
+    fontSize: 14,
+    fontWeight: "bold",
+  },
+  timelineYellowCard: {
+    width: 12,
+    height: 16,
+    marginHorizontal: 3,
+    backgroundColor: "#FFD700",
+    borderRadius: 2,
+  },
+  timelineRedCard: {
+    width: 12,
+    height: 16,
+    marginHorizontal: 3,
+    backgroundColor: "#DC143C",
+    borderRadius: 2,
+  },
   infoRow: {
     flexDirection: "row",
     justifyContent: "space-between",
@@ -0,0 +1,464 @@
+import React, { useState, useEffect } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  Platform,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import DateTimePicker from "@react-native-community/datetimepicker";
+import { usePlayers } from "../hooks/useResources";
+import { useTeamContext } from "../contexts/TeamContext";
+import { useTheme } from "../contexts/ThemeContext";
+import { seasonApi } from "../services/api";
+import { COLORS } from "../config/constants";
+import { CacheInvalidationStrategies } from "../utils/cacheManager";
+import {
+  suggestNextSeason,
+  toSeasonDay,
+  formatSeasonDate,
+} from "../utils/seasons";
+
+const NewSeasonScreen = ({ navigation, route }) => {
+  const { theme } = useTheme();
+  const { selectSeason } = useTeamContext();
+  const { teamId, previousSeason } = route.params;
+  const { players, loading: playersLoading } = usePlayers(teamId);
+
+  const [suggestion] = useState(() => suggestNextSeason(previousSeason));
+  const [name, setName] = useState(suggestion.name);
+  const [startDate, setStartDate] = useState(suggestion.startDate);
+  const [endDate, setEndDate] = useState(suggestion.endDate);
+  const [showStartPicker, setShowStartPicker] = useState(false);
+  const [showEndPicker, setShowEndPicker] = useState(false);
+  const [keptPlayerIds, setKeptPlayerIds] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  // The whole squad carries over unless players are unticked
+  useEffect(() => {
+    if (!playersLoading && keptPlayerIds === null) {
+      setKeptPlayerIds(players.map((player) => player.id));
+    }
+  }, [players, playersLoading, keptPlayerIds]);
+
+  const keptIds = keptPlayerIds || [];
+
+  const togglePlayer = (playerId) => {
+    setKeptPlayerIds((prev) =>
+      prev.includes(playerId)
+        ? prev.filter((id) => id !== playerId)
+        : [...prev, playerId]
+    );
+  };
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!name.trim()) {
+      newErrors.name = "Season name is required";
+    }
+    if (endDate < startDate) {
+      newErrors.dates = "The season can't end before it starts";
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const onStartDateChange = (event, selectedDate) => {
+    setShowStartPicker(Platform.OS === "ios");
+    if (selectedDate) {
+      setStartDate(selectedDate);
+    }
+  };
+
+  const onEndDateChange = (event, selectedDate) => {
+    setShowEndPicker(Platform.OS === "ios");
+    if (selectedDate) {
+      setEndDate(selectedDate);
+    }
+  };
+
+  const startSeason = async () => {
+    setLoading(true);
+    try {
+      const response = await seasonApi.startNew(teamId, {
+        name: name.trim(),
+        startDate: toSeasonDay(startDate),
+        endDate: toSeasonDay(endDate),
+        playerIds: keptIds,
+      });
+
+      // Players may have left the team and matches moved between seasons
+      CacheInvalidationStrategies.onRelatedUpdate([
+        "players",
+        "matches",
+        "dashboard",
+      ]);
+      await selectSeason(response.season.id);
+
+      Alert.alert(
+        "Season Started",
+        `${response.season.name} has started with ${response.squad.kept} players.`
+      );
+      navigation.goBack();
+    } catch (error) {
+      console.error("Error starting season:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.error || "Failed to start the new season"
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSubmit = () => {
+    if (!validateForm()) {
+      return;
+    }
+
+    const released = players.length - keptIds.length;
+    if (released === 0) {
+      startSeason();
+      return;
+    }
+
+    Alert.alert(
+      "Leaving the Squad",
+      `${released} player${
+        released === 1 ? "" : "s"
+      } will be removed from the team. Their stats are kept.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        { text: "Start Season", onPress: startSeason },
+      ]
+    );
+  };
+
+  const renderDateButton = (label, date, onPress) => (
+    <View style={styles.dateColumn}>
+      <Text style={[styles.dateLabel, { color: theme.textSecondary }]}>
+        {label}
+      </Text>
+      <TouchableOpacity
+        style={[
+          styles.dateButton,
+          {
+            backgroundColor: theme.cardBackground,
+            borderColor: errors.dates ? COLORS.error : theme.border,
+          },
+        ]}
+        onPress={onPress}
+      >
+        <Ionicons name="calendar" size={16} color={theme.primary} />
+        <Text style={[styles.dateText, { color: theme.text }]}>
+          {formatSeasonDate(toSeasonDay(date))}
+        </Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScrollView style={styles.content}>
+        <View
+          style={[styles.section, { backgroundColor: theme.cardBackground }]}
+        >
+          <Text style={[styles.sectionTitle, { color: theme.text }]}>
+            New Season
+          </Text>
+
+          {/* Season Name */}
+          <View style={styles.inputGroup}>
+            <View style={styles.labelRow}>
+              <Ionicons name="bookmark" size={18} color={theme.primary} />
+              <Text style={[styles.label, { color: theme.text }]}>
+                Season Name
+              </Text>
+            </View>
+            <TextInput
+              style={[
+                styles.input,
+                {
+                  backgroundColor: theme.cardBackground,
+                  borderColor: theme.border,
+                  color: theme.text,
+                },
+                errors.name && styles.inputError,
+              ]}
+              placeholder="e.g. 2025/26"
+              placeholderTextColor={theme.textSecondary}
+              value={name}
+              onChangeText={(text) => {
+                setName(text);
+                if (errors.name) {
+                  setErrors({ ...errors, name: null });
+                }
+              }}
+              maxLength={50}
+            />
+            {errors.name && (
+              <View style={styles.errorRow}>
+                <Ionicons name="warning" size={14} color={COLORS.error} />
+                <Text style={styles.errorText}>{errors.name}</Text>
+              </View>
+            )}
+          </View>
+
+          {/* Dates */}
+          <View style={styles.inputGroup}>
+            <View style={styles.labelRow}>
+              <Ionicons name="calendar" size={18} color={theme.primary} />
+              <Text style={[styles.label, { color: theme.text }]}>Dates</Text>
+            </View>
+            <View style={styles.dateRow}>
+              {renderDateButton("Starts", startDate, () =>
+                setShowStartPicker(true)
+              )}
+              {renderDateButton("Ends", endDate, () => setShowEndPicker(true))}
+            </View>
+            {errors.dates && (
+              <View style={styles.errorRow}>
+                <Ionicons name="warning" size={14} color={COLORS.error} />
+                <Text style={styles.errorText}>{errors.dates}</Text>
+              </View>
+            )}
+            {previousSeason && (
+              <Text
+                style={[styles.helperText, { color: theme.textSecondary }]}
+              >
+                {previousSeason.name} ends the day before if it is still
+                running
+              </Text>
+            )}
+          </View>
+
+          {showStartPicker && (
+            <DateTimePicker
+              value={startDate}
+              mode="date"
+              display="default"
+              onChange={onStartDateChange}
+            />
+          )}
+
+          {showEndPicker && (
+            <DateTimePicker
+              value={endDate}
+              mode="date"
+              display="default"
+              onChange={onEndDateChange}
+            />
+          )}
+        </View>
+
+        {/* Squad */}
+        <View
+          style={[styles.section, { backgroundColor: theme.cardBackground }]}
+        >
+          <Text style={[styles.sectionTitle, { color: theme.text }]}>
+            Carry Over Squad
+          </Text>
+
+          {playersLoading ? (
+            <ActivityIndicator color={theme.primary} />
+          ) : players.length === 0 ? (
+            <Text style={[styles.helperText, { color: theme.textSecondary }]}>
+              This team has no players yet
+            </Text>
+          ) : (
+            <>
+              {players.map((player) => {
+                const isKept = keptIds.includes(player.id);
+
+                return (
+                  <TouchableOpacity
+                    key={player.id}
+                    style={styles.playerItem}
+                    onPress={() => togglePlayer(player.id)}
+                  >
+                    <View
+                      style={[
+                        styles.checkbox,
+                        { borderColor: theme.border },
+                        isKept && {
+                          backgroundColor: theme.primary,
+                          borderColor: theme.primary,
+                        },
+                      ]}
+                    >
+                      {isKept && (
+                        <Ionicons name="checkmark" size={16} color="#fff" />
+                      )}
+                    </View>
+                    <Text style={[styles.playerName, { color: theme.text }]}>
+                      {player.name}
+                    </Text>
+                  </TouchableOpacity>
+                );
+              })}
+              <Text
+                style={[styles.helperText, { color: theme.textSecondary }]}
+              >
+                {keptIds.length} of {players.length} players stay in the
+                team. Unticked players leave it but keep their stats.
+              </Text>
+            </>
+          )}
+        </View>
+
+        {/* Submit Button */}
+        <TouchableOpacity
+          style={[
+            styles.submitButton,
+            { backgroundColor: theme.primary },
+            (loading || playersLoading) && styles.submitButtonDisabled,
+          ]}
+          onPress={handleSubmit}
+          disabled={loading || playersLoading}
+        >
+          {loading ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <>
+              <Ionicons name="flag" size={20} color="#fff" />
+              <Text style={styles.submitButtonText}>Start Season</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  content: {
+    flex: 1,
+  },
+  section: {
+    backgroundColor: "#fff",
+    padding: 20,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: "bold",
+    color: COLORS.text,
+    marginBottom: 20,
+  },
+  inputGroup: {
+    marginBottom: 20,
+  },
+  labelRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: COLORS.text,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.gray[300],
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+    backgroundColor: "#fff",
+  },
+  inputError: {
+    borderColor: COLORS.error,
+  },
+  errorRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    marginTop: 4,
+  },
+  errorText: {
+    fontSize: 12,
+    color: COLORS.error,
+  },
+  helperText: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    marginTop: 4,
+  },
+  dateRow: {
+    flexDirection: "row",
+    gap: 10,
+  },
+  dateColumn: {
+    flex: 1,
+  },
+  dateLabel: {
+    fontSize: 13,
+    marginBottom: 4,
+  },
+  dateButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+  },
+  dateText: {
+    fontSize: 15,
+  },
+  playerItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 10,
+  },
+  checkbox: {
+    width: 20,
+    height: 20,
+    borderWidth: 2,
+    borderColor: COLORS.gray[300],
+    borderRadius: 4,
+    marginRight: 10,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  playerName: {
+    flex: 1,
+    fontSize: 15,
+    color: COLORS.text,
+    fontWeight: "500",
+  },
+  submitButton: {
+    flexDirection: "row",
+    backgroundColor: COLORS.primary,
+    padding: 16,
+    borderRadius: 8,
+    alignItems: "center",
+    justifyContent: "center",
+    marginHorizontal: 20,
+    marginBottom: 30,
+    gap: 8,
+  },
+  submitButtonDisabled: {
+    opacity: 0.6,
+  },
+  submitButtonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "bold",
+  },
+});
+
+export default NewSeasonScreen;
@@ -0,0 +1,605 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  Modal,
+  RefreshControl,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useOpponents } from "../hooks/useResources";
+import { useTeamContext } from "../contexts/TeamContext";
+import { useTheme } from "../contexts/ThemeContext";
+import { opponentApi } from "../services/api";
+import { COLORS, FONTS } from "../config/constants";
+import { CacheInvalidationStrategies } from "../utils/cacheManager";
+
+// Common kit colours
+const KIT_COLORS = [
+  "#DC2626",
+  "#EA580C",
+  "#FACC15",
+  "#16A34A",
+  "#0EA5E9",
+  "#1D4ED8",
+  "#7C3AED",
+  "#DB2777",
+  "#111827",
+  "#FFFFFF",
+];
+
+const EMPTY_FORM = {
+  name: "",
+  aliases: "",
+  primaryColor: null,
+  secondaryColor: null,
+  notes: "",
+};
+
+// Comma separated, blank entries dropped
+const parseAliases = (text) =>
+  text
+    .split(",")
+    .map((alias) => alias.trim())
+    .filter(Boolean);
+
+const OpponentsScreen = ({ navigation }) => {
+  const { theme } = useTheme();
+  const { selectedTeamId } = useTeamContext();
+  const { opponents, loading, refetch } = useOpponents();
+
+  const [search, setSearch] = useState("");
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingOpponent, setEditingOpponent] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const searchText = search.trim().toLowerCase();
+  const filteredOpponents = searchText
+    ? opponents.filter((opponent) =>
+        [opponent.name, ...opponent.aliases].some((name) =>
+          name.toLowerCase().includes(searchText)
+        )
+      )
+    : opponents;
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await refetch();
+    setRefreshing(false);
+  };
+
+  const openForm = (opponent = null) => {
+    setEditingOpponent(opponent);
+    setForm(
+      opponent
+        ? {
+            name: opponent.name,
+            aliases: opponent.aliases.join(", "),
+            primaryColor: opponent.primaryColor,
+            secondaryColor: opponent.secondaryColor,
+            notes: opponent.notes || "",
+          }
+        : EMPTY_FORM
+    );
+    setModalVisible(true);
+  };
+
+  const closeForm = () => {
+    setModalVisible(false);
+    setEditingOpponent(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const saveOpponent = async (data) => {
+    setSaving(true);
+    try {
+      if (editingOpponent) {
+        await opponentApi.update(editingOpponent.id, data);
+      } else {
+        await opponentApi.create(data);
+      }
+
+      // Renames and merges also change match opponent names
+      CacheInvalidationStrategies.onRelatedUpdate([
+        "opponents",
+        "matches",
+        "dashboard",
+      ]);
+      closeForm();
+      refetch();
+    } catch (error) {
+      console.error("Error saving opponent:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.error || "Failed to save the opponent"
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    if (!form.name.trim()) {
+      Alert.alert("Error", "Please enter the opponent's name");
+      return;
+    }
+
+    const data = {
+      name: form.name.trim(),
+      aliases: parseAliases(form.aliases),
+      primaryColor: form.primaryColor,
+      secondaryColor: form.secondaryColor,
+      notes: form.notes.trim() || null,
+    };
+
+    // An alias that is another opponent's name merges that opponent
+    const merged = opponents.filter(
+      (opponent) =>
+        opponent.id !== editingOpponent?.id &&
+        data.aliases.some(
+          (alias) => alias.toLowerCase() === opponent.name.toLowerCase()
+        )
+    );
+
+    if (editingOpponent && merged.length > 0) {
+      const names = merged.map((opponent) => opponent.name).join(", ");
+      Alert.alert(
+        "Merge Opponents",
+        `${names} will be merged into ${data.name}, with all their matches.`,
+        [
+          { text: "Cancel", style: "cancel" },
+          { text: "Merge", onPress: () => saveOpponent(data) },
+        ]
+      );
+      return;
+    }
+
+    saveOpponent(data);
+  };
+
+  const handleDelete = (opponent) => {
+    Alert.alert(
+      "Delete Opponent",
+      `Delete ${opponent.name}? Its matches keep the name but lose the head-to-head link.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await opponentApi.delete(opponent.id);
+              CacheInvalidationStrategies.onRelatedUpdate([
+                "opponents",
+                "matches",
+              ]);
+              refetch();
+            } catch (error) {
+              console.error("Error deleting opponent:", error);
+              Alert.alert("Error", "Failed to delete the opponent");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderColorPicker = (label, field) => (
+    <>
+      <Text style={[styles.label, { color: theme.text }]}>{label}</Text>
+      <View style={styles.swatches}>
+        <TouchableOpacity
+          style={[
+            styles.swatch,
+            styles.noColorSwatch,
+            { borderColor: theme.border },
+            !form[field] && { borderColor: theme.primary },
+          ]}
+          onPress={() => setForm((prev) => ({ ...prev, [field]: null }))}
+        >
+          <Ionicons name="close" size={14} color={theme.textSecondary} />
+        </TouchableOpacity>
+        {KIT_COLORS.map((color) => (
+          <TouchableOpacity
+            key={color}
+            style={[
+              styles.swatch,
+              { backgroundColor: color, borderColor: theme.border },
+              form[field] === color && [
+                styles.swatchSelected,
+                { borderColor: theme.primary },
+              ],
+            ]}
+            onPress={() => setForm((prev) => ({ ...prev, [field]: color }))}
+          />
+        ))}
+      </View>
+    </>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScrollView
+        style={styles.content}
+        keyboardShouldPersistTaps="handled"
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+      >
+        <View style={styles.toolbar}>
+          <TextInput
+            style={[
+              styles.input,
+              styles.searchInput,
+              {
+                backgroundColor: theme.cardBackground,
+                borderColor: theme.border,
+                color: theme.text,
+              },
+            ]}
+            placeholder="Search opponents"
+            placeholderTextColor={theme.textSecondary}
+            value={search}
+            onChangeText={setSearch}
+          />
+          <TouchableOpacity
+            style={[styles.addButton, { backgroundColor: theme.primary }]}
+            onPress={() => openForm()}
+          >
+            <Ionicons name="add" size={24} color="#fff" />
+          </TouchableOpacity>
+        </View>
+
+        {loading && opponents.length === 0 ? (
+          <ActivityIndicator color={theme.primary} style={styles.loader} />
+        ) : filteredOpponents.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Ionicons
+              name="shield-outline"
+              size={48}
+              color={theme.textSecondary}
+            />
+            <Text style={[styles.emptyText, { color: theme.textSecondary }]}>
+              {searchText
+                ? "No opponents match your search"
+                : "Opponents are added when you save a match"}
+            </Text>
+          </View>
+        ) : (
+          filteredOpponents.map((opponent) => (
+            <TouchableOpacity
+              key={opponent.id}
+              style={[
+                styles.card,
+                {
+                  backgroundColor: theme.cardBackground,
+                  shadowColor: theme.shadow,
+                },
+              ]}
+              onPress={() =>
+                navigation.navigate("HeadToHead", {
+                  opponentId: opponent.id,
+                  teamId: selectedTeamId || undefined,
+                })
+              }
+            >
+              <View
+                style={[
+                  styles.colorDot,
+                  {
+                    backgroundColor: opponent.primaryColor || COLORS.gray[300],
+                    borderColor: opponent.secondaryColor || theme.border,
+                  },
+                ]}
+              />
+              <View style={styles.cardInfo}>
+                <Text style={[styles.cardTitle, { color: theme.text }]}>
+                  {opponent.name}
+                </Text>
+                <Text
+                  style={[styles.cardSubtitle, { color: theme.textSecondary }]}
+                  numberOfLines={1}
+                >
+                  {opponent._count?.matches || 0} matches
+                  {opponent.aliases.length > 0 &&
+                    ` · also ${opponent.aliases.join(", ")}`}
+                </Text>
+              </View>
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => openForm(opponent)}
+              >
+                <Ionicons name="pencil" size={20} color={theme.primary} />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => handleDelete(opponent)}
+              >
+                <Ionicons name="trash" size={20} color={COLORS.error} />
+              </TouchableOpacity>
+            </TouchableOpacity>
+          ))
+        )}
+      </ScrollView>
+
+      {/* Opponent Modal */}
+      <Modal
+        visible={modalVisible}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={closeForm}
+      >
+        <View style={styles.modalOverlay}>
+          <View
+            style={[
+              styles.modalContent,
+              { backgroundColor: theme.cardBackground },
+            ]}
+          >
+            <ScrollView keyboardShouldPersistTaps="handled">
+              <Text style={[styles.modalTitle, { color: theme.text }]}>
+                {editingOpponent ? "Edit Opponent" : "Add Opponent"}
+              </Text>
+
+              <TextInput
+                style={[
+                  styles.input,
+                  {
+                    backgroundColor: theme.background,
+                    borderColor: theme.border,
+                    color: theme.text,
+                  },
+                ]}
+                placeholder="Opponent name"
+                placeholderTextColor={theme.textSecondary}
+                value={form.name}
+                onChangeText={(text) =>
+                  setForm((prev) => ({ ...prev, name: text }))
+                }
+                maxLength={50}
+              />
+
+              <Text style={[styles.label, { color: theme.text }]}>Aliases</Text>
+              <TextInput
+                style={[
+                  styles.input,
+                  {
+                    backgroundColor: theme.background,
+                    borderColor: theme.border,
+                    color: theme.text,
+                  },
+                ]}
+                placeholder="Other spellings, comma separated"
+                placeholderTextColor={theme.textSecondary}
+                value={form.aliases}
+                onChangeText={(text) =>
+                  setForm((prev) => ({ ...prev, aliases: text }))
+                }
+              />
+              <Text style={[styles.helperText, { color: theme.textSecondary }]}>
+                Matches saved under an alias count as this opponent. Adding
+                another opponent's name merges it into this one.
+              </Text>
+
+              {renderColorPicker("Main Colour", "primaryColor")}
+              {renderColorPicker("Second Colour", "secondaryColor")}
+
+              <Text style={[styles.label, { color: theme.text }]}>Notes</Text>
+              <TextInput
+                style={[
+                  styles.input,
+                  styles.notesInput,
+                  {
+                    backgroundColor: theme.background,
+                    borderColor: theme.border,
+                    color: theme.text,
+                  },
+                ]}
+                placeholder="e.g. Plays a high press, big number 9"
+                placeholderTextColor={theme.textSecondary}
+                value={form.notes}
+                onChangeText={(text) =>
+                  setForm((prev) => ({ ...prev, notes: text }))
+                }
+                multiline
+                textAlignVertical="top"
+                maxLength={500}
+              />
+
+              <View style={styles.modalButtons}>
+                <TouchableOpacity
+                  style={[styles.modalButton, styles.cancelButton]}
+                  onPress={closeForm}
+                >
+                  <Text style={styles.buttonText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[
+                    styles.modalButton,
+                    { backgroundColor: theme.primary },
+                    saving && styles.buttonDisabled,
+                  ]}
+                  onPress={handleSave}
+                  disabled={saving}
+                >
+                  {saving ? (
+                    <ActivityIndicator color="#fff" />
+                  ) : (
+                    <Text style={styles.buttonText}>
+                      {editingOpponent ? "Update" : "Add"}
+                    </Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  content: {
+    flex: 1,
+    padding: 15,
+  },
+  loader: {
+    marginTop: 30,
+  },
+  toolbar: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    marginBottom: 15,
+  },
+  searchInput: {
+    flex: 1,
+  },
+  addButton: {
+    width: 46,
+    height: 46,
+    borderRadius: 8,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  emptyState: {
+    alignItems: "center",
+    padding: 30,
+  },
+  emptyText: {
+    fontSize: 15,
+    fontFamily: FONTS.body,
+    textAlign: "center",
+    marginTop: 10,
+  },
+  card: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    padding: 15,
+    borderRadius: 12,
+    marginBottom: 10,
+    elevation: 2,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  colorDot: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    borderWidth: 3,
+  },
+  cardInfo: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+    marginBottom: 4,
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    fontFamily: FONTS.body,
+  },
+  iconButton: {
+    padding: 6,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  modalContent: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 20,
+    width: "90%",
+    maxWidth: 400,
+    maxHeight: "85%",
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: "bold",
+    color: COLORS.text,
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.text,
+    marginTop: 15,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.gray[300],
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  notesInput: {
+    minHeight: 80,
+  },
+  helperText: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  swatches: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  swatch: {
+    width: 28,
+    height: 28,
+    borderRadius: 14,
+    borderWidth: 1,
+  },
+  swatchSelected: {
+    borderWidth: 3,
+  },
+  noColorSwatch: {
+    justifyContent: "center",
+    alignItems: "center",
+    borderWidth: 2,
+  },
+  modalButtons: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: 20,
+  },
+  modalButton: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 8,
+    alignItems: "center",
+    marginHorizontal: 5,
+  },
+  cancelButton: {
+    backgroundColor: COLORS.warning,
+  },
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+});
+
+export default OpponentsScreen;
@@ -0,0 +1,464 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  Modal,
+  RefreshControl,
+  Share,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { usePlayerGuardians } from "../hooks/useResources";
+import { useTheme } from "../contexts/ThemeContext";
+import { guardianApi, invitationApi } from "../services/api";
+import { COLORS, FONTS } from "../config/constants";
+
+/**
+ * Parents and guardians following a player
+ *
+ * Coaches invite a guardian by email or by sharing a link. Guardians only
+ * see this player's stats and the team's fixtures, never the rest of the
+ * squad.
+ */
+const PlayerGuardiansScreen = ({ route }) => {
+  const { playerId, playerName } = route.params;
+  const { theme } = useTheme();
+  const { guardians, invitations, loading, refetch } =
+    usePlayerGuardians(playerId);
+
+  const [inviteVisible, setInviteVisible] = useState(false);
+  const [inviteEmail, setInviteEmail] = useState("");
+  const [saving, setSaving] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await refetch();
+    setRefreshing(false);
+  };
+
+  const closeInvite = () => {
+    setInviteVisible(false);
+    setInviteEmail("");
+  };
+
+  const shareInviteLink = async (invitation) => {
+    try {
+      await Share.share({
+        message: `Follow ${playerName}'s matches and stats on MatchTracker: ${invitation.inviteUrl}`,
+        title: `Follow ${playerName}`,
+      });
+    } catch (error) {
+      console.error("Error sharing invitation link:", error);
+    }
+  };
+
+  const handleInvite = async () => {
+    const email = inviteEmail.trim();
+
+    setSaving(true);
+    try {
+      const response = await guardianApi.invite(playerId, {
+        email: email || undefined,
+      });
+      closeInvite();
+      refetch();
+
+      if (!email) {
+        await shareInviteLink(response.invitation);
+      } else if (response.emailSent) {
+        Alert.alert("Invitation Sent", `We've emailed ${email} an invite.`);
+      } else {
+        Alert.alert(
+          "Email Not Sent",
+          "The invitation was created but the email failed. Share the link instead?",
+          [
+            { text: "Not Now", style: "cancel" },
+            {
+              text: "Share Link",
+              onPress: () => shareInviteLink(response.invitation),
+            },
+          ]
+        );
+      }
+    } catch (error) {
+      console.error("Error creating guardian invitation:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.error || "Failed to create the invitation"
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = (invitation) => {
+    Alert.alert(
+      "Revoke Invitation",
+      `Revoke the invitation${
+        invitation.email ? ` for ${invitation.email}` : ""
+      }? Its link will stop working.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Revoke",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await invitationApi.revoke(invitation.teamId, invitation.id);
+              refetch();
+            } catch (error) {
+              console.error("Error revoking invitation:", error);
+              Alert.alert("Error", "Failed to revoke the invitation");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleRemove = (guardian) => {
+    const name = guardian.user.name || guardian.user.email;
+
+    Alert.alert(
+      "Remove Guardian",
+      `Stop ${name} from following ${playerName}?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Remove",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await guardianApi.remove(playerId, guardian.id);
+              refetch();
+            } catch (error) {
+              console.error("Error removing guardian:", error);
+              Alert.alert(
+                "Error",
+                error.response?.data?.error || "Failed to remove the guardian"
+              );
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const cardStyle = [
+    styles.card,
+    { backgroundColor: theme.cardBackground, shadowColor: theme.shadow },
+  ];
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScrollView
+        style={styles.content}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+      >
+        <Text style={[styles.title, { color: theme.text }]}>{playerName}</Text>
+
+        <TouchableOpacity
+          style={[styles.addButton, { backgroundColor: theme.primary }]}
+          onPress={() => setInviteVisible(true)}
+        >
+          <Ionicons name="person-add" size={20} color="#fff" />
+          <Text style={styles.buttonText}>Invite a Parent or Guardian</Text>
+        </TouchableOpacity>
+
+        {loading && guardians.length === 0 ? (
+          <ActivityIndicator color={theme.primary} style={styles.loader} />
+        ) : guardians.length === 0 ? (
+          <Text style={[styles.emptyText, { color: theme.textSecondary }]}>
+            Nobody is following {playerName} yet
+          </Text>
+        ) : (
+          guardians.map((guardian) => (
+            <View key={guardian.id} style={cardStyle}>
+              <View style={styles.cardInfo}>
+                <Text style={[styles.cardTitle, { color: theme.text }]}>
+                  {guardian.user.name || guardian.user.email}
+                </Text>
+                {guardian.user.name ? (
+                  <Text
+                    style={[
+                      styles.cardSubtitle,
+                      { color: theme.textSecondary },
+                    ]}
+                  >
+                    {guardian.user.email}
+                  </Text>
+                ) : null}
+              </View>
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => handleRemove(guardian)}
+              >
+                <Ionicons name="trash" size={20} color={COLORS.error} />
+              </TouchableOpacity>
+            </View>
+          ))
+        )}
+
+        {invitations.length > 0 && (
+          <>
+            <Text style={[styles.sectionTitle, { color: theme.text }]}>
+              Pending Invitations
+            </Text>
+            {invitations.map((invitation) => (
+              <View key={invitation.id} style={cardStyle}>
+                <View style={styles.cardInfo}>
+                  <Text style={[styles.cardTitle, { color: theme.text }]}>
+                    {invitation.email || "Invite link"}
+                  </Text>
+                  <Text
+                    style={[
+                      styles.cardSubtitle,
+                      { color: theme.textSecondary },
+                    ]}
+                  >
+                    Expires{" "}
+                    {new Date(invitation.expiresAt).toLocaleDateString()}
+                  </Text>
+                </View>
+                <TouchableOpacity
+                  style={styles.iconButton}
+                  onPress={() => shareInviteLink(invitation)}
+                >
+                  <Ionicons
+                    name="share-outline"
+                    size={20}
+                    color={theme.primary}
+                  />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.iconButton}
+                  onPress={() => handleRevoke(invitation)}
+                >
+                  <Ionicons
+                    name="close-circle"
+                    size={20}
+                    color={COLORS.error}
+                  />
+                </TouchableOpacity>
+              </View>
+            ))}
+          </>
+        )}
+      </ScrollView>
+
+      {/* Invite Modal */}
+      <Modal
+        visible={inviteVisible}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={closeInvite}
+      >
+        <View style={styles.modalOverlay}>
+          <View
+            style={[
+              styles.modalContent,
+              { backgroundColor: theme.cardBackground },
+            ]}
+          >
+            <ScrollView keyboardShouldPersistTaps="handled">
+              <Text style={[styles.modalTitle, { color: theme.text }]}>
+                Invite a Parent or Guardian
+              </Text>
+
+              <Text style={[styles.label, { color: theme.text }]}>
+                Email (optional)
+              </Text>
+              <TextInput
+                style={[
+                  styles.input,
+                  {
+                    backgroundColor: theme.background,
+                    borderColor: theme.border,
+                    color: theme.text,
+                  },
+                ]}
+                placeholder="parent@example.com"
+                placeholderTextColor={theme.textSecondary}
+                value={inviteEmail}
+                onChangeText={setInviteEmail}
+                keyboardType="email-address"
+                autoCapitalize="none"
+                autoCorrect={false}
+                maxLength={254}
+              />
+              <Text style={[styles.helperText, { color: theme.textSecondary }]}>
+                Leave blank to share an invite link instead. They'll see{" "}
+                {playerName}'s stats and the team's fixtures, but not the
+                rest of the squad.
+              </Text>
+
+              <View style={styles.modalButtons}>
+                <TouchableOpacity
+                  style={[styles.modalButton, styles.cancelButton]}
+                  onPress={closeInvite}
+                >
+                  <Text style={styles.buttonText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[
+                    styles.modalButton,
+                    { backgroundColor: theme.primary },
+                    saving && styles.buttonDisabled,
+                  ]}
+                  onPress={handleInvite}
+                  disabled={saving}
+                >
+                  {saving ? (
+                    <ActivityIndicator color="#fff" />
+                  ) : (
+                    <Text style={styles.buttonText}>
+                      {inviteEmail.trim() ? "Send" : "Share Link"}
+                    </Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  content: {
+    flex: 1,
+    padding: 15,
+  },
+  loader: {
+    marginTop: 30,
+  },
+  title: {
+    fontSize: 20,
+    fontFamily: FONTS.heading,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+    marginTop: 15,
+    marginBottom: 10,
+  },
+  emptyText: {
+    fontSize: 14,
+    fontFamily: FONTS.body,
+    textAlign: "center",
+    marginTop: 10,
+  },
+  addButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 15,
+  },
+  card: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    padding: 15,
+    borderRadius: 12,
+    marginBottom: 10,
+    elevation: 2,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  cardInfo: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+    marginBottom: 4,
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    fontFamily: FONTS.body,
+    marginTop: 2,
+  },
+  iconButton: {
+    padding: 6,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  modalContent: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 20,
+    width: "90%",
+    maxWidth: 400,
+    maxHeight: "85%",
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: "bold",
+    color: COLORS.text,
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.text,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.gray[300],
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  helperText: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  modalButtons: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: 20,
+  },
+  modalButton: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 8,
+    alignItems: "center",
+    marginHorizontal: 5,
+  },
+  cancelButton: {
+    backgroundColor: COLORS.warning,
+  },
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+});
+
+export default PlayerGuardiansScreen;
@@ -8,18 +8,77 @@ import {
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
 import { COLORS } from "../config/constants";
-import { usePlayers, useMatches } from "../hooks/useResources";
+import {
+  usePlayers,
+  useMatches,
+  useGuardianPlayer,
+  useAttendanceReport,
+} from "../hooks/useResources";
 import { useTeamContext } from "../contexts/TeamContext";
+import { useGuardian } from "../contexts/GuardianContext";
 import { useTheme } from "../contexts/ThemeContext";
+import { getSecondsByPosition, keptGoal } from "../utils/formations";
 
-const PlayerStatsScreen = ({ route, navigation }) => {
-  const { theme } = useTheme();
-  const { playerId } = route.params;
-  const { selectedTeamId } = useTeamContext();
+// Team members work the stats out from the squad and its matches
+const SquadPlayerStats = (props) => {
+  const { selectedTeamId, selectedSeasonId } = useTeamContext();
   const { players, loading: playersLoading } = usePlayers(selectedTeamId);
-  const { matches, loading: matchesLoading } = useMatches(selectedTeamId);
+  const { matches, loading: matchesLoading } = useMatches(selectedTeamId, {
+    seasonId: selectedSeasonId || undefined,
+  });
+  const { players: attendance } = useAttendanceReport(
+    selectedTeamId,
+    selectedSeasonId
+  );
+
+  return (
+    <PlayerStatsContent
+      {...props}
+      players={players}
+      matches={matches}
+      attendance={attendance.find(
+        (entry) => entry.playerId === props.route.params.playerId
+      )}
+      loading={playersLoading || matchesLoading}
+    />
+  );
+};
+
+// Guardians only get their linked player and that player's own match stats
+const GuardianPlayerStats = (props) => {
+  const { player, matches, loading } = useGuardianPlayer(
+    props.route.params.playerId
+  );
+
+  return (
+    <PlayerStatsContent
+      {...props}
+      players={player ? [player] : []}
+      matches={matches}
+      loading={loading}
+    />
+  );
+};
+
+const PlayerStatsScreen = (props) => {
+  const { isGuardianMode } = useGuardian();
 
-  const loading = playersLoading || matchesLoading;
+  return isGuardianMode ? (
+    <GuardianPlayerStats {...props} />
+  ) : (
+    <SquadPlayerStats {...props} />
+  );
+};
+
+const PlayerStatsContent = ({
+  route,
+  players,
+  matches,
+  attendance,
+  loading,
+}) => {
+  const { theme } = useTheme();
+  const { playerId } = route.params;
 
   // Calculate player statistics
   const playerStats = useMemo(() => {
@@ -45,6 +104,13 @@ const PlayerStatsScreen = ({ route, navigation }) => {
     let totalYellowCards = 0;
     let totalRedCards = 0;
     let playerOfMatchAwards = 0;
+    const positionSeconds = {};
+    const goalkeeping = {
+      matchesInGoal: 0,
+      saves: 0,
+      goalsConceded: 0,
+      cleanSheets: 0,
+    };
 
     playerMatches.forEach((match) => {
       // Count Player of the Match awards
@@ -60,6 +126,19 @@ const PlayerStatsScreen = ({ route, navigation }) => {
           totalMinutes += stat.minutesPlayed || 0;
           totalYellowCards += stat.yellowCards || 0;
           if (stat.redCard) totalRedCards += 1;
+
+          goalkeeping.saves += stat.saves || 0;
+          if (keptGoal(stat.playingPeriods || [])) {
+            goalkeeping.matchesInGoal += 1;
+            goalkeeping.goalsConceded += stat.goalsConceded || 0;
+            if (stat.cleanSheet) goalkeeping.cleanSheets += 1;
+          }
+
+          const byPosition = getSecondsByPosition(stat.playingPeriods || []);
+          Object.keys(byPosition).forEach((position) => {
+            positionSeconds[position] =
+              (positionSeconds[position] || 0) + byPosition[position];
+          });
         }
       }
     });
@@ -71,6 +150,14 @@ const PlayerStatsScreen = ({ route, navigation }) => {
     const avgMinutesPerMatch =
       totalMatches > 0 ? Math.round(totalMinutes / totalMatches) : 0;
 
+    // Most-played position first
+    const positions = Object.keys(positionSeconds)
+      .map((position) => ({
+        position,
+        minutes: Math.floor(positionSeconds[position] / 60),
+      }))
+      .sort((a, b) => b.minutes - a.minutes);
+
     return {
       player,
       totalMatches,
@@ -83,6 +170,8 @@ const PlayerStatsScreen = ({ route, navigation }) => {
       avgGoalsPerGame,
       avgAssistsPerGame,
       avgMinutesPerMatch,
+      positions,
+      goalkeeping,
     };
   }, [players, matches, playerId]);
 
@@ -109,7 +198,7 @@ const PlayerStatsScreen = ({ route, navigation }) => {
     );
   }
 
-  const { player } = playerStats;
+  const { player, goalkeeping } = playerStats;
 
   return (
     <View style={[styles.container, { backgroundColor: theme.background }]}>
@@ -202,6 +291,28 @@ const PlayerStatsScreen = ({ route, navigation }) => {
                 Avg Minutes/Game
               </Text>
             </View>
+
+            {attendance && attendance.percentage !== null && (
+              <View
+                style={[
+                  styles.statCard,
+                  {
+                    backgroundColor: theme.cardBackground,
+                    shadowColor: theme.shadow,
+                  },
+                ]}
+              >
+                <Ionicons name="fitness" size={32} color={theme.primary} />
+                <Text style={[styles.statValue, { color: theme.text }]}>
+                  {attendance.percentage}%
+                </Text>
+                <Text
+                  style={[styles.statLabel, { color: theme.textSecondary }]}
+                >
+                  Training ({attendance.attended}/{attendance.sessions})
+                </Text>
+              </View>
+            )}
           </View>
         </View>
 
@@ -395,6 +506,144 @@ const PlayerStatsScreen = ({ route, navigation }) => {
             </View>
           </View>
         </View>
+
+        {/* Goalkeeping */}
+        {goalkeeping.matchesInGoal > 0 && (
+          <View style={styles.section}>
+            <Text style={[styles.sectionTitle, { color: theme.text }]}>
+              Goalkeeping
+            </Text>
+
+            <View style={styles.statsGrid}>
+              <View
+                style={[
+                  styles.statCard,
+                  {
+                    backgroundColor: theme.cardBackground,
+                    shadowColor: theme.shadow,
+                  },
+                ]}
+              >
+                <Ionicons name="shield" size={32} color={theme.primary} />
+                <Text style={[styles.statValue, { color: theme.text }]}>
+                  {goalkeeping.matchesInGoal}
+                </Text>
+                <Text
+                  style={[styles.statLabel, { color: theme.textSecondary }]}
+                >
+                  Matches in Goal
+                </Text>
+              </View>
+
+              <View
+                style={[
+                  styles.statCard,
+                  {
+                    backgroundColor: theme.cardBackground,
+                    shadowColor: theme.shadow,
+                  },
+                ]}
+              >
+                <Ionicons name="hand-left" size={32} color={COLORS.success} />
+                <Text style={[styles.statValue, { color: theme.text }]}>
+                  {goalkeeping.saves}
+                </Text>
+                <Text
+                  style={[styles.statLabel, { color: theme.textSecondary }]}
+                >
+                  Saves
+                </Text>
+              </View>
+            </View>
+
+            <View style={styles.statsGrid}>
+              <View
+                style={[
+                  styles.statCard,
+                  {
+                    backgroundColor: theme.cardBackground,
+                    shadowColor: theme.shadow,
+                  },
+                ]}
+              >
+                <Ionicons
+                  name="football-outline"
+                  size={32}
+                  color={COLORS.error}
+                />
+                <Text style={[styles.statValue, { color: theme.text }]}>
+                  {goalkeeping.goalsConceded}
+                </Text>
+                <Text
+                  style={[styles.statLabel, { color: theme.textSecondary }]}
+                >
+                  Goals Conceded
+                </Text>
+              </View>
+
+              <View
+                style={[
+                  styles.statCard,
+                  {
+                    backgroundColor: theme.cardBackground,
+                    shadowColor: theme.shadow,
+                  },
+                ]}
+              >
+                <Ionicons name="lock-closed" size={32} color={COLORS.success} />
+                <Text style={[styles.statValue, { color: theme.text }]}>
+                  {goalkeeping.cleanSheets}
+                </Text>
+                <Text
+                  style={[styles.statLabel, { color: theme.textSecondary }]}
+                >
+                  Clean Sheets
+                </Text>
+              </View>
+            </View>
+          </View>
+        )}
+
+        {/* Positions */}
+        {playerStats.positions.length > 0 && (
+          <View style={styles.section}>
+            <Text style={[styles.sectionTitle, { color: theme.text }]}>
+              Positions Played
+            </Text>
+
+            <View
+              style={[
+                styles.positionsCard,
+                {
+                  backgroundColor: theme.cardBackground,
+                  shadowColor: theme.shadow,
+                },
+              ]}
+            >
+              {playerStats.positions.map(({ position, minutes }) => (
+                <View
+                  key={position}
+                  style={[
+                    styles.positionRow,
+                    { borderBottomColor: theme.border },
+                  ]}
+                >
+                  <Text style={[styles.positionLabel, { color: theme.text }]}>
+                    {position}
+                  </Text>
+                  <Text
+                    style={[
+                      styles.positionMinutes,
+                      { color: theme.textSecondary },
+                    ]}
+                  >
+                    {minutes} min
+                  </Text>
+                </View>
+              ))}
+            </View>
+          </View>
+        )}
       </ScrollView>
     </View>
   );
@@ -449,6 +698,27 @@ const styles = StyleSheet.create({
     marginBottom: 15,
     paddingHorizontal: 5,
   },
+  positionsCard: {
+    borderRadius: 12,
+    paddingHorizontal: 15,
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    elevation: 3,
+  },
+  positionRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+  },
+  positionLabel: {
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  positionMinutes: {
+    fontSize: 15,
+  },
   statsGrid: {
     flexDirection: "row",
     gap: 10,
@@ -11,69 +11,131 @@ import {
   Modal,
   RefreshControl,
   Image,
+  Platform,
+  Switch,
 } from "react-native";
 import { Ionicons } from "@expo/vector-icons";
+import * as ImagePicker from "expo-image-picker";
+import DateTimePicker from "@react-native-community/datetimepicker";
 import { usePlayers, useTeams } from "../hooks/useResources";
 import { useTeamContext } from "../contexts/TeamContext";
 import { useTheme } from "../contexts/ThemeContext";
-import { COLORS } from "../config/constants";
+import { playerApi, uploadApi } from "../services/api";
+import { COLORS, PLAYER_POSITIONS } from "../config/constants";
+import PlayerAvatar from "../components/PlayerAvatar";
+import {
+  createProfileForm,
+  getAge,
+  hasShirtNumber,
+  isInSquad,
+  toProfilePayload,
+  validateProfileForm,
+  validateShirtNumber,
+  withTeamShirtNumbers,
+} from "../utils/playerProfile";
+import { formatSeasonDate, toSeasonDay } from "../utils/seasons";
+import { formatDate } from "../utils/helpers";
+import { CacheInvalidationStrategies } from "../utils/cacheManager";
 
 // Memoized PlayerCard component to prevent unnecessary re-renders
-const PlayerCard = memo(({ player, onEdit, onDelete, theme }) => {
-  return (
-    <View
-      style={[
-        styles.playerCard,
-        {
-          backgroundColor: theme.cardBackground,
-          shadowColor: theme.shadow,
-          borderColor: theme.border,
-        },
-      ]}
-    >
-      <View style={styles.playerInfo}>
-        <Text style={[styles.playerName, { color: theme.text }]}>
-          {player.name}
-        </Text>
-        <View style={styles.playerStatsRow}>
-          <View style={styles.statItem}>
-            <Ionicons name="football" size={14} color={theme.primary} />
-            <Text style={[styles.playerStats, { color: theme.textSecondary }]}>
-              {player.goals} goals
-            </Text>
-          </View>
-          <Text style={[styles.statDivider, { color: theme.textSecondary }]}>
-            •
+const PlayerCard = memo(
+  ({ player, onEdit, onDelete, onGuardians, onTransfer, theme }) => {
+    const age = getAge(player.dateOfBirth);
+    const details = [
+      ...(player.positions || []),
+      ...(age !== null ? [`Age ${age}`] : []),
+    ];
+
+    return (
+      <View
+        style={[
+          styles.playerCard,
+          {
+            backgroundColor: theme.cardBackground,
+            shadowColor: theme.shadow,
+            borderColor: theme.border,
+          },
+        ]}
+      >
+        <PlayerAvatar player={player} size={44} />
+        <View style={styles.playerInfo}>
+          <Text style={[styles.playerName, { color: theme.text }]}>
+            {player.name}
           </Text>
-          <View style={styles.statItem}>
-            <Ionicons name="flash" size={14} color="#FFA500" />
-            <Text style={[styles.playerStats, { color: theme.textSecondary }]}>
-              {player.assists} assists
+          {details.length > 0 && (
+            <Text
+              style={[styles.playerDetails, { color: theme.textSecondary }]}
+            >
+              {details.join(" • ")}
+            </Text>
+          )}
+          <View style={styles.playerStatsRow}>
+            <View style={styles.statItem}>
+              <Ionicons name="football" size={14} color={theme.primary} />
+              <Text
+                style={[styles.playerStats, { color: theme.textSecondary }]}
+              >
+                {player.goals} goals
+              </Text>
+            </View>
+            <Text style={[styles.statDivider, { color: theme.textSecondary }]}>
+              •
             </Text>
+            <View style={styles.statItem}>
+              <Ionicons name="flash" size={14} color="#FFA500" />
+              <Text
+                style={[styles.playerStats, { color: theme.textSecondary }]}
+              >
+                {player.assists} assists
+              </Text>
+            </View>
           </View>
         </View>
+        <View style={styles.actionButtons}>
+          {onTransfer && (
+            <TouchableOpacity
+              style={styles.iconButton}
+              onPress={() => onTransfer(player)}
+            >
+              <Ionicons
+                name="swap-horizontal"
+                size={18}
+                color={theme.primary}
+              />
+            </TouchableOpacity>
+          )}
+          {onGuardians && (
+            <TouchableOpacity
+              style={styles.iconButton}
+              onPress={() => onGuardians(player)}
+            >
+              <Ionicons name="heart-outline" size={18} color={theme.primary} />
+            </TouchableOpacity>
+          )}
+          <TouchableOpacity
+            style={styles.iconButton}
+            onPress={() => onEdit(player)}
+          >
+            <Ionicons name="create-outline" size={18} color={theme.primary} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.iconButton}
+            onPress={() => onDelete(player.id)}
+          >
+            <Ionicons name="trash-outline" size={18} color={COLORS.error} />
+          </TouchableOpacity>
+        </View>
       </View>
-      <View style={styles.actionButtons}>
-        <TouchableOpacity
-          style={styles.iconButton}
-          onPress={() => onEdit(player)}
-        >
-          <Ionicons name="create-outline" size={18} color={theme.primary} />
-        </TouchableOpacity>
-        <TouchableOpacity
-          style={styles.iconButton}
-          onPress={() => onDelete(player.id)}
-        >
-          <Ionicons name="trash-outline" size={18} color={COLORS.error} />
-        </TouchableOpacity>
-      </View>
-    </View>
-  );
-});
+    );
+  }
+);
 
 // Memoized TeamCard component
 const TeamCard = memo(
   ({ team, players, onEdit, onDelete, navigation, theme }) => {
+    // Teams created before roles arrived (or not yet saved) are the user's own
+    const isOwner = !team.role || team.role === "owner";
+
     return (
       <View
         style={[
@@ -115,21 +177,46 @@ const TeamCard = memo(
               style={[styles.teamPlayerCount, { color: theme.textSecondary }]}
             >
               {players.length} player{players.length !== 1 ? "s" : ""}
+              {!isOwner && ` • ${team.role}`}
             </Text>
           </View>
           <View style={styles.actionButtons}>
             <TouchableOpacity
               style={styles.iconButton}
-              onPress={() => navigation.navigate("AddTeam", { team })}
+              onPress={() =>
+                navigation.navigate("TeamMembers", {
+                  teamId: team.id,
+                  teamName: team.name,
+                  role: team.role || "owner",
+                })
+              }
             >
-              <Ionicons name="create-outline" size={18} color={theme.primary} />
-            </TouchableOpacity>
-            <TouchableOpacity
-              style={styles.iconButton}
-              onPress={() => onDelete(team.id)}
-            >
-              <Ionicons name="trash-outline" size={18} color={COLORS.error} />
+              <Ionicons name="people-outline" size={18} color={theme.primary} />
             </TouchableOpacity>
+            {isOwner && (
+              <>
+                <TouchableOpacity
+                  style={styles.iconButton}
+                  onPress={() => navigation.navigate("AddTeam", { team })}
+                >
+                  <Ionicons
+                    name="create-outline"
+                    size={18}
+                    color={theme.primary}
+                  />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.iconButton}
+                  onPress={() => onDelete(team.id)}
+                >
+                  <Ionicons
+                    name="trash-outline"
+                    size={18}
+                    color={COLORS.error}
+                  />
+                </TouchableOpacity>
+              </>
+            )}
           </View>
         </View>
 
@@ -147,6 +234,7 @@ const TeamCard = memo(
                 ]}
               >
                 <Text style={[styles.playerChipText, { color: theme.text }]}>
+                  {hasShirtNumber(player) && `#${player.shirtNumber} `}
                   {player.name} ({player.goals}G {player.assists}A)
                 </Text>
               </View>
@@ -188,8 +276,21 @@ const PlayersScreen = ({ navigation }) => {
   const [editingPlayer, setEditingPlayer] = useState(null);
   const [editingTeam, setEditingTeam] = useState(null);
   const [playerName, setPlayerName] = useState("");
+  const [playerPublicName, setPlayerPublicName] = useState("");
+  const [profileForm, setProfileForm] = useState(createProfileForm(null));
+  const [uploadingPhoto, setUploadingPhoto] = useState(false);
+  const [showDobPicker, setShowDobPicker] = useState(false);
   const [teamName, setTeamName] = useState("");
+  const [teamPublicName, setTeamPublicName] = useState("");
   const [selectedTeamId, setSelectedTeamId] = useState("");
+  const [transferringPlayer, setTransferringPlayer] = useState(null);
+  const [transferTeamId, setTransferTeamId] = useState("");
+  const [keepCurrentSquad, setKeepCurrentSquad] = useState(false);
+  const [transferShirtNumber, setTransferShirtNumber] = useState("");
+  const [savingTransfer, setSavingTransfer] = useState(false);
+  const [mergingPlayer, setMergingPlayer] = useState(null);
+  const [mergeQuery, setMergeQuery] = useState("");
+  const [savingMerge, setSavingMerge] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
   const searchTimeoutRef = useRef(null);
@@ -266,8 +367,9 @@ const PlayersScreen = ({ navigation }) => {
     }
 
     try {
-      await addTeam({ name: teamName });
+      await addTeam({ name: teamName, publicName: teamPublicName.trim() });
       setTeamName("");
+      setTeamPublicName("");
       setTeamModalVisible(false);
       Alert.alert("Success", "Team added successfully");
     } catch (error) {
@@ -278,6 +380,7 @@ const PlayersScreen = ({ navigation }) => {
   const handleEditTeam = (team) => {
     setEditingTeam(team);
     setTeamName(team.name);
+    setTeamPublicName(team.publicName || "");
     setTeamModalVisible(true);
   };
 
@@ -288,9 +391,13 @@ const PlayersScreen = ({ navigation }) => {
     }
 
     try {
-      await updateTeam(editingTeam.id, { name: teamName });
+      await updateTeam(editingTeam.id, {
+        name: teamName,
+        publicName: teamPublicName.trim(),
+      });
       setEditingTeam(null);
       setTeamName("");
+      setTeamPublicName("");
       setTeamModalVisible(false);
       Alert.alert("Success", "Team updated successfully");
     } catch (error) {
@@ -317,18 +424,95 @@ const PlayersScreen = ({ navigation }) => {
   };
 
   // Player Management
+  const updateProfileForm = (changes) => {
+    setProfileForm((prev) => ({ ...prev, ...changes }));
+  };
+
+  const togglePosition = (position) => {
+    updateProfileForm({
+      positions: profileForm.positions.includes(position)
+        ? profileForm.positions.filter((p) => p !== position)
+        : [...profileForm.positions, position],
+    });
+  };
+
+  const onDobChange = (event, selectedDate) => {
+    setShowDobPicker(Platform.OS === "ios");
+    if (selectedDate) {
+      updateProfileForm({ dateOfBirth: selectedDate });
+    }
+  };
+
+  const pickPlayerPhoto = async () => {
+    try {
+      const { status } =
+        await ImagePicker.requestMediaLibraryPermissionsAsync();
+
+      if (status !== "granted") {
+        Alert.alert(
+          "Permission Required",
+          "Please allow access to your photo library to upload a player photo."
+        );
+        return;
+      }
+
+      const result = await ImagePicker.launchImageLibraryAsync({
+        mediaTypes: ["images"],
+        allowsEditing: true,
+        aspect: [1, 1],
+        quality: 0.8,
+        base64: true,
+      });
+
+      if (!result.canceled && result.assets[0]) {
+        const asset = result.assets[0];
+
+        setUploadingPhoto(true);
+        try {
+          const base64Image = `data:image/jpeg;base64,${asset.base64}`;
+          const uploadResponse = await uploadApi.uploadImage(
+            base64Image,
+            "player-avatars"
+          );
+
+          if (uploadResponse.success) {
+            updateProfileForm({ avatar: uploadResponse.url });
+          }
+        } catch (error) {
+          console.error("Error uploading image:", error);
+          Alert.alert("Error", "Failed to upload image. Please try again.");
+        } finally {
+          setUploadingPhoto(false);
+        }
+      }
+    } catch (error) {
+      console.error("Error picking image:", error);
+      Alert.alert("Error", "Failed to pick image. Please try again.");
+    }
+  };
+
   const handleAddPlayer = async () => {
     if (!playerName.trim()) {
       Alert.alert("Error", "Please enter a player name");
       return;
     }
 
+    const profileError = validateProfileForm(profileForm);
+    if (profileError) {
+      Alert.alert("Error", profileError);
+      return;
+    }
+
     try {
       await addPlayer({
         name: playerName,
+        publicName: playerPublicName.trim() || undefined,
         teamId: selectedTeamId || undefined,
+        ...toProfilePayload(profileForm, null),
       });
       setPlayerName("");
+      setPlayerPublicName("");
+      setProfileForm(createProfileForm(null));
       setSelectedTeamId("");
       setModalVisible(false);
       Alert.alert("Success", "Player added successfully");
@@ -340,7 +524,9 @@ const PlayersScreen = ({ navigation }) => {
   const handleEditPlayer = (player) => {
     setEditingPlayer(player);
     setPlayerName(player.name);
-    setSelectedTeamId(player.teamId || "");
+    setPlayerPublicName(player.publicName || "");
+    setProfileForm(createProfileForm(player));
+    setSelectedTeamId("");
     setModalVisible(true);
   };
 
@@ -350,13 +536,22 @@ const PlayersScreen = ({ navigation }) => {
       return;
     }
 
+    const profileError = validateProfileForm(profileForm);
+    if (profileError) {
+      Alert.alert("Error", profileError);
+      return;
+    }
+
     try {
       await updatePlayer(editingPlayer.id, {
         name: playerName,
-        teamId: selectedTeamId || null,
+        publicName: playerPublicName.trim(),
+        ...toProfilePayload(profileForm, editingPlayer),
       });
       setEditingPlayer(null);
       setPlayerName("");
+      setPlayerPublicName("");
+      setProfileForm(createProfileForm(null));
       setSelectedTeamId("");
       setModalVisible(false);
       Alert.alert("Success", "Player updated successfully");
@@ -387,12 +582,174 @@ const PlayersScreen = ({ navigation }) => {
     );
   };
 
+  // Parents and guardians follow players on a team; coaches manage them
+  const handleOpenGuardians = (player) => {
+    navigation.navigate("PlayerGuardians", {
+      playerId: player.id,
+      playerName: player.name,
+    });
+  };
+
+  // Squads and transfers; moving teams keeps the player's history
+  const handleOpenTransfer = (player) => {
+    setTransferringPlayer(player);
+    setTransferTeamId("");
+    setKeepCurrentSquad(false);
+    setTransferShirtNumber("");
+  };
+
+  const refreshSquads = async (player) => {
+    setTransferringPlayer(player);
+    CacheInvalidationStrategies.onRelatedUpdate([
+      "players",
+      "teams",
+      "dashboard",
+    ]);
+    await Promise.all([refetchPlayers(), refetchTeams()]);
+  };
+
+  const handleTransfer = async () => {
+    if (!transferTeamId) {
+      Alert.alert("Error", "Please choose a team");
+      return;
+    }
+
+    const shirtNumberError = validateShirtNumber(transferShirtNumber);
+    if (shirtNumberError) {
+      Alert.alert("Error", shirtNumberError);
+      return;
+    }
+
+    // Without a main team there is nothing to leave
+    const isTransfer = !keepCurrentSquad || !transferringPlayer.teamId;
+    const shirtNumber = transferShirtNumber.trim();
+
+    setSavingTransfer(true);
+    try {
+      const response = await playerApi.addToTeam(transferringPlayer.id, {
+        teamId: transferTeamId,
+        transfer: isTransfer,
+        ...(shirtNumber && { shirtNumber: Number(shirtNumber) }),
+      });
+      await refreshSquads(response.player);
+      setTransferTeamId("");
+      setTransferShirtNumber("");
+      Alert.alert(
+        "Success",
+        isTransfer ? "Player transferred" : "Player added to the squad"
+      );
+    } catch (error) {
+      Alert.alert("Error", error.message || "Failed to transfer player");
+    } finally {
+      setSavingTransfer(false);
+    }
+  };
+
+  const handleLeaveSquad = (membership) => {
+    Alert.alert(
+      "Leave Squad",
+      `Take ${transferringPlayer.name} out of ${membership.team.name}? Their history with the team is kept.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Leave",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              const response = await playerApi.removeFromTeam(
+                transferringPlayer.id,
+                membership.teamId
+              );
+              await refreshSquads(response.player);
+            } catch (error) {
+              Alert.alert("Error", error.message || "Failed to leave squad");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Duplicates ("Jack" and "Jack S.") are merged into the player kept
+  const handleOpenMerge = (player) => {
+    setModalVisible(false);
+    setEditingPlayer(null);
+    setMergingPlayer(player);
+    setMergeQuery("");
+  };
+
+  const handleMerge = (duplicate) => {
+    Alert.alert(
+      "Merge Players",
+      `Merge ${duplicate.name} into ${mergingPlayer.name}? Match stats, events and squad places move to ${mergingPlayer.name}, and ${duplicate.name} is deleted.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Merge",
+          style: "destructive",
+          onPress: async () => {
+            setSavingMerge(true);
+            try {
+              const response = await playerApi.merge(
+                mergingPlayer.id,
+                duplicate.id
+              );
+              CacheInvalidationStrategies.onRelatedUpdate([
+                "players",
+                "teams",
+                "matches",
+                "stats",
+                "dashboard",
+              ]);
+              await Promise.all([refetchPlayers(), refetchTeams()]);
+              setMergingPlayer(null);
+              Alert.alert(
+                "Success",
+                `Players merged. ${response.merged.matchStats} match stat records moved.`
+              );
+            } catch (error) {
+              Alert.alert("Error", error.message || "Failed to merge players");
+            } finally {
+              setSavingMerge(false);
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Players can be in several squads, so may appear under more than one team
   const getPlayersByTeam = (teamId) => {
-    return filteredPlayers.filter((p) => p.teamId === teamId);
+    return filteredPlayers.filter((p) => isInSquad(p, teamId));
   };
 
   const unassignedPlayers = filteredPlayers.filter((p) => !p.teamId);
 
+  // Teams the user coaches, other than the player's main team
+  const transferTeams = transferringPlayer
+    ? teams.filter(
+        (team) =>
+          team.id !== transferringPlayer.teamId &&
+          (!team.role || ["owner", "coach"].includes(team.role))
+      )
+    : [];
+
+  // Players that could be duplicates of the one kept, by name
+  const mergeCandidates = mergingPlayer
+    ? players
+        .filter(
+          (player) =>
+            player.id !== mergingPlayer.id &&
+            player.name.toLowerCase().includes(mergeQuery.trim().toLowerCase())
+        )
+        .sort((a, b) => a.name.localeCompare(b.name))
+    : [];
+
+  // Date of birth as the "YYYY-MM-DD" day the server stores
+  const dobDay = profileForm.dateOfBirth
+    ? toSeasonDay(profileForm.dateOfBirth)
+    : null;
+
   if (loading && players.length === 0 && teams.length === 0) {
     return (
       <View
@@ -507,12 +864,28 @@ const PlayersScreen = ({ navigation }) => {
               <Text style={[styles.sectionTitle, { color: theme.text }]}>
                 Your Teams
               </Text>
-              <TouchableOpacity
-                style={[styles.addButton, { backgroundColor: theme.primary }]}
-                onPress={() => navigation.navigate("AddTeam")}
-              >
-                <Text style={styles.addButtonText}>+ Add Team</Text>
-              </TouchableOpacity>
+              <View style={styles.headerButtons}>
+                <TouchableOpacity
+                  style={[
+                    styles.addButton,
+                    styles.joinButton,
+                    { borderColor: theme.primary },
+                  ]}
+                  onPress={() => navigation.navigate("JoinTeam")}
+                >
+                  <Text
+                    style={[styles.addButtonText, { color: theme.primary }]}
+                  >
+                    Join
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[styles.addButton, { backgroundColor: theme.primary }]}
+                  onPress={() => navigation.navigate("AddTeam")}
+                >
+                  <Text style={styles.addButtonText}>+ Add Team</Text>
+                </TouchableOpacity>
+              </View>
             </View>
 
             {filteredTeams.length === 0 ? (
@@ -535,7 +908,7 @@ const PlayersScreen = ({ navigation }) => {
                   <TeamCard
                     key={team.id}
                     team={team}
-                    players={teamPlayers}
+                    players={withTeamShirtNumbers(teamPlayers, team.id)}
                     onEdit={handleEditTeam}
                     onDelete={handleDeleteTeam}
                     navigation={navigation}
@@ -557,6 +930,8 @@ const PlayersScreen = ({ navigation }) => {
                 onPress={() => {
                   setEditingPlayer(null);
                   setPlayerName("");
+                  setPlayerPublicName("");
+                  setProfileForm(createProfileForm(null));
                   setSelectedTeamId("");
                   setModalVisible(true);
                 }}
@@ -577,6 +952,7 @@ const PlayersScreen = ({ navigation }) => {
                     player={player}
                     onEdit={handleEditPlayer}
                     onDelete={handleDeletePlayer}
+                    onTransfer={handleOpenTransfer}
                     theme={theme}
                   />
                 ))}
@@ -587,6 +963,8 @@ const PlayersScreen = ({ navigation }) => {
             {filteredTeams.map((team) => {
               const teamPlayers = getPlayersByTeam(team.id);
               if (teamPlayers.length === 0) return null;
+              const isCoach =
+                !team.role || ["owner", "coach"].includes(team.role);
 
               return (
                 <View key={team.id} style={styles.subsection}>
@@ -599,6 +977,8 @@ const PlayersScreen = ({ navigation }) => {
                       player={player}
                       onEdit={handleEditPlayer}
                       onDelete={handleDeletePlayer}
+                      onGuardians={isCoach ? handleOpenGuardians : undefined}
+                      onTransfer={isCoach ? handleOpenTransfer : undefined}
                       theme={theme}
                     />
                   ))}
@@ -637,91 +1017,671 @@ const PlayersScreen = ({ navigation }) => {
           <View
             style={[
               styles.modalContent,
+              styles.playerModalContent,
               { backgroundColor: theme.cardBackground },
             ]}
           >
-            <Text style={[styles.modalTitle, { color: theme.text }]}>
-              {editingPlayer ? "Edit Player" : "Add Player"}
-            </Text>
+            <ScrollView keyboardShouldPersistTaps="handled">
+              <Text style={[styles.modalTitle, { color: theme.text }]}>
+                {editingPlayer ? "Edit Player" : "Add Player"}
+              </Text>
 
-            <TextInput
-              style={[
-                styles.input,
-                {
-                  backgroundColor: theme.background,
-                  borderColor: theme.border,
-                  color: theme.text,
-                },
-              ]}
-              placeholder="Player Name"
-              placeholderTextColor={theme.textSecondary}
-              value={playerName}
-              onChangeText={setPlayerName}
-            />
+              <TextInput
+                style={[
+                  styles.input,
+                  {
+                    backgroundColor: theme.background,
+                    borderColor: theme.border,
+                    color: theme.text,
+                  },
+                ]}
+                placeholder="Player Name"
+                placeholderTextColor={theme.textSecondary}
+                value={playerName}
+                onChangeText={setPlayerName}
+              />
 
-            <Text style={[styles.label, { color: theme.text }]}>
-              Assign to Team (Optional)
-            </Text>
-            <View style={styles.teamSelector}>
-              <TouchableOpacity
+              <TextInput
                 style={[
-                  styles.teamOption,
+                  styles.input,
                   {
                     backgroundColor: theme.background,
                     borderColor: theme.border,
+                    color: theme.text,
                   },
-                  !selectedTeamId && [
-                    styles.teamOptionSelected,
-                    {
-                      backgroundColor: theme.primary,
-                      borderColor: theme.primary,
-                    },
-                  ],
                 ]}
-                onPress={() => setSelectedTeamId("")}
-              >
-                <Text
-                  style={[
-                    styles.teamOptionText,
-                    { color: theme.text },
-                    !selectedTeamId && styles.teamOptionTextSelected,
-                  ]}
+                placeholder="Public name (optional)"
+                placeholderTextColor={theme.textSecondary}
+                value={playerPublicName}
+                onChangeText={setPlayerPublicName}
+              />
+              <Text style={[styles.helperText, { color: theme.textSecondary }]}>
+                Shown on shared live scoreboards. Leave blank to keep private.
+              </Text>
+
+              <View style={styles.photoRow}>
+                <PlayerAvatar
+                  player={{
+                    name: playerName,
+                    avatar: profileForm.avatar,
+                    shirtNumber: profileForm.shirtNumber.trim()
+                      ? Number(profileForm.shirtNumber)
+                      : null,
+                  }}
+                  size={56}
+                />
+                <TouchableOpacity
+                  style={[styles.photoButton, { borderColor: theme.primary }]}
+                  onPress={pickPlayerPhoto}
+                  disabled={uploadingPhoto}
                 >
-                  No Team
-                </Text>
-              </TouchableOpacity>
-              {teams.map((team) => (
+                  {uploadingPhoto ? (
+                    <ActivityIndicator size="small" color={theme.primary} />
+                  ) : (
+                    <Text
+                      style={[
+                        styles.photoButtonText,
+                        { color: theme.primary },
+                      ]}
+                    >
+                      {profileForm.avatar ? "Change Photo" : "Add Photo"}
+                    </Text>
+                  )}
+                </TouchableOpacity>
+                {profileForm.avatar && (
+                  <TouchableOpacity
+                    style={styles.iconButton}
+                    onPress={() => updateProfileForm({ avatar: null })}
+                  >
+                    <Ionicons
+                      name="trash-outline"
+                      size={18}
+                      color={COLORS.error}
+                    />
+                  </TouchableOpacity>
+                )}
+              </View>
+
+              <TextInput
+                style={[
+                  styles.input,
+                  {
+                    backgroundColor: theme.background,
+                    borderColor: theme.border,
+                    color: theme.text,
+                  },
+                ]}
+                placeholder="Shirt number (optional)"
+                placeholderTextColor={theme.textSecondary}
+                value={profileForm.shirtNumber}
+                onChangeText={(shirtNumber) =>
+                  updateProfileForm({ shirtNumber })
+                }
+                keyboardType="number-pad"
+                maxLength={2}
+              />
+
+              <Text style={[styles.label, { color: theme.text }]}>
+                Preferred Positions
+              </Text>
+              <View style={styles.positionRow}>
+                {PLAYER_POSITIONS.map((position) => {
+                  const isSelected = profileForm.positions.includes(
+                    position.value
+                  );
+                  return (
+                    <TouchableOpacity
+                      key={position.value}
+                      style={[
+                        styles.positionChip,
+                        { borderColor: theme.primary },
+                        isSelected && { backgroundColor: theme.primary },
+                      ]}
+                      onPress={() => togglePosition(position.value)}
+                    >
+                      <Text
+                        style={[
+                          styles.positionChipText,
+                          { color: isSelected ? "#fff" : theme.primary },
+                        ]}
+                      >
+                        {position.label}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+
+              <Text style={[styles.label, { color: theme.text }]}>
+                Date of Birth (Optional)
+              </Text>
+              <View style={styles.dobRow}>
                 <TouchableOpacity
-                  key={team.id}
                   style={[
-                    styles.teamOption,
+                    styles.dobButton,
                     {
                       backgroundColor: theme.background,
                       borderColor: theme.border,
                     },
-                    selectedTeamId === team.id && [
-                      styles.teamOptionSelected,
+                  ]}
+                  onPress={() => setShowDobPicker(true)}
+                >
+                  <Ionicons name="calendar" size={16} color={theme.primary} />
+                  <Text
+                    style={[
+                      styles.dobText,
                       {
-                        backgroundColor: theme.primary,
-                        borderColor: theme.primary,
+                        color: profileForm.dateOfBirth
+                          ? theme.text
+                          : theme.textSecondary,
                       },
-                    ],
+                    ]}
+                  >
+                    {profileForm.dateOfBirth
+                      ? `${formatSeasonDate(dobDay)} (age ${getAge(dobDay)})`
+                      : "Not set"}
+                  </Text>
+                </TouchableOpacity>
+                {profileForm.dateOfBirth && (
+                  <TouchableOpacity
+                    style={styles.iconButton}
+                    onPress={() => updateProfileForm({ dateOfBirth: null })}
+                  >
+                    <Ionicons
+                      name="close-circle"
+                      size={20}
+                      color={theme.textSecondary}
+                    />
+                  </TouchableOpacity>
+                )}
+              </View>
+              {showDobPicker && (
+                <DateTimePicker
+                  value={profileForm.dateOfBirth || new Date(2015, 0, 1)}
+                  mode="date"
+                  display="default"
+                  maximumDate={new Date()}
+                  onChange={onDobChange}
+                />
+              )}
+
+              <Text style={[styles.label, { color: theme.text }]}>
+                Emergency Contact (Optional)
+              </Text>
+              <TextInput
+                style={[
+                  styles.input,
+                  {
+                    backgroundColor: theme.background,
+                    borderColor: theme.border,
+                    color: theme.text,
+                  },
+                ]}
+                placeholder="Contact name"
+                placeholderTextColor={theme.textSecondary}
+                value={profileForm.contactName}
+                onChangeText={(contactName) =>
+                  updateProfileForm({ contactName })
+                }
+                maxLength={100}
+              />
+              <TextInput
+                style={[
+                  styles.input,
+                  {
+                    backgroundColor: theme.background,
+                    borderColor: theme.border,
+                    color: theme.text,
+                  },
+                ]}
+                placeholder="Phone number"
+                placeholderTextColor={theme.textSecondary}
+                value={profileForm.contactPhone}
+                onChangeText={(contactPhone) =>
+                  updateProfileForm({ contactPhone })
+                }
+                keyboardType="phone-pad"
+                maxLength={100}
+              />
+              <TextInput
+                style={[
+                  styles.input,
+                  {
+                    backgroundColor: theme.background,
+                    borderColor: theme.border,
+                    color: theme.text,
+                  },
+                ]}
+                placeholder="Relationship, e.g. Mum (optional)"
+                placeholderTextColor={theme.textSecondary}
+                value={profileForm.contactRelationship}
+                onChangeText={(contactRelationship) =>
+                  updateProfileForm({ contactRelationship })
+                }
+                maxLength={100}
+              />
+              <Text style={[styles.helperText, { color: theme.textSecondary }]}>
+                Stored encrypted. Only coaches of the player's team can see it.
+              </Text>
+
+              {editingPlayer ? (
+                <>
+                  <Text
+                    style={[styles.teamNote, { color: theme.textSecondary }]}
+                  >
+                    Use the transfer button on the player to change teams.
+                  </Text>
+                  <TouchableOpacity
+                    style={[styles.mergeButton, { borderColor: theme.primary }]}
+                    onPress={() => handleOpenMerge(editingPlayer)}
+                  >
+                    <Ionicons
+                      name="git-merge-outline"
+                      size={16}
+                      color={theme.primary}
+                    />
+                    <Text
+                      style={[styles.mergeButtonText, { color: theme.primary }]}
+                    >
+                      Merge a Duplicate Into This Player
+                    </Text>
+                  </TouchableOpacity>
+                </>
+              ) : (
+                <>
+                  <Text style={[styles.label, { color: theme.text }]}>
+                    Assign to Team (Optional)
+                  </Text>
+                  <View style={styles.teamSelector}>
+                    <TouchableOpacity
+                      style={[
+                        styles.teamOption,
+                        {
+                          backgroundColor: theme.background,
+                          borderColor: theme.border,
+                        },
+                        !selectedTeamId && [
+                          styles.teamOptionSelected,
+                          {
+                            backgroundColor: theme.primary,
+                            borderColor: theme.primary,
+                          },
+                        ],
+                      ]}
+                      onPress={() => setSelectedTeamId("")}
+                    >
+                      <Text
+                        style={[
+                          styles.teamOptionText,
+                          { color: theme.text },
+                          !selectedTeamId && styles.teamOptionTextSelected,
+                        ]}
+                      >
+                        No Team
+                      </Text>
+                    </TouchableOpacity>
+                    {teams.map((team) => (
+                      <TouchableOpacity
+                        key={team.id}
+                        style={[
+                          styles.teamOption,
+                          {
+                            backgroundColor: theme.background,
+                            borderColor: theme.border,
+                          },
+                          selectedTeamId === team.id && [
+                            styles.teamOptionSelected,
+                            {
+                              backgroundColor: theme.primary,
+                              borderColor: theme.primary,
+                            },
+                          ],
+                        ]}
+                        onPress={() => setSelectedTeamId(team.id)}
+                      >
+                        <Text
+                          style={[
+                            styles.teamOptionText,
+                            { color: theme.text },
+                            selectedTeamId === team.id &&
+                              styles.teamOptionTextSelected,
+                          ]}
+                        >
+                          {team.name}
+                        </Text>
+                      </TouchableOpacity>
+                    ))}
+                  </View>
+                </>
+              )}
+
+              <View style={styles.modalButtons}>
+                <TouchableOpacity
+                  style={[
+                    styles.modalButton,
+                    styles.cancelButton,
+                    { borderColor: theme.border },
                   ]}
-                  onPress={() => setSelectedTeamId(team.id)}
+                  onPress={() => {
+                    setModalVisible(false);
+                    setEditingPlayer(null);
+                    setPlayerName("");
+                    setPlayerPublicName("");
+                    setProfileForm(createProfileForm(null));
+                    setSelectedTeamId("");
+                  }}
                 >
                   <Text
+                    style={[styles.cancelButtonText, { color: theme.text }]}
+                  >
+                    Cancel
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[
+                    styles.modalButton,
+                    styles.saveButton,
+                    { backgroundColor: theme.primary },
+                  ]}
+                  onPress={editingPlayer ? handleUpdatePlayer : handleAddPlayer}
+                >
+                  <Text style={styles.saveButtonText}>
+                    {editingPlayer ? "Update" : "Add"}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Transfer Modal */}
+      <Modal
+        visible={!!transferringPlayer}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setTransferringPlayer(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View
+            style={[
+              styles.modalContent,
+              styles.playerModalContent,
+              { backgroundColor: theme.cardBackground },
+            ]}
+          >
+            <ScrollView keyboardShouldPersistTaps="handled">
+              <Text style={[styles.modalTitle, { color: theme.text }]}>
+                {transferringPlayer?.name}'s Teams
+              </Text>
+
+              <Text style={[styles.label, { color: theme.text }]}>
+                Squad History
+              </Text>
+              {(transferringPlayer?.teamMemberships || []).length === 0 ? (
+                <Text
+                  style={[styles.teamNote, { color: theme.textSecondary }]}
+                >
+                  Not in a squad yet
+                </Text>
+              ) : (
+                transferringPlayer.teamMemberships.map((membership) => (
+                  <View
+                    key={membership.id}
                     style={[
-                      styles.teamOptionText,
-                      { color: theme.text },
-                      selectedTeamId === team.id &&
-                        styles.teamOptionTextSelected,
+                      styles.membershipRow,
+                      { borderBottomColor: theme.border },
                     ]}
                   >
-                    {team.name}
+                    <View style={styles.membershipInfo}>
+                      <Text
+                        style={[styles.membershipTeam, { color: theme.text }]}
+                      >
+                        {membership.team.name}
+                        {hasShirtNumber(membership) &&
+                          ` #${membership.shirtNumber}`}
+                      </Text>
+                      <Text
+                        style={[
+                          styles.membershipDates,
+                          { color: theme.textSecondary },
+                        ]}
+                      >
+                        {formatDate(membership.joinedAt)} to{" "}
+                        {membership.leftAt
+                          ? formatDate(membership.leftAt)
+                          : "now"}
+                        {!membership.leftAt &&
+                          membership.teamId === transferringPlayer.teamId &&
+                          " • Main team"}
+                      </Text>
+                    </View>
+                    {!membership.leftAt && (
+                      <TouchableOpacity
+                        style={styles.iconButton}
+                        onPress={() => handleLeaveSquad(membership)}
+                      >
+                        <Text
+                          style={[
+                            styles.leaveButtonText,
+                            { color: COLORS.error },
+                          ]}
+                        >
+                          Leave
+                        </Text>
+                      </TouchableOpacity>
+                    )}
+                  </View>
+                ))
+              )}
+
+              <Text style={[styles.label, { color: theme.text }]}>
+                Move to Team
+              </Text>
+              {transferTeams.length === 0 ? (
+                <Text
+                  style={[styles.teamNote, { color: theme.textSecondary }]}
+                >
+                  No other teams you coach
+                </Text>
+              ) : (
+                <View style={styles.teamSelector}>
+                  {transferTeams.map((team) => (
+                    <TouchableOpacity
+                      key={team.id}
+                      style={[
+                        styles.teamOption,
+                        {
+                          backgroundColor: theme.background,
+                          borderColor: theme.border,
+                        },
+                        transferTeamId === team.id && [
+                          styles.teamOptionSelected,
+                          {
+                            backgroundColor: theme.primary,
+                            borderColor: theme.primary,
+                          },
+                        ],
+                      ]}
+                      onPress={() => setTransferTeamId(team.id)}
+                    >
+                      <Text
+                        style={[
+                          styles.teamOptionText,
+                          { color: theme.text },
+                          transferTeamId === team.id &&
+                            styles.teamOptionTextSelected,
+                        ]}
+                      >
+                        {team.name}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              )}
+
+              {transferringPlayer?.teamId && (
+                <View style={styles.switchRow}>
+                  <Text style={[styles.switchLabel, { color: theme.text }]}>
+                    Stay in the current squad too
+                  </Text>
+                  <Switch
+                    value={keepCurrentSquad}
+                    onValueChange={setKeepCurrentSquad}
+                    trackColor={{ false: "#767577", true: theme.primary }}
+                    thumbColor={keepCurrentSquad ? "#fff" : "#f4f3f4"}
+                  />
+                </View>
+              )}
+
+              <TextInput
+                style={[
+                  styles.input,
+                  {
+                    backgroundColor: theme.background,
+                    borderColor: theme.border,
+                    color: theme.text,
+                  },
+                ]}
+                placeholder="Shirt number in the new team (optional)"
+                placeholderTextColor={theme.textSecondary}
+                value={transferShirtNumber}
+                onChangeText={setTransferShirtNumber}
+                keyboardType="number-pad"
+                maxLength={2}
+              />
+              <Text style={[styles.helperText, { color: theme.textSecondary }]}>
+                {keepCurrentSquad && transferringPlayer?.teamId
+                  ? "The player joins this squad as well; their main team stays the same."
+                  : "The new team becomes the player's main team. Past matches and stats stay with the old team."}
+              </Text>
+
+              <View style={styles.modalButtons}>
+                <TouchableOpacity
+                  style={[
+                    styles.modalButton,
+                    styles.cancelButton,
+                    { borderColor: theme.border },
+                  ]}
+                  onPress={() => setTransferringPlayer(null)}
+                >
+                  <Text
+                    style={[styles.cancelButtonText, { color: theme.text }]}
+                  >
+                    Close
                   </Text>
                 </TouchableOpacity>
-              ))}
-            </View>
+                <TouchableOpacity
+                  style={[
+                    styles.modalButton,
+                    styles.saveButton,
+                    { backgroundColor: theme.primary },
+                  ]}
+                  onPress={handleTransfer}
+                  disabled={savingTransfer}
+                >
+                  {savingTransfer ? (
+                    <ActivityIndicator size="small" color="#fff" />
+                  ) : (
+                    <Text style={styles.saveButtonText}>
+                      {keepCurrentSquad && transferringPlayer?.teamId
+                        ? "Add to Squad"
+                        : "Transfer"}
+                    </Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Merge Modal */}
+      <Modal
+        visible={!!mergingPlayer}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={() => setMergingPlayer(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View
+            style={[
+              styles.modalContent,
+              styles.playerModalContent,
+              { backgroundColor: theme.cardBackground },
+            ]}
+          >
+            <Text style={[styles.modalTitle, { color: theme.text }]}>
+              Merge into {mergingPlayer?.name}
+            </Text>
+            <TextInput
+              style={[
+                styles.input,
+                {
+                  backgroundColor: theme.background,
+                  borderColor: theme.border,
+                  color: theme.text,
+                },
+              ]}
+              placeholder="Search for the duplicate"
+              placeholderTextColor={theme.textSecondary}
+              value={mergeQuery}
+              onChangeText={setMergeQuery}
+            />
+            <Text style={[styles.helperText, { color: theme.textSecondary }]}>
+              Stats for a match both players played in are added together.
+            </Text>
+
+            {savingMerge ? (
+              <ActivityIndicator size="large" color={theme.primary} />
+            ) : (
+              <ScrollView
+                style={styles.mergeList}
+                keyboardShouldPersistTaps="handled"
+              >
+                {mergeCandidates.length === 0 ? (
+                  <Text
+                    style={[styles.teamNote, { color: theme.textSecondary }]}
+                  >
+                    No other players found
+                  </Text>
+                ) : (
+                  mergeCandidates.map((player) => (
+                    <TouchableOpacity
+                      key={player.id}
+                      style={[
+                        styles.membershipRow,
+                        { borderBottomColor: theme.border },
+                      ]}
+                      onPress={() => handleMerge(player)}
+                    >
+                      <PlayerAvatar
+                        player={player}
+                        size={28}
+                        style={styles.mergeAvatar}
+                      />
+                      <View style={styles.membershipInfo}>
+                        <Text
+                          style={[styles.membershipTeam, { color: theme.text }]}
+                        >
+                          {player.name}
+                        </Text>
+                        <Text
+                          style={[
+                            styles.membershipDates,
+                            { color: theme.textSecondary },
+                          ]}
+                        >
+                          {`${player.team?.name || "No team"} • ${
+                            player.goals
+                          }G ${player.assists}A`}
+                        </Text>
+                      </View>
+                    </TouchableOpacity>
+                  ))
+                )}
+              </ScrollView>
+            )}
 
             <View style={styles.modalButtons}>
               <TouchableOpacity
@@ -730,29 +1690,12 @@ const PlayersScreen = ({ navigation }) => {
                   styles.cancelButton,
                   { borderColor: theme.border },
                 ]}
-                onPress={() => {
-                  setModalVisible(false);
-                  setEditingPlayer(null);
-                  setPlayerName("");
-                  setSelectedTeamId("");
-                }}
+                onPress={() => setMergingPlayer(null)}
               >
                 <Text style={[styles.cancelButtonText, { color: theme.text }]}>
                   Cancel
                 </Text>
               </TouchableOpacity>
-              <TouchableOpacity
-                style={[
-                  styles.modalButton,
-                  styles.saveButton,
-                  { backgroundColor: theme.primary },
-                ]}
-                onPress={editingPlayer ? handleUpdatePlayer : handleAddPlayer}
-              >
-                <Text style={styles.saveButtonText}>
-                  {editingPlayer ? "Update" : "Add"}
-                </Text>
-              </TouchableOpacity>
             </View>
           </View>
         </View>
@@ -791,6 +1734,24 @@ const PlayersScreen = ({ navigation }) => {
               onChangeText={setTeamName}
             />
 
+            <TextInput
+              style={[
+                styles.input,
+                {
+                  backgroundColor: theme.background,
+                  borderColor: theme.border,
+                  color: theme.text,
+                },
+              ]}
+              placeholder="Public name (optional)"
+              placeholderTextColor={theme.textSecondary}
+              value={teamPublicName}
+              onChangeText={setTeamPublicName}
+            />
+            <Text style={[styles.helperText, { color: theme.textSecondary }]}>
+              Shown on shared live scoreboards. Leave blank to keep private.
+            </Text>
+
             <View style={styles.modalButtons}>
               <TouchableOpacity
                 style={[
@@ -802,6 +1763,7 @@ const PlayersScreen = ({ navigation }) => {
                   setTeamModalVisible(false);
                   setEditingTeam(null);
                   setTeamName("");
+                  setTeamPublicName("");
                 }}
               >
                 <Text style={[styles.cancelButtonText, { color: theme.text }]}>
@@ -920,6 +1882,14 @@ const styles = StyleSheet.create({
     paddingVertical: 8,
     borderRadius: 8,
   },
+  headerButtons: {
+    flexDirection: "row",
+    gap: 8,
+  },
+  joinButton: {
+    backgroundColor: "transparent",
+    borderWidth: 1,
+  },
   addButtonText: {
     color: "#fff",
     fontSize: 14,
@@ -1002,6 +1972,7 @@ const styles = StyleSheet.create({
   },
   playerInfo: {
     flex: 1,
+    marginLeft: 12,
   },
   playerName: {
     fontSize: 16,
@@ -1009,6 +1980,12 @@ const styles = StyleSheet.create({
     color: COLORS.text,
     marginBottom: 5,
   },
+  playerDetails: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+    marginTop: -3,
+    marginBottom: 5,
+  },
   playerStats: {
     fontSize: 14,
     color: COLORS.textSecondary,
@@ -1064,6 +2041,9 @@ const styles = StyleSheet.create({
     width: "90%",
     maxWidth: 400,
   },
+  playerModalContent: {
+    maxHeight: "90%",
+  },
   modalTitle: {
     fontSize: 20,
     fontWeight: "bold",
@@ -1077,6 +2057,11 @@ const styles = StyleSheet.create({
     marginTop: 15,
     marginBottom: 10,
   },
+  helperText: {
+    fontSize: 12,
+    marginTop: -10,
+    marginBottom: 15,
+  },
   input: {
     borderWidth: 1,
     borderColor: COLORS.gray[300],
@@ -1085,6 +2070,55 @@ const styles = StyleSheet.create({
     fontSize: 16,
     marginBottom: 15,
   },
+  photoRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    marginBottom: 15,
+  },
+  photoButton: {
+    borderWidth: 1,
+    borderRadius: 8,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+  },
+  photoButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  positionRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 6,
+    marginBottom: 5,
+  },
+  positionChip: {
+    borderWidth: 1,
+    borderRadius: 14,
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+  },
+  positionChipText: {
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  dobRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    marginBottom: 5,
+  },
+  dobButton: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+  },
+  dobText: {
+    fontSize: 16,
+  },
   teamSelector: {
     marginBottom: 20,
   },
@@ -1103,6 +2137,65 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: COLORS.text,
   },
+  mergeButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 10,
+    marginBottom: 15,
+  },
+  mergeButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+    marginLeft: 6,
+  },
+  mergeList: {
+    maxHeight: 320,
+    marginBottom: 15,
+  },
+  mergeAvatar: {
+    marginRight: 10,
+  },
+  teamNote: {
+    fontSize: 13,
+    marginTop: 15,
+    marginBottom: 15,
+  },
+  membershipRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+  },
+  membershipInfo: {
+    flex: 1,
+  },
+  membershipTeam: {
+    fontSize: 15,
+    fontWeight: "600",
+  },
+  membershipDates: {
+    fontSize: 12,
+    marginTop: 2,
+  },
+  leaveButtonText: {
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  switchRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginTop: 10,
+    marginBottom: 15,
+  },
+  switchLabel: {
+    flex: 1,
+    fontSize: 14,
+    marginRight: 10,
+  },
   teamOptionTextSelected: {
     color: "#fff",
     fontWeight: "600",
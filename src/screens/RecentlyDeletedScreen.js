@@ -0,0 +1,288 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  RefreshControl,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTrash } from "../hooks/useResources";
+import { useTheme } from "../contexts/ThemeContext";
+import { trashApi } from "../services/api";
+import { COLORS, FONTS } from "../config/constants";
+import { formatDate } from "../utils/helpers";
+import { CacheInvalidationStrategies } from "../utils/cacheManager";
+
+// A restored or purged team changes its players' and matches' lists too
+const SECTIONS = [
+  {
+    key: "teams",
+    type: "team",
+    title: "Teams",
+    icon: "shield-outline",
+    caches: ["teams", "players", "matches", "dashboard"],
+  },
+  {
+    key: "players",
+    type: "player",
+    title: "Players",
+    icon: "person-outline",
+    caches: ["players", "teams", "dashboard"],
+  },
+  {
+    key: "matches",
+    type: "match",
+    title: "Matches",
+    icon: "football-outline",
+    caches: ["matches", "dashboard"],
+  },
+];
+
+const getItemName = (item, type) =>
+  type === "match" ? `vs ${item.opponent}` : item.name;
+
+const getItemDetail = (item, type) =>
+  [type === "match" && formatDate(item.date), item.teamName]
+    .filter(Boolean)
+    .join(" · ");
+
+const RecentlyDeletedScreen = () => {
+  const { theme } = useTheme();
+  const trash = useTrash();
+  const { loading, refetch, retentionDays } = trash;
+
+  const [refreshing, setRefreshing] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const isEmpty = SECTIONS.every((section) => trash[section.key].length === 0);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await refetch();
+    setRefreshing(false);
+  };
+
+  const runAction = async (section, item, action, failure) => {
+    setBusyId(item.id);
+    try {
+      await action(section.type, item.id);
+      CacheInvalidationStrategies.onRelatedUpdate(section.caches);
+      await refetch();
+    } catch (error) {
+      console.error("Error updating the trash:", error);
+      Alert.alert("Error", error.response?.data?.error || failure);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRestore = (section, item) =>
+    runAction(section, item, trashApi.restore, "Failed to restore");
+
+  const handleDeleteForever = (section, item) => {
+    const name = getItemName(item, section.type);
+    const message =
+      section.type === "team"
+        ? `Permanently delete ${name} and all its matches? Its players are kept.`
+        : `Permanently delete ${name}? This cannot be undone.`;
+
+    Alert.alert("Delete Forever", message, [
+      { text: "Cancel", style: "cancel" },
+      {
+        text: "Delete",
+        style: "destructive",
+        onPress: () =>
+          runAction(
+            section,
+            item,
+            trashApi.deleteForever,
+            "Failed to delete permanently"
+          ),
+      },
+    ]);
+  };
+
+  const renderItem = (section, item) => {
+    const detail = getItemDetail(item, section.type);
+    const isBusy = busyId === item.id;
+
+    return (
+      <View
+        key={item.id}
+        style={[
+          styles.card,
+          {
+            backgroundColor: theme.cardBackground,
+            shadowColor: theme.shadow,
+          },
+        ]}
+      >
+        <View style={styles.cardInfo}>
+          <Text style={[styles.cardTitle, { color: theme.text }]}>
+            {getItemName(item, section.type)}
+          </Text>
+          {detail ? (
+            <Text style={[styles.cardSubtitle, { color: theme.textSecondary }]}>
+              {detail}
+            </Text>
+          ) : null}
+          <Text style={[styles.cardSubtitle, { color: theme.textSecondary }]}>
+            {[
+              item.deletedAt && `Deleted ${formatDate(item.deletedAt)}`,
+              item.purgeAt && `removed for good ${formatDate(item.purgeAt)}`,
+            ]
+              .filter(Boolean)
+              .join(", ")}
+          </Text>
+        </View>
+        {isBusy ? (
+          <ActivityIndicator color={theme.primary} style={styles.iconButton} />
+        ) : (
+          <>
+            <TouchableOpacity
+              style={styles.iconButton}
+              onPress={() => handleRestore(section, item)}
+              disabled={busyId !== null}
+            >
+              <Ionicons name="arrow-undo" size={20} color={theme.primary} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.iconButton}
+              onPress={() => handleDeleteForever(section, item)}
+              disabled={busyId !== null}
+            >
+              <Ionicons name="trash" size={20} color={COLORS.error} />
+            </TouchableOpacity>
+          </>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScrollView
+        style={styles.content}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+      >
+        {retentionDays ? (
+          <Text style={[styles.helperText, { color: theme.textSecondary }]}>
+            Deleted teams, players and matches can be restored for{" "}
+            {retentionDays} days.
+          </Text>
+        ) : null}
+
+        {loading && isEmpty ? (
+          <ActivityIndicator color={theme.primary} style={styles.loader} />
+        ) : isEmpty ? (
+          <View style={styles.emptyState}>
+            <Ionicons
+              name="trash-outline"
+              size={48}
+              color={theme.textSecondary}
+            />
+            <Text style={[styles.emptyText, { color: theme.textSecondary }]}>
+              Nothing has been deleted recently
+            </Text>
+          </View>
+        ) : (
+          SECTIONS.filter((section) => trash[section.key].length > 0).map(
+            (section) => (
+              <View key={section.key} style={styles.section}>
+                <View style={styles.sectionHeader}>
+                  <Ionicons
+                    name={section.icon}
+                    size={18}
+                    color={theme.primary}
+                  />
+                  <Text style={[styles.sectionTitle, { color: theme.text }]}>
+                    {section.title}
+                  </Text>
+                </View>
+                {trash[section.key].map((item) => renderItem(section, item))}
+              </View>
+            )
+          )
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  content: {
+    flex: 1,
+    padding: 15,
+  },
+  loader: {
+    marginTop: 30,
+  },
+  helperText: {
+    fontSize: 13,
+    fontFamily: FONTS.body,
+    marginBottom: 15,
+  },
+  emptyState: {
+    alignItems: "center",
+    padding: 30,
+  },
+  emptyText: {
+    fontSize: 15,
+    fontFamily: FONTS.body,
+    textAlign: "center",
+    marginTop: 10,
+  },
+  section: {
+    marginBottom: 10,
+  },
+  sectionHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginBottom: 10,
+  },
+  sectionTitle: {
+    fontSize: 17,
+    fontFamily: FONTS.bodyBold,
+  },
+  card: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    padding: 15,
+    borderRadius: 12,
+    marginBottom: 10,
+    elevation: 2,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  cardInfo: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+    marginBottom: 4,
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    fontFamily: FONTS.body,
+    marginTop: 2,
+  },
+  iconButton: {
+    padding: 6,
+  },
+});
+
+export default RecentlyDeletedScreen;
@@ -16,10 +16,12 @@ import Constants from "expo-constants";
 import { COLORS, FONTS } from "../config/constants";
 import { userApi } from "../services/api";
 import { useTheme } from "../contexts/ThemeContext";
+import { useGuardian } from "../contexts/GuardianContext";
 
 const SettingsScreen = ({ navigation }) => {
   const { user: clerkUser } = useUser();
   const { theme, isDarkMode, toggleTheme } = useTheme();
+  const { isGuardianMode } = useGuardian();
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
   const [userData, setUserData] = useState(null);
@@ -222,6 +224,44 @@ const SettingsScreen = ({ navigation }) => {
         </View>
       </View>
 
+      {/* Data Section (guardians have nothing to delete) */}
+      {!isGuardianMode && (
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <Ionicons name="trash" size={20} color={theme.primary} />
+            <Text style={[styles.sectionTitle, { color: theme.text }]}>
+              Data
+            </Text>
+          </View>
+
+          <TouchableOpacity
+            style={[styles.card, { backgroundColor: theme.cardBackground }]}
+            onPress={() => navigation.navigate("RecentlyDeleted")}
+          >
+            <View style={styles.settingRow}>
+              <View style={styles.settingInfo}>
+                <Text style={[styles.settingLabel, { color: theme.text }]}>
+                  Recently Deleted
+                </Text>
+                <Text
+                  style={[
+                    styles.settingDescription,
+                    { color: theme.textSecondary },
+                  ]}
+                >
+                  Restore or permanently delete teams, players and matches
+                </Text>
+              </View>
+              <Ionicons
+                name="chevron-forward"
+                size={20}
+                color={theme.textSecondary}
+              />
+            </View>
+          </TouchableOpacity>
+        </View>
+      )}
+
       {/* App Info Section */}
       <View style={styles.section}>
         <View style={styles.sectionHeader}>
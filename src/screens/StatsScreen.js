@@ -18,18 +18,20 @@ import {
   calculateWinRate,
   sortPlayersByGoals,
   sortPlayersByAssists,
-  getMatchResult,
+  getMatchOutcome,
 } from "../utils/helpers";
 
 const StatsScreen = ({ navigation }) => {
   const { theme } = useTheme();
-  const { selectedTeamId } = useTeamContext();
+  const { selectedTeamId, selectedSeasonId } = useTeamContext();
   const { stats, loading: statsLoading, refetch: refetchStats } = useStats();
   const {
     matches,
     loading: matchesLoading,
     refetch: refetchMatches,
-  } = useMatches(selectedTeamId);
+  } = useMatches(selectedTeamId, {
+    seasonId: selectedSeasonId || undefined,
+  });
   const {
     players,
     loading: playersLoading,
@@ -75,17 +77,23 @@ const StatsScreen = ({ navigation }) => {
     const totalMatches = completedMatches.length;
 
     const wins = completedMatches.filter(
-      (m) => getMatchResult(m.goalsFor, m.goalsAgainst) === "win"
+      (m) => getMatchOutcome(m) === "win"
     ).length;
 
     const draws = completedMatches.filter(
-      (m) => getMatchResult(m.goalsFor, m.goalsAgainst) === "draw"
+      (m) => getMatchOutcome(m) === "draw"
     ).length;
 
     const losses = completedMatches.filter(
-      (m) => getMatchResult(m.goalsFor, m.goalsAgainst) === "loss"
+      (m) => getMatchOutcome(m) === "loss"
     ).length;
 
+    const shootouts = completedMatches.filter((m) => m.penaltiesFor != null);
+    const shootoutWins = shootouts.filter(
+      (m) => m.penaltiesFor > m.penaltiesAgainst
+    ).length;
+    const shootoutLosses = shootouts.length - shootoutWins;
+
     const totalGoalsFor = completedMatches.reduce(
       (sum, m) => sum + m.goalsFor,
       0
@@ -99,11 +107,11 @@ const StatsScreen = ({ navigation }) => {
     const awayMatches = completedMatches.filter((m) => m.venue === "away");
 
     const homeWins = homeMatches.filter(
-      (m) => getMatchResult(m.goalsFor, m.goalsAgainst) === "win"
+      (m) => getMatchOutcome(m) === "win"
     ).length;
 
     const awayWins = awayMatches.filter(
-      (m) => getMatchResult(m.goalsFor, m.goalsAgainst) === "win"
+      (m) => getMatchOutcome(m) === "win"
     ).length;
 
     const winRate = calculateWinRate(wins, totalMatches);
@@ -119,7 +127,7 @@ const StatsScreen = ({ navigation }) => {
       .slice(0, 5);
 
     const recentForm = recentMatches.map((m) => {
-      const result = getMatchResult(m.goalsFor, m.goalsAgainst);
+      const result = getMatchOutcome(m);
       return result === "win" ? "W" : result === "draw" ? "D" : "L";
     });
 
@@ -128,6 +136,8 @@ const StatsScreen = ({ navigation }) => {
       wins,
       draws,
       losses,
+      shootoutWins,
+      shootoutLosses,
       totalGoalsFor,
       totalGoalsAgainst,
       winRate,
@@ -142,14 +152,35 @@ const StatsScreen = ({ navigation }) => {
     };
   }, [filteredMatches]);
 
+  // With a season selected, count goals and assists from its matches only
+  const seasonPlayers = useMemo(() => {
+    if (!selectedSeasonId) return players;
+
+    const totals = {};
+    matches.forEach((match) => {
+      (match.playerStats || []).forEach((stat) => {
+        const total = totals[stat.playerId] || { goals: 0, assists: 0 };
+        total.goals += stat.goals || 0;
+        total.assists += stat.assists || 0;
+        totals[stat.playerId] = total;
+      });
+    });
+
+    return players.map((player) => ({
+      ...player,
+      goals: totals[player.id]?.goals || 0,
+      assists: totals[player.id]?.assists || 0,
+    }));
+  }, [players, matches, selectedSeasonId]);
+
   // Top scorers and assisters
   const topScorers = useMemo(() => {
-    return sortPlayersByGoals(players).slice(0, 5);
-  }, [players]);
+    return sortPlayersByGoals(seasonPlayers).slice(0, 5);
+  }, [seasonPlayers]);
 
   const topAssisters = useMemo(() => {
-    return sortPlayersByAssists(players).slice(0, 5);
-  }, [players]);
+    return sortPlayersByAssists(seasonPlayers).slice(0, 5);
+  }, [seasonPlayers]);
 
   if (loading && matches.length === 0 && players.length === 0) {
     return (
@@ -567,6 +598,16 @@ const StatsScreen = ({ navigation }) => {
                 </View>
               </View>
 
+              {computedStats.shootoutWins + computedStats.shootoutLosses >
+                0 && (
+                <Text
+                  style={[styles.shootoutNote, { color: theme.textSecondary }]}
+                >
+                  Includes penalty shootouts: {computedStats.shootoutWins}{" "}
+                  won, {computedStats.shootoutLosses} lost
+                </Text>
+              )}
+
               <View
                 style={[styles.divider, { backgroundColor: theme.border }]}
               />
@@ -880,8 +921,8 @@ const StatsScreen = ({ navigation }) => {
                 All Players
               </Text>
 
-              {players.length > 0 ? (
-                sortPlayersByGoals(players).map((player) => (
+              {seasonPlayers.length > 0 ? (
+                sortPlayersByGoals(seasonPlayers).map((player) => (
                   <TouchableOpacity
                     key={player.id}
                     style={[
@@ -1116,6 +1157,12 @@ const styles = StyleSheet.create({
     fontWeight: "600",
     marginTop: 5,
   },
+  shootoutNote: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    textAlign: "center",
+    marginTop: 8,
+  },
   divider: {
     height: 1,
     backgroundColor: COLORS.gray[200],
@@ -0,0 +1,648 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  Modal,
+  RefreshControl,
+  Share,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useTeamMembers } from "../hooks/useResources";
+import { useTeamContext } from "../contexts/TeamContext";
+import { useTheme } from "../contexts/ThemeContext";
+import { teamMemberApi, invitationApi } from "../services/api";
+import { COLORS, FONTS, TEAM_MEMBER_ROLES } from "../config/constants";
+import { CacheInvalidationStrategies } from "../utils/cacheManager";
+
+const getRoleLabel = (role) =>
+  role === "owner"
+    ? "Owner"
+    : TEAM_MEMBER_ROLES.find((option) => option.value === role)?.label;
+
+const RoleChips = ({ value, onChange, theme }) => (
+  <View style={styles.chips}>
+    {TEAM_MEMBER_ROLES.map((option) => {
+      const isSelected = value === option.value;
+
+      return (
+        <TouchableOpacity
+          key={option.value}
+          style={[
+            styles.chip,
+            { borderColor: theme.border },
+            isSelected && {
+              borderColor: theme.primary,
+              backgroundColor: theme.primary,
+            },
+          ]}
+          onPress={() => onChange(option.value)}
+        >
+          <Text
+            style={[
+              styles.chipText,
+              { color: isSelected ? "#fff" : theme.text },
+            ]}
+          >
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      );
+    })}
+  </View>
+);
+
+/**
+ * Who can see and manage a team
+ *
+ * Owners change roles, remove members and invite people by email or by
+ * sharing a link. Everyone else sees the member list and can leave.
+ */
+const TeamMembersScreen = ({ route, navigation }) => {
+  const { teamId, teamName, role } = route.params;
+  const { theme } = useTheme();
+  const { selectedTeamId, clearTeam } = useTeamContext();
+  const isOwner = role === "owner";
+  const { members, invitations, loading, refetch } = useTeamMembers(
+    teamId,
+    isOwner
+  );
+
+  const [inviteVisible, setInviteVisible] = useState(false);
+  const [inviteEmail, setInviteEmail] = useState("");
+  const [inviteRole, setInviteRole] = useState("coach");
+  const [editingMember, setEditingMember] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await refetch();
+    setRefreshing(false);
+  };
+
+  const closeInvite = () => {
+    setInviteVisible(false);
+    setInviteEmail("");
+    setInviteRole("coach");
+  };
+
+  const shareInviteLink = async (invitation) => {
+    try {
+      await Share.share({
+        message: `Join ${teamName} on MatchTracker as ${getRoleLabel(
+          invitation.role
+        ).toLowerCase()}: ${invitation.inviteUrl}`,
+        title: `Join ${teamName}`,
+      });
+    } catch (error) {
+      console.error("Error sharing invitation link:", error);
+    }
+  };
+
+  const handleInvite = async () => {
+    const email = inviteEmail.trim();
+
+    setSaving(true);
+    try {
+      const response = await invitationApi.create(teamId, {
+        email: email || undefined,
+        role: inviteRole,
+      });
+      closeInvite();
+      refetch();
+
+      if (!email) {
+        await shareInviteLink(response.invitation);
+      } else if (response.emailSent) {
+        Alert.alert("Invitation Sent", `We've emailed ${email} an invite.`);
+      } else {
+        Alert.alert(
+          "Email Not Sent",
+          "The invitation was created but the email failed. Share the link instead?",
+          [
+            { text: "Not Now", style: "cancel" },
+            {
+              text: "Share Link",
+              onPress: () => shareInviteLink(response.invitation),
+            },
+          ]
+        );
+      }
+    } catch (error) {
+      console.error("Error creating invitation:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.error || "Failed to create the invitation"
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = (invitation) => {
+    Alert.alert(
+      "Revoke Invitation",
+      `Revoke the invitation${
+        invitation.email ? ` for ${invitation.email}` : ""
+      }? Its link will stop working.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Revoke",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await invitationApi.revoke(teamId, invitation.id);
+              refetch();
+            } catch (error) {
+              console.error("Error revoking invitation:", error);
+              Alert.alert("Error", "Failed to revoke the invitation");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const handleChangeRole = async (newRole) => {
+    const member = editingMember;
+    setEditingMember(null);
+    if (!member || newRole === member.role) return;
+
+    try {
+      await teamMemberApi.updateRole(teamId, member.id, newRole);
+      refetch();
+    } catch (error) {
+      console.error("Error changing member role:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.error || "Failed to change the role"
+      );
+    }
+  };
+
+  const handleRemove = (member) => {
+    const isLeaving = member.isCurrentUser;
+    const name = member.user.name || member.user.email;
+
+    Alert.alert(
+      isLeaving ? "Leave Team" : "Remove Member",
+      isLeaving
+        ? `Leave ${teamName}? You'll need a new invitation to rejoin.`
+        : `Remove ${name} from ${teamName}?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: isLeaving ? "Leave" : "Remove",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await teamMemberApi.remove(teamId, member.id);
+
+              if (isLeaving) {
+                if (selectedTeamId === teamId) {
+                  await clearTeam();
+                }
+                CacheInvalidationStrategies.onRelatedUpdate([
+                  "teams",
+                  "players",
+                  "matches",
+                ]);
+                navigation.goBack();
+              } else {
+                refetch();
+              }
+            } catch (error) {
+              console.error("Error removing member:", error);
+              Alert.alert(
+                "Error",
+                error.response?.data?.error || "Failed to remove the member"
+              );
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const inputStyle = [
+    styles.input,
+    {
+      backgroundColor: theme.background,
+      borderColor: theme.border,
+      color: theme.text,
+    },
+  ];
+  const cardStyle = [
+    styles.card,
+    { backgroundColor: theme.cardBackground, shadowColor: theme.shadow },
+  ];
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScrollView
+        style={styles.content}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+      >
+        <Text style={[styles.title, { color: theme.text }]}>{teamName}</Text>
+
+        {isOwner && (
+          <TouchableOpacity
+            style={[styles.addButton, { backgroundColor: theme.primary }]}
+            onPress={() => setInviteVisible(true)}
+          >
+            <Ionicons name="person-add" size={20} color="#fff" />
+            <Text style={styles.buttonText}>Invite Someone</Text>
+          </TouchableOpacity>
+        )}
+
+        {loading && members.length === 0 ? (
+          <ActivityIndicator color={theme.primary} style={styles.loader} />
+        ) : (
+          members.map((member) => {
+            const canChange = member.role !== "owner";
+            const canRemove = canChange && (isOwner || member.isCurrentUser);
+
+            return (
+              <View key={member.id} style={cardStyle}>
+                <View style={styles.cardInfo}>
+                  <Text style={[styles.cardTitle, { color: theme.text }]}>
+                    {member.user.name || member.user.email}
+                    {member.isCurrentUser ? " (you)" : ""}
+                  </Text>
+                  {member.user.name ? (
+                    <Text
+                      style={[
+                        styles.cardSubtitle,
+                        { color: theme.textSecondary },
+                      ]}
+                    >
+                      {member.user.email}
+                    </Text>
+                  ) : null}
+                </View>
+                <TouchableOpacity
+                  style={[styles.roleBadge, { borderColor: theme.border }]}
+                  onPress={() => setEditingMember(member)}
+                  disabled={!isOwner || !canChange}
+                >
+                  <Text style={[styles.roleText, { color: theme.primary }]}>
+                    {getRoleLabel(member.role)}
+                  </Text>
+                  {isOwner && canChange && (
+                    <Ionicons
+                      name="chevron-down"
+                      size={14}
+                      color={theme.primary}
+                    />
+                  )}
+                </TouchableOpacity>
+                {canRemove && (
+                  <TouchableOpacity
+                    style={styles.iconButton}
+                    onPress={() => handleRemove(member)}
+                  >
+                    <Ionicons
+                      name={member.isCurrentUser ? "exit-outline" : "trash"}
+                      size={20}
+                      color={COLORS.error}
+                    />
+                  </TouchableOpacity>
+                )}
+              </View>
+            );
+          })
+        )}
+
+        {isOwner && invitations.length > 0 && (
+          <>
+            <Text style={[styles.sectionTitle, { color: theme.text }]}>
+              Pending Invitations
+            </Text>
+            {invitations.map((invitation) => (
+              <View key={invitation.id} style={cardStyle}>
+                <View style={styles.cardInfo}>
+                  <Text style={[styles.cardTitle, { color: theme.text }]}>
+                    {invitation.email || "Invite link"}
+                  </Text>
+                  <Text
+                    style={[
+                      styles.cardSubtitle,
+                      { color: theme.textSecondary },
+                    ]}
+                  >
+                    {getRoleLabel(invitation.role)} · expires{" "}
+                    {new Date(invitation.expiresAt).toLocaleDateString()}
+                  </Text>
+                </View>
+                <TouchableOpacity
+                  style={styles.iconButton}
+                  onPress={() => shareInviteLink(invitation)}
+                >
+                  <Ionicons
+                    name="share-outline"
+                    size={20}
+                    color={theme.primary}
+                  />
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={styles.iconButton}
+                  onPress={() => handleRevoke(invitation)}
+                >
+                  <Ionicons
+                    name="close-circle"
+                    size={20}
+                    color={COLORS.error}
+                  />
+                </TouchableOpacity>
+              </View>
+            ))}
+          </>
+        )}
+      </ScrollView>
+
+      {/* Invite Modal */}
+      <Modal
+        visible={inviteVisible}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={closeInvite}
+      >
+        <View style={styles.modalOverlay}>
+          <View
+            style={[
+              styles.modalContent,
+              { backgroundColor: theme.cardBackground },
+            ]}
+          >
+            <ScrollView keyboardShouldPersistTaps="handled">
+              <Text style={[styles.modalTitle, { color: theme.text }]}>
+                Invite to {teamName}
+              </Text>
+
+              <Text style={[styles.label, { color: theme.text }]}>Role</Text>
+              <RoleChips
+                value={inviteRole}
+                onChange={setInviteRole}
+                theme={theme}
+              />
+              <Text style={[styles.helperText, { color: theme.textSecondary }]}>
+                {
+                  TEAM_MEMBER_ROLES.find(
+                    (option) => option.value === inviteRole
+                  )?.description
+                }
+              </Text>
+
+              <Text style={[styles.label, { color: theme.text }]}>
+                Email (optional)
+              </Text>
+              <TextInput
+                style={inputStyle}
+                placeholder="assistant@example.com"
+                placeholderTextColor={theme.textSecondary}
+                value={inviteEmail}
+                onChangeText={setInviteEmail}
+                keyboardType="email-address"
+                autoCapitalize="none"
+                autoCorrect={false}
+                maxLength={254}
+              />
+              <Text style={[styles.helperText, { color: theme.textSecondary }]}>
+                Leave blank to share an invite link instead. Each invitation
+                lets one person join and expires after 14 days.
+              </Text>
+
+              <View style={styles.modalButtons}>
+                <TouchableOpacity
+                  style={[styles.modalButton, styles.cancelButton]}
+                  onPress={closeInvite}
+                >
+                  <Text style={styles.buttonText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[
+                    styles.modalButton,
+                    { backgroundColor: theme.primary },
+                    saving && styles.buttonDisabled,
+                  ]}
+                  onPress={handleInvite}
+                  disabled={saving}
+                >
+                  {saving ? (
+                    <ActivityIndicator color="#fff" />
+                  ) : (
+                    <Text style={styles.buttonText}>
+                      {inviteEmail.trim() ? "Send" : "Share Link"}
+                    </Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+
+      {/* Role Modal */}
+      <Modal
+        visible={!!editingMember}
+        animationType="fade"
+        transparent={true}
+        onRequestClose={() => setEditingMember(null)}
+      >
+        <View style={styles.modalOverlay}>
+          <View
+            style={[
+              styles.modalContent,
+              { backgroundColor: theme.cardBackground },
+            ]}
+          >
+            <Text style={[styles.modalTitle, { color: theme.text }]}>
+              Change Role
+            </Text>
+            <RoleChips
+              value={editingMember?.role}
+              onChange={handleChangeRole}
+              theme={theme}
+            />
+            <TouchableOpacity
+              style={[
+                styles.modalButton,
+                styles.cancelButton,
+                styles.singleButton,
+              ]}
+              onPress={() => setEditingMember(null)}
+            >
+              <Text style={styles.buttonText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  content: {
+    flex: 1,
+    padding: 15,
+  },
+  loader: {
+    marginTop: 30,
+  },
+  title: {
+    fontSize: 20,
+    fontFamily: FONTS.heading,
+    marginBottom: 15,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+    marginTop: 15,
+    marginBottom: 10,
+  },
+  addButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 15,
+  },
+  card: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    padding: 15,
+    borderRadius: 12,
+    marginBottom: 10,
+    elevation: 2,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  cardInfo: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+    marginBottom: 4,
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    fontFamily: FONTS.body,
+    marginTop: 2,
+  },
+  roleBadge: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+  },
+  roleText: {
+    fontSize: 13,
+    fontWeight: "600",
+  },
+  iconButton: {
+    padding: 6,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  modalContent: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 20,
+    width: "90%",
+    maxWidth: 400,
+    maxHeight: "85%",
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: "bold",
+    color: COLORS.text,
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.text,
+    marginTop: 15,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.gray[300],
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  helperText: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  modalButtons: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: 20,
+  },
+  modalButton: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 8,
+    alignItems: "center",
+    marginHorizontal: 5,
+  },
+  singleButton: {
+    flex: 0,
+    marginTop: 20,
+  },
+  cancelButton: {
+    backgroundColor: COLORS.warning,
+  },
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+});
+
+export default TeamMembersScreen;
@@ -0,0 +1,333 @@
+import React, { useEffect, useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import {
+  usePlayers,
+  useTeams,
+  useTrainingSession,
+} from "../hooks/useResources";
+import { useTheme } from "../contexts/ThemeContext";
+import { trainingApi } from "../services/api";
+import { COLORS, FONTS } from "../config/constants";
+import { formatDateTime } from "../utils/helpers";
+import { CacheInvalidationStrategies } from "../utils/cacheManager";
+import { isInSquad } from "../utils/playerProfile";
+
+/**
+ * Take the register for a training session
+ *
+ * Until the register is first saved everyone starts as present, so only
+ * absentees need a tap. Coaches and scorers can save; other members see
+ * who attended.
+ */
+const TrainingAttendanceScreen = ({ route, navigation }) => {
+  const { sessionId } = route.params;
+  const { theme } = useTheme();
+  const { session, loading, refetch } = useTrainingSession(sessionId);
+  const { players: allPlayers, loading: playersLoading } = usePlayers(
+    session?.teamId
+  );
+  const { teams } = useTeams();
+  const [register, setRegister] = useState({});
+  const [saving, setSaving] = useState(false);
+
+  const players = allPlayers.filter((player) =>
+    isInSquad(player, session?.teamId)
+  );
+  const role = teams.find((team) => team.id === session?.teamId)?.role;
+  const canTakeRegister = !role || ["owner", "coach", "scorer"].includes(role);
+  const isTaken = session?.attendance.length > 0;
+
+  // Start from the saved register, with unmarked players present
+  useEffect(() => {
+    if (!session) return;
+
+    const saved = Object.fromEntries(
+      session.attendance.map((entry) => [entry.playerId, entry.attended])
+    );
+    setRegister(
+      Object.fromEntries(
+        players.map((player) => [player.id, saved[player.id] ?? true])
+      )
+    );
+  }, [session, allPlayers]);
+
+  const presentCount = players.filter((player) => register[player.id]).length;
+
+  const togglePlayer = (playerId) => {
+    setRegister((prev) => ({ ...prev, [playerId]: !prev[playerId] }));
+  };
+
+  const setEveryone = (attended) => {
+    setRegister(
+      Object.fromEntries(players.map((player) => [player.id, attended]))
+    );
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      await trainingApi.saveAttendance(
+        sessionId,
+        players.map((player) => ({
+          playerId: player.id,
+          attended: !!register[player.id],
+        }))
+      );
+      CacheInvalidationStrategies.onRelatedUpdate(["training", "attendance"]);
+      await refetch();
+      Alert.alert("Saved", `${presentCount} of ${players.length} attended.`, [
+        { text: "OK", onPress: () => navigation.goBack() },
+      ]);
+    } catch (error) {
+      console.error("Error saving attendance:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.error || "Failed to save attendance"
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if ((loading || playersLoading) && !session) {
+    return (
+      <View
+        style={[styles.centerContainer, { backgroundColor: theme.background }]}
+      >
+        <ActivityIndicator size="large" color={theme.primary} />
+      </View>
+    );
+  }
+
+  if (!session) {
+    return (
+      <View
+        style={[styles.centerContainer, { backgroundColor: theme.background }]}
+      >
+        <Text style={[styles.emptyText, { color: theme.textSecondary }]}>
+          Training session not found
+        </Text>
+      </View>
+    );
+  }
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScrollView style={styles.content}>
+        {/* Session Details */}
+        <View
+          style={[
+            styles.summaryCard,
+            {
+              backgroundColor: theme.cardBackground,
+              shadowColor: theme.shadow,
+            },
+          ]}
+        >
+          <Text style={[styles.title, { color: theme.text }]}>
+            {session.focus || "Training"}
+          </Text>
+          <Text style={[styles.detail, { color: theme.textSecondary }]}>
+            {formatDateTime(session.date)}
+          </Text>
+          {session.location && (
+            <Text style={[styles.detail, { color: theme.textSecondary }]}>
+              {session.location}
+            </Text>
+          )}
+          {session.notes && (
+            <Text style={[styles.notes, { color: theme.text }]}>
+              {session.notes}
+            </Text>
+          )}
+          <Text style={[styles.count, { color: theme.primary }]}>
+            {presentCount}/{players.length} present
+            {!isTaken && " · register not taken yet"}
+          </Text>
+        </View>
+
+        {canTakeRegister && players.length > 0 && (
+          <View style={styles.bulkRow}>
+            <TouchableOpacity onPress={() => setEveryone(true)}>
+              <Text style={[styles.bulkText, { color: theme.primary }]}>
+                All present
+              </Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={() => setEveryone(false)}>
+              <Text style={[styles.bulkText, { color: theme.primary }]}>
+                All absent
+              </Text>
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {players.length === 0 ? (
+          <Text style={[styles.emptyText, { color: theme.textSecondary }]}>
+            Add players to the team to take the register
+          </Text>
+        ) : (
+          players.map((player) => {
+            const attended = !!register[player.id];
+
+            return (
+              <TouchableOpacity
+                key={player.id}
+                style={[
+                  styles.playerRow,
+                  {
+                    backgroundColor: theme.cardBackground,
+                    borderColor: attended ? COLORS.success : theme.border,
+                  },
+                ]}
+                onPress={() => togglePlayer(player.id)}
+                disabled={!canTakeRegister}
+              >
+                <Text style={[styles.playerName, { color: theme.text }]}>
+                  {player.name}
+                </Text>
+                <Ionicons
+                  name={attended ? "checkmark-circle" : "close-circle-outline"}
+                  size={26}
+                  color={attended ? COLORS.success : theme.textSecondary}
+                />
+              </TouchableOpacity>
+            );
+          })
+        )}
+      </ScrollView>
+
+      {canTakeRegister && players.length > 0 && (
+        <View
+          style={[
+            styles.footer,
+            {
+              backgroundColor: theme.cardBackground,
+              borderTopColor: theme.border,
+            },
+          ]}
+        >
+          <TouchableOpacity
+            style={[
+              styles.saveButton,
+              { backgroundColor: theme.primary },
+              saving && styles.buttonDisabled,
+            ]}
+            onPress={handleSave}
+            disabled={saving}
+          >
+            {saving ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <Text style={styles.saveButtonText}>
+                {isTaken ? "Update Register" : "Save Register"}
+              </Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 20,
+  },
+  content: {
+    flex: 1,
+    padding: 15,
+  },
+  summaryCard: {
+    padding: 15,
+    borderRadius: 12,
+    marginBottom: 15,
+    elevation: 2,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  title: {
+    fontSize: 20,
+    fontFamily: FONTS.heading,
+    marginBottom: 6,
+  },
+  detail: {
+    fontSize: 14,
+    fontFamily: FONTS.body,
+    marginTop: 2,
+  },
+  notes: {
+    fontSize: 14,
+    fontFamily: FONTS.body,
+    marginTop: 10,
+  },
+  count: {
+    fontSize: 15,
+    fontFamily: FONTS.bodyBold,
+    marginTop: 12,
+  },
+  bulkRow: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    gap: 20,
+    marginBottom: 10,
+  },
+  bulkText: {
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  emptyText: {
+    fontSize: 15,
+    fontFamily: FONTS.body,
+    textAlign: "center",
+    marginTop: 10,
+  },
+  playerRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    padding: 14,
+    borderRadius: 10,
+    borderWidth: 1,
+    marginBottom: 8,
+  },
+  playerName: {
+    fontSize: 16,
+    fontFamily: FONTS.body,
+  },
+  footer: {
+    padding: 15,
+    borderTopWidth: 1,
+  },
+  saveButton: {
+    padding: 14,
+    borderRadius: 8,
+    alignItems: "center",
+  },
+  saveButtonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+});
+
+export default TrainingAttendanceScreen;
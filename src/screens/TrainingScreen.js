@@ -0,0 +1,688 @@
+import React, { useCallback, useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  Modal,
+  RefreshControl,
+  Platform,
+} from "react-native";
+import { useFocusEffect } from "@react-navigation/native";
+import { Ionicons } from "@expo/vector-icons";
+import DateTimePicker from "@react-native-community/datetimepicker";
+import { useTrainingSessions } from "../hooks/useResources";
+import { useTeamContext } from "../contexts/TeamContext";
+import { useTheme } from "../contexts/ThemeContext";
+import { trainingApi } from "../services/api";
+import { COLORS, FONTS } from "../config/constants";
+import { formatDateTime } from "../utils/helpers";
+import { CacheInvalidationStrategies } from "../utils/cacheManager";
+import {
+  chooseSeriesScope,
+  toRecurrencePayload,
+} from "../utils/eventSeries";
+import RecurrenceEditor from "../components/RecurrenceEditor";
+
+// New sessions default to the next hour, on the hour
+const getDefaultDate = () => {
+  const date = new Date();
+  date.setHours(date.getHours() + 1, 0, 0, 0);
+  return date;
+};
+
+const EMPTY_FORM = {
+  location: "",
+  focus: "",
+  notes: "",
+};
+
+/**
+ * A team's training sessions
+ *
+ * Upcoming sessions come first, then past ones with how many attended.
+ * Tapping a session opens its register. New sessions can repeat weekly or
+ * fortnightly, and sessions in a series are edited or deleted one at a time
+ * or for the rest of the series.
+ */
+const TrainingScreen = ({ navigation }) => {
+  const { theme } = useTheme();
+  const { selectedTeamId } = useTeamContext();
+  const { sessions, loading, refetch } = useTrainingSessions(selectedTeamId);
+
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingSession, setEditingSession] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [date, setDate] = useState(getDefaultDate);
+  const [recurrence, setRecurrence] = useState(null);
+  const [showDatePicker, setShowDatePicker] = useState(false);
+  const [showTimePicker, setShowTimePicker] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+
+  // Pick up registers taken on the attendance screen
+  useFocusEffect(
+    useCallback(() => {
+      refetch();
+    }, [refetch])
+  );
+
+  const now = new Date();
+  const upcomingSessions = sessions
+    .filter((session) => new Date(session.date) >= now)
+    .reverse();
+  const pastSessions = sessions.filter(
+    (session) => new Date(session.date) < now
+  );
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await refetch();
+    setRefreshing(false);
+  };
+
+  const openForm = (session = null) => {
+    setEditingSession(session);
+    setForm(
+      session
+        ? {
+            location: session.location || "",
+            focus: session.focus || "",
+            notes: session.notes || "",
+          }
+        : EMPTY_FORM
+    );
+    setDate(session ? new Date(session.date) : getDefaultDate());
+    setRecurrence(null);
+    setModalVisible(true);
+  };
+
+  const closeForm = () => {
+    setModalVisible(false);
+    setEditingSession(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const onDateChange = (event, selectedDate) => {
+    setShowDatePicker(Platform.OS === "ios");
+    if (selectedDate) {
+      const newDate = new Date(date);
+      newDate.setFullYear(
+        selectedDate.getFullYear(),
+        selectedDate.getMonth(),
+        selectedDate.getDate()
+      );
+      setDate(newDate);
+    }
+  };
+
+  const onTimeChange = (event, selectedTime) => {
+    setShowTimePicker(Platform.OS === "ios");
+    if (selectedTime) {
+      const newDate = new Date(date);
+      newDate.setHours(selectedTime.getHours());
+      newDate.setMinutes(selectedTime.getMinutes());
+      setDate(newDate);
+    }
+  };
+
+  const saveSession = async (scope) => {
+    const data = {
+      date: date.toISOString(),
+      location: form.location.trim(),
+      focus: form.focus.trim(),
+      notes: form.notes.trim(),
+    };
+
+    setSaving(true);
+    try {
+      if (editingSession) {
+        await trainingApi.update(editingSession.id, data, scope);
+      } else {
+        await trainingApi.create(selectedTeamId, {
+          ...data,
+          ...(recurrence && {
+            recurrence: toRecurrencePayload(recurrence),
+          }),
+        });
+      }
+
+      CacheInvalidationStrategies.onRelatedUpdate(["training", "dashboard"]);
+      closeForm();
+      refetch();
+    } catch (error) {
+      console.error("Error saving training session:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.error || "Failed to save the training session"
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => {
+    chooseSeriesScope(
+      editingSession,
+      { title: "Update Session", action: "Update" },
+      saveSession
+    );
+  };
+
+  const deleteSession = async (session, scope) => {
+    try {
+      await trainingApi.delete(session.id, scope);
+      CacheInvalidationStrategies.onRelatedUpdate([
+        "training",
+        "attendance",
+        "dashboard",
+      ]);
+      refetch();
+    } catch (error) {
+      console.error("Error deleting training session:", error);
+      Alert.alert("Error", "Failed to delete the training session");
+    }
+  };
+
+  const handleDelete = (session) => {
+    if (session.seriesId) {
+      chooseSeriesScope(
+        session,
+        { title: "Delete Session", action: "Delete", destructive: true },
+        (scope) => deleteSession(session, scope)
+      );
+      return;
+    }
+
+    Alert.alert(
+      "Delete Session",
+      `Delete the session on ${formatDateTime(
+        session.date
+      )}? Its attendance is removed too.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: () => deleteSession(session, "occurrence"),
+        },
+      ]
+    );
+  };
+
+  const renderSession = (session, isPast) => (
+    <TouchableOpacity
+      key={session.id}
+      style={[
+        styles.card,
+        { backgroundColor: theme.cardBackground, shadowColor: theme.shadow },
+      ]}
+      onPress={() =>
+        navigation.navigate("TrainingAttendance", { sessionId: session.id })
+      }
+    >
+      <Ionicons
+        name={isPast ? "checkmark-done" : "fitness"}
+        size={24}
+        color={theme.primary}
+      />
+      <View style={styles.cardInfo}>
+        <View style={styles.cardTitleRow}>
+          <Text style={[styles.cardTitle, { color: theme.text }]}>
+            {session.focus || "Training"}
+          </Text>
+          {session.seriesId && (
+            <Ionicons name="repeat" size={16} color={theme.textSecondary} />
+          )}
+        </View>
+        <Text style={[styles.cardSubtitle, { color: theme.textSecondary }]}>
+          {[formatDateTime(session.date), session.location]
+            .filter(Boolean)
+            .join(" · ")}
+        </Text>
+        {isPast && (
+          <Text style={[styles.cardSubtitle, { color: theme.textSecondary }]}>
+            {session.markedCount > 0
+              ? `${session.attendedCount}/${session.markedCount} attended`
+              : "Attendance not taken"}
+          </Text>
+        )}
+      </View>
+      <TouchableOpacity
+        style={styles.iconButton}
+        onPress={() => openForm(session)}
+      >
+        <Ionicons name="pencil" size={20} color={theme.primary} />
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={styles.iconButton}
+        onPress={() => handleDelete(session)}
+      >
+        <Ionicons name="trash" size={20} color={COLORS.error} />
+      </TouchableOpacity>
+    </TouchableOpacity>
+  );
+
+  if (!selectedTeamId) {
+    return (
+      <View
+        style={[styles.centerContainer, { backgroundColor: theme.background }]}
+      >
+        <Ionicons
+          name="fitness-outline"
+          size={48}
+          color={theme.textSecondary}
+        />
+        <Text style={[styles.emptyText, { color: theme.textSecondary }]}>
+          Select a team to see its training sessions
+        </Text>
+      </View>
+    );
+  }
+
+  const inputStyle = [
+    styles.input,
+    {
+      backgroundColor: theme.background,
+      borderColor: theme.border,
+      color: theme.text,
+    },
+  ];
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScrollView
+        style={styles.content}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+      >
+        <View style={styles.buttonRow}>
+          <TouchableOpacity
+            style={[styles.addButton, { backgroundColor: theme.primary }]}
+            onPress={() => openForm()}
+          >
+            <Ionicons name="add-circle" size={20} color="#fff" />
+            <Text style={styles.addButtonText}>New Session</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={[styles.reportButton, { borderColor: theme.primary }]}
+            onPress={() => navigation.navigate("AttendanceReport")}
+          >
+            <Ionicons name="bar-chart" size={20} color={theme.primary} />
+            <Text style={[styles.reportButtonText, { color: theme.primary }]}>
+              Attendance
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        {loading && sessions.length === 0 ? (
+          <ActivityIndicator color={theme.primary} style={styles.loader} />
+        ) : sessions.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Ionicons
+              name="fitness-outline"
+              size={48}
+              color={theme.textSecondary}
+            />
+            <Text style={[styles.emptyText, { color: theme.textSecondary }]}>
+              Schedule training to send reminders and track attendance
+            </Text>
+          </View>
+        ) : (
+          <>
+            {upcomingSessions.length > 0 && (
+              <Text style={[styles.sectionTitle, { color: theme.text }]}>
+                Upcoming
+              </Text>
+            )}
+            {upcomingSessions.map((session) => renderSession(session, false))}
+            {pastSessions.length > 0 && (
+              <Text style={[styles.sectionTitle, { color: theme.text }]}>
+                Past Sessions
+              </Text>
+            )}
+            {pastSessions.map((session) => renderSession(session, true))}
+          </>
+        )}
+      </ScrollView>
+
+      {/* Session Modal */}
+      <Modal
+        visible={modalVisible}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={closeForm}
+      >
+        <View style={styles.modalOverlay}>
+          <View
+            style={[
+              styles.modalContent,
+              { backgroundColor: theme.cardBackground },
+            ]}
+          >
+            <ScrollView keyboardShouldPersistTaps="handled">
+              <Text style={[styles.modalTitle, { color: theme.text }]}>
+                {editingSession ? "Edit Session" : "New Session"}
+              </Text>
+
+              <Text style={[styles.label, { color: theme.text }]}>
+                Date & Time
+              </Text>
+              <View style={styles.dateTimeRow}>
+                <TouchableOpacity
+                  style={[
+                    styles.dateTimeButton,
+                    {
+                      backgroundColor: theme.background,
+                      borderColor: theme.border,
+                    },
+                  ]}
+                  onPress={() => setShowDatePicker(true)}
+                >
+                  <Ionicons name="calendar" size={16} color={theme.primary} />
+                  <Text style={[styles.dateTimeText, { color: theme.text }]}>
+                    {date.toLocaleDateString()}
+                  </Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[
+                    styles.dateTimeButton,
+                    {
+                      backgroundColor: theme.background,
+                      borderColor: theme.border,
+                    },
+                  ]}
+                  onPress={() => setShowTimePicker(true)}
+                >
+                  <Ionicons name="time" size={16} color={theme.primary} />
+                  <Text style={[styles.dateTimeText, { color: theme.text }]}>
+                    {date.toLocaleTimeString([], {
+                      hour: "2-digit",
+                      minute: "2-digit",
+                    })}
+                  </Text>
+                </TouchableOpacity>
+              </View>
+
+              {showDatePicker && (
+                <DateTimePicker
+                  value={date}
+                  mode="date"
+                  display="default"
+                  onChange={onDateChange}
+                />
+              )}
+
+              {showTimePicker && (
+                <DateTimePicker
+                  value={date}
+                  mode="time"
+                  display="default"
+                  onChange={onTimeChange}
+                />
+              )}
+
+              {!editingSession && (
+                <RecurrenceEditor
+                  value={recurrence}
+                  onChange={setRecurrence}
+                  startDate={date}
+                />
+              )}
+
+              <Text style={[styles.label, { color: theme.text }]}>
+                Location
+              </Text>
+              <TextInput
+                style={inputStyle}
+                placeholder="e.g. School field"
+                placeholderTextColor={theme.textSecondary}
+                value={form.location}
+                onChangeText={(text) =>
+                  setForm((prev) => ({ ...prev, location: text }))
+                }
+                maxLength={100}
+              />
+
+              <Text style={[styles.label, { color: theme.text }]}>Focus</Text>
+              <TextInput
+                style={inputStyle}
+                placeholder="e.g. Passing and movement"
+                placeholderTextColor={theme.textSecondary}
+                value={form.focus}
+                onChangeText={(text) =>
+                  setForm((prev) => ({ ...prev, focus: text }))
+                }
+                maxLength={100}
+              />
+
+              <Text style={[styles.label, { color: theme.text }]}>Notes</Text>
+              <TextInput
+                style={[inputStyle, styles.notesInput]}
+                placeholder="Drills, kit to bring..."
+                placeholderTextColor={theme.textSecondary}
+                value={form.notes}
+                onChangeText={(text) =>
+                  setForm((prev) => ({ ...prev, notes: text }))
+                }
+                multiline
+                textAlignVertical="top"
+                maxLength={1000}
+              />
+
+              <View style={styles.modalButtons}>
+                <TouchableOpacity
+                  style={[styles.modalButton, styles.cancelButton]}
+                  onPress={closeForm}
+                >
+                  <Text style={styles.buttonText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[
+                    styles.modalButton,
+                    { backgroundColor: theme.primary },
+                    saving && styles.buttonDisabled,
+                  ]}
+                  onPress={handleSave}
+                  disabled={saving}
+                >
+                  {saving ? (
+                    <ActivityIndicator color="#fff" />
+                  ) : (
+                    <Text style={styles.buttonText}>
+                      {editingSession ? "Update" : "Add"}
+                    </Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  centerContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 20,
+  },
+  content: {
+    flex: 1,
+    padding: 15,
+  },
+  loader: {
+    marginTop: 30,
+  },
+  buttonRow: {
+    flexDirection: "row",
+    gap: 10,
+    marginBottom: 15,
+  },
+  addButton: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 8,
+    padding: 14,
+    borderRadius: 8,
+  },
+  addButtonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+  },
+  reportButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    paddingHorizontal: 14,
+    borderWidth: 1,
+    borderRadius: 8,
+  },
+  reportButtonText: {
+    fontSize: 15,
+    fontFamily: FONTS.bodyBold,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+    marginTop: 5,
+    marginBottom: 10,
+  },
+  emptyState: {
+    alignItems: "center",
+    padding: 30,
+  },
+  emptyText: {
+    fontSize: 15,
+    fontFamily: FONTS.body,
+    textAlign: "center",
+    marginTop: 10,
+  },
+  card: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    padding: 15,
+    borderRadius: 12,
+    marginBottom: 10,
+    elevation: 2,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  cardInfo: {
+    flex: 1,
+  },
+  cardTitleRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginBottom: 4,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    fontFamily: FONTS.body,
+    marginTop: 2,
+  },
+  iconButton: {
+    padding: 6,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  modalContent: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 20,
+    width: "90%",
+    maxWidth: 400,
+    maxHeight: "85%",
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: "bold",
+    color: COLORS.text,
+    marginBottom: 5,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.text,
+    marginTop: 15,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.gray[300],
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  notesInput: {
+    minHeight: 90,
+  },
+  dateTimeRow: {
+    flexDirection: "row",
+    gap: 10,
+  },
+  dateTimeButton: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    borderWidth: 1,
+    borderRadius: 8,
+    padding: 12,
+  },
+  dateTimeText: {
+    fontSize: 16,
+  },
+  modalButtons: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: 20,
+  },
+  modalButton: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 8,
+    alignItems: "center",
+    marginHorizontal: 5,
+  },
+  cancelButton: {
+    backgroundColor: COLORS.warning,
+  },
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+});
+
+export default TrainingScreen;
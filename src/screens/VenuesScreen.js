@@ -0,0 +1,576 @@
+import React, { useState } from "react";
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+  Modal,
+  RefreshControl,
+  Linking,
+} from "react-native";
+import { Ionicons } from "@expo/vector-icons";
+import { useVenues } from "../hooks/useResources";
+import { useTheme } from "../contexts/ThemeContext";
+import { venueApi } from "../services/api";
+import { COLORS, FONTS, VENUE_SURFACES } from "../config/constants";
+import { CacheInvalidationStrategies } from "../utils/cacheManager";
+
+const EMPTY_FORM = {
+  name: "",
+  address: "",
+  pitchNumber: "",
+  surface: null,
+  parkingNotes: "",
+  coordinates: "",
+};
+
+// "51.5074, -0.1278" -> { latitude, longitude }; blank -> nulls
+const parseCoordinates = (text) => {
+  if (!text.trim()) {
+    return { latitude: null, longitude: null };
+  }
+
+  const parts = text.split(",").map((part) => Number(part.trim()));
+  if (
+    parts.length !== 2 ||
+    parts.some((part) => Number.isNaN(part)) ||
+    Math.abs(parts[0]) > 90 ||
+    Math.abs(parts[1]) > 180
+  ) {
+    return null;
+  }
+
+  return { latitude: parts[0], longitude: parts[1] };
+};
+
+const getSurfaceLabel = (surface) =>
+  VENUE_SURFACES.find((option) => option.value === surface)?.label;
+
+const VenuesScreen = () => {
+  const { theme } = useTheme();
+  const { venues, loading, refetch } = useVenues();
+
+  const [modalVisible, setModalVisible] = useState(false);
+  const [editingVenue, setEditingVenue] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const onRefresh = async () => {
+    setRefreshing(true);
+    await refetch();
+    setRefreshing(false);
+  };
+
+  const openForm = (venue = null) => {
+    setEditingVenue(venue);
+    setForm(
+      venue
+        ? {
+            name: venue.name,
+            address: venue.address || "",
+            pitchNumber: venue.pitchNumber || "",
+            surface: venue.surface,
+            parkingNotes: venue.parkingNotes || "",
+            coordinates:
+              venue.latitude !== null
+                ? `${venue.latitude}, ${venue.longitude}`
+                : "",
+          }
+        : EMPTY_FORM
+    );
+    setModalVisible(true);
+  };
+
+  const closeForm = () => {
+    setModalVisible(false);
+    setEditingVenue(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleSave = async () => {
+    if (!form.name.trim()) {
+      Alert.alert("Error", "Please enter the venue's name");
+      return;
+    }
+
+    const coordinates = parseCoordinates(form.coordinates);
+    if (!coordinates) {
+      Alert.alert(
+        "Error",
+        "Coordinates should be latitude, longitude (e.g. 51.5074, -0.1278)"
+      );
+      return;
+    }
+
+    const data = {
+      name: form.name.trim(),
+      address: form.address.trim() || null,
+      pitchNumber: form.pitchNumber.trim() || null,
+      surface: form.surface,
+      parkingNotes: form.parkingNotes.trim() || null,
+      ...coordinates,
+    };
+
+    setSaving(true);
+    try {
+      if (editingVenue) {
+        await venueApi.update(editingVenue.id, data);
+      } else {
+        await venueApi.create(data);
+      }
+
+      // Matches carry their venue's details
+      CacheInvalidationStrategies.onRelatedUpdate(["venues", "matches"]);
+      closeForm();
+      refetch();
+    } catch (error) {
+      console.error("Error saving venue:", error);
+      Alert.alert(
+        "Error",
+        error.response?.data?.error || "Failed to save the venue"
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = (venue) => {
+    Alert.alert(
+      "Delete Venue",
+      `Delete ${venue.name}? Its matches keep their home or away setting.`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Delete",
+          style: "destructive",
+          onPress: async () => {
+            try {
+              await venueApi.delete(venue.id);
+              CacheInvalidationStrategies.onRelatedUpdate([
+                "venues",
+                "matches",
+              ]);
+              refetch();
+            } catch (error) {
+              console.error("Error deleting venue:", error);
+              Alert.alert("Error", "Failed to delete the venue");
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const openMaps = async (venue) => {
+    try {
+      await Linking.openURL(venue.mapsUrl);
+    } catch (error) {
+      console.error("Error opening maps:", error);
+      Alert.alert("Error", "Could not open maps");
+    }
+  };
+
+  const inputStyle = [
+    styles.input,
+    {
+      backgroundColor: theme.background,
+      borderColor: theme.border,
+      color: theme.text,
+    },
+  ];
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.background }]}>
+      <ScrollView
+        style={styles.content}
+        refreshControl={
+          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+        }
+      >
+        <TouchableOpacity
+          style={[styles.addButton, { backgroundColor: theme.primary }]}
+          onPress={() => openForm()}
+        >
+          <Ionicons name="add" size={20} color="#fff" />
+          <Text style={styles.buttonText}>Add Venue</Text>
+        </TouchableOpacity>
+
+        {loading && venues.length === 0 ? (
+          <ActivityIndicator color={theme.primary} style={styles.loader} />
+        ) : venues.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Ionicons
+              name="location-outline"
+              size={48}
+              color={theme.textSecondary}
+            />
+            <Text style={[styles.emptyText, { color: theme.textSecondary }]}>
+              Add the grounds you play at to get directions from your matches
+            </Text>
+          </View>
+        ) : (
+          venues.map((venue) => (
+            <View
+              key={venue.id}
+              style={[
+                styles.card,
+                {
+                  backgroundColor: theme.cardBackground,
+                  shadowColor: theme.shadow,
+                },
+              ]}
+            >
+              <View style={styles.cardInfo}>
+                <Text style={[styles.cardTitle, { color: theme.text }]}>
+                  {venue.name}
+                </Text>
+                {venue.address ? (
+                  <Text
+                    style={[
+                      styles.cardSubtitle,
+                      { color: theme.textSecondary },
+                    ]}
+                    numberOfLines={2}
+                  >
+                    {venue.address}
+                  </Text>
+                ) : null}
+                <Text
+                  style={[styles.cardSubtitle, { color: theme.textSecondary }]}
+                >
+                  {[
+                    venue.pitchNumber && `Pitch ${venue.pitchNumber}`,
+                    getSurfaceLabel(venue.surface),
+                    `${venue._count?.matches || 0} matches`,
+                  ]
+                    .filter(Boolean)
+                    .join(" · ")}
+                </Text>
+              </View>
+              {venue.mapsUrl && (
+                <TouchableOpacity
+                  style={styles.iconButton}
+                  onPress={() => openMaps(venue)}
+                >
+                  <Ionicons name="navigate" size={20} color={theme.primary} />
+                </TouchableOpacity>
+              )}
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => openForm(venue)}
+              >
+                <Ionicons name="pencil" size={20} color={theme.primary} />
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.iconButton}
+                onPress={() => handleDelete(venue)}
+              >
+                <Ionicons name="trash" size={20} color={COLORS.error} />
+              </TouchableOpacity>
+            </View>
+          ))
+        )}
+      </ScrollView>
+
+      {/* Venue Modal */}
+      <Modal
+        visible={modalVisible}
+        animationType="slide"
+        transparent={true}
+        onRequestClose={closeForm}
+      >
+        <View style={styles.modalOverlay}>
+          <View
+            style={[
+              styles.modalContent,
+              { backgroundColor: theme.cardBackground },
+            ]}
+          >
+            <ScrollView keyboardShouldPersistTaps="handled">
+              <Text style={[styles.modalTitle, { color: theme.text }]}>
+                {editingVenue ? "Edit Venue" : "Add Venue"}
+              </Text>
+
+              <TextInput
+                style={inputStyle}
+                placeholder="Venue name, e.g. Riverside Park"
+                placeholderTextColor={theme.textSecondary}
+                value={form.name}
+                onChangeText={(text) =>
+                  setForm((prev) => ({ ...prev, name: text }))
+                }
+                maxLength={80}
+              />
+
+              <Text style={[styles.label, { color: theme.text }]}>Address</Text>
+              <TextInput
+                style={[...inputStyle, styles.multilineInput]}
+                placeholder="Street, town and postcode"
+                placeholderTextColor={theme.textSecondary}
+                value={form.address}
+                onChangeText={(text) =>
+                  setForm((prev) => ({ ...prev, address: text }))
+                }
+                multiline
+                textAlignVertical="top"
+                maxLength={200}
+              />
+
+              <Text style={[styles.label, { color: theme.text }]}>Pitch</Text>
+              <TextInput
+                style={inputStyle}
+                placeholder="e.g. 3 or 3G pitch B"
+                placeholderTextColor={theme.textSecondary}
+                value={form.pitchNumber}
+                onChangeText={(text) =>
+                  setForm((prev) => ({ ...prev, pitchNumber: text }))
+                }
+                maxLength={30}
+              />
+
+              <Text style={[styles.label, { color: theme.text }]}>Surface</Text>
+              <View style={styles.chips}>
+                {VENUE_SURFACES.map((option) => {
+                  const isSelected = form.surface === option.value;
+
+                  return (
+                    <TouchableOpacity
+                      key={option.value}
+                      style={[
+                        styles.chip,
+                        { borderColor: theme.border },
+                        isSelected && {
+                          borderColor: theme.primary,
+                          backgroundColor: theme.primary,
+                        },
+                      ]}
+                      onPress={() =>
+                        setForm((prev) => ({
+                          ...prev,
+                          surface: isSelected ? null : option.value,
+                        }))
+                      }
+                    >
+                      <Text
+                        style={[
+                          styles.chipText,
+                          { color: isSelected ? "#fff" : theme.text },
+                        ]}
+                      >
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+
+              <Text style={[styles.label, { color: theme.text }]}>Parking</Text>
+              <TextInput
+                style={[...inputStyle, styles.multilineInput]}
+                placeholder="e.g. Free car park behind the clubhouse"
+                placeholderTextColor={theme.textSecondary}
+                value={form.parkingNotes}
+                onChangeText={(text) =>
+                  setForm((prev) => ({ ...prev, parkingNotes: text }))
+                }
+                multiline
+                textAlignVertical="top"
+                maxLength={500}
+              />
+
+              <Text style={[styles.label, { color: theme.text }]}>
+                Coordinates (optional)
+              </Text>
+              <TextInput
+                style={inputStyle}
+                placeholder="51.5074, -0.1278"
+                placeholderTextColor={theme.textSecondary}
+                value={form.coordinates}
+                onChangeText={(text) =>
+                  setForm((prev) => ({ ...prev, coordinates: text }))
+                }
+                keyboardType="numbers-and-punctuation"
+              />
+              <Text style={[styles.helperText, { color: theme.textSecondary }]}>
+                Directions use the coordinates when set, otherwise the address.
+              </Text>
+
+              <View style={styles.modalButtons}>
+                <TouchableOpacity
+                  style={[styles.modalButton, styles.cancelButton]}
+                  onPress={closeForm}
+                >
+                  <Text style={styles.buttonText}>Cancel</Text>
+                </TouchableOpacity>
+                <TouchableOpacity
+                  style={[
+                    styles.modalButton,
+                    { backgroundColor: theme.primary },
+                    saving && styles.buttonDisabled,
+                  ]}
+                  onPress={handleSave}
+                  disabled={saving}
+                >
+                  {saving ? (
+                    <ActivityIndicator color="#fff" />
+                  ) : (
+                    <Text style={styles.buttonText}>
+                      {editingVenue ? "Update" : "Add"}
+                    </Text>
+                  )}
+                </TouchableOpacity>
+              </View>
+            </ScrollView>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  content: {
+    flex: 1,
+    padding: 15,
+  },
+  loader: {
+    marginTop: 30,
+  },
+  addButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    padding: 12,
+    borderRadius: 8,
+    marginBottom: 15,
+  },
+  emptyState: {
+    alignItems: "center",
+    padding: 30,
+  },
+  emptyText: {
+    fontSize: 15,
+    fontFamily: FONTS.body,
+    textAlign: "center",
+    marginTop: 10,
+  },
+  card: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    padding: 15,
+    borderRadius: 12,
+    marginBottom: 10,
+    elevation: 2,
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  cardInfo: {
+    flex: 1,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontFamily: FONTS.bodyBold,
+    marginBottom: 4,
+  },
+  cardSubtitle: {
+    fontSize: 13,
+    fontFamily: FONTS.body,
+    marginTop: 2,
+  },
+  iconButton: {
+    padding: 6,
+  },
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.5)",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  modalContent: {
+    backgroundColor: "#fff",
+    borderRadius: 12,
+    padding: 20,
+    width: "90%",
+    maxWidth: 400,
+    maxHeight: "85%",
+  },
+  modalTitle: {
+    fontSize: 20,
+    fontWeight: "bold",
+    color: COLORS.text,
+    marginBottom: 20,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: COLORS.text,
+    marginTop: 15,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: COLORS.gray[300],
+    borderRadius: 8,
+    padding: 12,
+    fontSize: 16,
+  },
+  multilineInput: {
+    minHeight: 60,
+  },
+  helperText: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  chips: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: "600",
+  },
+  modalButtons: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    marginTop: 20,
+  },
+  modalButton: {
+    flex: 1,
+    padding: 12,
+    borderRadius: 8,
+    alignItems: "center",
+    marginHorizontal: 5,
+  },
+  cancelButton: {
+    backgroundColor: COLORS.warning,
+  },
+  buttonText: {
+    color: "#fff",
+    fontSize: 16,
+    fontWeight: "600",
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+});
+
+export default VenuesScreen;
@@ -8,6 +8,21 @@ export { default as LiveMatchScreen } from "./LiveMatchScreen";
 export { default as EditMatchScreen } from "./EditMatchScreen";
 export { default as AddMatchScreen } from "./AddMatchScreen";
 export { default as AddTeamScreen } from "./AddTeamScreen";
+export { default as LineupScreen } from "./LineupScreen";
+export { default as NewSeasonScreen } from "./NewSeasonScreen";
+export { default as CompetitionsScreen } from "./CompetitionsScreen";
+export { default as CompetitionTableScreen } from "./CompetitionTableScreen";
+export { default as OpponentsScreen } from "./OpponentsScreen";
+export { default as HeadToHeadScreen } from "./HeadToHeadScreen";
+export { default as VenuesScreen } from "./VenuesScreen";
+export { default as TrainingScreen } from "./TrainingScreen";
+export { default as TrainingAttendanceScreen } from "./TrainingAttendanceScreen";
+export { default as AttendanceReportScreen } from "./AttendanceReportScreen";
+export { default as TeamMembersScreen } from "./TeamMembersScreen";
+export { default as JoinTeamScreen } from "./JoinTeamScreen";
+export { default as PlayerGuardiansScreen } from "./PlayerGuardiansScreen";
+export { default as GuardianHomeScreen } from "./GuardianHomeScreen";
+export { default as RecentlyDeletedScreen } from "./RecentlyDeletedScreen";
 export { default as SettingsScreen } from "./SettingsScreen";
 export { default as SignInScreen } from "./SignInScreen";
 export { default as SignUpScreen } from "./SignUpScreen";
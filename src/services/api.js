@@ -97,6 +97,30 @@ export const playerApi = {
   async delete(id) {
     return apiClient.delete(`/players/${id}`);
   },
+
+  // Current and past squads, newest first
+  async getTeams(id) {
+    return apiClient.get(`/players/${id}/teams`);
+  },
+
+  // With transfer: true the new team replaces the player's main team
+  async addToTeam(id, data) {
+    return apiClient.post(`/players/${id}/teams`, data);
+  },
+
+  async updateTeamMembership(id, teamId, data) {
+    return apiClient.put(`/players/${id}/teams/${teamId}`, data);
+  },
+
+  // The spell stays in the player's history
+  async removeFromTeam(id, teamId) {
+    return apiClient.delete(`/players/${id}/teams/${teamId}`);
+  },
+
+  // The duplicate's stats and match references move to the player
+  async merge(id, duplicateId) {
+    return apiClient.post(`/players/${id}/merge`, { duplicateId });
+  },
 };
 
 // Team API
@@ -127,6 +151,72 @@ export const teamApi = {
   },
 };
 
+// Team Members API
+export const teamMemberApi = {
+  async getAll(teamId) {
+    return apiClient.get(`/teams/${teamId}/members`);
+  },
+
+  async updateRole(teamId, memberId, role) {
+    return apiClient.put(`/teams/${teamId}/members/${memberId}`, { role });
+  },
+
+  // Owners remove other members; anyone can remove themselves to leave
+  async remove(teamId, memberId) {
+    return apiClient.delete(`/teams/${teamId}/members/${memberId}`);
+  },
+};
+
+// Team Invitations API
+export const invitationApi = {
+  async getForTeam(teamId) {
+    return apiClient.get(`/teams/${teamId}/invitations`);
+  },
+
+  // Without an email, share the returned inviteUrl instead
+  async create(teamId, data) {
+    return apiClient.post(`/teams/${teamId}/invitations`, data);
+  },
+
+  async revoke(teamId, invitationId) {
+    return apiClient.delete(`/teams/${teamId}/invitations/${invitationId}`);
+  },
+
+  async preview(token) {
+    return apiClient.get(`/invitations/${encodeURIComponent(token)}`);
+  },
+
+  async accept(token) {
+    return apiClient.post(`/invitations/${encodeURIComponent(token)}`);
+  },
+};
+
+// Guardians API
+export const guardianApi = {
+  // The user's linked players with their teams' fixtures and results
+  async getOverview() {
+    return apiClient.get("/guardian");
+  },
+
+  // A linked player with their matches, showing only their own stats
+  async getPlayer(playerId) {
+    return apiClient.get(`/guardian/players/${playerId}`);
+  },
+
+  async getForPlayer(playerId) {
+    return apiClient.get(`/players/${playerId}/guardians`);
+  },
+
+  // Without an email, share the returned inviteUrl instead
+  async invite(playerId, data) {
+    return apiClient.post(`/players/${playerId}/guardians`, data);
+  },
+
+  async remove(playerId, guardianId) {
+    return apiClient.delete(`/players/${playerId}/guardians/${guardianId}`);
+  },
+};
+
 // Match API
 export const matchApi = {
   async getAll(teamId = null, options = {}) {
@@ -137,6 +227,9 @@ export const matchApi = {
     if (options.isFinished !== undefined) {
       params.isFinished = options.isFinished;
     }
+    if (options.seasonId) {
+      params.seasonId = options.seasonId;
+    }
     if (options.matchType) {
       params.matchType = options.matchType;
     }
@@ -160,12 +253,328 @@ export const matchApi = {
     return apiClient.post("/matches", data);
   },
 
+  // scope: "series" to apply to the rest of the match's series too
+  async update(id, data, scope) {
+    const params = {};
+    if (scope) {
+      params.scope = scope;
+    }
+    return apiClient.put(`/matches/${id}`, data, { params });
+  },
+
+  async delete(id, scope) {
+    const params = {};
+    if (scope) {
+      params.scope = scope;
+    }
+    return apiClient.delete(`/matches/${id}`, { params });
+  },
+};
+
+// Match Events API
+export const matchEventApi = {
+  async getAll(matchId) {
+    return apiClient.get(`/matches/${matchId}/events`);
+  },
+
+  async create(matchId, data) {
+    return apiClient.post(`/matches/${matchId}/events`, data);
+  },
+
+  async replaceAll(matchId, events) {
+    return apiClient.put(`/matches/${matchId}/events`, { events });
+  },
+
+  async update(matchId, eventId, data) {
+    return apiClient.put(`/matches/${matchId}/events/${eventId}`, data);
+  },
+
+  async delete(matchId, eventId) {
+    return apiClient.delete(`/matches/${matchId}/events/${eventId}`);
+  },
+};
+
+// Live Match API (multi-device co-scoring)
+export const liveMatchApi = {
+  async get(matchId) {
+    return apiClient.get(`/matches/${matchId}/live`);
+  },
+
+  async push(matchId, changes) {
+    return apiClient.post(`/matches/${matchId}/live`, changes);
+  },
+
+  async end(matchId) {
+    return apiClient.delete(`/matches/${matchId}/live`);
+  },
+};
+
+// Public Scoreboard Share API
+export const scoreboardShareApi = {
+  async get(matchId) {
+    return apiClient.get(`/matches/${matchId}/share`);
+  },
+
+  async enable(matchId, regenerate = false) {
+    return apiClient.post(`/matches/${matchId}/share`, { regenerate });
+  },
+
+  async revoke(matchId) {
+    return apiClient.delete(`/matches/${matchId}/share`);
+  },
+};
+
+// Availability API (who can make an upcoming match)
+export const availabilityApi = {
+  async getForMatch(matchId) {
+    return apiClient.get(`/matches/${matchId}/availability`);
+  },
+
+  // Asks players' guardians by push and/or email { playerIds?, push, email }
+  async request(matchId, data) {
+    return apiClient.post(`/matches/${matchId}/availability`, data);
+  },
+
+  async respond(matchId, playerId, status) {
+    return apiClient.put(`/matches/${matchId}/availability`, {
+      playerId,
+      status,
+    });
+  },
+};
+
+// Penalty Shootout API (cup ties level after normal time)
+export const penaltyShootoutApi = {
+  async get(matchId) {
+    return apiClient.get(`/matches/${matchId}/shootout`);
+  },
+
+  async save(matchId, kicks) {
+    return apiClient.put(`/matches/${matchId}/shootout`, { kicks });
+  },
+
+  async remove(matchId) {
+    return apiClient.delete(`/matches/${matchId}/shootout`);
+  },
+};
+
+// Formations API (saved per team)
+export const formationApi = {
+  async getForTeam(teamId) {
+    return apiClient.get(`/teams/${teamId}/formations`);
+  },
+
+  async create(teamId, data) {
+    return apiClient.post(`/teams/${teamId}/formations`, data);
+  },
+
   async update(id, data) {
-    return apiClient.put(`/matches/${id}`, data);
+    return apiClient.put(`/formations/${id}`, data);
   },
 
   async delete(id) {
-    return apiClient.delete(`/matches/${id}`);
+    return apiClient.delete(`/formations/${id}`);
+  },
+};
+
+// Seasons API (per team)
+export const seasonApi = {
+  async getForTeam(teamId) {
+    return apiClient.get(`/teams/${teamId}/seasons`);
+  },
+
+  async create(teamId, data) {
+    return apiClient.post(`/teams/${teamId}/seasons`, data);
+  },
+
+  // Ends the running season and keeps only data.playerIds in the squad
+  async startNew(teamId, data) {
+    return apiClient.post(`/teams/${teamId}/seasons/rollover`, data);
+  },
+
+  async update(id, data) {
+    return apiClient.put(`/seasons/${id}`, data);
+  },
+
+  async delete(id) {
+    return apiClient.delete(`/seasons/${id}`);
+  },
+};
+
+// Competitions API (leagues and cups per team)
+export const competitionApi = {
+  async getForTeam(teamId, seasonId) {
+    const params = {};
+    if (seasonId) {
+      params.seasonId = seasonId;
+    }
+    return apiClient.get(`/teams/${teamId}/competitions`, { params });
+  },
+
+  async get(id) {
+    return apiClient.get(`/competitions/${id}`);
+  },
+
+  async create(teamId, data) {
+    return apiClient.post(`/teams/${teamId}/competitions`, data);
+  },
+
+  async update(id, data) {
+    return apiClient.put(`/competitions/${id}`, data);
+  },
+
+  async delete(id) {
+    return apiClient.delete(`/competitions/${id}`);
+  },
+
+  async getTable(id) {
+    return apiClient.get(`/competitions/${id}/table`);
+  },
+
+  // Results between two other clubs in the competition
+  async addResult(id, data) {
+    return apiClient.post(`/competitions/${id}/results`, data);
+  },
+
+  async updateResult(id, resultId, data) {
+    return apiClient.put(`/competitions/${id}/results/${resultId}`, data);
+  },
+
+  async deleteResult(id, resultId) {
+    return apiClient.delete(`/competitions/${id}/results/${resultId}`);
+  },
+};
+
+// Training API
+export const trainingApi = {
+  async getForTeam(teamId, upcoming = false) {
+    const params = {};
+    if (upcoming) {
+      params.upcoming = true;
+    }
+    return apiClient.get(`/teams/${teamId}/training`, { params });
+  },
+
+  async get(id) {
+    return apiClient.get(`/training/${id}`);
+  },
+
+  async create(teamId, data) {
+    return apiClient.post(`/teams/${teamId}/training`, data);
+  },
+
+  // scope: "series" to apply to the rest of the session's series too
+  async update(id, data, scope) {
+    const params = {};
+    if (scope) {
+      params.scope = scope;
+    }
+    return apiClient.put(`/training/${id}`, data, { params });
+  },
+
+  async delete(id, scope) {
+    const params = {};
+    if (scope) {
+      params.scope = scope;
+    }
+    return apiClient.delete(`/training/${id}`, { params });
+  },
+
+  // attendance: [{ playerId, attended }]
+  async saveAttendance(id, attendance) {
+    return apiClient.put(`/training/${id}/attendance`, { attendance });
+  },
+
+  async getAttendanceReport(teamId, seasonId) {
+    const params = {};
+    if (seasonId) {
+      params.seasonId = seasonId;
+    }
+    return apiClient.get(`/teams/${teamId}/attendance`, { params });
+  },
+};
+
+// Opponents API
+export const opponentApi = {
+  // With teamId, the team owner's opponents (shared with its members)
+  async getAll(search, teamId) {
+    const params = {};
+    if (search) {
+      params.search = search;
+    }
+    if (teamId) {
+      params.teamId = teamId;
+    }
+    return apiClient.get("/opponents", { params });
+  },
+
+  async get(id) {
+    return apiClient.get(`/opponents/${id}`);
+  },
+
+  async create(data) {
+    return apiClient.post("/opponents", data);
+  },
+
+  // Adding another opponent's name to aliases merges it into this one
+  async update(id, data) {
+    return apiClient.put(`/opponents/${id}`, data);
+  },
+
+  async delete(id) {
+    return apiClient.delete(`/opponents/${id}`);
+  },
+
+  async getHeadToHead(id, teamId) {
+    const params = {};
+    if (teamId) {
+      params.teamId = teamId;
+    }
+    return apiClient.get(`/opponents/${id}/head-to-head`, { params });
+  },
+};
+
+// Venues API
+export const venueApi = {
+  // With teamId, the team owner's venues (shared with its members)
+  async getAll(teamId) {
+    const params = {};
+    if (teamId) {
+      params.teamId = teamId;
+    }
+    return apiClient.get("/venues", { params });
+  },
+
+  async get(id) {
+    return apiClient.get(`/venues/${id}`);
+  },
+
+  async create(data) {
+    return apiClient.post("/venues", data);
+  },
+
+  async update(id, data) {
+    return apiClient.put(`/venues/${id}`, data);
+  },
+
+  async delete(id) {
+    return apiClient.delete(`/venues/${id}`);
+  },
+};
+
+// Trash API (deleted teams, players and matches)
+export const trashApi = {
+  async getAll() {
+    return apiClient.get("/trash");
+  },
+
+  // type is "team", "player" or "match"
+  async restore(type, id) {
+    return apiClient.post(`/trash/${type}/${id}`);
+  },
+
+  async deleteForever(type, id) {
+    return apiClient.delete(`/trash/${type}/${id}`);
   },
 };
 
@@ -197,8 +606,11 @@ export const statsApi = {
 
 // Dashboard API (combined data for HomeScreen)
 export const dashboardApi = {
-  async getHomeData(teamId) {
+  async getHomeData(teamId, seasonId = null) {
     const params = teamId ? { teamId } : {};
+    if (teamId && seasonId) {
+      params.seasonId = seasonId;
+    }
     return apiClient.get("/dashboard", { params });
   },
 };
@@ -1,26 +1,348 @@
 // Type definitions for MatchTracker Mobile App
 
+export interface PeriodFormat {
+  periods: number;
+  periodMinutes: number;
+  breakMinutes: number;
+  extraTimePeriods: number;
+  extraTimeMinutes: number;
+}
+
+export interface PlayingPeriod {
+  start: number;
+  end: number | null;
+  period?: number;
+  slotId?: string;
+  position?: string;
+}
+
+export interface FormationSlot {
+  id: string;
+  label: string;
+  x: number;
+  y: number;
+}
+
+export interface Formation {
+  id: string;
+  name: string;
+  shape: string;
+  slots: FormationSlot[];
+  teamId: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface Season {
+  id: string;
+  name: string;
+  startDate: string;
+  endDate: string;
+  teamId: string;
+  createdAt: string;
+  updatedAt: string;
+  _count?: { matches: number };
+}
+
+export type MatchType = 'league' | 'cup' | 'friendly';
+
+export interface Competition {
+  id: string;
+  name: string;
+  type: 'league' | 'cup';
+  pointsForWin: number;
+  pointsForDraw: number;
+  pointsForLoss: number;
+  opponents: string[];
+  teamId: string;
+  seasonId?: string | null;
+  createdAt: string;
+  updatedAt: string;
+  results?: CompetitionResult[];
+  _count?: { matches: number; results: number };
+}
+
+// A result between two other clubs in a competition
+export interface CompetitionResult {
+  id: string;
+  homeTeam: string;
+  awayTeam: string;
+  homeGoals: number;
+  awayGoals: number;
+  date: string;
+  competitionId: string;
+}
+
+export interface CompetitionTableRow {
+  position: number;
+  name: string;
+  isOwnTeam: boolean;
+  played: number;
+  won: number;
+  drawn: number;
+  lost: number;
+  goalsFor: number;
+  goalsAgainst: number;
+  goalDifference: number;
+  points: number;
+}
+
+export interface TrainingAttendance {
+  playerId: string;
+  attended: boolean;
+  updatedAt: string;
+}
+
+export interface TrainingSession {
+  id: string;
+  date: string;
+  location?: string | null;
+  focus?: string | null;
+  notes?: string | null;
+  teamId: string;
+  seriesId?: string | null; // Set when generated from a repeating series
+  createdAt: string;
+  updatedAt: string;
+  attendance?: TrainingAttendance[]; // Single session only
+  markedCount?: number; // Team lists: players on the register
+  attendedCount?: number;
+}
+
+// A player's row in the team attendance report
+export interface PlayerAttendance {
+  playerId: string;
+  name: string;
+  sessions: number;
+  attended: number;
+  percentage: number | null; // Null until the player is first marked
+}
+
+export interface AttendanceReport {
+  sessionCount: number;
+  players: PlayerAttendance[];
+}
+
+export interface Opponent {
+  id: string;
+  name: string;
+  aliases: string[];
+  primaryColor?: string | null;
+  secondaryColor?: string | null;
+  notes?: string | null;
+  createdAt: string;
+  updatedAt: string;
+  _count?: { matches: number };
+}
+
+export type VenueSurface = 'grass' | 'artificial' | 'indoor';
+
+export interface Venue {
+  id: string;
+  name: string;
+  address?: string | null;
+  pitchNumber?: string | null;
+  surface?: VenueSurface | null;
+  parkingNotes?: string | null;
+  latitude?: number | null;
+  longitude?: number | null;
+  mapsUrl?: string | null;
+  createdAt: string;
+  updatedAt: string;
+  _count?: { matches: number };
+}
+
+export interface HeadToHead {
+  opponent: Opponent;
+  record: {
+    played: number;
+    won: number;
+    drawn: number;
+    lost: number;
+    goalsFor: number;
+    goalsAgainst: number;
+  };
+  lastMeetings: Array<{
+    id: string;
+    date: string;
+    goalsFor: number;
+    goalsAgainst: number;
+    penaltiesFor?: number | null;
+    penaltiesAgainst?: number | null;
+    matchType: MatchType;
+    venue: 'home' | 'away';
+    teamId?: string | null;
+    result: 'win' | 'draw' | 'loss';
+  }>;
+}
+
+export interface MatchLineup {
+  shape: string;
+  slots: FormationSlot[];
+  assignments: Record<string, string>;
+}
+
+export interface TeamStatCounters {
+  shotsOnTarget: number;
+  shotsOffTarget: number;
+  corners: number;
+  freeKicks: number;
+  saves: number;
+}
+
+export interface TeamMatchStats {
+  for: TeamStatCounters;
+  against: TeamStatCounters;
+}
+
+export type TeamRole = 'owner' | 'coach' | 'scorer' | 'viewer';
+
 export interface Team {
   id: string;
   name: string;
+  publicName?: string | null;
+  periodFormat?: PeriodFormat | null;
   userId: string;
+  role?: TeamRole; // The current user's role
   createdAt: string;
   updatedAt: string;
   players?: Player[];
 }
 
+export interface TeamMember {
+  id: string;
+  role: TeamRole;
+  createdAt: string;
+  isCurrentUser: boolean;
+  user: {
+    id: string;
+    name?: string | null;
+    email: string;
+  };
+}
+
+export interface TeamInvitation {
+  id: string;
+  email?: string | null; // Null for link invitations
+  role: Exclude<TeamRole, 'owner'>;
+  token: string;
+  inviteUrl: string;
+  expiresAt: string;
+  createdAt: string;
+}
+
+export interface InvitationPreview {
+  teamName: string;
+  teamAvatar?: string | null;
+  role: Exclude<TeamRole, 'owner'> | 'guardian';
+  invitedByName?: string | null;
+  playerName?: string | null; // Guardian invitations only
+  expiresAt: string;
+}
+
+// A parent or guardian following a player (not a team member)
+export interface PlayerGuardian {
+  id: string;
+  createdAt: string;
+  user: {
+    id: string;
+    name?: string | null;
+    email: string;
+  };
+}
+
+export interface GuardianInvitation {
+  id: string;
+  email?: string | null; // Null for link invitations
+  token: string;
+  inviteUrl: string;
+  expiresAt: string;
+  createdAt: string;
+  teamId: string;
+}
+
+export type AvailabilityStatus = 'yes' | 'no' | 'maybe';
+
+// A player's answer to an availability request for a match
+export interface PlayerAvailability {
+  id: string;
+  playerId: string;
+  status: AvailabilityStatus | null; // Null until answered
+  requestedAt: string;
+  respondedAt?: string | null;
+  answerUrl?: string; // Coaches only: the link to share with the player
+}
+
+export interface AvailabilityRequestInput {
+  playerIds?: string[]; // Defaults to the whole squad
+  push?: boolean;
+  email?: boolean;
+}
+
+export interface AvailabilityRequestResult {
+  availability: PlayerAvailability[];
+  pushSent: number;
+  emailsSent: number;
+}
+
+export interface GuardianOverview {
+  players: Array<
+    Pick<Player, 'id' | 'name' | 'goals' | 'assists' | 'teamId'> & {
+      team?: { id: string; name: string; avatar?: string | null } | null;
+    }
+  >;
+  // Unfinished, soonest first, with requests for the user's own players
+  fixtures: Array<
+    Match & {
+      availability: Pick<
+        PlayerAvailability,
+        'playerId' | 'status' | 'requestedAt' | 'respondedAt'
+      >[];
+    }
+  >;
+  results: Match[]; // Most recent finished matches
+  isTeamMember: boolean; // False for users who only follow players
+}
+
 export interface Player {
   id: string;
   name: string;
+  publicName?: string | null;
   goals: number;
   assists: number;
+  shirtNumber?: number | null; // 0-99
+  positions?: PlayerPosition[];
+  dateOfBirth?: string | null; // Midnight UTC on the day
+  emergencyContact?: EmergencyContact | null; // Coaches and owners only
+  avatar?: string | null;
   userId: string;
-  teamId?: string;
+  teamId?: string; // Main team
   team?: Team;
+  teamMemberships?: PlayerTeamMembership[]; // Newest first
+  createdAt: string;
+  updatedAt: string;
+}
+
+// A spell in a team's squad; players can be in several at once
+export interface PlayerTeamMembership {
+  id: string;
+  shirtNumber?: number | null; // Falls back to the player's shirtNumber
+  joinedAt: string;
+  leftAt?: string | null; // null while still in the squad
+  playerId: string;
+  teamId: string;
+  team: Pick<Team, 'id' | 'name'>;
   createdAt: string;
   updatedAt: string;
 }
 
+export type PlayerPosition = 'GK' | 'DEF' | 'MID' | 'FWD';
+
+export interface EmergencyContact {
+  name: string;
+  phone: string;
+  relationship?: string | null;
+}
+
 export interface PlayerStat {
   playerId: string;
   playerName: string;
@@ -32,33 +354,85 @@ export interface PlayerMatchStat {
   id: string;
   goals: number;
   assists: number;
+  minutesPlayed?: number;
+  playingPeriods?: PlayingPeriod[] | null;
+  saves?: number;
+  goalsConceded?: number;
+  cleanSheet?: boolean;
   playerId: string;
   matchId: string;
   player: Player;
 }
 
+export type MatchEventType =
+  | 'goal'
+  | 'opponent_goal'
+  | 'yellow_card'
+  | 'red_card'
+  | 'sub_on'
+  | 'sub_off'
+  | 'save';
+
+export interface MatchEvent {
+  id: string;
+  type: MatchEventType;
+  matchSecond: number;
+  period: number;
+  notes?: string;
+  matchId: string;
+  playerId?: string;
+  assistPlayerId?: string;
+  player?: Pick<Player, 'id' | 'name'>;
+  assistPlayer?: Pick<Player, 'id' | 'name'>;
+  createdAt: string;
+  updatedAt: string;
+}
+
+export interface PenaltyKick {
+  id: string;
+  order: number;
+  isOpponent: boolean;
+  scored: boolean;
+  matchId: string;
+  playerId?: string | null;
+  player?: Pick<Player, 'id' | 'name'> | null;
+  createdAt: string;
+}
+
 export interface Match {
   id: string;
   opponent: string;
   date: string;
   goalsFor: number;
   goalsAgainst: number;
+  penaltiesFor?: number | null;
+  penaltiesAgainst?: number | null;
   isFinished: boolean;
-  matchType: 'league' | 'cup';
+  matchType: MatchType;
   venue: 'home' | 'away';
   notes?: string;
   selectedPlayerIds: string[];
   playerStats: PlayerStat[];
+  periodFormat?: PeriodFormat | null;
+  formationId?: string | null;
+  lineup?: MatchLineup | null;
+  teamStats?: TeamMatchStats | null;
   team?: Team;
   userId: string;
   teamId?: string;
+  seasonId?: string | null;
+  competitionId?: string | null;
+  opponentId?: string | null;
+  venueId?: string | null;
+  venueRecord?: Venue | null;
+  seriesId?: string | null; // Set when generated from a repeating series
 }
 
 export interface ScheduledMatch {
   id: string;
   opponent: string;
   date: string;
-  matchType: 'league' | 'cup';
+  matchType: MatchType;
   venue: 'home' | 'away';
   notes?: string;
   selectedPlayerIds: string[];
@@ -68,6 +442,25 @@ export interface ScheduledMatch {
   team?: Team;
 }
 
+export type TrashType = 'team' | 'player' | 'match';
+
+export interface DeletedItem {
+  id: string;
+  name?: string; // Teams and players
+  opponent?: string; // Matches
+  date?: string; // Matches
+  teamName?: string | null; // Players and matches
+  deletedAt: string | null;
+  purgeAt: string | null; // When the daily purge deletes it for good
+}
+
+export interface Trash {
+  teams: DeletedItem[];
+  players: DeletedItem[];
+  matches: DeletedItem[];
+  retentionDays: number;
+}
+
 export interface TeamScore {
   for: number;
   against: number;
@@ -138,12 +531,15 @@ export interface CreateMatchInput {
   date?: string;
   goalsFor?: number;
   goalsAgainst?: number;
-  matchType?: 'league' | 'cup';
+  matchType?: MatchType;
   venue?: 'home' | 'away';
   notes?: string;
   selectedPlayerIds?: string[];
   isFinished?: boolean;
   playerStats?: Array<{ playerId: string; goals?: number; assists?: number }>;
+  seasonId?: string;
+  competitionId?: string;
+  recurrence?: RecurrenceInput; // Repeating fixtures need a teamId
 }
 
 export interface UpdateMatchInput {
@@ -151,12 +547,89 @@ export interface UpdateMatchInput {
   date?: string;
   goalsFor?: number;
   goalsAgainst?: number;
-  matchType?: 'league' | 'cup';
+  matchType?: MatchType;
   venue?: 'home' | 'away';
   notes?: string;
   selectedPlayerIds?: string[];
   isFinished?: boolean;
   playerStats?: Array<{ playerId: string; goals?: number; assists?: number }>;
+  formationId?: string | null;
+  lineup?: MatchLineup | null;
+  teamStats?: Partial<TeamMatchStats> | null;
+  seasonId?: string | null;
+  competitionId?: string | null;
+}
+
+export interface CreateSeasonInput {
+  name: string;
+  startDate: string;
+  endDate: string;
+}
+
+export interface StartSeasonInput extends CreateSeasonInput {
+  playerIds?: string[];
+}
+
+export interface CreateCompetitionInput {
+  name: string;
+  type?: 'league' | 'cup';
+  pointsForWin?: number;
+  pointsForDraw?: number;
+  pointsForLoss?: number;
+  opponents?: string[];
+  seasonId?: string | null;
+}
+
+export interface CompetitionResultInput {
+  homeTeam: string;
+  awayTeam: string;
+  homeGoals: number;
+  awayGoals: number;
+  date?: string;
+}
+
+export interface TrainingSessionInput {
+  date: string;
+  location?: string | null;
+  focus?: string | null;
+  notes?: string | null;
+  recurrence?: RecurrenceInput; // New sessions only
+}
+
+// Repeat rule for a new fixture or training session; give an endDate or a
+// count (at most 52 occurrences either way)
+export interface RecurrenceInput {
+  frequency: 'weekly' | 'fortnightly';
+  daysOfWeek?: number[]; // 0 (Sunday) to 6; defaults to the date's day
+  endDate?: string; // Last day, "YYYY-MM-DD"
+  count?: number;
+  timeZone?: string; // IANA zone occurrences keep their local time in
+}
+
+// Whether an edit or deletion covers one occurrence or the rest of a series
+export type SeriesScope = 'occurrence' | 'series';
+
+export interface OpponentInput {
+  name: string;
+  aliases?: string[];
+  primaryColor?: string | null;
+  secondaryColor?: string | null;
+  notes?: string | null;
+}
+
+export interface VenueInput {
+  name: string;
+  address?: string | null;
+  pitchNumber?: string | null;
+  surface?: VenueSurface | null;
+  parkingNotes?: string | null;
+  latitude?: number | null;
+  longitude?: number | null;
+}
+
+export interface CreateInvitationInput {
+  email?: string;
+  role: Exclude<TeamRole, 'owner'>;
 }
 
 export interface CreateTeamInput {
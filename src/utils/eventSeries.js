@@ -0,0 +1,91 @@
+// Repeating fixtures and training sessions
+//
+// A recurrence is { frequency, daysOfWeek, count } or { frequency,
+// daysOfWeek, endDate } (see backend/lib/eventSeriesService.js). Every
+// occurrence is an ordinary match or training session with a seriesId.
+
+import { Alert } from 'react-native';
+import { RECURRENCE_FREQUENCIES, WEEKDAYS } from '../config/constants';
+import { formatSeasonDate, toSeasonDay } from './seasons';
+
+const DEFAULT_COUNT = 10;
+
+/**
+ * A new weekly rule on the start date's day
+ * @param {Date} startDate - The first occurrence
+ * @returns {Object}
+ */
+export const createRecurrence = (startDate) => ({
+  frequency: 'weekly',
+  daysOfWeek: [startDate.getDay()],
+  count: DEFAULT_COUNT,
+  endDate: null,
+});
+
+/**
+ * Rule to send to the API, repeating at the same local time in the
+ * device's time zone
+ * @param {Object} recurrence - From createRecurrence / RecurrenceEditor
+ * @returns {Object}
+ */
+export const toRecurrencePayload = (recurrence) => ({
+  frequency: recurrence.frequency,
+  daysOfWeek: recurrence.daysOfWeek,
+  ...(recurrence.endDate
+    ? { endDate: toSeasonDay(recurrence.endDate) }
+    : { count: recurrence.count }),
+  timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+});
+
+/**
+ * Describe a rule, e.g. "Weekly on Tue, Thu · 10 times"
+ * @param {Object} recurrence
+ * @returns {string}
+ */
+export const formatRecurrence = (recurrence) => {
+  const frequency = RECURRENCE_FREQUENCIES.find(
+    (option) => option.value === recurrence.frequency
+  );
+  const days = [...recurrence.daysOfWeek]
+    .sort((a, b) => a - b)
+    .map((day) => WEEKDAYS[day])
+    .join(', ');
+  const end = recurrence.endDate
+    ? `until ${formatSeasonDate(toSeasonDay(recurrence.endDate))}`
+    : `${recurrence.count} ${recurrence.count === 1 ? 'time' : 'times'}`;
+
+  return `${frequency?.label || recurrence.frequency} on ${days} · ${end}`;
+};
+
+/**
+ * Ask whether a change to a repeating event covers just this occurrence or
+ * the rest of its series; one-off events skip the question
+ * @param {Object} event - Match or training session (with seriesId)
+ * @param {Object} options - { title, action (e.g. "Delete"), destructive }
+ * @param {Function} onChoose - Called with "occurrence" or "series"
+ */
+export const chooseSeriesScope = (event, options, onChoose) => {
+  if (!event?.seriesId) {
+    onChoose('occurrence');
+    return;
+  }
+
+  const style = options.destructive ? 'destructive' : 'default';
+  Alert.alert(
+    options.title,
+    'This is part of a repeating series. Past events are never changed.',
+    [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: `${options.action} this one`,
+        style,
+        onPress: () => onChoose('occurrence'),
+      },
+      {
+        text: `${options.action} all upcoming`,
+        style,
+        onPress: () => onChoose('series'),
+      },
+    ]
+  );
+};
@@ -0,0 +1,288 @@
+// Formations and positions on the pitch
+//
+// A formation shape lists the outfield lines from defence to attack
+// ("2-3-1" is two defenders, three midfielders and a forward). Its slots are
+// [{ id, label, x, y }] with x and y from 0 to 1: x runs left to right and
+// our goal is at y = 1. A match lineup is { shape, slots, assignments } where
+// assignments maps slot ids to player ids.
+//
+// During a live match each playing period (stint) also records the slot the
+// player filled: { start, end, period, slotId, position }.
+
+export const FORMATION_PRESETS = [
+  '2-2',
+  '2-1-1',
+  '2-3-1',
+  '3-2-1',
+  '3-1-2',
+  '3-3-2',
+  '3-4-1',
+  '4-4-2',
+  '4-3-3',
+  '4-2-3-1',
+  '3-5-2',
+];
+
+export const GOALKEEPER_SLOT_ID = 'gk';
+
+// The goalkeeper's slot in matches without a lineup
+export const GOALKEEPER_SLOT = { id: GOALKEEPER_SLOT_ID, label: 'GK' };
+
+const SHAPE_PATTERN = /^[1-6](-[1-6]){0,4}$/;
+
+// Side prefixes for a line of n players, left to right
+const SIDES = {
+  1: ['C'],
+  2: ['L', 'R'],
+  3: ['L', 'C', 'R'],
+  4: ['L', 'LC', 'RC', 'R'],
+  5: ['L', 'LC', 'C', 'RC', 'R'],
+  6: ['L', 'LC', 'C', 'C', 'RC', 'R'],
+};
+
+/**
+ * Check whether a shape such as "4-4-2" is valid
+ * @param {string} shape
+ * @returns {boolean}
+ */
+export const isValidShape = (shape) =>
+  SHAPE_PATTERN.test(shape || '') && getOutfieldCount(shape) <= 10;
+
+/**
+ * Number of outfield players in a shape
+ * @param {string} shape
+ * @returns {number}
+ */
+export const getOutfieldCount = (shape) =>
+  shape.split('-').reduce((sum, n) => sum + Number(n), 0);
+
+const getRole = (lineIndex, lineCount) => {
+  if (lineIndex === 0) return 'B';
+  if (lineIndex === lineCount - 1) return 'F';
+  // With two or more midfield lines the deepest holds and the highest attacks
+  if (lineCount > 3 && lineIndex === 1) return 'DM';
+  if (lineCount > 3 && lineIndex === lineCount - 2) return 'AM';
+  return 'M';
+};
+
+const getLabel = (side, role, lineSize) => {
+  if (role === 'F' && lineSize === 1) return 'ST';
+  return `${side}${role}`;
+};
+
+/**
+ * Build the default slots for a shape: a goalkeeper plus evenly spaced lines
+ * @param {string} shape - e.g. "2-3-1"
+ * @returns {Array<Object>} - [{ id, label, x, y }]
+ */
+export const buildFormationSlots = (shape) => {
+  const lines = shape.split('-').map(Number);
+  const slots = [{ id: GOALKEEPER_SLOT_ID, label: 'GK', x: 0.5, y: 0.92 }];
+
+  lines.forEach((size, lineIndex) => {
+    const y =
+      lines.length === 1 ? 0.5 : 0.74 - (lineIndex * 0.54) / (lines.length - 1);
+    const role = getRole(lineIndex, lines.length);
+
+    for (let i = 0; i < size; i++) {
+      slots.push({
+        id: `${lineIndex + 1}-${i + 1}`,
+        label: getLabel(SIDES[size][i], role, size),
+        x: Math.round((0.12 + (0.76 * (i + 0.5)) / size) * 1000) / 1000,
+        y: Math.round(y * 1000) / 1000,
+      });
+    }
+  });
+
+  return slots;
+};
+
+/**
+ * Find the slot nearest to a point on the pitch
+ * @param {Array<Object>} slots
+ * @param {number} x - 0 to 1
+ * @param {number} y - 0 to 1
+ * @param {number} maxDistance - Ignore slots further away than this
+ * @returns {Object|null}
+ */
+export const findNearestSlot = (slots, x, y, maxDistance = 0.15) => {
+  let nearest = null;
+  let nearestDistance = maxDistance;
+
+  slots.forEach((slot) => {
+    const distance = Math.hypot(slot.x - x, slot.y - y);
+    if (distance <= nearestDistance) {
+      nearest = slot;
+      nearestDistance = distance;
+    }
+  });
+
+  return nearest;
+};
+
+/**
+ * Move a player into a slot, swapping with whoever is there
+ * @param {Object} assignments - { slotId: playerId }
+ * @param {string} playerId
+ * @param {string|null} slotId - null moves the player to the bench
+ * @returns {Object} - New assignments
+ */
+export const assignPlayerToSlot = (assignments, playerId, slotId) => {
+  const updated = { ...assignments };
+  const fromSlotId = Object.keys(updated).find(
+    (id) => updated[id] === playerId
+  );
+  const displaced = slotId ? updated[slotId] : null;
+
+  if (fromSlotId) delete updated[fromSlotId];
+  if (!slotId) return updated;
+
+  updated[slotId] = playerId;
+  if (displaced && displaced !== playerId && fromSlotId) {
+    updated[fromSlotId] = displaced;
+  }
+  return updated;
+};
+
+/**
+ * Keep assignments for slots that exist in a new shape
+ * Players whose slot has gone are left unassigned.
+ * @param {Object} assignments
+ * @param {Array<Object>} slots
+ * @returns {Object}
+ */
+export const keepAssignmentsForSlots = (assignments, slots) => {
+  const kept = {};
+  slots.forEach((slot) => {
+    if (assignments[slot.id]) kept[slot.id] = assignments[slot.id];
+  });
+  return kept;
+};
+
+/**
+ * Who is in each slot now, from the stints that are still open
+ * @param {Object} playerPeriods - { playerId: [stints] }
+ * @returns {Object} - { slotId: playerId }
+ */
+export const getLiveAssignments = (playerPeriods) => {
+  const assignments = {};
+  Object.keys(playerPeriods).forEach((playerId) => {
+    const stints = playerPeriods[playerId] || [];
+    const last = stints[stints.length - 1];
+    if (last && last.end === null && last.slotId) {
+      assignments[last.slotId] = playerId;
+    }
+  });
+  return assignments;
+};
+
+/**
+ * Who is in goal now, from the stints that are still open
+ * @param {Object} playerPeriods - { playerId: [stints] }
+ * @returns {string|null} - Player ID
+ */
+export const getGoalkeeperId = (playerPeriods) =>
+  getLiveAssignments(playerPeriods)[GOALKEEPER_SLOT_ID] || null;
+
+/**
+ * Pick the slot for a player starting a stint
+ * Prefers the slot they last played, then their lineup slot, then the first
+ * free slot, so a substitute takes the place of the player they replace.
+ * Without a lineup only the goalkeeper's slot is kept.
+ * @param {Object|null} lineup - Match lineup
+ * @param {Object} playerPeriods - { playerId: [stints] } before the new stint
+ * @param {string} playerId
+ * @returns {Object|null} - Slot, or null when there's no slot to fill
+ */
+export const pickSlotForPlayer = (lineup, playerPeriods, playerId) => {
+  const occupied = getLiveAssignments(playerPeriods);
+  const stints = playerPeriods[playerId] || [];
+  const lastSlotId = stints[stints.length - 1]?.slotId;
+
+  if (!lineup?.slots) {
+    return lastSlotId === GOALKEEPER_SLOT_ID && !occupied[GOALKEEPER_SLOT_ID]
+      ? GOALKEEPER_SLOT
+      : null;
+  }
+
+  const isFree = (slotId) =>
+    !!slotId &&
+    !occupied[slotId] &&
+    lineup.slots.some((slot) => slot.id === slotId);
+
+  const lineupSlotId = Object.keys(lineup.assignments || {}).find(
+    (slotId) => lineup.assignments[slotId] === playerId
+  );
+
+  const slotId = [lastSlotId, lineupSlotId].find(isFree);
+  if (slotId) return lineup.slots.find((slot) => slot.id === slotId);
+
+  return lineup.slots.find((slot) => !occupied[slot.id]) || null;
+};
+
+/**
+ * Start a stint, recording the slot it is played in when there is one
+ * @param {Object} stint - { start, end, period }
+ * @param {Object|null} slot
+ * @returns {Object}
+ */
+export const withSlot = (stint, slot) =>
+  slot ? { ...stint, slotId: slot.id, position: slot.label } : stint;
+
+/**
+ * Move a player on the pitch to another slot
+ * The open stint ends now and a new one starts in the new slot, so the
+ * playing periods show how long they played in each position.
+ * @param {Array<Object>} stints - The player's playing periods
+ * @param {Object|null} slot - New slot (null clears the position)
+ * @param {number} nowSecond - Current match clock
+ * @returns {Array<Object>}
+ */
+export const moveStintToSlot = (stints, slot, nowSecond) => {
+  const open = stints[stints.length - 1];
+  if (!open || open.end !== null) return stints;
+
+  const { slotId, position, ...stint } = open;
+
+  // Nothing played in the old slot yet, so just relabel the stint
+  if (open.start >= nowSecond) {
+    return [...stints.slice(0, -1), withSlot(stint, slot)];
+  }
+
+  return [
+    ...stints.slice(0, -1),
+    { ...open, end: nowSecond },
+    withSlot({ start: nowSecond, end: null, period: open.period }, slot),
+  ];
+};
+
+/**
+ * Check whether a player kept goal for any of their playing periods
+ * @param {Array<Object>} periods
+ * @returns {boolean}
+ */
+export const keptGoal = (periods = []) =>
+  periods.some((stint) => stint.slotId === GOALKEEPER_SLOT_ID);
+
+/**
+ * Positions a player played, in order, from their playing periods
+ * @param {Array<Object>} periods
+ * @returns {Array<string>} - e.g. ["CM", "ST"]
+ */
+export const getPositionsPlayed = (periods = []) =>
+  [...new Set(periods.map((stint) => stint.position).filter(Boolean))];
+
+/**
+ * Seconds played in each position from a player's playing periods
+ * @param {Array<Object>} periods - Finished stints
+ * @returns {Object} - { position: seconds }
+ */
+export const getSecondsByPosition = (periods = []) =>
+  periods.reduce((totals, stint) => {
+    if (!stint.position || stint.end === null) return totals;
+    return {
+      ...totals,
+      [stint.position]:
+        (totals[stint.position] || 0) + Math.max(0, stint.end - stint.start),
+    };
+  }, {});
@@ -1,5 +1,7 @@
 // Utility helper functions
 
+import { isInSquad } from './playerProfile';
+
 /**
  * Format date to readable string (DD-MM-YYYY HH:MM)
  * @param {Date|string} date 
@@ -73,16 +75,52 @@ export const calculateWinRate = (wins, total) => {
 
 /**
  * Get match result (win/draw/loss)
+ * A level match with a shootout score is a win or loss on penalties.
  * @param {number} goalsFor 
  * @param {number} goalsAgainst 
+ * @param {number|null} penaltiesFor 
+ * @param {number|null} penaltiesAgainst 
  * @returns {string}
  */
-export const getMatchResult = (goalsFor, goalsAgainst) => {
+export const getMatchResult = (
+  goalsFor,
+  goalsAgainst,
+  penaltiesFor = null,
+  penaltiesAgainst = null
+) => {
   if (goalsFor > goalsAgainst) return 'win';
   if (goalsFor < goalsAgainst) return 'loss';
+  if (penaltiesFor != null && penaltiesAgainst != null) {
+    return penaltiesFor > penaltiesAgainst ? 'win' : 'loss';
+  }
   return 'draw';
 };
 
+/**
+ * Get the result of a match object, including any penalty shootout
+ * @param {Object} match 
+ * @returns {string}
+ */
+export const getMatchOutcome = (match) =>
+  getMatchResult(
+    match.goalsFor,
+    match.goalsAgainst,
+    match.penaltiesFor,
+    match.penaltiesAgainst
+  );
+
+/**
+ * Format a match's shootout score (e.g. "4-3 pens"), or null without one
+ * @param {Object} match 
+ * @returns {string|null}
+ */
+export const formatPenalties = (match) => {
+  if (match?.penaltiesFor == null || match?.penaltiesAgainst == null) {
+    return null;
+  }
+  return `${match.penaltiesFor}-${match.penaltiesAgainst} pens`;
+};
+
 /**
  * Get result color
  * @param {string} result 
@@ -142,13 +180,14 @@ export const getPlayerById = (players, playerId) => {
 };
 
 /**
- * Get players by team ID
+ * Get players in a team's squad (including players whose main team is
+ * another one)
  * @param {Array} players 
  * @param {string} teamId 
  * @returns {Array}
  */
 export const getPlayersByTeamId = (players, teamId) => {
-  return players.filter(p => p.teamId === teamId);
+  return players.filter(p => isInSquad(p, teamId));
 };
 
 /**
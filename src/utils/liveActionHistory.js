@@ -0,0 +1,58 @@
+// Undo and redo for live match actions
+//
+// Every action (score change, goal, assist, card, sub on or off) records a
+// snapshot of the live state taken just before it, with a description for
+// the toast: { description, state }. Undoing restores that snapshot and keeps
+// the state it replaced on the redo stack, so redo is the same step reversed.
+
+export const MAX_HISTORY_ACTIONS = 50;
+
+export const EMPTY_HISTORY = { undo: [], redo: [] };
+
+/**
+ * Record an action, dropping anything that could have been redone
+ * @param {Object} history - { undo, redo }
+ * @param {string} description - e.g. "Goal - Sam Jones"
+ * @param {Object} state - Live state before the action
+ * @returns {Object} - New history
+ */
+export const recordAction = (history, description, state) => ({
+  undo: [...history.undo, { description, state }].slice(-MAX_HISTORY_ACTIONS),
+  redo: [],
+});
+
+const step = (history, from, to, currentState) => {
+  const entry = history[from][history[from].length - 1];
+  if (!entry) return null;
+
+  return {
+    description: entry.description,
+    state: entry.state,
+    history: {
+      [from]: history[from].slice(0, -1),
+      [to]: [
+        ...history[to],
+        { description: entry.description, state: currentState },
+      ],
+    },
+  };
+};
+
+/**
+ * Step back one action
+ * @param {Object} history
+ * @param {Object} currentState - Live state now, kept for redo
+ * @returns {Object|null} - { description, state, history } where state is
+ *   the snapshot to restore, or null when there is nothing to undo
+ */
+export const undoAction = (history, currentState) =>
+  step(history, 'undo', 'redo', currentState);
+
+/**
+ * Step forward again after an undo
+ * @param {Object} history
+ * @param {Object} currentState - Live state now, kept for undo
+ * @returns {Object|null} - { description, state, history }
+ */
+export const redoAction = (history, currentState) =>
+  step(history, 'redo', 'undo', currentState);
@@ -0,0 +1,123 @@
+/**
+ * Live Match Session Storage
+ *
+ * Persists in-progress LiveMatchScreen state to AsyncStorage so a match
+ * survives the app being killed or restarted:
+ * - Timer (running flag, start timestamp, accumulated seconds)
+ * - Current period and break state
+ * - Score, player stats and event log
+ * - Playing players and playing periods
+ * - Substitution plan
+ */
+
+import AsyncStorage from "@react-native-async-storage/async-storage";
+
+const SESSION_PREFIX = "@live_match_";
+
+const getSessionKey = (matchId) => `${SESSION_PREFIX}${matchId}`;
+
+/**
+ * Save the live state for a match
+ * @param {string} matchId
+ * @param {Object} state - LiveMatchScreen state; `playingPlayers` may be a Set
+ */
+export const saveLiveMatchSession = async (matchId, state) => {
+  try {
+    const session = {
+      ...state,
+      matchId,
+      playingPlayers: Array.from(state.playingPlayers || []),
+      savedAt: Date.now(),
+    };
+    await AsyncStorage.setItem(getSessionKey(matchId), JSON.stringify(session));
+  } catch (error) {
+    console.error("Failed to save live match session:", error);
+  }
+};
+
+/**
+ * Load the saved live state for a match
+ * @param {string} matchId
+ * @returns {Object|null} - Session with `playingPlayers` restored as a Set
+ */
+export const loadLiveMatchSession = async (matchId) => {
+  try {
+    const value = await AsyncStorage.getItem(getSessionKey(matchId));
+    if (!value) return null;
+
+    const session = JSON.parse(value);
+    return {
+      ...session,
+      playingPlayers: new Set(session.playingPlayers || []),
+    };
+  } catch (error) {
+    console.error("Failed to load live match session:", error);
+    return null;
+  }
+};
+
+/**
+ * Remove the saved live state for a match
+ * @param {string} matchId
+ */
+export const clearLiveMatchSession = async (matchId) => {
+  try {
+    await AsyncStorage.removeItem(getSessionKey(matchId));
+  } catch (error) {
+    console.error("Failed to clear live match session:", error);
+  }
+};
+
+/**
+ * Get the current match clock for a saved session
+ * Running timers keep counting from their start timestamp while the app is closed.
+ * @param {Object} session
+ * @returns {number} - Match clock in seconds
+ */
+export const getSessionMatchSeconds = (session) => {
+  if (session.isTimerRunning && session.timerStartTime) {
+    return (
+      (session.accumulatedSeconds || 0) +
+      Math.floor((Date.now() - session.timerStartTime) / 1000)
+    );
+  }
+  return session.matchSeconds || 0;
+};
+
+/**
+ * Get summaries of all saved live match sessions, most recent first
+ * @returns {Array} - [{ matchId, opponent, goalsFor, goalsAgainst, matchSeconds, isTimerRunning, savedAt }]
+ */
+export const getLiveMatchSessions = async () => {
+  try {
+    const keys = await AsyncStorage.getAllKeys();
+    const sessionKeys = keys.filter((key) => key.startsWith(SESSION_PREFIX));
+    if (sessionKeys.length === 0) return [];
+
+    const entries = await AsyncStorage.multiGet(sessionKeys);
+    const sessions = [];
+
+    entries.forEach(([key, value]) => {
+      if (!value) return;
+      try {
+        const session = JSON.parse(value);
+        sessions.push({
+          matchId: session.matchId,
+          opponent: session.opponent,
+          goalsFor: session.goalsFor || 0,
+          goalsAgainst: session.goalsAgainst || 0,
+          matchSeconds: getSessionMatchSeconds(session),
+          isTimerRunning: session.isTimerRunning || false,
+          savedAt: session.savedAt,
+        });
+      } catch (parseError) {
+        console.error(`Invalid live match session ${key}:`, parseError);
+      }
+    });
+
+    return sessions.sort((a, b) => b.savedAt - a.savedAt);
+  } catch (error) {
+    console.error("Failed to get live match sessions:", error);
+    return [];
+  }
+};
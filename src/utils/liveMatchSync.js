@@ -0,0 +1,170 @@
+// Live match sync helpers (multi-device co-scoring)
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { MATCH_EVENT_TYPES } from '../config/constants';
+
+const DEVICE_ID_KEY = '@device_id';
+
+/**
+ * Get a stable ID for this install, used to break sync ties between devices
+ * @returns {Promise<string>}
+ */
+export const getDeviceId = async () => {
+  try {
+    const existing = await AsyncStorage.getItem(DEVICE_ID_KEY);
+    if (existing) return existing;
+
+    const deviceId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+    await AsyncStorage.setItem(DEVICE_ID_KEY, deviceId);
+    return deviceId;
+  } catch (error) {
+    console.error('Error loading device ID:', error);
+    return `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+  }
+};
+
+/**
+ * Give server events the localId the live screen keys them by
+ * @param {Array} events - Events from the API
+ * @returns {Array}
+ */
+export const withLocalIds = (events) => {
+  return events.map((event) => ({
+    ...event,
+    localId: event.clientId || event.id,
+  }));
+};
+
+/**
+ * Map a local event onto the fields the sync endpoint accepts
+ * @param {Object} event
+ * @returns {Object}
+ */
+export const toSyncEvent = (event) => ({
+  clientId: event.localId,
+  type: event.type,
+  matchSecond: event.matchSecond,
+  period: event.period,
+  playerId: event.playerId,
+  assistPlayerId: event.assistPlayerId,
+  notes: event.notes,
+});
+
+/**
+ * Work out which local event changes the server hasn't seen yet
+ * @param {Array} localEvents - Current local log
+ * @param {Array} syncedEvents - Log as last confirmed by the server
+ * @returns {Object} - { added, updated, removed }
+ */
+export const diffEvents = (localEvents, syncedEvents) => {
+  const synced = new Map(syncedEvents.map((event) => [event.localId, event]));
+  const localIds = new Set(localEvents.map((event) => event.localId));
+
+  const added = [];
+  const updated = [];
+  localEvents.forEach((event) => {
+    const previous = synced.get(event.localId);
+    if (!previous) {
+      added.push(toSyncEvent(event));
+    } else if (
+      (previous.assistPlayerId || null) !== (event.assistPlayerId || null) ||
+      (previous.notes || null) !== (event.notes || null)
+    ) {
+      updated.push({
+        clientId: event.localId,
+        assistPlayerId: event.assistPlayerId || null,
+        notes: event.notes || null,
+      });
+    }
+  });
+
+  const removed = syncedEvents
+    .filter((event) => !localIds.has(event.localId))
+    .map((event) => event.localId);
+
+  return { added, updated, removed };
+};
+
+/**
+ * Merge the server's event log with local changes made while the push was in flight
+ * @param {Array} serverEvents - Merged log from the server (with localIds)
+ * @param {Array} sentEvents - Local log at the moment the push was sent
+ * @param {Array} currentEvents - Local log now
+ * @returns {Array}
+ */
+export const mergeServerEvents = (serverEvents, sentEvents, currentEvents) => {
+  const sentIds = new Set(sentEvents.map((event) => event.localId));
+  const currentIds = new Set(currentEvents.map((event) => event.localId));
+
+  const kept = serverEvents.filter(
+    (event) => !sentIds.has(event.localId) || currentIds.has(event.localId)
+  );
+  const keptIds = new Set(kept.map((event) => event.localId));
+  const addedSince = currentEvents.filter(
+    (event) => !sentIds.has(event.localId) && !keptIds.has(event.localId)
+  );
+
+  return [...kept, ...addedSince];
+};
+
+/**
+ * Check whether the server log contains changes made on another device
+ * @param {Array} serverEvents
+ * @param {Array} sentEvents
+ * @returns {boolean}
+ */
+export const hasRemoteEventChanges = (serverEvents, sentEvents) => {
+  if (serverEvents.length !== sentEvents.length) return true;
+
+  const sent = new Map(sentEvents.map((event) => [event.localId, event]));
+  return serverEvents.some((event) => {
+    const local = sent.get(event.localId);
+    return (
+      !local ||
+      (local.assistPlayerId || null) !== (event.assistPlayerId || null)
+    );
+  });
+};
+
+/**
+ * Count the score from goal events
+ * @param {Array} events
+ * @returns {Object} - { goalsFor, goalsAgainst }
+ */
+export const getScoreFromEvents = (events) => ({
+  goalsFor: events.filter((event) => event.type === MATCH_EVENT_TYPES.GOAL)
+    .length,
+  goalsAgainst: events.filter(
+    (event) => event.type === MATCH_EVENT_TYPES.OPPONENT_GOAL
+  ).length,
+});
+
+/**
+ * Derive per-player goals, assists and cards from events
+ * @param {Array} events
+ * @param {Array} playerIds - Players to include even without events
+ * @returns {Object} - { [playerId]: { goals, assists, yellowCards, redCard } }
+ */
+export const getPlayerStatsFromEvents = (events, playerIds = []) => {
+  const stats = {};
+  const ensure = (playerId) => {
+    if (!stats[playerId]) {
+      stats[playerId] = { goals: 0, assists: 0, yellowCards: 0, redCard: false };
+    }
+    return stats[playerId];
+  };
+
+  playerIds.forEach(ensure);
+  events.forEach((event) => {
+    if (event.type === MATCH_EVENT_TYPES.GOAL) {
+      if (event.playerId) ensure(event.playerId).goals += 1;
+      if (event.assistPlayerId) ensure(event.assistPlayerId).assists += 1;
+    } else if (event.type === MATCH_EVENT_TYPES.YELLOW_CARD) {
+      ensure(event.playerId).yellowCards += 1;
+    } else if (event.type === MATCH_EVENT_TYPES.RED_CARD) {
+      ensure(event.playerId).redCard = true;
+    }
+  });
+
+  return stats;
+};
@@ -0,0 +1,103 @@
+// Match event log helpers
+
+import { MATCH_EVENT_TYPES } from '../config/constants';
+
+/**
+ * Create a new match event for the live log
+ * @param {string} type - One of MATCH_EVENT_TYPES
+ * @param {number} matchSecond - Match clock in seconds
+ * @param {Object} fields - { playerId, assistPlayerId, period, notes }
+ * @returns {Object}
+ */
+export const createMatchEvent = (type, matchSecond, fields = {}) => ({
+  localId: `${Date.now()}-${Math.random().toString(36).substr(2, 6)}`,
+  type,
+  matchSecond: Math.max(0, Math.floor(matchSecond)),
+  period: fields.period || 1,
+  playerId: fields.playerId || null,
+  assistPlayerId: fields.assistPlayerId || null,
+  notes: fields.notes || null,
+  createdAt: new Date().toISOString(),
+});
+
+/**
+ * Sort events chronologically (period, clock, then recording order)
+ * @param {Array} events
+ * @returns {Array}
+ */
+export const sortMatchEvents = (events) => {
+  return [...events].sort(
+    (a, b) =>
+      (a.period || 1) - (b.period || 1) ||
+      a.matchSecond - b.matchSecond ||
+      new Date(a.createdAt) - new Date(b.createdAt)
+  );
+};
+
+/**
+ * Format match clock seconds as a football minute (e.g. 0:30 -> 1')
+ * @param {number} matchSecond
+ * @returns {string}
+ */
+export const formatEventMinute = (matchSecond) => {
+  return `${Math.floor((matchSecond || 0) / 60) + 1}'`;
+};
+
+/**
+ * Get a display label for an event type
+ * @param {string} type
+ * @returns {string}
+ */
+export const getEventLabel = (type) => {
+  switch (type) {
+    case MATCH_EVENT_TYPES.GOAL:
+      return 'Goal';
+    case MATCH_EVENT_TYPES.OPPONENT_GOAL:
+      return 'Opponent goal';
+    case MATCH_EVENT_TYPES.YELLOW_CARD:
+      return 'Yellow card';
+    case MATCH_EVENT_TYPES.RED_CARD:
+      return 'Red card';
+    case MATCH_EVENT_TYPES.SUB_ON:
+      return 'On';
+    case MATCH_EVENT_TYPES.SUB_OFF:
+      return 'Off';
+    case MATCH_EVENT_TYPES.SAVE:
+      return 'Save';
+    default:
+      return type;
+  }
+};
+
+/**
+ * Build a chronological timeline with the running score after each goal
+ * @param {Array} events
+ * @returns {Array} - Events with a `score` ({ for, against }) field
+ */
+export const buildTimeline = (events) => {
+  let goalsFor = 0;
+  let goalsAgainst = 0;
+
+  return sortMatchEvents(events).map((event) => {
+    if (event.type === MATCH_EVENT_TYPES.GOAL) goalsFor += 1;
+    if (event.type === MATCH_EVENT_TYPES.OPPONENT_GOAL) goalsAgainst += 1;
+    return {
+      ...event,
+      score: { for: goalsFor, against: goalsAgainst },
+    };
+  });
+};
+
+/**
+ * Find the most recent event matching a predicate
+ * @param {Array} events
+ * @param {Function} predicate
+ * @returns {Object|null}
+ */
+export const findLastEvent = (events, predicate) => {
+  const sorted = sortMatchEvents(events);
+  for (let i = sorted.length - 1; i >= 0; i--) {
+    if (predicate(sorted[i])) return sorted[i];
+  }
+  return null;
+};
@@ -0,0 +1,156 @@
+// Match period helpers (halves, quarters, extra time and breaks)
+//
+// The match clock runs continuously across periods, football style: each
+// period kicks off at its scheduled start (e.g. the 2nd half of a 2 x 45
+// match starts at 45:00) however much added time the previous one had.
+// Period and break labels match backend/lib/periodFormat.js, which labels
+// the public scoreboard; change both together.
+
+import { DEFAULT_PERIOD_FORMAT } from '../config/constants';
+
+const PERIOD_NAMES = {
+  2: 'half',
+  3: 'third',
+  4: 'quarter',
+};
+
+const ordinal = (n) => {
+  const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+  const lastTwo = n % 100;
+  const suffix =
+    lastTwo >= 11 && lastTwo <= 13 ? 'th' : suffixes[n % 10] || 'th';
+  return `${n}${suffix}`;
+};
+
+/**
+ * Get the period format for a match (match setting, then team, then default)
+ * @param {Object} match - Match with optional `periodFormat` and `team.periodFormat`
+ * @returns {Object} - { periods, periodMinutes, breakMinutes, extraTimePeriods, extraTimeMinutes }
+ */
+export const resolvePeriodFormat = (match) => ({
+  ...DEFAULT_PERIOD_FORMAT,
+  ...(match?.periodFormat || match?.team?.periodFormat || {}),
+});
+
+/**
+ * Total number of periods including extra time
+ * @param {Object} format
+ * @returns {number}
+ */
+export const getTotalPeriods = (format) => {
+  return format.periods + (format.extraTimePeriods || 0);
+};
+
+/**
+ * Check whether a period is part of extra time
+ * @param {Object} format
+ * @param {number} period - 1-based period number
+ * @returns {boolean}
+ */
+export const isExtraTimePeriod = (format, period) => period > format.periods;
+
+/**
+ * Get a display label for a period (e.g. "1st half", "3rd quarter", "ET 2nd half")
+ * @param {Object} format
+ * @param {number} period - 1-based period number
+ * @returns {string}
+ */
+export const getPeriodLabel = (format, period) => {
+  if (isExtraTimePeriod(format, period)) {
+    const extraPeriod = period - format.periods;
+    if (format.extraTimePeriods === 1) return 'Extra time';
+    if (format.extraTimePeriods === 2) return `ET ${ordinal(extraPeriod)} half`;
+    return `ET ${extraPeriod}`;
+  }
+
+  if (format.periods === 1) return 'Match';
+
+  const name = PERIOD_NAMES[format.periods];
+  return name ? `${ordinal(period)} ${name}` : `Period ${period}`;
+};
+
+/**
+ * Get a display label for the break after a period (e.g. "Half-time")
+ * Only breaks between normal time periods have a length (getBreakSeconds),
+ * so the pauses before and within extra time are labelled as the end of a
+ * period: "End of normal time", "End of ET 1st half".
+ * @param {Object} format
+ * @param {number} period - The period that has just ended
+ * @returns {string}
+ */
+export const getBreakLabel = (format, period) => {
+  if (period >= getTotalPeriods(format)) return 'Full time';
+  if (period === format.periods) return 'End of normal time';
+  if (format.periods === 2 && period === 1) return 'Half-time';
+  return `End of ${getPeriodLabel(format, period)}`;
+};
+
+/**
+ * Length of the break after a period in seconds (0 when there is none)
+ * Extra time follows normal time and its own halves without a break.
+ * @param {Object} format
+ * @param {number} period - The period that has just ended
+ * @returns {number}
+ */
+export const getBreakSeconds = (format, period) => {
+  if (period >= format.periods) return 0;
+  return (format.breakMinutes || 0) * 60;
+};
+
+/**
+ * Scheduled length of a period in seconds
+ * @param {Object} format
+ * @param {number} period
+ * @returns {number}
+ */
+export const getPeriodLengthSeconds = (format, period) => {
+  return isExtraTimePeriod(format, period)
+    ? format.extraTimeMinutes * 60
+    : format.periodMinutes * 60;
+};
+
+/**
+ * Match clock second at which a period kicks off
+ * @param {Object} format
+ * @param {number} period
+ * @returns {number}
+ */
+export const getPeriodStartSecond = (format, period) => {
+  if (!isExtraTimePeriod(format, period)) {
+    return (period - 1) * format.periodMinutes * 60;
+  }
+  return (
+    format.periods * format.periodMinutes * 60 +
+    (period - format.periods - 1) * format.extraTimeMinutes * 60
+  );
+};
+
+/**
+ * Describe a period format (e.g. "2 x 45 min, 15 min break")
+ * @param {Object} format
+ * @returns {string}
+ */
+export const formatPeriodFormat = (format) => {
+  let text = `${format.periods} x ${format.periodMinutes} min`;
+  if (format.periods > 1 && format.breakMinutes > 0) {
+    text += `, ${format.breakMinutes} min break`;
+  }
+  if (format.extraTimePeriods > 0) {
+    text += `, extra time ${format.extraTimePeriods} x ${format.extraTimeMinutes} min`;
+  }
+  return text;
+};
+
+/**
+ * Format match clock seconds as MM:SS (minutes keep counting past 60)
+ * @param {number} totalSeconds
+ * @returns {string}
+ */
+export const formatMatchClock = (totalSeconds) => {
+  const seconds = Math.max(0, Math.floor(totalSeconds || 0));
+  const minutes = Math.floor(seconds / 60);
+  return `${String(minutes).padStart(2, '0')}:${String(seconds % 60).padStart(
+    2,
+    '0'
+  )}`;
+};
@@ -0,0 +1,51 @@
+// Penalty shootout helpers for cup ties that end level
+//
+// Kicks are recorded in the order they are taken:
+// { isOpponent, scored, playerId } (playerId is our taker, null for opponents)
+
+export const SHOOTOUT_ROUNDS = 5;
+
+/**
+ * Count scored kicks and kicks taken for each side
+ * @param {Array<Object>} kicks
+ * @returns {Object} - { for, against, takenFor, takenAgainst }
+ */
+export const getShootoutScore = (kicks) =>
+  kicks.reduce(
+    (score, kick) =>
+      kick.isOpponent
+        ? {
+            ...score,
+            against: score.against + (kick.scored ? 1 : 0),
+            takenAgainst: score.takenAgainst + 1,
+          }
+        : {
+            ...score,
+            for: score.for + (kick.scored ? 1 : 0),
+            takenFor: score.takenFor + 1,
+          },
+    { for: 0, against: 0, takenFor: 0, takenAgainst: 0 }
+  );
+
+/**
+ * Check whether a shootout has been decided
+ * During the first rounds a side wins once the other cannot catch up; after
+ * that it goes to sudden death, decided when both sides have taken a kick.
+ * @param {Array<Object>} kicks
+ * @param {number} rounds - Kicks per side before sudden death
+ * @returns {boolean}
+ */
+export const isShootoutDecided = (kicks, rounds = SHOOTOUT_ROUNDS) => {
+  const score = getShootoutScore(kicks);
+  const remainingFor = Math.max(0, rounds - score.takenFor);
+  const remainingAgainst = Math.max(0, rounds - score.takenAgainst);
+
+  if (score.for > score.against + remainingAgainst) return true;
+  if (score.against > score.for + remainingFor) return true;
+
+  return (
+    score.takenFor >= rounds &&
+    score.takenFor === score.takenAgainst &&
+    score.for !== score.against
+  );
+};
@@ -0,0 +1,194 @@
+// Player profiles
+//
+// Besides a name, a player can have a shirt number, preferred positions, a
+// date of birth (stored as midnight UTC, like season days), an emergency
+// contact and a photo (see backend/lib/playerService.js). The emergency
+// contact only comes back for coaches and owners of the player's team.
+//
+// A player can be in several teams' squads, each with its own optional shirt
+// number (`teamMemberships`); `teamId` is their main team.
+
+import { MAX_SHIRT_NUMBER } from '../config/constants';
+import { toLocalDay, toSeasonDay } from './seasons';
+
+/**
+ * Initials for a player without a photo or number, e.g. "JS"
+ * @param {string} name
+ * @returns {string}
+ */
+export const getInitials = (name = '') =>
+  name
+    .split(' ')
+    .filter(Boolean)
+    .map((part) => part[0])
+    .join('')
+    .slice(0, 2)
+    .toUpperCase();
+
+/**
+ * Whether a player has a shirt number (0 is a valid number)
+ * @param {Object} player
+ * @returns {boolean}
+ */
+export const hasShirtNumber = (player) =>
+  player?.shirtNumber !== null && player?.shirtNumber !== undefined;
+
+/**
+ * Age in whole years on a day, for age-group eligibility
+ * @param {Date|string} dateOfBirth - From the server
+ * @param {Date} on - Day to check (defaults to today)
+ * @returns {number|null}
+ */
+export const getAge = (dateOfBirth, on = new Date()) => {
+  if (!dateOfBirth) return null;
+
+  const born = toLocalDay(dateOfBirth);
+  const hadBirthday =
+    on.getMonth() > born.getMonth() ||
+    (on.getMonth() === born.getMonth() && on.getDate() >= born.getDate());
+
+  return on.getFullYear() - born.getFullYear() - (hadBirthday ? 0 : 1);
+};
+
+/**
+ * Editable profile fields for the player form
+ * @param {Object} player - Player being edited, or null for a new one
+ * @returns {Object}
+ */
+export const createProfileForm = (player) => ({
+  shirtNumber: hasShirtNumber(player) ? String(player.shirtNumber) : '',
+  positions: player?.positions || [],
+  dateOfBirth: player?.dateOfBirth ? toLocalDay(player.dateOfBirth) : null,
+  avatar: player?.avatar || null,
+  contactName: player?.emergencyContact?.name || '',
+  contactPhone: player?.emergencyContact?.phone || '',
+  contactRelationship: player?.emergencyContact?.relationship || '',
+});
+
+/**
+ * Check a shirt number typed into a form (blank means none)
+ * @param {string} value
+ * @returns {string|null} - Error message, or null when valid
+ */
+export const validateShirtNumber = (value) => {
+  const shirtNumber = value.trim();
+  if (
+    shirtNumber &&
+    (!/^\d+$/.test(shirtNumber) || Number(shirtNumber) > MAX_SHIRT_NUMBER)
+  ) {
+    return `Shirt number must be from 0 to ${MAX_SHIRT_NUMBER}`;
+  }
+
+  return null;
+};
+
+/**
+ * Check the form before saving
+ * @param {Object} form - From createProfileForm
+ * @returns {string|null} - Error message, or null when valid
+ */
+export const validateProfileForm = (form) => {
+  const shirtNumberError = validateShirtNumber(form.shirtNumber);
+  if (shirtNumberError) return shirtNumberError;
+
+  const hasContact =
+    form.contactName.trim() ||
+    form.contactPhone.trim() ||
+    form.contactRelationship.trim();
+  if (hasContact && (!form.contactName.trim() || !form.contactPhone.trim())) {
+    return 'An emergency contact needs a name and a phone number';
+  }
+
+  return null;
+};
+
+/**
+ * Profile fields to send to the API
+ * The emergency contact is left out when it was and still is empty, so
+ * saving never clears a contact the user wasn't shown.
+ * @param {Object} form - A valid form from createProfileForm
+ * @param {Object} player - Player being edited, or null for a new one
+ * @returns {Object}
+ */
+export const toProfilePayload = (form, player) => {
+  const contactName = form.contactName.trim();
+  const hadContact = !!player?.emergencyContact;
+
+  return {
+    shirtNumber: form.shirtNumber.trim() ? Number(form.shirtNumber) : null,
+    positions: form.positions,
+    dateOfBirth: form.dateOfBirth ? toSeasonDay(form.dateOfBirth) : null,
+    avatar: form.avatar,
+    ...((contactName || hadContact) && {
+      emergencyContact: contactName
+        ? {
+            name: contactName,
+            phone: form.contactPhone.trim(),
+            relationship: form.contactRelationship.trim() || null,
+          }
+        : null,
+    }),
+  };
+};
+
+/**
+ * Spells in squads the player is still in
+ * @param {Object} player
+ * @returns {Array}
+ */
+export const getCurrentMemberships = (player) =>
+  (player?.teamMemberships || []).filter((membership) => !membership.leftAt);
+
+/**
+ * Teams whose squads a player is in now, main team first
+ * @param {Object} player
+ * @returns {Array<string>}
+ */
+export const getSquadTeamIds = (player) => [
+  ...new Set(
+    [
+      player.teamId,
+      ...getCurrentMemberships(player).map((membership) => membership.teamId),
+    ].filter(Boolean)
+  ),
+];
+
+/**
+ * Whether a player is in a team's squad now: their main team, or a squad
+ * they were added to as well
+ * @param {Object} player
+ * @param {string} teamId
+ * @returns {boolean}
+ */
+export const isInSquad = (player, teamId) =>
+  player.teamId === teamId ||
+  getCurrentMemberships(player).some(
+    (membership) => membership.teamId === teamId
+  );
+
+/**
+ * A player's shirt number in a team: the one set for that squad, else the
+ * profile number
+ * @param {Object} player
+ * @param {string} teamId
+ * @returns {number|null}
+ */
+export const getTeamShirtNumber = (player, teamId) =>
+  getCurrentMemberships(player).find(
+    (membership) => membership.teamId === teamId
+  )?.shirtNumber ?? player.shirtNumber;
+
+/**
+ * Players with the shirt numbers they wear for a team, for that team's
+ * squad lists and pitch
+ * @param {Array} players
+ * @param {string|null} teamId - Without a team, profile numbers are kept
+ * @returns {Array}
+ */
+export const withTeamShirtNumbers = (players, teamId) =>
+  teamId
+    ? players.map((player) => ({
+        ...player,
+        shirtNumber: getTeamShirtNumber(player, teamId),
+      }))
+    : players;
@@ -0,0 +1,98 @@
+// Team seasons
+//
+// A season is { id, name, startDate, endDate } with both days included. The
+// server stores the days as midnight UTC (see backend/lib/seasonService.js),
+// so they are read with UTC getters and sent as "YYYY-MM-DD".
+
+const pad = (n) => n.toString().padStart(2, '0');
+
+/**
+ * Local calendar day of a season date from the server
+ * @param {Date|string} date
+ * @returns {Date}
+ */
+export const toLocalDay = (date) => {
+  const d = new Date(date);
+  return new Date(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate());
+};
+
+/**
+ * Day to send to the server
+ * @param {Date} date - Local date (e.g. from a date picker)
+ * @returns {string} - "YYYY-MM-DD"
+ */
+export const toSeasonDay = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+/**
+ * Format a season date (DD-MM-YYYY)
+ * @param {Date|string} date
+ * @returns {string}
+ */
+export const formatSeasonDate = (date) => {
+  const d = toLocalDay(date);
+  return `${pad(d.getDate())}-${pad(d.getMonth() + 1)}-${d.getFullYear()}`;
+};
+
+/**
+ * Season dates for display, e.g. "01-08-2025 to 31-05-2026"
+ * @param {Object} season
+ * @returns {string}
+ */
+export const formatSeasonRange = (season) =>
+  `${formatSeasonDate(season.startDate)} to ${formatSeasonDate(
+    season.endDate
+  )}`;
+
+/**
+ * Season covering a day, or the latest one that has started
+ * @param {Array<Object>} seasons
+ * @param {Date} now
+ * @returns {Object|null}
+ */
+export const getCurrentSeason = (seasons, now = new Date()) => {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const started = seasons
+    .filter((season) => toLocalDay(season.startDate) <= today)
+    .sort((a, b) => new Date(b.startDate) - new Date(a.startDate));
+
+  return (
+    started.find((season) => toLocalDay(season.endDate) >= today) ||
+    started[0] ||
+    null
+  );
+};
+
+/**
+ * Name, start and end for the season after `previous`
+ * The new season starts the day after the previous one ends (or today) and
+ * lasts a year. Names like "2025/26" move on to "2026/27".
+ * @param {Object|null} previous
+ * @param {Date} now
+ * @returns {Object} - { name, startDate, endDate } with local Dates
+ */
+export const suggestNextSeason = (previous, now = new Date()) => {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const previousEnd = previous ? toLocalDay(previous.endDate) : null;
+  const startDate =
+    previousEnd && previousEnd >= today
+      ? new Date(
+          previousEnd.getFullYear(),
+          previousEnd.getMonth(),
+          previousEnd.getDate() + 1
+        )
+      : today;
+  const endDate = new Date(
+    startDate.getFullYear() + 1,
+    startDate.getMonth(),
+    startDate.getDate() - 1
+  );
+
+  const year = startDate.getFullYear();
+  const match = previous?.name.match(/^(\d{4})\/(\d{2})$/);
+  const name = match
+    ? `${Number(match[1]) + 1}/${pad((Number(match[2]) + 1) % 100)}`
+    : `${year}/${pad((year + 1) % 100)}`;
+
+  return { name, startDate, endDate };
+};
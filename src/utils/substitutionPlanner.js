@@ -0,0 +1,210 @@
+// Substitution planner for fair playing time
+//
+// Plans substitutions at regular windows (every few minutes and at each
+// period restart) so every available player in the squad ends up with
+// roughly the same minutes. Minutes are counted on the scheduled clock, so
+// added time is ignored, and extra time is not planned.
+
+import { getPeriodStartSecond } from './matchPeriods';
+
+export const DEFAULT_SUB_INTERVAL_MINUTES = 10;
+
+// No planned subs in the last minute of a period
+const LATE_WINDOW_SECONDS = 60;
+
+/**
+ * Seconds played from a player's playing periods
+ * @param {Array<Object>} periods - [{ start, end }] (open stints have end null)
+ * @param {number} nowSecond - Current match clock
+ * @returns {number}
+ */
+export const getSecondsPlayed = (periods = [], nowSecond) =>
+  periods.reduce(
+    (total, stint) =>
+      total + Math.max(0, (stint.end ?? nowSecond) - stint.start),
+    0
+  );
+
+/**
+ * Substitution windows for a period format
+ * @param {Object} format - Resolved period format
+ * @param {number} intervalMinutes - Minutes between windows within a period
+ * @returns {Array<Object>} - [{ second, period, atPeriodStart }]
+ */
+export const getSubWindows = (format, intervalMinutes) => {
+  const windows = [];
+  const interval = Math.max(1, intervalMinutes) * 60;
+  const length = format.periodMinutes * 60;
+
+  for (let period = 1; period <= format.periods; period++) {
+    const start = getPeriodStartSecond(format, period);
+    if (period > 1) {
+      windows.push({ second: start, period, atPeriodStart: true });
+    }
+    for (
+      let second = start + interval;
+      second <= start + length - LATE_WINDOW_SECONDS;
+      second += interval
+    ) {
+      windows.push({ second, period, atPeriodStart: false });
+    }
+  }
+
+  return windows;
+};
+
+/**
+ * Generate a substitution plan from the current state of a match
+ *
+ * At each window the player on the pitch with the most minutes swaps with
+ * the player on the bench with the fewest, for as long as that evens out
+ * minutes by at least half a window.
+ *
+ * @param {Object} options
+ * @param {Array<string>} options.squadIds - Players in the matchday squad
+ * @param {Array<string>} options.lineupIds - Players on now (empty before kick-off)
+ * @param {Object} options.secondsPlayed - { [playerId]: seconds } so far
+ * @param {Array<string>} options.unavailableIds - Players who are sent off,
+ *   so neither come on nor go off: their side plays a player short
+ * @param {Object} options.format - Resolved period format
+ * @param {number} options.playersOnPitch - Players per side
+ * @param {number} options.intervalMinutes - Minutes between sub windows
+ * @param {number} options.fromPeriod - First period to plan
+ * @param {number} options.fromSecond - First window second within `fromPeriod`
+ * @param {number} options.nowSecond - Match clock the plan starts from
+ * @returns {Object} - { starters, subs, projectedSeconds }
+ */
+export const generateRotationPlan = ({
+  squadIds,
+  lineupIds = [],
+  secondsPlayed = {},
+  unavailableIds = [],
+  format,
+  playersOnPitch,
+  intervalMinutes = DEFAULT_SUB_INTERVAL_MINUTES,
+  fromPeriod = 1,
+  fromSecond = 1,
+  nowSecond = 0,
+}) => {
+  const isAvailable = (id) => !unavailableIds.includes(id);
+  const available = squadIds.filter(isAvailable);
+  const played = {};
+  squadIds.forEach((id) => {
+    played[id] = secondsPlayed[id] || 0;
+  });
+
+  // Before kick-off the players with the fewest minutes so far start
+  const starters =
+    lineupIds.length > 0
+      ? [...lineupIds]
+      : [...available]
+          .sort((a, b) => played[a] - played[b])
+          .slice(0, playersOnPitch);
+  // A sent-off player still shown on is left out of every swap
+  let lineup = starters.filter(isAvailable);
+
+  const threshold = (intervalMinutes * 60) / 2;
+  const endSecond =
+    getPeriodStartSecond(format, format.periods) + format.periodMinutes * 60;
+  const subs = [];
+  let clock = nowSecond;
+
+  const accrueTo = (second) => {
+    const elapsed = Math.max(0, second - clock);
+    lineup.forEach((id) => {
+      played[id] = (played[id] || 0) + elapsed;
+    });
+    // A restart rewinds past any added time to the scheduled kick-off
+    clock = second;
+  };
+
+  getSubWindows(format, intervalMinutes)
+    .filter(
+      (window) =>
+        window.period > fromPeriod ||
+        (window.period === fromPeriod && window.second >= fromSecond)
+    )
+    .forEach((window) => {
+      accrueTo(window.second);
+
+      const swapped = new Set();
+      for (;;) {
+        const off = lineup
+          .filter((id) => !swapped.has(id))
+          .sort((a, b) => played[b] - played[a])[0];
+        const on = available
+          .filter((id) => !lineup.includes(id) && !swapped.has(id))
+          .sort((a, b) => played[a] - played[b])[0];
+
+        if (!off || !on || played[off] - played[on] < threshold) break;
+
+        lineup = lineup.map((id) => (id === off ? on : id));
+        swapped.add(off);
+        swapped.add(on);
+        subs.push({
+          id: `${window.second}-${off}-${on}`,
+          matchSecond: window.second,
+          period: window.period,
+          atPeriodStart: window.atPeriodStart,
+          offId: off,
+          onId: on,
+          status: 'pending',
+        });
+      }
+    });
+
+  accrueTo(endSecond);
+
+  return { starters, subs, projectedSeconds: played };
+};
+
+/**
+ * Planned substitutions that are due now
+ * Subs planned for a restart are due during the break before it.
+ * @param {Object} plan
+ * @param {Object} clock - { matchSeconds, currentPeriod, inBreak }
+ * @returns {Array<Object>}
+ */
+export const getDueSubstitutions = (
+  plan,
+  { matchSeconds, currentPeriod, inBreak }
+) =>
+  (plan?.subs || []).filter(
+    (sub) =>
+      sub.status === 'pending' &&
+      (inBreak
+        ? sub.period <= currentPeriod ||
+          (sub.atPeriodStart && sub.period === currentPeriod + 1)
+        : sub.period < currentPeriod ||
+          (sub.period === currentPeriod && sub.matchSecond <= matchSeconds))
+  );
+
+/**
+ * The lineup the plan expects now: its starters with completed subs applied
+ * @param {Object} plan
+ * @returns {Set<string>}
+ */
+export const getPlannedLineup = (plan) => {
+  const lineup = new Set(plan.starters);
+  plan.subs
+    .filter((sub) => sub.status === 'done')
+    .forEach((sub) => {
+      lineup.delete(sub.offId);
+      lineup.add(sub.onId);
+    });
+  return lineup;
+};
+
+/**
+ * Check whether the players on the pitch match the plan
+ * @param {Object} plan
+ * @param {Set<string>} playingPlayers
+ * @returns {boolean}
+ */
+export const isLineupOnPlan = (plan, playingPlayers) => {
+  const planned = getPlannedLineup(plan);
+  return (
+    planned.size === playingPlayers.size &&
+    [...planned].every((id) => playingPlayers.has(id))
+  );
+};
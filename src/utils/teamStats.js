@@ -0,0 +1,67 @@
+// Team-level match counters (shots, corners, free kicks, saves)
+//
+// A match's teamStats is { for: { shotsOnTarget, ... }, against: { ... } },
+// or null when nobody tracked them (see backend/lib/teamMatchStats.js).
+
+export const TEAM_STAT_FIELDS = [
+  { key: 'shotsOnTarget', label: 'Shots on target' },
+  { key: 'shotsOffTarget', label: 'Shots off target' },
+  { key: 'corners', label: 'Corners' },
+  { key: 'freeKicks', label: 'Free kicks' },
+  { key: 'saves', label: 'Saves' },
+];
+
+/**
+ * Counters with every field at zero
+ * @returns {Object}
+ */
+export const createTeamStats = () => {
+  const empty = {};
+  TEAM_STAT_FIELDS.forEach(({ key }) => {
+    empty[key] = 0;
+  });
+  return { for: { ...empty }, against: { ...empty } };
+};
+
+/**
+ * Add to one counter, never going below zero
+ * @param {Object|null} stats - Current counters (null starts from zero)
+ * @param {string} side - "for" or "against"
+ * @param {string} key - e.g. "corners"
+ * @param {number} delta
+ * @returns {Object} - New counters
+ */
+export const changeTeamStat = (stats, side, key, delta) => {
+  const current = stats || createTeamStats();
+  return {
+    ...current,
+    [side]: {
+      ...current[side],
+      [key]: Math.max(0, (current[side]?.[key] || 0) + delta),
+    },
+  };
+};
+
+/**
+ * Check whether any counter has been recorded
+ * @param {Object|null} stats
+ * @returns {boolean}
+ */
+export const hasTeamStats = (stats) =>
+  !!stats &&
+  TEAM_STAT_FIELDS.some(
+    ({ key }) => stats.for?.[key] > 0 || stats.against?.[key] > 0
+  );
+
+/**
+ * Label for a counter change, e.g. "Corner - Opponent"
+ * @param {string} side
+ * @param {string} key
+ * @returns {string}
+ */
+export const getTeamStatLabel = (side, key) => {
+  const field = TEAM_STAT_FIELDS.find((f) => f.key === key);
+  return `${field ? field.label : key} - ${
+    side === 'for' ? 'Your team' : 'Opponent'
+  }`;
+};